@@ -282,6 +282,7 @@ import CrashPreventionWrapper from './src/components/CrashPreventionWrapper';
 
 // Import context providers
 import { AuthProvider } from './src/context/AuthContext';
+import { AppLockProvider } from './src/context/AppLockContext';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
 import { LanguageProvider } from './src/context/LanguageContext';
 import { OfflineProvider } from './src/context/OfflineContext';
@@ -519,7 +520,9 @@ export default function App() {
               <DataStoreProvider>
                 <DashboardRefreshProvider>
                   <AuthProvider>
-                    <AppContent />
+                    <AppLockProvider>
+                      <AppContent />
+                    </AppLockProvider>
                   </AuthProvider>
                 </DashboardRefreshProvider>
               </DataStoreProvider>
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import appLockService from '../services/appLockService';
+import PinPad from './PinPad';
+
+const TITLES = {
+  set: 'Set App Lock PIN',
+  change: 'Change PIN',
+  disable: 'Turn Off App Lock',
+};
+
+const PROMPTS = {
+  current: 'Enter your current PIN',
+  new: 'Choose a 4 to 6 digit PIN',
+  confirm: 'Enter the new PIN again',
+};
+
+/**
+ * Sets, changes or turns off the app lock PIN
+ * @param {string} mode - set | change | disable
+ * @param {Function} onDone - called with the updated settings
+ * @param {Function} onWiped - the current PIN was wrong too many times and local data was erased
+ */
+const AppLockPinModal = ({ visible, mode = 'set', onClose, onDone, onWiped }) => {
+  const { theme } = useTheme();
+  const [step, setStep] = useState('new');
+  const [pin, setPin] = useState('');
+  const [firstPin, setFirstPin] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setStep(mode === 'set' ? 'new' : 'current');
+      setPin('');
+      setFirstPin('');
+      setError(null);
+    }
+  }, [visible, mode]);
+
+  const handleSubmit = async (value) => {
+    setSaving(true);
+    setError(null);
+    try {
+      if (step === 'current') {
+        const result = await appLockService.verifyPin(value);
+        setPin('');
+        if (result.wiped) {
+          onClose();
+          Alert.alert('Data Erased', 'Too many wrong PINs were entered, so the data on this phone was erased.', [{ text: 'OK', onPress: onWiped }]);
+          return;
+        }
+        if (!result.success) {
+          setError(`Wrong PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'try' : 'tries'} left`);
+          return;
+        }
+        if (mode === 'disable') {
+          onDone(await appLockService.disable(value));
+          return;
+        }
+        setStep('new');
+      } else if (step === 'new') {
+        appLockService.validatePin(value);
+        setFirstPin(value);
+        setPin('');
+        setStep('confirm');
+      } else {
+        if (value !== firstPin) {
+          setPin('');
+          setFirstPin('');
+          setStep('new');
+          setError('The PINs did not match. Choose a PIN again');
+          return;
+        }
+        onDone(await appLockService.setPin(value));
+      }
+    } catch (submitError) {
+      setPin('');
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onClose}>
+      <View style={[styles(theme).overlay, { backgroundColor: theme.colors.overlay }]}>
+        <View style={[styles(theme).content, { backgroundColor: theme.colors.background }]}>
+          <Text style={[styles(theme).title, { color: theme.colors.text }]}>{TITLES[mode]}</Text>
+          <Text style={[styles(theme).prompt, { color: theme.colors.textSecondary }]}>{PROMPTS[step]}</Text>
+
+          <PinPad
+            value={pin}
+            onChange={(value) => {
+              setPin(value);
+              if (error) setError(null);
+            }}
+            onSubmit={handleSubmit}
+            disabled={saving}
+            error={error}
+          />
+
+          <TouchableOpacity
+            style={[styles(theme).cancelButton, { backgroundColor: theme.colors.border }]}
+            onPress={onClose}
+            disabled={saving}
+          >
+            <Text style={[styles(theme).cancelButtonText, { color: theme.colors.text }]}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  content: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingTop: 24,
+    paddingBottom: 30,
+    paddingHorizontal: 20,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  prompt: {
+    fontSize: 15,
+    marginBottom: 20,
+  },
+  cancelButton: {
+    alignSelf: 'stretch',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default AppLockPinModal;
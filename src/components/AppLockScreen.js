@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import appLockService from '../services/appLockService';
+import PinPad from './PinPad';
+
+/**
+ * Full-screen PIN prompt shown over the app while it is locked
+ * @param {Function} onUnlock - the PIN or biometrics were accepted
+ * @param {Function} onWiped - too many wrong PINs erased local data
+ * @param {Function} onLogout - the user chose to sign in with their password instead
+ */
+const AppLockScreen = ({ onUnlock, onWiped, onLogout }) => {
+  const { theme } = useTheme();
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const [biometricsReady, setBiometricsReady] = useState(false);
+
+  const tryBiometrics = useCallback(async () => {
+    const success = await appLockService.authenticateWithBiometrics();
+    if (success) onUnlock();
+  }, [onUnlock]);
+
+  useEffect(() => {
+    const load = async () => {
+      const current = await appLockService.getSettings();
+      setSettings(current);
+      const supported = current.biometricsEnabled && await appLockService.isBiometricSupported();
+      setBiometricsReady(supported);
+      if (supported) tryBiometrics();
+    };
+    load();
+  }, [tryBiometrics]);
+
+  const handleSubmit = async (value) => {
+    setChecking(true);
+    try {
+      const result = await appLockService.verifyPin(value);
+      if (result.success) {
+        onUnlock();
+        return;
+      }
+
+      setPin('');
+      if (result.wiped) {
+        Alert.alert(
+          'Data Erased',
+          'Too many wrong PINs were entered, so the data on this phone was erased. Log in with your password to download it again.',
+          [{ text: 'OK', onPress: onWiped }],
+          { cancelable: false }
+        );
+        return;
+      }
+
+      setError(result.attemptsLeft <= 3
+        ? `Wrong PIN. ${result.attemptsLeft} ${result.attemptsLeft === 1 ? 'try' : 'tries'} left before data on this phone is erased`
+        : 'Wrong PIN. Try again');
+    } catch (verifyError) {
+      console.error('App lock PIN check error:', verifyError);
+      setError('Could not check the PIN. Try again');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleForgotPin = () => {
+    Alert.alert(
+      'Forgot PIN?',
+      'Log out and sign in again with your email and password.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Log Out', style: 'destructive', onPress: onLogout },
+      ]
+    );
+  };
+
+  return (
+    <View style={[styles(theme).container, { backgroundColor: theme.colors.background }]}>
+      <Text style={styles(theme).icon}>🔒</Text>
+      <Text style={[styles(theme).title, { color: theme.colors.text }]}>Poultry360 is locked</Text>
+      <Text style={[styles(theme).subtitle, { color: theme.colors.textSecondary }]}>Enter your PIN to continue</Text>
+
+      {checking ? (
+        <ActivityIndicator style={styles(theme).checking} color={theme.colors.primary} />
+      ) : (
+        <View style={styles(theme).checking} />
+      )}
+
+      <PinPad
+        value={pin}
+        onChange={(value) => {
+          setPin(value);
+          if (error) setError(null);
+        }}
+        onSubmit={handleSubmit}
+        disabled={checking || !settings}
+        error={error}
+      />
+
+      {biometricsReady && (
+        <TouchableOpacity style={styles(theme).linkButton} onPress={tryBiometrics} disabled={checking}>
+          <Text style={[styles(theme).linkText, { color: theme.colors.primary }]}>Use fingerprint or face unlock</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity style={styles(theme).linkButton} onPress={handleForgotPin} disabled={checking}>
+        <Text style={[styles(theme).linkText, { color: theme.colors.textSecondary }]}>Forgot PIN?</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+  },
+  icon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 15,
+  },
+  checking: {
+    height: 24,
+    marginVertical: 12,
+  },
+  linkButton: {
+    paddingVertical: 10,
+    marginTop: 4,
+  },
+  linkText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default AppLockScreen;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import CustomPicker from './CustomPicker';
+import batchCloseoutService from '../services/batchCloseoutService';
+import { CLOSE_REASONS, validateCloseout } from '../utils/batchCloseout';
+import { useTheme } from '../context/ThemeContext';
+
+const STEPS = ['Final Counts', 'Final Weights', 'Summary'];
+
+const batchLabel = (batch) => batch?.batchName || batch?.batch_name || batch?.name || 'Unnamed Batch';
+
+const emptyForm = (batch) => ({
+  reason: 'sold',
+  birdsSold: String(batch?.currentCount ?? batch?.current_count ?? ''),
+  birdsCulled: '0',
+  finalAvgWeightKg: '',
+  closeDate: new Date().toISOString().split('T')[0],
+});
+
+const BatchCloseoutModal = ({ visible, batch, onClose, onClosed }) => {
+  const { theme } = useTheme();
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(emptyForm(batch));
+  const [closing, setClosing] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setStep(0);
+      setForm(emptyForm(batch));
+    }
+  }, [visible, batch?.id]);
+
+  const summary = useMemo(() => {
+    if (!visible || !batch || step !== STEPS.length - 1) return null;
+    return batchCloseoutService.previewSummary(batch, form);
+  }, [visible, batch, form, step]);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleNext = () => {
+    // The final weight is only asked for on the second step
+    const validationError = validateCloseout(batch, form, { checkWeight: step > 0 });
+    if (validationError) {
+      Alert.alert('Validation Error', validationError);
+      return;
+    }
+    setStep(prev => prev + 1);
+  };
+
+  const handleArchive = () => {
+    Alert.alert(
+      'Close Out Batch',
+      `Archive "${batchLabel(batch)}"? It will be hidden from pickers and no new records can be added to it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Archive',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setClosing(true);
+              const result = await batchCloseoutService.closeBatch(batch.id, form);
+              onClosed?.(result);
+              onClose();
+            } catch (error) {
+              console.error('Batch close-out error:', error);
+              Alert.alert('Error', error.message || 'Failed to close out the batch');
+            } finally {
+              setClosing(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderInput = (label, field, placeholder, keyboardType = 'numeric') => (
+    <View style={styles(theme).formGroup}>
+      <Text style={styles(theme).formLabel}>{label}</Text>
+      <TextInput
+        style={styles(theme).formInput}
+        placeholder={placeholder}
+        placeholderTextColor={theme.colors.placeholder}
+        value={form[field]}
+        onChangeText={(value) => updateField(field, value)}
+        keyboardType={keyboardType}
+      />
+    </View>
+  );
+
+  const renderSummaryRow = (label, value) => (
+    <View key={label} style={styles(theme).summaryRow}>
+      <Text style={styles(theme).summaryLabel}>{label}</Text>
+      <Text style={styles(theme).summaryValue}>{value}</Text>
+    </View>
+  );
+
+  if (!batch) return null;
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles(theme).modalOverlay}>
+        <View style={styles(theme).modalContent}>
+          <ScrollView>
+            <Text style={styles(theme).modalTitle}>Close Out {batchLabel(batch)}</Text>
+            <Text style={styles(theme).modalSubtitle}>
+              Step {step + 1} of {STEPS.length}: {STEPS[step]}
+            </Text>
+
+            {step === 0 && (
+              <>
+                <View style={styles(theme).formGroup}>
+                  <Text style={styles(theme).formLabel}>Reason *</Text>
+                  <CustomPicker
+                    selectedValue={form.reason}
+                    onValueChange={(value) => updateField('reason', value)}
+                    items={CLOSE_REASONS.map(reason => ({ label: reason.label, value: reason.key }))}
+                    placeholder="Select a reason"
+                  />
+                </View>
+                {renderInput('Birds Sold', 'birdsSold', 'Number of birds sold')}
+                {renderInput('Birds Culled', 'birdsCulled', 'Number of birds culled')}
+                {renderInput('Close-out Date *', 'closeDate', 'YYYY-MM-DD', 'default')}
+                <Text style={styles(theme).hintText}>
+                  {batch.currentCount ?? batch.current_count ?? 0} birds currently in the batch. All remaining birds leave the house at close-out.
+                </Text>
+              </>
+            )}
+
+            {step === 1 && (
+              <>
+                {renderInput('Final Average Weight (kg)', 'finalAvgWeightKg', 'e.g. 2.35', 'decimal-pad')}
+                <Text style={styles(theme).hintText}>
+                  Average live weight of the birds sold, used for FCR, EPEF and cost per kg.
+                </Text>
+              </>
+            )}
+
+            {step === 2 && summary && (
+              <View style={styles(theme).summaryTable}>
+                {renderSummaryRow('Birds placed', summary.birdsPlaced)}
+                {renderSummaryRow('Sold / culled', `${summary.birdsSold} / ${summary.birdsCulled}`)}
+                {renderSummaryRow('Deaths recorded', summary.deaths)}
+                {renderSummaryRow('Age at close-out', `${summary.ageDays} days`)}
+                {renderSummaryRow('Live weight sold', `${summary.liveWeightKg} kg`)}
+                {renderSummaryRow('Feed used', `${summary.feedKg} kg`)}
+                {renderSummaryRow('Livability', `${summary.livability}%`)}
+                {renderSummaryRow('FCR', summary.fcr > 0 ? summary.fcr.toFixed(2) : 'N/A')}
+                {renderSummaryRow('EPEF', summary.epef > 0 ? summary.epef : 'N/A')}
+                {renderSummaryRow('Total cost', summary.totalCost.toFixed(2))}
+                {renderSummaryRow('Cost per kg', summary.costPerKg > 0 ? summary.costPerKg.toFixed(2) : 'N/A')}
+              </View>
+            )}
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={step === 0 ? onClose : () => setStep(prev => prev - 1)}
+                disabled={closing}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>{step === 0 ? 'Cancel' : 'Back'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: step === STEPS.length - 1 ? theme.colors.error : theme.colors.primary }]}
+                onPress={step === STEPS.length - 1 ? handleArchive : handleNext}
+                disabled={closing}
+              >
+                {closing ? (
+                  <ActivityIndicator size="small" color={theme.colors.buttonText} />
+                ) : (
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>
+                    {step === STEPS.length - 1 ? 'Archive Batch' : 'Next'}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginBottom: 15,
+  },
+  summaryTable: {
+    borderWidth: 1,
+    borderRadius: 8,
+    borderColor: theme.colors.border,
+    marginBottom: 15,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 10,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BatchCloseoutModal;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import CustomPicker from './CustomPicker';
+import birdLedgerService from '../services/birdLedgerService';
+import { isArchivedBatch } from '../utils/batchCloseout';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+
+// Destination picker value for a batch opened by the transfer
+const NEW_BATCH = 'new';
+
+const batchLabel = (batch) => batch?.batchName || batch?.batch_name || batch?.name || 'Unnamed Batch';
+
+const farmLabel = (farm) => farm.farmName || farm.farm_name || farm.name || 'Unnamed Farm';
+
+const emptyForm = () => ({
+  destination: '',
+  batchName: '',
+  farmId: '',
+  quantity: '',
+  date: new Date().toISOString().split('T')[0],
+  notes: '',
+});
+
+const BirdTransferModal = ({ visible, batch, batches = [], farms = [], onClose, onTransferred }) => {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [form, setForm] = useState(emptyForm());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setForm(emptyForm());
+    }
+  }, [visible, batch?.id]);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleTransfer = async () => {
+    const isNewBatch = form.destination === NEW_BATCH;
+    try {
+      setSaving(true);
+      const transfer = await birdLedgerService.transferBirds(batch.id, {
+        toBatchId: isNewBatch ? null : form.destination,
+        newBatch: isNewBatch ? { batchName: form.batchName, farmId: form.farmId } : null,
+        quantity: form.quantity,
+        date: form.date,
+        notes: form.notes,
+      }, user);
+      onTransferred?.(transfer);
+      onClose();
+    } catch (error) {
+      console.error('Bird transfer error:', error);
+      Alert.alert('Error', error.message || 'Failed to transfer the birds');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderInput = (label, field, placeholder, keyboardType = 'default') => (
+    <View style={styles(theme).formGroup}>
+      <Text style={styles(theme).formLabel}>{label}</Text>
+      <TextInput
+        style={styles(theme).formInput}
+        placeholder={placeholder}
+        placeholderTextColor={theme.colors.placeholder}
+        value={form[field]}
+        onChangeText={(value) => updateField(field, value)}
+        keyboardType={keyboardType}
+      />
+    </View>
+  );
+
+  if (!batch) return null;
+
+  // Only open batches can receive birds
+  const destinations = batches.filter(other => other && other.id !== batch.id && !isArchivedBatch(other));
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles(theme).modalOverlay}>
+        <View style={styles(theme).modalContent}>
+          <ScrollView>
+            <Text style={styles(theme).modalTitle}>Transfer Birds</Text>
+            <Text style={styles(theme).modalSubtitle}>
+              From {batchLabel(batch)} ({batch.currentCount ?? batch.current_count ?? 0} birds)
+            </Text>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Transfer To *</Text>
+              <CustomPicker
+                selectedValue={form.destination}
+                onValueChange={(value) => updateField('destination', value)}
+                items={[
+                  { label: '-- Select a batch --', value: '' },
+                  ...destinations.map(other => ({ label: batchLabel(other), value: String(other.id) })),
+                  { label: '+ New batch', value: NEW_BATCH },
+                ]}
+                placeholder="Select a batch"
+              />
+            </View>
+
+            {form.destination === NEW_BATCH && (
+              <>
+                {renderInput('New Batch Name *', 'batchName', 'e.g. Layer House 2')}
+                <View style={styles(theme).formGroup}>
+                  <Text style={styles(theme).formLabel}>Farm *</Text>
+                  <CustomPicker
+                    selectedValue={form.farmId}
+                    onValueChange={(value) => updateField('farmId', value)}
+                    items={[
+                      { label: '-- Select a farm --', value: '' },
+                      ...farms
+                        .filter(farm => farm && farm.id)
+                        .map(farm => ({ label: farmLabel(farm), value: String(farm.id) })),
+                    ]}
+                    placeholder="Select a farm"
+                  />
+                </View>
+              </>
+            )}
+
+            {renderInput('Number of Birds *', 'quantity', 'Birds to move', 'numeric')}
+            {renderInput('Transfer Date *', 'date', 'YYYY-MM-DD')}
+            {renderInput('Notes', 'notes', 'e.g. Moved to laying house')}
+            <Text style={styles(theme).hintText}>
+              Both batch counts change together and the transfer shows on each batch's bird count history.
+            </Text>
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={onClose}
+                disabled={saving}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleTransfer}
+                disabled={saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color={theme.colors.buttonText} />
+                ) : (
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Transfer</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginBottom: 15,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 10,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BirdTransferModal;
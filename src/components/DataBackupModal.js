@@ -13,11 +13,12 @@ import {
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as DocumentPicker from 'expo-document-picker';
-import * as FileSystem from 'expo-file-system';
+import * as FileSystem from 'expo-file-system/legacy';
 import { useTheme } from '../context/ThemeContext';
 import { useLanguage } from '../context/LanguageContext';
 import { useAuth } from '../context/AuthContext';
 import { safeRender, safeTranslation, safeUserField } from '../utils/safeRender';
+import fastDatabase from '../services/fastDatabase';
 
 const DataBackupModal = ({ visible, onClose }) => {
   const { theme } = useTheme();
@@ -25,6 +26,7 @@ const DataBackupModal = ({ visible, onClose }) => {
   const { user } = useAuth();
   const [isExporting, setIsExporting] = useState(false);
   const [isImporting, setIsImporting] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null);
 
   const createBackupData = async () => {
     try {
@@ -39,11 +41,13 @@ const DataBackupModal = ({ visible, onClose }) => {
       );
 
       // SAFETY: Ensure user data is safely extracted
+      // version 2 archives carry the full SQLite snapshot alongside the settings keys
       const backupData = {
         exportedAt: new Date().toISOString(),
-        version: '1.0.0',
+        version: '2.0.0',
         userId: safeUserField(user, 'id', 'unknown'),
         userEmail: safeUserField(user, 'email', 'unknown'),
+        database: fastDatabase.exportDatabaseSnapshot(),
         data: {},
       };
 
@@ -117,18 +121,19 @@ const DataBackupModal = ({ visible, onClose }) => {
         copyToCacheDirectory: true,
       });
 
-      if (result.type === 'cancel') {
+      if (result.canceled || result.type === 'cancel') {
         return;
       }
 
-      if (!result.uri) {
+      const fileUri = result.assets?.[0]?.uri || result.uri;
+      if (!fileUri) {
         throw new Error('No file selected');
       }
 
       setIsImporting(true);
 
       // Read the file content
-      const fileContent = await FileSystem.readAsStringAsync(result.uri);
+      const fileContent = await FileSystem.readAsStringAsync(fileUri);
       const backupData = JSON.parse(fileContent);
 
       // Validate backup data structure
@@ -136,69 +141,129 @@ const DataBackupModal = ({ visible, onClose }) => {
         throw new Error('Invalid backup file format');
       }
 
-      // Confirm import with user
+      if (!backupData.database) {
+        throw new Error('This backup was made by an older version and contains no farm data');
+      }
+
+      // Validates the schema version and counts rows without touching local data
+      const preview = fastDatabase.getRestorePreview(backupData.database);
+      setPendingRestore({ backupData, preview });
+    } catch (error) {
+      console.error('Import preparation error:', error);
+      Alert.alert('Error', error.message || 'Invalid backup file or failed to read file.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleConfirmRestore = async () => {
+    if (!pendingRestore || isImporting) return;
+
+    const { backupData } = pendingRestore;
+    setIsImporting(true);
+    try {
+      await fastDatabase.restoreDatabaseSnapshot(backupData.database);
+
+      // Clear existing app settings (except authentication)
+      const existingKeys = await AsyncStorage.getAllKeys();
+      const keysToRemove = existingKeys.filter(key =>
+        key.startsWith('@') &&
+        !key.includes('auth') &&
+        !key.includes('token')
+      );
+
+      if (keysToRemove.length > 0) {
+        await AsyncStorage.multiRemove(keysToRemove);
+      }
+
+      // Import backup settings
+      const importPromises = Object.entries(backupData.data).map(
+        ([key, value]) => AsyncStorage.setItem(key, value)
+      );
+
+      await Promise.all(importPromises);
+
+      setPendingRestore(null);
       Alert.alert(
-        'Import Data',
-        `This will restore data from backup created on ${new Date(backupData.exportedAt).toLocaleDateString()}.\n\nThis action will overwrite your current settings and preferences. Continue?`,
-        [
-          { text: t('cancel'), style: 'cancel' },
-          {
-            text: 'Import',
-            style: 'destructive',
-            onPress: async () => {
-              try {
-                // Clear existing app data (except authentication)
-                const existingKeys = await AsyncStorage.getAllKeys();
-                const keysToRemove = existingKeys.filter(key =>
-                  key.startsWith('@') &&
-                  !key.includes('auth') &&
-                  !key.includes('token')
-                );
-
-                if (keysToRemove.length > 0) {
-                  await AsyncStorage.multiRemove(keysToRemove);
-                }
-
-                // Import backup data
-                const importPromises = Object.entries(backupData.data).map(
-                  ([key, value]) => AsyncStorage.setItem(key, value)
-                );
-
-                await Promise.all(importPromises);
-
-                Alert.alert(
-                  'Success',
-                  'Data imported successfully',
-                  [
-                    {
-                      text: 'OK',
-                      onPress: () => {
-                        // Suggest app restart
-                        Alert.alert(
-                          'Restart Required',
-                          'Please restart the app to see all imported changes.',
-                          [{ text: 'OK', onPress: onClose }]
-                        );
-                      },
-                    },
-                  ]
-                );
-              } catch (importError) {
-                console.error('Import error:', importError);
-                Alert.alert('Error', 'Failed to import data. Please try again.');
-              }
-            },
-          },
-        ]
+        'Restore Complete',
+        'Your data was restored. Please restart the app to see all restored records.',
+        [{ text: 'OK', onPress: handleClose }]
       );
     } catch (error) {
-      console.error('Import preparation error:', error);
-      Alert.alert('Error', 'Invalid backup file or failed to read file.');
+      // restoreDatabaseSnapshot runs in a transaction, so a failure leaves local data untouched
+      console.error('Import error:', error);
+      Alert.alert('Error', `Failed to restore backup. Your current data was not changed.\n\n${error.message}`);
     } finally {
       setIsImporting(false);
     }
   };
 
+  const handleClose = () => {
+    setPendingRestore(null);
+    onClose();
+  };
+
+  const formatTableName = (tableName) => {
+    const words = String(tableName).replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  };
+
+  const renderRestorePreview = () => {
+    const { backupData, preview } = pendingRestore;
+    const restorable = preview.filter(item => item.supported);
+    const skipped = preview.filter(item => !item.supported);
+    const totalRows = restorable.reduce((sum, item) => sum + item.backupRows, 0);
+
+    return (
+      <>
+        <Text style={styles.description}>
+          Backup from {new Date(backupData.exportedAt).toLocaleString()} contains {totalRows} records.
+          Restoring replaces the current data in every table below.
+        </Text>
+
+        <View style={[styles.previewRow, styles.previewHeader]}>
+          <Text style={[styles.previewTable, styles.previewHeaderText]}>Table</Text>
+          <Text style={[styles.previewCount, styles.previewHeaderText]}>Backup</Text>
+          <Text style={[styles.previewCount, styles.previewHeaderText]}>Current</Text>
+        </View>
+        {restorable.map(item => (
+          <View key={item.table} style={styles.previewRow}>
+            <Text style={styles.previewTable}>{formatTableName(item.table)}</Text>
+            <Text style={styles.previewCount}>{item.backupRows}</Text>
+            <Text style={styles.previewCount}>{item.currentRows}</Text>
+          </View>
+        ))}
+
+        {skipped.length > 0 && (
+          <Text style={styles.previewSkipped}>
+            Skipped (not used by this app version): {skipped.map(item => item.table).join(', ')}
+          </Text>
+        )}
+
+        <View style={styles.previewActions}>
+          <TouchableOpacity
+            style={[styles.previewButton, { backgroundColor: theme.colors.border }]}
+            onPress={() => setPendingRestore(null)}
+            disabled={isImporting}
+          >
+            <Text style={[styles.previewButtonText, { color: theme.colors.text }]}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.previewButton, { backgroundColor: theme.colors.error }]}
+            onPress={handleConfirmRestore}
+            disabled={isImporting}
+          >
+            {isImporting ? (
+              <ActivityIndicator size="small" color={theme.colors.buttonText} />
+            ) : (
+              <Text style={[styles.previewButtonText, { color: theme.colors.buttonText }]}>Restore</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
   const ActionButton = ({ icon, title, description, onPress, loading, color }) => {
     // SAFETY: Ensure all text values are strings
     const safeIcon = safeRender(icon, '💾');
@@ -327,6 +392,51 @@ const DataBackupModal = ({ visible, onClose }) => {
       color: theme.colors.textSecondary,
       lineHeight: 18,
     },
+    previewRow: {
+      flexDirection: 'row',
+      paddingVertical: 8,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    previewHeader: {
+      borderBottomWidth: 2,
+    },
+    previewHeaderText: {
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+    },
+    previewTable: {
+      flex: 1,
+      fontSize: 14,
+      color: theme.colors.text,
+    },
+    previewCount: {
+      width: 70,
+      fontSize: 14,
+      textAlign: 'right',
+      color: theme.colors.text,
+    },
+    previewSkipped: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 12,
+    },
+    previewActions: {
+      flexDirection: 'row',
+      gap: 12,
+      marginTop: 20,
+      marginBottom: 20,
+    },
+    previewButton: {
+      flex: 1,
+      paddingVertical: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+    },
+    previewButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+    },
   });
 
   return (
@@ -334,15 +444,17 @@ const DataBackupModal = ({ visible, onClose }) => {
       animationType="slide"
       transparent={true}
       visible={visible}
-      onRequestClose={onClose}
+      onRequestClose={handleClose}
     >
       <View style={styles.modalOverlay}>
         <View style={styles.modalContent}>
           <View style={styles.header}>
-            <Text style={styles.title}>{safeTranslation(t, 'profile.dataBackup', 'Data Backup & Restore')}</Text>
+            <Text style={styles.title}>
+              {pendingRestore ? 'Restore Preview' : safeTranslation(t, 'profile.dataBackup', 'Data Backup & Restore')}
+            </Text>
             <TouchableOpacity
               style={styles.closeButton}
-              onPress={onClose}
+              onPress={handleClose}
               activeOpacity={0.7}
               disabled={isExporting || isImporting}
             >
@@ -351,37 +463,42 @@ const DataBackupModal = ({ visible, onClose }) => {
           </View>
 
           <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
-            <Text style={styles.description}>
-              Export your app data to create a backup, or import previously exported data to restore your settings and preferences.
-            </Text>
-
-            <ActionButton
-              icon="📤"
-              title="Export Data"
-              description="Create a backup file with your current data and settings"
-              onPress={handleExportData}
-              loading={isExporting}
-              color={theme.colors.primary}
-            />
-
-            <ActionButton
-              icon="📥"
-              title="Import Data"
-              description="Restore data and settings from a backup file"
-              onPress={handleImportData}
-              loading={isImporting}
-              color={theme.colors.info}
-            />
-
-            <View style={styles.warningBox}>
-              <Text style={styles.warningTitle}>⚠️ Important Notes</Text>
-              <Text style={styles.warningText}>
-                • Backup files contain your personal data and settings{'\n'}
-                • Importing will overwrite your current preferences{'\n'}
-                • App may need to be restarted after importing{'\n'}
-                • Keep backup files secure and private
-              </Text>
-            </View>
+            {pendingRestore ? renderRestorePreview() : (
+              <>
+                <Text style={styles.description}>
+                  Export your farms, batches, records and settings to a backup file, or restore a previously exported backup.
+                </Text>
+
+                <ActionButton
+                  icon="📤"
+                  title="Export Data"
+                  description="Create a backup file with your current data and settings"
+                  onPress={handleExportData}
+                  loading={isExporting}
+                  color={theme.colors.primary}
+                />
+
+                <ActionButton
+                  icon="📥"
+                  title="Import Data"
+                  description="Restore data and settings from a backup file"
+                  onPress={handleImportData}
+                  loading={isImporting}
+                  color={theme.colors.info}
+                />
+
+                <View style={styles.warningBox}>
+                  <Text style={styles.warningTitle}>⚠️ Important Notes</Text>
+                  <Text style={styles.warningText}>
+                    • Backup files contain your farm records, personal data and settings{'\n'}
+                    • Restoring replaces all data currently on this device{'\n'}
+                    • Changes not yet synced in the backup are synced again after restore{'\n'}
+                    • App may need to be restarted after importing{'\n'}
+                    • Keep backup files secure and private
+                  </Text>
+                </View>
+              </>
+            )}
           </ScrollView>
         </View>
       </View>
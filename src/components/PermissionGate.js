@@ -0,0 +1,54 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { getPermissionDeniedMessage } from '../utils/permissions';
+
+/**
+ * Renders its children only when the signed-in user's role has the permission,
+ * otherwise a "No Access" message. Used by the navigator to guard whole screens.
+ * @param {string} permission - One of PERMISSIONS
+ */
+const PermissionGate = ({ permission, children }) => {
+  const { theme } = useTheme();
+  const { can } = useAuth();
+
+  if (can(permission)) {
+    return children;
+  }
+
+  return (
+    <View style={[styles(theme).container, { backgroundColor: theme.colors.background }]}>
+      <Text style={styles(theme).icon}>🔒</Text>
+      <Text style={[styles(theme).title, { color: theme.colors.text }]}>No Access</Text>
+      <Text style={[styles(theme).message, { color: theme.colors.textSecondary }]}>
+        {getPermissionDeniedMessage(permission)}
+      </Text>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  icon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  message: {
+    fontSize: 15,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
+
+export default PermissionGate;
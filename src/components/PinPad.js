@@ -0,0 +1,119 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { PIN_MAX_LENGTH, PIN_MIN_LENGTH } from '../services/appLockService';
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'delete', '0', 'submit'];
+
+/**
+ * Number pad with PIN dots, shared by the lock screen and the App Lock settings
+ * @param {string} value - digits entered so far
+ * @param {Function} onChange - called with the new value
+ * @param {Function} onSubmit - called with the value when ✓ is pressed
+ */
+const PinPad = ({ value = '', onChange, onSubmit, disabled = false, error = null }) => {
+  const { theme } = useTheme();
+  const canSubmit = value.length >= PIN_MIN_LENGTH && !disabled;
+
+  const handleKey = (key) => {
+    if (disabled) return;
+    if (key === 'delete') {
+      onChange(value.slice(0, -1));
+    } else if (key === 'submit') {
+      if (canSubmit) onSubmit(value);
+    } else if (value.length < PIN_MAX_LENGTH) {
+      onChange(value + key);
+    }
+  };
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).dots}>
+        {Array.from({ length: PIN_MAX_LENGTH }, (_, index) => (
+          <View
+            key={index}
+            style={[
+              styles(theme).dot,
+              { borderColor: error ? theme.colors.error : theme.colors.primary },
+              index < value.length && { backgroundColor: error ? theme.colors.error : theme.colors.primary },
+            ]}
+          />
+        ))}
+      </View>
+      <Text style={[styles(theme).error, { color: theme.colors.error }]}>{error || ' '}</Text>
+
+      <View style={styles(theme).keys}>
+        {KEYS.map(key => (
+          <TouchableOpacity
+            key={key}
+            style={[
+              styles(theme).key,
+              { backgroundColor: key === 'submit' && canSubmit ? theme.colors.primary : theme.colors.surface },
+            ]}
+            onPress={() => handleKey(key)}
+            disabled={disabled || (key === 'submit' && !canSubmit)}
+            activeOpacity={0.6}
+          >
+            <Text
+              style={[
+                styles(theme).keyText,
+                { color: key === 'submit' && canSubmit ? '#fff' : theme.colors.text },
+                key === 'submit' && !canSubmit && { color: theme.colors.textLight || theme.colors.textSecondary },
+              ]}
+            >
+              {key === 'delete' ? '⌫' : key === 'submit' ? '✓' : key}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 8,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    marginHorizontal: 8,
+  },
+  error: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  keys: {
+    width: 264,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  key: {
+    width: 76,
+    height: 64,
+    borderRadius: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 12,
+    shadowColor: theme.colors.shadowColor || '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  keyText: {
+    fontSize: 26,
+    fontWeight: '500',
+  },
+});
+
+export default PinPad;
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import CustomPicker from './CustomPicker';
+import recordExportService from '../services/recordExportService';
+import { useTheme } from '../context/ThemeContext';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const RECORD_TYPE_OPTIONS = [
+  { label: 'All records (combined file)', value: 'all' },
+  { label: 'Feed', value: 'feed' },
+  { label: 'Mortality', value: 'mortality' },
+  { label: 'Production', value: 'production' },
+  { label: 'Water', value: 'water' },
+  { label: 'Weight', value: 'weight' },
+];
+
+const RecordExportModal = ({ visible, onClose, farms = [], batches = [], initialRecordType = 'all' }) => {
+  const { theme } = useTheme();
+  const [recordType, setRecordType] = useState(initialRecordType);
+  const [farmId, setFarmId] = useState('');
+  const [batchId, setBatchId] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  const safeFarms = Array.isArray(farms) ? farms.filter(farm => farm && farm.id) : [];
+  const farmBatches = (Array.isArray(batches) ? batches : []).filter(batch =>
+    batch && batch.id && (!farmId || String(batch.farmId || batch.farm_id) === String(farmId))
+  );
+
+  const handleExport = async () => {
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+      Alert.alert('Invalid Date', 'Please enter dates as YYYY-MM-DD');
+      return;
+    }
+    if (startDate && endDate && startDate > endDate) {
+      Alert.alert('Invalid Range', 'The start date must be before the end date');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      const result = await recordExportService.exportRecords({
+        recordType,
+        farmId: farmId ? parseInt(farmId) : null,
+        batchId: batchId ? parseInt(batchId) : null,
+        startDate: startDate || null,
+        endDate: endDate || null,
+      });
+      console.log(`✅ Exported ${result.totalRows} records`);
+      onClose();
+    } catch (error) {
+      console.error('Record export error:', error);
+      Alert.alert('Export Failed', error.message || 'Failed to export records. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderDateInput = (label, value, onChange) => (
+    <View style={styles(theme).dateField}>
+      <Text style={styles(theme).formLabel}>{label}</Text>
+      <TextInput
+        style={styles(theme).formInput}
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor={theme.colors.placeholder}
+        value={value}
+        onChangeText={onChange}
+        maxLength={10}
+      />
+    </View>
+  );
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles(theme).modalOverlay}>
+        <View style={styles(theme).modalContent}>
+          <ScrollView>
+            <Text style={styles(theme).modalTitle}>Export Records</Text>
+            <Text style={styles(theme).modalSubtitle}>
+              Creates a CSV file from the records on this device. Works offline.
+            </Text>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Records</Text>
+              <CustomPicker
+                selectedValue={recordType}
+                onValueChange={setRecordType}
+                items={RECORD_TYPE_OPTIONS}
+                placeholder="Select records"
+              />
+            </View>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Farm</Text>
+              <CustomPicker
+                selectedValue={String(farmId)}
+                onValueChange={(value) => {
+                  setFarmId(value);
+                  setBatchId('');
+                }}
+                items={[
+                  { label: 'All farms', value: '' },
+                  ...safeFarms.map(farm => ({
+                    label: farm.farmName || farm.farm_name || farm.name || 'Unnamed Farm',
+                    value: String(farm.id),
+                  })),
+                ]}
+                placeholder="All farms"
+              />
+            </View>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Batch</Text>
+              <CustomPicker
+                selectedValue={String(batchId)}
+                onValueChange={setBatchId}
+                items={[
+                  { label: 'All batches', value: '' },
+                  ...farmBatches.map(batch => ({
+                    label: batch.batchName || batch.batch_name || batch.name || 'Unnamed Batch',
+                    value: String(batch.id),
+                  })),
+                ]}
+                placeholder="All batches"
+              />
+            </View>
+
+            <View style={styles(theme).dateRow}>
+              {renderDateInput('From', startDate, setStartDate)}
+              {renderDateInput('To', endDate, setEndDate)}
+            </View>
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={onClose}
+                disabled={exporting}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleExport}
+                disabled={exporting}
+              >
+                {exporting ? (
+                  <ActivityIndicator size="small" color={theme.colors.buttonText} />
+                ) : (
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Export CSV</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  dateField: {
+    flex: 1,
+    marginBottom: 15,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 10,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default RecordExportModal;
@@ -1,10 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useNavigation } from '@react-navigation/native';
 import syncService from '../services/syncService';
 import networkService from '../services/networkService';
+import fastDatabase from '../services/fastDatabase';
+import dataEventBus, { EventTypes } from '../services/dataEventBus';
 
 const SyncStatusBar = ({ theme }) => {
+  const navigation = useNavigation();
+  const [conflictCount, setConflictCount] = useState(0);
   const [syncStatus, setSyncStatus] = useState({
     lastSyncTime: null,
     isSyncing: false,
@@ -15,6 +20,13 @@ const SyncStatusBar = ({ theme }) => {
 
   useEffect(() => {
     loadSyncStatus();
+    loadConflictCount();
+
+    // Refresh conflict count when sync finishes or a conflict is resolved
+    const unsubscribeConflicts = dataEventBus.subscribeMultiple(
+      [EventTypes.DATA_SYNCED, EventTypes.SYNC_CONFLICT_RESOLVED],
+      loadConflictCount
+    );
 
     // Listen to network changes
     const unsubscribeNetwork = networkService.addListener((state) => {
@@ -29,6 +41,7 @@ const SyncStatusBar = ({ theme }) => {
         setSyncStatus(prev => ({ ...prev, isSyncing: true, error: null, syncProgress: 'Downloading data...' }));
       } else if (event.type === 'initial_sync_completed' || event.type === 'sync_completed') {
         loadSyncStatus();
+        loadConflictCount();
         setSyncStatus(prev => ({ ...prev, isSyncing: false, error: null, syncProgress: null }));
       } else if (event.type === 'initial_sync_failed' || event.type === 'sync_failed') {
         setSyncStatus(prev => ({
@@ -53,6 +66,7 @@ const SyncStatusBar = ({ theme }) => {
     return () => {
       if (unsubscribeNetwork) unsubscribeNetwork();
       if (unsubscribeSync) unsubscribeSync();
+      if (unsubscribeConflicts) unsubscribeConflicts();
     };
   }, []);
 
@@ -72,6 +86,18 @@ const SyncStatusBar = ({ theme }) => {
     }
   };
 
+  const loadConflictCount = () => {
+    try {
+      setConflictCount(fastDatabase.getPendingConflictCount());
+    } catch (error) {
+      console.warn('Error loading sync conflict count:', error);
+    }
+  };
+
+  const openConflicts = () => {
+    navigation.navigate('Profile', { screen: 'SyncConflicts' });
+  };
+
   const handleRetrySync = async () => {
     try {
       setSyncStatus(prev => ({ ...prev, isSyncing: true, error: null }));
@@ -145,20 +171,35 @@ const SyncStatusBar = ({ theme }) => {
   }
 
   return (
-    <View style={[styles.container, { backgroundColor: getStatusColor() + '15' }]}>
-      <Text style={[styles.text, { color: getStatusColor(), flex: 1 }]}>
-        {getStatusText()}
-      </Text>
+    <View>
+      <View style={[styles.container, { backgroundColor: getStatusColor() + '15' }]}>
+        <Text style={[styles.text, { color: getStatusColor(), flex: 1 }]}>
+          {getStatusText()}
+        </Text>
 
-      {syncStatus.canRetry && !syncStatus.isSyncing && (
+        {syncStatus.canRetry && !syncStatus.isSyncing && (
+          <TouchableOpacity
+            onPress={handleRetrySync}
+            style={[styles.retryButton, { backgroundColor: theme.colors.primary }]}
+            activeOpacity={0.7}
+          >
+            <Text style={[styles.retryText, { color: theme.colors.card }]}>
+              Retry
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {conflictCount > 0 && (
         <TouchableOpacity
-          onPress={handleRetrySync}
-          style={[styles.retryButton, { backgroundColor: theme.colors.primary }]}
+          onPress={openConflicts}
+          style={[styles.container, styles.conflictRow, { backgroundColor: theme.colors.warning + '15' }]}
           activeOpacity={0.7}
         >
-          <Text style={[styles.retryText, { color: theme.colors.card }]}>
-            Retry
+          <Text style={[styles.text, { color: theme.colors.warning, flex: 1 }]}>
+            {conflictCount} sync conflict{conflictCount === 1 ? '' : 's'} need{conflictCount === 1 ? 's' : ''} review
           </Text>
+          <Text style={[styles.retryText, { color: theme.colors.warning }]}>Review</Text>
         </TouchableOpacity>
       )}
     </View>
@@ -185,6 +226,9 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     marginLeft: 12,
   },
+  conflictRow: {
+    marginTop: 4,
+  },
   retryText: {
     fontSize: 13,
     fontWeight: '600',
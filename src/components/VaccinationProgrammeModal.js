@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import CustomPicker from './CustomPicker';
+import vaccinationProgrammeService from '../services/vaccinationProgrammeService';
+import { useTheme } from '../context/ThemeContext';
+
+const batchLabel = (batch) => batch.batchName || batch.batch_name || batch.name || 'Unnamed Batch';
+const batchArrival = (batch) => batch?.arrivalDate || batch?.arrival_date || batch?.startDate || null;
+const batchBirdType = (batch) => batch?.birdType || batch?.bird_type || null;
+
+const VaccinationProgrammeModal = ({ visible, onClose, batches = [], initialBatchId = '', onApplied, onManageTemplates }) => {
+  const { theme } = useTheme();
+  const [batchId, setBatchId] = useState('');
+  const [templateId, setTemplateId] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [vaccinationTime, setVaccinationTime] = useState('08:00');
+  const [applying, setApplying] = useState(false);
+
+  const safeBatches = Array.isArray(batches) ? batches.filter(batch => batch && batch.id) : [];
+  const selectedBatch = safeBatches.find(batch => String(batch.id) === String(batchId)) || null;
+  const selectedTemplate = templates.find(template => String(template.id) === String(templateId)) || null;
+
+  useEffect(() => {
+    if (visible) {
+      setBatchId(initialBatchId ? String(initialBatchId) : '');
+      setVaccinationTime('08:00');
+    }
+  }, [visible, initialBatchId]);
+
+  useEffect(() => {
+    if (!visible) return;
+    const available = vaccinationProgrammeService.getTemplates(batchBirdType(selectedBatch));
+    setTemplates(available);
+    setTemplateId(available.length > 0 ? String(available[0].id) : '');
+  }, [visible, batchId]);
+
+  const preview = useMemo(() => {
+    if (!selectedTemplate || !batchArrival(selectedBatch)) return [];
+    try {
+      return vaccinationProgrammeService.buildSchedule(selectedTemplate, batchArrival(selectedBatch));
+    } catch (error) {
+      return [];
+    }
+  }, [selectedTemplate, selectedBatch]);
+
+  const handleApply = async () => {
+    if (!selectedBatch) {
+      Alert.alert('Validation Error', 'Please select a batch');
+      return;
+    }
+    if (!selectedTemplate) {
+      Alert.alert('Validation Error', 'Please select a vaccination programme');
+      return;
+    }
+
+    try {
+      setApplying(true);
+      const result = await vaccinationProgrammeService.applyTemplateToBatch(selectedBatch.id, selectedTemplate.id, { vaccinationTime });
+      const skippedText = result.skipped > 0 ? `\n${result.skipped} already on the schedule were skipped.` : '';
+      const reminderText = result.remindersScheduled > 0
+        ? `\n${result.remindersScheduled} reminder${result.remindersScheduled === 1 ? '' : 's'} scheduled for the coming week.`
+        : '';
+      Alert.alert(
+        'Programme Applied',
+        `${result.created.length} vaccinations planned for ${batchLabel(selectedBatch)}.${skippedText}${reminderText}`
+      );
+      onApplied?.(result);
+      onClose();
+    } catch (error) {
+      console.error('Apply vaccination programme error:', error);
+      Alert.alert('Error', error.message || 'Failed to apply the vaccination programme');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <View style={styles(theme).modalOverlay}>
+        <View style={styles(theme).modalContent}>
+          <ScrollView>
+            <Text style={styles(theme).modalTitle}>Apply Vaccination Programme</Text>
+            <Text style={styles(theme).modalSubtitle}>
+              Plans every vaccination in the programme from the batch's arrival date.
+            </Text>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Batch *</Text>
+              <CustomPicker
+                selectedValue={String(batchId)}
+                onValueChange={setBatchId}
+                items={safeBatches.map(batch => ({
+                  label: batchBirdType(batch) ? `${batchLabel(batch)} (${batchBirdType(batch)})` : batchLabel(batch),
+                  value: String(batch.id),
+                }))}
+                placeholder={safeBatches.length === 0 ? 'No batches - Create a batch first' : '-- Select a batch --'}
+              />
+            </View>
+
+            <View style={styles(theme).formGroup}>
+              <View style={styles(theme).labelRow}>
+                <Text style={styles(theme).formLabel}>Programme *</Text>
+                {onManageTemplates && (
+                  <TouchableOpacity onPress={onManageTemplates}>
+                    <Text style={styles(theme).linkText}>Edit programmes</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+              <CustomPicker
+                selectedValue={String(templateId)}
+                onValueChange={setTemplateId}
+                items={templates.map(template => ({
+                  label: template.bird_type ? `${template.name} (${template.bird_type})` : template.name,
+                  value: String(template.id),
+                }))}
+                placeholder={templates.length === 0 ? 'No programmes for this bird type' : 'Select a programme'}
+              />
+            </View>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={styles(theme).formLabel}>Vaccination Time</Text>
+              <TextInput
+                style={styles(theme).formInput}
+                placeholder="HH:MM"
+                placeholderTextColor={theme.colors.placeholder}
+                value={vaccinationTime}
+                onChangeText={setVaccinationTime}
+                maxLength={5}
+              />
+            </View>
+
+            {selectedBatch && !batchArrival(selectedBatch) && (
+              <Text style={styles(theme).warningText}>This batch has no arrival date. Set one before applying a programme.</Text>
+            )}
+
+            {preview.length > 0 && (
+              <View style={styles(theme).previewTable}>
+                {preview.map((item, index) => (
+                  <View key={`${item.vaccinationType}-${index}`} style={styles(theme).previewRow}>
+                    <Text style={styles(theme).previewDate}>{item.vaccinationDate}</Text>
+                    <View style={styles(theme).previewDetails}>
+                      <Text style={styles(theme).previewVaccine}>{item.vaccinationType}</Text>
+                      {item.medication ? <Text style={styles(theme).previewMeta}>{item.medication}</Text> : null}
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={onClose}
+                disabled={applying}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Not Now</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleApply}
+                disabled={applying || preview.length === 0}
+              >
+                {applying ? (
+                  <ActivityIndicator size="small" color={theme.colors.buttonText} />
+                ) : (
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Apply</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 20,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.primary,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  warningText: {
+    fontSize: 14,
+    color: theme.colors.warning,
+    marginBottom: 15,
+  },
+  previewTable: {
+    borderWidth: 1,
+    borderRadius: 8,
+    borderColor: theme.colors.border,
+    marginBottom: 15,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  previewDate: {
+    width: 100,
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  previewDetails: {
+    flex: 1,
+  },
+  previewVaccine: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  previewMeta: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginTop: 2,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 10,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default VaccinationProgrammeModal;
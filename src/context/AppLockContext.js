@@ -0,0 +1,138 @@
+import React, { createContext, useContext, useEffect, useState, useRef, useMemo, useCallback } from 'react';
+import { AppState, View, StyleSheet } from 'react-native';
+import { useAuth } from './AuthContext';
+import appLockService from '../services/appLockService';
+import AppLockScreen from '../components/AppLockScreen';
+
+const AppLockContext = createContext();
+
+// How often the inactivity timeout is checked while the app is open
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+
+export const useAppLock = () => {
+  const context = useContext(AppLockContext);
+  if (!context) {
+    throw new Error('useAppLock must be used within an AppLockProvider');
+  }
+  return context;
+};
+
+/**
+ * APP LOCK: Covers the signed-in app with the PIN screen when a session is restored on start,
+ * after the inactivity timeout, or when the app comes back from the background
+ */
+export const AppLockProvider = ({ children }) => {
+  const { isAuthenticated, isLoading, logout } = useAuth();
+  const [isLocked, setIsLocked] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const sessionCheckedRef = useRef(false);
+  const appStateRef = useRef(AppState.currentState);
+
+  const refreshSettings = useCallback(async () => {
+    const current = await appLockService.getSettings();
+    setSettings(current);
+    return current;
+  }, []);
+
+  useEffect(() => {
+    refreshSettings();
+  }, [refreshSettings]);
+
+  const lock = useCallback(async () => {
+    if (await appLockService.isEnabled()) {
+      console.log('🔒 App locked');
+      setIsLocked(true);
+    }
+  }, []);
+
+  // A session restored from storage opens locked; a login typed on the login screen does not
+  useEffect(() => {
+    if (isLoading || sessionCheckedRef.current) return;
+    sessionCheckedRef.current = true;
+    if (isAuthenticated) lock();
+  }, [isLoading, isAuthenticated, lock]);
+
+  useEffect(() => {
+    if (!isAuthenticated) setIsLocked(false);
+  }, [isAuthenticated]);
+
+  // Lock on return from the background
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      const previous = appStateRef.current;
+      appStateRef.current = nextAppState;
+
+      if (nextAppState === 'background') {
+        appLockService.markBackground();
+      } else if (nextAppState === 'active' && previous !== 'active' && isAuthenticated) {
+        if (appLockService.shouldLock(Date.now(), true)) lock();
+      }
+    });
+
+    return () => subscription?.remove();
+  }, [isAuthenticated, lock]);
+
+  // Lock after the inactivity timeout
+  useEffect(() => {
+    if (!isAuthenticated || isLocked || !settings?.enabled) return undefined;
+
+    appLockService.recordActivity();
+    const timer = setInterval(() => {
+      if (appStateRef.current === 'active' && appLockService.shouldLock()) lock();
+    }, IDLE_CHECK_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [isAuthenticated, isLocked, settings?.enabled, lock]);
+
+  const unlock = useCallback(() => {
+    appLockService.recordActivity();
+    setIsLocked(false);
+    refreshSettings();
+  }, [refreshSettings]);
+
+  // Too many wrong PINs: the service erased local data, end the session
+  const handleWiped = useCallback(async () => {
+    setIsLocked(false);
+    await refreshSettings();
+    await logout();
+  }, [logout, refreshSettings]);
+
+  // A wipe cut short by an error or the app closing is finished on the next launch
+  useEffect(() => {
+    appLockService.resumePendingWipe().then((wiped) => {
+      if (wiped) handleWiped();
+    });
+  }, [handleWiped]);
+
+  const value = useMemo(() => ({
+    isLocked,
+    settings,
+    lock,
+    refreshSettings,
+  }), [isLocked, settings, lock, refreshSettings]);
+
+  return (
+    <AppLockContext.Provider value={value}>
+      <View
+        style={styles.container}
+        onStartShouldSetResponderCapture={() => {
+          appLockService.recordActivity();
+          return false;
+        }}
+      >
+        {children}
+        {isLocked && isAuthenticated && (
+          <View style={StyleSheet.absoluteFill}>
+            <AppLockScreen onUnlock={unlock} onWiped={handleWiped} onLogout={logout} />
+          </View>
+        )}
+      </View>
+    </AppLockContext.Provider>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
@@ -7,6 +7,10 @@ import notificationService from '../services/notificationService';
 import syncService from '../services/syncService';
 import authStorage from '../services/authStorage';
 import networkService from '../services/networkService';
+import permissionService from '../services/permissionService';
+import reminderService from '../services/reminderService';
+import recurringExpenseService from '../services/recurringExpenseService';
+import { hasPermission, canCreateRecordType, normalizeRole } from '../utils/permissions';
 
 const AuthContext = createContext();
 
@@ -146,6 +150,33 @@ export const AuthProvider = ({ children }) => {
     };
   }, [clearAuthData]);
 
+  // OFFLINE PROFILES: Records are credited to whoever is signed in on this device
+  useEffect(() => {
+    const fastDatabase = require('../services/fastDatabase').default;
+    fastDatabase.setCurrentUserId(user?.id || null);
+    // ROLE PERMISSIONS: fastApiService checks the same role, including offline
+    permissionService.setUser(user);
+  }, [user]);
+
+  // ON-DEVICE REMINDERS: Keep local reminders scheduled while signed in, so they arrive offline too
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    reminderService.start();
+    return () => reminderService.stop();
+  }, [isAuthenticated]);
+
+  // RECURRING EXPENSES: Post recurring expenses that fell due while the app was closed, and after each sync
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    recurringExpenseService.start();
+    return () => recurringExpenseService.stop();
+  }, [isAuthenticated]);
+
+  // ROLE PERMISSIONS: Screens hide tabs, actions and cost figures the user's role does not allow
+  const can = useCallback((permission) => !!user && hasPermission(user.role, permission), [user]);
+
+  const canCreateRecord = useCallback((recordType) => !!user && canCreateRecordType(user.role, recordType), [user]);
+
   const clearAuthData = useCallback(async () => {
     try {
       await asyncOperationWrapper.safeStorageRemove('authToken');
@@ -296,7 +327,15 @@ export const AuthProvider = ({ children }) => {
       try {
         const localResponse = await fastApiService.login(email, password);
 
-        if (localResponse.success && localResponse.data) {
+        // 🔐 ORG ISOLATION: The local user row belongs to one organization. When another
+        // organization was picked, sign in through the API so its session is used instead.
+        const localOrgSlug = localResponse.data?.user?.organizationSlug;
+        const isOtherOrganization = !!(organizationSlug && localOrgSlug && localOrgSlug !== organizationSlug);
+        if (isOtherOrganization) {
+          console.log(`🏢 [OFFLINE-FIRST] Local user is in ${localOrgSlug}, not ${organizationSlug} - using API login`);
+        }
+
+        if (localResponse.success && localResponse.data && !isOtherOrganization) {
           const { token, user } = localResponse.data;
 
           // ENHANCED LOGGING: Debug user data before storage
@@ -353,6 +392,46 @@ export const AuthProvider = ({ children }) => {
         console.log('   Falling through to API login...');
       }
 
+      // OFFLINE PROFILES: Without a connection, sign in anyone who has logged in online on this device before
+      if (!networkService.getIsConnected()) {
+        const storedUser = await authStorage.validateOfflineCredentials(email, password);
+        const storedOrgSlug = storedUser?.organizationSlug || storedUser?.organization?.slug;
+        const isOtherOrganization = !!(organizationSlug && storedOrgSlug && storedOrgSlug !== organizationSlug);
+
+        if (storedUser && !isOtherOrganization) {
+          await asyncOperationWrapper.safeStorageSet('authToken', 'offline_token');
+          await asyncOperationWrapper.safeStorageSet('userData', storedUser);
+
+          setUser(storedUser);
+          setIsAuthenticated(true);
+
+          const orgId = storedUser.organizationId || storedUser.organization_id;
+          if (orgId) {
+            const fastDatabase = require('../services/fastDatabase').default;
+            fastDatabase.setOrganizationId(orgId);
+          }
+
+          console.log(`✅ [OFFLINE PROFILE] Login successful from stored profile: ${storedUser.email} | Org: ${orgId}`);
+
+          return {
+            success: true,
+            data: { user: storedUser, token: 'offline_token' },
+            isOffline: true,
+            source: 'offline_profile'
+          };
+        }
+
+        if (!storedUser && await authStorage.hasStoredCredentials(email)) {
+          return {
+            success: false,
+            error: 'Incorrect password for this user. Check it and try again.',
+            isOffline: true,
+            source: 'offline_profile'
+          };
+        }
+        console.log('⚠️ [OFFLINE PROFILE] No stored profile for this user - trying API login anyway');
+      }
+
       // Try real API service first for multi-org support
       try {
         console.log('📡 Attempting login via REAL API (NestJS backend)...');
@@ -803,6 +882,9 @@ export const AuthProvider = ({ children }) => {
       // The data will be refreshed from the server in the background
       console.log('💾 Preserving local database - data will be available on next login');
 
+      // Reminders are for the signed-in user's farms
+      await reminderService.cancelAll();
+
       // Clear auth data only (token and user info)
       await clearAuthData();
 
@@ -860,7 +942,10 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus,
     retryAuth,
     getAuthState,
-  }), [user, isLoading, isAuthenticated, authError]);
+    role: user ? normalizeRole(user.role) : null,
+    can,
+    canCreateRecord,
+  }), [user, isLoading, isAuthenticated, authError, can, canCreateRecord]);
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
\ No newline at end of file
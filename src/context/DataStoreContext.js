@@ -21,6 +21,7 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import dataEventBus, { EventTypes } from '../services/dataEventBus';
 import fastApiService from '../services/fastApiService';
+import { isArchivedBatch } from '../utils/batchCloseout';
 
 const DataStoreContext = createContext();
 
@@ -643,6 +644,7 @@ export const useFarms = () => {
 
 /**
  * Hook to access batches data
+ * `batches` includes archived batches (for names and history); pickers use `openBatches`.
  */
 export const useBatches = () => {
   const { batches, batchesLoading, batchesError, loadBatches } = useDataStore();
@@ -654,8 +656,11 @@ export const useBatches = () => {
     }
   }, []);
 
+  const openBatches = useMemo(() => batches.filter(batch => !isArchivedBatch(batch)), [batches]);
+
   return {
     batches,
+    openBatches,
     loading: batchesLoading,
     error: batchesError,
     refresh: loadBatches
@@ -19,15 +19,30 @@ import FlockPerformanceScreen from '../screens/FlockPerformanceScreen';
 import FinancialAnalyticsScreen from '../screens/FinancialAnalyticsScreen';
 import CustomersScreen from '../screens/CustomersScreen';
 import SalesScreen from '../screens/SalesScreen';
+import InvoicesScreen from '../screens/InvoicesScreen';
+import InvoiceFormScreen from '../screens/InvoiceFormScreen';
+import InvoiceDetailsScreen from '../screens/InvoiceDetailsScreen';
+import PaymentsScreen from '../screens/PaymentsScreen';
+import RecordPaymentScreen from '../screens/RecordPaymentScreen';
 import ExpensesScreen from '../screens/ExpensesScreen';
 import FinancialSummaryScreen from '../screens/FinancialSummaryScreen';
+import SalesAnalyticsScreen from '../screens/SalesAnalyticsScreen';
 import AddSaleScreen from '../screens/AddSaleScreen';
 import AddExpenseScreen from '../screens/AddExpenseScreen';
 import VaccinationScreen from '../screens/VaccinationScreen';
+import VaccinationTemplatesScreen from '../screens/VaccinationTemplatesScreen';
+import BreedStandardsScreen from '../screens/BreedStandardsScreen';
 import NotificationSettingsScreen from '../screens/NotificationSettingsScreen';
+import ConflictResolutionScreen from '../screens/ConflictResolutionScreen';
+import MortalityThresholdsScreen from '../screens/MortalityThresholdsScreen';
+import MortalityAlertsScreen from '../screens/MortalityAlertsScreen';
+import FeedInventoryScreen from '../screens/FeedInventoryScreen';
+import BirdLedgerScreen from '../screens/BirdLedgerScreen';
 
 // Import components
 import ErrorBoundary from '../components/ErrorBoundary';
+import PermissionGate from '../components/PermissionGate';
+import { PERMISSIONS } from '../utils/permissions';
 
 // Import context
 import { useAuth } from '../context/AuthContext';
@@ -38,6 +53,7 @@ const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
 
 // Wrap screen components with ErrorBoundary
+// ROLE PERMISSIONS: Screens a role may not open show a "No Access" message instead
 const SafeWelcomeScreen = (props) => (
   <ErrorBoundary screenName="Welcome">
     <WelcomeScreen {...props} />
@@ -70,7 +86,9 @@ const SafeDashboardScreen = (props) => (
 
 const SafeFarmsScreen = (props) => (
   <ErrorBoundary screenName="Farms">
-    <FarmsScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.FARMS_VIEW}>
+      <FarmsScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
@@ -106,43 +124,105 @@ const SafeFlockPerformanceScreen = (props) => (
 
 const SafeFinancialAnalyticsScreen = (props) => (
   <ErrorBoundary screenName="Financial Analytics">
-    <FinancialAnalyticsScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.FINANCE_VIEW}>
+      <FinancialAnalyticsScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeCustomersScreen = (props) => (
   <ErrorBoundary screenName="Customers">
-    <CustomersScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.SALES_MANAGE}>
+      <CustomersScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeSalesScreen = (props) => (
   <ErrorBoundary screenName="Sales">
-    <SalesScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.SALES_MANAGE}>
+      <SalesScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeSalesAnalyticsScreen = (props) => (
+  <ErrorBoundary screenName="Sales Analytics">
+    <PermissionGate permission={PERMISSIONS.FINANCE_VIEW}>
+      <SalesAnalyticsScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeInvoicesScreen = (props) => (
+  <ErrorBoundary screenName="Invoices">
+    <PermissionGate permission={PERMISSIONS.INVOICES_MANAGE}>
+      <InvoicesScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeInvoiceFormScreen = (props) => (
+  <ErrorBoundary screenName="Invoice Form">
+    <PermissionGate permission={PERMISSIONS.INVOICES_MANAGE}>
+      <InvoiceFormScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeInvoiceDetailsScreen = (props) => (
+  <ErrorBoundary screenName="Invoice Details">
+    <PermissionGate permission={PERMISSIONS.INVOICES_MANAGE}>
+      <InvoiceDetailsScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafePaymentsScreen = (props) => (
+  <ErrorBoundary screenName="Payments">
+    <PermissionGate permission={PERMISSIONS.PAYMENTS_RECORD}>
+      <PaymentsScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeRecordPaymentScreen = (props) => (
+  <ErrorBoundary screenName="Record Payment">
+    <PermissionGate permission={PERMISSIONS.PAYMENTS_RECORD}>
+      <RecordPaymentScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeExpensesScreen = (props) => (
   <ErrorBoundary screenName="Expenses">
-    <ExpensesScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.EXPENSES_MANAGE}>
+      <ExpensesScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeFinancialSummaryScreen = (props) => (
   <ErrorBoundary screenName="Financial Summary">
-    <FinancialSummaryScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.FINANCE_VIEW}>
+      <FinancialSummaryScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeAddSaleScreen = (props) => (
   <ErrorBoundary screenName="Add Sale">
-    <AddSaleScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.SALES_MANAGE}>
+      <AddSaleScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
 const SafeAddExpenseScreen = (props) => (
   <ErrorBoundary screenName="Add Expense">
-    <AddExpenseScreen {...props} />
+    <PermissionGate permission={PERMISSIONS.EXPENSES_MANAGE}>
+      <AddExpenseScreen {...props} />
+    </PermissionGate>
   </ErrorBoundary>
 );
 
@@ -152,12 +232,58 @@ const SafeVaccinationScreen = (props) => (
   </ErrorBoundary>
 );
 
+const SafeVaccinationTemplatesScreen = (props) => (
+  <ErrorBoundary screenName="Vaccination Programmes">
+    <PermissionGate permission={PERMISSIONS.HEALTH_MANAGE}>
+      <VaccinationTemplatesScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeBreedStandardsScreen = (props) => (
+  <ErrorBoundary screenName="Breed Standards">
+    <BreedStandardsScreen {...props} />
+  </ErrorBoundary>
+);
+
 const SafeNotificationSettingsScreen = (props) => (
   <ErrorBoundary screenName="Notification Settings">
     <NotificationSettingsScreen {...props} />
   </ErrorBoundary>
 );
 
+const SafeConflictResolutionScreen = (props) => (
+  <ErrorBoundary screenName="Sync Conflicts">
+    <ConflictResolutionScreen {...props} />
+  </ErrorBoundary>
+);
+
+const SafeMortalityThresholdsScreen = (props) => (
+  <ErrorBoundary screenName="Mortality Alerts">
+    <MortalityThresholdsScreen {...props} />
+  </ErrorBoundary>
+);
+
+const SafeMortalityAlertsScreen = (props) => (
+  <ErrorBoundary screenName="Mortality Alert Inbox">
+    <MortalityAlertsScreen {...props} />
+  </ErrorBoundary>
+);
+
+const SafeFeedInventoryScreen = (props) => (
+  <ErrorBoundary screenName="Feed Inventory">
+    <PermissionGate permission={PERMISSIONS.INVENTORY_MANAGE}>
+      <FeedInventoryScreen {...props} />
+    </PermissionGate>
+  </ErrorBoundary>
+);
+
+const SafeBirdLedgerScreen = (props) => (
+  <ErrorBoundary screenName="Bird Count History">
+    <BirdLedgerScreen {...props} />
+  </ErrorBoundary>
+);
+
 // Profile Stack Navigator
 const ProfileStack = () => {
   const { theme } = useTheme();
@@ -184,6 +310,16 @@ const ProfileStack = () => {
         component={SafeNotificationSettingsScreen}
         options={{ title: 'Notification Settings' }}
       />
+      <Stack.Screen
+        name="SyncConflicts"
+        component={SafeConflictResolutionScreen}
+        options={{ title: 'Sync Conflicts' }}
+      />
+      <Stack.Screen
+        name="MortalityThresholds"
+        component={SafeMortalityThresholdsScreen}
+        options={{ title: 'Mortality Alert Thresholds' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -214,6 +350,11 @@ const AnalyticsStack = () => {
         component={SafeFlockPerformanceScreen}
         options={{ title: 'Flock Performance' }}
       />
+      <Stack.Screen
+        name="BreedStandards"
+        component={SafeBreedStandardsScreen}
+        options={{ title: 'Breed Standards' }}
+      />
       <Stack.Screen
         name="FinancialAnalytics"
         component={SafeFinancialAnalyticsScreen}
@@ -234,11 +375,41 @@ const AnalyticsStack = () => {
         component={SafeSalesScreen}
         options={{ title: 'Sales' }}
       />
+      <Stack.Screen
+        name="SalesAnalytics"
+        component={SafeSalesAnalyticsScreen}
+        options={{ title: 'Sales Analytics' }}
+      />
       <Stack.Screen
         name="AddSale"
         component={SafeAddSaleScreen}
         options={{ title: 'Add Sale' }}
       />
+      <Stack.Screen
+        name="Invoices"
+        component={SafeInvoicesScreen}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="CreateInvoice"
+        component={SafeInvoiceFormScreen}
+        options={({ route }) => ({ title: route.params?.invoiceId ? 'Edit Invoice' : 'New Invoice' })}
+      />
+      <Stack.Screen
+        name="InvoiceDetails"
+        component={SafeInvoiceDetailsScreen}
+        options={{ title: 'Invoice' }}
+      />
+      <Stack.Screen
+        name="Payments"
+        component={SafePaymentsScreen}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="RecordPayment"
+        component={SafeRecordPaymentScreen}
+        options={{ title: 'Record Payment' }}
+      />
       <Stack.Screen
         name="Expenses"
         component={SafeExpensesScreen}
@@ -254,6 +425,26 @@ const AnalyticsStack = () => {
         component={SafeVaccinationScreen}
         options={{ title: 'Vaccination Records' }}
       />
+      <Stack.Screen
+        name="VaccinationTemplates"
+        component={SafeVaccinationTemplatesScreen}
+        options={{ title: 'Vaccination Programmes' }}
+      />
+      <Stack.Screen
+        name="MortalityAlerts"
+        component={SafeMortalityAlertsScreen}
+        options={{ title: 'Mortality Alerts' }}
+      />
+      <Stack.Screen
+        name="FeedInventory"
+        component={SafeFeedInventoryScreen}
+        options={{ title: 'Feed Inventory' }}
+      />
+      <Stack.Screen
+        name="BirdLedger"
+        component={SafeBirdLedgerScreen}
+        options={{ title: 'Bird Count History' }}
+      />
     </Stack.Navigator>
   );
 };
@@ -320,8 +511,7 @@ const MainTabNavigator = () => {
     );
   }
 
-  const { user } = authContext;
-  const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
+  const { can } = authContext;
 
   return (
     <Tab.Navigator
@@ -351,8 +541,8 @@ const MainTabNavigator = () => {
           title: 'Dashboard',
         }}
       />
-      {/* Only managers can access Farms */}
-      {isManager && (
+      {/* Only roles that can see farms get the Farms tab */}
+      {can(PERMISSIONS.FARMS_VIEW) && (
         <Tab.Screen
           name="Farms"
           component={SafeFarmsScreen}
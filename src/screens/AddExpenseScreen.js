@@ -19,6 +19,7 @@ import { useFarms, useBatches } from '../context/DataStoreContext';
 import fastApiService from '../services/fastApiService';
 import ScreenWrapper from '../components/ScreenWrapper';
 import { Ionicons } from '@expo/vector-icons';
+import { RECURRING_FREQUENCY_OPTIONS, RECURRING_PERIOD_NAMES } from '../utils/recurringExpenses';
 
 const AddExpenseScreen = ({ navigation, route }) => {
   const { expense } = route.params || {};
@@ -40,7 +41,7 @@ const AddExpenseScreen = ({ navigation, route }) => {
   const { theme } = themeContext;
   const { isConnected } = offlineContext;
   const { farms, loading: farmsLoading, refresh: refreshFarms } = useFarms();
-  const { batches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
+  const { openBatches: batches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
 
   // Form state
   const [formData, setFormData] = useState({
@@ -56,6 +57,7 @@ const AddExpenseScreen = ({ navigation, route }) => {
     notes: expense?.notes || '',
     farmId: expense?.farmId || null,
     batchId: expense?.batchId || null,
+    recurringFrequency: expense?.isRecurring ? expense.recurringFrequency || '' : '',
   });
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -95,12 +97,6 @@ const AddExpenseScreen = ({ navigation, route }) => {
       return;
     }
 
-    if (!isConnected) {
-      Alert.alert('Offline', 'You are offline. Expense will be saved when connection is restored.');
-      // TODO: Save to offline queue
-      return;
-    }
-
     setSaving(true);
 
     try {
@@ -113,13 +109,16 @@ const AddExpenseScreen = ({ navigation, route }) => {
         amount: parseFloat(formData.amount),
         farmId: formData.farmId || undefined,
         batchId: formData.batchId || undefined,
+        isRecurring: !!formData.recurringFrequency,
+        recurringFrequency: formData.recurringFrequency || null,
       };
 
+      // Saved locally and synced in the background, so this works offline too
       let response;
       if (isEditing) {
-        response = await fastApiService.patch(`/expenses/${expense.id}`, payload);
+        response = await fastApiService.updateExpense(expense.id, payload);
       } else {
-        response = await fastApiService.post('/expenses', payload);
+        response = await fastApiService.createExpense(payload);
       }
 
       if (response.success) {
@@ -134,7 +133,7 @@ const AddExpenseScreen = ({ navigation, route }) => {
           ]
         );
       } else {
-        throw new Error(response.message || 'Failed to save expense');
+        throw new Error(response.error || 'Failed to save expense');
       }
     } catch (error) {
       console.error('Error saving expense:', error);
@@ -275,6 +274,24 @@ const AddExpenseScreen = ({ navigation, route }) => {
             )}
           </View>
 
+          {/* Repeats - not offered on an expense posted from a recurring one */}
+          {!expense?.recurringTemplateId && (
+            <View style={styles(theme).formGroup}>
+              <Text style={[styles(theme).label, { color: theme.text }]}>Repeats</Text>
+              <CustomPicker
+                selectedValue={formData.recurringFrequency}
+                onValueChange={(value) => setFormData({ ...formData, recurringFrequency: value })}
+                items={RECURRING_FREQUENCY_OPTIONS}
+                placeholder="Does not repeat"
+              />
+              {!!formData.recurringFrequency && (
+                <Text style={[styles(theme).hintText, { color: theme.secondaryText }]}>
+                  This expense is recorded again on the same day every {RECURRING_PERIOD_NAMES[formData.recurringFrequency]}. Upcoming ones can be edited or skipped from the Expenses screen.
+                </Text>
+              )}
+            </View>
+          )}
+
           {/* Supplier */}
           <View style={styles(theme).formGroup}>
             <Text style={[styles(theme).label, { color: theme.text }]}>Supplier</Text>
@@ -385,11 +402,13 @@ const AddExpenseScreen = ({ navigation, route }) => {
                     style: 'destructive',
                     onPress: async () => {
                       try {
-                        const response = await fastApiService.delete(`/expenses/${expense.id}`);
+                        const response = await fastApiService.deleteExpense(expense.id);
                         if (response.success) {
                           Alert.alert('Success', 'Expense deleted successfully', [
                             { text: 'OK', onPress: () => navigation.goBack() },
                           ]);
+                        } else {
+                          Alert.alert('Error', response.error || 'Failed to delete expense');
                         }
                       } catch (error) {
                         Alert.alert('Error', 'Failed to delete expense');
@@ -476,6 +495,10 @@ const styles = (theme) => StyleSheet.create({
   dateButtonText: {
     fontSize: 14,
   },
+  hintText: {
+    fontSize: 12,
+    marginTop: 6,
+  },
   errorText: {
     color: '#F44336',
     fontSize: 12,
@@ -15,6 +15,9 @@ import { useNavigation } from '@react-navigation/native';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import CustomPicker from '../components/CustomPicker';
 import fastApiService from '../services/fastApiService';
+import eggInventoryService from '../services/eggInventoryService';
+import { EGG_UNITS, EGG_STOCK_GRADES, UNGRADED, toEggCount, formatTrays } from '../utils/eggGrading';
+import { SALE_PRODUCT_TYPES } from '../utils/salesAnalytics';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
@@ -25,7 +28,7 @@ const AddSaleScreen = () => {
   const { user } = useAuth();
   const { theme } = useTheme();
   const { isConnected } = useOffline();
-  const { batches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
+  const { batches, openBatches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
   const [loading, setLoading] = useState(false);
   const [customers, setCustomers] = useState([]);
 
@@ -37,6 +40,7 @@ const AddSaleScreen = () => {
     productType: 'birds',
     quantity: '',
     unit: 'birds',
+    eggGrade: UNGRADED,
     unitPrice: '',
     totalAmount: '',
     paymentStatus: 'paid',
@@ -78,12 +82,12 @@ const AddSaleScreen = () => {
     try {
       console.log('🔄 AddSaleScreen: Fetching customers...');
 
-      // Use fastApiService for unified data management
-      const customersResponse = await fastApiService.get('customers?limit=100');
+      // Customers are stored locally, so the picker works offline too
+      const customersResponse = await fastApiService.getCustomers();
 
-      if (customersResponse.data?.data) {
-        setCustomers(customersResponse.data.data);
-        console.log(`✅ AddSaleScreen: Loaded ${customersResponse.data.data.length} customers`);
+      if (customersResponse.success && customersResponse.data.length > 0) {
+        setCustomers(customersResponse.data);
+        console.log(`✅ AddSaleScreen: Loaded ${customersResponse.data.length} customers`);
       } else {
         setCustomers([]);
         console.log('ℹ️ AddSaleScreen: No customers found');
@@ -108,6 +112,29 @@ const AddSaleScreen = () => {
     setFormData((prev) => ({ ...prev, amountDue: due.toString() }));
   };
 
+  const isEggSale = formData.productType === 'eggs';
+
+  // Egg stock is per farm when a batch is chosen, otherwise across the organization
+  const selectedBatch = (Array.isArray(batches) ? batches : []).find(batch => String(batch?.id) === String(formData.batchId));
+  const eggStock = isEggSale
+    ? eggInventoryService.getStock(selectedBatch?.farmId ? { farmId: selectedBatch.farmId } : {})
+    : null;
+  const eggsInGrade = eggStock
+    ? (eggStock.grades.find(grade => grade.key === formData.eggGrade)?.eggs || 0)
+    : 0;
+  const eggsSold = isEggSale ? toEggCount(formData.quantity, formData.unit) : 0;
+
+  const handleProductTypeChange = (productType) => {
+    // Eggs are sold by tray by default; other products keep a free-text unit
+    let unit = formData.unit;
+    if (productType === 'eggs') {
+      unit = 'trays';
+    } else if (formData.productType === 'eggs') {
+      unit = productType === 'birds' ? 'birds' : '';
+    }
+    setFormData({ ...formData, productType, unit });
+  };
+
   const handleSubmit = async () => {
     // Validation
     if (!formData.quantity || parseFloat(formData.quantity) <= 0) {
@@ -120,34 +147,34 @@ const AddSaleScreen = () => {
       return;
     }
 
-    // Check if online
-    if (!isConnected) {
-      Alert.alert('Offline', 'You must be online to record sales. Please check your connection.');
+    if (isEggSale && eggsSold > eggsInGrade) {
+      Alert.alert(
+        'Not Enough Eggs in Stock',
+        `This sale is ${formatTrays(eggsSold)} but only ${formatTrays(Math.max(0, eggsInGrade))} of this grade are in stock. Record it anyway?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Record Sale', onPress: submitSale },
+        ]
+      );
       return;
     }
 
+    await submitSale();
+  };
+
+  const submitSale = async () => {
     try {
       setLoading(true);
 
-      // CRITICAL: Map local batchId to server UUID
-      let serverBatchId = undefined;
-      if (formData.batchId) {
-        const selectedBatch = batches.find(b => b.id === formData.batchId);
-        if (selectedBatch && selectedBatch.server_id) {
-          serverBatchId = selectedBatch.server_id;
-          console.log(`🔄 Mapping local batch ${formData.batchId} → server UUID ${serverBatchId}`);
-        } else {
-          console.warn(`⚠️ Selected batch not found or has no server_id. Batch: ${JSON.stringify(selectedBatch)}`);
-        }
-      }
-
+      // Local batch/customer IDs are stored as-is; sync remaps them to server IDs on upload
       const saleData = {
         customerId: formData.customerId || undefined,
-        batchId: serverBatchId,
+        batchId: formData.batchId || undefined,
         saleDate: formData.saleDate.toISOString(),
         productType: formData.productType,
         quantity: parseFloat(formData.quantity),
         unit: formData.unit,
+        eggGrade: isEggSale ? formData.eggGrade : undefined,
         unitPrice: parseFloat(formData.unitPrice),
         totalAmount: parseFloat(formData.totalAmount),
         paymentStatus: formData.paymentStatus,
@@ -163,12 +190,19 @@ const AddSaleScreen = () => {
         deliveryAddress: formData.deliveryAddress || undefined,
       };
 
-      // CRITICAL: Use fastApiService which handles financial record creation automatically
-      // NO need to manually create financial record - backend does this
+      // Saved locally and queued for sync - backend creates the financial record on upload
       const response = await fastApiService.createSale(saleData);
 
       if (response.success) {
-        Alert.alert('Success', 'Sale recorded successfully', [
+        const message = isConnected
+          ? 'Sale recorded successfully'
+          : 'Sale saved offline and will sync when you are back online';
+        // A sale to a known customer can be invoiced straight away
+        Alert.alert('Success', message, [
+          ...(saleData.customerId ? [{
+            text: 'Create Invoice',
+            onPress: () => navigation.replace('CreateInvoice', { saleIds: [response.data.id] }),
+          }] : []),
           { text: 'OK', onPress: () => navigation.goBack() },
         ]);
       } else {
@@ -249,8 +283,8 @@ const AddSaleScreen = () => {
                 setFormData({ ...formData, batchId: value === '' ? '' : parseInt(value) })
               }
               items={[
-                { label: Array.isArray(batches) && batches.length === 0 ? "No batches - Create a batch first" : "-- Select Batch --", value: "" },
-                ...((Array.isArray(batches) ? batches : [])
+                { label: Array.isArray(openBatches) && openBatches.length === 0 ? "No batches - Create a batch first" : "-- Select Batch --", value: "" },
+                ...((Array.isArray(openBatches) ? openBatches : [])
                   .filter(batch => batch && (batch.id || batch._id))
                   .map(batch => ({
                     label: batch.breed && batch.currentCount ? `${batch.batchName || batch.name || 'Unnamed Batch'} - ${batch.breed} (${batch.currentCount} birds)` : (batch.batchName || batch.name || `Batch ${batch.id || batch._id}`),
@@ -261,12 +295,20 @@ const AddSaleScreen = () => {
             />
           </View>
 
-          {renderPicker('Product Type', 'productType', [
-            { label: 'Birds', value: 'birds' },
-            { label: 'Eggs', value: 'eggs' },
-            { label: 'Meat', value: 'meat' },
-            { label: 'Other', value: 'other' },
-          ])}
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Product Type</Text>
+            <CustomPicker
+              selectedValue={formData.productType}
+              onValueChange={handleProductTypeChange}
+              items={SALE_PRODUCT_TYPES.map(type => ({ label: type.label, value: type.key }))}
+              placeholder="Select product type"
+            />
+          </View>
+
+          {isEggSale && renderPicker('Egg Grade', 'eggGrade', EGG_STOCK_GRADES.map(grade => {
+            const inStock = eggStock.grades.find(g => g.key === grade.key)?.eggs || 0;
+            return { label: `${grade.label} (${formatTrays(inStock)} in stock)`, value: grade.key };
+          }))}
 
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Sale Date</Text>
@@ -299,7 +341,14 @@ const AddSaleScreen = () => {
           <Text style={styles.sectionTitle}>Quantity & Pricing</Text>
 
           {renderInput('Quantity', 'quantity', 'Enter quantity', 'numeric')}
-          {renderInput('Unit', 'unit', 'e.g., birds, kg, trays', 'default')}
+          {isEggSale
+            ? renderPicker('Unit', 'unit', EGG_UNITS.map(unit => ({ label: unit.label, value: unit.key })))
+            : renderInput('Unit', 'unit', 'e.g., birds, kg, trays', 'default')}
+          {isEggSale && eggsSold > 0 && (
+            <Text style={[styles.stockHint, eggsSold > eggsInGrade && styles.stockHintWarning]}>
+              {eggsSold} eggs • {formatTrays(Math.max(0, eggsInGrade))} of this grade in stock
+            </Text>
+          )}
           {renderInput('Unit Price', 'unitPrice', 'Enter price per unit', 'numeric')}
 
           <View style={styles.inputGroup}>
@@ -481,6 +530,15 @@ const getStyles = (theme) => StyleSheet.create({
     fontSize: 16,
     color: theme.colors.inputText,
   },
+  stockHint: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  stockHintWarning: {
+    color: theme.colors.warning,
+  },
   totalAmountContainer: {
     backgroundColor: theme.colors.primary + '20',
     borderRadius: 8,
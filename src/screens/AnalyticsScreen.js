@@ -10,6 +10,7 @@ import {
   Alert,
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import { useTheme } from '../context/ThemeContext';
 import fastApiService from '../services/fastApiService';
 import dataEventBus, { EventTypes } from '../services/dataEventBus';
@@ -42,7 +43,7 @@ import ErrorBoundary from '../components/ErrorBoundary';
  * - Updates reflect immediately without manual refresh
  */
 const AnalyticsScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const { theme } = useTheme();
 
   const [loading, setLoading] = useState(true);
@@ -440,7 +441,7 @@ const AnalyticsScreen = ({ navigation }) => {
           {renderCharts()}
 
           {/* Financial Summary */}
-          {analyticsData && analyticsData.financial && (
+          {analyticsData && analyticsData.financial && can(PERMISSIONS.FINANCE_VIEW) && (
             <>
               <Text style={styles(theme).sectionTitle}>Financial Summary</Text>
               <View style={styles(theme).financialCard}>
@@ -467,6 +468,30 @@ const AnalyticsScreen = ({ navigation }) => {
             </>
           )}
 
+          {/* Layer Performance: latest week of lay per layer batch */}
+          {analyticsData?.production?.layerPerformance?.length > 0 && (
+            <>
+              <Text style={styles(theme).sectionTitle}>Layer Performance</Text>
+              <View style={styles(theme).financialCard}>
+                {analyticsData.production.layerPerformance.map((layer) => (
+                  <View key={layer.batchId} style={styles(theme).financialRow}>
+                    <Text style={styles(theme).financialLabel}>
+                      {layer.batchName} (week {layer.weekOfLay})
+                    </Text>
+                    <Text
+                      style={[
+                        styles(theme).financialValue,
+                        layer.standardPct !== null && layer.henDayPct < layer.standardPct - 5 && { color: theme.colors.error }
+                      ]}
+                    >
+                      {layer.henDayPct}%{layer.standardPct !== null ? ` / ${layer.standardPct}% std` : ''}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            </>
+          )}
+
           {/* Info Footer */}
           <View style={styles(theme).infoFooter}>
             <Text style={styles(theme).infoText}>
@@ -13,9 +13,16 @@ import {
   ScrollView,
 } from 'react-native';
 import CustomPicker from '../components/CustomPicker';
+import VaccinationProgrammeModal from '../components/VaccinationProgrammeModal';
+import BatchCloseoutModal from '../components/BatchCloseoutModal';
+import BirdTransferModal from '../components/BirdTransferModal';
 import fastApiService from '../services/fastApiService';
 import fastDatabase from '../services/fastDatabase';
+import vaccinationProgrammeService from '../services/vaccinationProgrammeService';
+import batchCloseoutService from '../services/batchCloseoutService';
+import { isArchivedBatch, getCloseReasonLabel } from '../utils/batchCloseout';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, getPermissionDeniedMessage } from '../utils/permissions';
 import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
 import { useDashboardRefresh } from '../context/DashboardRefreshContext';
@@ -24,7 +31,7 @@ import { useFarms } from '../context/DataStoreContext';
 import dataEventBus from '../services/dataEventBus';
 
 const BatchesScreen = ({ route, navigation }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const { theme } = useTheme();
   const { isConnected } = useOffline();
   const { triggerDashboardRefresh, refreshTrigger } = useDashboardRefresh();
@@ -35,6 +42,13 @@ const BatchesScreen = ({ route, navigation }) => {
   const [modalVisible, setModalVisible] = useState(false);
   const [editingBatch, setEditingBatch] = useState(null);
   const [dataSource, setDataSource] = useState(null);
+  // Newly placed batch waiting for a vaccination programme choice
+  const [programmeBatch, setProgrammeBatch] = useState(null);
+  // Batch being closed out, and whether archived batches are listed
+  const [closeoutBatch, setCloseoutBatch] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  // Batch the birds are being transferred from
+  const [transferBatch, setTransferBatch] = useState(null);
   const [formData, setFormData] = useState({
     batchName: '',
     farmId: '',
@@ -140,14 +154,13 @@ const BatchesScreen = ({ route, navigation }) => {
   useEffect(() => {
     if (route?.params?.openAddModal === true) {
       // Only open modal after data is loaded and if user has permission
-      const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-      if (!loading && isManager) {
+      if (!loading && can(PERMISSIONS.BATCHES_CREATE)) {
         openModal();
         // Clear the param to prevent reopening on subsequent renders
         navigation.setParams({ openAddModal: false });
       }
     }
-  }, [route?.params?.openAddModal, loading, user?.role]);
+  }, [route?.params?.openAddModal, loading, can]);
 
   // DataEventBus already handles all batch refreshes automatically
   // No need to listen to dashboard refresh triggers for batches
@@ -189,7 +202,10 @@ const BatchesScreen = ({ route, navigation }) => {
           initialCount: batch.initialCount || batch.initial_count || 0,
           currentCount: batch.currentCount || batch.current_count || 0,
           arrivalDate: batch.arrivalDate || batch.arrival_date || batch.startDate || new Date().toISOString(),
-          status: batch.status || 'active'
+          status: batch.status || 'active',
+          closedAt: batch.closedAt || null,
+          closeReason: batch.closeReason || null,
+          closeoutSummary: batch.closeoutSummary || null
         }));
 
         setBatches(batchesData);
@@ -276,11 +292,11 @@ const BatchesScreen = ({ route, navigation }) => {
   const openModal = (batch = null) => {
     console.log('🔵 BUTTON PRESSED: openModal called', { batch: batch?.batchName || 'new', userRole: user?.role });
 
-    // Check if user has permission to create/edit batches (only managers and above)
-    const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-    if (!isManager) {
+    // Check if user's role may create or edit batches
+    const permission = batch ? PERMISSIONS.BATCHES_EDIT : PERMISSIONS.BATCHES_CREATE;
+    if (!can(permission)) {
       console.log('❌ Access denied - user role:', user?.role);
-      Alert.alert('Access Denied', 'Only managers can create or edit batches. Contact your manager if you need to make changes.');
+      Alert.alert('Access Denied', getPermissionDeniedMessage(permission));
       return;
     }
 
@@ -511,6 +527,11 @@ const BatchesScreen = ({ route, navigation }) => {
 
         if (response.success) {
           Alert.alert('Success', 'Batch created successfully!');
+
+          // Offer a vaccination programme when one exists for this bird type
+          if (response.data?.id && vaccinationProgrammeService.getTemplates(batchData.birdType).length > 0) {
+            setProgrammeBatch({ ...batchData, id: response.data.id });
+          }
         } else {
           // CRASH FIX: Extract detailed error message if available
           const errorDetail = response.error || response.message || 'Server returned an error';
@@ -538,11 +559,10 @@ const BatchesScreen = ({ route, navigation }) => {
   const handleDeleteBatch = (batch) => {
     console.log('🔴 BUTTON PRESSED: handleDeleteBatch called', { batch: batch?.batchName || batch?.name, userRole: user?.role });
 
-    // Check if user has permission to delete batches (only managers and above)
-    const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-    if (!isManager) {
+    // Check if user's role may delete batches
+    if (!can(PERMISSIONS.BATCHES_DELETE)) {
       console.log('❌ Delete access denied - user role:', user?.role);
-      Alert.alert('Access Denied', 'Only managers can delete batches. Contact your manager if you need to remove this batch.');
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.BATCHES_DELETE));
       return;
     }
 
@@ -580,11 +600,42 @@ const BatchesScreen = ({ route, navigation }) => {
     );
   };
 
+  const openCloseout = (batch) => {
+    if (!can(PERMISSIONS.BATCHES_EDIT)) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.BATCHES_EDIT));
+      return;
+    }
+    setCloseoutBatch(batch);
+  };
+
+  const openTransfer = (batch) => {
+    if (!can(PERMISSIONS.BATCHES_EDIT)) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.BATCHES_EDIT));
+      return;
+    }
+    setTransferBatch(batch);
+  };
+
+  const handleBirdsTransferred = (transfer) => {
+    // DataEventBus refreshes both batches
+    Alert.alert('Birds Transferred', `${transfer.quantity} birds moved.`);
+    triggerDashboardRefresh();
+  };
+
+  const handleBatchClosed = (summary) => {
+    Alert.alert(
+      'Batch Archived',
+      `Livability ${summary.livability}% | FCR ${summary.fcr > 0 ? summary.fcr.toFixed(2) : 'N/A'} | EPEF ${summary.epef > 0 ? summary.epef : 'N/A'}`
+    );
+    triggerDashboardRefresh();
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       active: theme.colors.success,
       completed: theme.colors.info,
       inactive: theme.colors.textSecondary,
+      archived: theme.colors.textLight,
     };
     return colors[status] || theme.colors.textSecondary;
   };
@@ -594,6 +645,7 @@ const BatchesScreen = ({ route, navigation }) => {
       active: '🟢',
       completed: '✅',
       inactive: '⏸️',
+      archived: '🗄️',
     };
     return icons[status] || '🔵';
   };
@@ -622,6 +674,9 @@ const BatchesScreen = ({ route, navigation }) => {
       return null;
     }
 
+    const archived = isArchivedBatch(item);
+    const closeoutSummary = archived ? batchCloseoutService.getSummary(item) : null;
+
     return (
       <View style={[styles(theme).batchCard, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}>
         <View style={[styles(theme).batchHeader, { borderBottomColor: theme.colors.border }]}>
@@ -635,22 +690,37 @@ const BatchesScreen = ({ route, navigation }) => {
           </View>
         </View>
         <View style={styles(theme).batchActions}>
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+          {/* Archived batches are locked - they can only be deleted */}
+          {can(PERMISSIONS.BATCHES_EDIT) && !archived && (
             <>
               <TouchableOpacity
                 style={styles(theme).editButton}
-                onPress={() => openModal(item)}
+                onPress={() => openTransfer(item)}
               >
-                <Text style={styles(theme).editButtonText}>✏️</Text>
+                <Text style={styles(theme).editButtonText}>🔀</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles(theme).editButton}
+                onPress={() => openCloseout(item)}
+              >
+                <Text style={styles(theme).editButtonText}>🏁</Text>
               </TouchableOpacity>
               <TouchableOpacity
-                style={styles(theme).deleteButton}
-                onPress={() => handleDeleteBatch(item)}
+                style={styles(theme).editButton}
+                onPress={() => openModal(item)}
               >
-                <Text style={styles(theme).deleteButtonText}>🗑️</Text>
+                <Text style={styles(theme).editButtonText}>✏️</Text>
               </TouchableOpacity>
             </>
           )}
+          {can(PERMISSIONS.BATCHES_DELETE) && (
+            <TouchableOpacity
+              style={styles(theme).deleteButton}
+              onPress={() => handleDeleteBatch(item)}
+            >
+              <Text style={styles(theme).deleteButtonText}>🗑️</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
 
@@ -687,9 +757,28 @@ const BatchesScreen = ({ route, navigation }) => {
           </View>
         </View>
 
+        <TouchableOpacity
+          style={styles(theme).historyLink}
+          onPress={() => navigation.navigate('Analytics', { screen: 'BirdLedger', params: { batchId: item.id } })}
+        >
+          <Text style={[styles(theme).historyLinkText, { color: theme.colors.primary }]}>📒 Bird count history ›</Text>
+        </TouchableOpacity>
+
+        {closeoutSummary && (
+          <View style={[styles(theme).closeoutSummary, { backgroundColor: theme.colors.background }]}>
+            <Text style={[styles(theme).closeoutText, { color: theme.colors.text }]}>
+              Livability {closeoutSummary.livability}%  •  FCR {closeoutSummary.fcr > 0 ? closeoutSummary.fcr.toFixed(2) : 'N/A'}  •  EPEF {closeoutSummary.epef > 0 ? closeoutSummary.epef : 'N/A'}
+            </Text>
+            <Text style={[styles(theme).closeoutText, { color: theme.colors.textSecondary }]}>
+              {can(PERMISSIONS.COSTS_VIEW) && `Cost per kg ${closeoutSummary.costPerKg > 0 ? closeoutSummary.costPerKg.toFixed(2) : 'N/A'}  •  `}{closeoutSummary.birdsSold} sold, {closeoutSummary.birdsCulled} culled
+            </Text>
+          </View>
+        )}
+
         <View style={[styles(theme).batchMeta, { borderTopColor: theme.colors.border }]}>
           <Text style={[styles(theme).batchDate, { color: theme.colors.textLight }]}>
             Arrived: {formatDate(item.arrivalDate || item.startDate)}
+            {archived && item.closedAt ? `  |  Closed: ${formatDate(item.closedAt)} (${getCloseReasonLabel(item.closeReason)})` : ''}
           </Text>
         </View>
       </View>
@@ -706,6 +795,9 @@ const BatchesScreen = ({ route, navigation }) => {
     }
   };
 
+  const archivedCount = batches.filter(isArchivedBatch).length;
+  const visibleBatches = showArchived ? batches : batches.filter(batch => !isArchivedBatch(batch));
+
   if (loading) {
     return (
       <View style={[styles(theme).loadingContainer, { backgroundColor: theme.colors.background }]}>
@@ -720,7 +812,7 @@ const BatchesScreen = ({ route, navigation }) => {
       {/* Header */}
       <View style={[styles(theme).header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.border }]}>
         <Text style={[styles(theme).headerTitle, { color: theme.colors.text }]}>Poultry Batches</Text>
-        {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+        {can(PERMISSIONS.BATCHES_CREATE) && (
           <TouchableOpacity
             style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]}
             onPress={() => openModal()}
@@ -730,17 +822,28 @@ const BatchesScreen = ({ route, navigation }) => {
         )}
       </View>
 
+      {archivedCount > 0 && (
+        <TouchableOpacity
+          style={[styles(theme).archivedToggle, { borderBottomColor: theme.colors.border }]}
+          onPress={() => setShowArchived(prev => !prev)}
+        >
+          <Text style={[styles(theme).archivedToggleText, { color: theme.colors.primary }]}>
+            {showArchived ? 'Hide' : 'Show'} archived batches ({archivedCount})
+          </Text>
+        </TouchableOpacity>
+      )}
+
       {/* Batches List */}
-      {!Array.isArray(batches) || batches.length === 0 ? (
+      {!Array.isArray(batches) || visibleBatches.length === 0 ? (
         <View style={styles(theme).emptyContainer}>
           <Text style={styles(theme).emptyIcon}>🐔</Text>
           <Text style={[styles(theme).emptyTitle, { color: theme.colors.text }]}>No Batches Yet</Text>
           <Text style={[styles(theme).emptyText, { color: theme.colors.textSecondary }]}>
-            {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner')
+            {can(PERMISSIONS.BATCHES_CREATE)
               ? 'Create your first poultry batch to start managing your birds'
               : 'No batches have been created yet. Ask your manager to create a batch.'}
           </Text>
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+          {can(PERMISSIONS.BATCHES_CREATE) && (
             <TouchableOpacity
               style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]}
               onPress={() => openModal()}
@@ -751,7 +854,7 @@ const BatchesScreen = ({ route, navigation }) => {
         </View>
       ) : (
         <FlatList
-          data={batches}
+          data={visibleBatches}
           renderItem={renderBatchCard}
           contentContainerStyle={styles(theme).batchesList}
           refreshControl={
@@ -944,6 +1047,29 @@ const BatchesScreen = ({ route, navigation }) => {
           </View>
         </View>
       </Modal>
+
+      <BatchCloseoutModal
+        visible={!!closeoutBatch}
+        batch={closeoutBatch}
+        onClose={() => setCloseoutBatch(null)}
+        onClosed={handleBatchClosed}
+      />
+
+      <BirdTransferModal
+        visible={!!transferBatch}
+        batch={transferBatch}
+        batches={batches}
+        farms={farms}
+        onClose={() => setTransferBatch(null)}
+        onTransferred={handleBirdsTransferred}
+      />
+
+      <VaccinationProgrammeModal
+        visible={!!programmeBatch}
+        onClose={() => setProgrammeBatch(null)}
+        batches={programmeBatch ? [programmeBatch] : []}
+        initialBatchId={programmeBatch?.id}
+      />
     </View>
   );
 };
@@ -1081,6 +1207,33 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 11,
     marginTop: 2,
   },
+  historyLink: {
+    alignSelf: 'flex-start',
+    paddingVertical: 6,
+    marginBottom: 4,
+  },
+  historyLinkText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  closeoutSummary: {
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  closeoutText: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  archivedToggle: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  archivedToggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   batchMeta: {
     borderTopWidth: 1,
     paddingTop: 10,
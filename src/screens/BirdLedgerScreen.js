@@ -0,0 +1,494 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import CustomPicker from '../components/CustomPicker';
+import birdLedgerService from '../services/birdLedgerService';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { useTheme } from '../context/ThemeContext';
+import { MANUAL_MOVEMENT_TYPES, getMovementType } from '../utils/birdLedger';
+import { isArchivedBatch } from '../utils/batchCloseout';
+
+const MOVEMENT_OPTIONS = MANUAL_MOVEMENT_TYPES.map(key => ({ label: getMovementType(key).label, value: key }));
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const EMPTY_FORM = { movementType: 'cull', quantity: '', date: today(), notes: '' };
+
+const formatDate = (value) => {
+  if (!value) return 'No date';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+};
+
+/**
+ * Bird count history of one batch: every movement with the running balance,
+ * and a warning when the stored count no longer matches the ledger
+ */
+const BirdLedgerScreen = ({ route, navigation }) => {
+  const { user, can } = useAuth();
+  const { theme } = useTheme();
+  const batchId = route?.params?.batchId;
+  const [history, setHistory] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const canManage = can(PERMISSIONS.BATCHES_EDIT);
+  const archived = isArchivedBatch(history?.batch);
+
+  const loadHistory = useCallback(() => {
+    try {
+      setHistory(birdLedgerService.getBatchHistory(batchId));
+    } catch (error) {
+      console.error('❌ BirdLedgerScreen: Failed to load bird history:', error);
+      setHistory(null);
+    }
+  }, [batchId]);
+
+  useEffect(() => {
+    loadHistory();
+    const unsubscribe = navigation?.addListener?.('focus', loadHistory);
+    return unsubscribe;
+  }, [loadHistory, navigation]);
+
+  const openForm = () => {
+    setFormData({ ...EMPTY_FORM, date: today() });
+    setShowForm(true);
+  };
+
+  const handleSave = () => {
+    try {
+      birdLedgerService.addMovement(batchId, formData, user);
+      setShowForm(false);
+      loadHistory();
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+    }
+  };
+
+  const handleDelete = (movement) => {
+    Alert.alert(
+      'Delete Movement',
+      `Delete this ${getMovementType(movement.movement_type).label.toLowerCase()} of ${Math.abs(movement.quantity)} birds? The batch count will be recalculated.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              birdLedgerService.deleteMovement(movement);
+              loadHistory();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to delete movement');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleReconcile = () => {
+    const { ledgerCount, storedCount, difference } = history.reconciliation;
+    Alert.alert(
+      'Reconcile Bird Count',
+      `The batch shows ${storedCount} birds but its movements add up to ${ledgerCount}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: `Post adjustment (${difference > 0 ? '+' : ''}${difference})`,
+          onPress: () => {
+            try {
+              setHistory(birdLedgerService.reconcile(batchId, 'adjust', user));
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+        {
+          text: `Use ledger count (${ledgerCount})`,
+          onPress: () => {
+            try {
+              setHistory(birdLedgerService.reconcile(batchId, 'recount', user));
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderMovement = ({ item }) => {
+    const type = getMovementType(item.movement_type);
+    const manual = !item.source_table;
+
+    return (
+      <View style={styles(theme).movementRow}>
+        <Text style={styles(theme).movementIcon}>{type.icon}</Text>
+        <View style={styles(theme).movementInfo}>
+          <Text style={styles(theme).movementTitle}>{type.label}</Text>
+          <Text style={styles(theme).movementSubtitle}>
+            {formatDate(item.movement_date)}{item.notes ? ` • ${item.notes}` : ''}{manual ? ' • Entered by hand' : ''}
+          </Text>
+        </View>
+        <View style={styles(theme).movementFigures}>
+          <Text style={[styles(theme).movementQuantity, { color: item.quantity >= 0 ? theme.colors.success : theme.colors.error }]}>
+            {item.quantity > 0 ? '+' : ''}{item.quantity}
+          </Text>
+          <Text style={styles(theme).movementBalance}>{item.balance}</Text>
+        </View>
+        {manual && canManage && !archived && (
+          <TouchableOpacity style={styles(theme).iconButton} onPress={() => handleDelete(item)}>
+            <Text style={styles(theme).iconText}>🗑️</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  if (!history) {
+    return (
+      <View style={styles(theme).container}>
+        <View style={styles(theme).emptyContainer}>
+          <Text style={styles(theme).emptyIcon}>🐔</Text>
+          <Text style={styles(theme).emptyText}>Batch not found</Text>
+        </View>
+      </View>
+    );
+  }
+
+  const { batch, movements, reconciliation } = history;
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).header}>
+        <View style={styles(theme).headerTitleBlock}>
+          <Text style={styles(theme).headerTitle}>{batch.batch_name || 'Batch'}</Text>
+          <Text style={styles(theme).headerSubtitle}>
+            {reconciliation.ledgerCount} birds by the ledger • {reconciliation.storedCount} stored
+          </Text>
+        </View>
+        {canManage && !archived && (
+          <TouchableOpacity style={styles(theme).addButton} onPress={openForm}>
+            <Text style={styles(theme).addButtonText}>+ Movement</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!reconciliation.inBalance && (
+        <View style={styles(theme).mismatchBanner}>
+          <Text style={styles(theme).mismatchText}>
+            ⚠️ Stored count is {reconciliation.difference > 0 ? `${reconciliation.difference} more` : `${-reconciliation.difference} fewer`} than the movements add up to.
+            This usually comes from a count changed by sync or on another device.
+          </Text>
+          {canManage && !archived && (
+            <TouchableOpacity style={styles(theme).reconcileButton} onPress={handleReconcile}>
+              <Text style={styles(theme).reconcileText}>Reconcile</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <View style={styles(theme).columnHeader}>
+        <Text style={styles(theme).columnHeading}>Movement</Text>
+        <Text style={styles(theme).columnHeading}>Birds • Balance</Text>
+      </View>
+
+      <FlatList
+        data={movements}
+        renderItem={renderMovement}
+        keyExtractor={(item) => String(item.id)}
+        contentContainerStyle={styles(theme).list}
+        ListEmptyComponent={
+          <View style={styles(theme).emptyContainer}>
+            <Text style={styles(theme).emptyIcon}>📒</Text>
+            <Text style={styles(theme).emptyText}>No bird movements yet</Text>
+          </View>
+        }
+      />
+
+      <Modal animationType="slide" transparent={true} visible={showForm} onRequestClose={() => setShowForm(false)}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <ScrollView>
+              <Text style={styles(theme).modalTitle}>New Bird Movement</Text>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Type *</Text>
+                <CustomPicker
+                  selectedValue={formData.movementType}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, movementType: value }))}
+                  items={MOVEMENT_OPTIONS}
+                  placeholder="Select movement"
+                />
+              </View>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Number of birds *</Text>
+                <TextInput
+                  style={styles(theme).formInput}
+                  placeholder={formData.movementType === 'adjustment' ? 'e.g., -3 or 5' : 'e.g., 10'}
+                  placeholderTextColor={theme.colors.placeholder}
+                  value={formData.quantity}
+                  onChangeText={(text) => setFormData(prev => ({ ...prev, quantity: text }))}
+                  keyboardType={formData.movementType === 'adjustment' ? 'numbers-and-punctuation' : 'numeric'}
+                />
+                {formData.movementType === 'adjustment' && (
+                  <Text style={styles(theme).hintText}>Use a minus sign for birds missing at a head count.</Text>
+                )}
+              </View>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Date</Text>
+                <TextInput
+                  style={styles(theme).formInput}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor={theme.colors.placeholder}
+                  value={formData.date}
+                  onChangeText={(text) => setFormData(prev => ({ ...prev, date: text }))}
+                />
+              </View>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>{formData.movementType === 'adjustment' ? 'Reason *' : 'Notes'}</Text>
+                <TextInput
+                  style={styles(theme).formInput}
+                  placeholder={formData.movementType === 'adjustment' ? 'e.g., Head count on 12 May' : 'Optional'}
+                  placeholderTextColor={theme.colors.placeholder}
+                  value={formData.notes}
+                  onChangeText={(text) => setFormData(prev => ({ ...prev, notes: text }))}
+                />
+              </View>
+
+              <View style={styles(theme).modalActions}>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                  onPress={() => setShowForm(false)}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                  onPress={handleSave}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    backgroundColor: theme.colors.surface,
+    borderBottomColor: theme.colors.border,
+  },
+  headerTitleBlock: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    marginTop: 4,
+    color: theme.colors.textSecondary,
+  },
+  addButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+  },
+  addButtonText: {
+    color: theme.colors.buttonText,
+    fontWeight: 'bold',
+  },
+  mismatchBanner: {
+    margin: 20,
+    marginBottom: 0,
+    padding: 15,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.warning,
+    backgroundColor: theme.colors.surface,
+  },
+  mismatchText: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  reconcileButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: theme.colors.warning,
+  },
+  reconcileText: {
+    color: theme.colors.buttonText,
+    fontWeight: 'bold',
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  columnHeading: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+  },
+  list: {
+    padding: 20,
+    paddingTop: 10,
+  },
+  movementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    borderWidth: 1,
+    backgroundColor: theme.colors.surface,
+    borderColor: theme.colors.border,
+  },
+  movementIcon: {
+    fontSize: 22,
+    marginRight: 10,
+  },
+  movementInfo: {
+    flex: 1,
+  },
+  movementTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  movementSubtitle: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  movementFigures: {
+    alignItems: 'flex-end',
+    marginLeft: 10,
+  },
+  movementQuantity: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  movementBalance: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  iconButton: {
+    minWidth: 44,
+    minHeight: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconText: {
+    fontSize: 20,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 20,
+    color: theme.colors.text,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  hintText: {
+    fontSize: 13,
+    marginTop: 6,
+    color: theme.colors.textSecondary,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BirdLedgerScreen;
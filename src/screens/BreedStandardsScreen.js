@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import CustomPicker from '../components/CustomPicker';
+import breedStandardService from '../services/breedStandardService';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, getPermissionDeniedMessage } from '../utils/permissions';
+import { useTheme } from '../context/ThemeContext';
+
+const BIRD_TYPE_OPTIONS = [
+  { label: 'Any bird type', value: '' },
+  { label: 'Broiler', value: 'Broiler' },
+  { label: 'Layer', value: 'Layer' },
+  { label: 'Dual Purpose', value: 'Dual Purpose' },
+  { label: 'Turkey', value: 'Turkey' },
+  { label: 'Duck', value: 'Duck' },
+  { label: 'Other', value: 'Other' },
+];
+
+// Editor columns: field, short heading, keyboard
+const POINT_COLUMNS = [
+  { field: 'day', heading: 'Day', keyboardType: 'numeric' },
+  { field: 'bodyWeightG', heading: 'Weight g', keyboardType: 'numeric' },
+  { field: 'dailyFeedG', heading: 'Feed g/d', keyboardType: 'numeric' },
+  { field: 'cumulativeFcr', heading: 'FCR', keyboardType: 'decimal-pad' },
+  { field: 'mortalityPct', heading: 'Mort %', keyboardType: 'decimal-pad' },
+];
+
+// Laying curves are by day of lay (day 0 = first egg)
+const LAYER_POINT_COLUMNS = [
+  { field: 'day', heading: 'Day of lay', keyboardType: 'numeric' },
+  { field: 'henDayPct', heading: 'Hen-day %', keyboardType: 'decimal-pad' },
+  { field: 'mortalityPct', heading: 'Mort %', keyboardType: 'decimal-pad' },
+];
+
+const getPointColumns = (birdType) => (birdType === 'Layer' ? LAYER_POINT_COLUMNS : POINT_COLUMNS);
+
+const EMPTY_POINT = { day: '', bodyWeightG: '', dailyFeedG: '', cumulativeFcr: '', mortalityPct: '', henDayPct: '' };
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const BreedStandardsScreen = () => {
+  const { can } = useAuth();
+  const { theme } = useTheme();
+  const [standards, setStandards] = useState([]);
+  const [editingStandard, setEditingStandard] = useState(null);
+  const [formData, setFormData] = useState({ name: '', birdType: '', points: [] });
+
+  const canManage = can(PERMISSIONS.SETTINGS_MANAGE);
+
+  const loadStandards = useCallback(() => {
+    setStandards(breedStandardService.getStandards());
+  }, []);
+
+  useEffect(() => {
+    loadStandards();
+  }, [loadStandards]);
+
+  const openEditor = (standard = null) => {
+    if (!canManage) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.SETTINGS_MANAGE));
+      return;
+    }
+
+    setEditingStandard(standard || {});
+    setFormData({
+      name: standard?.name || '',
+      birdType: standard?.bird_type || 'Broiler',
+      points: standard?.points?.length
+        ? standard.points.map(point => Object.keys(EMPTY_POINT).reduce((row, field) => ({ ...row, [field]: toText(point[field]) }), {}))
+        : [{ ...EMPTY_POINT }, { ...EMPTY_POINT }],
+    });
+  };
+
+  const closeEditor = () => {
+    setEditingStandard(null);
+    setFormData({ name: '', birdType: '', points: [] });
+  };
+
+  const updatePoint = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      points: prev.points.map((point, pointIndex) => (pointIndex === index ? { ...point, [field]: value } : point)),
+    }));
+  };
+
+  const removePoint = (index) => {
+    setFormData(prev => ({ ...prev, points: prev.points.filter((_, pointIndex) => pointIndex !== index) }));
+  };
+
+  const handleSave = () => {
+    try {
+      breedStandardService.saveStandard({
+        id: editingStandard?.id,
+        name: formData.name,
+        birdType: formData.birdType || null,
+        points: formData.points.map(point => ({
+          ...point,
+          day: point.day === '' ? NaN : Number(point.day),
+        })),
+      });
+      closeEditor();
+      loadStandards();
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+    }
+  };
+
+  const handleDelete = (standard) => {
+    if (!canManage) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.SETTINGS_MANAGE));
+      return;
+    }
+
+    Alert.alert(
+      'Delete Breed Standard',
+      `Delete "${standard.name}"? Batches will no longer be benchmarked against it.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              breedStandardService.deleteStandard(standard.id);
+              loadStandards();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to delete breed standard');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderStandard = ({ item }) => (
+    <View style={styles(theme).card}>
+      <View style={styles(theme).cardHeader}>
+        <View style={styles(theme).cardTitleBlock}>
+          <Text style={styles(theme).cardTitle}>{item.name}</Text>
+          <Text style={styles(theme).cardSubtitle}>
+            {item.bird_type || 'Any bird type'} • {item.points.length} points{item.is_default ? ' • Bundled' : ''}
+          </Text>
+        </View>
+        {canManage && (
+          <View style={styles(theme).cardActions}>
+            <TouchableOpacity style={styles(theme).iconButton} onPress={() => openEditor(item)}>
+              <Text style={styles(theme).iconText}>✏️</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles(theme).iconButton} onPress={() => handleDelete(item)}>
+              <Text style={styles(theme).iconText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+      <View style={styles(theme).pointRow}>
+        {getPointColumns(item.bird_type).map(column => (
+          <Text key={column.field} style={styles(theme).pointHeading}>{column.heading}</Text>
+        ))}
+      </View>
+      {item.points.map(point => (
+        <View key={point.day} style={styles(theme).pointRow}>
+          {getPointColumns(item.bird_type).map(column => (
+            <Text key={column.field} style={styles(theme).pointValue}>{toText(point[column.field]) || '-'}</Text>
+          ))}
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).header}>
+        <Text style={styles(theme).headerTitle}>Breed Standards</Text>
+        {canManage && (
+          <TouchableOpacity style={styles(theme).addButton} onPress={() => openEditor()}>
+            <Text style={styles(theme).addButtonText}>+ New</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={standards}
+        renderItem={renderStandard}
+        keyExtractor={(item) => String(item.id)}
+        contentContainerStyle={styles(theme).list}
+        ListEmptyComponent={
+          <View style={styles(theme).emptyContainer}>
+            <Text style={styles(theme).emptyIcon}>📈</Text>
+            <Text style={styles(theme).emptyText}>No breed standards yet</Text>
+          </View>
+        }
+      />
+
+      <Modal animationType="slide" transparent={true} visible={!!editingStandard} onRequestClose={closeEditor}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <ScrollView>
+              <Text style={styles(theme).modalTitle}>
+                {editingStandard?.id ? 'Edit Breed Standard' : 'New Breed Standard'}
+              </Text>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Name *</Text>
+                <TextInput
+                  style={styles(theme).formInput}
+                  placeholder="e.g., Ross 308"
+                  placeholderTextColor={theme.colors.placeholder}
+                  value={formData.name}
+                  onChangeText={(text) => setFormData(prev => ({ ...prev, name: text }))}
+                />
+              </View>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Bird Type</Text>
+                <CustomPicker
+                  selectedValue={formData.birdType}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, birdType: value }))}
+                  items={BIRD_TYPE_OPTIONS}
+                  placeholder="Any bird type"
+                />
+              </View>
+
+              <Text style={styles(theme).formLabel}>{formData.birdType === 'Layer' ? 'Laying curve by day of lay *' : 'Curve by day of age *'}</Text>
+              <Text style={styles(theme).hintText}>
+                {formData.birdType === 'Layer' ? 'Day 0 is the first egg. ' : ''}
+                Values between days are interpolated. Leave a cell empty if the handbook has no figure.
+              </Text>
+              <View style={styles(theme).pointRow}>
+                {getPointColumns(formData.birdType).map(column => (
+                  <Text key={column.field} style={styles(theme).pointHeading}>{column.heading}</Text>
+                ))}
+                <View style={styles(theme).removeButton} />
+              </View>
+              {formData.points.map((point, index) => (
+                <View key={index} style={styles(theme).pointEditorRow}>
+                  {getPointColumns(formData.birdType).map(column => (
+                    <TextInput
+                      key={column.field}
+                      style={[styles(theme).formInput, styles(theme).pointInput]}
+                      placeholderTextColor={theme.colors.placeholder}
+                      value={point[column.field]}
+                      onChangeText={(text) => updatePoint(index, column.field, text)}
+                      keyboardType={column.keyboardType}
+                    />
+                  ))}
+                  <TouchableOpacity style={styles(theme).removeButton} onPress={() => removePoint(index)}>
+                    <Text style={styles(theme).removeText}>✕</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+
+              <TouchableOpacity
+                style={styles(theme).addItemButton}
+                onPress={() => setFormData(prev => ({ ...prev, points: [...prev.points, { ...EMPTY_POINT }] }))}
+              >
+                <Text style={styles(theme).addItemText}>+ Add day</Text>
+              </TouchableOpacity>
+
+              <View style={styles(theme).modalActions}>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                  onPress={closeEditor}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                  onPress={handleSave}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    backgroundColor: theme.colors.surface,
+    borderBottomColor: theme.colors.border,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  addButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+  },
+  addButtonText: {
+    color: theme.colors.buttonText,
+    fontWeight: 'bold',
+  },
+  list: {
+    padding: 20,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    backgroundColor: theme.colors.surface,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  cardTitleBlock: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  cardActions: {
+    flexDirection: 'row',
+  },
+  iconButton: {
+    minWidth: 44,
+    minHeight: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconText: {
+    fontSize: 20,
+  },
+  pointRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  pointHeading: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  pointValue: {
+    flex: 1,
+    fontSize: 14,
+    textAlign: 'center',
+    color: theme.colors.text,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '96%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 16,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 20,
+    color: theme.colors.text,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  hintText: {
+    fontSize: 13,
+    marginBottom: 10,
+    color: theme.colors.textSecondary,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  pointEditorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 8,
+  },
+  pointInput: {
+    flex: 1,
+    paddingHorizontal: 4,
+    textAlign: 'center',
+  },
+  removeButton: {
+    minWidth: 32,
+    minHeight: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removeText: {
+    fontSize: 18,
+    color: theme.colors.error,
+  },
+  addItemButton: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  addItemText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BreedStandardsScreen;
@@ -0,0 +1,470 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+import fastDatabase from '../services/fastDatabase';
+import dataEventBus, { EventTypes } from '../services/dataEventBus';
+import ScreenWrapper from '../components/ScreenWrapper';
+import {
+  getConflictFields,
+  getConflictTableLabel,
+  getFieldLabel,
+  buildResolvedValues,
+  keepsLocalValues,
+} from '../utils/conflictFields';
+
+// Server foreign keys are shown and written as the local ids they map to
+const resolveLocalId = (tableName, serverId) => fastDatabase.getLocalIdForServerId(tableName, serverId);
+
+const ConflictResolutionScreen = () => {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [conflicts, setConflicts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selectedConflict, setSelectedConflict] = useState(null);
+  const [choices, setChoices] = useState({});
+  const [showAllFields, setShowAllFields] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const loadConflicts = () => {
+    try {
+      const pending = fastDatabase.getPendingConflicts();
+      setConflicts(Array.isArray(pending) ? pending : []);
+    } catch (error) {
+      console.error('Error loading sync conflicts:', error);
+      setConflicts([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadConflicts();
+    setRefreshing(false);
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      loadConflicts();
+    }, [])
+  );
+
+  const openConflict = (conflict) => {
+    setSelectedConflict(conflict);
+    setChoices({});
+    setShowAllFields(false);
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  const formatDetectedAt = (date) => {
+    if (!date) return 'Unknown time';
+    return new Date(date.replace(' ', 'T')).toLocaleString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const getRecordTitle = (conflict) => {
+    const data = conflict.local_data || {};
+    const name = data.farm_name || data.batch_name || data.name || data.date || data.sale_date || data.expense_date;
+    return `${getConflictTableLabel(conflict.table_name)}${name ? ` · ${name}` : ` #${conflict.local_id}`}`;
+  };
+
+  const applyResolution = (strategy) => {
+    if (!selectedConflict) return;
+
+    const fields = getConflictFields(selectedConflict, resolveLocalId);
+    const requeue = keepsLocalValues(fields, strategy, choices);
+    const values = buildResolvedValues(fields, strategy, choices);
+    // A merge that kept nothing local is just server wins
+    const resolution = strategy === 'merged' && !requeue ? 'server_wins' : strategy;
+
+    try {
+      setSaving(true);
+      fastDatabase.applyConflictResolution(
+        selectedConflict.id,
+        resolution,
+        values,
+        requeue,
+        user?.id ? String(user.id) : 'user'
+      );
+
+      dataEventBus.emit(EventTypes.SYNC_CONFLICT_RESOLVED, {
+        tableName: selectedConflict.table_name,
+        localId: selectedConflict.local_id,
+        serverId: selectedConflict.server_id,
+        resolution,
+      }, { debounce: false });
+
+      Alert.alert(
+        'Conflict Resolved',
+        requeue
+          ? 'Your version was saved and will be sent to the server on the next sync.'
+          : 'The server version has been kept.'
+      );
+      setSelectedConflict(null);
+      loadConflicts();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      Alert.alert('Error', error.message || 'Failed to resolve conflict. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderConflictItem = ({ item }) => {
+    const differing = getConflictFields(item, resolveLocalId).filter(field => field.differs).length;
+
+    return (
+      <TouchableOpacity style={styles(theme).conflictCard} onPress={() => openConflict(item)}>
+        <View style={styles(theme).conflictIcon}>
+          <Ionicons name="git-compare-outline" size={22} color={theme.colors.warning} />
+        </View>
+        <View style={styles(theme).conflictInfo}>
+          <Text style={styles(theme).conflictTitle} numberOfLines={1}>{getRecordTitle(item)}</Text>
+          <Text style={styles(theme).conflictMeta}>
+            {differing} field{differing === 1 ? '' : 's'} differ · {formatDetectedAt(item.detected_at)}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color={theme.colors.textSecondary} />
+      </TouchableOpacity>
+    );
+  };
+
+  const renderFieldRow = (item) => {
+    const choice = choices[item.field] || 'server';
+    const selectable = item.differs;
+
+    return (
+      <View key={item.field} style={[styles(theme).fieldRow, item.differs && styles(theme).fieldRowDiffers]}>
+        <Text style={styles(theme).fieldLabel}>{getFieldLabel(item.field)}</Text>
+        <View style={styles(theme).fieldValues}>
+          <TouchableOpacity
+            disabled={!selectable}
+            style={[styles(theme).valueCell, selectable && choice === 'local' && styles(theme).valueCellSelected]}
+            onPress={() => setChoices({ ...choices, [item.field]: 'local' })}
+          >
+            <Text style={styles(theme).valueText}>{formatValue(item.localValue)}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            disabled={!selectable}
+            style={[styles(theme).valueCell, selectable && choice === 'server' && styles(theme).valueCellSelected]}
+            onPress={() => setChoices({ ...choices, [item.field]: 'server' })}
+          >
+            <Text style={styles(theme).valueText}>{formatValue(item.serverValue)}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderConflictDetail = () => {
+    const fields = getConflictFields(selectedConflict, resolveLocalId);
+    const visibleFields = showAllFields ? fields : fields.filter(field => field.differs);
+
+    return (
+      <ScrollView contentContainerStyle={styles(theme).detailContent}>
+        <TouchableOpacity style={styles(theme).backRow} onPress={() => setSelectedConflict(null)}>
+          <Ionicons name="arrow-back" size={20} color={theme.colors.primary} />
+          <Text style={styles(theme).backText}>All conflicts</Text>
+        </TouchableOpacity>
+
+        <Text style={styles(theme).detailTitle}>{getRecordTitle(selectedConflict)}</Text>
+        <Text style={styles(theme).detailSubtitle}>
+          This record was edited on this device and on the server. The server version was applied during sync.
+          Tap a value to choose it for a merge.
+        </Text>
+
+        <View style={styles(theme).columnHeader}>
+          <Text style={[styles(theme).fieldLabel, styles(theme).columnHeaderText]}>Field</Text>
+          <View style={styles(theme).fieldValues}>
+            <Text style={[styles(theme).valueHeader, styles(theme).columnHeaderText]}>This device</Text>
+            <Text style={[styles(theme).valueHeader, styles(theme).columnHeaderText]}>Server</Text>
+          </View>
+        </View>
+
+        {visibleFields.length > 0 ? (
+          visibleFields.map(renderFieldRow)
+        ) : (
+          <Text style={styles(theme).noDiffText}>No field values differ - only the edit times clashed.</Text>
+        )}
+
+        <TouchableOpacity onPress={() => setShowAllFields(!showAllFields)}>
+          <Text style={styles(theme).toggleText}>
+            {showAllFields ? 'Show only differing fields' : 'Show all fields'}
+          </Text>
+        </TouchableOpacity>
+
+        <View style={styles(theme).actions}>
+          <TouchableOpacity
+            style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+            disabled={saving}
+            onPress={() => applyResolution('local_wins')}
+          >
+            <Text style={styles(theme).actionText}>Keep Mine</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles(theme).actionButton, { backgroundColor: theme.colors.info }]}
+            disabled={saving}
+            onPress={() => applyResolution('server_wins')}
+          >
+            <Text style={styles(theme).actionText}>Keep Server</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity
+          style={[styles(theme).actionButton, styles(theme).mergeButton]}
+          disabled={saving}
+          onPress={() => applyResolution('merged')}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color={theme.colors.buttonText} />
+          ) : (
+            <Text style={styles(theme).actionText}>Apply Merge</Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles(theme).loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+        <Text style={styles(theme).loadingText}>Loading conflicts...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScreenWrapper>
+      <View style={styles(theme).container}>
+        {selectedConflict ? (
+          renderConflictDetail()
+        ) : (
+          <FlatList
+            data={conflicts}
+            renderItem={renderConflictItem}
+            keyExtractor={(item) => String(item.id)}
+            contentContainerStyle={styles(theme).listContent}
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+            ListEmptyComponent={
+              <View style={styles(theme).emptyContainer}>
+                <Ionicons name="checkmark-done-circle-outline" size={64} color={theme.colors.success} />
+                <Text style={styles(theme).emptyText}>No sync conflicts</Text>
+                <Text style={styles(theme).emptySubtext}>
+                  Edits made offline that clash with server changes will appear here
+                </Text>
+              </View>
+            }
+          />
+        )}
+      </View>
+    </ScreenWrapper>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  listContent: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  conflictCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  conflictIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.warning + '20',
+    marginRight: 12,
+  },
+  conflictInfo: {
+    flex: 1,
+  },
+  conflictTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  conflictMeta: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginTop: 4,
+  },
+  detailContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  backRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  backText: {
+    marginLeft: 6,
+    fontSize: 15,
+    color: theme.colors.primary,
+    fontWeight: '500',
+  },
+  detailTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  detailSubtitle: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 16,
+    lineHeight: 18,
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  columnHeaderText: {
+    fontWeight: '700',
+    color: theme.colors.textSecondary,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  fieldRowDiffers: {
+    backgroundColor: theme.colors.warning + '10',
+  },
+  fieldLabel: {
+    width: 110,
+    fontSize: 13,
+    color: theme.colors.text,
+    paddingRight: 8,
+  },
+  fieldValues: {
+    flex: 1,
+    flexDirection: 'row',
+  },
+  valueHeader: {
+    flex: 1,
+    fontSize: 13,
+    paddingHorizontal: 6,
+  },
+  valueCell: {
+    flex: 1,
+    padding: 6,
+    marginHorizontal: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  valueCellSelected: {
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.primary + '15',
+  },
+  valueText: {
+    fontSize: 13,
+    color: theme.colors.text,
+  },
+  noDiffText: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    paddingVertical: 16,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: theme.colors.primary,
+    marginTop: 12,
+    fontWeight: '500',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 24,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+  },
+  mergeButton: {
+    flex: 0,
+    marginTop: 12,
+    backgroundColor: theme.colors.warning,
+  },
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
+  emptyContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 64,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+    marginTop: 8,
+    textAlign: 'center',
+    paddingHorizontal: 32,
+  },
+});
+
+export default ConflictResolutionScreen;
@@ -14,12 +14,17 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { useTheme } from '../context/ThemeContext';
-import api from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import fastApiService from '../services/fastApiService';
+import receivablesService from '../services/receivablesService';
 
 const CustomersScreen = () => {
   const navigation = useNavigation();
   const { theme } = useTheme();
+  const { user } = useAuth();
   const [customers, setCustomers] = useState([]);
+  const [receivables, setReceivables] = useState({});
+  const [sharingStatementFor, setSharingStatementFor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
@@ -28,10 +33,23 @@ const CustomersScreen = () => {
   const fetchCustomers = async () => {
     try {
       setLoading(true);
-      const response = await api.get('/api/v1/customers?page=1&limit=100');
+      // Local-first: customers load from SQLite and work without signal
+      const response = await fastApiService.getCustomers();
 
-      if (response.data && response.data.data) {
-        setCustomers(response.data.data);
+      if (response.success) {
+        setCustomers(response.data);
+      } else {
+        throw new Error(response.error || 'Failed to load customers');
+      }
+
+      // Balances include invoices and payments, not just unpaid sales
+      const receivablesResponse = await fastApiService.getReceivables();
+      if (receivablesResponse.success && receivablesResponse.data) {
+        setReceivables(Object.fromEntries(
+          receivablesResponse.data.customers
+            .filter(customer => customer.customerId)
+            .map(customer => [String(customer.customerId), customer])
+        ));
       }
     } catch (error) {
       console.error('Error fetching customers:', error);
@@ -63,6 +81,34 @@ const CustomersScreen = () => {
     return `UGX ${Number(amount).toLocaleString()}`;
   };
 
+  const shareStatement = async (customer, from = null) => {
+    try {
+      setSharingStatementFor(customer.id);
+      await receivablesService.shareStatement(customer.id, {
+        from,
+        businessName: user?.organizationName || user?.organization_name,
+      });
+    } catch (error) {
+      console.error('Error sharing statement:', error);
+      Alert.alert('Error', error.message || 'Failed to create the statement');
+    } finally {
+      setSharingStatementFor(null);
+    }
+  };
+
+  const handleStatement = (customer) => {
+    const threeMonthsAgo = new Date();
+    threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
+    const yearStart = `${new Date().getFullYear()}-01-01`;
+
+    Alert.alert('Customer Statement', `Share a statement of account for ${customer.name}`, [
+      { text: 'Last 3 Months', onPress: () => shareStatement(customer, threeMonthsAgo.toISOString().split('T')[0]) },
+      { text: 'This Year', onPress: () => shareStatement(customer, yearStart) },
+      { text: 'All Time', onPress: () => shareStatement(customer) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
   const getCustomerTypeColor = (type) => {
     switch (type) {
       case 'retail':
@@ -76,82 +122,109 @@ const CustomersScreen = () => {
     }
   };
 
-  const renderCustomerItem = ({ item }) => (
-    <TouchableOpacity
-      style={styles(theme).customerCard}
-      onPress={() => navigation.navigate('CustomerDetails', { customerId: item.id })}
-    >
-      <View style={styles(theme).customerHeader}>
-        <View style={styles(theme).avatarContainer}>
-          <Text style={styles(theme).avatarText}>
-            {item.name.substring(0, 2).toUpperCase()}
-          </Text>
-        </View>
+  const renderCustomerItem = ({ item }) => {
+    const owed = receivables[String(item.id)];
+    const balance = owed ? owed.balance : item.balance || 0;
 
-        <View style={styles(theme).customerInfo}>
-          <Text style={styles(theme).customerName}>{item.name}</Text>
-          <View style={styles(theme).contactRow}>
-            <Ionicons name="call-outline" size={14} color={theme.colors.textSecondary} />
-            <Text style={styles(theme).contactText}>{item.phone}</Text>
+    return (
+      <TouchableOpacity
+        style={styles(theme).customerCard}
+        onPress={() => navigation.navigate('CustomerDetails', { customerId: item.id })}
+      >
+        <View style={styles(theme).customerHeader}>
+          <View style={styles(theme).avatarContainer}>
+            <Text style={styles(theme).avatarText}>
+              {item.name.substring(0, 2).toUpperCase()}
+            </Text>
           </View>
-          {item.email && (
+
+          <View style={styles(theme).customerInfo}>
+            <Text style={styles(theme).customerName}>{item.name}</Text>
             <View style={styles(theme).contactRow}>
-              <Ionicons name="mail-outline" size={14} color={theme.colors.textSecondary} />
-              <Text style={styles(theme).contactText}>{item.email}</Text>
+              <Ionicons name="call-outline" size={14} color={theme.colors.textSecondary} />
+              <Text style={styles(theme).contactText}>{item.phone}</Text>
             </View>
-          )}
-        </View>
+            {item.email && (
+              <View style={styles(theme).contactRow}>
+                <Ionicons name="mail-outline" size={14} color={theme.colors.textSecondary} />
+                <Text style={styles(theme).contactText}>{item.email}</Text>
+              </View>
+            )}
+          </View>
 
-        <View
-          style={[
-            styles(theme).typeBadge,
-            { backgroundColor: getCustomerTypeColor(item.customerType) },
-          ]}
-        >
-          <Text style={styles(theme).typeText}>
-            {item.customerType.toUpperCase()}
-          </Text>
+          <View
+            style={[
+              styles(theme).typeBadge,
+              { backgroundColor: getCustomerTypeColor(item.customerType) },
+            ]}
+          >
+            <Text style={styles(theme).typeText}>
+              {item.customerType.toUpperCase()}
+            </Text>
+          </View>
         </View>
-      </View>
 
-      <View style={styles(theme).statsSection}>
-        <View style={styles(theme).statItem}>
-          <Ionicons name="receipt-outline" size={20} color={theme.colors.textSecondary} />
-          <Text style={styles(theme).statLabel}>Orders</Text>
-          <Text style={styles(theme).statValue}>{item.totalOrders || 0}</Text>
-        </View>
+        <View style={styles(theme).statsSection}>
+          <View style={styles(theme).statItem}>
+            <Ionicons name="receipt-outline" size={20} color={theme.colors.textSecondary} />
+            <Text style={styles(theme).statLabel}>Orders</Text>
+            <Text style={styles(theme).statValue}>{item.totalOrders || 0}</Text>
+          </View>
 
-        <View style={styles(theme).statDivider} />
+          <View style={styles(theme).statDivider} />
 
-        <View style={styles(theme).statItem}>
-          <Ionicons name="cash-outline" size={20} color="#22C55E" />
-          <Text style={styles(theme).statLabel}>Total Sales</Text>
-          <Text style={styles(theme).statValue}>
-            {formatCurrency(item.totalSales || 0)}
-          </Text>
-        </View>
+          <View style={styles(theme).statItem}>
+            <Ionicons name="cash-outline" size={20} color="#22C55E" />
+            <Text style={styles(theme).statLabel}>Total Sales</Text>
+            <Text style={styles(theme).statValue}>
+              {formatCurrency(item.totalSales || 0)}
+            </Text>
+          </View>
 
-        <View style={styles(theme).statDivider} />
+          <View style={styles(theme).statDivider} />
 
-        <View style={styles(theme).statItem}>
-          <Ionicons name="wallet-outline" size={20} color="#F59E0B" />
-          <Text style={styles(theme).statLabel}>Balance</Text>
-          <Text style={styles(theme).statValue}>
-            {formatCurrency(item.balance || 0)}
-          </Text>
+          <View style={styles(theme).statItem}>
+            <Ionicons name="wallet-outline" size={20} color="#F59E0B" />
+            <Text style={styles(theme).statLabel}>{balance < 0 ? 'Credit' : 'Balance'}</Text>
+            <Text style={styles(theme).statValue}>
+              {formatCurrency(Math.abs(balance))}
+            </Text>
+          </View>
         </View>
-      </View>
 
-      {item.lastPurchaseDate && (
-        <View style={styles(theme).lastPurchaseRow}>
-          <Ionicons name="time-outline" size={14} color={theme.colors.textSecondary} />
-          <Text style={styles(theme).lastPurchaseText}>
-            Last purchase: {new Date(item.lastPurchaseDate).toLocaleDateString('en-GB')}
+        {item.lastPurchaseDate && (
+          <View style={styles(theme).lastPurchaseRow}>
+            <Ionicons name="time-outline" size={14} color={theme.colors.textSecondary} />
+            <Text style={styles(theme).lastPurchaseText}>
+              Last purchase: {new Date(item.lastPurchaseDate).toLocaleDateString('en-GB')}
+            </Text>
+          </View>
+        )}
+
+        <View style={styles(theme).statementRow}>
+          <Text style={[styles(theme).overdueText, owed?.overdue > 0 && { color: '#DC2626' }]}>
+            {owed?.overdue > 0
+              ? `${formatCurrency(owed.overdue)} overdue since ${new Date(owed.oldestDueDate).toLocaleDateString('en-GB')}`
+              : 'Nothing overdue'}
           </Text>
+          <TouchableOpacity
+            style={styles(theme).statementButton}
+            onPress={() => handleStatement(item)}
+            disabled={sharingStatementFor === item.id}
+          >
+            {sharingStatementFor === item.id ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <>
+                <Ionicons name="document-text-outline" size={16} color={theme.colors.primary} />
+                <Text style={styles(theme).statementButtonText}>Statement</Text>
+              </>
+            )}
+          </TouchableOpacity>
         </View>
-      )}
-    </TouchableOpacity>
-  );
+      </TouchableOpacity>
+    );
+  };
 
   if (loading) {
     return (
@@ -183,7 +256,8 @@ const CustomersScreen = () => {
       <FlatList
         data={filteredCustomers}
         renderItem={renderCustomerItem}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => String(item.id)}
+        extraData={[receivables, sharingStatementFor]}
         ListEmptyComponent={
           <View style={styles(theme).emptyContainer}>
             <Ionicons name="people-outline" size={64} color={theme.colors.border} />
@@ -243,7 +317,10 @@ const AddCustomerModal = ({ visible, onClose, onSuccess }) => {
 
     try {
       setLoading(true);
-      await api.post('/api/v1/customers', formData);
+      const response = await fastApiService.createCustomer(formData);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to create customer');
+      }
       Alert.alert('Success', 'Customer added successfully');
       setFormData({
         name: '',
@@ -259,7 +336,7 @@ const AddCustomerModal = ({ visible, onClose, onSuccess }) => {
       console.error('Error creating customer:', error);
       Alert.alert(
         'Error',
-        error.response?.data?.message || 'Failed to create customer'
+        error.message || 'Failed to create customer'
       );
     } finally {
       setLoading(false);
@@ -516,6 +593,32 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 12,
     color: theme.colors.textSecondary,
   },
+  statementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  overdueText: {
+    flex: 1,
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+  },
+  statementButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  statementButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -11,12 +11,14 @@ import {
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, ROLES } from '../utils/permissions';
 import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
 import { useDashboardRefresh } from '../context/DashboardRefreshContext';
 import fastApiService from '../services/fastApiService';
 import notificationService from '../services/notificationService';
 import mortalityMonitor from '../services/mortalityMonitor';
+import eggInventoryService from '../services/eggInventoryService';
 import dataEventBus, { EventTypes } from '../services/dataEventBus';
 import OfflineIndicator from '../components/OfflineIndicator';
 import ScreenWrapper from '../components/ScreenWrapper';
@@ -43,7 +45,7 @@ const DashboardScreen = ({ navigation }) => {
     );
   }
 
-  const { user } = authContext;
+  const { user, role, can } = authContext;
   const { theme } = themeContext;
   const { isConnected, performSync } = offlineContext;
   const { refreshTrigger, resetRefreshTrigger } = dashboardRefreshContext;
@@ -53,6 +55,8 @@ const DashboardScreen = ({ navigation }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [dataSource, setDataSource] = useState(null);
   const [mortalityAlerts, setMortalityAlerts] = useState([]);
+  const [unresolvedAlertCount, setUnresolvedAlertCount] = useState(0);
+  const [eggStock, setEggStock] = useState(null);
 
   // CRASH FIX: Track component mount status with ref to prevent state updates after unmount
   const isMountedRef = useRef(true);
@@ -180,6 +184,10 @@ const DashboardScreen = ({ navigation }) => {
       dataEventBus.subscribe(EventTypes.BATCH_CREATED, handleRecordChange),
       dataEventBus.subscribe(EventTypes.BATCH_UPDATED, handleRecordChange),
       dataEventBus.subscribe(EventTypes.BATCH_DELETED, handleRecordChange),
+      dataEventBus.subscribe(EventTypes.MORTALITY_ALERT_UPDATED, handleRecordChange),
+      dataEventBus.subscribe(EventTypes.SALE_CREATED, handleRecordChange),
+      dataEventBus.subscribe(EventTypes.SALE_UPDATED, handleRecordChange),
+      dataEventBus.subscribe(EventTypes.SALE_DELETED, handleRecordChange),
     ];
 
     // Cleanup: unsubscribe from all events when component unmounts
@@ -237,8 +245,15 @@ const DashboardScreen = ({ navigation }) => {
         const alerts = await mortalityMonitor.getActiveMortalityAlerts();
         if (isMountedRef.current) {
           setMortalityAlerts(alerts || []);
+          setUnresolvedAlertCount(mortalityMonitor.getUnresolvedAlertCount());
           console.log(`📊 Loaded ${alerts?.length || 0} active mortality alerts`);
         }
+
+        // Egg stock: production in, egg sales out
+        const stock = eggInventoryService.getStock();
+        if (isMountedRef.current) {
+          setEggStock(stock.hasEntries ? stock : null);
+        }
       } else {
         // No data found - show zero state
         const emptyData = {
@@ -437,9 +452,12 @@ const DashboardScreen = ({ navigation }) => {
           </View>
           <View style={[styles.roleIndicator, { backgroundColor: 'rgba(255,255,255,0.2)' }]}>
             <Text style={styles.roleText}>
-              {user?.role === 'manager' ? '👨‍💼' :
-               user?.role === 'admin' ? '⭐' :
-               user?.role === 'owner' ? '👑' : '👷'}
+              {role === ROLES.MANAGER ? '👨‍💼' :
+               role === ROLES.ADMIN ? '⭐' :
+               role === ROLES.OWNER ? '👑' :
+               role === ROLES.SUPERVISOR ? '📋' :
+               role === ROLES.VET ? '🩺' :
+               role === ROLES.ACCOUNTANT ? '🧾' : '👷'}
             </Text>
             <Text style={[styles.roleLabel, { color: theme.colors.headerText }]}>
               {user?.role || 'User'}
@@ -461,8 +479,8 @@ const DashboardScreen = ({ navigation }) => {
         <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Farm Overview</Text>
 
         <View style={styles.statsGrid}>
-          {/* Show farms stat only to managers */}
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+          {/* Show farms stat only to roles that can see farms */}
+          {can(PERMISSIONS.FARMS_VIEW) && (
             <StatCard
               title="Total Farms"
               value={dashboardData?.totalFarms || 0}
@@ -494,8 +512,18 @@ const DashboardScreen = ({ navigation }) => {
             color={theme.colors.link}
           />
 
+          {eggStock && (
+            <StatCard
+              title="Egg Stock"
+              value={eggStock.totalLabel}
+              subtitle={eggStock.grades.map(grade => `${grade.short} ${grade.eggs}`).join(' • ') || 'No eggs in stock'}
+              icon="🥚"
+              color={theme.colors.warning}
+            />
+          )}
+
           {/* Worker-specific stat */}
-          {user?.role === 'worker' && (
+          {role === ROLES.FARM_WORKER && (
             <StatCard
               title="My Records"
               value={dashboardData?.myRecordsToday || 0}
@@ -508,10 +536,18 @@ const DashboardScreen = ({ navigation }) => {
       </View>
 
       {/* Mortality Alerts */}
-      {mortalityAlerts.length > 0 && (
+      {(mortalityAlerts.length > 0 || unresolvedAlertCount > 0) && (
         <View style={styles.section}>
-          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Mortality Alerts ⚠️</Text>
+          <View style={styles.sectionHeaderRow}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Mortality Alerts ⚠️</Text>
+            <TouchableOpacity onPress={() => navigation.navigate('MortalityAlerts')}>
+              <Text style={[styles.sectionLink, { color: theme.colors.primary }]}>
+                Inbox{unresolvedAlertCount > 0 ? ` (${unresolvedAlertCount} open)` : ''} →
+              </Text>
+            </TouchableOpacity>
+          </View>
 
+          {mortalityAlerts.length > 0 && (
           <View style={[styles.alertsContainer, { backgroundColor: theme.colors.cardBackground }]}>
             {mortalityAlerts.map((alert, index) => {
               const alertColors = {
@@ -596,12 +632,13 @@ const DashboardScreen = ({ navigation }) => {
                   </View>
 
                   <Text style={[styles.alertAction, { color: colors.border }]}>
-                    Tap for details →
+                    {alert.alertStatus === 'acknowledged' ? 'Acknowledged • ' : ''}Tap for details →
                   </Text>
                 </TouchableOpacity>
               );
             })}
           </View>
+          )}
         </View>
       )}
 
@@ -660,29 +697,29 @@ const DashboardScreen = ({ navigation }) => {
             <Text style={[styles.quickActionText, { color: theme.colors.text }]}>Health Check</Text>
           </TouchableOpacity>
 
-          {/* Manager-only actions */}
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
-            <>
-              <TouchableOpacity
-                style={[styles.quickActionButton, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}
-                onPress={handleAddBatch}
-                activeOpacity={0.7}
-                disabled={loading || refreshing}
-              >
-                <Text style={styles.quickActionIcon}>🐔</Text>
-                <Text style={[styles.quickActionText, { color: theme.colors.text }]}>Add Batch</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity
-                style={[styles.quickActionButton, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}
-                onPress={handleManageFarms}
-                activeOpacity={0.7}
-                disabled={loading || refreshing}
-              >
-                <Text style={styles.quickActionIcon}>🏠</Text>
-                <Text style={[styles.quickActionText, { color: theme.colors.text }]}>Manage Farms</Text>
-              </TouchableOpacity>
-            </>
+          {/* Batch and farm actions for roles that may make them */}
+          {can(PERMISSIONS.BATCHES_CREATE) && (
+            <TouchableOpacity
+              style={[styles.quickActionButton, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}
+              onPress={handleAddBatch}
+              activeOpacity={0.7}
+              disabled={loading || refreshing}
+            >
+              <Text style={styles.quickActionIcon}>🐔</Text>
+              <Text style={[styles.quickActionText, { color: theme.colors.text }]}>Add Batch</Text>
+            </TouchableOpacity>
+          )}
+
+          {can(PERMISSIONS.FARMS_MANAGE) && (
+            <TouchableOpacity
+              style={[styles.quickActionButton, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}
+              onPress={handleManageFarms}
+              activeOpacity={0.7}
+              disabled={loading || refreshing}
+            >
+              <Text style={styles.quickActionIcon}>🏠</Text>
+              <Text style={[styles.quickActionText, { color: theme.colors.text }]}>Manage Farms</Text>
+            </TouchableOpacity>
           )}
 
           {/* Always show reports for all users */}
@@ -697,7 +734,7 @@ const DashboardScreen = ({ navigation }) => {
           </TouchableOpacity>
 
           {/* Worker-specific actions */}
-          {user?.role === 'worker' && (
+          {role === ROLES.FARM_WORKER && (
             <TouchableOpacity
               style={[styles.quickActionButton, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}
               onPress={handleRecordEggs}
@@ -842,6 +879,15 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 15,
   },
+  sectionHeaderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  sectionLink: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   statsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -10,16 +10,20 @@ import {
   TouchableOpacity,
   FlatList,
   TextInput,
+  Modal,
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
 import fastApiService from '../services/fastApiService';
+import recurringExpenseService from '../services/recurringExpenseService';
 import OfflineIndicator from '../components/OfflineIndicator';
 import ScreenWrapper from '../components/ScreenWrapper';
 import LoadingState from '../components/LoadingState';
 import { Ionicons } from '@expo/vector-icons';
+import { PERMISSIONS } from '../utils/permissions';
+import { OCCURRENCE_STATUS } from '../utils/recurringExpenses';
 
 const ExpensesScreen = ({ navigation, route }) => {
   // Context validation
@@ -36,7 +40,7 @@ const ExpensesScreen = ({ navigation, route }) => {
     );
   }
 
-  const { user } = authContext;
+  const { user, can } = authContext;
   const { theme } = themeContext;
   const { isConnected } = offlineContext;
 
@@ -50,6 +54,9 @@ const ExpensesScreen = ({ navigation, route }) => {
     endDate: null,
   });
   const [searchQuery, setSearchQuery] = useState('');
+  const [upcoming, setUpcoming] = useState([]);
+  const [editingOccurrence, setEditingOccurrence] = useState(null);
+  const canManageExpenses = can(PERMISSIONS.EXPENSES_MANAGE);
 
   const isMountedRef = useRef(true);
 
@@ -96,6 +103,11 @@ const ExpensesScreen = ({ navigation, route }) => {
       if (summaryResponse.success && isMountedRef.current) {
         setSummary(summaryResponse.data || []);
       }
+
+      // RECURRING EXPENSES: What the recurring ones will cost over the next 30 days
+      if (isMountedRef.current) {
+        setUpcoming(recurringExpenseService.getUpcoming());
+      }
     } catch (error) {
       console.error('Error loading expenses:', error);
       if (isMountedRef.current) {
@@ -143,6 +155,33 @@ const ExpensesScreen = ({ navigation, route }) => {
     );
   };
 
+  const handleSkipOccurrence = (occurrence) => {
+    const skipped = occurrence.status === OCCURRENCE_STATUS.SKIPPED;
+    try {
+      if (skipped) {
+        recurringExpenseService.restoreOccurrence(occurrence.templateId, occurrence.occurrenceDate);
+      } else {
+        recurringExpenseService.skipOccurrence(occurrence.templateId, occurrence.occurrenceDate);
+      }
+      setUpcoming(recurringExpenseService.getUpcoming());
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update recurring expense');
+    }
+  };
+
+  const handleSaveOccurrence = () => {
+    try {
+      recurringExpenseService.updateOccurrence(editingOccurrence.templateId, editingOccurrence.occurrenceDate, {
+        amount: editingOccurrence.amount,
+        description: editingOccurrence.description,
+      });
+      setEditingOccurrence(null);
+      setUpcoming(recurringExpenseService.getUpcoming());
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update recurring expense');
+    }
+  };
+
   const getCategoryIcon = (category) => {
     const icons = {
       batch_purchase: 'cart-outline',
@@ -251,6 +290,57 @@ const ExpensesScreen = ({ navigation, route }) => {
     );
   };
 
+  const renderUpcomingRecurring = () => {
+    if (upcoming.length === 0) return null;
+
+    const totalUpcoming = upcoming
+      .filter(occurrence => occurrence.status !== OCCURRENCE_STATUS.SKIPPED)
+      .reduce((sum, occurrence) => sum + parseFloat(occurrence.amount || 0), 0);
+
+    return (
+      <View style={[styles(theme).summaryCard, { backgroundColor: theme.cardBackground }]}>
+        <View style={styles(theme).upcomingHeader}>
+          <Text style={[styles(theme).summaryTitle, { color: theme.text, marginBottom: 0 }]}>Upcoming Recurring</Text>
+          <Text style={[styles(theme).upcomingTotal, { color: theme.text }]}>{formatCurrency(totalUpcoming)}</Text>
+        </View>
+        <Text style={[styles(theme).upcomingSubtitle, { color: theme.secondaryText }]}>Next 30 days</Text>
+        {upcoming.map(occurrence => {
+          const skipped = occurrence.status === OCCURRENCE_STATUS.SKIPPED;
+          return (
+            <View key={`${occurrence.templateId}-${occurrence.occurrenceDate}`} style={styles(theme).upcomingItem}>
+              <Ionicons name={getCategoryIcon(occurrence.category)} size={16} color={getCategoryColor(occurrence.category)} />
+              <View style={styles(theme).upcomingInfo}>
+                <Text style={[styles(theme).upcomingDescription, { color: theme.text }, skipped && styles(theme).skippedText]}>
+                  {occurrence.description}
+                </Text>
+                <Text style={[styles(theme).upcomingMeta, { color: theme.secondaryText }]}>
+                  {formatDate(occurrence.occurrenceDate)} • {occurrence.frequency}{skipped ? ' • skipped' : occurrence.edited ? ' • edited' : ''}
+                </Text>
+              </View>
+              <Text style={[styles(theme).upcomingAmount, { color: theme.text }, skipped && styles(theme).skippedText]}>
+                {formatCurrency(occurrence.amount)}
+              </Text>
+              {canManageExpenses && (
+                <View style={styles(theme).upcomingActions}>
+                  {!skipped && (
+                    <TouchableOpacity
+                      onPress={() => setEditingOccurrence({ ...occurrence, amount: String(occurrence.amount) })}
+                    >
+                      <Ionicons name="create-outline" size={20} color="#2E8B57" />
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity onPress={() => handleSkipOccurrence(occurrence)}>
+                    <Ionicons name={skipped ? 'arrow-undo-outline' : 'play-skip-forward-outline'} size={20} color={skipped ? '#2E8B57' : '#FF9800'} />
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   if (loading) {
     return <LoadingState message="Loading expenses..." />;
   }
@@ -322,6 +412,9 @@ const ExpensesScreen = ({ navigation, route }) => {
         {/* Summary Card */}
         {renderSummaryCard()}
 
+        {/* Upcoming Recurring Expenses */}
+        {renderUpcomingRecurring()}
+
         {/* Expenses List */}
         <FlatList
           data={expenses}
@@ -342,6 +435,42 @@ const ExpensesScreen = ({ navigation, route }) => {
           }
           contentContainerStyle={expenses.length === 0 ? styles(theme).emptyListContainer : styles(theme).listContainer}
         />
+
+        {/* Edit one upcoming occurrence of a recurring expense */}
+        <Modal animationType="slide" transparent={true} visible={!!editingOccurrence} onRequestClose={() => setEditingOccurrence(null)}>
+          <View style={styles(theme).modalOverlay}>
+            <View style={[styles(theme).modalContent, { backgroundColor: theme.cardBackground }]}>
+              <Text style={[styles(theme).modalTitle, { color: theme.text }]}>Edit Upcoming Expense</Text>
+              <Text style={[styles(theme).upcomingMeta, { color: theme.secondaryText }]}>
+                {editingOccurrence ? formatDate(editingOccurrence.occurrenceDate) : ''} only - later ones keep the usual amount
+              </Text>
+
+              <Text style={[styles(theme).modalLabel, { color: theme.text }]}>Description</Text>
+              <TextInput
+                style={[styles(theme).modalInput, { color: theme.text }]}
+                value={editingOccurrence?.description}
+                onChangeText={(text) => setEditingOccurrence(prev => ({ ...prev, description: text }))}
+              />
+
+              <Text style={[styles(theme).modalLabel, { color: theme.text }]}>Amount (UGX)</Text>
+              <TextInput
+                style={[styles(theme).modalInput, { color: theme.text }]}
+                value={editingOccurrence?.amount}
+                onChangeText={(text) => setEditingOccurrence(prev => ({ ...prev, amount: text }))}
+                keyboardType="decimal-pad"
+              />
+
+              <View style={styles(theme).modalButtons}>
+                <TouchableOpacity style={styles(theme).modalCancelButton} onPress={() => setEditingOccurrence(null)}>
+                  <Text style={styles(theme).modalCancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles(theme).emptyStateButton} onPress={handleSaveOccurrence}>
+                  <Text style={styles(theme).emptyStateButtonText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        </Modal>
       </View>
     </ScreenWrapper>
   );
@@ -552,6 +681,93 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  upcomingHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  upcomingTotal: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  upcomingSubtitle: {
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  upcomingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 6,
+  },
+  upcomingInfo: {
+    flex: 1,
+  },
+  upcomingDescription: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  upcomingMeta: {
+    fontSize: 12,
+    textTransform: 'capitalize',
+  },
+  upcomingAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  upcomingActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginLeft: 4,
+  },
+  skippedText: {
+    textDecorationLine: 'line-through',
+    opacity: 0.6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  modalLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: '#D0D0D0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 24,
+  },
+  modalCancelButton: {
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+  },
+  modalCancelText: {
+    color: '#666666',
+    fontSize: 14,
+    fontWeight: '600',
+  },
 });
 
 export default ExpensesScreen;
@@ -16,6 +16,8 @@ import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
 import { useDashboardRefresh } from '../context/DashboardRefreshContext';
 import { useLanguage } from '../context/LanguageContext';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 import fastApiService from '../services/fastApiService';
 import OfflineIndicator, { SyncStatusBadge } from '../components/OfflineIndicator';
 import CustomPicker from '../components/CustomPicker';
@@ -26,6 +28,8 @@ const FarmsScreen = () => {
   const { isConnected, performSync } = useOffline();
   const { triggerDashboardRefresh } = useDashboardRefresh();
   const { t } = useLanguage();
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.FARMS_MANAGE);
   const [farms, setFarms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -318,20 +322,22 @@ const FarmsScreen = () => {
       <View style={[styles(theme).farmCard, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}>
         <View style={[styles(theme).farmHeader, { borderBottomColor: theme.colors.border }]}>
           <Text style={[styles(theme).farmName, { color: theme.colors.primary }]}>{item.name || 'Unnamed Farm'}</Text>
-        <View style={styles(theme).farmActions}>
-          <TouchableOpacity
-            style={styles(theme).editButton}
-            onPress={() => openModal(item)}
-          >
-            <Text style={styles(theme).editButtonText}>✏️</Text>
-          </TouchableOpacity>
-          <TouchableOpacity
-            style={styles(theme).deleteButton}
-            onPress={() => handleDeleteFarm(item)}
-          >
-            <Text style={styles(theme).deleteButtonText}>🗑️</Text>
-          </TouchableOpacity>
-        </View>
+        {canManage && (
+          <View style={styles(theme).farmActions}>
+            <TouchableOpacity
+              style={styles(theme).editButton}
+              onPress={() => openModal(item)}
+            >
+              <Text style={styles(theme).editButtonText}>✏️</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles(theme).deleteButton}
+              onPress={() => handleDeleteFarm(item)}
+            >
+              <Text style={styles(theme).deleteButtonText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
       <View style={styles(theme).farmDetails}>
@@ -392,12 +398,14 @@ const FarmsScreen = () => {
       {/* Header */}
       <View style={[styles(theme).header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.border }]}>
         <Text style={[styles(theme).headerTitle, { color: theme.colors.text }]}>{t('farms.title')}</Text>
-        <TouchableOpacity
-          style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]}
-          onPress={() => openModal()}
-        >
-          <Text style={styles(theme).addButtonText}>+ {t('farms.addFarm')}</Text>
-        </TouchableOpacity>
+        {canManage && (
+          <TouchableOpacity
+            style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]}
+            onPress={() => openModal()}
+          >
+            <Text style={styles(theme).addButtonText}>+ {t('farms.addFarm')}</Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Farms List */}
@@ -408,12 +416,14 @@ const FarmsScreen = () => {
           <Text style={[styles(theme).emptyText, { color: theme.colors.textSecondary }]}>
             {t('farms.enterFarmName')}
           </Text>
-          <TouchableOpacity
-            style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]}
-            onPress={() => openModal()}
-          >
-            <Text style={styles(theme).emptyButtonText}>{t('farms.addFarm')}</Text>
-          </TouchableOpacity>
+          {canManage && (
+            <TouchableOpacity
+              style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]}
+              onPress={() => openModal()}
+            >
+              <Text style={styles(theme).emptyButtonText}>{t('farms.addFarm')}</Text>
+            </TouchableOpacity>
+          )}
         </View>
       ) : (
         <FlatList
@@ -0,0 +1,659 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  RefreshControl,
+} from 'react-native';
+import CustomPicker from '../components/CustomPicker';
+import feedInventoryService from '../services/feedInventoryService';
+import dataEventBus, { EventTypes } from '../services/dataEventBus';
+import { useTheme } from '../context/ThemeContext';
+import { useFarms } from '../context/DataStoreContext';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyEntry = (mode, farmId = '', feedType = '') => ({
+  mode, // 'delivery' | 'count'
+  farmId,
+  feedType,
+  quantityKg: '',
+  costPerKg: '',
+  supplier: '',
+  reference: '',
+  date: today(),
+  notes: '',
+});
+
+const formatKg = (value) => `${Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 1 })} kg`;
+
+const MOVEMENT_LABELS = {
+  delivery: '🚚 Delivery',
+  adjustment: '📋 Stock count',
+  consumption: '🌾 Fed',
+};
+
+const FeedInventoryScreen = () => {
+  const { theme } = useTheme();
+  const { farms } = useFarms();
+  const [farmFilter, setFarmFilter] = useState('');
+  const [levels, setLevels] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [entry, setEntry] = useState(null);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [lowStockDays, setLowStockDays] = useState('');
+
+  const safeFarms = Array.isArray(farms) ? farms : [];
+
+  const loadLevels = useCallback(() => {
+    setLevels(feedInventoryService.getStockLevels(farmFilter ? { farmId: parseInt(farmFilter) } : {}));
+  }, [farmFilter]);
+
+  useEffect(() => {
+    loadLevels();
+    const unsubscribers = [
+      dataEventBus.subscribe(EventTypes.FEED_STOCK_UPDATED, loadLevels),
+      dataEventBus.subscribe(EventTypes.FEED_RECORD_CREATED, loadLevels),
+      dataEventBus.subscribe(EventTypes.FEED_RECORD_DELETED, loadLevels),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [loadLevels]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadLevels();
+    setRefreshing(false);
+  };
+
+  const openDetails = (item) => {
+    setSelectedItem(item);
+    setLowStockDays(String(item.lowStockDays));
+    setMovements(feedInventoryService.getMovements(item.id));
+  };
+
+  const handleSaveEntry = () => {
+    if (!entry.farmId || !entry.feedType.trim()) {
+      Alert.alert('Error', 'Please select a farm and enter the feed type');
+      return;
+    }
+    if (!entry.quantityKg || isNaN(parseFloat(entry.quantityKg))) {
+      Alert.alert('Error', 'Please enter the quantity in kg');
+      return;
+    }
+    if (entry.mode === 'delivery' && !DATE_PATTERN.test(entry.date)) {
+      Alert.alert('Error', 'Please enter the delivery date as YYYY-MM-DD');
+      return;
+    }
+
+    try {
+      if (entry.mode === 'delivery') {
+        feedInventoryService.recordDelivery({
+          farmId: parseInt(entry.farmId),
+          feedType: entry.feedType,
+          quantityKg: parseFloat(entry.quantityKg),
+          costPerKg: parseFloat(entry.costPerKg) || null,
+          supplier: entry.supplier.trim(),
+          reference: entry.reference.trim(),
+          date: entry.date,
+          notes: entry.notes.trim(),
+        });
+      } else {
+        feedInventoryService.recordStockCount(parseInt(entry.farmId), entry.feedType, parseFloat(entry.quantityKg), entry.notes.trim());
+      }
+      setEntry(null);
+      loadLevels();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to save feed stock');
+    }
+  };
+
+  const handleSaveLowStockDays = () => {
+    try {
+      feedInventoryService.setLowStockDays(selectedItem.id, parseFloat(lowStockDays));
+      setSelectedItem(null);
+      loadLevels();
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const handleDeleteMovement = (movement) => {
+    if (movement.movement_type === 'consumption') {
+      Alert.alert('Feed Record', 'Feed used comes from feed records. Delete the feed record to change it.');
+      return;
+    }
+
+    Alert.alert(
+      'Delete Entry',
+      `Delete this ${movement.movement_type === 'delivery' ? 'delivery' : 'stock count'} of ${formatKg(movement.quantity_kg)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            feedInventoryService.deleteMovement(movement.id);
+            setMovements(feedInventoryService.getMovements(selectedItem.id));
+          },
+        },
+      ]
+    );
+  };
+
+  const renderLevel = ({ item }) => {
+    const statusColor = item.stockKg <= 0 ? theme.colors.error : item.lowStock ? theme.colors.warning : theme.colors.success;
+
+    return (
+      <TouchableOpacity style={[styles(theme).card, { borderLeftColor: statusColor }]} onPress={() => openDetails(item)}>
+        <View style={styles(theme).cardHeader}>
+          <View style={styles(theme).cardTitleBlock}>
+            <Text style={styles(theme).cardTitle}>{item.feedType}</Text>
+            <Text style={styles(theme).cardSubtitle}>{item.farmName || `Farm ${item.farmId}`}</Text>
+          </View>
+          {item.lowStock && (
+            <View style={[styles(theme).badge, { backgroundColor: statusColor }]}>
+              <Text style={styles(theme).badgeText}>{item.stockKg <= 0 ? 'OUT' : 'LOW'}</Text>
+            </View>
+          )}
+        </View>
+
+        <View style={styles(theme).statsRow}>
+          <View>
+            <Text style={styles(theme).statLabel}>In store</Text>
+            <Text style={[styles(theme).statValue, { color: statusColor }]}>{formatKg(Math.max(item.stockKg, 0))}</Text>
+          </View>
+          <View>
+            <Text style={styles(theme).statLabel}>Use / day</Text>
+            <Text style={styles(theme).statValue}>{formatKg(item.averageDailyKg)}</Text>
+          </View>
+          <View>
+            <Text style={styles(theme).statLabel}>Days left</Text>
+            <Text style={styles(theme).statValue}>
+              {item.daysRemaining === null ? '—' : Math.floor(item.daysRemaining)}
+            </Text>
+          </View>
+        </View>
+
+        {item.stockKg < 0 && (
+          <Text style={styles(theme).warningText}>
+            {formatKg(-item.stockKg)} more fed than received. Record the missing delivery or a stock count.
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const knownFeedTypes = entry?.farmId ? feedInventoryService.getFeedTypes(parseInt(entry.farmId)) : [];
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).toolbar}>
+        <View style={styles(theme).farmFilter}>
+          <CustomPicker
+            selectedValue={farmFilter}
+            onValueChange={setFarmFilter}
+            items={[
+              { label: 'All farms', value: '' },
+              ...safeFarms.map(farm => ({
+                label: farm.farmName || farm.farm_name || farm.name || 'Unnamed Farm',
+                value: String(farm.id),
+              })),
+            ]}
+            placeholder="All farms"
+          />
+        </View>
+        <TouchableOpacity
+          style={[styles(theme).toolbarButton, { borderColor: theme.colors.primary }]}
+          onPress={() => setEntry(emptyEntry('count', farmFilter))}
+        >
+          <Text style={[styles(theme).toolbarButtonText, { color: theme.colors.primary }]}>Count</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles(theme).toolbarButton, { backgroundColor: theme.colors.primary, borderColor: theme.colors.primary }]}
+          onPress={() => setEntry(emptyEntry('delivery', farmFilter))}
+        >
+          <Text style={[styles(theme).toolbarButtonText, { color: theme.colors.buttonText }]}>+ Delivery</Text>
+        </TouchableOpacity>
+      </View>
+
+      <FlatList
+        data={levels}
+        renderItem={renderLevel}
+        keyExtractor={(item) => String(item.id)}
+        contentContainerStyle={styles(theme).list}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor={theme.colors.primary}
+            colors={[theme.colors.primary]}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles(theme).emptyContainer}>
+            <Text style={styles(theme).emptyIcon}>🏬</Text>
+            <Text style={styles(theme).emptyText}>No feed in stock yet</Text>
+            <Text style={styles(theme).emptySubtext}>
+              Record a delivery or count what is in the store. Feed records from then on are taken out of stock automatically.
+            </Text>
+          </View>
+        }
+      />
+
+      {/* Delivery / stock count */}
+      <Modal animationType="slide" transparent={true} visible={!!entry} onRequestClose={() => setEntry(null)}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <Text style={styles(theme).modalTitle}>{entry?.mode === 'delivery' ? 'Feed Delivery' : 'Stock Count'}</Text>
+            <ScrollView showsVerticalScrollIndicator={false}>
+              <Text style={styles(theme).formLabel}>Farm *</Text>
+              <CustomPicker
+                selectedValue={entry?.farmId}
+                onValueChange={(value) => setEntry(prev => ({ ...prev, farmId: value }))}
+                items={safeFarms.map(farm => ({
+                  label: farm.farmName || farm.farm_name || farm.name || 'Unnamed Farm',
+                  value: String(farm.id),
+                }))}
+                placeholder="Select farm"
+              />
+
+              <Text style={styles(theme).formLabel}>Feed Type *</Text>
+              <TextInput
+                style={styles(theme).formInput}
+                placeholder="e.g., Starter, Grower, Finisher"
+                placeholderTextColor={theme.colors.placeholder}
+                value={entry?.feedType}
+                onChangeText={(text) => setEntry(prev => ({ ...prev, feedType: text }))}
+              />
+              {knownFeedTypes.length > 0 && (
+                <View style={styles(theme).chips}>
+                  {knownFeedTypes.map(type => (
+                    <TouchableOpacity key={type} style={styles(theme).chip} onPress={() => setEntry(prev => ({ ...prev, feedType: type }))}>
+                      <Text style={styles(theme).chipText}>{type}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+
+              <Text style={styles(theme).formLabel}>
+                {entry?.mode === 'delivery' ? 'Quantity Delivered (kg) *' : 'Counted in Store (kg) *'}
+              </Text>
+              <TextInput
+                style={styles(theme).formInput}
+                placeholder="0"
+                placeholderTextColor={theme.colors.placeholder}
+                value={entry?.quantityKg}
+                onChangeText={(text) => setEntry(prev => ({ ...prev, quantityKg: text }))}
+                keyboardType="decimal-pad"
+              />
+
+              {entry?.mode === 'delivery' && (
+                <>
+                  <Text style={styles(theme).formLabel}>Cost per kg</Text>
+                  <TextInput
+                    style={styles(theme).formInput}
+                    placeholder="0.00"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={entry.costPerKg}
+                    onChangeText={(text) => setEntry(prev => ({ ...prev, costPerKg: text }))}
+                    keyboardType="decimal-pad"
+                  />
+
+                  <Text style={styles(theme).formLabel}>Supplier</Text>
+                  <TextInput
+                    style={styles(theme).formInput}
+                    placeholder="Supplier name"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={entry.supplier}
+                    onChangeText={(text) => setEntry(prev => ({ ...prev, supplier: text }))}
+                  />
+
+                  <Text style={styles(theme).formLabel}>Delivery Note / Invoice No.</Text>
+                  <TextInput
+                    style={styles(theme).formInput}
+                    placeholder="Optional"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={entry.reference}
+                    onChangeText={(text) => setEntry(prev => ({ ...prev, reference: text }))}
+                  />
+
+                  <Text style={styles(theme).formLabel}>Delivery Date *</Text>
+                  <TextInput
+                    style={styles(theme).formInput}
+                    placeholder="YYYY-MM-DD"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={entry.date}
+                    onChangeText={(text) => setEntry(prev => ({ ...prev, date: text }))}
+                  />
+                </>
+              )}
+
+              <Text style={styles(theme).formLabel}>Notes</Text>
+              <TextInput
+                style={[styles(theme).formInput, styles(theme).notesInput]}
+                placeholder="Optional"
+                placeholderTextColor={theme.colors.placeholder}
+                value={entry?.notes}
+                onChangeText={(text) => setEntry(prev => ({ ...prev, notes: text }))}
+                multiline
+              />
+            </ScrollView>
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={() => setEntry(null)}
+              >
+                <Text style={[styles(theme).modalButtonText, { color: theme.colors.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleSaveEntry}
+              >
+                <Text style={[styles(theme).modalButtonText, { color: theme.colors.buttonText }]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Stock history */}
+      <Modal animationType="slide" transparent={true} visible={!!selectedItem} onRequestClose={() => setSelectedItem(null)}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <Text style={styles(theme).modalTitle}>{selectedItem?.feedType}</Text>
+            <Text style={styles(theme).modalSubtitle}>
+              {selectedItem?.farmName} • tracked since {selectedItem?.trackedFrom}
+            </Text>
+
+            <View style={styles(theme).lowStockRow}>
+              <Text style={styles(theme).lowStockLabel}>Warn when less than</Text>
+              <TextInput
+                style={[styles(theme).formInput, styles(theme).lowStockInput]}
+                value={lowStockDays}
+                onChangeText={setLowStockDays}
+                keyboardType="decimal-pad"
+              />
+              <Text style={styles(theme).lowStockLabel}>days left</Text>
+            </View>
+
+            <FlatList
+              style={styles(theme).movementList}
+              data={movements}
+              keyExtractor={(item) => `${item.movement_type}-${item.id}`}
+              renderItem={({ item }) => (
+                <TouchableOpacity style={styles(theme).movementRow} onLongPress={() => handleDeleteMovement(item)}>
+                  <View style={styles(theme).cardTitleBlock}>
+                    <Text style={styles(theme).movementType}>{MOVEMENT_LABELS[item.movement_type]}</Text>
+                    <Text style={styles(theme).movementMeta}>
+                      {item.movement_date}
+                      {item.batch_name ? ` • ${item.batch_name}` : ''}
+                      {item.supplier ? ` • ${item.supplier}` : ''}
+                      {item.reference ? ` • ${item.reference}` : ''}
+                    </Text>
+                  </View>
+                  <Text style={[styles(theme).movementQuantity, { color: item.quantity_kg < 0 ? theme.colors.error : theme.colors.success }]}>
+                    {item.quantity_kg > 0 ? '+' : ''}{formatKg(item.quantity_kg)}
+                  </Text>
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={<Text style={styles(theme).emptySubtext}>No stock entries</Text>}
+            />
+            <Text style={styles(theme).hintText}>Long-press a delivery or stock count to delete it.</Text>
+
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={() => setSelectedItem(null)}
+              >
+                <Text style={[styles(theme).modalButtonText, { color: theme.colors.text }]}>Close</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleSaveLowStockDays}
+              >
+                <Text style={[styles(theme).modalButtonText, { color: theme.colors.buttonText }]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 15,
+    backgroundColor: theme.colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  farmFilter: {
+    flex: 1,
+  },
+  toolbarButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  toolbarButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  list: {
+    padding: 20,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    borderLeftWidth: 4,
+    backgroundColor: theme.colors.surface,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  cardTitleBlock: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+  },
+  statValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 2,
+    color: theme.colors.text,
+  },
+  warningText: {
+    fontSize: 12,
+    marginTop: 10,
+    color: theme.colors.error,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 13,
+    marginBottom: 15,
+    color: theme.colors.textSecondary,
+  },
+  formLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 6,
+    color: theme.colors.text,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  notesInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: theme.colors.primary,
+  },
+  lowStockRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 15,
+  },
+  lowStockLabel: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  lowStockInput: {
+    width: 60,
+    paddingVertical: 8,
+    textAlign: 'center',
+  },
+  movementList: {
+    maxHeight: 320,
+  },
+  movementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  movementType: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  movementMeta: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  movementQuantity: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  hintText: {
+    fontSize: 12,
+    marginTop: 8,
+    color: theme.colors.textSecondary,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  modalButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default FeedInventoryScreen;
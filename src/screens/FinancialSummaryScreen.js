@@ -18,6 +18,7 @@ import { useOffline } from '../context/OfflineContext';
 import fastApiService from '../services/fastApiService';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OfflineIndicator from '../components/OfflineIndicator';
+import { AGING_BUCKETS } from '../utils/receivables';
 
 const { width } = Dimensions.get('window');
 
@@ -51,6 +52,13 @@ const FinancialSummaryScreen = ({ navigation }) => {
     try {
       setLoading(true);
 
+      // Receivables aging is computed from local sales, invoices and payments, so it is
+      // available offline and includes records that have not synced yet
+      const receivablesResponse = await fastApiService.getReceivables();
+      if (receivablesResponse.success && receivablesResponse.data) {
+        setReceivables(receivablesResponse.data);
+      }
+
       // Fetch comprehensive summary
       const summaryResponse = await fastApiService.get('/api/v1/financial/summary');
       if (summaryResponse && summaryResponse.data) {
@@ -70,14 +78,6 @@ const FinancialSummaryScreen = ({ navigation }) => {
       if (cashFlowResponse && cashFlowResponse.data) {
         setCashFlow(cashFlowResponse.data);
       }
-
-      // Fetch receivables aging
-      const receivablesResponse = await fastApiService.get(
-        '/api/v1/financial/receivables-aging'
-      );
-      if (receivablesResponse && receivablesResponse.data) {
-        setReceivables(receivablesResponse.data);
-      }
     } catch (error) {
       console.error('Error fetching financial data:', error);
       Alert.alert('Error', 'Failed to load financial data. Please try again.');
@@ -243,42 +243,49 @@ const FinancialSummaryScreen = ({ navigation }) => {
   const renderReceivablesAging = () => {
     if (!receivables) return null;
 
+    // Two buckets per row
+    const agingRows = [AGING_BUCKETS.slice(0, 2), AGING_BUCKETS.slice(2)];
+    const owingCustomers = receivables.customers.filter(customer => customer.outstanding > 0).slice(0, 5);
+
     return (
       <View style={styles(theme).statsContainer}>
         <Text style={[styles(theme).sectionTitle, { color: theme.text }]}>Receivables Aging</Text>
 
         <View style={[styles(theme).statsCard, { backgroundColor: theme.cardBackground }]}>
-          <View style={styles(theme).agingRow}>
-            <View style={styles(theme).agingItem}>
-              <Text style={[styles(theme).agingAmount, { color: '#2E8B57' }]}>
-                {formatCurrency(receivables.current)}
-              </Text>
-              <Text style={[styles(theme).agingLabel, { color: theme.subText }]}>Current (0-30)</Text>
-            </View>
-
-            <View style={styles(theme).agingItem}>
-              <Text style={[styles(theme).agingAmount, { color: '#FF8C00' }]}>
-                {formatCurrency(receivables.days30)}
-              </Text>
-              <Text style={[styles(theme).agingLabel, { color: theme.subText }]}>31-60 Days</Text>
-            </View>
-          </View>
-
-          <View style={styles(theme).agingRow}>
-            <View style={styles(theme).agingItem}>
-              <Text style={[styles(theme).agingAmount, { color: '#DC143C' }]}>
-                {formatCurrency(receivables.days60)}
-              </Text>
-              <Text style={[styles(theme).agingLabel, { color: theme.subText }]}>61-90 Days</Text>
+          {agingRows.map((row, index) => (
+            <View key={index} style={styles(theme).agingRow}>
+              {row.map(bucket => (
+                <View key={bucket.key} style={styles(theme).agingItem}>
+                  <Text style={[styles(theme).agingAmount, { color: bucket.color }]}>
+                    {formatCurrency(receivables.aging[bucket.key])}
+                  </Text>
+                  <Text style={[styles(theme).agingLabel, { color: theme.subText }]}>{bucket.label}</Text>
+                </View>
+              ))}
             </View>
+          ))}
 
-            <View style={styles(theme).agingItem}>
-              <Text style={[styles(theme).agingAmount, { color: '#8B0000' }]}>
-                {formatCurrency(receivables.days90Plus)}
-              </Text>
-              <Text style={[styles(theme).agingLabel, { color: theme.subText }]}>90+ Days</Text>
-            </View>
-          </View>
+          <Text style={[styles(theme).agingSummary, { color: theme.text }]}>
+            {formatCurrency(receivables.totals.outstanding)} owed by {receivables.totals.customersOwing} customer(s),{' '}
+            {formatCurrency(receivables.totals.overdue)} overdue
+          </Text>
+
+          {owingCustomers.map(customer => (
+            <TouchableOpacity
+              key={customer.customerId || 'walk_in'}
+              style={styles(theme).agingCustomerRow}
+              onPress={() => navigation.navigate('Customers')}
+              disabled={!customer.customerId}
+            >
+              <View style={styles(theme).agingCustomerInfo}>
+                <Text style={[styles(theme).methodName, { color: theme.text }]} numberOfLines={1}>{customer.name}</Text>
+                <Text style={[styles(theme).agingLabel, { color: theme.subText, textAlign: 'left' }]}>
+                  {customer.overdue > 0 ? `${formatCurrency(customer.overdue)} overdue since ${customer.oldestDueDate}` : 'Not yet overdue'}
+                </Text>
+              </View>
+              <Text style={[styles(theme).methodAmount, { color: theme.text }]}>{formatCurrency(customer.outstanding)}</Text>
+            </TouchableOpacity>
+          ))}
         </View>
       </View>
     );
@@ -501,6 +508,22 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 11,
     textAlign: 'center',
   },
+  agingSummary: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  agingCustomerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  agingCustomerInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
   actionsContainer: {
     paddingHorizontal: 16,
     marginBottom: 16,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
@@ -7,10 +7,17 @@ import {
   RefreshControl,
   ActivityIndicator,
   Alert,
+  TouchableOpacity,
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useBatches } from '../context/DataStoreContext';
 import analyticsService from '../services/analyticsService';
+import breedStandardService from '../services/breedStandardService';
+import productionMonitor from '../services/productionMonitor';
+import { getDeviationStatus } from '../utils/breedStandards';
+import { isLayerBatch } from '../utils/layerProduction';
+import CustomPicker from '../components/CustomPicker';
 import KPICard from '../components/charts/KPICard';
 import BarChart from '../components/charts/BarChart';
 import LineChart from '../components/charts/LineChart';
@@ -24,6 +31,8 @@ import ErrorBoundary from '../components/ErrorBoundary';
  * - Mortality trends by flock
  * - Growth rate charts
  * - Performance benchmarks
+ * - Weekly deviation from a breed standard curve (Ross 308, Cobb 500, ...)
+ * - Layer hen-day production by week of lay against the laying curve
  *
  * Features:
  * - Flock comparison
@@ -40,6 +49,12 @@ const FlockPerformanceScreen = ({ navigation }) => {
   // Performance data state
   const [performanceData, setPerformanceData] = useState(null);
 
+  // Breed standard benchmark state
+  const { batches } = useBatches();
+  const [standards, setStandards] = useState([]);
+  const [benchmarkBatchId, setBenchmarkBatchId] = useState(null);
+  const [benchmarkStandardId, setBenchmarkStandardId] = useState(null);
+
   /**
    * Load flock performance data
    */
@@ -63,6 +78,7 @@ const FlockPerformanceScreen = ({ navigation }) => {
       // Fetch performance data
       const data = await analyticsService.getFlockPerformance(params);
       setPerformanceData(data);
+      setStandards(breedStandardService.getStandards());
     } catch (err) {
       console.error('[FlockPerformanceScreen] Load error:', err);
       setError(err.message || 'Failed to load performance data');
@@ -80,6 +96,37 @@ const FlockPerformanceScreen = ({ navigation }) => {
     loadPerformance();
   }, [loadPerformance]);
 
+  // Reload curves edited on the Breed Standards screen when coming back
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', () => {
+      setStandards(breedStandardService.getStandards());
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const benchmarkBatch = useMemo(() => {
+    if (!batches || batches.length === 0) return null;
+    return batches.find(batch => batch.id === benchmarkBatchId) || batches[0];
+  }, [batches, benchmarkBatchId]);
+
+  /**
+   * Weekly benchmark of the selected batch. Uses the curve picked by the user,
+   * otherwise the one matching the batch's breed.
+   */
+  const benchmark = useMemo(() => {
+    if (!benchmarkBatch || standards.length === 0) return { standard: null, weeks: [] };
+    const picked = standards.find(standard => standard.id === benchmarkStandardId) || null;
+    try {
+      if (isLayerBatch(benchmarkBatch)) {
+        return { ...productionMonitor.getLayerProduction(benchmarkBatch, picked), layer: true };
+      }
+      return breedStandardService.getBatchBenchmark(benchmarkBatch, picked);
+    } catch (err) {
+      console.error('[FlockPerformanceScreen] Benchmark error:', err);
+      return { standard: picked, weeks: [] };
+    }
+  }, [benchmarkBatch, benchmarkStandardId, standards, performanceData]);
+
   /**
    * Handle refresh
    */
@@ -146,6 +193,58 @@ const FlockPerformanceScreen = ({ navigation }) => {
     };
   };
 
+  /**
+   * Prepare body weight vs breed standard chart data (weeks with a weighing only)
+   */
+  const prepareBenchmarkWeightData = () => {
+    const weighed = benchmark.weeks.filter((week) => week.actualWeightG !== null && week.standardWeightG !== null);
+    if (weighed.length === 0) {
+      return null;
+    }
+
+    return {
+      labels: weighed.map((week) => `W${week.week}`),
+      datasets: [
+        {
+          data: weighed.map((week) => week.actualWeightG),
+          color: (opacity = 1) => `rgba(46, 139, 87, ${opacity})`,
+        },
+        {
+          data: weighed.map((week) => week.standardWeightG),
+          color: (opacity = 1) => `rgba(255, 149, 0, ${opacity})`,
+        },
+      ],
+      legend: ['Actual', benchmark.standard?.name || 'Standard'],
+    };
+  };
+
+  /**
+   * Prepare hen-day production vs laying curve chart data
+   */
+  const prepareLayingCurveData = () => {
+    const measured = benchmark.weeks.filter((week) => week.henDayPct !== null);
+    if (measured.length === 0) {
+      return null;
+    }
+
+    const datasets = [
+      {
+        data: measured.map((week) => week.henDayPct),
+        color: (opacity = 1) => `rgba(46, 139, 87, ${opacity})`,
+      },
+    ];
+    const legend = ['Hen-day %'];
+    if (measured.every((week) => week.standardPct !== null)) {
+      datasets.push({
+        data: measured.map((week) => week.standardPct),
+        color: (opacity = 1) => `rgba(255, 149, 0, ${opacity})`,
+      });
+      legend.push(benchmark.standard?.name || 'Standard');
+    }
+
+    return { labels: measured.map((week) => `W${week.week}`), datasets, legend };
+  };
+
   /**
    * Render KPI cards
    */
@@ -271,6 +370,157 @@ const FlockPerformanceScreen = ({ navigation }) => {
     );
   };
 
+  /**
+   * Render a deviation cell coloured by how far the batch is off the curve
+   */
+  const renderDeviation = (deviation, higherIsBetter) => {
+    const status = getDeviationStatus(deviation, higherIsBetter);
+    const statusColors = { Excellent: '#34C759', Good: '#5AC8FA', Average: '#FF9500', Poor: '#FF3B30' };
+    return (
+      <Text style={[styles(theme).benchmarkCell, { color: status ? statusColors[status] : theme.colors.textLight }]}>
+        {deviation === null ? '-' : `${deviation > 0 ? '+' : ''}${deviation}%`}
+      </Text>
+    );
+  };
+
+  /**
+   * Render layer hen-day production by week of lay, with peak and persistency
+   */
+  const renderLayingCurve = () => {
+    if (benchmark.weeks.length === 0) {
+      return (
+        <View style={[styles(theme).emptyContainer, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles(theme).emptyText, { color: theme.colors.textLight }]}>No egg production recorded for this batch yet</Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <LineChart
+          title={`Hen-Day Production${benchmark.standard ? ` vs ${benchmark.standard.name}` : ''}`}
+          data={prepareLayingCurveData()}
+          height={220}
+          yAxisSuffix="%"
+        />
+
+        <View style={[styles(theme).benchmarkTable, { backgroundColor: theme.colors.surface }]}>
+          <View style={[styles(theme).benchmarkRow, { borderBottomColor: theme.colors.border }]}>
+            {['Week', 'Hen-day', 'Hen-housed', 'Standard', 'Change'].map((heading) => (
+              <Text key={heading} style={[styles(theme).benchmarkHeading, { color: theme.colors.textSecondary }]}>{heading}</Text>
+            ))}
+          </View>
+          {benchmark.weeks.map((week) => (
+            <View key={week.week} style={[styles(theme).benchmarkRow, { borderBottomColor: theme.colors.border }]}>
+              <Text style={[styles(theme).benchmarkCell, { color: theme.colors.text }]}>W{week.week}{week.complete ? '' : '*'}</Text>
+              <Text style={[styles(theme).benchmarkCell, { color: theme.colors.text }]}>{week.henDayPct === null ? '-' : `${week.henDayPct}%`}</Text>
+              <Text style={[styles(theme).benchmarkCell, { color: theme.colors.text }]}>{week.henHousedPct === null ? '-' : `${week.henHousedPct}%`}</Text>
+              <Text style={[styles(theme).benchmarkCell, { color: theme.colors.textSecondary }]}>{week.standardPct === null ? '-' : `${week.standardPct}%`}</Text>
+              <Text
+                style={[
+                  styles(theme).benchmarkCell,
+                  { color: week.changePoints !== null && week.changePoints <= -5 ? '#FF3B30' : theme.colors.text },
+                ]}
+              >
+                {week.changePoints === null ? '-' : `${week.changePoints > 0 ? '+' : ''}${week.changePoints}`}
+              </Text>
+            </View>
+          ))}
+          <Text style={[styles(theme).benchmarkNote, { color: theme.colors.textSecondary }]}>
+            {benchmark.peak ? `Peak ${benchmark.peak.henDayPct}% in week ${benchmark.peak.week} of lay. ` : ''}
+            {benchmark.persistencyPct !== null ? `Persistency ${benchmark.persistencyPct}% of peak, ` : ''}
+            {benchmark.weeksAbovePersistency} weeks at 90% or more. * Week still in progress.
+          </Text>
+        </View>
+      </>
+    );
+  };
+
+  /**
+   * Render breed standard benchmark: picker, weight curve and weekly deviations
+   */
+  const renderBenchmark = () => {
+    if (!batches || batches.length === 0) {
+      return (
+        <View style={[styles(theme).emptyContainer, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles(theme).emptyText, { color: theme.colors.textLight }]}>No batches to benchmark</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View>
+        <View style={styles(theme).benchmarkPickers}>
+          <View style={styles(theme).benchmarkPicker}>
+            <CustomPicker
+              selectedValue={benchmarkBatch?.id}
+              onValueChange={(value) => setBenchmarkBatchId(value)}
+              items={batches.map((batch) => ({ label: batch.batchName || batch.batch_name || `Batch ${batch.id}`, value: batch.id }))}
+              placeholder="Select batch"
+            />
+          </View>
+          <View style={styles(theme).benchmarkPicker}>
+            <CustomPicker
+              selectedValue={benchmarkStandardId ?? ''}
+              onValueChange={(value) => setBenchmarkStandardId(value || null)}
+              items={[
+                { label: 'Match breed', value: '' },
+                ...standards.map((standard) => ({ label: standard.name, value: standard.id })),
+              ]}
+              placeholder="Breed standard"
+            />
+          </View>
+        </View>
+
+        {benchmark.layer ? (
+          renderLayingCurve()
+        ) : !benchmark.standard ? (
+          <View style={[styles(theme).emptyContainer, { backgroundColor: theme.colors.surface }]}>
+            <Text style={[styles(theme).emptyText, { color: theme.colors.textLight }]}>
+              No breed standard matches this batch. Pick one above.
+            </Text>
+          </View>
+        ) : benchmark.weeks.length === 0 ? (
+          <View style={[styles(theme).emptyContainer, { backgroundColor: theme.colors.surface }]}>
+            <Text style={[styles(theme).emptyText, { color: theme.colors.textLight }]}>
+              No weight, feed or mortality records for this batch yet
+            </Text>
+          </View>
+        ) : (
+          <>
+            <LineChart
+              title={`Body Weight vs ${benchmark.standard.name}`}
+              data={prepareBenchmarkWeightData()}
+              height={220}
+              yAxisSuffix="g"
+              error={prepareBenchmarkWeightData() ? null : 'No weighings recorded yet'}
+            />
+
+            <View style={[styles(theme).benchmarkTable, { backgroundColor: theme.colors.surface }]}>
+              <View style={[styles(theme).benchmarkRow, { borderBottomColor: theme.colors.border }]}>
+                {['Week', 'Weight', 'Feed/day', 'FCR', 'Mortality'].map((heading) => (
+                  <Text key={heading} style={[styles(theme).benchmarkHeading, { color: theme.colors.textSecondary }]}>{heading}</Text>
+                ))}
+              </View>
+              {benchmark.weeks.map((week) => (
+                <View key={week.week} style={[styles(theme).benchmarkRow, { borderBottomColor: theme.colors.border }]}>
+                  <Text style={[styles(theme).benchmarkCell, { color: theme.colors.text }]}>W{week.week}</Text>
+                  {renderDeviation(week.weightDeviationPct, true)}
+                  {renderDeviation(week.feedDeviationPct, true)}
+                  {renderDeviation(week.fcrDeviationPct, false)}
+                  {renderDeviation(week.mortalityDeviationPct, false)}
+                </View>
+              ))}
+              <Text style={[styles(theme).benchmarkNote, { color: theme.colors.textSecondary }]}>
+                Deviation from {benchmark.standard.name} at the same age. Weight and FCR use the last weighing of each week.
+              </Text>
+            </View>
+          </>
+        )}
+      </View>
+    );
+  };
+
   /**
    * Render loading state
    */
@@ -345,6 +595,15 @@ const FlockPerformanceScreen = ({ navigation }) => {
             </>
           )}
 
+          {/* Breed Standard Benchmark */}
+          <View style={styles(theme).sectionHeader}>
+            <Text style={[styles(theme).sectionTitle, { color: theme.colors.text }]}>Breed Standard Benchmark</Text>
+            <TouchableOpacity onPress={() => navigation.navigate('BreedStandards')}>
+              <Text style={[styles(theme).sectionLink, { color: theme.colors.primary }]}>Edit curves</Text>
+            </TouchableOpacity>
+          </View>
+          {renderBenchmark()}
+
           {/* Flock List */}
           <Text style={[styles(theme).sectionTitle, { color: theme.colors.text }]}>Flock Details</Text>
           {renderFlockList()}
@@ -391,6 +650,51 @@ const styles = (theme) => StyleSheet.create({
     marginTop: 16,
     marginBottom: 12,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  benchmarkPickers: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 12,
+  },
+  benchmarkPicker: {
+    flex: 1,
+  },
+  benchmarkTable: {
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  benchmarkRow: {
+    flexDirection: 'row',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  benchmarkHeading: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  benchmarkCell: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  benchmarkNote: {
+    fontSize: 12,
+    marginTop: 8,
+  },
   emptyContainer: {
     borderRadius: 12,
     padding: 32,
@@ -0,0 +1,398 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect, useNavigation, useRoute } from '@react-navigation/native';
+import fastApiService from '../services/fastApiService';
+import invoiceService from '../services/invoiceService';
+import { canTransition, getInvoiceStatus, isInvoiceEditable } from '../utils/invoices';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+
+const InvoiceDetailsScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const { invoiceId } = route.params || {};
+
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+
+  const fetchInvoice = async () => {
+    try {
+      setLoading(true);
+      const response = await fastApiService.getInvoiceDetails(invoiceId);
+      if (!response.success) {
+        throw new Error(response.error || 'Invoice not found');
+      }
+      setInvoice(response.data);
+    } catch (error) {
+      console.error('Error loading invoice:', error);
+      Alert.alert('Error', error.message || 'Failed to load invoice', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      fetchInvoice();
+    }, [invoiceId])
+  );
+
+  const formatCurrency = (amount) => `UGX ${Number(amount || 0).toLocaleString()}`;
+
+  const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+    : '-');
+
+  const changeStatus = async (status) => {
+    try {
+      setWorking(true);
+      const response = await fastApiService.setInvoiceStatus(invoiceId, status);
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to update invoice');
+      }
+      await fetchInvoice();
+    } catch (error) {
+      console.error('Error updating invoice status:', error);
+      Alert.alert('Error', error.message || 'Failed to update invoice');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const confirmCancel = () => {
+    Alert.alert(
+      'Cancel Invoice',
+      `Cancel ${invoice.invoiceNumber}? Its sales can then be invoiced again.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: 'Cancel Invoice', style: 'destructive', onPress: () => changeStatus('cancelled') },
+      ]
+    );
+  };
+
+  const sharePdf = async () => {
+    try {
+      setWorking(true);
+      await invoiceService.shareInvoicePdf(invoiceId, {
+        businessName: user?.organizationName || user?.organization_name,
+        phone: user?.phone,
+        email: user?.email,
+      });
+    } catch (error) {
+      console.error('Error sharing invoice:', error);
+      Alert.alert('Error', 'Failed to create the invoice PDF. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const styles = getStyles(theme);
+
+  if (loading || !invoice) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  const status = getInvoiceStatus(invoice.status);
+  const editable = isInvoiceEditable(invoice);
+  const balance = Math.max(0, invoice.total - invoice.amountPaid);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.section}>
+          <View style={styles.headerRow}>
+            <Text style={styles.invoiceNumber}>{invoice.invoiceNumber}</Text>
+            <View style={[styles.statusBadge, { backgroundColor: status.color }]}>
+              <Text style={styles.statusText}>{status.label.toUpperCase()}</Text>
+            </View>
+          </View>
+          <Text style={styles.customerName}>{invoice.customer?.name || 'Unknown Customer'}</Text>
+          {!!invoice.customer?.phone && <Text style={styles.mutedText}>{invoice.customer.phone}</Text>}
+          <View style={styles.datesRow}>
+            <Text style={styles.mutedText}>Issued {formatDate(invoice.invoiceDate)}</Text>
+            <Text style={[styles.mutedText, invoice.status === 'overdue' && { color: status.color }]}>
+              Due {formatDate(invoice.dueDate)}
+            </Text>
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Items</Text>
+          {invoice.items.map(item => (
+            <View key={item.id} style={styles.itemRow}>
+              <View style={styles.itemInfo}>
+                <Text style={styles.itemDescription}>{item.description}</Text>
+                <Text style={styles.mutedText}>
+                  {item.quantity.toLocaleString()}{item.unit ? ` ${item.unit}` : ''} × {formatCurrency(item.unitPrice)}
+                </Text>
+              </View>
+              <Text style={styles.itemAmount}>{formatCurrency(item.amount)}</Text>
+            </View>
+          ))}
+
+          <View style={styles.totals}>
+            <View style={styles.totalRow}>
+              <Text style={styles.mutedText}>Subtotal</Text>
+              <Text style={styles.totalValue}>{formatCurrency(invoice.subtotal)}</Text>
+            </View>
+            {invoice.discountAmount > 0 && (
+              <View style={styles.totalRow}>
+                <Text style={styles.mutedText}>Discount</Text>
+                <Text style={styles.totalValue}>-{formatCurrency(invoice.discountAmount)}</Text>
+              </View>
+            )}
+            {invoice.taxAmount > 0 && (
+              <View style={styles.totalRow}>
+                <Text style={styles.mutedText}>Tax</Text>
+                <Text style={styles.totalValue}>{formatCurrency(invoice.taxAmount)}</Text>
+              </View>
+            )}
+            <View style={styles.totalRow}>
+              <Text style={styles.grandTotalLabel}>Total</Text>
+              <Text style={styles.grandTotalValue}>{formatCurrency(invoice.total)}</Text>
+            </View>
+            {invoice.amountPaid > 0 && (
+              <View style={styles.totalRow}>
+                <Text style={styles.mutedText}>Paid</Text>
+                <Text style={styles.totalValue}>-{formatCurrency(invoice.amountPaid)}</Text>
+              </View>
+            )}
+            <View style={styles.totalRow}>
+              <Text style={styles.grandTotalLabel}>Balance Due</Text>
+              <Text style={[styles.grandTotalValue, balance > 0 && { color: theme.colors.error }]}>
+                {formatCurrency(balance)}
+              </Text>
+            </View>
+          </View>
+        </View>
+
+        {!!invoice.notes && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Notes</Text>
+            <Text style={styles.notesText}>{invoice.notes}</Text>
+          </View>
+        )}
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.primaryButton} onPress={sharePdf} disabled={working}>
+            {working ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <>
+                <Ionicons name="share-outline" size={20} color="#FFFFFF" />
+                <Text style={styles.primaryButtonText}>Share PDF</Text>
+              </>
+            )}
+          </TouchableOpacity>
+
+          {balance > 0 && !['draft', 'cancelled'].includes(invoice.status) && (
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => navigation.navigate('RecordPayment', { customerId: invoice.customerId, invoiceId })}
+              disabled={working}
+            >
+              <Ionicons name="wallet-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.secondaryButtonText}>Record Payment</Text>
+            </TouchableOpacity>
+          )}
+
+          {invoice.status === 'draft' && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => changeStatus('sent')} disabled={working}>
+              <Ionicons name="send-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.secondaryButtonText}>Mark as Sent</Text>
+            </TouchableOpacity>
+          )}
+
+          {editable && (
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => navigation.navigate('CreateInvoice', { invoiceId })}
+              disabled={working}
+            >
+              <Ionicons name="create-outline" size={18} color={theme.colors.primary} />
+              <Text style={styles.secondaryButtonText}>Edit Invoice</Text>
+            </TouchableOpacity>
+          )}
+
+          {canTransition(invoice.status, 'cancelled') && invoice.amountPaid <= 0 && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={confirmCancel} disabled={working}>
+              <Ionicons name="close-circle-outline" size={18} color={theme.colors.error} />
+              <Text style={[styles.secondaryButtonText, { color: theme.colors.error }]}>Cancel Invoice</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  section: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: theme.colors.shadowColor,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  invoiceNumber: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
+  customerName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+  },
+  datesRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+    gap: 12,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemDescription: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: theme.colors.text,
+    marginBottom: 2,
+  },
+  itemAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  totals: {
+    marginTop: 12,
+    gap: 6,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  totalValue: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  grandTotalLabel: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  grandTotalValue: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  notesText: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  actions: {
+    gap: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    padding: 16,
+    borderRadius: 8,
+    backgroundColor: theme.colors.success,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    padding: 14,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: theme.colors.surface,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+});
+
+export default InvoiceDetailsScreen;
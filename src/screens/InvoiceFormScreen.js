@@ -0,0 +1,590 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import CustomPicker from '../components/CustomPicker';
+import fastApiService from '../services/fastApiService';
+import {
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  addDays,
+  buildItemsFromSales,
+  calculateInvoiceTotals,
+  getInvoiceTaxRate,
+} from '../utils/invoices';
+import { toDateKey } from '../utils/receivables';
+import { useTheme } from '../context/ThemeContext';
+
+let nextItemKey = 1;
+
+// Stored dates are YYYY-MM-DD; read them as local midnight so the picker shows the same day
+const toLocalDate = (value) => new Date(`${toDateKey(value)}T00:00:00`);
+
+// Inputs hold text, so numbers are kept as strings while editing
+const toFormItem = (item) => ({
+  key: nextItemKey++,
+  saleId: item.saleId || null,
+  description: item.description || '',
+  quantity: item.quantity !== undefined ? String(item.quantity) : '1',
+  unit: item.unit || '',
+  unitPrice: item.unitPrice !== undefined ? String(item.unitPrice) : '',
+});
+
+const InvoiceFormScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { theme } = useTheme();
+  const invoiceId = route.params?.invoiceId;
+  const saleIds = route.params?.saleIds || [];
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [customers, setCustomers] = useState([]);
+  const [status, setStatus] = useState('draft');
+  const [formData, setFormData] = useState({
+    customerId: '',
+    invoiceDate: new Date(),
+    dueDate: addDays(new Date(), DEFAULT_PAYMENT_TERMS_DAYS),
+    taxRate: '',
+    discountAmount: '',
+    notes: '',
+  });
+  const [items, setItems] = useState([]);
+  const [showDatePicker, setShowDatePicker] = useState(null); // invoiceDate | dueDate
+
+  useEffect(() => {
+    loadForm();
+  }, [invoiceId]);
+
+  const loadForm = async () => {
+    try {
+      setLoading(true);
+
+      const customersResponse = await fastApiService.getCustomers();
+      setCustomers(customersResponse.success ? customersResponse.data : []);
+
+      if (invoiceId) {
+        const response = await fastApiService.getInvoiceDetails(invoiceId);
+        if (!response.success) {
+          throw new Error(response.error || 'Invoice not found');
+        }
+        const invoice = response.data;
+        setStatus(invoice.status);
+        setFormData({
+          customerId: invoice.customerId || '',
+          invoiceDate: toLocalDate(invoice.invoiceDate),
+          dueDate: toLocalDate(invoice.dueDate),
+          taxRate: String(getInvoiceTaxRate({
+            subtotal: invoice.subtotal,
+            discount_amount: invoice.discountAmount,
+            tax_amount: invoice.taxAmount,
+          }) || ''),
+          discountAmount: invoice.discountAmount ? String(invoice.discountAmount) : '',
+          notes: invoice.notes || '',
+        });
+        setItems(invoice.items.map(toFormItem));
+      } else if (saleIds.length > 0) {
+        const response = await fastApiService.getSalesForInvoice(saleIds);
+        const sales = response.data || [];
+        const alreadyInvoiced = sales.filter(sale => sale.invoiced_as);
+        if (alreadyInvoiced.length > 0) {
+          Alert.alert(
+            'Already Invoiced',
+            `Left out ${alreadyInvoiced.length} sale(s) that are already on an invoice.`
+          );
+        }
+        const openSales = sales.filter(sale => !sale.invoiced_as);
+        setFormData(prev => ({ ...prev, customerId: openSales[0]?.customer_id || '' }));
+        setItems(buildItemsFromSales(openSales).map(toFormItem));
+      } else {
+        setItems([toFormItem({})]);
+      }
+    } catch (error) {
+      console.error('Error loading invoice form:', error);
+      Alert.alert('Error', error.message || 'Failed to load invoice', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const totals = calculateInvoiceTotals(items, {
+    taxRate: formData.taxRate,
+    discountAmount: formData.discountAmount,
+  });
+
+  const updateItem = (key, field, value) => {
+    setItems(items.map(item => (item.key === key ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems(items.filter(item => item.key !== key));
+  };
+
+  const handleSave = async (nextStatus) => {
+    if (!formData.customerId) {
+      Alert.alert('Validation Error', 'Please choose the customer to invoice');
+      return;
+    }
+    if (items.length === 0) {
+      Alert.alert('Validation Error', 'Please add at least one line item');
+      return;
+    }
+    if (items.some(item => !item.description.trim() || !(parseFloat(item.quantity) > 0) || item.unitPrice === '')) {
+      Alert.alert('Validation Error', 'Every line item needs a description, quantity and price');
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const response = await fastApiService.saveInvoice({
+        id: invoiceId,
+        customerId: formData.customerId,
+        invoiceDate: formData.invoiceDate,
+        dueDate: formData.dueDate,
+        taxRate: parseFloat(formData.taxRate) || 0,
+        discountAmount: parseFloat(formData.discountAmount) || 0,
+        notes: formData.notes,
+        status: nextStatus,
+        items: items.map(item => ({
+          saleId: item.saleId,
+          description: item.description,
+          quantity: parseFloat(item.quantity),
+          unit: item.unit,
+          unitPrice: parseFloat(item.unitPrice) || 0,
+        })),
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to save invoice');
+      }
+
+      navigation.replace('InvoiceDetails', { invoiceId: response.data.id });
+    } catch (error) {
+      console.error('Error saving invoice:', error);
+      Alert.alert('Error', error.message || 'Failed to save invoice. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const styles = getStyles(theme);
+
+  const renderDateField = (label, field) => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.label}>{label}</Text>
+      <TouchableOpacity style={styles.dateButton} onPress={() => setShowDatePicker(field)}>
+        <Ionicons name="calendar-outline" size={20} color={theme.colors.textSecondary} />
+        <Text style={styles.dateText}>{formData[field].toLocaleDateString('en-GB')}</Text>
+      </TouchableOpacity>
+      {showDatePicker === field && (
+        <DateTimePicker
+          value={formData[field]}
+          mode="date"
+          display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+          onChange={(event, date) => {
+            setShowDatePicker(Platform.OS === 'ios' ? field : null);
+            if (date) {
+              setFormData({ ...formData, [field]: date });
+            }
+          }}
+        />
+      )}
+    </View>
+  );
+
+  const renderItem = (item, index) => (
+    <View key={item.key} style={styles.itemCard}>
+      <View style={styles.itemHeader}>
+        <Text style={styles.itemTitle}>
+          Item {index + 1}{item.saleId ? ` • Sale #${item.saleId}` : ''}
+        </Text>
+        <TouchableOpacity onPress={() => removeItem(item.key)}>
+          <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        style={styles.input}
+        value={item.description}
+        onChangeText={(value) => updateItem(item.key, 'description', value)}
+        placeholder="Description"
+      />
+      <View style={styles.itemRow}>
+        <TextInput
+          style={[styles.input, styles.itemInput]}
+          value={item.quantity}
+          onChangeText={(value) => updateItem(item.key, 'quantity', value)}
+          placeholder="Qty"
+          keyboardType="numeric"
+        />
+        <TextInput
+          style={[styles.input, styles.itemInput]}
+          value={item.unit}
+          onChangeText={(value) => updateItem(item.key, 'unit', value)}
+          placeholder="Unit"
+        />
+        <TextInput
+          style={[styles.input, styles.itemInput]}
+          value={item.unitPrice}
+          onChangeText={(value) => updateItem(item.key, 'unitPrice', value)}
+          placeholder="Unit price"
+          keyboardType="numeric"
+        />
+      </View>
+      <Text style={styles.itemAmount}>
+        UGX {totals.items[index].amount.toLocaleString()}
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Customer & Dates</Text>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Customer</Text>
+            <CustomPicker
+              selectedValue={String(formData.customerId)}
+              onValueChange={(value) =>
+                setFormData({ ...formData, customerId: value === '' ? '' : parseInt(value) })
+              }
+              items={[
+                { label: '-- Select Customer --', value: '' },
+                ...customers.filter(customer => customer && customer.id).map(customer => ({
+                  label: customer.phone ? `${customer.name} - ${customer.phone}` : customer.name,
+                  value: String(customer.id),
+                })),
+              ]}
+              placeholder="Select customer"
+            />
+          </View>
+
+          {renderDateField('Invoice Date', 'invoiceDate')}
+          {renderDateField('Due Date', 'dueDate')}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Line Items</Text>
+          {items.map(renderItem)}
+          <TouchableOpacity style={styles.addItemButton} onPress={() => setItems([...items, toFormItem({})])}>
+            <Ionicons name="add-circle-outline" size={20} color={theme.colors.primary} />
+            <Text style={styles.addItemText}>Add Item</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Tax, Discount & Notes</Text>
+          <View style={styles.itemRow}>
+            <View style={[styles.inputGroup, styles.itemInput]}>
+              <Text style={styles.label}>Tax (%)</Text>
+              <TextInput
+                style={styles.input}
+                value={formData.taxRate}
+                onChangeText={(value) => setFormData({ ...formData, taxRate: value })}
+                placeholder="0"
+                keyboardType="numeric"
+              />
+            </View>
+            <View style={[styles.inputGroup, styles.itemInput]}>
+              <Text style={styles.label}>Discount (UGX)</Text>
+              <TextInput
+                style={styles.input}
+                value={formData.discountAmount}
+                onChangeText={(value) => setFormData({ ...formData, discountAmount: value })}
+                placeholder="0"
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Notes</Text>
+            <TextInput
+              style={[styles.input, styles.textArea]}
+              value={formData.notes}
+              onChangeText={(value) => setFormData({ ...formData, notes: value })}
+              placeholder="Payment instructions, delivery details..."
+              multiline
+              numberOfLines={3}
+            />
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Subtotal</Text>
+            <Text style={styles.totalValue}>UGX {totals.subtotal.toLocaleString()}</Text>
+          </View>
+          {totals.discountAmount > 0 && (
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Discount</Text>
+              <Text style={styles.totalValue}>-UGX {totals.discountAmount.toLocaleString()}</Text>
+            </View>
+          )}
+          {totals.taxAmount > 0 && (
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Tax</Text>
+              <Text style={styles.totalValue}>UGX {totals.taxAmount.toLocaleString()}</Text>
+            </View>
+          )}
+          <View style={styles.totalRow}>
+            <Text style={styles.grandTotalLabel}>Total</Text>
+            <Text style={styles.grandTotalValue}>UGX {totals.total.toLocaleString()}</Text>
+          </View>
+        </View>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {status === 'draft' ? (
+          <>
+            <TouchableOpacity
+              style={styles.cancelButton}
+              onPress={() => handleSave('draft')}
+              disabled={saving}
+            >
+              <Text style={styles.cancelButtonText}>Save Draft</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.submitButton, saving && styles.submitButtonDisabled]}
+              onPress={() => handleSave('sent')}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator color="#FFFFFF" size="small" />
+              ) : (
+                <>
+                  <Ionicons name="send" size={18} color="#FFFFFF" />
+                  <Text style={styles.submitButtonText}>Save & Send</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </>
+        ) : (
+          <TouchableOpacity
+            style={[styles.submitButton, saving && styles.submitButtonDisabled]}
+            onPress={() => handleSave(status)}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator color="#FFFFFF" size="small" />
+            ) : (
+              <>
+                <Ionicons name="checkmark-circle" size={20} color="#FFFFFF" />
+                <Text style={styles.submitButtonText}>Save Changes</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  section: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: theme.colors.shadowColor,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 16,
+  },
+  inputGroup: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: theme.colors.textSecondary,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: theme.colors.inputBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.inputBorder,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: theme.colors.inputText,
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  dateButton: {
+    backgroundColor: theme.colors.inputBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.inputBorder,
+    borderRadius: 8,
+    padding: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: theme.colors.inputText,
+  },
+  itemCard: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    gap: 8,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  itemInput: {
+    flex: 1,
+  },
+  itemAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+    textAlign: 'right',
+  },
+  addItemButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    padding: 12,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: theme.colors.primary,
+    borderRadius: 8,
+  },
+  addItemText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  totalLabel: {
+    fontSize: 15,
+    color: theme.colors.textSecondary,
+  },
+  totalValue: {
+    fontSize: 15,
+    color: theme.colors.text,
+  },
+  grandTotalLabel: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: theme.colors.text,
+  },
+  grandTotalValue: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: theme.colors.primary,
+  },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    padding: 16,
+    backgroundColor: theme.colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: theme.colors.inputBackground,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+  },
+  submitButton: {
+    flex: 2,
+    backgroundColor: theme.colors.success,
+    borderRadius: 8,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
+});
+
+export default InvoiceFormScreen;
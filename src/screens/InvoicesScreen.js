@@ -4,6 +4,7 @@ import {
   Text,
   StyleSheet,
   FlatList,
+  ScrollView,
   TouchableOpacity,
   ActivityIndicator,
   RefreshControl,
@@ -17,6 +18,7 @@ import { useOffline } from '../context/OfflineContext';
 import fastApiService from '../services/fastApiService';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OfflineIndicator from '../components/OfflineIndicator';
+import { INVOICE_STATUSES, getInvoiceStatus } from '../utils/invoices';
 
 const InvoicesScreen = ({ navigation }) => {
   const authContext = useAuth();
@@ -40,27 +42,27 @@ const InvoicesScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [summary, setSummary] = useState(null);
-  const [filter, setFilter] = useState('all'); // all, paid, partial, overdue, draft
+  const [filter, setFilter] = useState('all'); // all or one of INVOICE_STATUSES
 
   const fetchInvoices = async () => {
     try {
       setLoading(true);
 
-      // Build query params
-      const params = {};
+      // Local-first: invoices load from SQLite and work without signal
+      const filters = {};
       if (filter !== 'all') {
-        params.status = filter;
+        filters.status = filter;
       }
 
-      const response = await fastApiService.get('/api/v1/invoices', { params });
+      const response = await fastApiService.getInvoices(filters);
 
-      if (response && response.data) {
-        setInvoices(response.data.data || []);
+      if (response.success) {
+        setInvoices(response.data);
       }
 
       // Fetch summary
-      const summaryResponse = await fastApiService.get('/api/v1/invoices/summary');
-      if (summaryResponse && summaryResponse.data) {
+      const summaryResponse = await fastApiService.getInvoiceSummary();
+      if (summaryResponse.success) {
         setSummary(summaryResponse.data);
       }
     } catch (error) {
@@ -83,20 +85,7 @@ const InvoicesScreen = ({ navigation }) => {
     }, [filter])
   );
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'paid':
-        return '#2E8B57';
-      case 'partial':
-        return '#FF8C00';
-      case 'overdue':
-        return '#DC143C';
-      case 'draft':
-        return '#808080';
-      default:
-        return '#4A90E2';
-    }
-  };
+  const getStatusColor = (status) => getInvoiceStatus(status).color;
 
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
@@ -124,7 +113,7 @@ const InvoicesScreen = ({ navigation }) => {
             {item.invoiceNumber}
           </Text>
           <View style={[styles(theme).statusBadge, { backgroundColor: getStatusColor(item.status) }]}>
-            <Text style={styles(theme).statusText}>{item.status.toUpperCase()}</Text>
+            <Text style={styles(theme).statusText}>{getInvoiceStatus(item.status).label.toUpperCase()}</Text>
           </View>
         </View>
         <Text style={[styles(theme).amount, { color: theme.text }]}>
@@ -185,22 +174,22 @@ const InvoicesScreen = ({ navigation }) => {
   const renderFilterButtons = () => (
     <View style={styles(theme).filterContainer}>
       <ScrollView horizontal showsHorizontalScrollIndicator={false}>
-        {['all', 'paid', 'partial', 'overdue', 'draft'].map((filterOption) => (
+        {[{ key: 'all', label: 'All' }, ...INVOICE_STATUSES].map((filterOption) => (
           <TouchableOpacity
-            key={filterOption}
+            key={filterOption.key}
             style={[
               styles(theme).filterButton,
-              filter === filterOption && styles(theme).filterButtonActive,
+              filter === filterOption.key && styles(theme).filterButtonActive,
             ]}
-            onPress={() => setFilter(filterOption)}
+            onPress={() => setFilter(filterOption.key)}
           >
             <Text
               style={[
                 styles(theme).filterButtonText,
-                filter === filterOption && styles(theme).filterButtonTextActive,
+                filter === filterOption.key && styles(theme).filterButtonTextActive,
               ]}
             >
-              {filterOption.charAt(0).toUpperCase() + filterOption.slice(1)}
+              {filterOption.label}
             </Text>
           </TouchableOpacity>
         ))}
@@ -242,7 +231,7 @@ const InvoicesScreen = ({ navigation }) => {
       <FlatList
         data={invoices}
         renderItem={renderInvoiceCard}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => String(item.id)}
         contentContainerStyle={styles(theme).listContainer}
         refreshControl={
           <RefreshControl
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -15,6 +15,14 @@ import Toast from 'react-native-toast-message';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import { useLanguage } from '../context/LanguageContext';
+import authStorage from '../services/authStorage';
+
+const getInitials = (name = '') => name
+  .split(/[\s@.]+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
 
 const LoginScreen = ({ navigation, route }) => {
   // CRASH FIX: Safely extract route params with proper null checks
@@ -26,6 +34,8 @@ const LoginScreen = ({ navigation, route }) => {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [isPreFilled, setIsPreFilled] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const passwordInputRef = useRef(null);
 
   // CRASH FIX: Add null checks for context hooks
   const authContext = useAuth();
@@ -58,6 +68,42 @@ const LoginScreen = ({ navigation, route }) => {
     }
   }, [email, password]);
 
+  // OFFLINE PROFILES: Users who have logged in on this device, for the quick switcher
+  const loadProfiles = useCallback(async () => {
+    const storedProfiles = await authStorage.getStoredProfiles();
+    setProfiles(storedProfiles);
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const handleSelectProfile = (profile) => {
+    setEmail(profile.email);
+    setPassword('');
+    setIsPreFilled(false);
+    setTimeout(() => passwordInputRef.current?.focus(), 100);
+  };
+
+  const handleRemoveProfile = (profile) => {
+    Alert.alert(
+      'Remove User',
+      `Remove ${profile.name} from this device? They will need an internet connection to log in here again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await authStorage.removeProfile(profile.email);
+            if (email.toLowerCase().trim() === profile.email) setEmail('');
+            loadProfiles();
+          }
+        }
+      ]
+    );
+  };
+
   // Handle pre-filled credentials from registration
   useEffect(() => {
     console.log('🔍 LoginScreen: Checking for pre-filled credentials...');
@@ -297,6 +343,45 @@ const LoginScreen = ({ navigation, route }) => {
             </View>
           )}
 
+          {profiles.length > 0 && (
+            <View style={styles(theme).inputContainer}>
+              <Text style={[styles(theme).inputLabel, { color: theme.colors.text }]}>Who is working?</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                {profiles.map(profile => {
+                  const isSelected = email.toLowerCase().trim() === profile.email;
+                  return (
+                    <TouchableOpacity
+                      key={profile.email}
+                      style={[styles(theme).profileChip, {
+                        borderColor: isSelected ? theme.colors.primary : theme.colors.inputBorder,
+                        backgroundColor: isSelected ? theme.colors.primary + '15' : theme.colors.inputBackground
+                      }]}
+                      onPress={() => handleSelectProfile(profile)}
+                      onLongPress={() => handleRemoveProfile(profile)}
+                      disabled={loading}
+                      activeOpacity={0.7}
+                    >
+                      <View style={[styles(theme).profileAvatar, { backgroundColor: theme.colors.primary }]}>
+                        <Text style={styles(theme).profileInitials}>{getInitials(profile.name)}</Text>
+                      </View>
+                      <Text style={[styles(theme).profileName, { color: theme.colors.text }]} numberOfLines={1}>
+                        {profile.name}
+                      </Text>
+                      {!!profile.role && (
+                        <Text style={[styles(theme).profileRole, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+                          {profile.role.replace(/_/g, ' ')}
+                        </Text>
+                      )}
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+              <Text style={[styles(theme).profileHint, { color: theme.colors.textSecondary }]}>
+                Tap your name and enter your password. Long-press to remove a user from this device.
+              </Text>
+            </View>
+          )}
+
           <View style={styles(theme).inputContainer}>
             <Text style={[styles(theme).inputLabel, { color: theme.colors.text }]}>
               {t('auth.email')}
@@ -327,6 +412,7 @@ const LoginScreen = ({ navigation, route }) => {
               borderColor: theme.colors.inputBorder
             }]}>
               <TextInput
+                ref={passwordInputRef}
                 style={[styles(theme).passwordInput, { color: theme.colors.inputText }]}
                 placeholder={t('auth.passwordPlaceholder')}
                 placeholderTextColor={theme.colors.placeholder}
@@ -508,6 +594,40 @@ const styles = (theme) => StyleSheet.create({
     color: '#155724',
     fontWeight: '500',
   },
+  profileChip: {
+    width: 96,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 6,
+    marginRight: 10,
+  },
+  profileAvatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  profileInitials: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  profileName: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  profileRole: {
+    fontSize: 11,
+    textTransform: 'capitalize',
+  },
+  profileHint: {
+    fontSize: 12,
+    marginTop: 8,
+  },
   // CRASH FIX: Error banner styles to display auth errors
   errorBanner: {
     flexDirection: 'row',
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  RefreshControl,
+} from 'react-native';
+import mortalityMonitor from '../services/mortalityMonitor';
+import dataEventBus, { EventTypes } from '../services/dataEventBus';
+import { useAuth } from '../context/AuthContext';
+import { useTheme } from '../context/ThemeContext';
+
+const FILTERS = [
+  { key: 'unresolved', label: 'Open' },
+  { key: 'resolved', label: 'Resolved' },
+  { key: 'all', label: 'All' },
+];
+
+const LEVEL_COLORS = {
+  warning: '#FFC107',
+  critical: '#FF9800',
+  emergency: '#F44336',
+};
+
+const LEVEL_ICONS = {
+  warning: '⚡',
+  critical: '⚠️',
+  emergency: '🚨',
+};
+
+const TREND_LABELS = {
+  increasing: '📈 Increasing',
+  decreasing: '📉 Decreasing',
+  stable: '➡️ Stable',
+};
+
+const formatDateTime = (value) => {
+  if (!value) return '';
+  try {
+    return new Date(value).toLocaleString();
+  } catch (error) {
+    return value;
+  }
+};
+
+const MortalityAlertsScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [filter, setFilter] = useState('unresolved');
+  const [alerts, setAlerts] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null); // { alert, action }
+  const [note, setNote] = useState('');
+
+  const loadAlerts = useCallback(() => {
+    setAlerts(mortalityMonitor.getAlertLog(filter === 'all' ? {} : { status: filter }));
+  }, [filter]);
+
+  useEffect(() => {
+    loadAlerts();
+    const unsubscribe = dataEventBus.subscribe(EventTypes.MORTALITY_ALERT_UPDATED, loadAlerts);
+    return unsubscribe;
+  }, [loadAlerts]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadAlerts();
+    setRefreshing(false);
+  };
+
+  const openAction = (alert, action) => {
+    setNote('');
+    setPendingAction({ alert, action });
+  };
+
+  const handleConfirmAction = () => {
+    const { alert, action } = pendingAction;
+    if (action === 'resolve' && !note.trim()) {
+      Alert.alert('Note Required', 'Please describe what was done to resolve this alert.');
+      return;
+    }
+
+    try {
+      if (action === 'resolve') {
+        mortalityMonitor.resolveAlert(alert.id, user, note);
+      } else {
+        mortalityMonitor.acknowledgeAlert(alert.id, user, note);
+      }
+      setPendingAction(null);
+      loadAlerts();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update alert');
+    }
+  };
+
+  const renderAlert = ({ item }) => {
+    const color = LEVEL_COLORS[item.level] || LEVEL_COLORS.warning;
+    // Egg production drops share the log: rates are this week's and last week's hen-day %
+    const isProductionDrop = item.alert_type === 'production_drop';
+
+    return (
+      <View style={[styles(theme).card, { borderLeftColor: color }]}>
+        <View style={styles(theme).cardHeader}>
+          <Text style={styles(theme).levelIcon}>{LEVEL_ICONS[item.level]}</Text>
+          <View style={styles(theme).cardTitleBlock}>
+            <Text style={styles(theme).cardTitle}>{item.batch_name || `Batch ${item.batch_id}`}</Text>
+            <Text style={styles(theme).cardSubtitle}>
+              {item.farm_name ? `${item.farm_name} • ` : ''}{formatDateTime(item.created_at)}
+            </Text>
+          </View>
+          <View style={[styles(theme).levelBadge, { backgroundColor: color }]}>
+            <Text style={styles(theme).levelBadgeText}>{item.level.toUpperCase()}</Text>
+          </View>
+        </View>
+
+        {isProductionDrop ? (
+          <View style={styles(theme).statsRow}>
+            <Text style={styles(theme).statText}>🥚 Hen-day: {Number(item.daily_rate || 0).toFixed(1)}%</Text>
+            <Text style={styles(theme).statText}>Last week: {Number(item.cumulative_rate || 0).toFixed(1)}%</Text>
+          </View>
+        ) : (
+          <View style={styles(theme).statsRow}>
+            <Text style={styles(theme).statText}>Daily: {Number(item.daily_rate || 0).toFixed(2)}%</Text>
+            <Text style={styles(theme).statText}>Cycle: {Number(item.cumulative_rate || 0).toFixed(2)}%</Text>
+            <Text style={styles(theme).statText}>{TREND_LABELS[item.trend] || '📊 No trend'}</Text>
+          </View>
+        )}
+        {isProductionDrop && item.message ? <Text style={styles(theme).historyText}>{item.message}</Text> : null}
+
+        {item.acknowledged_at && (
+          <Text style={styles(theme).historyText}>
+            ✓ Acknowledged by {item.acknowledged_by_name || 'a user'} • {formatDateTime(item.acknowledged_at)}
+            {item.acknowledge_note ? `\n“${item.acknowledge_note}”` : ''}
+          </Text>
+        )}
+        {item.resolved_at && (
+          <Text style={styles(theme).historyText}>
+            ✔︎ Resolved by {item.resolved_by_name || 'a user'} • {formatDateTime(item.resolved_at)}
+            {item.resolution_note ? `\n“${item.resolution_note}”` : ''}
+          </Text>
+        )}
+
+        <View style={styles(theme).cardActions}>
+          <TouchableOpacity
+            style={styles(theme).linkButton}
+            onPress={() => navigation.navigate('Records', { initialTab: isProductionDrop ? 'production' : 'mortality', batchId: item.batch_id, batchName: item.batch_name })}
+          >
+            <Text style={styles(theme).linkText}>Records</Text>
+          </TouchableOpacity>
+          {item.status === 'open' && (
+            <TouchableOpacity
+              style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+              onPress={() => openAction(item, 'acknowledge')}
+            >
+              <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Acknowledge</Text>
+            </TouchableOpacity>
+          )}
+          {item.status !== 'resolved' && (
+            <TouchableOpacity
+              style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+              onPress={() => openAction(item, 'resolve')}
+            >
+              <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Resolve</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).filters}>
+        {FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles(theme).filterTab, filter === option.key && styles(theme).filterTabActive]}
+            onPress={() => setFilter(option.key)}
+          >
+            <Text style={[styles(theme).filterText, filter === option.key && styles(theme).filterTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        data={alerts}
+        renderItem={renderAlert}
+        keyExtractor={(item) => String(item.id)}
+        contentContainerStyle={styles(theme).list}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor={theme.colors.primary}
+            colors={[theme.colors.primary]}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles(theme).emptyContainer}>
+            <Text style={styles(theme).emptyIcon}>✅</Text>
+            <Text style={styles(theme).emptyText}>
+              {filter === 'unresolved' ? 'No open mortality alerts' : 'No mortality alerts logged'}
+            </Text>
+          </View>
+        }
+      />
+
+      <Modal animationType="fade" transparent={true} visible={!!pendingAction} onRequestClose={() => setPendingAction(null)}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <Text style={styles(theme).modalTitle}>
+              {pendingAction?.action === 'resolve' ? 'Resolve Alert' : 'Acknowledge Alert'}
+            </Text>
+            <Text style={styles(theme).modalSubtitle}>
+              {pendingAction?.action === 'resolve'
+                ? 'What was done? This note is kept with the alert.'
+                : 'Add an optional note for the team.'}
+            </Text>
+            <TextInput
+              style={styles(theme).noteInput}
+              placeholder={pendingAction?.action === 'resolve' ? 'e.g., Vet visited, heater fixed' : 'e.g., Checking the house now'}
+              placeholderTextColor={theme.colors.placeholder}
+              value={note}
+              onChangeText={setNote}
+              multiline
+              numberOfLines={3}
+            />
+            <View style={styles(theme).modalActions}>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.borderSecondary }]}
+                onPress={() => setPendingAction(null)}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles(theme).modalButton, { backgroundColor: theme.colors.primary }]}
+                onPress={handleConfirmAction}
+              >
+                <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>
+                  {pendingAction?.action === 'resolve' ? 'Resolve' : 'Acknowledge'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  filters: {
+    flexDirection: 'row',
+    margin: 20,
+    marginBottom: 0,
+    borderRadius: 8,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  filterTab: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+  },
+  filterTabActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  filterText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  filterTextActive: {
+    color: theme.colors.buttonText,
+  },
+  list: {
+    padding: 20,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    borderLeftWidth: 4,
+    backgroundColor: theme.colors.surface,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  levelIcon: {
+    fontSize: 24,
+  },
+  cardTitleBlock: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  cardSubtitle: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  levelBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  levelBadgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  statText: {
+    fontSize: 13,
+    color: theme.colors.text,
+  },
+  historyText: {
+    fontSize: 13,
+    lineHeight: 18,
+    marginTop: 10,
+    color: theme.colors.textSecondary,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  linkButton: {
+    marginRight: 'auto',
+    paddingVertical: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+  actionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '90%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  modalSubtitle: {
+    fontSize: 14,
+    marginTop: 6,
+    marginBottom: 15,
+    color: theme.colors.textSecondary,
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    minHeight: 80,
+    textAlignVertical: 'top',
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+  },
+});
+
+export default MortalityAlertsScreen;
@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+} from 'react-native';
+import mortalityMonitor, {
+  THRESHOLD_BIRD_TYPES,
+  THRESHOLD_AGE_BANDS,
+  THRESHOLD_LEVELS,
+} from '../services/mortalityMonitor';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
+import { useTheme } from '../context/ThemeContext';
+
+const BIRD_TYPE_LABELS = { broiler: 'Broiler', layer: 'Layer', default: 'Other birds' };
+const ROW_LABELS = { week1: 'Week 1', week2: 'Week 2', week3Plus: 'Week 3+', totalCycle: 'Whole cycle' };
+const LEVEL_LABELS = { warning: 'Warning', critical: 'Critical', emergency: 'Emergency' };
+
+// Form state keeps every value as text so partially typed numbers are not lost
+const toForm = (config) => {
+  const form = { alertCooldownHours: String(config.alertCooldownHours) };
+  THRESHOLD_BIRD_TYPES.forEach(type => {
+    form[type] = {};
+    [...THRESHOLD_AGE_BANDS, 'totalCycle'].forEach(row => {
+      const levels = row === 'totalCycle' ? config[type].totalCycle : config[type].ageBasedDaily[row];
+      form[type][row] = THRESHOLD_LEVELS.reduce((values, level) => ({ ...values, [level]: String(levels[level]) }), {});
+    });
+  });
+  return form;
+};
+
+const fromForm = (form) => {
+  const toLevels = (values) => THRESHOLD_LEVELS.reduce((levels, level) => ({ ...levels, [level]: parseFloat(values[level]) }), {});
+  const config = { alertCooldownHours: parseFloat(form.alertCooldownHours) };
+  THRESHOLD_BIRD_TYPES.forEach(type => {
+    config[type] = {
+      ageBasedDaily: THRESHOLD_AGE_BANDS.reduce((bands, band) => ({ ...bands, [band]: toLevels(form[type][band]) }), {}),
+      totalCycle: toLevels(form[type].totalCycle),
+    };
+  });
+  return config;
+};
+
+const MortalityThresholdsScreen = () => {
+  const { can } = useAuth();
+  const { theme } = useTheme();
+  const [birdType, setBirdType] = useState('broiler');
+  const [form, setForm] = useState(null);
+
+  const canEdit = can(PERMISSIONS.SETTINGS_MANAGE);
+
+  useEffect(() => {
+    setForm(toForm(mortalityMonitor.getThresholdConfig()));
+  }, []);
+
+  const updateValue = (row, level, text) => {
+    setForm(prev => ({
+      ...prev,
+      [birdType]: { ...prev[birdType], [row]: { ...prev[birdType][row], [level]: text } },
+    }));
+  };
+
+  const handleSave = () => {
+    try {
+      mortalityMonitor.saveThresholdConfig(fromForm(form));
+      Alert.alert('Saved', 'Mortality alert thresholds updated. They will sync to your organization when online.');
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+    }
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset Thresholds',
+      'Restore the standard thresholds for every bird type?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reset',
+          style: 'destructive',
+          onPress: () => {
+            const defaults = {
+              ...mortalityMonitor.thresholds,
+              alertCooldownHours: mortalityMonitor.alertCooldown / (60 * 60 * 1000),
+            };
+            mortalityMonitor.saveThresholdConfig(defaults);
+            setForm(toForm(mortalityMonitor.getThresholdConfig()));
+          },
+        },
+      ]
+    );
+  };
+
+  if (!form) return null;
+
+  return (
+    <ScrollView style={styles(theme).container} contentContainerStyle={styles(theme).content}>
+      <Text style={styles(theme).intro}>
+        Alerts fire when mortality reaches these percentages of the flock. Daily rows apply by batch age; the whole cycle row applies to cumulative losses.
+      </Text>
+
+      <View style={styles(theme).tabs}>
+        {THRESHOLD_BIRD_TYPES.map(type => (
+          <TouchableOpacity
+            key={type}
+            style={[styles(theme).tab, birdType === type && styles(theme).tabActive]}
+            onPress={() => setBirdType(type)}
+          >
+            <Text style={[styles(theme).tabText, birdType === type && styles(theme).tabTextActive]}>
+              {BIRD_TYPE_LABELS[type]}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles(theme).table}>
+        <View style={styles(theme).tableRow}>
+          <Text style={[styles(theme).rowLabel, styles(theme).headerText]}>Daily %</Text>
+          {THRESHOLD_LEVELS.map(level => (
+            <Text key={level} style={[styles(theme).cellHeader, styles(theme).headerText]}>{LEVEL_LABELS[level]}</Text>
+          ))}
+        </View>
+        {[...THRESHOLD_AGE_BANDS, 'totalCycle'].map(row => (
+          <View key={row} style={[styles(theme).tableRow, row === 'totalCycle' && styles(theme).totalRow]}>
+            <Text style={styles(theme).rowLabel}>{ROW_LABELS[row]}</Text>
+            {THRESHOLD_LEVELS.map(level => (
+              <TextInput
+                key={level}
+                style={styles(theme).cellInput}
+                value={form[birdType][row][level]}
+                onChangeText={(text) => updateValue(row, level, text)}
+                keyboardType="decimal-pad"
+                editable={canEdit}
+              />
+            ))}
+          </View>
+        ))}
+      </View>
+
+      <View style={styles(theme).cooldownRow}>
+        <View style={styles(theme).cooldownText}>
+          <Text style={styles(theme).cooldownLabel}>Alert cooldown (hours)</Text>
+          <Text style={styles(theme).cooldownHint}>Minimum time between alerts for the same batch</Text>
+        </View>
+        <TextInput
+          style={styles(theme).cellInput}
+          value={form.alertCooldownHours}
+          onChangeText={(text) => setForm(prev => ({ ...prev, alertCooldownHours: text }))}
+          keyboardType="decimal-pad"
+          editable={canEdit}
+        />
+      </View>
+
+      {canEdit ? (
+        <View style={styles(theme).actions}>
+          <TouchableOpacity style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]} onPress={handleReset}>
+            <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Reset</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]} onPress={handleSave}>
+            <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <Text style={styles(theme).readOnlyText}>Only managers can change alert thresholds.</Text>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    padding: 20,
+  },
+  intro: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 20,
+    color: theme.colors.textSecondary,
+  },
+  tabs: {
+    flexDirection: 'row',
+    borderRadius: 8,
+    overflow: 'hidden',
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginBottom: 20,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+  },
+  tabActive: {
+    backgroundColor: theme.colors.primary,
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  tabTextActive: {
+    color: theme.colors.buttonText,
+  },
+  table: {
+    borderRadius: 12,
+    padding: 12,
+    backgroundColor: theme.colors.surface,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    gap: 8,
+  },
+  totalRow: {
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  headerText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: theme.colors.textSecondary,
+  },
+  rowLabel: {
+    width: 90,
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  cellHeader: {
+    flex: 1,
+    textAlign: 'center',
+  },
+  cellInput: {
+    flex: 1,
+    minWidth: 60,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    textAlign: 'center',
+    fontSize: 15,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  cooldownRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+    padding: 12,
+    borderRadius: 12,
+    gap: 12,
+    backgroundColor: theme.colors.surface,
+  },
+  cooldownText: {
+    flex: 3,
+  },
+  cooldownLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  cooldownHint: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 24,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  readOnlyText: {
+    marginTop: 24,
+    fontSize: 14,
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+});
+
+export default MortalityThresholdsScreen;
@@ -3,12 +3,18 @@ import { View, Text, Switch, StyleSheet, ScrollView, TouchableOpacity, Alert } f
 import ScreenWrapper from '../components/ScreenWrapper';
 import { useTheme } from '../context/ThemeContext';
 import notificationService from '../services/notificationService';
+import reminderService from '../services/reminderService';
+
+// Only scheduled on the device; the backend has no setting for these
+const LOCAL_ONLY_SETTINGS = ['feedStockReminder', 'withdrawalReminder'];
 
 export default function NotificationSettingsScreen() {
   const { theme } = useTheme();
   const [loading, setLoading] = useState(true);
   const [dailyEntryReminder, setDailyEntryReminder] = useState(true);
   const [vaccinationReminder, setVaccinationReminder] = useState(true);
+  const [feedStockReminder, setFeedStockReminder] = useState(true);
+  const [withdrawalReminder, setWithdrawalReminder] = useState(true);
   const [language, setLanguage] = useState('en');
 
   useEffect(() => {
@@ -18,12 +24,23 @@ export default function NotificationSettingsScreen() {
   const loadSettings = async () => {
     try {
       setLoading(true);
+      // ON-DEVICE REMINDERS: Local settings apply offline; the backend's win when it answers
+      const localSettings = await reminderService.getSettings();
+      setDailyEntryReminder(localSettings.dailyEntryReminder);
+      setVaccinationReminder(localSettings.vaccinationReminder);
+      setFeedStockReminder(localSettings.feedStockReminder);
+      setWithdrawalReminder(localSettings.withdrawalReminder);
+
       const settings = await notificationService.getNotificationSettings();
 
       if (settings) {
         setDailyEntryReminder(settings.dailyEntryReminder ?? true);
         setVaccinationReminder(settings.vaccinationReminder ?? true);
         setLanguage(settings.language ?? 'en');
+        await reminderService.updateSettings({
+          dailyEntryReminder: settings.dailyEntryReminder ?? true,
+          vaccinationReminder: settings.vaccinationReminder ?? true,
+        });
       }
     } catch (error) {
       console.error('Failed to load notification settings:', error);
@@ -35,6 +52,13 @@ export default function NotificationSettingsScreen() {
 
   const updateSetting = async (key, value) => {
     try {
+      if (key !== 'language') {
+        await reminderService.updateSettings({ [key]: value });
+      }
+      if (LOCAL_ONLY_SETTINGS.includes(key)) {
+        return;
+      }
+
       const success = await notificationService.updateNotificationSettings({
         [key]: value,
       });
@@ -143,6 +167,52 @@ export default function NotificationSettingsScreen() {
               disabled={loading}
             />
           </View>
+
+          <View style={[styles(theme).settingRow, { borderBottomColor: theme.colors.border }]}>
+            <View style={styles(theme).settingInfo}>
+              <Text style={[styles(theme).settingLabel, { color: theme.colors.text }]}>Feed Stock Reminders</Text>
+              <Text style={[styles(theme).settingDescription, { color: theme.colors.textSecondary }]}>
+                Get reminded before a feed type runs low
+              </Text>
+            </View>
+            <Switch
+              value={feedStockReminder}
+              onValueChange={(value) => {
+                try {
+                  setFeedStockReminder(value);
+                  updateSetting('feedStockReminder', value);
+                } catch (error) {
+                  console.error('Error updating feed stock reminder:', error);
+                }
+              }}
+              trackColor={{ false: theme.colors.border, true: '#81c784' }}
+              thumbColor={feedStockReminder ? theme.colors.primary : theme.colors.textLight}
+              disabled={loading}
+            />
+          </View>
+
+          <View style={[styles(theme).settingRow, { borderBottomColor: theme.colors.border }]}>
+            <View style={styles(theme).settingInfo}>
+              <Text style={[styles(theme).settingLabel, { color: theme.colors.text }]}>Withdrawal Period Reminders</Text>
+              <Text style={[styles(theme).settingDescription, { color: theme.colors.textSecondary }]}>
+                Get notified when a treatment's withdrawal period ends
+              </Text>
+            </View>
+            <Switch
+              value={withdrawalReminder}
+              onValueChange={(value) => {
+                try {
+                  setWithdrawalReminder(value);
+                  updateSetting('withdrawalReminder', value);
+                } catch (error) {
+                  console.error('Error updating withdrawal reminder:', error);
+                }
+              }}
+              trackColor={{ false: theme.colors.border, true: '#81c784' }}
+              thumbColor={withdrawalReminder ? theme.colors.primary : theme.colors.textLight}
+              disabled={loading}
+            />
+          </View>
         </View>
 
         <View style={[styles(theme).section, { backgroundColor: theme.colors.surface }]}>
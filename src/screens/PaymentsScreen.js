@@ -18,6 +18,7 @@ import { useOffline } from '../context/OfflineContext';
 import fastApiService from '../services/fastApiService';
 import ScreenWrapper from '../components/ScreenWrapper';
 import OfflineIndicator from '../components/OfflineIndicator';
+import { PAYMENT_METHODS } from '../utils/payments';
 
 const PaymentsScreen = ({ navigation }) => {
   const authContext = useAuth();
@@ -47,21 +48,21 @@ const PaymentsScreen = ({ navigation }) => {
     try {
       setLoading(true);
 
-      // Build query params
-      const params = {};
+      // Local-first: payments load from SQLite and work without signal
+      const filters = {};
       if (filter !== 'all') {
-        params.paymentMethod = filter;
+        filters.paymentMethod = filter;
       }
 
-      const response = await fastApiService.get('/api/v1/payments', { params });
+      const response = await fastApiService.getPayments(filters);
 
-      if (response && response.data) {
-        setPayments(response.data.data || []);
+      if (response.success) {
+        setPayments(response.data);
       }
 
       // Fetch summary
-      const summaryResponse = await fastApiService.get('/api/v1/payments/summary');
-      if (summaryResponse && summaryResponse.data) {
+      const summaryResponse = await fastApiService.getPaymentSummary();
+      if (summaryResponse.success) {
         setSummary(summaryResponse.data);
       }
     } catch (error) {
@@ -164,11 +165,11 @@ const PaymentsScreen = ({ navigation }) => {
               {item.receiptNumber || 'No Receipt'}
             </Text>
             <Text style={[styles(theme).paymentMethod, { color: theme.subText }]}>
-              {item.paymentMethod.replace('_', ' ').toUpperCase()}
+              {item.amount < 0 ? 'REFUND • ' : ''}{item.paymentMethod.replace('_', ' ').toUpperCase()}
             </Text>
           </View>
         </View>
-        <Text style={[styles(theme).amount, { color: '#2E8B57' }]}>
+        <Text style={[styles(theme).amount, { color: item.amount < 0 ? '#DC143C' : '#2E8B57' }]}>
           {formatCurrency(item.amount)}
         </Text>
       </View>
@@ -235,24 +236,23 @@ const PaymentsScreen = ({ navigation }) => {
   const renderFilterButtons = () => (
     <View style={styles(theme).filterContainer}>
       <ScrollView horizontal showsHorizontalScrollIndicator={false}>
-        {['all', 'cash', 'mobile_money', 'bank_transfer', 'credit_card'].map(
+        {[{ key: 'all', label: 'All' }, ...PAYMENT_METHODS].map(
           (filterOption) => (
             <TouchableOpacity
-              key={filterOption}
+              key={filterOption.key}
               style={[
                 styles(theme).filterButton,
-                filter === filterOption && styles(theme).filterButtonActive,
+                filter === filterOption.key && styles(theme).filterButtonActive,
               ]}
-              onPress={() => setFilter(filterOption)}
+              onPress={() => setFilter(filterOption.key)}
             >
               <Text
                 style={[
                   styles(theme).filterButtonText,
-                  filter === filterOption && styles(theme).filterButtonTextActive,
+                  filter === filterOption.key && styles(theme).filterButtonTextActive,
                 ]}
               >
-                {filterOption.replace('_', ' ').charAt(0).toUpperCase() +
-                  filterOption.replace('_', ' ').slice(1)}
+                {filterOption.label}
               </Text>
             </TouchableOpacity>
           )
@@ -295,7 +295,7 @@ const PaymentsScreen = ({ navigation }) => {
       <FlatList
         data={payments}
         renderItem={renderPaymentCard}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => String(item.id)}
         contentContainerStyle={styles(theme).listContainer}
         refreshControl={
           <RefreshControl
@@ -20,7 +20,10 @@ import { useTheme } from '../context/ThemeContext';
 import { useLanguage } from '../context/LanguageContext';
 import DataBackupModal from '../components/DataBackupModal';
 import DatabaseDebugModal from '../components/DatabaseDebugModal';
+import AppLockPinModal from '../components/AppLockPinModal';
 import mortalityMonitor from '../services/mortalityMonitor';
+import appLockService, { LOCK_TIMEOUT_OPTIONS, WIPE_AFTER_OPTIONS } from '../services/appLockService';
+import { useAppLock } from '../context/AppLockContext';
 
 const ProfileScreen = ({ navigation }) => {
   const { user, logout, updateUser } = useAuth();
@@ -32,12 +35,72 @@ const ProfileScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(false);
   const [imageLoading, setImageLoading] = useState(false);
   const [profilePicture, setProfilePicture] = useState(null);
+  const { settings: lockSettings, refreshSettings: refreshLockSettings } = useAppLock();
+  const [pinModalMode, setPinModalMode] = useState(null);
+  const [biometricSupported, setBiometricSupported] = useState(false);
   const [editData, setEditData] = useState({
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
     phone: user?.phone || '',
   });
 
+  useEffect(() => {
+    appLockService.isBiometricSupported().then(setBiometricSupported);
+  }, []);
+
+  // APP LOCK: Settings changes take effect immediately
+  const updateLockSettings = async (changes) => {
+    try {
+      await appLockService.updateSettings(changes);
+      await refreshLockSettings();
+    } catch (error) {
+      Alert.alert('App Lock', error.message);
+    }
+  };
+
+  const chooseLockTimeout = () => {
+    Alert.alert(
+      'Lock After',
+      'Lock the app when it has not been used for:',
+      [
+        ...LOCK_TIMEOUT_OPTIONS.map(option => ({
+          text: option.label,
+          onPress: () => updateLockSettings({ timeoutMinutes: option.minutes }),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const chooseWipeLimit = () => {
+    Alert.alert(
+      'Erase Data After',
+      'All farm data on this phone is erased after this many wrong PINs in a row. Data already synced can be downloaded again by logging in.',
+      [
+        ...WIPE_AFTER_OPTIONS.map(attempts => ({
+          text: `${attempts} wrong PINs`,
+          onPress: () => updateLockSettings({ wipeAfterAttempts: attempts }),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  const handlePinSaved = async () => {
+    const mode = pinModalMode;
+    setPinModalMode(null);
+    await refreshLockSettings();
+    if (mode === 'set') {
+      Alert.alert('App Lock On', 'Poultry360 now asks for your PIN when it is opened, left idle or returns from the background.');
+    }
+  };
+
+  const handleLockWiped = async () => {
+    setPinModalMode(null);
+    await refreshLockSettings();
+    await logout();
+  };
+
   // Load profile picture from AsyncStorage on mount
   useEffect(() => {
     loadProfilePicture();
@@ -374,6 +437,10 @@ const ProfileScreen = ({ navigation }) => {
       admin: `⭐ ${t('profile.admin') || 'Admin'}`,
       owner: `👑 ${t('profile.owner') || 'Owner'}`,
       worker: `👷 ${t('profile.worker') || 'Worker'}`,
+      farm_worker: `👷 ${t('profile.worker') || 'Worker'}`,
+      supervisor: `📋 ${t('profile.supervisor') || 'Supervisor'}`,
+      vet: `🩺 ${t('profile.vet') || 'Vet'}`,
+      accountant: `🧾 ${t('profile.accountant') || 'Accountant'}`,
       super_admin: `🔐 ${t('profile.superAdmin') || 'Super Admin'}`,
     };
     return roleMap[role] || `👷 ${t('profile.worker') || 'Worker'}`;
@@ -385,6 +452,10 @@ const ProfileScreen = ({ navigation }) => {
       admin: theme.colors.error,        // Orange/Error color
       manager: theme.colors.success,    // Green/Success color
       worker: theme.colors.link,        // Blue/Link color
+      farm_worker: theme.colors.link,
+      supervisor: theme.colors.success,
+      vet: theme.colors.info,
+      accountant: theme.colors.secondary,
       super_admin: theme.colors.primary, // Purple/Primary color
     };
     return colorMap[role] || theme.colors.link;
@@ -478,6 +549,11 @@ const ProfileScreen = ({ navigation }) => {
           title={t('settings.notifications') || 'Notifications'}
           onPress={() => navigation.navigate('NotificationSettings')}
         />
+        <MenuItem
+          icon="⚠️"
+          title="Mortality Alert Thresholds"
+          onPress={() => navigation.navigate('MortalityThresholds')}
+        />
         <MenuItem
           icon="🌙"
           title={t('profile.darkMode') || 'Dark Mode'}
@@ -525,6 +601,67 @@ const ProfileScreen = ({ navigation }) => {
         />
       </MenuSection>
 
+      {/* App Lock */}
+      <MenuSection title="App Lock">
+        <MenuItem
+          icon="🔒"
+          title="Lock with PIN"
+          onPress={() => setPinModalMode(lockSettings?.enabled ? 'disable' : 'set')}
+          rightComponent={
+            <Switch
+              value={!!lockSettings?.enabled}
+              onValueChange={(enabled) => setPinModalMode(enabled ? 'set' : 'disable')}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={lockSettings?.enabled ? theme.colors.buttonText : theme.colors.surface}
+            />
+          }
+        />
+        {lockSettings?.enabled && (
+          <>
+            <MenuItem
+              icon="🔢"
+              title="Change PIN"
+              onPress={() => setPinModalMode('change')}
+            />
+            <MenuItem
+              icon="👆"
+              title={biometricSupported ? 'Fingerprint / Face Unlock' : 'Fingerprint / Face Unlock (not available)'}
+              onPress={() => biometricSupported && updateLockSettings({ biometricsEnabled: !lockSettings.biometricsEnabled })}
+              color={biometricSupported ? undefined : theme.colors.textSecondary}
+              rightComponent={
+                <Switch
+                  value={!!lockSettings.biometricsEnabled}
+                  disabled={!biometricSupported}
+                  onValueChange={(enabled) => updateLockSettings({ biometricsEnabled: enabled })}
+                  trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+                  thumbColor={lockSettings.biometricsEnabled ? theme.colors.buttonText : theme.colors.surface}
+                />
+              }
+            />
+            <MenuItem
+              icon="⏱️"
+              title="Lock After"
+              onPress={chooseLockTimeout}
+              rightComponent={
+                <Text style={[styles(theme).menuItemValue, { color: theme.colors.textSecondary }]}>
+                  {LOCK_TIMEOUT_OPTIONS.find(option => option.minutes === lockSettings.timeoutMinutes)?.label || `${lockSettings.timeoutMinutes} minutes`} ›
+                </Text>
+              }
+            />
+            <MenuItem
+              icon="🧨"
+              title="Erase Data After"
+              onPress={chooseWipeLimit}
+              rightComponent={
+                <Text style={[styles(theme).menuItemValue, { color: theme.colors.textSecondary }]}>
+                  {lockSettings.wipeAfterAttempts} wrong PINs ›
+                </Text>
+              }
+            />
+          </>
+        )}
+      </MenuSection>
+
       {/* Support */}
       <MenuSection title={t('profile.supportInfo') || 'Support & Info'}>
         <MenuItem
@@ -588,6 +725,14 @@ const ProfileScreen = ({ navigation }) => {
         onClose={() => setDbDebugModalVisible(false)}
       />
 
+      <AppLockPinModal
+        visible={!!pinModalMode}
+        mode={pinModalMode || 'set'}
+        onClose={() => setPinModalMode(null)}
+        onDone={handlePinSaved}
+        onWiped={handleLockWiped}
+      />
+
       {/* Edit Profile Modal */}
       <Modal
         animationType="slide"
@@ -865,6 +1010,9 @@ const styles = (theme) => StyleSheet.create({
   menuItemArrow: {
     fontSize: 20,
   },
+  menuItemValue: {
+    fontSize: 14,
+  },
   logoutSection: {
     margin: 20,
     marginTop: 30,
@@ -0,0 +1,571 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import CustomPicker from '../components/CustomPicker';
+import fastApiService from '../services/fastApiService';
+import { PAYMENT_METHODS, autoAllocate, getInvoiceBalance } from '../utils/payments';
+import { useTheme } from '../context/ThemeContext';
+import { useOffline } from '../context/OfflineContext';
+
+const formatCurrency = (amount) => `UGX ${Number(amount || 0).toLocaleString()}`;
+
+const RecordPaymentScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { theme } = useTheme();
+  const { isConnected } = useOffline();
+
+  const [customers, setCustomers] = useState([]);
+  const [customerId, setCustomerId] = useState(route.params?.customerId || '');
+  const [openInvoices, setOpenInvoices] = useState([]);
+  const [credit, setCredit] = useState(0);
+  const [loadingInvoices, setLoadingInvoices] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({
+    amount: '',
+    paymentDate: new Date(),
+    paymentMethod: 'cash',
+    referenceNumber: '',
+    notes: '',
+  });
+  // Allocation per invoice id, as typed
+  const [allocations, setAllocations] = useState({});
+  const [excessOption, setExcessOption] = useState('credit');
+  const [showDatePicker, setShowDatePicker] = useState(false);
+
+  useEffect(() => {
+    fastApiService.getCustomers().then(response => {
+      setCustomers(response.success ? response.data : []);
+    });
+  }, []);
+
+  useEffect(() => {
+    loadCustomerInvoices();
+  }, [customerId]);
+
+  const loadCustomerInvoices = async () => {
+    setAllocations({});
+    if (!customerId) {
+      setOpenInvoices([]);
+      setCredit(0);
+      return;
+    }
+
+    try {
+      setLoadingInvoices(true);
+      const response = await fastApiService.getPaymentContext(customerId);
+      const invoices = response.data.invoices;
+      setOpenInvoices(invoices);
+      setCredit(response.data.credit);
+
+      // Coming from an invoice: start with its balance as the amount
+      const invoice = invoices.find(row => String(row.id) === String(route.params?.invoiceId));
+      if (invoice && !formData.amount) {
+        const balance = getInvoiceBalance(invoice);
+        setFormData(prev => ({ ...prev, amount: String(balance) }));
+        setAllocations({ [invoice.id]: String(balance) });
+      }
+    } catch (error) {
+      console.error('Error loading open invoices:', error);
+    } finally {
+      setLoadingInvoices(false);
+    }
+  };
+
+  const handleAmountChange = (amount) => {
+    setFormData({ ...formData, amount });
+    // Re-spread the new amount over the invoices due first
+    const spread = autoAllocate(amount, openInvoices);
+    setAllocations(Object.fromEntries(spread.map(share => [share.invoiceId, String(share.amount)])));
+  };
+
+  const received = parseFloat(formData.amount) || 0;
+  const allocated = Object.values(allocations).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  const excess = Math.round((received - allocated) * 100) / 100;
+  const method = PAYMENT_METHODS.find(option => option.key === formData.paymentMethod);
+
+  const handleSave = async () => {
+    if (!customerId) {
+      Alert.alert('Validation Error', 'Please choose the customer who paid');
+      return;
+    }
+    if (!(received > 0)) {
+      Alert.alert('Validation Error', 'Please enter the amount received');
+      return;
+    }
+    if (excess < 0) {
+      Alert.alert('Validation Error', 'The amounts allocated are more than the payment');
+      return;
+    }
+    if (method.requiresReference && !formData.referenceNumber.trim()) {
+      Alert.alert('Validation Error', `Please enter the ${method.label.toLowerCase()} reference number`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const response = await fastApiService.recordPayment({
+        customerId,
+        amount: received,
+        paymentDate: formData.paymentDate,
+        paymentMethod: formData.paymentMethod,
+        referenceNumber: formData.referenceNumber,
+        notes: formData.notes,
+        allocations: Object.entries(allocations).map(([invoiceId, amount]) => ({ invoiceId, amount })),
+        excess: excessOption,
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to record payment');
+      }
+
+      const { receiptNumber, credit: creditKept, refunded } = response.data;
+      const lines = [`Receipt ${receiptNumber} recorded.`];
+      if (creditKept > 0) lines.push(`${formatCurrency(creditKept)} kept as credit.`);
+      if (refunded > 0) lines.push(`Give back ${formatCurrency(refunded)} to the customer.`);
+      if (!isConnected) lines.push('It will sync when you are back online.');
+      Alert.alert('Payment Recorded', lines.join('\n'), [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      Alert.alert('Error', error.message || 'Failed to record payment. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const refundCredit = async () => {
+    if (method.requiresReference && !formData.referenceNumber.trim()) {
+      Alert.alert('Validation Error', `Please enter the ${method.label.toLowerCase()} reference number for the refund`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await fastApiService.recordRefund(customerId, {
+        amount: credit,
+        paymentDate: formData.paymentDate,
+        paymentMethod: formData.paymentMethod,
+        referenceNumber: formData.referenceNumber,
+        notes: formData.notes,
+      });
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to record refund');
+      }
+      Alert.alert('Refund Recorded', `${formatCurrency(credit)} refunded by ${method.label.toLowerCase()}.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      console.error('Error recording refund:', error);
+      Alert.alert('Error', error.message || 'Failed to record refund. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const confirmRefund = () => {
+    Alert.alert(
+      'Refund Credit',
+      `Refund the customer's ${formatCurrency(credit)} credit by ${method.label.toLowerCase()}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Refund', onPress: refundCredit },
+      ]
+    );
+  };
+
+  const styles = getStyles(theme);
+
+  const renderInvoiceAllocation = (invoice) => {
+    const balance = getInvoiceBalance(invoice);
+    const overdue = invoice.status === 'overdue';
+    return (
+      <View key={invoice.id} style={styles.invoiceRow}>
+        <View style={styles.invoiceInfo}>
+          <Text style={styles.invoiceNumber}>{invoice.invoice_number || `Invoice #${invoice.id}`}</Text>
+          <Text style={[styles.mutedText, overdue && { color: theme.colors.error }]}>
+            {formatCurrency(balance)} due {invoice.due_date ? String(invoice.due_date).slice(0, 10) : ''}
+          </Text>
+        </View>
+        <TextInput
+          style={[styles.input, styles.allocationInput]}
+          value={allocations[invoice.id] || ''}
+          onChangeText={(value) => setAllocations({ ...allocations, [invoice.id]: value })}
+          placeholder="0"
+          keyboardType="numeric"
+        />
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Payment</Text>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Customer</Text>
+            <CustomPicker
+              selectedValue={String(customerId)}
+              onValueChange={(value) => setCustomerId(value === '' ? '' : parseInt(value))}
+              items={[
+                { label: '-- Select Customer --', value: '' },
+                ...customers.filter(customer => customer && customer.id).map(customer => ({
+                  label: customer.phone ? `${customer.name} - ${customer.phone}` : customer.name,
+                  value: String(customer.id),
+                })),
+              ]}
+              placeholder="Select customer"
+            />
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Amount Received (UGX)</Text>
+            <TextInput
+              style={styles.input}
+              value={formData.amount}
+              onChangeText={handleAmountChange}
+              placeholder="Enter amount"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Method</Text>
+            <View style={styles.chipRow}>
+              {PAYMENT_METHODS.map(option => {
+                const selected = formData.paymentMethod === option.key;
+                return (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[styles.chip, selected && { backgroundColor: option.color, borderColor: option.color }]}
+                    onPress={() => setFormData({ ...formData, paymentMethod: option.key })}
+                  >
+                    <Ionicons name={option.icon} size={16} color={selected ? '#FFFFFF' : option.color} />
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>
+              Reference Number{method.requiresReference ? '' : ' (Optional)'}
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={formData.referenceNumber}
+              onChangeText={(value) => setFormData({ ...formData, referenceNumber: value })}
+              placeholder={formData.paymentMethod === 'mobile_money' ? 'Transaction ID from the SMS' : 'Reference'}
+              autoCapitalize="characters"
+            />
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Payment Date</Text>
+            <TouchableOpacity style={styles.dateButton} onPress={() => setShowDatePicker(true)}>
+              <Ionicons name="calendar-outline" size={20} color={theme.colors.textSecondary} />
+              <Text style={styles.dateText}>{formData.paymentDate.toLocaleDateString('en-GB')}</Text>
+            </TouchableOpacity>
+            {showDatePicker && (
+              <DateTimePicker
+                value={formData.paymentDate}
+                mode="date"
+                display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                onChange={(event, date) => {
+                  setShowDatePicker(Platform.OS === 'ios');
+                  if (date) {
+                    setFormData({ ...formData, paymentDate: date });
+                  }
+                }}
+              />
+            )}
+          </View>
+
+          <View style={styles.inputGroup}>
+            <Text style={styles.label}>Notes (Optional)</Text>
+            <TextInput
+              style={styles.input}
+              value={formData.notes}
+              onChangeText={(value) => setFormData({ ...formData, notes: value })}
+              placeholder="Any notes about this payment"
+            />
+          </View>
+        </View>
+
+        {!!customerId && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Apply to Invoices</Text>
+            {loadingInvoices ? (
+              <ActivityIndicator color={theme.colors.primary} />
+            ) : openInvoices.length === 0 ? (
+              <Text style={styles.mutedText}>No open invoices. The payment will be kept as credit.</Text>
+            ) : (
+              openInvoices.map(renderInvoiceAllocation)
+            )}
+
+            <View style={styles.summaryRow}>
+              <Text style={styles.mutedText}>Allocated</Text>
+              <Text style={styles.summaryValue}>{formatCurrency(allocated)}</Text>
+            </View>
+            <View style={styles.summaryRow}>
+              <Text style={styles.mutedText}>{excess < 0 ? 'Over-allocated' : 'Not allocated'}</Text>
+              <Text style={[styles.summaryValue, excess < 0 && { color: theme.colors.error }]}>
+                {formatCurrency(Math.abs(excess))}
+              </Text>
+            </View>
+
+            {excess > 0 && (
+              <View style={styles.chipRow}>
+                {[
+                  { key: 'credit', label: 'Keep as credit' },
+                  { key: 'refund', label: 'Refund now' },
+                ].map(option => (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[styles.chip, excessOption === option.key && styles.chipSelected]}
+                    onPress={() => setExcessOption(option.key)}
+                  >
+                    <Text style={[styles.chipText, excessOption === option.key && styles.chipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {credit > 0 && (
+              <TouchableOpacity style={styles.refundButton} onPress={confirmRefund} disabled={saving}>
+                <Ionicons name="return-down-back-outline" size={18} color={theme.colors.primary} />
+                <Text style={styles.refundButtonText}>Refund {formatCurrency(credit)} credit</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <TouchableOpacity style={styles.cancelButton} onPress={() => navigation.goBack()} disabled={saving}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.submitButton, saving && styles.submitButtonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator color="#FFFFFF" size="small" />
+          ) : (
+            <>
+              <Ionicons name="checkmark-circle" size={20} color="#FFFFFF" />
+              <Text style={styles.submitButtonText}>Record Payment</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const getStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 100,
+  },
+  section: {
+    backgroundColor: theme.colors.surface,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: theme.colors.shadowColor,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: theme.colors.text,
+    marginBottom: 16,
+  },
+  inputGroup: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: theme.colors.textSecondary,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: theme.colors.inputBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.inputBorder,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: theme.colors.inputText,
+  },
+  dateButton: {
+    backgroundColor: theme.colors.inputBackground,
+    borderWidth: 1,
+    borderColor: theme.colors.inputBorder,
+    borderRadius: 8,
+    padding: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: theme.colors.inputText,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: theme.colors.inputBackground,
+  },
+  chipSelected: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  chipTextSelected: {
+    color: theme.colors.buttonText,
+    fontWeight: '600',
+  },
+  invoiceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  invoiceInfo: {
+    flex: 1,
+  },
+  invoiceNumber: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  allocationInput: {
+    width: 120,
+    textAlign: 'right',
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.textSecondary,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  summaryValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  refundButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    marginTop: 16,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  refundButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    padding: 16,
+    backgroundColor: theme.colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: theme.colors.inputBackground,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.textSecondary,
+  },
+  submitButton: {
+    flex: 2,
+    backgroundColor: theme.colors.success,
+    borderRadius: 8,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
+});
+
+export default RecordPaymentScreen;
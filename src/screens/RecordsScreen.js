@@ -13,27 +13,34 @@ import {
   ScrollView,
 } from 'react-native';
 import CustomPicker from '../components/CustomPicker';
+import RecordExportModal from '../components/RecordExportModal';
 import fastApiService from '../services/fastApiService';
 import notificationService from '../services/notificationService';
 import mortalityMonitor from '../services/mortalityMonitor';
+import productionMonitor from '../services/productionMonitor';
+import feedInventoryService from '../services/feedInventoryService';
+import { EGG_GRADES, getSellableEggs, parseGradeCounts, validateGradeCounts, formatTrays, getGradeLabel } from '../utils/eggGrading';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, getPermissionDeniedMessage } from '../utils/permissions';
 import { useTheme } from '../context/ThemeContext';
 import { useDashboardRefresh } from '../context/DashboardRefreshContext';
 import { useFarms, useBatches } from '../context/DataStoreContext';
 
 const RecordsScreen = ({ route, navigation }) => {
-  const { user } = useAuth();
+  const { user, can, canCreateRecord } = useAuth();
   const { theme } = useTheme();
   const { triggerDashboardRefresh } = useDashboardRefresh();
 
   // Use centralized context for farms and batches (auto-loads and updates)
   const { farms, loading: farmsLoading, refresh: refreshFarms } = useFarms();
-  const { batches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
+  const { batches, openBatches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
 
   const [records, setRecords] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
+  const [exportVisible, setExportVisible] = useState(false);
+  const [lowFeedStockCount, setLowFeedStockCount] = useState(0);
   // Check if we have a pre-selected tab from navigation params
   const initialTab = route?.params?.initialTab || 'feed';
   const [activeTab, setActiveTab] = useState(initialTab); // feed, health, mortality, production, water, weight, vaccination
@@ -62,6 +69,7 @@ const RecordsScreen = ({ route, navigation }) => {
     // Health specific
     healthStatus: '',
     treatment: '',
+    withdrawalDays: '',
     // Mortality specific
     count: '',
     cause: '',
@@ -106,17 +114,18 @@ const RecordsScreen = ({ route, navigation }) => {
   // CRITICAL FIX: Filter batches to only show those belonging to selected farm
   // This enforces data integrity - users can only select batches for the selected farm
   const filteredBatches = useMemo(() => {
-    if (!formData.farmId || !Array.isArray(batches)) {
+    if (!formData.farmId || !Array.isArray(openBatches)) {
       return [];
     }
-    const filtered = batches.filter(batch => {
+    // Archived (closed-out) batches take no new records
+    const filtered = openBatches.filter(batch => {
       if (!batch) return false;
       const batchFarmId = batch.farmId || batch.farm_id;
       return batchFarmId === formData.farmId;
     });
     console.log(`[RecordsScreen] 🔍 Filtering batches for farmId ${formData.farmId}: ${filtered.length} batches found`);
     return filtered;
-  }, [formData.farmId, batches]);
+  }, [formData.farmId, openBatches]);
 
   // CRITICAL FIX: Clear batchId when farmId changes to prevent mismatched selections
   useEffect(() => {
@@ -161,6 +170,10 @@ const RecordsScreen = ({ route, navigation }) => {
 
       console.log(`🔄 Loading ${activeTab} records from LOCAL STORAGE (instant)`);
 
+      if (activeTab === 'feed') {
+        setLowFeedStockCount(feedInventoryService.getStockLevels().filter(level => level.lowStock).length);
+      }
+
       // Load records for current tab (farms and batches come from context)
       const recordsResponse = await fastApiService.getRecords(activeTab);
 
@@ -289,7 +302,7 @@ const RecordsScreen = ({ route, navigation }) => {
 
     // Initialize form with first farm/batch if available
     const safeFarms = Array.isArray(farms) ? farms : [];
-    const safeBatches = Array.isArray(batches) ? batches : [];
+    const safeBatches = Array.isArray(openBatches) ? openBatches : [];
 
     setFormData({
       type: activeTab,
@@ -302,12 +315,14 @@ const RecordsScreen = ({ route, navigation }) => {
       notes: '',
       healthStatus: 'healthy',
       treatment: '',
+      withdrawalDays: '',
       count: '',
       cause: '',
       eggsCollected: '',
       weight: '',
       brokenEggs: '',
       abnormalEggs: '',
+      gradeCounts: {},
       quantityLiters: '',
       waterSource: 'Borehole',
       quality: 'Clean',
@@ -356,11 +371,23 @@ const RecordsScreen = ({ route, navigation }) => {
           recordData.cost = parseFloat(formData.cost) || 0;
           console.log('🔄 Creating feed record with fastApiService...');
           await fastApiService.createRecord('feed', recordData);
+
+          // Feed records draw down the feed store; warn if this one left it low
+          const stockResult = await feedInventoryService.checkLowStock(recordData.farmId, recordData.feedType);
+          if (stockResult.alerted) {
+            console.log('📢 Low feed stock alert triggered:', recordData.feedType);
+          }
           break;
 
         case 'health':
+          if (formData.withdrawalDays && !/^\d+$/.test(formData.withdrawalDays.trim())) {
+            Alert.alert('Error', 'Withdrawal period must be a whole number of days');
+            return;
+          }
           recordData.healthStatus = formData.healthStatus;
           recordData.treatment = formData.treatment;
+          // ON-DEVICE REMINDERS: A reminder goes out the morning the withdrawal period ends
+          recordData.withdrawalDays = parseInt(formData.withdrawalDays, 10) || null;
           console.log('🔄 Creating health record with fastApiService...');
           await fastApiService.createRecord('health', recordData);
           break;
@@ -390,8 +417,21 @@ const RecordsScreen = ({ route, navigation }) => {
           recordData.weight = parseFloat(formData.weight) || 0;
           recordData.brokenEggs = parseInt(formData.brokenEggs) || 0;
           recordData.abnormalEggs = parseInt(formData.abnormalEggs) || 0;
+
+          const gradeError = validateGradeCounts(recordData, formData.gradeCounts);
+          if (gradeError) {
+            Alert.alert('Error', gradeError);
+            return;
+          }
+          recordData.gradeCounts = parseGradeCounts(formData.gradeCounts);
           console.log('🔄 Creating production record with fastApiService...');
           await fastApiService.createRecord('production', recordData);
+
+          // Layer batches: alert on an abnormal week-over-week fall in hen-day production
+          const dropResult = await productionMonitor.checkProductionDrop(recordData.batchId);
+          if (dropResult?.alerted) {
+            console.log('📢 Production drop alert triggered:', dropResult.level);
+          }
           break;
 
         case 'water':
@@ -488,10 +528,9 @@ const RecordsScreen = ({ route, navigation }) => {
       return;
     }
 
-    // Check if user has permission to delete (only managers and above)
-    const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-    if (!isManager) {
-      Alert.alert('Access Denied', 'Only managers can delete records. Contact your manager if you need to remove this record.');
+    // Check if user's role may delete records
+    if (!can(PERMISSIONS.RECORDS_DELETE)) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.RECORDS_DELETE));
       return;
     }
 
@@ -570,18 +609,22 @@ const RecordsScreen = ({ route, navigation }) => {
             <View style={styles(theme).recordContent}>
               <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>🌾 Type: {feedType}</Text>
               <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>📊 Quantity: {quantity} kg</Text>
-              <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>💰 Cost: ${cost}</Text>
+              {can(PERMISSIONS.COSTS_VIEW) && (
+                <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>💰 Cost: ${cost}</Text>
+              )}
             </View>
           );
         case 'health':
           // Handle both camelCase and snake_case from database
           const healthStatus = item.healthStatus || item.health_status || 'Unknown Status';
           const treatment = item.treatment || '';
+          const withdrawalDays = item.withdrawalDays || item.withdrawal_days;
 
           return (
             <View style={styles(theme).recordContent}>
               <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>🏥 Status: {healthStatus}</Text>
               {treatment && <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>💊 Treatment: {treatment}</Text>}
+              {withdrawalDays > 0 && <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>⏳ Withdrawal: {withdrawalDays} days</Text>}
             </View>
           );
         case 'mortality':
@@ -601,16 +644,22 @@ const RecordsScreen = ({ route, navigation }) => {
           const productionWeight = item.weight || item.total_weight || item.egg_weight_avg || item.eggWeightAvg || 0;
           const brokenEggs = item.brokenEggs || item.broken_eggs || 0;
           const abnormalEggs = item.abnormalEggs || item.abnormal_eggs || 0;
+          const gradeCounts = parseGradeCounts(item.gradeCounts || item.grade_counts);
 
           // DEBUG: Log production record to see field names
           console.log('🔍 Production record item:', JSON.stringify(item, null, 2));
 
           return (
             <View style={styles(theme).recordContent}>
-              <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>🥚 {eggsCollected} eggs collected</Text>
+              <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>🥚 {eggsCollected} eggs collected ({formatTrays(eggsCollected)})</Text>
               {productionWeight > 0 && <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>⚖️ Weight: {productionWeight} kg</Text>}
               {brokenEggs > 0 && <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>💔 Broken: {brokenEggs}</Text>}
               {abnormalEggs > 0 && <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>⚠️ Abnormal: {abnormalEggs}</Text>}
+              {Object.keys(gradeCounts).length > 0 && (
+                <Text style={[styles(theme).recordDetail, { color: theme.colors.text }]}>
+                  📏 {Object.keys(gradeCounts).map(grade => `${getGradeLabel(grade)}: ${gradeCounts[grade]}`).join(' • ')}
+                </Text>
+              )}
             </View>
           );
         case 'water':
@@ -667,7 +716,7 @@ const RecordsScreen = ({ route, navigation }) => {
             <Text style={[styles(theme).recordDate, { color: theme.colors.text }]}>{formatDate(item.date)}</Text>
             <Text style={[styles(theme).recordType, { color: theme.colors.primary, backgroundColor: theme.colors.demoBackground }]}>{activeTab.toUpperCase()}</Text>
           </View>
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+          {can(PERMISSIONS.RECORDS_DELETE) && (
             <TouchableOpacity
               style={styles(theme).deleteRecordButton}
               onPress={() => handleDeleteRecord(item)}
@@ -744,6 +793,21 @@ const RecordsScreen = ({ route, navigation }) => {
                   setFormData(prev => ({ ...prev, feedType: text }))
                 }
               />
+              {formData.farmId ? (
+                <View style={styles(theme).feedTypeChips}>
+                  {feedInventoryService.getStockLevels({ farmId: parseInt(formData.farmId) }).map(level => (
+                    <TouchableOpacity
+                      key={level.id}
+                      style={[styles(theme).feedTypeChip, { borderColor: theme.colors.primary }]}
+                      onPress={() => setFormData(prev => ({ ...prev, feedType: level.feedType }))}
+                    >
+                      <Text style={[styles(theme).feedTypeChipText, { color: theme.colors.primary }]}>
+                        {level.feedType} ({Math.max(0, Math.round(level.stockKg))} kg)
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ) : null}
             </View>
 
             <View style={styles(theme).row}>
@@ -765,23 +829,25 @@ const RecordsScreen = ({ route, navigation }) => {
                 />
               </View>
 
-              <View style={[styles(theme).formGroup, styles(theme).halfWidth]}>
-                <Text style={[styles(theme).formLabel, { color: theme.colors.text }]}>Cost ($)</Text>
-                <TextInput
-                  style={[styles(theme).formInput, {
-                    backgroundColor: theme.colors.inputBackground,
-                    borderColor: theme.colors.inputBorder,
-                    color: theme.colors.inputText
-                  }]}
-                  placeholder="0.00"
-                  placeholderTextColor={theme.colors.placeholder}
-                  value={formData.cost}
-                  onChangeText={(text) =>
-                    setFormData(prev => ({ ...prev, cost: text }))
-                  }
-                  keyboardType="numeric"
-                />
-              </View>
+              {can(PERMISSIONS.COSTS_VIEW) && (
+                <View style={[styles(theme).formGroup, styles(theme).halfWidth]}>
+                  <Text style={[styles(theme).formLabel, { color: theme.colors.text }]}>Cost ($)</Text>
+                  <TextInput
+                    style={[styles(theme).formInput, {
+                      backgroundColor: theme.colors.inputBackground,
+                      borderColor: theme.colors.inputBorder,
+                      color: theme.colors.inputText
+                    }]}
+                    placeholder="0.00"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={formData.cost}
+                    onChangeText={(text) =>
+                      setFormData(prev => ({ ...prev, cost: text }))
+                    }
+                    keyboardType="numeric"
+                  />
+                </View>
+              )}
             </View>
           </>
         );
@@ -822,6 +888,24 @@ const RecordsScreen = ({ route, navigation }) => {
                 }
               />
             </View>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={[styles(theme).formLabel, { color: theme.colors.text }]}>Withdrawal Period (days)</Text>
+              <TextInput
+                style={[styles(theme).formInput, {
+                  backgroundColor: theme.colors.inputBackground,
+                  borderColor: theme.colors.inputBorder,
+                  color: theme.colors.inputText
+                }]}
+                placeholder="Days before eggs or birds can be sold (optional)"
+                placeholderTextColor={theme.colors.placeholder}
+                value={formData.withdrawalDays}
+                onChangeText={(text) =>
+                  setFormData(prev => ({ ...prev, withdrawalDays: text }))
+                }
+                keyboardType="numeric"
+              />
+            </View>
           </>
         );
 
@@ -945,6 +1029,38 @@ const RecordsScreen = ({ route, navigation }) => {
                 />
               </View>
             </View>
+
+            <View style={styles(theme).formGroup}>
+              <Text style={[styles(theme).formLabel, { color: theme.colors.text }]}>Grades (optional)</Text>
+              <View style={styles(theme).row}>
+                {EGG_GRADES.map(grade => (
+                  <View key={grade.key} style={styles(theme).quarterWidth}>
+                    <Text style={[styles(theme).gradeLabel, { color: theme.colors.textSecondary }]}>{grade.short}</Text>
+                    <TextInput
+                      style={[styles(theme).formInput, {
+                        backgroundColor: theme.colors.inputBackground,
+                        borderColor: theme.colors.inputBorder,
+                        color: theme.colors.inputText
+                      }]}
+                      placeholder="0"
+                      placeholderTextColor={theme.colors.placeholder}
+                      value={formData.gradeCounts?.[grade.key] || ''}
+                      onChangeText={(text) =>
+                        setFormData(prev => ({ ...prev, gradeCounts: { ...prev.gradeCounts, [grade.key]: text } }))
+                      }
+                      keyboardType="numeric"
+                    />
+                  </View>
+                ))}
+              </View>
+              <Text style={[styles(theme).gradeHint, { color: theme.colors.textSecondary }]}>
+                {(() => {
+                  const sellable = getSellableEggs(formData);
+                  const graded = Object.values(parseGradeCounts(formData.gradeCounts)).reduce((sum, count) => sum + count, 0);
+                  return `Graded ${graded} of ${sellable} sellable eggs (${formatTrays(sellable)}). The rest is stocked as ungraded.`;
+                })()}
+              </Text>
+            </View>
           </>
         );
 
@@ -1245,12 +1361,24 @@ const RecordsScreen = ({ route, navigation }) => {
       {/* Header */}
       <View style={[styles(theme).header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.border }]}>
         <Text style={[styles(theme).headerTitle, { color: theme.colors.text }]}>Records</Text>
-        <TouchableOpacity
-          style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]}
-          onPress={openModal}
-        >
-          <Text style={styles(theme).addButtonText}>+ Add Record</Text>
-        </TouchableOpacity>
+        <View style={styles(theme).headerActions}>
+          {can(PERMISSIONS.RECORDS_EXPORT) && (
+            <TouchableOpacity
+              style={[styles(theme).exportButton, { borderColor: theme.colors.primary }]}
+              onPress={() => setExportVisible(true)}
+            >
+              <Text style={[styles(theme).exportButtonText, { color: theme.colors.primary }]}>Export</Text>
+            </TouchableOpacity>
+          )}
+          {canCreateRecord(activeTab) && (
+            <TouchableOpacity
+              style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]}
+              onPress={openModal}
+            >
+              <Text style={styles(theme).addButtonText}>+ Add Record</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
 
       {/* Tabs */}
@@ -1264,6 +1392,19 @@ const RecordsScreen = ({ route, navigation }) => {
         {renderTabButton('vaccination', 'Vaccination', '💉')}
       </ScrollView>
 
+      {/* Feed store link - feed records are taken out of stock */}
+      {activeTab === 'feed' && can(PERMISSIONS.INVENTORY_MANAGE) && (
+        <TouchableOpacity
+          style={[styles(theme).filterBanner, { backgroundColor: theme.colors.surface, borderBottomColor: lowFeedStockCount > 0 ? theme.colors.warning : theme.colors.border }]}
+          onPress={() => navigation.navigate('FeedInventory')}
+        >
+          <Text style={[styles(theme).filterText, { color: theme.colors.text }]}>
+            🏬 Feed store{lowFeedStockCount > 0 ? ` • ${lowFeedStockCount} running low` : ''}
+          </Text>
+          <Text style={[styles(theme).filterClearText, { color: theme.colors.primary }]}>View stock →</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Filter Indicator - Only show on mortality tab when filter is active */}
       {filterBatchId && filterBatchName && activeTab === 'mortality' && (
         <View style={[styles(theme).filterBanner, { backgroundColor: theme.colors.info + '20', borderBottomColor: theme.colors.info }]}>
@@ -1293,12 +1434,14 @@ const RecordsScreen = ({ route, navigation }) => {
           <Text style={[styles(theme).emptyText, { color: theme.colors.textSecondary }]}>
             Start recording your {activeTab} data to track your farm's performance
           </Text>
-          <TouchableOpacity
-            style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]}
-            onPress={openModal}
-          >
-            <Text style={styles(theme).emptyButtonText}>Add First Record</Text>
-          </TouchableOpacity>
+          {canCreateRecord(activeTab) && (
+            <TouchableOpacity
+              style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]}
+              onPress={openModal}
+            >
+              <Text style={styles(theme).emptyButtonText}>Add First Record</Text>
+            </TouchableOpacity>
+          )}
         </View>
       ) : (
         <FlatList
@@ -1343,6 +1486,17 @@ const RecordsScreen = ({ route, navigation }) => {
         />
       )}
 
+      {/* Export Records Modal - remounted per open so it starts on the current tab */}
+      {exportVisible && (
+        <RecordExportModal
+          visible={exportVisible}
+          onClose={() => setExportVisible(false)}
+          farms={farms}
+          batches={batches}
+          initialRecordType={['feed', 'mortality', 'production', 'water', 'weight'].includes(activeTab) ? activeTab : 'all'}
+        />
+      )}
+
       {/* Add Record Modal */}
       <Modal
         animationType="slide"
@@ -1509,6 +1663,20 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  exportButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 9,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  exportButtonText: {
+    fontWeight: 'bold',
+  },
   addButton: {
     paddingHorizontal: 15,
     paddingVertical: 10,
@@ -1780,6 +1948,34 @@ const styles = (theme) => StyleSheet.create({
     fontWeight: '600',
     marginLeft: 10,
   },
+  feedTypeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  feedTypeChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+  },
+  feedTypeChipText: {
+    fontSize: 13,
+  },
+  quarterWidth: {
+    width: '23%',
+  },
+  gradeLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+    textAlign: 'center',
+  },
+  gradeHint: {
+    fontSize: 12,
+    marginTop: 8,
+  },
 });
 
 export default RecordsScreen;
\ No newline at end of file
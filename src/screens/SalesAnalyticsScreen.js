@@ -0,0 +1,356 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  RefreshControl,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTheme } from '../context/ThemeContext';
+import fastApiService from '../services/fastApiService';
+import KPICard from '../components/charts/KPICard';
+import PieChart from '../components/charts/PieChart';
+import BarChart from '../components/charts/BarChart';
+import LineChart from '../components/charts/LineChart';
+import { SALES_PERIODS } from '../utils/salesAnalytics';
+
+/**
+ * SalesAnalyticsScreen Component
+ *
+ * Sales analytics computed on the device, so they work offline:
+ * - Revenue by product type, month, customer and batch
+ * - Average price per unit by month for each product
+ * - Top customers for the period
+ */
+const SalesAnalyticsScreen = () => {
+  const { theme } = useTheme();
+  const [months, setMonths] = useState(6);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [trendProduct, setTrendProduct] = useState(null);
+
+  const loadAnalytics = useCallback(async (period) => {
+    try {
+      const response = await fastApiService.getSalesAnalytics({ months: period });
+      if (response.success && response.data) {
+        setAnalytics(response.data);
+        // Keep the chosen price trend if the product still has sales in the period
+        setTrendProduct(prev => (response.data.priceTrends.some(trend => trend.key === prev)
+          ? prev
+          : response.data.priceTrends[0]?.key || null));
+      }
+    } catch (error) {
+      console.error('[SalesAnalyticsScreen] Load error:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadAnalytics(months);
+    }, [loadAnalytics, months])
+  );
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadAnalytics(months);
+  };
+
+  const formatCurrency = (amount) => `UGX ${Number(amount || 0).toLocaleString()}`;
+
+  const prepareProductData = () => (analytics?.byProduct || []).map(product => ({
+    name: product.label,
+    value: product.revenue,
+    color: product.color,
+    legendFontColor: theme.colors.textSecondary,
+    legendFontSize: 12,
+  }));
+
+  const prepareMonthlyData = () => {
+    if (!analytics) return null;
+    return {
+      labels: analytics.byMonth.map(month => month.label),
+      datasets: [{ data: analytics.byMonth.map(month => month.revenue) }],
+    };
+  };
+
+  const selectedTrend = analytics?.priceTrends.find(trend => trend.key === trendProduct);
+
+  const preparePriceTrendData = () => {
+    if (!selectedTrend || selectedTrend.points.length === 0) return null;
+    return {
+      labels: selectedTrend.points.map(point => point.label),
+      datasets: [{ data: selectedTrend.points.map(point => point.avgPrice) }],
+    };
+  };
+
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles(theme).chipRow}>
+      {options.map(option => {
+        const active = option.key === selected;
+        return (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles(theme).chip, active && styles(theme).chipActive]}
+            onPress={() => onSelect(option.key)}
+          >
+            <Text style={[styles(theme).chipText, active && styles(theme).chipTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderShareRow = (key, title, subtitle, revenue, share) => (
+    <View key={key} style={styles(theme).shareRow}>
+      <View style={styles(theme).shareHeader}>
+        <View style={styles(theme).shareTitleBlock}>
+          <Text style={styles(theme).shareTitle} numberOfLines={1}>{title}</Text>
+          <Text style={styles(theme).shareSubtitle}>{subtitle}</Text>
+        </View>
+        <View style={styles(theme).shareAmountBlock}>
+          <Text style={styles(theme).shareAmount}>{formatCurrency(revenue)}</Text>
+          <Text style={styles(theme).shareSubtitle}>{share}%</Text>
+        </View>
+      </View>
+      <View style={styles(theme).shareBar}>
+        <View style={[styles(theme).shareBarFill, { width: `${Math.min(100, share)}%` }]} />
+      </View>
+    </View>
+  );
+
+  const renderList = (rows, emptyText) => (
+    <View style={styles(theme).card}>
+      {rows.length > 0 ? rows : <Text style={styles(theme).emptyText}>{emptyText}</Text>}
+    </View>
+  );
+
+  if (loading && !analytics) {
+    return (
+      <View style={styles(theme).loadingContainer}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+        <Text style={styles(theme).loadingText}>Loading sales analytics...</Text>
+      </View>
+    );
+  }
+
+  const totals = analytics?.totals || { revenue: 0, paid: 0, due: 0, salesCount: 0, avgSale: 0 };
+
+  return (
+    <ScrollView
+      style={styles(theme).container}
+      contentContainerStyle={styles(theme).scrollContent}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} colors={[theme.colors.primary]} />}
+    >
+      {renderChips(SALES_PERIODS, months, setMonths)}
+      <Text style={styles(theme).hintText}>Calculated from the sales on this device, including sales not yet synced.</Text>
+
+      <KPICard
+        title="Revenue"
+        value={formatCurrency(totals.revenue)}
+        subtitle={`${totals.salesCount} sales, average ${formatCurrency(totals.avgSale)}`}
+        icon="💰"
+        color="#34C759"
+      />
+      <KPICard
+        title="Outstanding"
+        value={formatCurrency(totals.due)}
+        subtitle={`${formatCurrency(totals.paid)} collected`}
+        icon="⏳"
+        color="#FF9500"
+      />
+
+      <Text style={styles(theme).sectionTitle}>Revenue by Product</Text>
+      <PieChart
+        title="Share of Revenue"
+        data={prepareProductData()}
+        height={220}
+        error={analytics?.byProduct.length ? null : 'No sales in this period'}
+      />
+      {renderList(
+        (analytics?.byProduct || []).map(product => renderShareRow(
+          product.key,
+          product.label,
+          `${product.salesCount} sales • avg ${formatCurrency(product.avgPrice)} per ${product.priceUnit}`,
+          product.revenue,
+          product.share
+        )),
+        'No sales in this period'
+      )}
+
+      <Text style={styles(theme).sectionTitle}>Revenue by Month</Text>
+      <BarChart
+        title="Monthly Revenue"
+        data={prepareMonthlyData()}
+        height={220}
+        color="#34C759"
+        showValues={false}
+      />
+
+      <Text style={styles(theme).sectionTitle}>Average Price Trend</Text>
+      {analytics?.priceTrends.length > 0 && renderChips(analytics.priceTrends, trendProduct, setTrendProduct)}
+      <LineChart
+        title={selectedTrend ? `${selectedTrend.label} - price per ${selectedTrend.priceUnit}` : 'Price per unit'}
+        data={preparePriceTrendData()}
+        height={220}
+        color="#007AFF"
+        error={selectedTrend ? null : 'No priced sales in this period'}
+      />
+
+      <Text style={styles(theme).sectionTitle}>Top Customers</Text>
+      {renderList(
+        (analytics?.topCustomers || []).map((customer, index) => renderShareRow(
+          customer.customerId,
+          `${index + 1}. ${customer.name}`,
+          `${customer.salesCount} sales • last ${customer.lastSaleDate ? String(customer.lastSaleDate).split('T')[0] : '-'}`,
+          customer.revenue,
+          customer.share
+        )),
+        'No sales to named customers in this period'
+      )}
+
+      <Text style={styles(theme).sectionTitle}>Revenue by Customer</Text>
+      {renderList(
+        (analytics?.byCustomer || []).map(customer => renderShareRow(
+          customer.customerId || 'walk_in',
+          customer.name,
+          `${customer.salesCount} sales`,
+          customer.revenue,
+          customer.share
+        )),
+        'No sales in this period'
+      )}
+
+      <Text style={styles(theme).sectionTitle}>Revenue by Batch</Text>
+      {renderList(
+        (analytics?.byBatch || []).map(batch => renderShareRow(
+          batch.batchId,
+          batch.name,
+          batch.birdsSold > 0 ? `${batch.birdsSold} birds sold` : 'No live birds sold',
+          batch.revenue,
+          batch.share
+        )),
+        'No sales linked to a batch in this period'
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.background,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    backgroundColor: theme.colors.surface,
+  },
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  chipTextActive: {
+    color: theme.colors.buttonText,
+    fontWeight: '600',
+  },
+  hintText: {
+    fontSize: 13,
+    color: theme.colors.textSecondary,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 12,
+    color: theme.colors.text,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 8,
+    backgroundColor: theme.colors.surface,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    color: theme.colors.textLight,
+  },
+  shareRow: {
+    marginBottom: 14,
+  },
+  shareHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  shareTitleBlock: {
+    flex: 1,
+    marginRight: 12,
+  },
+  shareAmountBlock: {
+    alignItems: 'flex-end',
+  },
+  shareTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  shareSubtitle: {
+    fontSize: 12,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  shareAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  shareBar: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: theme.colors.border,
+  },
+  shareBarFill: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+export default SalesAnalyticsScreen;
@@ -15,6 +15,7 @@ import { useTheme } from '../context/ThemeContext';
 import { useOffline } from '../context/OfflineContext';
 import fastApiService from '../services/fastApiService';
 import OfflineIndicator from '../components/OfflineIndicator';
+import { getProductType } from '../utils/salesAnalytics';
 
 const SalesScreen = () => {
   const { theme } = useTheme();
@@ -24,6 +25,8 @@ const SalesScreen = () => {
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [summary, setSummary] = useState(null);
+  // Sales picked (by long press) to go on one invoice
+  const [selectedIds, setSelectedIds] = useState([]);
 
   const fetchSales = async () => {
     try {
@@ -67,10 +70,32 @@ const SalesScreen = () => {
 
   useFocusEffect(
     useCallback(() => {
+      setSelectedIds([]);
       fetchSales();
     }, [])
   );
 
+  const toggleSelection = (sale) => {
+    if (selectedIds.includes(sale.id)) {
+      setSelectedIds(selectedIds.filter(id => id !== sale.id));
+      return;
+    }
+    if (!sale.customerId) {
+      Alert.alert('Cannot Invoice', 'Walk-in sales cannot be invoiced. Record the sale against a customer first.');
+      return;
+    }
+    if (sale.invoicedAs) {
+      Alert.alert('Already Invoiced', `This sale is already on invoice ${sale.invoicedAs}.`);
+      return;
+    }
+    const firstSelected = sales.find(item => item.id === selectedIds[0]);
+    if (firstSelected && String(firstSelected.customerId) !== String(sale.customerId)) {
+      Alert.alert('Different Customer', 'An invoice can only include sales to one customer.');
+      return;
+    }
+    setSelectedIds([...selectedIds, sale.id]);
+  };
+
   const formatCurrency = (amount) => {
     return `UGX ${Number(amount).toLocaleString()}`;
   };
@@ -116,15 +141,22 @@ const SalesScreen = () => {
 
   const renderSaleItem = ({ item }) => (
     <TouchableOpacity
-      style={styles(theme).saleCard}
-      onPress={() => navigation.navigate('SaleDetails', { saleId: item.id })}
+      style={[styles(theme).saleCard, selectedIds.includes(item.id) && styles(theme).saleCardSelected]}
+      onPress={() => (selectedIds.length > 0 ? toggleSelection(item) : navigation.navigate('SaleDetails', { saleId: item.id }))}
+      onLongPress={() => toggleSelection(item)}
     >
       <View style={styles(theme).saleHeader}>
         <View style={styles(theme).saleHeaderLeft}>
           <Text style={styles(theme).saleInvoice}>
-            {item.invoiceNumber || `#${item.id.substring(0, 8)}`}
+            {item.invoiceNumber || `#${String(item.id).substring(0, 8)}`}
           </Text>
           <Text style={styles(theme).saleDate}>{formatDate(item.saleDate)}</Text>
+          {item.invoicedAs && (
+            <View style={styles(theme).invoicedTag}>
+              <Ionicons name="document-text-outline" size={12} color={theme.colors.primary} />
+              <Text style={styles(theme).invoicedTagText}>Invoiced {item.invoicedAs}</Text>
+            </View>
+          )}
         </View>
         <View
           style={[
@@ -154,7 +186,7 @@ const SalesScreen = () => {
         <View style={styles(theme).detailRow}>
           <Ionicons name="cube-outline" size={16} color={theme.colors.textSecondary} />
           <Text style={styles(theme).detailText}>
-            {item.quantity} {item.unit} ({item.productType})
+            {item.quantity} {item.unit} ({getProductType(item.productType).label})
           </Text>
         </View>
 
@@ -190,7 +222,12 @@ const SalesScreen = () => {
 
     return (
       <View style={styles(theme).summaryContainer}>
-        <Text style={styles(theme).summaryTitle}>Sales Summary</Text>
+        <View style={styles(theme).summaryHeader}>
+          <Text style={styles(theme).summaryTitle}>Sales Summary</Text>
+          <TouchableOpacity onPress={() => navigation.navigate('SalesAnalytics')}>
+            <Text style={styles(theme).analyticsLink}>Analytics ›</Text>
+          </TouchableOpacity>
+        </View>
         <View style={styles(theme).summaryGrid}>
           <View style={styles(theme).summaryItem}>
             <Ionicons name="receipt-outline" size={24} color="#3B82F6" />
@@ -238,7 +275,7 @@ const SalesScreen = () => {
       <FlatList
         data={sales}
         renderItem={renderSaleItem}
-        keyExtractor={(item) => item.id}
+        keyExtractor={(item) => String(item.id)}
         ListHeaderComponent={renderSummaryCard}
         ListEmptyComponent={
           <View style={styles(theme).emptyContainer}>
@@ -255,12 +292,30 @@ const SalesScreen = () => {
         contentContainerStyle={styles(theme).listContent}
       />
 
-      <TouchableOpacity
-        style={styles(theme).fab}
-        onPress={() => navigation.navigate('AddSale')}
-      >
-        <Ionicons name="add" size={28} color="#FFFFFF" />
-      </TouchableOpacity>
+      {selectedIds.length > 0 ? (
+        <View style={styles(theme).selectionBar}>
+          <TouchableOpacity onPress={() => setSelectedIds([])} style={styles(theme).selectionClear}>
+            <Ionicons name="close" size={22} color={theme.colors.text} />
+          </TouchableOpacity>
+          <Text style={styles(theme).selectionText}>
+            {selectedIds.length} sale{selectedIds.length === 1 ? '' : 's'} selected
+          </Text>
+          <TouchableOpacity
+            style={styles(theme).selectionButton}
+            onPress={() => navigation.navigate('CreateInvoice', { saleIds: selectedIds })}
+          >
+            <Ionicons name="document-text-outline" size={18} color="#FFFFFF" />
+            <Text style={styles(theme).selectionButtonText}>Create Invoice</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={styles(theme).fab}
+          onPress={() => navigation.navigate('AddSale')}
+        >
+          <Ionicons name="add" size={28} color="#FFFFFF" />
+        </TouchableOpacity>
+      )}
     </View>
   );
 };
@@ -296,12 +351,22 @@ const styles = (theme) => StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
+  summaryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
   summaryTitle: {
     fontSize: 18,
     fontWeight: '600',
     color: theme.colors.text,
     marginBottom: 16,
   },
+  analyticsLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
   summaryGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -337,6 +402,21 @@ const styles = (theme) => StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
+  saleCardSelected: {
+    borderWidth: 2,
+    borderColor: theme.colors.primary,
+  },
+  invoicedTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 4,
+  },
+  invoicedTagText: {
+    fontSize: 12,
+    fontWeight: '500',
+    color: theme.colors.primary,
+  },
   saleHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -420,6 +500,42 @@ const styles = (theme) => StyleSheet.create({
     marginTop: 8,
     textAlign: 'center',
   },
+  selectionBar: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    gap: 12,
+    backgroundColor: theme.colors.surface,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+  },
+  selectionClear: {
+    padding: 4,
+  },
+  selectionText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: theme.colors.text,
+  },
+  selectionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+  },
+  selectionButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.buttonText,
+  },
   fab: {
     position: 'absolute',
     bottom: 24,
@@ -14,24 +14,27 @@ import {
   Platform,
 } from 'react-native';
 import CustomPicker from '../components/CustomPicker';
+import VaccinationProgrammeModal from '../components/VaccinationProgrammeModal';
 import apiService from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, getPermissionDeniedMessage } from '../utils/permissions';
 import { useTheme } from '../context/ThemeContext';
 import { useOptimizedFlatList } from '../hooks/useOptimizedFlatList';
 import { useBatches } from '../context/DataStoreContext';
 
 const VaccinationScreen = ({ navigation }) => {
-  const { user } = useAuth();
+  const { can } = useAuth();
   const { theme } = useTheme();
 
   // Use centralized context for batches (auto-loads and updates)
-  const { batches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
+  const { batches, openBatches, loading: batchesLoading, refresh: refreshBatches } = useBatches();
 
   const [vaccinations, setVaccinations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [editingVaccination, setEditingVaccination] = useState(null);
+  const [programmeModalVisible, setProgrammeModalVisible] = useState(false);
   const [formData, setFormData] = useState({
     batchId: '',
     vaccinationType: '',
@@ -116,15 +119,14 @@ const VaccinationScreen = ({ navigation }) => {
   }, [refreshBatches]);
 
   const openModal = (vaccination = null) => {
-    const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-    if (!isManager) {
-      Alert.alert('Access Denied', 'Only managers can create or edit vaccination records.');
+    if (!can(PERMISSIONS.HEALTH_MANAGE)) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.HEALTH_MANAGE));
       return;
     }
 
     setEditingVaccination(vaccination);
     setFormData({
-      batchId: vaccination?.batchId?.toString() || (batches.length > 0 ? batches[0].id.toString() : ''),
+      batchId: vaccination?.batchId?.toString() || (openBatches.length > 0 ? openBatches[0].id.toString() : ''),
       vaccinationType: vaccination?.vaccinationType || '',
       vaccinationDate: vaccination?.vaccinationDate
         ? new Date(vaccination.vaccinationDate).toISOString().split('T')[0]
@@ -219,9 +221,8 @@ const VaccinationScreen = ({ navigation }) => {
   };
 
   const handleDeleteVaccination = (vaccination) => {
-    const isManager = user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner';
-    if (!isManager) {
-      Alert.alert('Access Denied', 'Only managers can delete vaccination records.');
+    if (!can(PERMISSIONS.RECORDS_DELETE)) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.RECORDS_DELETE));
       return;
     }
 
@@ -266,6 +267,10 @@ const VaccinationScreen = ({ navigation }) => {
   const renderVaccinationCard = ({ item }) => {
     if (!item) return null;
 
+    // Records generated from a programme are dated ahead until they are due
+    const vaccinationDay = String(item.vaccinationDate || item.date || '').split('T')[0];
+    const isScheduled = vaccinationDay > new Date().toISOString().split('T')[0];
+
     return (
       <View style={[styles(theme).vaccinationCard, { backgroundColor: theme.colors.cardBackground, shadowColor: theme.colors.shadowColor }]}>
         <View style={[styles(theme).cardHeader, { borderBottomColor: theme.colors.border }]}>
@@ -273,21 +278,21 @@ const VaccinationScreen = ({ navigation }) => {
             <Text style={[styles(theme).vaccinationType, { color: theme.colors.primary }]}>
               {item.vaccinationType || 'Unknown Type'}
             </Text>
-            <View style={[styles(theme).statusBadge, { backgroundColor: '#4CAF50' }]}>
-              <Text style={styles(theme).statusIcon}>💉</Text>
-              <Text style={[styles(theme).statusText, { color: theme.colors.buttonText }]}>Vaccinated</Text>
+            <View style={[styles(theme).statusBadge, { backgroundColor: isScheduled ? theme.colors.info : '#4CAF50' }]}>
+              <Text style={styles(theme).statusIcon}>{isScheduled ? '📅' : '💉'}</Text>
+              <Text style={[styles(theme).statusText, { color: theme.colors.buttonText }]}>{isScheduled ? 'Scheduled' : 'Vaccinated'}</Text>
             </View>
           </View>
           <View style={styles(theme).cardActions}>
-            {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
-              <>
-                <TouchableOpacity style={styles(theme).editButton} onPress={() => openModal(item)}>
-                  <Text style={styles(theme).editButtonText}>✏️</Text>
-                </TouchableOpacity>
-                <TouchableOpacity style={styles(theme).deleteButton} onPress={() => handleDeleteVaccination(item)}>
-                  <Text style={styles(theme).deleteButtonText}>🗑️</Text>
-                </TouchableOpacity>
-              </>
+            {can(PERMISSIONS.HEALTH_MANAGE) && (
+              <TouchableOpacity style={styles(theme).editButton} onPress={() => openModal(item)}>
+                <Text style={styles(theme).editButtonText}>✏️</Text>
+              </TouchableOpacity>
+            )}
+            {can(PERMISSIONS.RECORDS_DELETE) && (
+              <TouchableOpacity style={styles(theme).deleteButton} onPress={() => handleDeleteVaccination(item)}>
+                <Text style={styles(theme).deleteButtonText}>🗑️</Text>
+              </TouchableOpacity>
             )}
           </View>
         </View>
@@ -335,10 +340,18 @@ const VaccinationScreen = ({ navigation }) => {
       {/* Header */}
       <View style={[styles(theme).header, { backgroundColor: theme.colors.surface, borderBottomColor: theme.colors.border }]}>
         <Text style={[styles(theme).headerTitle, { color: theme.colors.text }]}>Vaccination Records</Text>
-        {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
-          <TouchableOpacity style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]} onPress={() => openModal()}>
-            <Text style={styles(theme).addButtonText}>+ Add Vaccination</Text>
-          </TouchableOpacity>
+        {can(PERMISSIONS.HEALTH_MANAGE) && (
+          <View style={styles(theme).headerActions}>
+            <TouchableOpacity
+              style={[styles(theme).addButton, { backgroundColor: theme.colors.borderSecondary }]}
+              onPress={() => setProgrammeModalVisible(true)}
+            >
+              <Text style={[styles(theme).addButtonText, { color: theme.colors.text }]}>📋 Programme</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles(theme).addButton, { backgroundColor: theme.colors.primary }]} onPress={() => openModal()}>
+              <Text style={styles(theme).addButtonText}>+ Add</Text>
+            </TouchableOpacity>
+          </View>
         )}
       </View>
 
@@ -348,11 +361,11 @@ const VaccinationScreen = ({ navigation }) => {
           <Text style={styles(theme).emptyIcon}>💉</Text>
           <Text style={[styles(theme).emptyTitle, { color: theme.colors.text }]}>No Vaccination Records</Text>
           <Text style={[styles(theme).emptyText, { color: theme.colors.textSecondary }]}>
-            {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner')
+            {can(PERMISSIONS.HEALTH_MANAGE)
               ? 'Start tracking vaccinations for your flocks to maintain health records'
               : 'No vaccination records have been created yet'}
           </Text>
-          {(user?.role === 'manager' || user?.role === 'admin' || user?.role === 'owner') && (
+          {can(PERMISSIONS.HEALTH_MANAGE) && (
             <TouchableOpacity style={[styles(theme).emptyButton, { backgroundColor: theme.colors.primary }]} onPress={() => openModal()}>
               <Text style={styles(theme).emptyButtonText}>Add First Vaccination</Text>
             </TouchableOpacity>
@@ -377,6 +390,17 @@ const VaccinationScreen = ({ navigation }) => {
         />
       )}
 
+      <VaccinationProgrammeModal
+        visible={programmeModalVisible}
+        onClose={() => setProgrammeModalVisible(false)}
+        batches={openBatches}
+        onApplied={() => loadData(false)}
+        onManageTemplates={() => {
+          setProgrammeModalVisible(false);
+          navigation.navigate('VaccinationTemplates');
+        }}
+      />
+
       {/* Add/Edit Vaccination Modal */}
       <Modal animationType="slide" transparent={true} visible={modalVisible} onRequestClose={closeModal}>
         <View style={[styles(theme).modalOverlay, { backgroundColor: theme.colors.overlay }]}>
@@ -391,14 +415,14 @@ const VaccinationScreen = ({ navigation }) => {
                 <CustomPicker
                   selectedValue={String(formData.batchId)}
                   onValueChange={(itemValue) => setFormData(prev => ({ ...prev, batchId: itemValue }))}
-                  items={Array.isArray(batches) && batches.length > 0
-                    ? batches.filter(batch => batch && (batch.id || batch._id)).map((batch) => ({
+                  items={Array.isArray(openBatches) && openBatches.length > 0
+                    ? openBatches.filter(batch => batch && (batch.id || batch._id)).map((batch) => ({
                         label: batch.breed && batch.currentCount ? `${batch.batchName || batch.name || 'Unnamed Batch'} - ${batch.breed} (${batch.currentCount} birds)` : (batch.batchName || batch.name || 'Unnamed Batch'),
                         value: String(batch.id || batch._id)
                       }))
                     : []
                   }
-                  placeholder={Array.isArray(batches) && batches.length === 0 ? "No batches - Create a batch first" : "-- Select a batch --"}
+                  placeholder={Array.isArray(openBatches) && openBatches.length === 0 ? "No batches - Create a batch first" : "-- Select a batch --"}
                 />
               </View>
 
@@ -487,6 +511,10 @@ const styles = (theme) => StyleSheet.create({
     fontSize: 24,
     fontWeight: 'bold',
   },
+  headerActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   addButton: {
     paddingHorizontal: 15,
     paddingVertical: 10,
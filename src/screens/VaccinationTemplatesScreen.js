@@ -0,0 +1,462 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import CustomPicker from '../components/CustomPicker';
+import vaccinationProgrammeService from '../services/vaccinationProgrammeService';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, getPermissionDeniedMessage } from '../utils/permissions';
+import { useTheme } from '../context/ThemeContext';
+
+const BIRD_TYPE_OPTIONS = [
+  { label: 'Any bird type', value: '' },
+  { label: 'Broiler', value: 'Broiler' },
+  { label: 'Layer', value: 'Layer' },
+  { label: 'Dual Purpose', value: 'Dual Purpose' },
+  { label: 'Turkey', value: 'Turkey' },
+  { label: 'Duck', value: 'Duck' },
+  { label: 'Goose', value: 'Goose' },
+  { label: 'Other', value: 'Other' },
+];
+
+const EMPTY_ITEM = { vaccine: '', dayOffset: '', medication: '', notes: '' };
+
+const VaccinationTemplatesScreen = () => {
+  const { can } = useAuth();
+  const { theme } = useTheme();
+  const [templates, setTemplates] = useState([]);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [formData, setFormData] = useState({ name: '', birdType: '', items: [] });
+
+  const canManage = can(PERMISSIONS.HEALTH_MANAGE);
+
+  const loadTemplates = useCallback(() => {
+    setTemplates(vaccinationProgrammeService.getTemplates());
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const openEditor = (template = null) => {
+    if (!canManage) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.HEALTH_MANAGE));
+      return;
+    }
+
+    setEditingTemplate(template || {});
+    setFormData({
+      name: template?.name || '',
+      birdType: template?.bird_type || '',
+      items: template?.items?.length
+        ? template.items.map(item => ({ ...item, dayOffset: String(item.dayOffset) }))
+        : [{ ...EMPTY_ITEM }],
+    });
+  };
+
+  const closeEditor = () => {
+    setEditingTemplate(null);
+    setFormData({ name: '', birdType: '', items: [] });
+  };
+
+  const updateItem = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, itemIndex) => (itemIndex === index ? { ...item, [field]: value } : item)),
+    }));
+  };
+
+  const removeItem = (index) => {
+    setFormData(prev => ({ ...prev, items: prev.items.filter((_, itemIndex) => itemIndex !== index) }));
+  };
+
+  const handleSave = () => {
+    try {
+      vaccinationProgrammeService.saveTemplate({
+        id: editingTemplate?.id,
+        name: formData.name,
+        birdType: formData.birdType || null,
+        items: formData.items.map(item => ({
+          ...item,
+          dayOffset: item.dayOffset === '' ? NaN : Number(item.dayOffset),
+        })),
+      });
+      closeEditor();
+      loadTemplates();
+    } catch (error) {
+      Alert.alert('Validation Error', error.message);
+    }
+  };
+
+  const handleDelete = (template) => {
+    if (!canManage) {
+      Alert.alert('Access Denied', getPermissionDeniedMessage(PERMISSIONS.HEALTH_MANAGE));
+      return;
+    }
+
+    Alert.alert(
+      'Delete Programme',
+      `Delete "${template.name}"? Vaccinations already planned for batches are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            try {
+              vaccinationProgrammeService.deleteTemplate(template.id);
+              loadTemplates();
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to delete programme');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTemplate = ({ item }) => (
+    <View style={styles(theme).card}>
+      <View style={styles(theme).cardHeader}>
+        <View style={styles(theme).cardTitleBlock}>
+          <Text style={styles(theme).cardTitle}>{item.name}</Text>
+          <Text style={styles(theme).cardSubtitle}>
+            {item.bird_type || 'Any bird type'} • {item.items.length} vaccinations
+          </Text>
+        </View>
+        {canManage && (
+          <View style={styles(theme).cardActions}>
+            <TouchableOpacity style={styles(theme).iconButton} onPress={() => openEditor(item)}>
+              <Text style={styles(theme).iconText}>✏️</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles(theme).iconButton} onPress={() => handleDelete(item)}>
+              <Text style={styles(theme).iconText}>🗑️</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+      {item.items.map((entry, index) => (
+        <View key={`${entry.vaccine}-${index}`} style={styles(theme).itemRow}>
+          <Text style={styles(theme).itemDay}>Day {entry.dayOffset}</Text>
+          <Text style={styles(theme).itemVaccine}>
+            {entry.vaccine}{entry.medication ? ` - ${entry.medication}` : ''}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles(theme).container}>
+      <View style={styles(theme).header}>
+        <Text style={styles(theme).headerTitle}>Vaccination Programmes</Text>
+        {canManage && (
+          <TouchableOpacity style={styles(theme).addButton} onPress={() => openEditor()}>
+            <Text style={styles(theme).addButtonText}>+ New</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={templates}
+        renderItem={renderTemplate}
+        keyExtractor={(item) => String(item.id)}
+        contentContainerStyle={styles(theme).list}
+        ListEmptyComponent={
+          <View style={styles(theme).emptyContainer}>
+            <Text style={styles(theme).emptyIcon}>📋</Text>
+            <Text style={styles(theme).emptyText}>No vaccination programmes yet</Text>
+          </View>
+        }
+      />
+
+      <Modal animationType="slide" transparent={true} visible={!!editingTemplate} onRequestClose={closeEditor}>
+        <View style={styles(theme).modalOverlay}>
+          <View style={styles(theme).modalContent}>
+            <ScrollView>
+              <Text style={styles(theme).modalTitle}>
+                {editingTemplate?.id ? 'Edit Programme' : 'New Programme'}
+              </Text>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Name *</Text>
+                <TextInput
+                  style={styles(theme).formInput}
+                  placeholder="e.g., Broiler Standard Programme"
+                  placeholderTextColor={theme.colors.placeholder}
+                  value={formData.name}
+                  onChangeText={(text) => setFormData(prev => ({ ...prev, name: text }))}
+                />
+              </View>
+
+              <View style={styles(theme).formGroup}>
+                <Text style={styles(theme).formLabel}>Bird Type</Text>
+                <CustomPicker
+                  selectedValue={formData.birdType}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, birdType: value }))}
+                  items={BIRD_TYPE_OPTIONS}
+                  placeholder="Any bird type"
+                />
+              </View>
+
+              <Text style={styles(theme).formLabel}>Vaccinations *</Text>
+              {formData.items.map((item, index) => (
+                <View key={index} style={styles(theme).itemEditor}>
+                  <View style={styles(theme).itemEditorRow}>
+                    <TextInput
+                      style={[styles(theme).formInput, styles(theme).dayInput]}
+                      placeholder="Day"
+                      placeholderTextColor={theme.colors.placeholder}
+                      value={item.dayOffset}
+                      onChangeText={(text) => updateItem(index, 'dayOffset', text)}
+                      keyboardType="numeric"
+                    />
+                    <TextInput
+                      style={[styles(theme).formInput, styles(theme).flexInput]}
+                      placeholder="Vaccine, e.g., Gumboro (IBD)"
+                      placeholderTextColor={theme.colors.placeholder}
+                      value={item.vaccine}
+                      onChangeText={(text) => updateItem(index, 'vaccine', text)}
+                    />
+                    <TouchableOpacity style={styles(theme).removeButton} onPress={() => removeItem(index)}>
+                      <Text style={styles(theme).removeText}>✕</Text>
+                    </TouchableOpacity>
+                  </View>
+                  <TextInput
+                    style={styles(theme).formInput}
+                    placeholder="Product / strain (optional)"
+                    placeholderTextColor={theme.colors.placeholder}
+                    value={item.medication}
+                    onChangeText={(text) => updateItem(index, 'medication', text)}
+                  />
+                </View>
+              ))}
+
+              <TouchableOpacity
+                style={styles(theme).addItemButton}
+                onPress={() => setFormData(prev => ({ ...prev, items: [...prev.items, { ...EMPTY_ITEM }] }))}
+              >
+                <Text style={styles(theme).addItemText}>+ Add vaccination</Text>
+              </TouchableOpacity>
+
+              <View style={styles(theme).modalActions}>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.borderSecondary }]}
+                  onPress={closeEditor}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.text }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles(theme).actionButton, { backgroundColor: theme.colors.primary }]}
+                  onPress={handleSave}
+                >
+                  <Text style={[styles(theme).actionText, { color: theme.colors.buttonText }]}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    backgroundColor: theme.colors.surface,
+    borderBottomColor: theme.colors.border,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  addButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+  },
+  addButtonText: {
+    color: theme.colors.buttonText,
+    fontWeight: 'bold',
+  },
+  list: {
+    padding: 20,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    backgroundColor: theme.colors.surface,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  cardTitleBlock: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+    color: theme.colors.textSecondary,
+  },
+  cardActions: {
+    flexDirection: 'row',
+  },
+  iconButton: {
+    minWidth: 44,
+    minHeight: 44,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  iconText: {
+    fontSize: 20,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+  },
+  itemDay: {
+    width: 70,
+    fontSize: 14,
+    fontWeight: '600',
+    color: theme.colors.text,
+  },
+  itemVaccine: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.colors.text,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.overlay,
+  },
+  modalContent: {
+    width: '92%',
+    maxHeight: '85%',
+    borderRadius: 15,
+    padding: 20,
+    backgroundColor: theme.colors.surface,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 20,
+    color: theme.colors.text,
+  },
+  formGroup: {
+    marginBottom: 15,
+  },
+  formLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: theme.colors.text,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    backgroundColor: theme.colors.inputBackground,
+    borderColor: theme.colors.inputBorder,
+    color: theme.colors.inputText,
+  },
+  itemEditor: {
+    gap: 8,
+    paddingBottom: 12,
+    marginBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  itemEditorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  dayInput: {
+    width: 64,
+  },
+  flexInput: {
+    flex: 1,
+  },
+  removeButton: {
+    minWidth: 36,
+    minHeight: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  removeText: {
+    fontSize: 18,
+    color: theme.colors.error,
+  },
+  addItemButton: {
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  addItemText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: theme.colors.primary,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default VaccinationTemplatesScreen;
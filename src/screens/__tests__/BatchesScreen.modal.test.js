@@ -22,7 +22,8 @@ jest.mock('../../context/AuthContext', () => ({
       role: 'manager',
       email: 'manager@test.com',
       organizationId: 1
-    }
+    },
+    can: (permission) => require('../../utils/permissions').hasPermission('manager', permission)
   })
 }));
 
@@ -364,7 +365,8 @@ describe('BatchesScreen Modal Opening Tests', () => {
             role: 'worker',
             email: 'worker@test.com',
             organizationId: 1
-          }
+          },
+          can: (permission) => require('../../utils/permissions').hasPermission('worker', permission)
         })
       }));
 
@@ -0,0 +1,153 @@
+/**
+ * App Lock
+ * Verifies the PIN is stored hashed, wrong PINs are counted until local data is erased,
+ * and when the inactivity timeout and a return from the background lock the app
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import appLockService, { BACKGROUND_GRACE_MS } from '../appLockService';
+import authStorage from '../authStorage';
+import fastDatabase from '../fastDatabase';
+import reminderService from '../reminderService';
+
+const MINUTE = 60 * 1000;
+
+describe('App Lock', () => {
+  let store;
+
+  // The storage mock is reset between tests, so back it with a plain map
+  beforeEach(() => {
+    store = new Map();
+    AsyncStorage.getItem.mockImplementation(async (key) => (store.has(key) ? store.get(key) : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { store.set(key, value); });
+    AsyncStorage.removeItem.mockImplementation(async (key) => { store.delete(key); });
+    AsyncStorage.multiRemove.mockImplementation(async (keys) => { keys.forEach(key => store.delete(key)); });
+    AsyncStorage.getAllKeys.mockImplementation(async () => [...store.keys()]);
+    appLockService.settings = null;
+    appLockService.backgroundedAt = null;
+  });
+
+  test('a 4 to 6 digit PIN turns the lock on and is only kept as a hash', async () => {
+    expect(await appLockService.isEnabled()).toBe(false);
+    await expect(appLockService.setPin('123')).rejects.toThrow('4 to 6 digits');
+    await expect(appLockService.setPin('12a4')).rejects.toThrow('4 to 6 digits');
+
+    const settings = await appLockService.setPin('2580');
+    expect(settings).toMatchObject({ enabled: true, hasPin: true, timeoutMinutes: 5, wipeAfterAttempts: 10, attemptsLeft: 10 });
+    expect(settings).not.toHaveProperty('pinHash');
+    expect(store.get('app_lock_settings')).not.toContain('2580');
+    expect(await appLockService.isEnabled()).toBe(true);
+
+    // Settings are read back after a restart
+    appLockService.settings = null;
+    expect((await appLockService.verifyPin('2580')).success).toBe(true);
+
+    await expect(appLockService.disable('1111')).rejects.toThrow('not correct');
+    await appLockService.disable('2580');
+    expect(await appLockService.isEnabled()).toBe(false);
+  });
+
+  test('wrong PINs are counted and reaching the limit erases local data', async () => {
+    const clearAllData = jest.spyOn(fastDatabase, 'clearAllData').mockReturnValue(12);
+    const clearCredentials = jest.spyOn(authStorage, 'clearCredentials').mockResolvedValue(true);
+    const cancelReminders = jest.spyOn(reminderService, 'cancelAll').mockResolvedValue();
+    store.set('authToken', 'token');
+    store.set('userData', '{"id":7}');
+    store.set('lastSyncTimestamp:7', '2026-10-01T08:00:00.000Z');
+    store.set('lastSyncTimestamp', '2026-09-01T08:00:00.000Z');
+    store.set('lastSyncTime', '2026-10-01T08:00:00.000Z');
+    store.set('deviceId', 'device-1');
+
+    await appLockService.setPin('2580');
+    await appLockService.updateSettings({ wipeAfterAttempts: 5 });
+    await expect(appLockService.updateSettings({ wipeAfterAttempts: 2 })).rejects.toThrow('attempt limits');
+
+    expect(await appLockService.verifyPin('0000')).toEqual({ success: false, attemptsLeft: 4, wiped: false });
+    expect(await appLockService.verifyPin('1111')).toEqual({ success: false, attemptsLeft: 3, wiped: false });
+
+    // A correct PIN starts the count again
+    await appLockService.verifyPin('2580');
+    expect((await appLockService.getSettings()).failedAttempts).toBe(0);
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await appLockService.verifyPin('9999');
+    }
+    appLockService.settings = null; // The count survives a restart
+    expect(await appLockService.verifyPin('9999')).toEqual({ success: false, attemptsLeft: 0, wiped: true });
+
+    expect(clearAllData).toHaveBeenCalled();
+    expect(clearCredentials).toHaveBeenCalled();
+    expect(cancelReminders).toHaveBeenCalled();
+    // Without the sync watermarks the next sign-in downloads everything again
+    expect([...store.keys()]).toEqual(['deviceId']);
+    expect(await appLockService.isEnabled()).toBe(false);
+  });
+
+  test('a wipe that fails part-way is recorded and finished later instead of allowing more guesses', async () => {
+    const clearAllData = jest.spyOn(fastDatabase, 'clearAllData').mockReturnValue(12);
+    const clearCredentials = jest.spyOn(authStorage, 'clearCredentials').mockRejectedValue(new Error('Keychain unavailable'));
+    jest.spyOn(reminderService, 'cancelAll').mockResolvedValue();
+    store.set('authToken', 'token');
+
+    await appLockService.setPin('2580');
+    await appLockService.updateSettings({ wipeAfterAttempts: 5 });
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await appLockService.verifyPin('9999');
+    }
+
+    expect(await appLockService.verifyPin('9999')).toEqual({ success: false, attemptsLeft: 0, wiped: true });
+    // The other steps still ran, and the limit reached is kept
+    expect(clearAllData).toHaveBeenCalledTimes(1);
+    expect(store.has('authToken')).toBe(false);
+    expect(JSON.parse(store.get('app_lock_settings'))).toMatchObject({ failedAttempts: 5, wipePending: true });
+
+    // Even the right PIN does not open the app now
+    appLockService.settings = null;
+    expect(await appLockService.verifyPin('2580')).toEqual({ success: false, attemptsLeft: 0, wiped: true });
+    expect(clearAllData).toHaveBeenCalledTimes(2);
+
+    // The next launch finishes the wipe
+    clearCredentials.mockResolvedValue(true);
+    appLockService.settings = null;
+    expect(await appLockService.resumePendingWipe()).toBe(true);
+    expect(store.has('app_lock_settings')).toBe(false);
+    expect(await appLockService.resumePendingWipe()).toBe(false);
+    expect(await appLockService.isEnabled()).toBe(false);
+  });
+
+  test('the app locks after the inactivity timeout and on return from the background', async () => {
+    const start = Date.now();
+    expect(appLockService.shouldLock(start + 60 * MINUTE)).toBe(false); // No PIN set
+
+    await appLockService.setPin('2580');
+    await appLockService.updateSettings({ timeoutMinutes: 2 });
+    await expect(appLockService.updateSettings({ timeoutMinutes: 3 })).rejects.toThrow('lock timeouts');
+    appLockService.recordActivity(start);
+
+    expect(appLockService.shouldLock(start + MINUTE)).toBe(false);
+    expect(appLockService.shouldLock(start + 2 * MINUTE)).toBe(true);
+
+    // A camera or share sheet does not lock; a longer absence does
+    appLockService.recordActivity(start);
+    appLockService.markBackground(start);
+    expect(appLockService.shouldLock(start + BACKGROUND_GRACE_MS - 1000, true)).toBe(false);
+    appLockService.markBackground(start);
+    expect(appLockService.shouldLock(start + BACKGROUND_GRACE_MS, true)).toBe(true);
+  });
+
+  test('biometrics cannot be turned on without a fingerprint or face unlock on the device', async () => {
+    await appLockService.setPin('2580');
+    LocalAuthentication.hasHardwareAsync.mockResolvedValue(true);
+    LocalAuthentication.isEnrolledAsync.mockResolvedValue(false);
+
+    expect(await appLockService.isBiometricSupported()).toBe(false);
+    await expect(appLockService.updateSettings({ biometricsEnabled: true })).rejects.toThrow('no fingerprint or face unlock');
+    expect(await appLockService.authenticateWithBiometrics()).toBe(false);
+
+    LocalAuthentication.isEnrolledAsync.mockResolvedValue(true);
+    LocalAuthentication.authenticateAsync.mockResolvedValue({ success: true });
+    await appLockService.updateSettings({ biometricsEnabled: true });
+    expect(await appLockService.authenticateWithBiometrics()).toBe(true);
+  });
+});
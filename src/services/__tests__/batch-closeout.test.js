@@ -0,0 +1,109 @@
+/**
+ * Batch close-out
+ * Verifies the end-of-cycle summary (livability, FCR, EPEF, cost per kg), archiving a batch,
+ * and that archived batches take no new local records
+ */
+
+import fastDatabase from '../fastDatabase';
+import batchCloseoutService from '../batchCloseoutService';
+import dataEventBus from '../dataEventBus';
+import { computeCloseoutSummary, validateCloseout } from '../../utils/batchCloseout';
+
+const BATCH = { id: 4, batch_name: 'House A', initial_count: 1000, current_count: 960, arrival_date: '2026-09-01', status: 'active' };
+const CLOSEOUT = { birdsSold: '950', birdsCulled: '10', finalAvgWeightKg: '2.5', closeDate: '2026-10-06', reason: 'sold' };
+
+const withMockDb = (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  fastDatabase.isReady = true;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn(() => null),
+    getAllSync: jest.fn(() => []),
+    ...db,
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+  }
+};
+
+describe('Batch close-out', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('summary computes livability, FCR, EPEF and cost per kg', () => {
+    const summary = computeCloseoutSummary(BATCH, CLOSEOUT, { feedKg: 4000, totalCost: 9500, deaths: 40 });
+
+    expect(summary).toMatchObject({
+      birdsPlaced: 1000,
+      birdsSold: 950,
+      birdsCulled: 10,
+      deaths: 40,
+      ageDays: 35,
+      liveWeightKg: 2375,
+      livability: 96,
+      fcr: 1.68,
+      epef: 407,
+      costPerKg: 4,
+    });
+    expect(computeCloseoutSummary(BATCH, { ...CLOSEOUT, birdsSold: '0', finalAvgWeightKg: '' }, { feedKg: 4000 }))
+      .toMatchObject({ fcr: 0, epef: 0, costPerKg: 0 });
+  });
+
+  test('close-out form rejects more birds than placed and a missing weight', () => {
+    expect(validateCloseout(BATCH, { ...CLOSEOUT, birdsSold: '995', birdsCulled: '10' })).toContain('more than the birds placed');
+    expect(validateCloseout(BATCH, { ...CLOSEOUT, finalAvgWeightKg: '' })).toContain('final average weight');
+    expect(validateCloseout(BATCH, { ...CLOSEOUT, finalAvgWeightKg: '' }, { checkWeight: false })).toBeNull();
+    expect(validateCloseout(BATCH, { ...CLOSEOUT, closeDate: 'soon' })).toContain('close-out date');
+    expect(validateCloseout(BATCH, CLOSEOUT)).toBeNull();
+  });
+
+  test('closing a batch archives it with its summary', async () => {
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue(BATCH);
+    jest.spyOn(fastDatabase, 'getBatchCloseoutTotals').mockReturnValue({ feedKg: 4000, totalCost: 9500, deaths: 40 });
+    jest.spyOn(fastDatabase, 'closeBatch').mockReturnValue(true);
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+
+    const summary = await batchCloseoutService.closeBatch(4, CLOSEOUT);
+
+    expect(summary).toMatchObject({ fcr: 1.68, epef: 407 });
+    expect(fastDatabase.closeBatch).toHaveBeenCalledWith(4, CLOSEOUT, summary);
+    expect(dataEventBus.emit).toHaveBeenCalledWith('BATCH_UPDATED', expect.objectContaining({ batchId: 4, status: 'archived' }), { debounce: false });
+
+    fastDatabase.getBatchById.mockReturnValue({ ...BATCH, status: 'archived' });
+    await expect(batchCloseoutService.closeBatch(4, CLOSEOUT)).rejects.toThrow('already archived');
+  });
+
+  test('closeBatch empties the batch and marks it for sync', () => {
+    withMockDb({}, (db) => {
+      const summary = computeCloseoutSummary(BATCH, CLOSEOUT, { feedKg: 4000, totalCost: 9500 });
+      fastDatabase.closeBatch(4, CLOSEOUT, summary);
+
+      const [sql, params] = db.runSync.mock.calls[0];
+      expect(sql).toContain('current_count = 0');
+      expect(sql).toContain('needs_sync = 1');
+      expect(params.slice(0, 5)).toEqual(['archived', '2026-10-06', 'sold', 950, 10]);
+      expect(JSON.parse(params[6])).toMatchObject({ livability: 96 });
+      expect(params.slice(-2)).toEqual([4, 'archived']);
+    });
+  });
+
+  test('archived batches refuse new local records but accept downloaded ones', () => {
+    withMockDb({
+      getFirstSync: jest.fn(() => ({ batch_name: 'House A', status: 'archived' })),
+    }, (db) => {
+      expect(() => fastDatabase.createFeedRecord({ batchId: 4, farmId: 1, date: '2026-10-07', quantityKg: 50 }))
+        .toThrow('closed and archived');
+      expect(db.runSync).not.toHaveBeenCalled();
+
+      fastDatabase.createFeedRecord({ batchId: 4, farmId: 1, date: '2026-10-05', quantityKg: 50, server_id: 'srv-9' });
+      expect(db.runSync.mock.calls[0][0]).toContain('INSERT INTO feed_records');
+    });
+  });
+});
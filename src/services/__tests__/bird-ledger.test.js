@@ -0,0 +1,179 @@
+/**
+ * Bird ledger
+ * Verifies the movements posted from batches, mortality records and bird sales, that the batch
+ * count is derived from the ledger, and that manual movements and reconciliation are validated
+ */
+
+import fastDatabase from '../fastDatabase';
+import birdLedgerService from '../birdLedgerService';
+import syncService from '../syncService';
+import offlineDataService from '../offlineDataService';
+import dataEventBus, { EventTypes } from '../dataEventBus';
+import {
+  buildBatchMovements,
+  computeRunningBalance,
+  reconcileBatchCount,
+  signedQuantity,
+} from '../../utils/birdLedger';
+
+const BATCH = { id: 4, batch_name: 'House A', farm_id: 1, initial_count: 1000, current_count: 970, status: 'active', arrival_date: '2026-09-01' };
+
+const MOVEMENTS = [
+  { id: 3, movement_type: 'sale', quantity: -20, movement_date: '2026-09-20' },
+  { id: 1, movement_type: 'arrival', quantity: 1000, movement_date: '2026-09-01' },
+  { id: 2, movement_type: 'death', quantity: -12, movement_date: '2026-09-05' },
+];
+
+const withMockDb = (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  fastDatabase.isReady = true;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn(() => null),
+    getAllSync: jest.fn(() => []),
+    ...db,
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+  }
+};
+
+const callsContaining = (db, text) => db.runSync.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Bird ledger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('movements give a running balance that is compared with the stored count', () => {
+    const rows = computeRunningBalance(MOVEMENTS);
+    expect(rows.map(row => row.balance)).toEqual([1000, 988, 968]);
+
+    expect(reconcileBatchCount(BATCH, MOVEMENTS)).toEqual({ ledgerCount: 968, storedCount: 970, difference: 2, inBalance: false });
+    expect(reconcileBatchCount({ ...BATCH, current_count: 968 }, MOVEMENTS).inBalance).toBe(true);
+
+    expect(signedQuantity('cull', 5)).toBe(-5);
+    expect(signedQuantity('transfer_in', -5)).toBe(5);
+    expect(signedQuantity('adjustment', -3)).toBe(-3);
+  });
+
+  test('a closed batch posts only the birds sold that have no sales record', () => {
+    expect(buildBatchMovements(BATCH)).toEqual([{ movementType: 'arrival', quantity: 1000, date: '2026-09-01', notes: 'Birds placed' }]);
+
+    const archived = { ...BATCH, status: 'archived', birds_sold: 900, birds_culled: 10, closed_at: '2026-10-06' };
+    expect(buildBatchMovements(archived, 300)).toEqual([
+      { movementType: 'arrival', quantity: 1000, date: '2026-09-01', notes: 'Birds placed' },
+      { movementType: 'sale', quantity: -600, date: '2026-10-06', notes: 'Batch close-out' },
+      { movementType: 'cull', quantity: -10, date: '2026-10-06', notes: 'Batch close-out' },
+    ]);
+  });
+
+  test('mortality records post deaths and offline records derive the batch count from the ledger', () => {
+    withMockDb({
+      getAllSync: jest.fn((sql) => (sql.includes('FROM mortality_records mr')
+        ? [{ id: 1, batch_id: 4, count: 7, date: '2026-09-10', cause: 'Heat', ledger_organization_id: 2, ledger_farm_id: 1 }]
+        : [])),
+    }, (db) => {
+      fastDatabase.createMortalityRecord({ farmId: 1, batchId: 4, date: '2026-09-10', count: 7, cause: 'Heat' });
+
+      expect(callsContaining(db, 'DELETE FROM bird_movements')[0][1]).toEqual(['mortality_records', 1]);
+      expect(callsContaining(db, 'INSERT INTO bird_movements')[0][1]).toEqual([2, 1, 4, 'death', -7, '2026-09-10', 'mortality_records', 1, 'Heat']);
+      expect(callsContaining(db, 'current_count - ?')).toHaveLength(0);
+      const [recountSql, recountParams] = callsContaining(db, 'SET current_count = (SELECT COALESCE(SUM(quantity), 0) FROM bird_movements')[0];
+      expect(recountSql).toContain("COALESCE(status, 'active') != ?");
+      expect(recountSql).not.toContain('needs_sync');
+      expect(recountParams).toEqual([4, expect.any(String), 4, 'archived']);
+    });
+
+    // The server already set the count of a synced record, so it is posted but the count is kept
+    withMockDb({}, (db) => {
+      fastDatabase.createMortalityRecord({ farmId: 1, batchId: 4, date: '2026-09-10', count: 7, server_id: 'srv-1', needs_sync: 0 });
+      expect(callsContaining(db, 'DELETE FROM bird_movements')).toHaveLength(1);
+      expect(callsContaining(db, 'SET current_count = (SELECT')).toHaveLength(0);
+    });
+  });
+
+  test('closing a batch writes off the birds not accounted for', () => {
+    withMockDb({
+      getAllSync: jest.fn((sql) => (sql.includes('AS difference') ? [{ id: 4, farm_id: 1, organization_id: 2, difference: -8 }] : [])),
+    }, (db) => {
+      fastDatabase.closeBatch(4, { closeDate: '2026-10-06', reason: 'sold' }, { birdsSold: 950, birdsCulled: 10 });
+
+      const [, params] = callsContaining(db, "VALUES (?, ?, ?, 'adjustment', ?, ?, ?)")[0];
+      expect(params).toEqual([2, 1, 4, -8, '2026-10-06', 'Not accounted for at close-out']);
+    });
+  });
+
+  test('manual movements are validated and signed before they are saved', () => {
+    const addMovement = jest.spyOn(fastDatabase, 'addBirdMovement').mockImplementation(data => ({ id: 9, ...data }));
+    const emit = jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+
+    expect(() => birdLedgerService.addMovement(4, { movementType: 'death', quantity: '5' })).toThrow('cull, sale or count adjustment');
+    expect(() => birdLedgerService.addMovement(4, { movementType: 'cull', quantity: '0' })).toThrow('other than 0');
+    expect(() => birdLedgerService.addMovement(4, { movementType: 'adjustment', quantity: '-3', notes: ' ' })).toThrow('reason');
+
+    birdLedgerService.addMovement(4, { movementType: 'cull', quantity: '5', date: '2026-09-12', notes: ' Lame ' }, { id: 3 });
+    expect(addMovement).toHaveBeenCalledWith({ batchId: 4, movementType: 'cull', quantity: 5, date: '2026-09-12', notes: 'Lame', recordedBy: 3 });
+    expect(emit).toHaveBeenCalledWith(EventTypes.BATCH_UPDATED, { batchId: 4, source: 'birdLedger' }, { debounce: false });
+
+    withMockDb({
+      getFirstSync: jest.fn((sql) => (sql.includes('FROM poultry_batches') ? BATCH : { organization_id: 2 })),
+    }, (db) => {
+      addMovement.mockRestore();
+      fastDatabase.addBirdMovement({ batchId: 4, movementType: 'cull', quantity: 5 });
+      expect(callsContaining(db, 'INSERT INTO bird_movements')[0][1].slice(0, 5)).toEqual([2, 1, 4, 'cull', -5]);
+      // The movement stays on the device, so the batch is uploaded with its new count
+      expect(callsContaining(db, 'SET current_count = (SELECT')[0][0]).toContain('needs_sync = 1');
+    });
+  });
+
+  test('a downloaded batch does not replace a count that has not been uploaded', async () => {
+    const update = jest.spyOn(offlineDataService, 'update').mockResolvedValue(1);
+    const markAsSynced = jest.spyOn(offlineDataService, 'markAsSynced').mockResolvedValue(1);
+    const markBatchForSync = jest.spyOn(fastDatabase, 'markBatchForSync').mockImplementation(() => {});
+    jest.spyOn(syncService, '_resolveForeignKeys').mockResolvedValue();
+    const getByServerId = jest.spyOn(offlineDataService, 'getByServerId')
+      .mockResolvedValue({ ...BATCH, server_id: '40', current_count: 945, needs_sync: 1, updated_at: '2026-09-12T08:00:00Z' });
+    const serverBatch = { id: 40, batchName: 'Layer House 1', currentCount: 950, updatedAt: '2026-09-13T08:00:00Z' };
+
+    await syncService.mergeServerData('poultry_batches', [serverBatch]);
+    expect(update.mock.calls[0][2]).not.toHaveProperty('current_count');
+    expect(update.mock.calls[0][2]).toMatchObject({ batch_number: 'Layer House 1' });
+    expect(markBatchForSync).toHaveBeenCalledWith(4);
+    expect(markAsSynced).not.toHaveBeenCalled();
+
+    await syncService.processServerData({ poultry_batches: [serverBatch] });
+    expect(update.mock.calls[1][2]).not.toHaveProperty('current_count');
+    expect(markBatchForSync).toHaveBeenCalledTimes(2);
+
+    // Once uploaded, the server's count applies again
+    getByServerId.mockResolvedValue({ ...BATCH, server_id: '40', needs_sync: 0, updated_at: '2026-09-12T08:00:00Z' });
+    await syncService.mergeServerData('poultry_batches', [serverBatch]);
+    expect(update.mock.calls[2][2]).toMatchObject({ current_count: 950 });
+    expect(markAsSynced).toHaveBeenCalledWith('poultry_batches', 4, '40');
+  });
+
+  test('reconciling posts the difference or restores the ledger count', () => {
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue(BATCH);
+    jest.spyOn(fastDatabase, 'getBirdMovements').mockReturnValue(MOVEMENTS);
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+    const addMovement = jest.spyOn(fastDatabase, 'addBirdMovement').mockReturnValue({ id: 10 });
+    const recount = jest.spyOn(fastDatabase, 'recalculateBatchCount').mockImplementation(() => {});
+
+    const history = birdLedgerService.getBatchHistory(4);
+    expect(history.movements[0]).toMatchObject({ id: 3, balance: 968 });
+    expect(history.reconciliation.difference).toBe(2);
+
+    birdLedgerService.reconcile(4, 'adjust', { id: 3 });
+    expect(addMovement).toHaveBeenCalledWith(expect.objectContaining({ movementType: 'adjustment', quantity: 2, recordedBy: 3 }));
+
+    birdLedgerService.reconcile(4, 'recount');
+    expect(recount).toHaveBeenCalledWith(4, true);
+  });
+});
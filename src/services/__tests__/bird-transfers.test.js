@@ -0,0 +1,176 @@
+/**
+ * Bird transfers
+ * Verifies that a transfer posts a movement on both batches, updates both counts in one transaction,
+ * rolls back as a whole, and syncs as a single queue item that also creates a batch opened by the transfer
+ */
+
+import fastDatabase from '../fastDatabase';
+import birdLedgerService from '../birdLedgerService';
+import syncService from '../syncService';
+import apiService from '../api';
+import offlineDataService from '../offlineDataService';
+import dataEventBus, { EventTypes } from '../dataEventBus';
+import { buildBatchMovements, buildTransferMovements } from '../../utils/birdLedger';
+
+const BATCHES = {
+  4: { id: 4, batch_name: 'Pullet House', farm_id: 1, bird_type: 'Layer', initial_count: 1000, current_count: 950, status: 'active' },
+  5: { id: 5, batch_name: 'Layer House 1', farm_id: 2, bird_type: 'Layer', initial_count: 200, current_count: 200, status: 'active' },
+  6: { id: 6, batch_name: 'Old House', farm_id: 2, initial_count: 500, current_count: 0, status: 'archived' },
+};
+
+const TRANSFER = {
+  id: 1, organization_id: 2, from_batch_id: 4, to_batch_id: 5, from_farm_id: 1, to_farm_id: 2,
+  quantity: 300, transfer_date: '2026-10-01', notes: 'Point of lay', created_new_batch: 0,
+  from_batch_name: 'Pullet House', to_batch_name: 'Layer House 1',
+};
+
+const withMockDb = async (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalOrganizationId = fastDatabase.currentOrganizationId;
+  fastDatabase.isReady = true;
+  fastDatabase.currentOrganizationId = 2;
+  fastDatabase.isTransactionActive = false;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn((sql, params = []) => {
+      if (sql.includes('FROM poultry_batches WHERE id = ?')) return BATCHES[params[0]] || null;
+      if (sql.includes('FROM bird_transfers WHERE id = ?')) return TRANSFER;
+      return { organization_id: 2 };
+    }),
+    getAllSync: jest.fn((sql) => (sql.includes('FROM bird_transfers bt') ? [{ ...TRANSFER, ledger_organization_id: 2 }] : [])),
+    ...db,
+  };
+
+  try {
+    return await callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = originalOrganizationId;
+    fastDatabase.isTransactionActive = false;
+  }
+};
+
+const callsContaining = (db, text) => db.runSync.mock.calls.filter(([sql]) => sql.includes(text));
+const execCalls = (db) => db.execSync.mock.calls.map(([sql]) => sql);
+
+describe('Bird transfers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a transfer posts out of one batch and into the other', () => {
+    expect(buildTransferMovements(TRANSFER)).toEqual([
+      { movementType: 'transfer_out', quantity: -300, date: '2026-10-01', batchId: 4, farmId: 1, notes: 'To Layer House 1 - Point of lay' },
+      { movementType: 'transfer_in', quantity: 300, date: '2026-10-01', batchId: 5, farmId: 2, notes: 'From Pullet House - Point of lay' },
+    ]);
+    expect(buildTransferMovements({ ...TRANSFER, quantity: 0 })).toEqual([]);
+
+    // A batch opened by a transfer gets its birds from the transfer in, not an arrival
+    expect(buildBatchMovements({ ...BATCHES[5], opened_by_transfer: 1 })).toEqual([]);
+  });
+
+  test('both sides and both counts are written in one transaction and queued as one item', async () => {
+    await withMockDb({}, async (db) => {
+      const row = await fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 5, quantity: '300', date: '2026-10-01', notes: 'Point of lay', recordedBy: 3 });
+
+      expect(row).toBe(TRANSFER);
+      expect(execCalls(db)).toEqual(['BEGIN TRANSACTION', 'COMMIT']);
+      expect(callsContaining(db, 'INSERT INTO bird_transfers')[0][1].slice(0, 10)).toEqual([2, 4, 5, 1, 2, 300, '2026-10-01', 'Point of lay', 0, 3]);
+
+      const movements = callsContaining(db, 'INSERT INTO bird_movements').map(([, params]) => params);
+      expect(movements).toEqual([
+        [2, 1, 4, 'transfer_out', -300, '2026-10-01', 'bird_transfers', 1, 'To Layer House 1 - Point of lay'],
+        [2, 2, 5, 'transfer_in', 300, '2026-10-01', 'bird_transfers', 1, 'From Pullet House - Point of lay'],
+      ]);
+      const recounts = callsContaining(db, 'SET current_count = (SELECT COALESCE(SUM(quantity), 0) FROM bird_movements');
+      expect(recounts.map(([, params]) => params[0])).toEqual([4, 5]);
+
+      const queued = callsContaining(db, 'INSERT INTO sync_queue');
+      expect(queued).toHaveLength(1);
+      expect(queued[0][1].slice(0, 3)).toEqual(['bird_transfers', 'CREATE', '1']);
+      expect(JSON.parse(queued[0][1][5])).toMatchObject({ from_batch_id: 4, to_batch_id: 5, new_batch: null });
+    });
+  });
+
+  test('transfers are checked against the source count and open batches', async () => {
+    await withMockDb({}, async (db) => {
+      await expect(fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 5, quantity: 951 })).rejects.toThrow('only has 950 birds');
+      await expect(fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 4, quantity: 10 })).rejects.toThrow('different batch');
+      await expect(fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 6, quantity: 10 })).rejects.toThrow('closed and archived');
+      await expect(fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 5, quantity: 0 })).rejects.toThrow('number of birds');
+      expect(execCalls(db)).toEqual([]);
+    });
+  });
+
+  test('a failed write rolls back the whole transfer', async () => {
+    await withMockDb({
+      runSync: jest.fn((sql) => {
+        if (sql.includes('INSERT INTO bird_transfers')) throw new Error('disk I/O error');
+        return { changes: 1, lastInsertRowId: 1 };
+      }),
+    }, async (db) => {
+      await expect(fastDatabase.transferBirds({ fromBatchId: 4, toBatchId: 5, quantity: 300 })).rejects.toThrow('disk I/O error');
+      expect(execCalls(db)).toEqual(['BEGIN TRANSACTION', 'ROLLBACK']);
+      expect(callsContaining(db, 'INSERT INTO sync_queue')).toHaveLength(0);
+    });
+  });
+
+  test('a new batch is opened with the transferred birds and only synced with the transfer', async () => {
+    const createBatch = jest.spyOn(fastDatabase, 'createBatch').mockReturnValue({ id: 5 });
+
+    await withMockDb({}, async (db) => {
+      await fastDatabase.transferBirds({ fromBatchId: 4, newBatch: { batchName: 'Layer House 1', farmId: 2 }, quantity: 300, date: '2026-10-01' });
+
+      expect(createBatch).toHaveBeenCalledWith(expect.objectContaining({
+        batchName: 'Layer House 1', farmId: 2, birdType: 'Layer', initialCount: 300, arrivalDate: '2026-10-01', needs_sync: 0,
+      }));
+      expect(callsContaining(db, 'INSERT INTO bird_transfers')[0][1][8]).toBe(1);
+      const queued = callsContaining(db, 'INSERT INTO sync_queue');
+      expect(queued).toHaveLength(1);
+      expect(JSON.parse(queued[0][1][5]).new_batch).toMatchObject({ batch_name: 'Layer House 1', farm_id: 2 });
+    });
+  });
+
+  test('the queued transfer is uploaded with server ids and maps the batch it opened', async () => {
+    jest.spyOn(fastDatabase, 'getServerIdForLocalId').mockImplementation((table, localId) => String(localId * 10));
+    const storeIdMapping = jest.spyOn(fastDatabase, 'storeIdMapping').mockImplementation(() => {});
+    const markAsSynced = jest.spyOn(offlineDataService, 'markAsSynced').mockResolvedValue(1);
+    const createBirdTransfer = jest.spyOn(apiService, 'createBirdTransfer').mockResolvedValue({ id: 77, toBatchId: 501 });
+
+    const queued = {
+      ...TRANSFER, id: 1, server_id: null, needs_sync: 1, created_new_batch: 1,
+      new_batch: { batch_name: 'Layer House 1', bird_type: 'Layer', breed: null, farm_id: 2, arrival_date: '2026-10-01' },
+    };
+    await syncService.createOnServer('bird_transfers', queued);
+
+    const payload = createBirdTransfer.mock.calls[0][0];
+    expect(payload).toMatchObject({
+      fromBatchId: 40, fromFarmId: 10, toFarmId: 20, quantity: 300, transferDate: '2026-10-01', notes: 'Point of lay',
+      newBatch: { batchName: 'Layer House 1', birdType: 'Layer', farmId: 20, arrivalDate: '2026-10-01' },
+    });
+    expect(payload.toBatchId).toBeUndefined();
+    expect(payload.from_batch_id).toBeUndefined();
+    expect(storeIdMapping).toHaveBeenCalledWith('poultry_batches', 5, '501');
+    expect(markAsSynced).toHaveBeenCalledWith('poultry_batches', 5, '501');
+  });
+
+  test('the service validates the destination and refreshes both batches', async () => {
+    const transferBirds = jest.spyOn(fastDatabase, 'transferBirds').mockResolvedValue(TRANSFER);
+    const emit = jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+
+    await expect(birdLedgerService.transferBirds(4, { quantity: '10' })).rejects.toThrow('Choose the batch');
+    await expect(birdLedgerService.transferBirds(4, { quantity: '10', newBatch: { batchName: ' ', farmId: '2' } })).rejects.toThrow('name for the new batch');
+    await expect(birdLedgerService.transferBirds(4, { quantity: '10', newBatch: { batchName: 'House 2' } })).rejects.toThrow('farm of the new batch');
+    await expect(birdLedgerService.transferBirds(4, { toBatchId: '5', quantity: '-2' })).rejects.toThrow('number of birds');
+
+    await birdLedgerService.transferBirds(4, { toBatchId: '5', quantity: '300', date: '2026-10-01', notes: ' Point of lay ' }, { id: 3 });
+    expect(transferBirds).toHaveBeenCalledWith({
+      fromBatchId: 4, toBatchId: '5', newBatch: null, quantity: 300, date: '2026-10-01', notes: 'Point of lay', recordedBy: 3,
+    });
+    expect(emit).toHaveBeenCalledWith(EventTypes.BATCH_UPDATED, { batchId: 4, source: 'birdLedger' }, { debounce: false });
+    expect(emit).toHaveBeenCalledWith(EventTypes.BATCH_UPDATED, { batchId: 5, source: 'birdLedger' }, { debounce: false });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Breed standards
+ * Verifies curve interpolation, the weekly benchmark of weight, feed intake, FCR and mortality
+ * against a curve, curve validation, and that batch FCR is rated against the breed standard
+ */
+
+import fastDatabase from '../fastDatabase';
+import fastApiService from '../fastApiService';
+import breedStandardService from '../breedStandardService';
+import {
+  DEFAULT_BREED_STANDARDS,
+  interpolateStandard,
+  computeWeeklyBenchmark,
+  matchStandardForBatch,
+} from '../../utils/breedStandards';
+
+const BATCH = { id: 4, batch_name: 'House A', breed: 'Cobb 500', bird_type: 'Broiler', initial_count: 1000, current_count: 1000, arrival_date: '2026-09-01' };
+
+// Straight lines so the expected values are easy to follow
+const STANDARD = {
+  name: 'Test Curve',
+  points: [
+    { day: 0, bodyWeightG: 40, dailyFeedG: 10, cumulativeFcr: null, mortalityPct: 0 },
+    { day: 14, bodyWeightG: 500, dailyFeedG: 80, cumulativeFcr: 1.0, mortalityPct: 1.4 },
+  ],
+};
+
+const RECORDS = {
+  weights: [
+    { date: '2026-09-08', average_weight_grams: 270 },
+    { date: '2026-09-15', average_weight_kg: 0.55 },
+  ],
+  feeds: [
+    { date: '2026-09-04', quantity_kg: 100 },
+    { date: '2026-09-08', quantity_kg: 140 },
+    { date: '2026-09-11', quantity_kg: 400 },
+  ],
+  deaths: [
+    { date: '2026-09-03', count: 10 },
+    { date: '2026-09-13', count: 10 },
+  ],
+};
+
+const withMockDb = (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalOrganizationId = fastDatabase.currentOrganizationId;
+  fastDatabase.isReady = true;
+  fastDatabase.currentOrganizationId = 7;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn(() => null),
+    getAllSync: jest.fn(() => []),
+    ...db,
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = originalOrganizationId;
+  }
+};
+
+describe('Breed standards', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('curves are interpolated between days and not extrapolated past the last day', () => {
+    expect(interpolateStandard(STANDARD.points, 7, 'bodyWeightG')).toBe(270);
+    expect(interpolateStandard(STANDARD.points, 0, 'dailyFeedG')).toBe(10);
+    // Empty values are skipped, so the first FCR figure is used before day 14
+    expect(interpolateStandard(STANDARD.points, 7, 'cumulativeFcr')).toBe(1);
+    expect(interpolateStandard(STANDARD.points, 15, 'bodyWeightG')).toBeNull();
+    expect(interpolateStandard(DEFAULT_BREED_STANDARDS[0].points, 35, 'bodyWeightG')).toBe(2270);
+  });
+
+  test('weekly benchmark gives the percentage deviation for each measure', () => {
+    const weeks = computeWeeklyBenchmark(BATCH, STANDARD, RECORDS);
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[0]).toMatchObject({
+      week: 1,
+      weighingDay: 7,
+      actualWeightG: 270,
+      standardWeightG: 270,
+      weightDeviationPct: 0,
+      actualDailyFeedG: 34.5,
+      standardDailyFeedG: 30,
+      feedDeviationPct: 14.9,
+      actualFcr: 0.9,
+      standardFcr: 1,
+      fcrDeviationPct: -10.2,
+      mortalityPct: 1,
+      standardMortalityPct: 0.7,
+      mortalityDeviationPct: 42.9,
+    });
+    expect(weeks[1]).toMatchObject({
+      week: 2,
+      actualWeightG: 550,
+      weightDeviationPct: 10,
+      actualDailyFeedG: 58,
+      standardDailyFeedG: 65,
+      feedDeviationPct: -10.7,
+      actualFcr: 1.19,
+      fcrDeviationPct: 18.7,
+      mortalityPct: 2,
+    });
+
+    expect(computeWeeklyBenchmark({ ...BATCH, arrival_date: null }, STANDARD, RECORDS)).toEqual([]);
+    expect(computeWeeklyBenchmark(BATCH, STANDARD, {})).toEqual([]);
+  });
+
+  test('batches are matched to a curve by breed, then by bird type', () => {
+    const standards = DEFAULT_BREED_STANDARDS.map((standard, index) => ({ ...standard, id: index + 1, bird_type: standard.birdType }));
+
+    expect(matchStandardForBatch(BATCH, standards).name).toBe('Cobb 500');
+    expect(matchStandardForBatch({ ...BATCH, breed: 'ross' }, standards).name).toBe('Ross 308');
+    expect(matchStandardForBatch({ ...BATCH, breed: '' }, standards).name).toBe('Ross 308');
+    expect(matchStandardForBatch({ ...BATCH, breed: 'Lohmann Brown', bird_type: 'Layer' }, standards).name).toBe('Hy-Line Brown');
+    expect(matchStandardForBatch({ ...BATCH, breed: 'Bronze', bird_type: 'Turkey' }, standards)).toBeNull();
+  });
+
+  test('curves are validated and sorted by day before saving', () => {
+    const normalized = breedStandardService.normalizeStandard({
+      name: ' Farm Curve ',
+      points: [
+        { day: 14, bodyWeightG: '500', dailyFeedG: '', cumulativeFcr: '1.0', mortalityPct: '1' },
+        { day: 0, bodyWeightG: '42', dailyFeedG: '12', cumulativeFcr: '', mortalityPct: '0' },
+      ],
+    });
+    expect(normalized.name).toBe('Farm Curve');
+    expect(normalized.points.map(point => point.day)).toEqual([0, 14]);
+    expect(normalized.points[1]).toEqual({ day: 14, bodyWeightG: 500, dailyFeedG: null, cumulativeFcr: 1, mortalityPct: 1, henDayPct: null });
+
+    expect(() => breedStandardService.normalizeStandard({ name: 'X', points: [{ day: 0 }] })).toThrow('at least two days');
+    expect(() => breedStandardService.normalizeStandard({ name: 'X', points: [{ day: 7 }, { day: 7 }] })).toThrow('only appear once');
+    expect(() => breedStandardService.normalizeStandard({ name: 'X', points: [{ day: 0 }, { day: 7, bodyWeightG: '-5' }] })).toThrow('0 or more');
+  });
+
+  test('bundled curves are seeded once per organization', () => {
+    withMockDb({}, (db) => {
+      breedStandardService.getStandards();
+
+      const inserts = db.runSync.mock.calls.filter(([sql]) => sql.includes('INSERT INTO breed_standards'));
+      expect(inserts).toHaveLength(DEFAULT_BREED_STANDARDS.length);
+      expect(JSON.parse(inserts[0][1][3])[0]).toMatchObject({ day: 0, bodyWeightG: 42 });
+    });
+
+    // Curves the organization already has (or deleted) are not added again
+    withMockDb({
+      getAllSync: jest.fn((sql) => (sql.startsWith('SELECT name FROM breed_standards')
+        ? DEFAULT_BREED_STANDARDS.slice(1).map(standard => ({ name: standard.name.toUpperCase() }))
+        : [])),
+    }, (db) => {
+      breedStandardService.getStandards();
+      expect(db.runSync).toHaveBeenCalledTimes(1);
+      expect(db.runSync.mock.calls[0][1][1]).toBe('Ross 308');
+    });
+  });
+
+  test('batch FCR is rated against the breed standard at the same age', async () => {
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue(BATCH);
+    jest.spyOn(fastDatabase, 'getAllRecords').mockImplementation((type) => (type === 'feed'
+      ? [{ batch_id: 4, quantity_kg: 3400 }]
+      : [{ batch_id: 4, average_weight_kg: 2.0, date_recorded: '2026-10-06' }]));
+    jest.spyOn(breedStandardService, 'getStandardForBatch').mockReturnValue({ ...DEFAULT_BREED_STANDARDS[0] });
+
+    const result = await fastApiService.getBatchFCR(4);
+
+    // 1.70 would be "Excellent" on fixed cut-offs but is 11% above Ross 308 at day 35
+    expect(result.data).toMatchObject({
+      fcr: '1.70',
+      ageDays: 35,
+      breedStandard: 'Ross 308',
+      standardFcr: '1.53',
+      fcrDeviationPct: 11.1,
+      fcrStatus: 'Poor',
+    });
+
+    breedStandardService.getStandardForBatch.mockReturnValue(null);
+    const fallback = await fastApiService.getBatchFCR(4);
+    expect(fallback.data).toMatchObject({ breedStandard: null, fcrStatus: 'Excellent' });
+  });
+});
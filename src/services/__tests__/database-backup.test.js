@@ -0,0 +1,117 @@
+/**
+ * Database backup & restore
+ * Verifies snapshots are versioned, validated, previewed and restored in one transaction
+ */
+
+import fastDatabase, { BACKUP_SCHEMA_VERSION } from '../fastDatabase';
+
+const TABLE_COLUMNS = {
+  farms: ['id', 'farm_name', 'organization_id'],
+  poultry_batches: ['id', 'farm_id', 'batch_name'],
+  sync_queue: ['id', 'table_name', 'operation', 'local_id', 'data', 'sync_status'],
+};
+
+const createMockDb = () => ({
+  execSync: jest.fn(),
+  runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+  getFirstSync: jest.fn((sql) => {
+    if (sql.includes('SELECT 1 as test')) return { test: 1 };
+    if (sql.includes('COUNT(*)')) return { count: 2 };
+    return null;
+  }),
+  getAllSync: jest.fn((sql) => {
+    if (sql.includes('sqlite_master')) return Object.keys(TABLE_COLUMNS).map(name => ({ name }));
+    const pragma = sql.match(/PRAGMA table_info\((\w+)\)/);
+    if (pragma) return TABLE_COLUMNS[pragma[1]].map(name => ({ name }));
+    if (sql.includes('FROM sync_queue')) return [{ id: 1, sync_status: 'pending' }];
+    if (sql.includes('FROM farms')) return [{ id: 1, farm_name: 'North' }];
+    return [];
+  }),
+});
+
+const snapshot = (overrides = {}) => ({
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  exportedAt: '2026-10-01T08:00:00.000Z',
+  tables: {
+    farms: [{ id: 1, farm_name: 'North', legacy_column: 'dropped' }],
+    poultry_batches: [{ id: 5, farm_id: 1, batch_name: 'Layers A' }],
+    egg_trays: [{ id: 1 }],
+  },
+  ...overrides,
+});
+
+describe('Database backup & restore', () => {
+  let originalDb;
+  let originalReady;
+
+  beforeEach(() => {
+    originalDb = fastDatabase.db;
+    originalReady = fastDatabase.isReady;
+    fastDatabase.isReady = true;
+    fastDatabase.isTransactionActive = false;
+    fastDatabase.db = createMockDb();
+  });
+
+  afterEach(() => {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.isTransactionActive = false;
+  });
+
+  test('export includes every table and only pending sync_queue entries', () => {
+    const result = fastDatabase.exportDatabaseSnapshot();
+
+    expect(result.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(Object.keys(result.tables)).toEqual(['farms', 'poultry_batches', 'sync_queue']);
+    expect(result.tables.farms).toEqual([{ id: 1, farm_name: 'North' }]);
+
+    const queueQuery = fastDatabase.db.getAllSync.mock.calls.find(([sql]) => sql.includes('FROM sync_queue'));
+    expect(queueQuery[0]).toContain("sync_status IN ('pending', 'failed')");
+  });
+
+  test('rejects backups from a newer schema or without tables', () => {
+    expect(() => fastDatabase.validateDatabaseSnapshot(snapshot({ schemaVersion: BACKUP_SCHEMA_VERSION + 1 })))
+      .toThrow('newer app version');
+    expect(() => fastDatabase.validateDatabaseSnapshot({ schemaVersion: 1 }))
+      .toThrow('does not contain a database backup');
+  });
+
+  test('preview reports backup and current row counts and flags unknown tables', () => {
+    const preview = fastDatabase.getRestorePreview(snapshot());
+
+    expect(preview).toEqual([
+      { table: 'egg_trays', backupRows: 1, currentRows: 0, supported: false },
+      { table: 'farms', backupRows: 1, currentRows: 2, supported: true },
+      { table: 'poultry_batches', backupRows: 1, currentRows: 2, supported: true },
+    ]);
+    expect(fastDatabase.db.runSync).not.toHaveBeenCalled();
+  });
+
+  test('restore clears every table before inserting, inside one transaction', async () => {
+    const counts = await fastDatabase.restoreDatabaseSnapshot(snapshot());
+
+    expect(counts).toEqual({ farms: 1, poultry_batches: 1 });
+
+    const statements = fastDatabase.db.runSync.mock.calls.map(([sql]) => sql);
+    expect(statements).toEqual([
+      'DELETE FROM farms',
+      'DELETE FROM poultry_batches',
+      'INSERT INTO farms (id, farm_name) VALUES (?, ?)',
+      'INSERT INTO poultry_batches (id, farm_id, batch_name) VALUES (?, ?, ?)',
+    ]);
+
+    const exec = fastDatabase.db.execSync.mock.calls.map(([sql]) => sql);
+    expect(exec[0]).toBe('BEGIN TRANSACTION');
+    expect(exec).toContain('COMMIT');
+  });
+
+  test('a failed restore rolls back', async () => {
+    fastDatabase.db.runSync.mockImplementation((sql) => {
+      if (sql.startsWith('INSERT INTO poultry_batches')) throw new Error('constraint failed');
+      return { changes: 1 };
+    });
+
+    await expect(fastDatabase.restoreDatabaseSnapshot(snapshot())).rejects.toThrow('constraint failed');
+    expect(fastDatabase.db.execSync.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+  });
+});
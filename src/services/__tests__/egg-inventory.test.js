@@ -0,0 +1,101 @@
+/**
+ * Egg grading and stock
+ * Verifies tray conversion, the stock posted by production records and egg sales, and stock by grade
+ */
+
+import fastDatabase from '../fastDatabase';
+import eggInventoryService from '../eggInventoryService';
+import {
+  toEggCount,
+  formatTrays,
+  buildProductionStockEntries,
+  buildSaleStockEntries,
+  validateGradeCounts,
+} from '../../utils/eggGrading';
+
+const withMockDb = (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  fastDatabase.isReady = true;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn(() => null),
+    getAllSync: jest.fn(() => []),
+    ...db,
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+  }
+};
+
+describe('Egg grading and stock', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sale quantities convert to eggs by tray and crate', () => {
+    expect(toEggCount(3, 'trays')).toBe(90);
+    expect(toEggCount(1, 'Tray')).toBe(30);
+    expect(toEggCount(2, 'crates')).toBe(720);
+    expect(toEggCount(45, 'eggs')).toBe(45);
+    expect(toEggCount(10, 'pieces')).toBe(10);
+
+    expect(formatTrays(95)).toBe('3 trays + 5 eggs');
+    expect(formatTrays(60)).toBe('2 trays');
+    expect(formatTrays(12)).toBe('12 eggs');
+    expect(formatTrays(-35)).toBe('-1 trays + 5 eggs');
+  });
+
+  test('production stocks sellable eggs by grade and the rest as ungraded', () => {
+    const record = { eggs_collected: 300, broken_eggs: 8, abnormal_eggs: 2, grade_counts: '{"large":150,"medium":100,"jumbo":9}' };
+
+    expect(buildProductionStockEntries(record)).toEqual([
+      { grade: 'medium', quantity: 100 },
+      { grade: 'large', quantity: 150 },
+      { grade: 'ungraded', quantity: 40 },
+    ]);
+    expect(buildSaleStockEntries({ quantity: 2, unit: 'trays', egg_grade: 'large' })).toEqual([{ grade: 'large', quantity: -60 }]);
+    expect(validateGradeCounts({ eggsCollected: '100', brokenEggs: '5' }, { large: '96' })).toContain('more than the sellable');
+    expect(validateGradeCounts({ eggsCollected: '100', brokenEggs: '5' }, { large: '95' })).toBeNull();
+  });
+
+  test('an egg sale replaces its stock entry and other products post none', () => {
+    withMockDb({
+      getAllSync: jest.fn((sql) => (sql.includes("product_type = 'eggs'")
+        ? [{ id: 7, quantity: 1, unit: 'crates', egg_grade: null, batch_id: 3, ledger_organization_id: 5, ledger_farm_id: 1, ledger_date: '2026-10-02' }]
+        : [])),
+    }, (db) => {
+      fastDatabase.refreshEggStockEntry('sales', 7);
+
+      expect(db.runSync.mock.calls[0]).toEqual([expect.stringContaining('DELETE FROM egg_stock_ledger'), ['sales', 7]]);
+      const [insertSql, insertParams] = db.runSync.mock.calls[1];
+      expect(insertSql).toContain('INSERT INTO egg_stock_ledger');
+      expect(insertParams).toEqual([5, 1, 3, 'sales', 7, 'ungraded', -360, '2026-10-02']);
+
+      db.runSync.mockClear();
+      fastDatabase.refreshEggStockEntry('customers', 7);
+      expect(db.runSync).not.toHaveBeenCalled();
+    });
+  });
+
+  test('stock totals by grade and skips grades that are empty', () => {
+    jest.spyOn(fastDatabase, 'getEggStock').mockReturnValue([
+      { grade: 'large', quantity: 95, entry_count: 4 },
+      { grade: 'small', quantity: 0, entry_count: 2 },
+      { grade: 'ungraded', quantity: 30, entry_count: 1 },
+    ]);
+
+    const stock = eggInventoryService.getStock({ farmId: 1 });
+
+    expect(fastDatabase.getEggStock).toHaveBeenCalledWith({ farmId: 1 });
+    expect(stock).toMatchObject({ totalEggs: 125, totalLabel: '4 trays + 5 eggs', hasEntries: true });
+    expect(stock.grades.map(grade => grade.key)).toEqual(['large', 'ungraded']);
+    expect(eggInventoryService.getAvailableEggs('large', { farmId: 1 })).toBe(95);
+    expect(eggInventoryService.getAvailableEggs('medium', { farmId: 1 })).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Feed inventory
+ * Verifies stock and days-remaining estimates, stock counts and the low-stock notification
+ */
+
+import fastDatabase from '../fastDatabase';
+import notificationService from '../notificationService';
+import feedInventoryService, { estimateDaysRemaining } from '../feedInventoryService';
+
+jest.mock('../notificationService', () => ({
+  scheduleLocalNotification: jest.fn(() => Promise.resolve()),
+}));
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const stockRow = (overrides = {}) => ({
+  id: 2,
+  farm_id: 1,
+  farm_name: 'North Farm',
+  feed_type: 'Grower',
+  tracked_from: daysAgo(30),
+  low_stock_days: 7,
+  last_low_stock_alert_at: null,
+  received_kg: 1000,
+  consumed_kg: 860,
+  recent_consumed_kg: 280,
+  stock_kg: 140,
+  ...overrides,
+});
+
+describe('Feed inventory', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notificationService.scheduleLocalNotification.mockClear();
+  });
+
+  test('days remaining follows the recent rate of use', () => {
+    expect(estimateDaysRemaining(140, 280, 14)).toBe(7);
+    expect(estimateDaysRemaining(0, 280, 14)).toBe(0);
+    expect(estimateDaysRemaining(500, 0, 14)).toBeNull();
+  });
+
+  test('stock levels average use over the days tracked when tracking is recent', () => {
+    jest.spyOn(fastDatabase, 'getFeedStockLevels').mockReturnValue([
+      stockRow(),
+      stockRow({ id: 3, feed_type: 'Starter', tracked_from: daysAgo(3), recent_consumed_kg: 40, stock_kg: 460 }),
+    ]);
+
+    const [grower, starter] = feedInventoryService.getStockLevels();
+
+    expect(grower).toMatchObject({ stockKg: 140, averageDailyKg: 20, daysRemaining: 7, lowStock: true });
+    expect(starter.averageDailyKg).toBe(10);
+    expect(starter).toMatchObject({ daysRemaining: 46, lowStock: false });
+  });
+
+  test('a low item is notified only once while it stays low', async () => {
+    jest.spyOn(fastDatabase, 'getFeedInventoryItem').mockReturnValue({ id: 2 });
+    const levels = jest.spyOn(fastDatabase, 'getFeedStockLevels').mockReturnValue([stockRow()]);
+    const update = jest.spyOn(fastDatabase, 'updateFeedInventoryItem').mockImplementation(() => true);
+
+    const first = await feedInventoryService.checkLowStock(1, 'Grower');
+
+    expect(first.alerted).toBe(true);
+    expect(notificationService.scheduleLocalNotification).toHaveBeenCalledWith(
+      '🌾 Low feed stock: Grower',
+      'North Farm has 140 kg left (about 7 days). Order more feed soon.',
+      { type: 'feed_low_stock', inventoryId: 2, farmId: 1 },
+      1
+    );
+    expect(update).toHaveBeenCalledWith(2, { lastLowStockAlertAt: expect.any(String) });
+
+    levels.mockReturnValue([stockRow({ last_low_stock_alert_at: new Date().toISOString() })]);
+    const second = await feedInventoryService.checkLowStock(1, 'Grower');
+
+    expect(second.alerted).toBe(false);
+    expect(notificationService.scheduleLocalNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test('a stock count posts the difference from the book stock', () => {
+    jest.spyOn(fastDatabase, 'getFeedInventoryItem').mockReturnValue({ id: 2 });
+    jest.spyOn(fastDatabase, 'getFeedStockLevels').mockReturnValue([stockRow()]);
+    const record = jest.spyOn(fastDatabase, 'recordFeedStockMovement').mockReturnValue({ id: 2 });
+
+    feedInventoryService.recordStockCount(1, 'Grower', 100);
+
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      farmId: 1,
+      feedType: 'Grower',
+      movementType: 'adjustment',
+      quantityKg: -40,
+    }));
+    expect(() => feedInventoryService.recordStockCount(1, 'Grower', -5)).toThrow('zero or more');
+  });
+
+  test('a first delivery creates the inventory item from its delivery date', () => {
+    const originalDb = fastDatabase.db;
+    const originalReady = fastDatabase.isReady;
+    fastDatabase.isReady = true;
+    fastDatabase.db = {
+      execSync: jest.fn(),
+      runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 8 })),
+      getFirstSync: jest.fn((sql) => {
+        if (sql.includes('SELECT 1 as test')) return { test: 1 };
+        if (sql.includes('FROM farms')) return { id: 1, organization_id: 5 };
+        if (sql.includes('WHERE id = ?')) return { id: 8, feed_type: 'Layer Mash' };
+        return null;
+      }),
+      getAllSync: jest.fn(() => []),
+    };
+
+    try {
+      expect(() => fastDatabase.recordFeedStockMovement({ farmId: 1, feedType: 'Layer Mash', quantityKg: -10 })).toThrow('positive');
+
+      const item = fastDatabase.recordFeedStockMovement({
+        farmId: 1,
+        feedType: ' Layer Mash ',
+        quantityKg: 500,
+        costPerKg: 0.6,
+        supplier: 'Agro Mills',
+        date: '2026-10-01',
+      });
+
+      expect(item.id).toBe(8);
+      const [itemSql, itemParams] = fastDatabase.db.runSync.mock.calls.find(([sql]) => sql.includes('INSERT INTO feed_inventory'));
+      expect(itemSql).toContain('tracked_from');
+      expect(itemParams.slice(0, 4)).toEqual([5, 1, 'Layer Mash', '2026-10-01']);
+      const [, movementParams] = fastDatabase.db.runSync.mock.calls.find(([sql]) => sql.includes('INSERT INTO feed_stock_movements'));
+      expect(movementParams.slice(0, 6)).toEqual([8, 'delivery', 500, 0.6, 300, 'Agro Mills']);
+    } finally {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+    }
+  });
+});
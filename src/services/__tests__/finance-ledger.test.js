@@ -0,0 +1,138 @@
+/**
+ * Finance ledger
+ * Verifies expenses, feed and sales post into finance_ledger, that a sync only re-posts the rows it
+ * downloaded, and that batch profitability reads from it
+ */
+
+import fastDatabase from '../fastDatabase';
+import fastApiService from '../fastApiService';
+import offlineDataService from '../offlineDataService';
+import syncService from '../syncService';
+
+const createMockDb = (ledgerRows = []) => ({
+  execSync: jest.fn(),
+  runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 9 })),
+  getFirstSync: jest.fn((sql) => (sql.includes('SELECT 1 as test') ? { test: 1 } : null)),
+  getAllSync: jest.fn((sql) => (sql.includes('FROM finance_ledger') ? ledgerRows : [])),
+});
+
+const ledgerCalls = (db) =>
+  db.runSync.mock.calls.filter(([sql]) => sql.includes('finance_ledger'));
+
+describe('Finance ledger', () => {
+  let originalDb;
+  let originalReady;
+
+  beforeEach(() => {
+    originalDb = fastDatabase.db;
+    originalReady = fastDatabase.isReady;
+    fastDatabase.isReady = true;
+    fastDatabase.currentOrganizationId = 3;
+  });
+
+  afterEach(() => {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = null;
+    jest.restoreAllMocks();
+  });
+
+  test('creating a feed record re-posts only that row', () => {
+    fastDatabase.db = createMockDb();
+
+    fastDatabase.createFeedRecord({ farmId: 1, batchId: 2, date: '2026-10-01', quantityKg: 50, cost: 120000 });
+
+    const [remove, insert] = ledgerCalls(fastDatabase.db);
+    expect(remove[0]).toContain('DELETE FROM finance_ledger');
+    expect(remove[1]).toEqual(['feed_records', 9]);
+    expect(insert[0]).toContain('INSERT INTO finance_ledger');
+    expect(insert[0]).toContain('fr.id = ?');
+    expect(insert[1]).toEqual([9]);
+  });
+
+  test('rebuild re-posts every source table', () => {
+    fastDatabase.db = createMockDb();
+
+    expect(fastDatabase.rebuildFinanceLedger()).toBe(true);
+
+    const removed = ledgerCalls(fastDatabase.db)
+      .filter(([sql]) => sql.startsWith('DELETE'))
+      .map(([, params]) => params[0]);
+    expect(removed).toEqual(['expenses', 'feed_records', 'sales']);
+  });
+
+  test('a sync re-posts only the rows it downloaded', async () => {
+    fastDatabase.db = createMockDb();
+    fastDatabase.db.getFirstSync.mockImplementation((sql) => (sql.includes('FROM sales') ? { batch_id: 8 } : null));
+    jest.spyOn(syncService, '_resolveForeignKeys').mockResolvedValue();
+    jest.spyOn(offlineDataService, 'getByServerId').mockImplementation(async (table, serverId) => (
+      serverId === '40' ? { id: 4, needs_sync: 0, updated_at: '2026-10-01T00:00:00.000Z' } : null
+    ));
+    jest.spyOn(offlineDataService, 'create').mockResolvedValue({ id: 12 });
+    jest.spyOn(offlineDataService, 'update').mockResolvedValue(1);
+
+    const touchedRows = await syncService.processServerData({
+      expenses: [
+        { id: 41, category: 'utilities', amount: 30000, expenseDate: '2026-10-19' },
+        { id: 40, category: 'utilities', amount: 45000, expenseDate: '2026-10-18', updatedAt: '2026-10-19T08:00:00.000Z' },
+      ],
+      sales: [{ id: 60, productType: 'birds', quantity: 20 }],
+    });
+    expect(touchedRows).toEqual({ expenses: [12, 4], sales: [12] });
+
+    fastDatabase.refreshLedgersForRows(touchedRows);
+
+    const removed = fastDatabase.db.runSync.mock.calls
+      .filter(([sql]) => sql.startsWith('DELETE FROM'))
+      .map(([sql, params]) => [sql.split(' ')[2], ...params]);
+    // Every delete names its row - nothing is cleared table-wide
+    removed.forEach(call => expect(call).toHaveLength(3));
+    expect(removed).toEqual(expect.arrayContaining([
+      ['finance_ledger', 'expenses', 12],
+      ['finance_ledger', 'expenses', 4],
+      ['bird_movements', 'sales', 12],
+      // The batch the birds were sold from re-posts its close-out balance
+      ['bird_movements', 'poultry_batches', 8],
+    ]));
+  });
+
+  test('a ledger failure does not break the source write', () => {
+    fastDatabase.db = createMockDb();
+    fastDatabase.db.runSync.mockImplementation((sql) => {
+      if (sql.includes('finance_ledger')) throw new Error('no such table: finance_ledger');
+      return { changes: 1, lastInsertRowId: 4 };
+    });
+
+    expect(() => fastDatabase.deleteExpense(4)).not.toThrow();
+  });
+
+  test('getFinanceLedger scopes to the organization and batch', () => {
+    fastDatabase.db = createMockDb();
+
+    fastDatabase.getFinanceLedger({ batchId: 2, transactionType: 'income' });
+
+    const [sql, params] = fastDatabase.db.getAllSync.mock.calls[0];
+    expect(sql).toContain('organization_id = ?');
+    expect(sql).toContain('batch_id = ?');
+    expect(params).toEqual([3, 2, 'income']);
+  });
+
+  test('getBatchProfitability totals ledger income and costs', async () => {
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue({
+      id: 2, batch_name: 'Broilers A', current_count: 480, initial_count: 500,
+    });
+    jest.spyOn(fastDatabase, 'getFinanceLedger').mockReturnValue([
+      { transaction_type: 'income', amount: 900000 },
+      { transaction_type: 'expense', amount: 250000 },
+      { transaction_type: 'expense', amount: 150000 },
+    ]);
+
+    const result = await fastApiService.getBatchProfitability(2);
+
+    expect(fastDatabase.getFinanceLedger).toHaveBeenCalledWith({ batchId: 2 });
+    expect(result.success).toBe(true);
+    expect(result.data.revenue).toBe(900000);
+    expect(result.data.totalCosts).toBe(400000);
+    expect(result.data.netProfit).toBe(500000);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Invoices
+ * Verifies numbering, totals and status transitions, that an invoice and its line items are saved
+ * in one transaction and synced together, and the PDF printed for sharing
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from '../fastDatabase';
+import invoiceService from '../invoiceService';
+import syncService from '../syncService';
+import apiService from '../api';
+import {
+  buildItemsFromSales,
+  calculateInvoiceTotals,
+  canTransition,
+  deriveInvoiceStatus,
+  nextInvoiceNumber,
+  renderInvoiceHtml,
+} from '../../utils/invoices';
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  deleteAsync: jest.fn(() => Promise.resolve()),
+  moveAsync: jest.fn(() => Promise.resolve()),
+}));
+
+const SALES = {
+  21: { id: 21, customer_id: 4, sale_date: '2026-10-01', product_type: 'eggs', egg_grade: 'large', quantity: 10, unit: 'trays', unit_price: 12000, total_amount: 120000 },
+  22: { id: 22, customer_id: 4, sale_date: '2026-10-03', product_type: 'birds', quantity: 5, unit: 'birds', unit_price: 25000, total_amount: 125000 },
+  23: { id: 23, customer_id: 9, sale_date: '2026-10-03', product_type: 'birds', quantity: 1, total_amount: 25000 },
+};
+
+const INVOICE = {
+  id: 30, server_id: null, organization_id: 2, customer_id: 4, invoice_number: 'INV-0008', invoice_date: '2026-10-05',
+  due_date: '2026-10-19', subtotal: 245000, tax_amount: 0, discount_amount: 0, total: 245000, amount_paid: 0, status: 'draft',
+};
+
+const withMockDb = async ({ invoice = null, invoicedAs = {} } = {}, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalOrganizationId = fastDatabase.currentOrganizationId;
+  fastDatabase.isReady = true;
+  fastDatabase.currentOrganizationId = 2;
+  fastDatabase.isTransactionActive = false;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 30 })),
+    getFirstSync: jest.fn((sql) => {
+      if (sql.includes('SELECT 1 as test')) return { test: 1 };
+      if (sql.includes('FROM sync_queue')) return null;
+      if (sql.includes('FROM invoices WHERE id = ?')) return invoice || INVOICE;
+      return null;
+    }),
+    getAllSync: jest.fn((sql, params = []) => {
+      if (sql.includes('SELECT invoice_number FROM invoices')) return [{ invoice_number: 'INV-0007' }, { invoice_number: 'INV-0002' }];
+      if (sql.includes('FROM sales s')) {
+        return params.filter(id => SALES[id]).map(id => ({ ...SALES[id], invoiced_as_id: invoicedAs[id] ? 99 : null, invoiced_as: invoicedAs[id] || null }));
+      }
+      if (sql.includes('FROM invoice_items')) return [{ id: 1, invoice_id: 30, sale_id: 21, description: 'Eggs', quantity: 10, unit_price: 12000, amount: 120000 }];
+      return [];
+    }),
+  };
+
+  try {
+    await callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = originalOrganizationId;
+  }
+};
+
+const callsContaining = (db, text) => db.runSync.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Invoices', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('numbers follow the organization sequence and totals take the discount before tax', () => {
+    expect(nextInvoiceNumber(['INV-0007', 'INV-0012', 'legacy-99', null])).toBe('INV-0013');
+    expect(nextInvoiceNumber([])).toBe('INV-0001');
+
+    const items = buildItemsFromSales([SALES[21], SALES[22]]);
+    expect(items[0]).toEqual({ saleId: 21, description: 'Eggs (large) - 2026-10-01', quantity: 10, unit: 'trays', unitPrice: 12000, amount: 120000 });
+
+    const totals = calculateInvoiceTotals(items, { taxRate: 18, discountAmount: 45000 });
+    expect([totals.subtotal, totals.discountAmount, totals.taxAmount, totals.total]).toEqual([245000, 45000, 36000, 236000]);
+  });
+
+  test('issued invoices move to partial, paid and overdue from payments and the due date', () => {
+    const sent = { status: 'sent', total: 100000, amount_paid: 0, due_date: '2026-10-20' };
+
+    expect(deriveInvoiceStatus(sent, '2026-10-15')).toBe('sent');
+    expect(deriveInvoiceStatus({ ...sent, amount_paid: 40000 }, '2026-10-15')).toBe('partial');
+    expect(deriveInvoiceStatus({ ...sent, amount_paid: 40000 }, '2026-10-21')).toBe('overdue');
+    expect(deriveInvoiceStatus({ ...sent, status: 'overdue', amount_paid: 100000 }, '2026-10-21')).toBe('paid');
+    expect(deriveInvoiceStatus({ ...sent, status: 'draft' }, '2026-10-21')).toBe('draft');
+
+    expect(canTransition('draft', 'sent')).toBe(true);
+    expect(canTransition('cancelled', 'sent')).toBe(false);
+    expect(canTransition('draft', 'paid')).toBe(false);
+  });
+
+  test('an invoice and its items are saved in one transaction and queued together', async () => {
+    await withMockDb({}, async (db) => {
+      await fastDatabase.saveInvoice({
+        customerId: 4,
+        invoiceDate: '2026-10-05',
+        status: 'sent',
+        taxRate: 0,
+        items: buildItemsFromSales([SALES[21], SALES[22]]),
+      });
+
+      const statements = db.execSync.mock.calls.map(([sql]) => sql);
+      expect(statements).toEqual(['BEGIN TRANSACTION', 'COMMIT']);
+
+      const [insertSql, insertParams] = callsContaining(db, 'INSERT INTO invoices')[0];
+      expect(insertSql).toContain('invoice_number');
+      // customer, no single sale, dates with the default 14 day terms, totals, status
+      expect(insertParams.slice(0, 11)).toEqual([4, null, '2026-10-05', '2026-10-19', 245000, 0, 0, 245000, 245000, 'sent', null]);
+      expect(insertParams).toContain('INV-0008');
+
+      const items = callsContaining(db, 'INSERT INTO invoice_items');
+      expect(items.map(([, params]) => [params[1], params[6], params[7]])).toEqual([[21, 120000, 0], [22, 125000, 1]]);
+
+      const queued = callsContaining(db, 'INSERT INTO sync_queue');
+      expect(queued).toHaveLength(1);
+      expect(queued[0][1].slice(0, 3)).toEqual(['invoices', 'CREATE', '30']);
+      expect(JSON.parse(queued[0][1][5]).items).toHaveLength(1);
+    });
+  });
+
+  test('a sale is invoiced once, to its own customer, and paid invoices are not edited', async () => {
+    const items = (ids) => buildItemsFromSales(ids.map(id => SALES[id]));
+
+    await withMockDb({ invoicedAs: { 22: 'INV-0003' } }, async (db) => {
+      await expect(fastDatabase.saveInvoice({ customerId: 4, items: items([21, 22]) })).rejects.toThrow('already on invoice INV-0003');
+      await expect(fastDatabase.saveInvoice({ customerId: 4, items: items([23]) })).rejects.toThrow('not made to this customer');
+      await expect(fastDatabase.saveInvoice({ customerId: 4, items: [] })).rejects.toThrow('at least one line item');
+      await expect(fastDatabase.saveInvoice({ customerId: 4, items: items([21]), invoiceDate: '2026-10-05', dueDate: '2026-10-01' }))
+        .rejects.toThrow('due date cannot be before');
+      expect(db.execSync).not.toHaveBeenCalled();
+    });
+
+    await withMockDb({ invoice: { ...INVOICE, status: 'partial', amount_paid: 50000 } }, async () => {
+      await expect(fastDatabase.saveInvoice({ id: 30, customerId: 4, items: items([21]) })).rejects.toThrow('no payments can be edited');
+      expect(() => fastDatabase.setInvoiceStatus(30, 'cancelled')).toThrow('with payments cannot be cancelled');
+      expect(() => fastDatabase.setInvoiceStatus(30, 'paid')).toThrow('only be sent or cancelled');
+    });
+  });
+
+  test('the invoice is printed to a PDF with the farm letterhead and shared from the cache', async () => {
+    const html = renderInvoiceHtml(
+      { ...INVOICE, customer_name: 'Kampala <Hotel>', notes: 'Pay by mobile money – 0772 000111' },
+      [{ description: 'Œufs – tray', quantity: 1, unit: 'trays', unit_price: 12000, amount: 12000 }],
+      { businessName: 'Green Acres', farmName: 'Mukono Farm', farmLocation: 'Mukono' }
+    );
+
+    expect(html).toContain('<meta charset="utf-8" />');
+    expect(html).toContain('Green Acres');
+    expect(html).toContain('Mukono Farm, Mukono');
+    expect(html).toContain('Kampala &lt;Hotel&gt;');
+    // Text outside ASCII is kept as it is
+    expect(html).toContain('Œufs – tray');
+    expect(html).toContain('Pay by mobile money – 0772 000111');
+
+    jest.spyOn(fastDatabase, 'getInvoiceDetails').mockReturnValue({
+      invoice: { ...INVOICE, customer_name: 'Kampala Hotel' },
+      items: [{ description: 'Eggs', quantity: 10, unit_price: 12000, amount: 120000 }],
+      farm: { id: 1, farm_name: 'Mukono Farm', location: 'Mukono' },
+    });
+    Print.printToFileAsync.mockResolvedValue({ uri: 'file:///cache/Print/4f2a.pdf' });
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+    Sharing.shareAsync.mockResolvedValue();
+
+    const { fileUri } = await invoiceService.shareInvoicePdf(30, { businessName: 'Green Acres' });
+    expect(fileUri).toBe('file:///cache/invoice_INV-0008.pdf');
+    expect(Print.printToFileAsync.mock.calls[0][0].html).toContain('Mukono Farm, Mukono');
+    expect(FileSystem.moveAsync).toHaveBeenCalledWith({ from: 'file:///cache/Print/4f2a.pdf', to: fileUri });
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(fileUri, expect.objectContaining({ mimeType: 'application/pdf' }));
+  });
+
+  test('queued line items are uploaded with server sale ids', async () => {
+    jest.spyOn(fastDatabase, 'getServerIdForLocalId').mockImplementation((table, localId) => `srv-${table}-${localId}`);
+    const createInvoice = jest.spyOn(apiService, 'createInvoice').mockResolvedValue({ id: 'inv-1' });
+
+    await syncService.createOnServer('invoices', {
+      ...INVOICE,
+      items: [
+        { id: 1, invoice_id: 30, sale_id: 21, description: 'Eggs', quantity: 10, unit: 'trays', unit_price: 12000, amount: 120000 },
+        { id: 2, invoice_id: 30, sale_id: null, description: 'Delivery', quantity: 1, unit: null, unit_price: 5000, amount: 5000 },
+      ],
+    });
+
+    const payload = createInvoice.mock.calls[0][0];
+    expect(payload.customerId).toBe('srv-customers-4');
+    expect(payload.items).toEqual([
+      { saleId: 'srv-sales-21', description: 'Eggs', quantity: 10, unit: 'trays', unitPrice: 12000, amount: 120000 },
+      { saleId: undefined, description: 'Delivery', quantity: 1, unit: undefined, unitPrice: 5000, amount: 5000 },
+    ]);
+  });
+});
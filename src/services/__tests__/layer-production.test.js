@@ -0,0 +1,179 @@
+/**
+ * Layer production
+ * Verifies hen-day and hen-housed production per week of lay, the hen count rebuilt from
+ * mortality, drop detection against the previous week and that drop alerts are logged once per week
+ */
+
+import fastDatabase from '../fastDatabase';
+import productionMonitor, { PRODUCTION_DROP_ALERT } from '../productionMonitor';
+import notificationService from '../notificationService';
+import breedStandardService from '../breedStandardService';
+import dataEventBus, { EventTypes } from '../dataEventBus';
+import {
+  buildHenCountLookup,
+  computeLayerProduction,
+  detectProductionDrop,
+} from '../../utils/layerProduction';
+
+jest.mock('../notificationService', () => ({
+  scheduleLocalNotification: jest.fn(() => Promise.resolve('id')),
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BATCH = { id: 6, batch_name: 'Layer House 1', bird_type: 'Layer', initial_count: 1000, current_count: 980, status: 'active' };
+
+const LAYING_CURVE = {
+  name: 'Test Laying Curve',
+  points: [
+    { day: 0, henDayPct: 80 },
+    { day: 14, henDayPct: 94 },
+  ],
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+// Three weeks of lay: 900 eggs a day, then 882, then 784. 20 birds die on day 10.
+const buildRecords = (firstEggDate) => ({
+  production: Array.from({ length: 21 }, (_, day) => ({
+    date: addDays(firstEggDate, day),
+    eggs: day < 7 ? 900 : day < 14 ? 882 : 784,
+  })),
+  deaths: [{ date: addDays(firstEggDate, 9), count: 20 }],
+});
+
+const RECORDS = buildRecords('2026-09-01');
+
+describe('Layer production', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    productionMonitor.lastAlerts = {};
+  });
+
+  test('hens alive on a date are rebuilt from the current count and mortality', () => {
+    const henCount = buildHenCountLookup(BATCH, RECORDS.deaths);
+    expect(henCount('2026-09-09')).toBe(1000);
+    expect(henCount('2026-09-10')).toBe(980);
+
+    // Archived batches no longer have a current count, so count down from the placed birds
+    const archived = buildHenCountLookup({ ...BATCH, status: 'archived', current_count: 0 }, RECORDS.deaths);
+    expect(archived('2026-09-09')).toBe(1000);
+    expect(archived('2026-09-30')).toBe(980);
+  });
+
+  test('hen-day and hen-housed production are given per week of lay against the laying curve', () => {
+    const result = computeLayerProduction(BATCH, RECORDS, LAYING_CURVE, '2026-09-22');
+
+    expect(result.firstEggDate).toBe('2026-09-01');
+    expect(result.hensHoused).toBe(1000);
+    expect(result.weeks).toHaveLength(3);
+    expect(result.weeks[0]).toMatchObject({ week: 1, eggs: 6300, henDayPct: 90, henHousedPct: 90, standardPct: 80, deviationPoints: 10, changePoints: null, complete: true });
+    expect(result.weeks[1]).toMatchObject({ week: 2, henDayPct: 89.5, henHousedPct: 88.2, standardPct: 87, changePoints: -0.5 });
+    expect(result.weeks[2]).toMatchObject({ week: 3, henDayPct: 80, henHousedPct: 78.4, standardPct: 94, deviationPoints: -14, changePoints: -9.5 });
+    expect(result.peak).toEqual({ week: 1, henDayPct: 90 });
+    expect(result.persistencyPct).toBe(88.9);
+    expect(result.weeksAbovePersistency).toBe(1);
+
+    // The week in progress is shown but not complete
+    expect(computeLayerProduction(BATCH, RECORDS, null, '2026-09-19').weeks[2]).toMatchObject({ complete: false, standardPct: null });
+    expect(computeLayerProduction(BATCH, { production: [{ date: '2026-09-01', eggs: 0 }] }).weeks).toEqual([]);
+  });
+
+  test('a fall between the last two complete weeks is graded by size', () => {
+    const { weeks } = computeLayerProduction(BATCH, RECORDS, LAYING_CURVE, '2026-09-22');
+    expect(detectProductionDrop(weeks)).toMatchObject({ week: 3, henDayPct: 80, previousPct: 89.5, standardPct: 94, dropPoints: 9.5, level: 'warning' });
+
+    // The incomplete week is not compared yet
+    expect(detectProductionDrop(computeLayerProduction(BATCH, RECORDS, null, '2026-09-19').weeks)).toBeNull();
+
+    const week = (n, henDayPct) => ({ week: n, henDayPct, complete: true });
+    expect(detectProductionDrop([week(1, 92), week(2, 81)]).level).toBe('critical');
+    expect(detectProductionDrop([week(1, 92), week(2, 70)]).level).toBe('emergency');
+    expect(detectProductionDrop([week(1, 92), week(2, 90)])).toBeNull();
+  });
+
+  test('a production drop is logged as a production alert once per week of lay', async () => {
+    const firstEggDate = addDays(Date.now(), -21);
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue(BATCH);
+    jest.spyOn(fastDatabase, 'getBatchProductionRecords').mockReturnValue(buildRecords(firstEggDate));
+    jest.spyOn(breedStandardService, 'getStandardForBatch').mockReturnValue(LAYING_CURVE);
+    const lastAlert = jest.spyOn(fastDatabase, 'getLastMortalityAlertTime').mockReturnValue(null);
+    const createAlert = jest.spyOn(fastDatabase, 'createMortalityAlert').mockImplementation(data => ({ id: 21, ...data }));
+    const emit = jest.spyOn(dataEventBus, 'emit');
+
+    const result = await productionMonitor.checkProductionDrop(6);
+
+    expect(result).toMatchObject({ level: 'warning', alerted: true, alertId: 21 });
+    expect(lastAlert).toHaveBeenCalledWith(6, PRODUCTION_DROP_ALERT);
+    expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({
+      alertType: 'production_drop',
+      batchId: 6,
+      level: 'warning',
+      dailyRate: 80,
+      cumulativeRate: 89.5,
+      trend: 'decreasing',
+    }));
+    expect(emit).toHaveBeenCalledWith(EventTypes.MORTALITY_ALERT_UPDATED, expect.objectContaining({ action: 'created' }), { debounce: false });
+
+    // Already alerted after week 3 ended
+    lastAlert.mockReturnValue(Date.now());
+    createAlert.mockClear();
+    expect(await productionMonitor.checkProductionDrop(6)).toMatchObject({ alerted: false, reason: 'already_alerted' });
+    expect(createAlert).not.toHaveBeenCalled();
+
+    // Broiler batches are not checked
+    fastDatabase.getBatchById.mockReturnValue({ ...BATCH, bird_type: 'Broiler' });
+    expect(await productionMonitor.checkProductionDrop(6)).toBeNull();
+  });
+
+  test('a drop whose notification failed is not logged again for the same week of lay', async () => {
+    const firstEggDate = addDays(Date.now(), -21);
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue(BATCH);
+    jest.spyOn(fastDatabase, 'getBatchProductionRecords').mockReturnValue(buildRecords(firstEggDate));
+    jest.spyOn(breedStandardService, 'getStandardForBatch').mockReturnValue(LAYING_CURVE);
+    jest.spyOn(fastDatabase, 'getLastMortalityAlertTime').mockReturnValue(null);
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+    notificationService.scheduleLocalNotification.mockRejectedValue(new Error('Notification permission denied'));
+    const createAlert = jest.spyOn(fastDatabase, 'createMortalityAlert').mockImplementation(data => ({ id: 22, ...data }));
+
+    expect(await productionMonitor.checkProductionDrop(6)).toMatchObject({ alerted: false, alertId: 22 });
+    expect(await productionMonitor.checkProductionDrop(6)).toMatchObject({ alerted: false, reason: 'already_alerted' });
+    expect(createAlert).toHaveBeenCalledTimes(1);
+    expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({ notified: false }));
+  });
+
+  test('layer performance in analytics only reads the active organization', () => {
+    const originalDb = fastDatabase.db;
+    const originalReady = fastDatabase.isReady;
+    const originalOrganizationId = fastDatabase.currentOrganizationId;
+    fastDatabase.isReady = true;
+    fastDatabase.currentOrganizationId = 7;
+    fastDatabase.db = {
+      execSync: jest.fn(),
+      runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+      getFirstSync: jest.fn(() => null),
+      getAllSync: jest.fn((sql) => {
+        if (sql.includes('FROM production_records')) return RECORDS.production.map(row => ({ batch_id: 6, ...row }));
+        if (sql.includes('FROM mortality_records')) return RECORDS.deaths.map(row => ({ batch_id: 6, ...row }));
+        if (sql.includes('FROM poultry_batches')) return [BATCH];
+        return [];
+      }),
+    };
+    jest.spyOn(fastDatabase, 'getBreedStandards').mockReturnValue([]);
+
+    try {
+      const performance = fastDatabase.getLayerPerformance();
+
+      expect(performance).toHaveLength(1);
+      expect(performance[0]).toMatchObject({ batchId: 6, batchName: 'Layer House 1', weekOfLay: 3, henDayPct: 80, peak: { week: 1, henDayPct: 90 } });
+      fastDatabase.db.getAllSync.mock.calls.forEach(([sql, params]) => {
+        expect(sql).toContain('organization_id = ?');
+        expect(params).toEqual([7]);
+      });
+    } finally {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+      fastDatabase.currentOrganizationId = originalOrganizationId;
+    }
+  });
+});
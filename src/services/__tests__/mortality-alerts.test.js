@@ -0,0 +1,129 @@
+/**
+ * Mortality alert log
+ * Verifies alerts are persisted, the cooldown survives restarts and the acknowledge/resolve workflow
+ */
+
+import fastDatabase from '../fastDatabase';
+import mortalityMonitor from '../mortalityMonitor';
+import notificationService from '../notificationService';
+import dataEventBus, { EventTypes } from '../dataEventBus';
+
+jest.mock('../notificationService', () => ({
+  scheduleLocalNotification: jest.fn(() => Promise.resolve('id')),
+}));
+
+const withMockDb = (db, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  fastDatabase.isReady = true;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getAllSync: jest.fn(() => []),
+    ...db,
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+  }
+};
+
+describe('Mortality alert log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mortalityMonitor.lastAlerts = {};
+  });
+
+  test('a raised alert is logged with its level, rates and trend', async () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue(null);
+    jest.spyOn(fastDatabase, 'getLastMortalityAlertTime').mockReturnValue(null);
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue({ id: 3, batch_name: 'House A', bird_type: 'Broiler', arrival_date: new Date().toISOString() });
+    jest.spyOn(fastDatabase, 'getFarmById').mockReturnValue({ farm_name: 'North Farm' });
+    jest.spyOn(mortalityMonitor, 'getTodayMortalityRate').mockResolvedValue(7);
+    jest.spyOn(mortalityMonitor, 'getCumulativeMortalityRate').mockResolvedValue(2);
+    jest.spyOn(mortalityMonitor, 'getMortalityTrend').mockResolvedValue('increasing');
+    const createAlert = jest.spyOn(fastDatabase, 'createMortalityAlert').mockImplementation(data => ({ id: 12, ...data }));
+    const emit = jest.spyOn(dataEventBus, 'emit');
+
+    const result = await mortalityMonitor.checkMortalityAlert(3, 70);
+
+    expect(result).toMatchObject({ level: 'critical', alerted: true, alertId: 12 });
+    expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({
+      batchId: 3,
+      level: 'critical',
+      dailyRate: 7,
+      cumulativeRate: 2,
+      trend: 'increasing',
+      notified: true,
+    }));
+    expect(emit).toHaveBeenCalledWith(EventTypes.MORTALITY_ALERT_UPDATED, expect.objectContaining({ action: 'created' }), { debounce: false });
+  });
+
+  test('the cooldown uses the last logged alert when nothing is in memory', () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue(null);
+    jest.spyOn(fastDatabase, 'getLastMortalityAlertTime').mockReturnValue(Date.now() - 60 * 60 * 1000);
+
+    expect(mortalityMonitor.canSendAlert(3)).toBe(false);
+  });
+
+  test('an alert whose notification failed still starts the cooldown', async () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue(null);
+    jest.spyOn(fastDatabase, 'getLastMortalityAlertTime').mockReturnValue(null);
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue({ id: 3, batch_name: 'House A', bird_type: 'Broiler', arrival_date: new Date().toISOString() });
+    jest.spyOn(fastDatabase, 'getFarmById').mockReturnValue({ farm_name: 'North Farm' });
+    jest.spyOn(mortalityMonitor, 'getTodayMortalityRate').mockResolvedValue(7);
+    jest.spyOn(mortalityMonitor, 'getCumulativeMortalityRate').mockResolvedValue(2);
+    jest.spyOn(mortalityMonitor, 'getMortalityTrend').mockResolvedValue('increasing');
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+    notificationService.scheduleLocalNotification.mockRejectedValue(new Error('Notification permission denied'));
+    const createAlert = jest.spyOn(fastDatabase, 'createMortalityAlert').mockImplementation(data => ({ id: 13, ...data }));
+
+    expect(await mortalityMonitor.checkMortalityAlert(3, 70)).toMatchObject({ alerted: false, reason: 'send_failed' });
+    expect(await mortalityMonitor.checkMortalityAlert(3, 70)).toMatchObject({ alerted: false, reason: 'cooldown' });
+    expect(createAlert).toHaveBeenCalledTimes(1);
+    expect(createAlert).toHaveBeenCalledWith(expect.objectContaining({ notified: false }));
+  });
+
+  test('the stored cooldown counts alerts whose notification failed', () => {
+    withMockDb({ getFirstSync: jest.fn(() => ({ last_alert: '2026-10-19T08:00:00.000Z' })) }, (db) => {
+      expect(fastDatabase.getLastMortalityAlertTime(3)).toBe(Date.parse('2026-10-19T08:00:00.000Z'));
+      const [sql, params] = db.getFirstSync.mock.calls[0];
+      expect(sql).not.toContain('notified');
+      expect(params).toEqual([3, 'mortality']);
+    });
+  });
+
+  test('acknowledging and resolving record the user and note', () => {
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+    let stored = { id: 5, status: 'open' };
+
+    withMockDb({
+      getFirstSync: jest.fn((sql) => (sql.includes('SELECT 1 as test') ? { test: 1 } : stored)),
+    }, (db) => {
+      mortalityMonitor.acknowledgeAlert(5, { id: 9, firstName: 'Ama', lastName: 'Owusu' }, ' Checking house ');
+
+      const [ackSql, ackParams] = db.runSync.mock.calls[0];
+      expect(ackSql).toContain(`status = 'acknowledged'`);
+      expect(ackParams.slice(0, 4)).toEqual([9, 'Ama Owusu', expect.any(String), 'Checking house']);
+
+      stored = { id: 5, status: 'acknowledged' };
+      mortalityMonitor.resolveAlert(5, { id: 4, email: 'vet@farm.test' }, 'Heater fixed');
+
+      const [resolveSql, resolveParams] = db.runSync.mock.calls[1];
+      expect(resolveSql).toContain(`status = 'resolved'`);
+      expect(resolveParams.slice(0, 4)).toEqual([4, 'vet@farm.test', expect.any(String), 'Heater fixed']);
+    });
+  });
+
+  test('a resolved alert cannot be acknowledged again', () => {
+    withMockDb({
+      getFirstSync: jest.fn((sql) => (sql.includes('SELECT 1 as test') ? { test: 1 } : { id: 5, status: 'resolved' })),
+    }, (db) => {
+      expect(() => mortalityMonitor.acknowledgeAlert(5, { id: 9 })).toThrow('already resolved');
+      expect(db.runSync).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Mortality alert thresholds
+ * Verifies organization thresholds override the defaults and sync with the server
+ */
+
+import fastDatabase from '../fastDatabase';
+import apiService from '../api';
+import mortalityMonitor, { MORTALITY_THRESHOLDS_SETTING } from '../mortalityMonitor';
+import organizationSettingsService from '../organizationSettingsService';
+
+jest.mock('../notificationService', () => ({
+  scheduleLocalNotification: jest.fn(() => Promise.resolve('id')),
+}));
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Mortality alert thresholds', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mortalityMonitor.lastAlerts = {};
+  });
+
+  test('defaults apply when the organization has no configuration', () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue(null);
+
+    const { daily, total } = mortalityMonitor.getThresholdsForBatch({ bird_type: 'Broiler', arrival_date: daysAgo(2) });
+
+    expect(daily).toEqual({ warning: 3, critical: 6, emergency: 10 });
+    expect(total).toEqual({ warning: 5, critical: 8, emergency: 12 });
+    expect(mortalityMonitor.getAlertCooldown()).toBe(4 * 60 * 60 * 1000);
+  });
+
+  test('stored values override the defaults and invalid ones fall back', () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockImplementation((key) => (
+      key === MORTALITY_THRESHOLDS_SETTING
+        ? {
+            layer: { ageBasedDaily: { week3Plus: { warning: 0.5, critical: 'x', emergency: 4 } } },
+            alertCooldownHours: 1,
+          }
+        : null
+    ));
+
+    const { daily } = mortalityMonitor.getThresholdsForBatch({ birdType: 'Layer', arrivalDate: daysAgo(60) });
+
+    expect(daily).toEqual({ warning: 0.5, critical: 2, emergency: 4 });
+    expect(mortalityMonitor.getAlertCooldown()).toBe(60 * 60 * 1000);
+  });
+
+  test('the configured cooldown decides whether a repeat alert is sent', () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue({ alertCooldownHours: 0 });
+    mortalityMonitor.lastAlerts = { 5: Date.now() };
+
+    expect(mortalityMonitor.canSendAlert(5)).toBe(true);
+  });
+
+  test('saving rejects thresholds that do not increase with severity', () => {
+    jest.spyOn(fastDatabase, 'getOrganizationSetting').mockReturnValue(null);
+    const save = jest.spyOn(organizationSettingsService, 'save').mockImplementation((key, value) => value);
+    const config = mortalityMonitor.getThresholdConfig();
+
+    config.broiler.ageBasedDaily.week1 = { warning: 6, critical: 3, emergency: 10 };
+    expect(() => mortalityMonitor.saveThresholdConfig(config)).toThrow('increase');
+    expect(save).not.toHaveBeenCalled();
+
+    config.broiler.ageBasedDaily.week1 = { warning: 2, critical: 3, emergency: 10 };
+    mortalityMonitor.saveThresholdConfig(config);
+    expect(save).toHaveBeenCalledWith(MORTALITY_THRESHOLDS_SETTING, expect.objectContaining({
+      alertCooldownHours: 4,
+      broiler: expect.objectContaining({
+        ageBasedDaily: expect.objectContaining({ week1: { warning: 2, critical: 3, emergency: 10 } }),
+      }),
+    }));
+  });
+
+  test('sync pushes pending edits then caches server values', async () => {
+    const pending = [{ setting_key: MORTALITY_THRESHOLDS_SETTING, value: { alertCooldownHours: 2 }, updated_at: '2026-10-01T10:00:00.000Z' }];
+    jest.spyOn(fastDatabase, 'getPendingOrganizationSettings')
+      .mockReturnValueOnce(pending)
+      .mockReturnValueOnce([]);
+    const markSynced = jest.spyOn(fastDatabase, 'markOrganizationSettingSynced').mockImplementation(() => {});
+    const saveLocal = jest.spyOn(fastDatabase, 'saveOrganizationSetting').mockImplementation(() => {});
+    jest.spyOn(apiService, 'updateOrganizationSetting').mockResolvedValue({ success: true });
+    jest.spyOn(apiService, 'getOrganizationSettings').mockResolvedValue({
+      settings: [{ key: 'reminder_preferences', value: { dailyRecords: true }, updatedAt: '2026-10-02T00:00:00.000Z' }],
+    });
+
+    const result = await organizationSettingsService.syncWithServer();
+
+    expect(result).toEqual({ pushed: 1, pulled: 1 });
+    expect(markSynced).toHaveBeenCalledWith(MORTALITY_THRESHOLDS_SETTING, '2026-10-01T10:00:00.000Z');
+    expect(saveLocal).toHaveBeenCalledWith('reminder_preferences', { dailyRecords: true }, {
+      needsSync: 0,
+      updatedAt: '2026-10-02T00:00:00.000Z',
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Offline Profiles
+ * Verifies that a shared device keeps offline credentials for several users, moves the old
+ * single-user entry into the list, and that records are credited to whoever is signed in
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import authStorage from '../authStorage';
+import fastDatabase from '../fastDatabase';
+import syncService from '../syncService';
+
+const AMINA = { id: 7, email: 'amina@farm.co', firstName: 'Amina', lastName: 'Nakato', role: 'farm_worker', organizationId: 2 };
+const JOSEPH = { id: 8, email: 'joseph@farm.co', firstName: 'Joseph', role: 'farm_manager', organizationId: 2 };
+
+const withMockDb = async (callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalUserId = fastDatabase.currentUserId;
+  fastDatabase.isReady = true;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 40 })),
+    getFirstSync: jest.fn((sql) => (sql.includes('SELECT 1 as test') ? { test: 1 } : null)),
+    getAllSync: jest.fn(() => []),
+  };
+
+  try {
+    await callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentUserId = originalUserId;
+  }
+};
+
+const insertParams = (db, table) => db.runSync.mock.calls.find(([sql]) => sql.includes(`INSERT INTO ${table}`));
+
+describe('Offline Profiles', () => {
+  // The storage mock is reset between tests, so back it with a plain map
+  beforeEach(() => {
+    const store = new Map();
+    AsyncStorage.getItem.mockImplementation(async (key) => (store.has(key) ? store.get(key) : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { store.set(key, value); });
+    AsyncStorage.removeItem.mockImplementation(async (key) => { store.delete(key); });
+    AsyncStorage.multiRemove.mockImplementation(async (keys) => { keys.forEach(key => store.delete(key)); });
+    AsyncStorage.clear.mockImplementation(async () => { store.clear(); });
+  });
+
+  test('each user who logged in online can log in offline, with their own password', async () => {
+    await authStorage.storeCredentials('Amina@Farm.co ', 'eggs-123', AMINA);
+    await authStorage.storeCredentials('joseph@farm.co', 'layers-9', JOSEPH);
+
+    expect(await authStorage.validateOfflineCredentials('amina@farm.co', 'eggs-123')).toEqual(AMINA);
+    expect(await authStorage.validateOfflineCredentials('joseph@farm.co', 'layers-9')).toEqual(JOSEPH);
+    expect(await authStorage.validateOfflineCredentials('joseph@farm.co', 'eggs-123')).toBeNull();
+    expect(await authStorage.validateOfflineCredentials('peter@farm.co', 'eggs-123')).toBeNull();
+
+    // The switcher lists whoever signed in last first, never the password hashes
+    const profiles = await authStorage.getStoredProfiles();
+    expect(profiles.map(profile => [profile.email, profile.name, profile.role])).toEqual([
+      ['joseph@farm.co', 'Joseph', 'farm_manager'],
+      ['amina@farm.co', 'Amina Nakato', 'farm_worker'],
+    ]);
+    expect(JSON.stringify(profiles)).not.toContain('$2');
+
+    await authStorage.removeProfile('amina@farm.co');
+    expect(await authStorage.hasStoredCredentials('amina@farm.co')).toBe(false);
+    expect(await authStorage.hasStoredCredentials('joseph@farm.co')).toBe(true);
+  });
+
+  test('credentials stored by the single-user version become the first profile', async () => {
+    await authStorage.storeCredentials('amina@farm.co', 'eggs-123', AMINA);
+    const [stored] = JSON.parse(await AsyncStorage.getItem('secure_user_profiles'));
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem('secure_user_credentials', JSON.stringify({
+      email: stored.email, passwordHash: stored.passwordHash, userData: AMINA, storedAt: '2026-09-01T08:00:00.000Z', version: 1,
+    }));
+
+    expect(await authStorage.validateOfflineCredentials('amina@farm.co', 'eggs-123')).toEqual(AMINA);
+    expect(await AsyncStorage.getItem('secure_user_credentials')).toBeNull();
+
+    await authStorage.storeCredentials('joseph@farm.co', 'layers-9', JOSEPH);
+    expect((await authStorage.getStoredProfiles()).map(profile => profile.email)).toEqual(['joseph@farm.co', 'amina@farm.co']);
+  });
+
+  test('records entered on the device are credited to the signed-in user', async () => {
+    await withMockDb(async (db) => {
+      fastDatabase.setCurrentUserId(AMINA.id);
+
+      fastDatabase.createFeedRecord({ farmId: 1, batchId: 4, date: '2026-10-18', quantityKg: 50, feedType: 'layers mash' });
+      const [feedSql, feedParams] = insertParams(db, 'feed_records');
+      expect(feedParams[feedSql.split('(')[1].split(', ').indexOf('fed_by')]).toBe(7);
+
+      fastDatabase.createWaterRecord({ farmId: 1, batchId: 4, dateRecorded: '2026-10-18', quantityLiters: 300 });
+      const [waterSql, waterParams] = insertParams(db, 'water_records');
+      expect(waterParams[waterSql.split('(')[1].split(', ').indexOf('recorded_by')]).toBe(7);
+    });
+
+    // A user the form named is kept; cached server copies are not credited to whoever is signed in
+    fastDatabase.setCurrentUserId(JOSEPH.id);
+    expect(fastDatabase.getRecorder('mortality', { recordedBy: 7 })).toBe(7);
+    expect(fastDatabase.getRecorder('production', { server_id: 'srv-1' })).toBeNull();
+    expect(fastDatabase.stampRecorder('feed', { quantityKg: 5 })).toEqual({ quantityKg: 5, fedBy: 8 });
+    fastDatabase.setCurrentUserId(null);
+  });
+
+  test('queued records send who entered them', () => {
+    expect(syncService.mapLocalToServerRecord('feed_records', { id: 1, feed_type: 'mash', fed_by: 7 })).toMatchObject({ feedType: 'mash', fedBy: 7 });
+
+    const mortality = syncService.mapLocalToServerRecord('mortality_records', { id: 2, count: 3, recorded_by: null });
+    expect(mortality).not.toHaveProperty('recorded_by');
+    expect(mortality).not.toHaveProperty('recordedBy');
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Organization isolation
+ * Verifies that dashboard, analytics, recent activity and record listing queries only read the
+ * active organization's data, and that queued changes and sync watermarks are kept per organization
+ */
+
+import fastDatabase from '../fastDatabase';
+import offlineDataService from '../offlineDataService';
+import syncService from '../syncService';
+
+const withMockDb = (organizationId, callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalOrganizationId = fastDatabase.currentOrganizationId;
+  fastDatabase.isReady = true;
+  fastDatabase.currentOrganizationId = organizationId;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+    getFirstSync: jest.fn(() => null),
+    getAllSync: jest.fn(() => []),
+  };
+
+  try {
+    return callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = originalOrganizationId;
+  }
+};
+
+// Queries against organization data (not sqlite_master or the connection test)
+const dataQueries = (db) => [...db.getFirstSync.mock.calls, ...db.getAllSync.mock.calls]
+  .filter(([sql]) => /FROM (farms|poultry_batches|\w+_records)\b/.test(sql));
+
+describe('Organization isolation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('every analytics query is limited to the active organization', () => {
+    withMockDb(7, (db) => {
+      fastDatabase.getAnalyticsData({ dateRange: '30d' });
+
+      const queries = dataQueries(db);
+      expect(queries.length).toBeGreaterThan(20);
+      queries.forEach(([sql, params]) => {
+        expect(sql).toContain('organization_id = ?');
+        expect(params).toEqual([7]);
+      });
+    });
+  });
+
+  test('analytics are unfiltered before an organization is set', () => {
+    withMockDb(null, (db) => {
+      fastDatabase.getAnalyticsData({ dateRange: '30d' });
+
+      dataQueries(db).forEach(([sql, params]) => {
+        expect(sql).not.toContain('organization_id');
+        expect(params).toEqual([]);
+      });
+    });
+  });
+
+  test('dashboard, recent activities and record listings filter by organization', () => {
+    withMockDb(7, (db) => {
+      fastDatabase.getDashboardData();
+      fastDatabase.getRecentActivities();
+      fastDatabase.getProductionRecords();
+      fastDatabase.getMortalityRecords();
+      fastDatabase.getFeedRecords();
+
+      const queries = dataQueries(db)
+        // Debug listing of all farms in getDashboardData
+        .filter(([sql]) => !sql.includes('SELECT id, farm_name, organization_id FROM farms'));
+      expect(queries.length).toBeGreaterThan(5);
+      queries.forEach(([sql]) => {
+        expect(sql).toContain('organization_id = 7');
+      });
+    });
+  });
+
+  test('queued changes remember their organization and only upload in it', async () => {
+    withMockDb(7, (db) => {
+      fastDatabase.enqueueSync('customers', 'CREATE', 12, null, { name: 'Ama' });
+
+      const [insertSql, insertParams] = db.runSync.mock.calls[0];
+      expect(insertSql).toContain('organization_id');
+      expect(insertParams[4]).toBe(7);
+    });
+
+    jest.spyOn(offlineDataService, 'getCurrentOrganizationId').mockResolvedValue(7);
+    jest.spyOn(offlineDataService, 'getSyncQueue').mockResolvedValue([
+      { id: 1, table_name: 'customers', organization_id: 7 },
+      { id: 2, table_name: 'customers', organization_id: 9 },
+      { id: 3, table_name: 'customers', organization_id: null },
+    ]);
+    const processed = [];
+    jest.spyOn(syncService, 'processSyncQueueItem').mockImplementation(async (item) => {
+      processed.push(item.id);
+    });
+
+    await syncService.uploadLocalChanges(['customers']);
+
+    expect(processed).toEqual([1, 3]);
+  });
+
+  test('sales, finance, egg stock and expense lists exclude rows of no organization', () => {
+    withMockDb(7, (db) => {
+      fastDatabase.getSales();
+      fastDatabase.getFinanceLedger();
+      fastDatabase.getEggStock();
+      fastDatabase.getExpenses();
+
+      const queries = db.getAllSync.mock.calls.filter(([sql]) => /FROM (sales|finance_ledger|egg_stock_ledger|expenses)\b/.test(sql));
+      expect(queries).toHaveLength(4);
+      queries.forEach(([sql, params]) => {
+        expect(sql).toContain('organization_id');
+        expect(sql).not.toContain('IS NULL');
+        expect(params[0]).toBe(7);
+      });
+    });
+  });
+
+  test('rows without an organization only take their farm\'s on every launch', () => {
+    withMockDb(7, (db) => {
+      db.getAllSync.mockImplementation((sql) => (
+        sql.startsWith('PRAGMA table_info(customers)')
+          ? [{ name: 'id' }, { name: 'organization_id' }]
+          : [{ name: 'id' }, { name: 'farm_id' }, { name: 'organization_id' }]
+      ));
+
+      fastDatabase.backfillOrganizationIds();
+
+      const updates = db.runSync.mock.calls.map(([sql]) => sql);
+      expect(updates.length).toBeGreaterThan(0);
+      expect(updates.every(sql => sql.includes('FROM farms f WHERE f.id'))).toBe(true);
+      // Customers have no farm to take one from
+      expect(updates.some(sql => sql.includes('UPDATE customers'))).toBe(false);
+    });
+  });
+
+  test('rows left without one go to the only organization on the device, once', () => {
+    withMockDb(7, (db) => {
+      let userVersion = 0;
+      db.getFirstSync.mockImplementation((sql) => (sql === 'PRAGMA user_version' ? { user_version: userVersion } : null));
+      db.execSync.mockImplementation((sql) => {
+        const match = sql.match(/PRAGMA user_version = (\d+)/);
+        if (match) userVersion = Number(match[1]);
+      });
+      db.getAllSync.mockImplementation((sql) => (sql.includes('SELECT DISTINCT organization_id') ? [{ organization_id: 7 }] : []));
+
+      fastDatabase.migrateOrphanOrganizationIds(7);
+
+      const assigned = db.runSync.mock.calls.filter(([sql]) => sql.includes('SET organization_id = ? WHERE organization_id IS NULL'));
+      expect(assigned.map(([sql]) => sql.split(' ')[1])).toEqual(expect.arrayContaining(['farms', 'customers', 'payments']));
+      assigned.forEach(([, params]) => expect(params).toEqual([7]));
+      expect(userVersion).toBe(1);
+
+      // Switching organizations later does not hand them out again
+      db.runSync.mockClear();
+      fastDatabase.setOrganizationId(9);
+      expect(db.runSync).not.toHaveBeenCalled();
+    });
+  });
+
+  test('rows without an organization stay unassigned when the device has several', () => {
+    withMockDb(7, (db) => {
+      db.getFirstSync.mockImplementation((sql) => (sql === 'PRAGMA user_version' ? { user_version: 0 } : null));
+      db.getAllSync.mockImplementation((sql) => (
+        sql.includes('SELECT DISTINCT organization_id FROM farms') ? [{ organization_id: 7 }, { organization_id: 9 }] : []
+      ));
+
+      expect(fastDatabase.migrateOrphanOrganizationIds(7)).toBe(0);
+
+      expect(db.runSync.mock.calls.some(([sql]) => sql.includes('SET organization_id = ? WHERE organization_id IS NULL'))).toBe(false);
+      expect(db.execSync).toHaveBeenCalledWith('PRAGMA user_version = 1');
+    });
+  });
+
+  test('a payment takes its customer\'s organization when none is active, and is refused without one', () => {
+    withMockDb(null, (db) => {
+      db.getFirstSync.mockImplementation((sql, params) => (
+        sql.startsWith('SELECT organization_id FROM customers') && params[0] === 4 ? { organization_id: 7 } : null
+      ));
+
+      fastDatabase.createPayment({ customerId: 4, amount: 5000 });
+      const [insertSql, insertParams] = db.runSync.mock.calls[0];
+      const columns = insertSql.match(/\(([^)]+)\)\s+VALUES/)[1].split(', ');
+      expect(insertParams[columns.indexOf('organization_id')]).toBe(7);
+
+      db.runSync.mockClear();
+      expect(() => fastDatabase.createPayment({ customerId: 5, amount: 5000 })).toThrow('No organization is selected');
+      expect(db.runSync).not.toHaveBeenCalled();
+    });
+  });
+
+  test('an expense records the active organization', () => {
+    withMockDb(7, (db) => {
+      fastDatabase.createExpense({ category: 'utilities', description: 'Water bill', amount: 30000, expenseDate: '2026-10-19' });
+
+      const [insertSql, insertParams] = db.runSync.mock.calls[0];
+      const columns = insertSql.match(/\(([^)]+)\) VALUES/)[1].split(', ');
+      expect(insertParams[columns.indexOf('organization_id')]).toBe(7);
+    });
+  });
+
+  test('the sync watermark is stored per organization', async () => {
+    jest.spyOn(offlineDataService, 'getCurrentOrganizationId').mockResolvedValue(7);
+    await expect(syncService.getSyncTimestampKey()).resolves.toBe('lastSyncTimestamp:7');
+
+    offlineDataService.getCurrentOrganizationId.mockResolvedValue(null);
+    await expect(syncService.getSyncTimestampKey()).resolves.toBe('lastSyncTimestamp');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Payments
+ * Verifies how a payment received is split across open invoices, that the shares, the invoices'
+ * amounts paid and statuses are saved in one transaction and queued for sync, and refunds of credit
+ */
+
+import fastDatabase from '../fastDatabase';
+import { autoAllocate, checkAllocations, nextReceiptNumber } from '../../utils/payments';
+import { buildCustomerStatement, computeReceivables } from '../../utils/receivables';
+
+const OPEN_INVOICES = [
+  { id: 31, customer_id: 4, invoice_number: 'INV-0011', invoice_date: '2026-10-01', due_date: '2026-10-20', total: 200000, amount_paid: 50000, status: 'partial' },
+  { id: 30, customer_id: 4, invoice_number: 'INV-0010', invoice_date: '2026-09-01', due_date: '2026-09-15', total: 100000, amount_paid: 0, status: 'overdue' },
+];
+
+const withMockDb = async (callback) => {
+  const originalDb = fastDatabase.db;
+  const originalReady = fastDatabase.isReady;
+  const originalOrganizationId = fastDatabase.currentOrganizationId;
+  fastDatabase.isReady = true;
+  fastDatabase.currentOrganizationId = 2;
+  fastDatabase.isTransactionActive = false;
+  let nextId = 100;
+  fastDatabase.db = {
+    execSync: jest.fn(),
+    runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: nextId++ })),
+    getFirstSync: jest.fn((sql, params = []) => {
+      if (sql.includes('SELECT 1 as test')) return { test: 1 };
+      if (sql.includes('FROM sync_queue')) return null;
+      if (sql.includes('FROM payments WHERE id = ?') || sql.includes('FROM payments p')) return { id: params[0] };
+      if (sql.includes('FROM invoices WHERE id = ?')) {
+        return { ...OPEN_INVOICES.find(invoice => invoice.id === params[0]), server_id: 'srv-inv' };
+      }
+      return null;
+    }),
+    getAllSync: jest.fn((sql) => {
+      if (sql.includes('SELECT DISTINCT receipt_number')) return [{ receipt_number: 'RCT-0041' }];
+      if (sql.includes('FROM invoices i') && sql.includes('i.customer_id = ?')) return OPEN_INVOICES;
+      return [];
+    }),
+  };
+
+  try {
+    await callback(fastDatabase.db);
+  } finally {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = originalOrganizationId;
+  }
+};
+
+const callsContaining = (db, text) => db.runSync.mock.calls.filter(([sql]) => sql.includes(text));
+
+describe('Payments', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a payment pays the invoice due first first and a split is checked against each balance', () => {
+    expect(autoAllocate(180000, OPEN_INVOICES)).toEqual([
+      { invoiceId: 30, amount: 100000 },
+      { invoiceId: 31, amount: 80000 },
+    ]);
+    expect(autoAllocate(400000, OPEN_INVOICES).map(share => share.amount)).toEqual([100000, 150000]);
+
+    expect(checkAllocations(300000, [{ invoiceId: 31, amount: '150000' }, { invoiceId: 30, amount: '' }], OPEN_INVOICES))
+      .toEqual({ allocations: [{ invoiceId: 31, amount: 150000 }], allocated: 150000, excess: 150000 });
+    expect(() => checkAllocations(300000, [{ invoiceId: 31, amount: 160000 }], OPEN_INVOICES)).toThrow('INV-0011 only has 150,000 left');
+    expect(() => checkAllocations(50000, [{ invoiceId: 30, amount: 60000 }], OPEN_INVOICES)).toThrow('more than the payment');
+    expect(() => checkAllocations(50000, [{ invoiceId: 99, amount: 10000 }], OPEN_INVOICES)).toThrow('open invoices');
+
+    expect(nextReceiptNumber(['RCT-0009', 'INV-0100'])).toBe('RCT-0010');
+  });
+
+  test('the shares, the invoices and the credit are recorded together under one receipt', async () => {
+    await withMockDb(async (db) => {
+      const result = await fastDatabase.recordPayment({
+        customerId: 4,
+        amount: 300000,
+        paymentDate: '2026-10-16',
+        paymentMethod: 'mobile_money',
+        referenceNumber: ' QK7H2 ',
+        allocations: [{ invoiceId: 30, amount: 100000 }, { invoiceId: 31, amount: 150000 }],
+      });
+
+      expect(db.execSync.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN TRANSACTION', 'COMMIT']);
+      expect(result).toMatchObject({ receiptNumber: 'RCT-0042', credit: 50000, refunded: 0 });
+
+      // organization, customer, invoice, sale, amount, date, method, reference, receipt
+      const payments = callsContaining(db, 'INSERT INTO payments').map(([, params]) => params.slice(0, 9));
+      expect(payments).toEqual([
+        [2, 4, 30, null, 100000, '2026-10-16', 'mobile_money', 'QK7H2', 'RCT-0042'],
+        [2, 4, 31, null, 150000, '2026-10-16', 'mobile_money', 'QK7H2', 'RCT-0042'],
+        [2, 4, null, null, 50000, '2026-10-16', 'mobile_money', 'QK7H2', 'RCT-0042'],
+      ]);
+
+      const invoiceUpdates = callsContaining(db, 'UPDATE invoices SET').map(([, params]) => params);
+      expect(invoiceUpdates.map(params => params.slice(0, 3))).toEqual([[100000, 0, 'paid'], [200000, 0, 'paid']]);
+
+      const queued = callsContaining(db, 'INSERT INTO sync_queue').map(([, params]) => params.slice(0, 2));
+      expect(queued).toEqual([
+        ['payments', 'CREATE'], ['invoices', 'UPDATE'],
+        ['payments', 'CREATE'], ['invoices', 'UPDATE'],
+        ['payments', 'CREATE'],
+      ]);
+    });
+  });
+
+  test('nothing is saved when the payment is incomplete or the split does not fit', async () => {
+    await withMockDb(async (db) => {
+      const payment = { customerId: 4, amount: 100000, paymentMethod: 'cash', allocations: [] };
+
+      await expect(fastDatabase.recordPayment({ ...payment, paymentMethod: 'bank_transfer' })).rejects.toThrow('bank reference number');
+      await expect(fastDatabase.recordPayment({ ...payment, paymentMethod: 'cheque' })).rejects.toThrow('how the money was paid');
+      await expect(fastDatabase.recordPayment({ ...payment, customerId: null })).rejects.toThrow('customer who paid');
+      await expect(fastDatabase.recordPayment({ ...payment, allocations: [{ invoiceId: 30, amount: 120000 }] })).rejects.toThrow('only has 100,000');
+
+      // An overpayment handed back is not kept as credit
+      const result = await fastDatabase.recordPayment({ ...payment, amount: 120000, allocations: [{ invoiceId: 30, amount: 100000 }], excess: 'refund' });
+      expect(result).toMatchObject({ credit: 0, refunded: 20000 });
+      expect(callsContaining(db, 'INSERT INTO payments')).toHaveLength(1);
+    });
+  });
+
+  test('a refund is a negative payment on account that uses up the customer\'s credit', async () => {
+    const data = {
+      invoices: [{ ...OPEN_INVOICES[1], amount_paid: 100000, status: 'paid' }],
+      sales: [],
+      payments: [
+        { id: 1, customer_id: 4, customer_name: 'Kampala Hotel', invoice_id: 30, amount: 100000, payment_date: '2026-10-16', payment_method: 'cash' },
+        { id: 2, customer_id: 4, customer_name: 'Kampala Hotel', invoice_id: null, amount: 50000, payment_date: '2026-10-16', payment_method: 'cash' },
+      ],
+    };
+
+    await withMockDb(async (db) => {
+      jest.spyOn(fastDatabase, 'getReceivablesData').mockReturnValue(data);
+
+      expect(() => fastDatabase.recordRefund(4, { amount: 60000, paymentMethod: 'cash' })).toThrow('only has 50,000 in credit');
+      fastDatabase.recordRefund(4, { amount: 30000, paymentMethod: 'mobile_money', referenceNumber: 'RF1' });
+
+      const [, params] = callsContaining(db, 'INSERT INTO payments')[0];
+      expect(params.slice(1, 9)).toEqual([4, null, null, -30000, expect.any(String), 'mobile_money', 'RF1', 'RCT-0042']);
+    });
+
+    const refunded = { ...data, payments: [...data.payments, { id: 3, customer_id: 4, amount: -30000, payment_date: '2026-10-17', payment_method: 'mobile_money', reference_number: 'RF1' }] };
+    expect(computeReceivables(refunded, { asOf: '2026-10-18' }).customers[0]).toMatchObject({ credit: 20000, balance: -20000 });
+
+    const statement = buildCustomerStatement({ id: 4, name: 'Kampala Hotel' }, refunded, { to: '2026-10-18' });
+    expect(statement.lines[statement.lines.length - 1]).toMatchObject({
+      reference: 'RF1', description: 'Refund of credit (mobile money)', debit: 30000, credit: 0, balance: -20000,
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Role permissions
+ * Verifies the role matrix, that fastApiService and the local services refuse what the
+ * signed-in role may not do before touching the database, and that exports drop cost columns
+ */
+
+import fastDatabase from '../fastDatabase';
+import fastApiService from '../fastApiService';
+import permissionService from '../permissionService';
+import recordExportService from '../recordExportService';
+import feedInventoryService from '../feedInventoryService';
+import {
+  PERMISSIONS,
+  ROLES,
+  normalizeRole,
+  hasPermission,
+  canCreateRecordType,
+} from '../../utils/permissions';
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+}));
+
+const feedRows = [
+  { id: 1, export_date: '2026-10-01', farm_name: 'North Farm', batch_name: 'Broilers A', feed_type: 'Starter', quantity_kg: 50, cost: 120000 },
+];
+
+describe('Role permissions', () => {
+  afterEach(() => {
+    permissionService.setUser(null);
+    jest.restoreAllMocks();
+  });
+
+  test('each role gets its own set of permissions and older role names are mapped', () => {
+    expect(normalizeRole('worker')).toBe(ROLES.FARM_WORKER);
+    expect(normalizeRole('super_admin')).toBe(ROLES.OWNER);
+    expect(normalizeRole('Accountant')).toBe(ROLES.ACCOUNTANT);
+    expect(normalizeRole('visitor')).toBe(ROLES.FARM_WORKER);
+    expect(normalizeRole(undefined)).toBe(ROLES.FARM_WORKER);
+
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission(ROLES.OWNER, permission)).toBe(true);
+      expect(hasPermission(ROLES.MANAGER, permission)).toBe(true);
+    });
+
+    expect(hasPermission(ROLES.SUPERVISOR, PERMISSIONS.BATCHES_EDIT)).toBe(true);
+    expect(hasPermission(ROLES.SUPERVISOR, PERMISSIONS.BATCHES_DELETE)).toBe(false);
+    expect(hasPermission(ROLES.SUPERVISOR, PERMISSIONS.COSTS_VIEW)).toBe(false);
+
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.EXPENSES_MANAGE)).toBe(true);
+    expect(hasPermission(ROLES.ACCOUNTANT, PERMISSIONS.RECORDS_CREATE)).toBe(false);
+
+    expect(hasPermission('worker', PERMISSIONS.RECORDS_CREATE)).toBe(true);
+    expect(hasPermission('worker', PERMISSIONS.RECORDS_DELETE)).toBe(false);
+    expect(hasPermission('worker', PERMISSIONS.RECORDS_EXPORT)).toBe(false);
+
+    // A vet only adds health-related records
+    expect(canCreateRecordType(ROLES.VET, 'health')).toBe(true);
+    expect(canCreateRecordType(ROLES.VET, 'mortality')).toBe(true);
+    expect(canCreateRecordType(ROLES.VET, 'feed')).toBe(false);
+    expect(canCreateRecordType(ROLES.FARM_WORKER, 'feed')).toBe(true);
+  });
+
+  test('fastApiService refuses calls the role does not allow without touching local data', async () => {
+    const deleteFeedRecord = jest.spyOn(fastDatabase, 'deleteFeedRecord').mockReturnValue(true);
+    const deleteBatch = jest.spyOn(fastDatabase, 'deleteBatch').mockReturnValue(true);
+    const getReceivables = jest.spyOn(fastDatabase, 'getReceivables').mockReturnValue([]);
+
+    permissionService.setUser({ id: 5, role: 'worker' });
+
+    const deleteResult = await fastApiService.deleteRecord('feed', 12);
+    expect(deleteResult).toEqual({
+      success: false,
+      error: expect.stringContaining('permission to delete records'),
+      code: 'PERMISSION_DENIED',
+    });
+    expect(deleteFeedRecord).not.toHaveBeenCalled();
+
+    expect((await fastApiService.deleteFlock(3)).code).toBe('PERMISSION_DENIED');
+    expect(deleteBatch).not.toHaveBeenCalled();
+
+    expect((await fastApiService.getReceivables()).code).toBe('PERMISSION_DENIED');
+    expect((await fastApiService.deleteExpense(9)).code).toBe('PERMISSION_DENIED');
+    expect(getReceivables).not.toHaveBeenCalled();
+
+    permissionService.setUser({ id: 6, role: 'vet' });
+    const feedResult = await fastApiService.createRecord('feed', { batchId: 1, quantity: 20 });
+    expect(feedResult.code).toBe('PERMISSION_DENIED');
+    expect(feedResult.error).toContain('add feed records');
+
+    permissionService.setUser({ id: 7, role: 'accountant' });
+    expect(await fastApiService.getReceivables()).toMatchObject({ success: true, data: [] });
+  });
+
+  test('local services throw for roles without the permission', () => {
+    const recordFeedStockMovement = jest.spyOn(fastDatabase, 'recordFeedStockMovement');
+
+    permissionService.setUser({ id: 5, role: 'farm_worker' });
+
+    expect(() => feedInventoryService.recordDelivery({ farmId: 1, feedType: 'Starter', quantityKg: 100 }))
+      .toThrow('permission to manage feed stock');
+    expect(recordFeedStockMovement).not.toHaveBeenCalled();
+  });
+
+  test('exports need the export permission and leave out costs for roles that cannot see them', async () => {
+    jest.spyOn(fastDatabase, 'getRecordsForExport').mockImplementation((table) =>
+      (table === 'feed_records' ? feedRows : [])
+    );
+
+    permissionService.setUser({ id: 5, role: 'worker' });
+    await expect(recordExportService.exportRecords({ recordType: 'feed' })).rejects.toThrow('permission to export records');
+
+    permissionService.setUser({ id: 8, role: 'supervisor' });
+    const [supervisorHeader] = recordExportService.buildRecordCsv('feed').csv.split('\r\n');
+    expect(supervisorHeader).toBe('Date,Farm,Batch,Feed Type,Quantity (kg),Supplier,Notes');
+
+    permissionService.setUser({ id: 1, role: 'owner' });
+    const [ownerHeader] = recordExportService.buildRecordCsv('feed').csv.split('\r\n');
+    expect(ownerHeader).toContain('Cost per kg,Total Cost');
+  });
+});
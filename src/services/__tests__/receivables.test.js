@@ -0,0 +1,139 @@
+/**
+ * Receivables
+ * Verifies aging of unpaid sales and invoices (an invoiced sale is only owed once), how payments
+ * settle them, the customer statement's running balance and the shared statement document
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from '../fastDatabase';
+import receivablesService from '../receivablesService';
+import { buildCustomerStatement, computeReceivables, renderStatementHtml } from '../../utils/receivables';
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+}));
+
+const AS_OF = '2026-10-15';
+
+const CUSTOMER = { id: 1, name: 'Kampala <Hotel>', phone: '0772000111' };
+
+const DATA = {
+  sales: [
+    { id: 1, customer_id: 1, customer_name: 'Kampala <Hotel>', sale_date: '2026-06-01', product_type: 'birds', total_amount: 500000, amount_paid: 0 },
+    // Invoiced by invoice 10, so it is owed through the invoice
+    { id: 2, customer_id: 1, customer_name: 'Kampala <Hotel>', sale_date: '2026-09-01', product_type: 'eggs', total_amount: 400000, amount_paid: 100000 },
+    { id: 3, customer_id: 2, customer_name: 'Mama Rose', sale_date: '2026-08-01', total_amount: 120000, amount_paid: 120000 },
+    { id: 4, customer_id: null, sale_date: '2026-07-20', total_amount: 80000, amount_paid: 30000 },
+    { id: 5, customer_id: 2, sale_date: '2026-08-02', total_amount: 999000, amount_paid: 0, is_deleted: 1 },
+  ],
+  invoices: [
+    { id: 10, customer_id: 1, customer_name: 'Kampala <Hotel>', sale_id: 2, invoice_number: 'INV-0010', invoice_date: '2026-09-01', due_date: '2026-10-20', total: 400000, amount_paid: 250000, status: 'partial' },
+    { id: 11, customer_id: 1, sale_id: null, invoice_number: 'INV-0011', invoice_date: '2026-09-05', total: 90000, amount_paid: 0, status: 'draft' },
+  ],
+  payments: [
+    { id: 1, customer_id: 1, invoice_id: 10, amount: 150000, payment_date: '2026-10-05', payment_method: 'mobile_money', reference_number: 'MM123' },
+    // On account: pays the customer's oldest sale first
+    { id: 2, customer_id: 1, amount: 200000, payment_date: '2026-07-01', payment_method: 'cash' },
+    // More than Mama Rose owes, so it is left as credit
+    { id: 3, customer_id: 2, amount: 50000, payment_date: '2026-08-10', payment_method: 'cash' },
+  ],
+};
+
+describe('Receivables', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('open balances are aged by days past due and an invoiced sale is only owed once', () => {
+    const receivables = computeReceivables(DATA, { asOf: AS_OF });
+
+    expect(receivables.documents.map(doc => [doc.reference, doc.outstanding, doc.daysOverdue, doc.bucket])).toEqual([
+      ['Sale #1', 300000, 136, 'days90Plus'],
+      ['Sale #4', 50000, 87, 'days60'],
+      ['INV-0010', 150000, 0, 'current'],
+    ]);
+    expect(receivables.aging).toEqual({ current: 150000, days30: 0, days60: 50000, days90Plus: 300000, total: 500000 });
+    expect(receivables.totals).toEqual({ outstanding: 500000, overdue: 350000, customersOwing: 2 });
+
+    expect(receivables.customers.map(customer => [customer.name, customer.balance, customer.overdue, customer.credit])).toEqual([
+      ['Kampala <Hotel>', 450000, 300000, 0],
+      ['Walk-in Customers', 50000, 50000, 0],
+      ['Mama Rose', -50000, 0, 50000],
+    ]);
+    expect(receivables.customers[0].oldestDueDate).toBe('2026-06-01');
+
+    // Nothing dated after the as-of date is owed yet
+    expect(computeReceivables(DATA, { asOf: '2026-06-30' }).aging.total).toBe(500000);
+  });
+
+  test('the statement carries earlier activity in the opening balance and runs the balance forward', () => {
+    const statement = buildCustomerStatement(CUSTOMER, DATA, { from: '2026-08-01', to: AS_OF });
+
+    // 500,000 sale less the 200,000 paid on account in July
+    expect(statement.openingBalance).toBe(300000);
+    expect(statement.lines.map(line => [line.date, line.reference, line.debit, line.credit, line.balance])).toEqual([
+      ['2026-09-01', 'INV-0010', 400000, 0, 700000],
+      ['2026-09-01', 'INV-0010', 0, 100000, 600000],
+      ['2026-10-05', 'MM123', 0, 150000, 450000],
+    ]);
+    expect(statement.lines[2].description).toBe('Payment (mobile money) for INV-0010');
+    expect(statement.totals).toEqual({ charges: 400000, payments: 250000 });
+    expect(statement.closingBalance).toBe(450000);
+    expect(statement.aging).toEqual({ current: 150000, days30: 0, days60: 0, days90Plus: 300000, total: 450000 });
+
+    const html = renderStatementHtml(statement, { businessName: 'Green Acres' });
+    expect(html).toContain('<h1>Green Acres</h1>');
+    expect(html).toContain('Kampala &lt;Hotel&gt;');
+    expect(html).not.toContain('<Hotel>');
+  });
+
+  test('statement data is read for the customer within the active organization', async () => {
+    const originalDb = fastDatabase.db;
+    const originalReady = fastDatabase.isReady;
+    const originalOrganizationId = fastDatabase.currentOrganizationId;
+    fastDatabase.isReady = true;
+    fastDatabase.currentOrganizationId = 7;
+    fastDatabase.db = {
+      execSync: jest.fn(),
+      runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+      getFirstSync: jest.fn(() => CUSTOMER),
+      getAllSync: jest.fn((sql) => {
+        if (sql.includes('FROM invoices i')) return DATA.invoices;
+        if (sql.includes('FROM sales s')) return DATA.sales.filter(sale => sale.customer_id === 1);
+        return DATA.payments.filter(payment => payment.customer_id === 1);
+      }),
+    };
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+    Sharing.shareAsync.mockResolvedValue();
+    FileSystem.writeAsStringAsync.mockClear();
+
+    try {
+      const { fileUri, statement } = await receivablesService.shareStatement(1, { to: AS_OF, businessName: 'Green Acres' });
+
+      expect(statement.closingBalance).toBe(450000);
+      expect(fileUri).toBe('file:///cache/statement_Kampala--Hotel-_2026-10-15.html');
+      expect(FileSystem.writeAsStringAsync.mock.calls[0][1]).toContain('Statement of Account');
+      expect(Sharing.shareAsync).toHaveBeenCalledWith(fileUri, expect.objectContaining({ mimeType: 'text/html' }));
+
+      const queries = fastDatabase.db.getAllSync.mock.calls;
+      expect(queries).toHaveLength(3);
+      queries.forEach(([sql, params]) => {
+        expect(sql).toMatch(/\w\.organization_id = \?/);
+        expect(params[0]).toBe(7);
+        expect(params).toContain(1);
+      });
+    } finally {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+      fastDatabase.currentOrganizationId = originalOrganizationId;
+    }
+  });
+
+  test('a statement needs an existing customer', () => {
+    jest.spyOn(fastDatabase, 'getCustomerById').mockReturnValue(null);
+    expect(() => receivablesService.getStatement(99)).toThrow('Customer not found');
+    expect(() => receivablesService.getStatement(null)).toThrow('Invalid customer ID');
+  });
+});
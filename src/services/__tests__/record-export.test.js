@@ -0,0 +1,82 @@
+/**
+ * Offline record export
+ * Verifies CSV building, escaping, filtering and the share hand-off
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from '../fastDatabase';
+import recordExportService, { EXPORT_RECORD_TYPES } from '../recordExportService';
+
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///cache/',
+  writeAsStringAsync: jest.fn(() => Promise.resolve()),
+}));
+
+const feedRows = [
+  {
+    id: 1, export_date: '2026-10-01', farm_name: 'North Farm', batch_name: 'Broilers A',
+    feed_type: 'Starter', quantity_kg: 50, cost_per_kg: null, total_cost: null, cost: 120000,
+    supplier: 'Feeds, Ltd', notes: 'Said "fresh" bag',
+  },
+];
+
+describe('Record export', () => {
+  beforeEach(() => {
+    jest.spyOn(fastDatabase, 'getRecordsForExport').mockImplementation((table) =>
+      (table === 'feed_records' ? feedRows : [])
+    );
+    Sharing.isAvailableAsync.mockResolvedValue(true);
+    Sharing.shareAsync.mockResolvedValue();
+    FileSystem.writeAsStringAsync.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds a feed CSV with farm/batch columns and escaped cells', () => {
+    const { csv, rowCount } = recordExportService.buildRecordCsv('feed', { batchId: 2 });
+    const [header, line] = csv.split('\r\n');
+
+    expect(rowCount).toBe(1);
+    expect(header).toBe('Date,Farm,Batch,Feed Type,Quantity (kg),Cost per kg,Total Cost,Supplier,Notes');
+    expect(line).toBe('2026-10-01,North Farm,Broilers A,Starter,50,,120000,"Feeds, Ltd","Said ""fresh"" bag"');
+    expect(fastDatabase.getRecordsForExport).toHaveBeenCalledWith(
+      'feed_records',
+      expect.stringContaining('COALESCE'),
+      { batchId: 2 }
+    );
+  });
+
+  test('neutralises spreadsheet formulas but keeps negative numbers', () => {
+    expect(recordExportService.escapeCell('=SUM(A1:A9)')).toBe("'=SUM(A1:A9)");
+    expect(recordExportService.escapeCell('-12.5')).toBe('-12.5');
+    expect(recordExportService.escapeCell(null)).toBe('');
+  });
+
+  test('combined export has one titled section per record type', () => {
+    const { csv, rowCounts } = recordExportService.buildCombinedCsv(EXPORT_RECORD_TYPES, {});
+
+    expect(Object.keys(rowCounts)).toEqual(['feed', 'mortality', 'production', 'water', 'weight']);
+    expect(csv).toContain('Feed Records\r\nDate,Farm,Batch');
+    expect(csv).toContain('\r\n\r\nMortality Records\r\nDate,Farm,Batch,Deaths,Cause,Notes');
+  });
+
+  test('writes a BOM-prefixed file and shares it as a CSV file', async () => {
+    const result = await recordExportService.exportRecords({
+      recordType: 'feed', startDate: '2026-10-01', endDate: '2026-10-31',
+    });
+
+    expect(result.totalRows).toBe(1);
+    expect(result.fileUri).toBe('file:///cache/poultry360_feed_from-2026-10-01_to-2026-10-31.csv');
+    expect(FileSystem.writeAsStringAsync.mock.calls[0][1].startsWith('\uFEFFDate,Farm')).toBe(true);
+    expect(Sharing.shareAsync).toHaveBeenCalledWith(result.fileUri, expect.objectContaining({ mimeType: 'text/csv' }));
+  });
+
+  test('refuses to export when nothing matches', async () => {
+    await expect(recordExportService.exportRecords({ recordType: 'water' }))
+      .rejects.toThrow('No records match');
+    expect(Sharing.shareAsync).not.toHaveBeenCalled();
+  });
+});
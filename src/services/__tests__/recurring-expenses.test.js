@@ -0,0 +1,235 @@
+/**
+ * Recurring expenses
+ * Verifies occurrence dates, that due occurrences are posted once as queued expenses (once per
+ * organization here, once per template and date on the server), and that a single upcoming
+ * occurrence can be edited or skipped
+ */
+
+import fastDatabase from '../fastDatabase';
+import syncService from '../syncService';
+import apiService from '../api';
+import offlineDataService from '../offlineDataService';
+import permissionService from '../permissionService';
+import recurringExpenseService from '../recurringExpenseService';
+import dataEventBus from '../dataEventBus';
+import {
+  OCCURRENCE_STATUS,
+  getOccurrenceDate,
+  getOccurrenceDates,
+  getDueOccurrences,
+} from '../../utils/recurringExpenses';
+
+// Monday morning, local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const rent = {
+  id: 1, farm_id: 2, batch_id: null, category: 'utilities', subcategory: null, description: 'Farm rent',
+  amount: 500000, expense_date: '2026-08-31', supplier: 'Landlord', payment_method: 'mobile_money',
+  notes: null, is_recurring: 1, recurring_frequency: 'monthly', recurring_template_id: null, is_deleted: 0,
+};
+
+const wages = {
+  id: 3, farm_id: 2, batch_id: null, category: 'labor', subcategory: null, description: 'Casual labour',
+  amount: 60000, expense_date: '2026-10-05', supplier: null, payment_method: 'cash',
+  notes: null, is_recurring: 1, recurring_frequency: 'weekly', recurring_template_id: null, is_deleted: 0,
+};
+
+const createMockDb = (rows = {}) => ({
+  execSync: jest.fn(),
+  runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 11 })),
+  getFirstSync: jest.fn((sql) => {
+    if (sql.includes('SELECT 1 as test')) return { test: 1 };
+    if (sql.includes('FROM id_mappings')) return rows.templateServerId ? { server_id: rows.templateServerId } : null;
+    if (sql.includes('FROM sync_queue')) return rows.pendingCreate || null;
+    if (sql.includes('FROM expenses')) return rows.expense || null;
+    return null;
+  }),
+  getAllSync: jest.fn(() => []),
+});
+
+const queueInserts = (db) =>
+  db.runSync.mock.calls.filter(([sql]) => sql.includes('INSERT INTO sync_queue'));
+
+describe('Recurring expenses', () => {
+  beforeEach(() => {
+    jest.spyOn(dataEventBus, 'emit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    permissionService.setUser(null);
+    jest.restoreAllMocks();
+  });
+
+  test('occurrences keep the day of the month and skip the template itself', () => {
+    expect(getOccurrenceDate('2026-01-31', 'monthly', 1)).toBe('2026-02-28');
+    expect(getOccurrenceDate('2026-01-31', 'monthly', 2)).toBe('2026-03-31');
+    expect(getOccurrenceDate('2025-11-30', 'quarterly', 1)).toBe('2026-02-28');
+    expect(getOccurrenceDate('2026-12-29', 'weekly', 1)).toBe('2027-01-05');
+
+    expect(getOccurrenceDates(rent, '2026-08-01', '2026-12-31')).toEqual(['2026-09-30', '2026-10-31', '2026-11-30', '2026-12-31']);
+    expect(getOccurrenceDates({ ...rent, is_recurring: 0 }, '2026-08-01', '2026-12-31')).toEqual([]);
+
+    // Posted and skipped occurrences are not due again; an edit is applied when posted
+    const due = getDueOccurrences([rent, wages], [
+      { template_id: 3, occurrence_date: '2026-10-12', status: OCCURRENCE_STATUS.SKIPPED },
+      { template_id: 3, occurrence_date: '2026-10-19', status: OCCURRENCE_STATUS.PENDING, amount: 75000 },
+    ], NOW);
+    expect(due.map(occurrence => [occurrence.templateId, occurrence.occurrenceDate, occurrence.amount])).toEqual([
+      [1, '2026-09-30', 500000],
+      [3, '2026-10-19', 75000],
+    ]);
+  });
+
+  test('due occurrences are posted once, and ones already entered are matched instead', async () => {
+    jest.spyOn(fastDatabase, 'getRecurringExpenseTemplates').mockReturnValue([rent, wages]);
+    jest.spyOn(fastDatabase, 'getRecurringOccurrences').mockReturnValue([
+      { template_id: 3, occurrence_date: '2026-10-12', status: OCCURRENCE_STATUS.POSTED, expense_id: 8 },
+    ]);
+    // The September rent was entered by hand
+    jest.spyOn(fastDatabase, 'findExpenseForOccurrence').mockImplementation((template, date) =>
+      (template.id === 1 && date === '2026-09-30' ? { id: 5 } : null)
+    );
+    let nextId = 20;
+    const createExpense = jest.spyOn(fastDatabase, 'createExpense').mockImplementation(data => ({ id: ++nextId, ...data }));
+    const saveOccurrence = jest.spyOn(fastDatabase, 'saveRecurringOccurrence').mockReturnValue(1);
+
+    const posted = await recurringExpenseService.materializeDue(NOW);
+
+    expect(posted.map(expense => expense.expenseDate)).toEqual(['2026-10-19']);
+    expect(createExpense).toHaveBeenCalledTimes(1);
+    expect(createExpense).toHaveBeenCalledWith(expect.objectContaining({
+      farmId: 2, category: 'labor', description: 'Casual labour', amount: 60000, paymentMethod: 'cash', recurringTemplateId: 3,
+    }));
+    expect(saveOccurrence).toHaveBeenCalledWith(1, '2026-09-30', { status: 'posted', expenseId: 5 });
+    expect(saveOccurrence).toHaveBeenCalledWith(3, '2026-10-19', { status: 'posted', expenseId: 21 });
+
+    // Roles that cannot manage expenses do not post them
+    permissionService.setUser({ id: 5, role: 'worker' });
+    expect(await recurringExpenseService.materializeDue(NOW)).toEqual([]);
+  });
+
+  test('one upcoming occurrence can be edited or skipped, but not once it is posted', () => {
+    jest.spyOn(fastDatabase, 'getRecurringExpenseTemplates').mockReturnValue([rent, wages]);
+    jest.spyOn(fastDatabase, 'getRecurringOccurrences').mockReturnValue([
+      { template_id: 3, occurrence_date: '2026-10-26', status: OCCURRENCE_STATUS.SKIPPED },
+      { template_id: 1, occurrence_date: '2026-10-31', status: OCCURRENCE_STATUS.PENDING, amount: 550000 },
+      { template_id: 3, occurrence_date: '2026-10-19', status: OCCURRENCE_STATUS.POSTED, expense_id: 21 },
+    ]);
+    const saveOccurrence = jest.spyOn(fastDatabase, 'saveRecurringOccurrence').mockReturnValue(1);
+
+    const upcoming = recurringExpenseService.getUpcoming({ now: NOW });
+    expect(upcoming.map(occurrence => [occurrence.occurrenceDate, occurrence.status, occurrence.amount, occurrence.edited])).toEqual([
+      ['2026-10-26', 'skipped', 60000, false],
+      ['2026-10-31', 'pending', 550000, true],
+      ['2026-11-02', 'pending', 60000, false],
+      ['2026-11-09', 'pending', 60000, false],
+      ['2026-11-16', 'pending', 60000, false],
+    ]);
+    expect(upcoming[1]).toMatchObject({ category: 'utilities', frequency: 'monthly' });
+
+    recurringExpenseService.updateOccurrence(3, '2026-11-02', { amount: '80000' });
+    expect(saveOccurrence).toHaveBeenCalledWith(3, '2026-11-02', {
+      status: 'pending', amount: 80000, description: 'Casual labour', notes: undefined,
+    });
+    expect(() => recurringExpenseService.updateOccurrence(3, '2026-11-02', { amount: '0' })).toThrow('greater than zero');
+
+    recurringExpenseService.skipOccurrence(1, '2026-10-31');
+    expect(saveOccurrence).toHaveBeenCalledWith(1, '2026-10-31', { status: 'skipped' });
+
+    expect(() => recurringExpenseService.skipOccurrence(3, '2026-10-19')).toThrow('already been recorded');
+
+    permissionService.setUser({ id: 5, role: 'worker' });
+    expect(() => recurringExpenseService.skipOccurrence(3, '2026-11-09')).toThrow('permission to manage expenses');
+  });
+
+  describe('local expense storage', () => {
+    let originalDb;
+    let originalReady;
+
+    beforeEach(() => {
+      originalDb = fastDatabase.db;
+      originalReady = fastDatabase.isReady;
+      fastDatabase.isReady = true;
+      fastDatabase.currentOrganizationId = 3;
+    });
+
+    afterEach(() => {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+      fastDatabase.currentOrganizationId = null;
+    });
+
+    test('posted expenses are queued for sync and uploaded under their template and date', () => {
+      const row = { ...wages, id: 11, is_recurring: 0, recurring_frequency: null, recurring_template_id: 3, expense_date: '2026-10-19', server_id: null };
+      fastDatabase.db = createMockDb({ expense: row, templateServerId: '77' });
+
+      fastDatabase.createExpense({ category: 'labor', description: 'Casual labour', amount: 60000, expenseDate: '2026-10-19', recurringTemplateId: 3 });
+
+      const [insertSql, insertParams] = fastDatabase.db.runSync.mock.calls[0];
+      expect(insertSql).toContain('recurring_template_id');
+      expect(insertParams[14]).toBe(3);
+
+      const inserts = queueInserts(fastDatabase.db);
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1].slice(0, 3)).toEqual(['expenses', 'CREATE', '11']);
+
+      const payload = syncService.mapLocalToServerRecord('expenses', fastDatabase.remapForeignKeysToServer('expenses', row));
+      expect(payload).toMatchObject({
+        category: 'labor', amount: 60000, expenseDate: '2026-10-19', paymentMethod: 'cash', isRecurring: false,
+        recurringTemplateId: 77, occurrenceDate: '2026-10-19',
+      });
+      expect(payload).not.toHaveProperty('recurring_template_id');
+      expect(payload).not.toHaveProperty('farm_id');
+    });
+
+    test('an occurrence waits for its template to upload, and one already on the server is linked to', async () => {
+      const row = { ...wages, id: 11, is_recurring: 0, recurring_frequency: null, recurring_template_id: 3, expense_date: '2026-10-19' };
+      jest.spyOn(apiService.api, 'post').mockRejectedValue({ response: { status: 409, data: { expense: { id: 55 } } } });
+
+      fastDatabase.db = createMockDb();
+      await expect(syncService.createOnServer('expenses', row)).rejects.toThrow('has not been uploaded yet');
+      expect(apiService.api.post).not.toHaveBeenCalled();
+
+      fastDatabase.db = createMockDb({ templateServerId: '77' });
+      await expect(syncService.createOnServer('expenses', row)).resolves.toEqual({ id: 55 });
+      expect(apiService.api.post).toHaveBeenCalledWith('/expenses', expect.objectContaining({ recurringTemplateId: 77, occurrenceDate: '2026-10-19' }));
+    });
+
+    test('the occurrence lookup stays in the active organization and a missing farm only matches a missing farm', () => {
+      fastDatabase.db = createMockDb();
+
+      fastDatabase.findExpenseForOccurrence({ ...rent, farm_id: null }, '2026-10-31', 500000, 'Farm rent');
+
+      const [sql, params] = fastDatabase.db.getFirstSync.mock.calls.find(([query]) => query.includes('FROM expenses'));
+      expect(sql).toContain('COALESCE(e.organization_id, f.organization_id) = ?');
+      expect(sql).toContain('e.farm_id IS ?');
+      expect(sql).not.toContain('COALESCE(farm_id, 0)');
+      expect(params).toEqual(['2026-10-31', 1, 'utilities', 'Farm rent', 500000, null, 3]);
+    });
+
+    test('an occurrence downloaded from another device is linked to the local template', async () => {
+      jest.spyOn(offlineDataService, 'getByServerId').mockResolvedValue({ id: 3 });
+      const server = { id: 55, category: 'labor', description: 'Casual labour', amount: 60000, expenseDate: '2026-10-19', recurringTemplateId: 77, occurrenceDate: '2026-10-19' };
+
+      const mapped = syncService.mapServerToLocalRecord('expenses', server);
+      await syncService._resolveForeignKeys('expenses', mapped, server);
+
+      expect(offlineDataService.getByServerId).toHaveBeenCalledWith('expenses', '77');
+      expect(mapped.recurring_template_id).toBe(3);
+      expect(mapped).not.toHaveProperty('recurringTemplateId');
+      expect(mapped).not.toHaveProperty('occurrenceDate');
+    });
+
+    test('deleting a synced expense keeps the row until the server delete goes through', () => {
+      fastDatabase.db = createMockDb({ expense: { ...rent, id: 4, server_id: '90' } });
+
+      expect(fastDatabase.deleteExpense(4)).toBe(true);
+
+      const [deleteSql] = fastDatabase.db.runSync.mock.calls[0];
+      expect(deleteSql).toContain('UPDATE expenses SET is_deleted = 1');
+      const inserts = queueInserts(fastDatabase.db);
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1].slice(0, 4)).toEqual(['expenses', 'DELETE', '4', '90']);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * On-device reminders
+ * Verifies the reminder plan for vaccinations, daily records, feed stock and withdrawal periods,
+ * and that a backend push and a local reminder for the same thing are only shown once
+ */
+
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import fastDatabase from '../fastDatabase';
+import feedInventoryService from '../feedInventoryService';
+import reminderService from '../reminderService';
+import { buildReminderPlan, getPushReminderKey } from '../../utils/reminders';
+
+jest.mock('expo-notifications', () => ({
+  SchedulableTriggerInputTypes: { DATE: 'date', TIME_INTERVAL: 'timeInterval' },
+  setNotificationHandler: jest.fn(),
+  scheduleNotificationAsync: jest.fn(),
+  cancelScheduledNotificationAsync: jest.fn(),
+}));
+
+// Monday morning, local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+const vaccinations = [
+  { id: 1, batch_id: 1, batch_name: 'Broilers A', vaccination_type: 'Gumboro', vaccination_date: '2026-10-21', vaccination_time: '09:00' },
+  { id: 2, batch_id: 2, batch_name: 'Broilers B', vaccination_type: 'Gumboro', vaccination_date: '2026-10-21', vaccination_time: null },
+  // Due in two minutes - too close to schedule
+  { id: 3, batch_id: 1, batch_name: 'Broilers A', vaccination_type: 'Newcastle', vaccination_date: '2026-10-19', vaccination_time: '10:02' },
+];
+
+const feedLevels = [
+  { id: 4, farmName: 'North Farm', feedType: 'Starter', daysRemaining: 5, lowStockDays: 3, lowStock: false },
+  { id: 5, farmName: 'North Farm', feedType: 'Grower', daysRemaining: 30, lowStockDays: 3, lowStock: false },
+];
+
+const withdrawals = [
+  { id: 6, batch_name: 'Layers 1', medication: 'Amoxicillin', withdrawal_days: 5, withdrawal_ends_on: '2026-10-22' },
+];
+
+const pushFor = (data) => ({ request: { content: { title: 'Reminder', data } } });
+
+describe('On-device reminders', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Map();
+    AsyncStorage.getItem.mockImplementation(async (key) => (store.has(key) ? store.get(key) : null));
+    AsyncStorage.setItem.mockImplementation(async (key, value) => { store.set(key, value); });
+    AsyncStorage.removeItem.mockImplementation(async (key) => { store.delete(key); });
+
+    let nextId = 0;
+    Notifications.scheduleNotificationAsync.mockImplementation(async () => `local-${++nextId}`);
+    Notifications.cancelScheduledNotificationAsync.mockResolvedValue(undefined);
+
+    jest.spyOn(fastDatabase, 'getUpcomingVaccinations').mockReturnValue(vaccinations);
+    jest.spyOn(fastDatabase, 'countRecordsOn').mockReturnValue(0);
+    jest.spyOn(fastDatabase, 'getActiveWithdrawals').mockReturnValue(withdrawals);
+    jest.spyOn(feedInventoryService, 'getStockLevels').mockReturnValue(feedLevels);
+    reminderService.settings = null;
+  });
+
+  test('the plan covers vaccinations, missing records, feed running low and withdrawal periods', () => {
+    const plan = buildReminderPlan({ now: NOW, vaccinations, recordedToday: 3, feedLevels, withdrawals });
+    const keys = plan.map(reminder => reminder.key);
+
+    // Both batches getting Gumboro on the same day share one reminder per stage
+    const dayBefore = plan.find(reminder => reminder.key === 'vaccination:2026-10-21:gumboro:day_before');
+    expect(dayBefore.fireAt).toEqual(new Date(2026, 9, 20, 9, 0));
+    expect(dayBefore.body).toBe('Prepare for Gumboro vaccination tomorrow at 09:00 (Broilers A, Broilers B)');
+    expect(keys).toContain('vaccination:2026-10-21:gumboro:due');
+    expect(keys.some(key => key.includes('newcastle'))).toBe(false);
+
+    // Records were entered today, so the first daily reminder is tomorrow evening
+    expect(keys).not.toContain('daily_records:2026-10-19');
+    expect(plan.find(reminder => reminder.key === 'daily_records:2026-10-20').fireAt).toEqual(new Date(2026, 9, 20, 18, 0));
+
+    // Starter reaches its 3-day warning in two days; Grower lasts beyond the week
+    const feed = plan.find(reminder => reminder.type === 'feed_stock');
+    expect(feed.key).toBe('feed_stock:2026-10-21:starter');
+    expect(feed.body).toBe('North Farm has about 3 days of Starter left. Order more feed soon.');
+    expect(keys.some(key => key.includes('grower'))).toBe(false);
+
+    expect(plan.find(reminder => reminder.type === 'withdrawal').fireAt).toEqual(new Date(2026, 9, 22, 8, 0));
+
+    // Soonest first, all marked as local
+    expect(plan.map(reminder => reminder.fireAt)).toEqual([...plan.map(reminder => reminder.fireAt)].sort((a, b) => a - b));
+    expect(plan.every(reminder => reminder.data.source === 'local_reminder')).toBe(true);
+
+    const vaccinationsOnly = buildReminderPlan({
+      now: NOW, vaccinations, feedLevels, withdrawals,
+      settings: { dailyEntryReminder: false, feedStockReminder: false, withdrawalReminder: false },
+    });
+    expect(vaccinationsOnly.every(reminder => reminder.type === 'vaccination')).toBe(true);
+  });
+
+  test('backend pushes map onto the same keys as the local reminders', () => {
+    expect(getPushReminderKey({
+      type: 'vaccination_reminder_day_before',
+      vaccination: { vaccinationType: 'Gumboro', vaccinationDate: '2026-10-21' },
+    }, NOW)).toBe('vaccination:2026-10-21:gumboro:day_before');
+    expect(getPushReminderKey({ type: 'daily_reminder', hour: 18 }, NOW)).toBe('daily_records:2026-10-19');
+    expect(getPushReminderKey({ type: 'test' }, NOW)).toBeNull();
+    expect(getPushReminderKey({ type: 'daily_reminder', source: 'local_reminder' }, NOW)).toBeNull();
+  });
+
+  test('rescheduling keeps unchanged reminders and a push replaces its local reminder', async () => {
+    const plan = await reminderService.reschedule(NOW);
+    expect(plan.length).toBeGreaterThan(0);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(plan.length);
+    // Soonest is today's records reminder at 6 PM, scheduled for that time rather than shown now
+    expect(Notifications.scheduleNotificationAsync.mock.calls[0][0].trigger).toEqual({
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: new Date(2026, 9, 19, 18, 0),
+    });
+
+    // Nothing changed, so nothing is scheduled twice
+    await reminderService.reschedule(NOW);
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(plan.length);
+
+    // The backend's day-before push arrives first: the local one is cancelled and not rescheduled
+    const scheduled = JSON.parse(store.get('reminder_scheduled'));
+    const localId = scheduled['vaccination:2026-10-21:gumboro:day_before'].id;
+    const push = pushFor({ type: 'vaccination_reminder_day_before', vaccinationType: 'Gumboro', vaccinationDate: '2026-10-21' });
+
+    expect(await reminderService.shouldPresent(push, new Date(2026, 9, 19, 12, 0))).toBe(true);
+    expect(Notifications.cancelScheduledNotificationAsync).toHaveBeenCalledWith(localId);
+
+    await reminderService.reschedule(new Date(2026, 9, 19, 12, 5));
+    const rescheduledKeys = Notifications.scheduleNotificationAsync.mock.calls
+      .map(([request]) => request.content.data.reminderKey);
+    expect(rescheduledKeys.filter(key => key === 'vaccination:2026-10-21:gumboro:day_before')).toHaveLength(1);
+
+    // A local copy that still fires is not shown either
+    const local = pushFor({ source: 'local_reminder', reminderKey: 'vaccination:2026-10-21:gumboro:day_before' });
+    expect(await reminderService.shouldPresent(local, new Date(2026, 9, 20, 9, 0))).toBe(false);
+  });
+
+  test('overlapping reschedules run one after the other and schedule each reminder once', async () => {
+    // A vaccination is saved while the first run is scheduling
+    fastDatabase.getUpcomingVaccinations.mockReturnValueOnce(vaccinations).mockReturnValue([
+      ...vaccinations,
+      { id: 7, batch_id: 2, batch_name: 'Broilers B', vaccination_type: 'Newcastle', vaccination_date: '2026-10-23', vaccination_time: '08:00' },
+    ]);
+
+    const [firstPlan, secondPlan] = await Promise.all([reminderService.reschedule(NOW), reminderService.reschedule(NOW)]);
+    expect(secondPlan.length).toBeGreaterThan(firstPlan.length);
+
+    const scheduledKeys = Notifications.scheduleNotificationAsync.mock.calls
+      .map(([request]) => request.content.data.reminderKey);
+    expect(new Set(scheduledKeys).size).toBe(scheduledKeys.length);
+    expect(scheduledKeys).toHaveLength(secondPlan.length);
+    expect(Object.keys(JSON.parse(store.get('reminder_scheduled')))).toHaveLength(secondPlan.length);
+    expect(reminderService.running).toBeNull();
+  });
+
+  test('a late push for a reminder already shown on the device is not shown again', async () => {
+    await reminderService.reschedule(NOW);
+
+    // The device was offline at 6 PM and got the backend's reminder an hour later
+    const latePush = pushFor({ type: 'daily_reminder', hour: 18 });
+    expect(await reminderService.shouldPresent(latePush, new Date(2026, 9, 19, 19, 0))).toBe(false);
+
+    // Other notifications are always shown
+    expect(await reminderService.shouldPresent(pushFor({ type: 'test' }), NOW)).toBe(true);
+
+    await reminderService.cancelAll();
+    expect(store.has('reminder_scheduled')).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Sales analytics
+ * Verifies on-device revenue by product, month, customer and batch, average price trends
+ * (egg sales priced per tray) and that the analytics only read the active organization's sales
+ */
+
+import fastDatabase from '../fastDatabase';
+import fastApiService from '../fastApiService';
+import {
+  computeSalesAnalytics,
+  getPeriodMonths,
+  normalizeProductType,
+} from '../../utils/salesAnalytics';
+
+const END_DATE = new Date(2026, 9, 15);
+
+const SALES = [
+  { id: 1, sale_date: '2026-08-03', product_type: 'birds', quantity: 100, unit: 'birds', total_amount: 1500000, amount_paid: 1500000, amount_due: 0, customer_id: 1, customer_name: 'Kampala Hotel', batch_id: 4, batch_name: 'House A' },
+  { id: 2, sale_date: '2026-08-20', product_type: 'eggs', quantity: 2, unit: 'crates', total_amount: 240000, amount_paid: 240000, amount_due: 0, customer_id: 2, customer_name: 'Mama Rose', batch_id: 6, batch_name: 'Layer House 1' },
+  { id: 3, sale_date: '2026-09-10', product_type: 'eggs', quantity: 30, unit: 'trays', total_amount: 330000, amount_paid: 200000, amount_due: 130000, customer_id: 1, customer_name: 'Kampala Hotel', batch_id: 6, batch_name: 'Layer House 1' },
+  { id: 4, sale_date: '2026-10-01', product_type: 'meat', quantity: 20, unit: 'kg', total_amount: 300000, amount_paid: 300000, amount_due: 0, customer_id: null, batch_id: null },
+  { id: 5, sale_date: '2026-10-02', product_type: 'manure', quantity: 10, unit: 'bags', total_amount: 50000, amount_paid: 50000, amount_due: 0, customer_id: 2, customer_name: 'Mama Rose', batch_id: null },
+  // Outside a 3 month period
+  { id: 6, sale_date: '2026-07-31', product_type: 'birds', quantity: 10, total_amount: 150000, customer_id: 3, customer_name: 'Old Customer', batch_id: 4 },
+];
+
+describe('Sales analytics', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('revenue is broken down by product, month, customer and batch', () => {
+    const analytics = computeSalesAnalytics(SALES, { months: 3, endDate: END_DATE });
+
+    expect(getPeriodMonths(3, END_DATE)).toEqual(['2026-08', '2026-09', '2026-10']);
+    expect(analytics.totals).toEqual({ revenue: 2420000, paid: 2290000, due: 130000, salesCount: 5, avgSale: 484000 });
+    expect(analytics.byMonth).toEqual([
+      { month: '2026-08', label: 'Aug 26', revenue: 1740000 },
+      { month: '2026-09', label: 'Sep 26', revenue: 330000 },
+      { month: '2026-10', label: 'Oct 26', revenue: 350000 },
+    ]);
+
+    expect(analytics.byProduct.map(product => [product.key, product.revenue, product.share])).toEqual([
+      ['birds', 1500000, 62],
+      ['eggs', 570000, 23.6],
+      ['dressed_birds', 300000, 12.4],
+      ['manure', 50000, 2.1],
+    ]);
+
+    expect(analytics.byCustomer.map(customer => [customer.name, customer.revenue, customer.salesCount])).toEqual([
+      ['Kampala Hotel', 1830000, 2],
+      ['Walk-in Customers', 300000, 1],
+      ['Mama Rose', 290000, 2],
+    ]);
+    // Walk-in sales have no customer, so they are left out of the top customers
+    expect(analytics.topCustomers.map(customer => customer.name)).toEqual(['Kampala Hotel', 'Mama Rose']);
+    expect(analytics.topCustomers[0].lastSaleDate).toBe('2026-09-10');
+
+    expect(analytics.byBatch).toEqual([
+      { batchId: 4, name: 'House A', revenue: 1500000, birdsSold: 100, share: 62 },
+      { batchId: 6, name: 'Layer House 1', revenue: 570000, birdsSold: 0, share: 23.6 },
+    ]);
+  });
+
+  test('average prices are compared per tray for eggs and per unit for other products', () => {
+    const analytics = computeSalesAnalytics(SALES, { months: 3, endDate: END_DATE });
+
+    const eggs = analytics.byProduct.find(product => product.key === 'eggs');
+    // 2 crates = 24 trays, plus 30 trays
+    expect(eggs).toMatchObject({ quantity: 54, avgPrice: 10555.56, priceUnit: 'tray' });
+
+    const eggTrend = analytics.priceTrends.find(trend => trend.key === 'eggs');
+    expect(eggTrend.points).toEqual([
+      { month: '2026-08', label: 'Aug 26', avgPrice: 10000 },
+      { month: '2026-09', label: 'Sep 26', avgPrice: 11000 },
+    ]);
+    expect(analytics.priceTrends.find(trend => trend.key === 'birds').points).toEqual([
+      { month: '2026-08', label: 'Aug 26', avgPrice: 15000 },
+    ]);
+
+    expect(normalizeProductType('meat')).toBe('dressed_birds');
+    expect(normalizeProductType('Feathers')).toBe('other');
+  });
+
+  test('an empty period still lists every month with no revenue', () => {
+    const analytics = computeSalesAnalytics([], { months: 6, endDate: END_DATE });
+    expect(analytics.byMonth).toHaveLength(6);
+    expect(analytics.byMonth[0].month).toBe('2026-05');
+    expect(analytics.totals).toEqual({ revenue: 0, paid: 0, due: 0, salesCount: 0, avgSale: 0 });
+    expect(analytics.byProduct).toEqual([]);
+    expect(analytics.priceTrends).toEqual([]);
+  });
+
+  test('analytics are read from local sales of the active organization', async () => {
+    const originalDb = fastDatabase.db;
+    const originalReady = fastDatabase.isReady;
+    const originalOrganizationId = fastDatabase.currentOrganizationId;
+    fastDatabase.isReady = true;
+    fastDatabase.currentOrganizationId = 7;
+    fastDatabase.db = {
+      execSync: jest.fn(),
+      runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 1 })),
+      getFirstSync: jest.fn(() => null),
+      getAllSync: jest.fn(() => SALES.slice(0, 5)),
+    };
+
+    try {
+      const response = await fastApiService.getSalesAnalytics({ months: 3, endDate: END_DATE });
+
+      expect(response).toMatchObject({ success: true, source: 'local' });
+      expect(response.data.totals.revenue).toBe(2420000);
+      const [sql, params] = fastDatabase.db.getAllSync.mock.calls[0];
+      expect(sql).toContain('s.organization_id = ?');
+      expect(params).toEqual(['2026-08-01', 7]);
+    } finally {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+      fastDatabase.currentOrganizationId = originalOrganizationId;
+    }
+  });
+});
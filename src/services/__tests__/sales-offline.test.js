@@ -0,0 +1,96 @@
+/**
+ * Offline-first sales tables
+ * Verifies customers/sales/invoices/payments are written locally and queued in sync_queue
+ */
+
+import fastDatabase from '../fastDatabase';
+
+const createMockDb = (rows = {}) => ({
+  execSync: jest.fn(),
+  runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 7 })),
+  getFirstSync: jest.fn((sql) => {
+    if (sql.includes('SELECT 1 as test')) return { test: 1 };
+    if (sql.includes('FROM sync_queue')) return rows.pendingCreate || null;
+    if (sql.includes('FROM customers')) return rows.customer || null;
+    if (sql.includes('FROM sales')) return rows.sale || null;
+    return null;
+  }),
+  getAllSync: jest.fn(() => []),
+});
+
+const queueInserts = (db) =>
+  db.runSync.mock.calls.filter(([sql]) => sql.includes('INSERT INTO sync_queue'));
+
+describe('Offline sales storage', () => {
+  let originalDb;
+  let originalReady;
+
+  beforeEach(() => {
+    originalDb = fastDatabase.db;
+    originalReady = fastDatabase.isReady;
+    fastDatabase.isReady = true;
+    fastDatabase.currentOrganizationId = 3;
+  });
+
+  afterEach(() => {
+    fastDatabase.db = originalDb;
+    fastDatabase.isReady = originalReady;
+    fastDatabase.currentOrganizationId = null;
+  });
+
+  test('createSale stores derived amounts and queues a CREATE with the local row id', () => {
+    const sale = { id: 7, server_id: null, quantity: 10, unit_price: 5000, total_amount: 50000 };
+    fastDatabase.db = createMockDb({ sale });
+
+    const result = fastDatabase.createSale({
+      quantity: 10,
+      unitPrice: 5000,
+      paymentStatus: 'partial',
+      amountPaid: 20000,
+    });
+
+    expect(result).toEqual(sale);
+
+    const [insertSql, insertParams] = fastDatabase.db.runSync.mock.calls[0];
+    expect(insertSql).toContain('INSERT INTO sales');
+    expect(insertParams[0]).toBe(3); // organization_id
+    expect(insertParams).toEqual(expect.arrayContaining([50000, 20000, 30000, 'partial']));
+
+    const inserts = queueInserts(fastDatabase.db);
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1].slice(0, 3)).toEqual(['sales', 'CREATE', '7']);
+  });
+
+  test('createSale rejects a sale without quantity', () => {
+    fastDatabase.db = createMockDb();
+
+    expect(() => fastDatabase.createSale({ unitPrice: 5000 })).toThrow('Failed to create sale');
+    expect(queueInserts(fastDatabase.db)).toHaveLength(0);
+  });
+
+  test('editing a customer that never synced rewrites its pending CREATE', () => {
+    fastDatabase.db = createMockDb({
+      customer: { id: 4, server_id: null, name: 'Mama Rose' },
+      pendingCreate: { id: 11 },
+    });
+
+    fastDatabase.updateCustomer(4, { name: 'Mama Rose' });
+
+    expect(queueInserts(fastDatabase.db)).toHaveLength(0);
+    const rewrite = fastDatabase.db.runSync.mock.calls.find(([sql]) => sql.startsWith('UPDATE sync_queue'));
+    expect(rewrite).toBeDefined();
+    expect(rewrite[1][2]).toBe(11);
+  });
+
+  test('deleting a synced customer queues a DELETE with its server id', () => {
+    fastDatabase.db = createMockDb({
+      customer: { id: 4, server_id: 'c-123', name: 'Mama Rose' },
+    });
+
+    expect(fastDatabase.deleteCustomer(4)).toBe(true);
+
+    const inserts = queueInserts(fastDatabase.db);
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1].slice(0, 4)).toEqual(['customers', 'DELETE', '4', 'c-123']);
+  });
+});
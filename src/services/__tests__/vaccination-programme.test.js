@@ -0,0 +1,123 @@
+/**
+ * Vaccination programme templates
+ * Verifies schedules are offset from arrival_date and applying a template plans each vaccination once
+ */
+
+import fastDatabase from '../fastDatabase';
+import reminderService from '../reminderService';
+import vaccinationProgrammeService from '../vaccinationProgrammeService';
+
+jest.mock('../reminderService', () => ({
+  reschedule: jest.fn(),
+}));
+jest.mock('../autoSyncService', () => ({
+  syncAfterActivity: jest.fn(),
+}));
+
+const template = {
+  id: 4,
+  name: 'Broiler Standard Programme',
+  items: [
+    { vaccine: 'Marek\'s Disease', dayOffset: 1, medication: 'HVT' },
+    { vaccine: 'Gumboro (IBD)', dayOffset: 14, medication: '', notes: 'Drinking water' },
+  ],
+};
+
+describe('Vaccination programmes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('schedule dates are offset from the arrival date across month ends', () => {
+    const schedule = vaccinationProgrammeService.buildSchedule(template, '2026-01-20T00:00:00.000Z');
+
+    expect(schedule.map(item => item.vaccinationDate)).toEqual(['2026-01-21', '2026-02-03']);
+    expect(schedule[0]).toMatchObject({ vaccinationType: 'Marek\'s Disease', medication: 'HVT', vaccinationTime: '08:00' });
+    expect(schedule[1].notes).toBe('Broiler Standard Programme - day 14. Drinking water');
+  });
+
+  test('a batch without an arrival date cannot be scheduled', () => {
+    expect(() => vaccinationProgrammeService.buildSchedule(template, null)).toThrow('no valid arrival date');
+  });
+
+  test('templates are validated and sorted by day', () => {
+    const normalized = vaccinationProgrammeService.normalizeTemplate({
+      name: '  Layer  ',
+      items: [
+        { vaccine: 'Fowl Pox', dayOffset: '42' },
+        { vaccine: ' Marek\'s Disease ', dayOffset: 0 },
+      ],
+    });
+
+    expect(normalized.name).toBe('Layer');
+    expect(normalized.items.map(item => item.dayOffset)).toEqual([0, 42]);
+    expect(normalized.items[0].vaccine).toBe('Marek\'s Disease');
+
+    expect(() => vaccinationProgrammeService.normalizeTemplate({ name: 'Empty', items: [] })).toThrow('at least one');
+    expect(() => vaccinationProgrammeService.normalizeTemplate({
+      name: 'Bad day',
+      items: [{ vaccine: 'Gumboro (IBD)', dayOffset: -3 }],
+    })).toThrow('whole number');
+  });
+
+  test('applying a template reschedules reminders once and counts only the ones scheduled', async () => {
+    jest.spyOn(fastDatabase, 'getVaccinationTemplateById').mockReturnValue(template);
+    jest.spyOn(fastDatabase, 'getBatchById').mockReturnValue({ id: 7, farm_id: 2, arrival_date: '2020-01-01' });
+    const createPlanned = jest.spyOn(fastDatabase, 'createPlannedVaccinations')
+      .mockImplementation((batchId, records) => records.slice(1).map((record, index) => ({ id: index + 1, ...record })));
+
+    const future = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    jest.spyOn(vaccinationProgrammeService, 'buildSchedule').mockReturnValue([
+      { vaccinationType: 'Marek\'s Disease', vaccinationDate: future, vaccinationTime: '08:00' },
+      { vaccinationType: 'Gumboro (IBD)', vaccinationDate: '2020-01-15', vaccinationTime: '08:00' },
+      { vaccinationType: 'Newcastle Disease (ND)', vaccinationDate: future, vaccinationTime: '08:00' },
+    ]);
+
+    // Two reminders (day before and due) for the new Newcastle record; none for records outside the horizon
+    reminderService.reschedule.mockResolvedValue([
+      { key: 'vaccination|nd|day_before', data: { vaccinationIds: [2] } },
+      { key: 'vaccination|nd|due', data: { vaccinationIds: [2] } },
+      { key: 'vaccination|other|due', data: { vaccinationIds: [40] } },
+      { key: 'daily_records|today', data: {} },
+    ]);
+
+    const result = await vaccinationProgrammeService.applyTemplateToBatch(7, 4);
+
+    expect(createPlanned).toHaveBeenCalledWith(7, expect.any(Array));
+    expect(result.created).toHaveLength(2);
+    expect(result.skipped).toBe(1);
+    expect(result.remindersScheduled).toBe(2);
+    expect(reminderService.reschedule).toHaveBeenCalledTimes(1);
+  });
+
+  test('planned vaccinations skip entries already on the batch schedule', () => {
+    const originalDb = fastDatabase.db;
+    const originalReady = fastDatabase.isReady;
+    fastDatabase.isReady = true;
+    fastDatabase.db = {
+      execSync: jest.fn(),
+      runSync: jest.fn(() => ({ changes: 1, lastInsertRowId: 11 })),
+      getFirstSync: jest.fn((sql, params) => {
+        if (sql.includes('SELECT 1 as test')) return { test: 1 };
+        if (sql.includes('FROM poultry_batches')) return { id: 7, farm_id: 2 };
+        return params && params[1] === 'Gumboro (IBD)' ? { id: 3 } : null;
+      }),
+      getAllSync: jest.fn(() => []),
+    };
+
+    try {
+      const created = fastDatabase.createPlannedVaccinations(7, [
+        { vaccinationType: 'Marek\'s Disease', vaccinationDate: '2026-01-21' },
+        { vaccinationType: 'Gumboro (IBD)', vaccinationDate: '2026-02-03' },
+      ]);
+
+      expect(created).toHaveLength(1);
+      const inserts = fastDatabase.db.runSync.mock.calls.filter(([sql]) => sql.includes('INSERT INTO vaccination_records'));
+      expect(inserts).toHaveLength(1);
+      expect(inserts[0][1].slice(0, 4)).toEqual([7, 2, 'Marek\'s Disease', '2026-01-21']);
+    } finally {
+      fastDatabase.db = originalDb;
+      fastDatabase.isReady = originalReady;
+    }
+  });
+});
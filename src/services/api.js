@@ -417,6 +417,16 @@ class ApiService {
     }
   }
 
+  // Moves birds between flocks; a transfer into a new flock creates it in the same request
+  async createBirdTransfer(transferData) {
+    try {
+      const response = await this.api.post('/flocks/transfers', transferData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // Feed Records endpoints
   async getFeedRecords() {
     try {
@@ -824,6 +834,204 @@ class ApiService {
     }
   }
 
+  // ==================== ORGANIZATION SETTINGS ====================
+
+  async getOrganizationSettings() {
+    try {
+      const response = await this.api.get('/v1/organization-settings');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateOrganizationSetting(settingKey, value, updatedAt) {
+    try {
+      const response = await this.api.put(`/v1/organization-settings/${encodeURIComponent(settingKey)}`, { value, updatedAt });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // ==================== SALES & RECEIVABLES ====================
+
+  async getCustomers() {
+    try {
+      const response = await this.api.get('/v1/customers?page=1&limit=100');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async createCustomer(customerData) {
+    try {
+      const response = await this.api.post('/v1/customers', customerData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateCustomer(customerId, customerData) {
+    try {
+      const response = await this.api.patch(`/v1/customers/${customerId}`, customerData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteCustomer(customerId) {
+    try {
+      const response = await this.api.delete(`/v1/customers/${customerId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getSales() {
+    try {
+      const response = await this.api.get('/sales');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async createSale(saleData) {
+    try {
+      const response = await this.api.post('/sales', saleData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateSale(saleId, saleData) {
+    try {
+      const response = await this.api.patch(`/sales/${saleId}`, saleData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteSale(saleId) {
+    try {
+      const response = await this.api.delete(`/sales/${saleId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getInvoices() {
+    try {
+      const response = await this.api.get('/v1/invoices');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async createInvoice(invoiceData) {
+    try {
+      const response = await this.api.post('/v1/invoices', invoiceData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updateInvoice(invoiceId, invoiceData) {
+    try {
+      const response = await this.api.patch(`/v1/invoices/${invoiceId}`, invoiceData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteInvoice(invoiceId) {
+    try {
+      const response = await this.api.delete(`/v1/invoices/${invoiceId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async getPayments() {
+    try {
+      const response = await this.api.get('/v1/payments');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async createPayment(paymentData) {
+    try {
+      const response = await this.api.post('/v1/payments', paymentData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async updatePayment(paymentId, paymentData) {
+    try {
+      const response = await this.api.patch(`/v1/payments/${paymentId}`, paymentData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deletePayment(paymentId) {
+    try {
+      const response = await this.api.delete(`/v1/payments/${paymentId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  // ==================== EXPENSES ====================
+
+  async createExpense(expenseData) {
+    try {
+      const response = await this.api.post('/expenses', expenseData);
+      return response.data;
+    } catch (error) {
+      // A recurring occurrence another device already posted: link to the server's copy
+      const existing = error?.response?.status === 409 ? error.response.data?.expense : null;
+      if (existing?.id) return existing;
+      throw this.handleError(error);
+    }
+  }
+
+  async updateExpense(expenseId, expenseData) {
+    try {
+      const response = await this.api.patch(`/expenses/${expenseId}`, expenseData);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  async deleteExpense(expenseId) {
+    try {
+      const response = await this.api.delete(`/expenses/${expenseId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // ==================== ANALYTICS ENDPOINTS ====================
 
   /**
@@ -0,0 +1,335 @@
+/**
+ * App Lock Service
+ *
+ * Keeps a signed-in session behind a short PIN (and device biometrics when available) so someone
+ * who picks up the phone cannot open the organization's records and financials.
+ *
+ * FLOW:
+ * 1. The user sets a PIN in Profile → App Lock (stored as a bcrypt hash, never the raw PIN)
+ * 2. A restored session, an inactivity timeout or a return from the background locks the app
+ * 3. Each wrong PIN is counted across restarts; after the chosen limit all local data is erased
+ *
+ * Biometrics use expo-local-authentication; on a device without fingerprint or face unlock the
+ * option is shown as unavailable and the PIN is used.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import bcrypt from 'bcryptjs';
+import fastDatabase from './fastDatabase';
+import authStorage from './authStorage';
+import reminderService from './reminderService';
+
+const SETTINGS_KEY = 'app_lock_settings';
+
+// Sync watermarks (per organization, see syncService.getSyncTimestampKey). Left behind after a wipe,
+// the next sign-in would only download what changed since and the erased records would not come back.
+const SYNC_STATE_KEYS = ['lastSyncTimestamp', 'lastSyncTime', 'initialSyncCompleted'];
+const isSyncStateKey = (key) => SYNC_STATE_KEYS.includes(key) || key.startsWith('lastSyncTimestamp:');
+const SALT_ROUNDS = 8; // Lower than passwords so unlocking stays quick on low-end phones
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 6;
+
+// Inactivity timeout while the app is open
+export const LOCK_TIMEOUT_OPTIONS = [
+  { minutes: 1, label: '1 minute' },
+  { minutes: 2, label: '2 minutes' },
+  { minutes: 5, label: '5 minutes' },
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 30, label: '30 minutes' },
+];
+
+// Wrong PINs before local data is erased
+export const WIPE_AFTER_OPTIONS = [5, 10, 15];
+
+// Camera, pickers and share sheets briefly send the app to the background - only lock after this
+export const BACKGROUND_GRACE_MS = 10 * 1000;
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  pinHash: null,
+  biometricsEnabled: false,
+  timeoutMinutes: 5,
+  wipeAfterAttempts: 10,
+  failedAttempts: 0,
+  wipePending: false, // Set before erasing, cleared once every step has gone through
+};
+
+class AppLockService {
+  constructor() {
+    this.serviceName = 'AppLockService';
+    this.settings = null;
+    this.lastActivityAt = Date.now();
+    this.backgroundedAt = null;
+  }
+
+  async loadSettings() {
+    if (this.settings) return this.settings;
+    try {
+      const stored = await AsyncStorage.getItem(SETTINGS_KEY);
+      this.settings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.error('[AppLock] Failed to load settings:', error);
+      this.settings = { ...DEFAULT_SETTINGS };
+    }
+    return this.settings;
+  }
+
+  async saveSettings(changes) {
+    const current = await this.loadSettings();
+    this.settings = { ...current, ...changes };
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    return this.getSettings();
+  }
+
+  /**
+   * Current settings for the UI - the PIN hash is never returned
+   * @returns {Object} { enabled, hasPin, biometricsEnabled, timeoutMinutes, wipeAfterAttempts, failedAttempts, attemptsLeft }
+   */
+  async getSettings() {
+    const { pinHash, ...settings } = await this.loadSettings();
+    return {
+      ...settings,
+      hasPin: !!pinHash,
+      attemptsLeft: Math.max(0, settings.wipeAfterAttempts - settings.failedAttempts),
+    };
+  }
+
+  async isEnabled() {
+    const settings = await this.loadSettings();
+    return !!(settings.enabled && settings.pinHash);
+  }
+
+  validatePin(pin) {
+    const value = String(pin ?? '');
+    if (!new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(value)) {
+      throw new Error(`The PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits`);
+    }
+    return value;
+  }
+
+  /**
+   * Set or change the PIN and turn the lock on
+   * @param {string} pin - 4 to 6 digits
+   */
+  async setPin(pin) {
+    const value = this.validatePin(pin);
+    const pinHash = await bcrypt.hash(value, SALT_ROUNDS);
+    console.log('[AppLock] ✅ PIN set - app lock enabled');
+    this.recordActivity();
+    return this.saveSettings({ enabled: true, pinHash, failedAttempts: 0 });
+  }
+
+  /**
+   * Check a PIN entered on the lock screen
+   * Wrong PINs are counted; reaching the limit erases local data
+   * @param {string} pin
+   * @returns {Object} { success, attemptsLeft, wiped }
+   */
+  async verifyPin(pin) {
+    const settings = await this.loadSettings();
+    if (settings.wipePending) {
+      await this.wipeLocalData();
+      return { success: false, attemptsLeft: 0, wiped: true };
+    }
+    if (!settings.pinHash) {
+      return { success: true, attemptsLeft: settings.wipeAfterAttempts, wiped: false };
+    }
+
+    const isValid = await bcrypt.compare(String(pin ?? ''), settings.pinHash);
+    if (isValid) {
+      await this.saveSettings({ failedAttempts: 0 });
+      this.recordActivity();
+      return { success: true, attemptsLeft: settings.wipeAfterAttempts, wiped: false };
+    }
+
+    const failedAttempts = settings.failedAttempts + 1;
+    const attemptsLeft = Math.max(0, settings.wipeAfterAttempts - failedAttempts);
+    console.warn(`[AppLock] ❌ Wrong PIN (${failedAttempts}/${settings.wipeAfterAttempts})`);
+
+    if (attemptsLeft === 0) {
+      // Recorded first, so a wipe that fails part-way is finished on the next try or launch
+      // instead of leaving the count one short of the limit
+      try {
+        await this.saveSettings({ failedAttempts, wipePending: true });
+      } catch (error) {
+        console.error('[AppLock] ❌ Failed to record the pending wipe:', error);
+      }
+      await this.wipeLocalData();
+      return { success: false, attemptsLeft: 0, wiped: true };
+    }
+
+    await this.saveSettings({ failedAttempts });
+    return { success: false, attemptsLeft, wiped: false };
+  }
+
+  /**
+   * Turn the lock off - needs the current PIN
+   * @param {string} pin
+   */
+  async disable(pin) {
+    const settings = await this.loadSettings();
+    if (settings.pinHash && !(await bcrypt.compare(String(pin ?? ''), settings.pinHash))) {
+      throw new Error('The PIN is not correct');
+    }
+    this.settings = { ...DEFAULT_SETTINGS };
+    await AsyncStorage.removeItem(SETTINGS_KEY);
+    console.log('[AppLock] App lock disabled');
+    return this.getSettings();
+  }
+
+  /**
+   * Change the timeout, the wipe limit or biometrics
+   * @param {Object} changes - { timeoutMinutes, wipeAfterAttempts, biometricsEnabled }
+   */
+  async updateSettings(changes = {}) {
+    const allowed = {};
+    if (changes.timeoutMinutes !== undefined) {
+      if (!LOCK_TIMEOUT_OPTIONS.some(option => option.minutes === changes.timeoutMinutes)) {
+        throw new Error('Choose one of the lock timeouts offered');
+      }
+      allowed.timeoutMinutes = changes.timeoutMinutes;
+    }
+    if (changes.wipeAfterAttempts !== undefined) {
+      if (!WIPE_AFTER_OPTIONS.includes(changes.wipeAfterAttempts)) {
+        throw new Error('Choose one of the attempt limits offered');
+      }
+      allowed.wipeAfterAttempts = changes.wipeAfterAttempts;
+    }
+    if (changes.biometricsEnabled !== undefined) {
+      if (changes.biometricsEnabled && !(await this.isBiometricSupported())) {
+        throw new Error('This device has no fingerprint or face unlock set up');
+      }
+      allowed.biometricsEnabled = !!changes.biometricsEnabled;
+    }
+    return this.saveSettings(allowed);
+  }
+
+  async isBiometricSupported() {
+    try {
+      const [hasHardware, isEnrolled] = await Promise.all([
+        LocalAuthentication.hasHardwareAsync(),
+        LocalAuthentication.isEnrolledAsync(),
+      ]);
+      return hasHardware && isEnrolled;
+    } catch (error) {
+      console.warn('[AppLock] Biometric check failed:', error?.message || error);
+      return false;
+    }
+  }
+
+  /**
+   * Unlock with the device fingerprint / face unlock
+   * @returns {boolean} True when the user was recognised
+   */
+  async authenticateWithBiometrics() {
+    try {
+      const settings = await this.loadSettings();
+      if (!settings.biometricsEnabled || !(await this.isBiometricSupported())) return false;
+
+      const result = await LocalAuthentication.authenticateAsync({
+        promptMessage: 'Unlock Poultry360',
+        cancelLabel: 'Use PIN',
+        disableDeviceFallback: true,
+      });
+      if (result?.success) {
+        await this.saveSettings({ failedAttempts: 0 });
+        this.recordActivity();
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.warn('[AppLock] Biometric unlock failed:', error?.message || error);
+      return false;
+    }
+  }
+
+  // Touches on the screen keep the session open
+  recordActivity(now = Date.now()) {
+    this.lastActivityAt = now;
+  }
+
+  markBackground(now = Date.now()) {
+    this.backgroundedAt = now;
+  }
+
+  /**
+   * Whether the app should lock now
+   * @param {number} now
+   * @param {boolean} returningFromBackground - the app just became active again
+   */
+  shouldLock(now = Date.now(), returningFromBackground = false) {
+    const settings = this.settings;
+    if (!settings?.enabled || !settings.pinHash) return false;
+
+    if (returningFromBackground && this.backgroundedAt !== null) {
+      const awayMs = now - this.backgroundedAt;
+      this.backgroundedAt = null;
+      if (awayMs >= BACKGROUND_GRACE_MS) return true;
+    }
+
+    return now - this.lastActivityAt >= settings.timeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Finish a wipe that was cut short by an error or by the app closing. Called on launch.
+   * @returns {Promise<boolean>} Whether a wipe was pending
+   */
+  async resumePendingWipe() {
+    const settings = await this.loadSettings();
+    if (!settings.wipePending) return false;
+
+    console.warn('[AppLock] Finishing an interrupted wipe');
+    await this.wipeLocalData();
+    return true;
+  }
+
+  /**
+   * Erase everything this device holds for the organization: records, queued changes,
+   * stored offline logins, the session, sync watermarks, scheduled reminders and the lock itself.
+   * Every step runs even when an earlier one fails; the lock settings (with wipePending) are only
+   * removed once all of them went through, so the rest is retried on the next launch.
+   * @returns {Promise<boolean>} Whether every step succeeded
+   */
+  async wipeLocalData() {
+    console.warn('[AppLock] 🔥 Too many wrong PINs - erasing local data');
+    const steps = [
+      ['database', () => fastDatabase.clearAllData()],
+      ['reminders', () => reminderService.cancelAll()],
+      ['offline logins', () => authStorage.clearCredentials()],
+      ['session', async () => {
+        const syncStateKeys = (await AsyncStorage.getAllKeys()).filter(isSyncStateKey);
+        await AsyncStorage.multiRemove(['authToken', 'userData', ...syncStateKeys]);
+      }],
+    ];
+
+    let complete = true;
+    for (const [label, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        complete = false;
+        console.error(`[AppLock] ❌ Failed to erase ${label}:`, error);
+      }
+    }
+
+    if (!complete) {
+      console.warn('[AppLock] Local data partly erased - the rest is retried on the next launch');
+      return false;
+    }
+
+    try {
+      await AsyncStorage.removeItem(SETTINGS_KEY);
+    } catch (error) {
+      console.error('[AppLock] ❌ Failed to remove lock settings:', error);
+      return false;
+    }
+    this.settings = { ...DEFAULT_SETTINGS };
+    console.warn('[AppLock] Local data erased');
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new AppLockService();
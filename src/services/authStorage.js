@@ -8,21 +8,61 @@
  * 1. On first successful online login → store hashed credentials locally
  * 2. On subsequent logins → if offline, validate against stored hash
  * 3. On registration → must be online, then store credentials for future offline use
+ *
+ * OFFLINE PROFILES: A farm tablet is often shared by several workers, so credentials are kept
+ * per user (one profile per email) instead of only for the last person who logged in online.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import bcrypt from 'bcryptjs';
 
-const CREDENTIALS_KEY = 'secure_user_credentials';
+const PROFILES_KEY = 'secure_user_profiles';
+const LEGACY_CREDENTIALS_KEY = 'secure_user_credentials'; // Single-user entry from version 1
 const SALT_ROUNDS = 10;
+const MAX_PROFILES = 8; // Oldest sign-in is dropped beyond this
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
 
 class AuthStorageService {
   constructor() {
     this.serviceName = 'AuthStorageService';
   }
 
+  /**
+   * Load all stored profiles, moving a version 1 single-user entry into the list
+   * @returns {Array} profiles, most recent sign-in first
+   */
+  async loadProfiles() {
+    const storedProfiles = await AsyncStorage.getItem(PROFILES_KEY);
+    if (storedProfiles) {
+      const profiles = JSON.parse(storedProfiles);
+      return Array.isArray(profiles) ? profiles : [];
+    }
+
+    const legacyData = await AsyncStorage.getItem(LEGACY_CREDENTIALS_KEY);
+    if (!legacyData) return [];
+
+    const legacy = JSON.parse(legacyData);
+    const profiles = legacy?.email && legacy?.passwordHash
+      ? [{ ...legacy, lastLoginAt: legacy.storedAt, version: 2 }]
+      : [];
+    await this.saveProfiles(profiles);
+    await AsyncStorage.removeItem(LEGACY_CREDENTIALS_KEY);
+    console.log('[AuthStorage] Moved stored credentials to offline profiles');
+    return profiles;
+  }
+
+  async saveProfiles(profiles) {
+    const sorted = [...profiles]
+      .sort((a, b) => String(b.lastLoginAt || '').localeCompare(String(a.lastLoginAt || '')))
+      .slice(0, MAX_PROFILES);
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(sorted));
+    return sorted;
+  }
+
   /**
    * Store user credentials securely after successful online login
+   * Replaces the user's previous profile, other users' profiles are kept
    * @param {string} email - User's email
    * @param {string} password - User's password (will be hashed)
    * @param {object} userData - Full user data from backend
@@ -33,16 +73,22 @@ class AuthStorageService {
 
       // Hash the password before storing
       const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+      const now = new Date().toISOString();
 
       const credentialsData = {
-        email: email.toLowerCase().trim(),
+        email: normalizeEmail(email),
         passwordHash: hashedPassword,
         userData: userData,
-        storedAt: new Date().toISOString(),
-        version: 1
+        storedAt: now,
+        lastLoginAt: now,
+        version: 2
       };
 
-      await AsyncStorage.setItem(CREDENTIALS_KEY, JSON.stringify(credentialsData));
+      const profiles = await this.loadProfiles();
+      await this.saveProfiles([
+        credentialsData,
+        ...profiles.filter(profile => profile.email !== credentialsData.email)
+      ]);
       console.log('[AuthStorage] ✅ Credentials stored securely for offline login');
       return true;
     } catch (error) {
@@ -61,24 +107,23 @@ class AuthStorageService {
     try {
       console.log('[AuthStorage] Validating credentials for offline login...');
 
-      const storedData = await AsyncStorage.getItem(CREDENTIALS_KEY);
-      if (!storedData) {
-        console.log('[AuthStorage] No stored credentials found');
-        return null;
-      }
-
-      const credentials = JSON.parse(storedData);
+      const profiles = await this.loadProfiles();
+      const credentials = profiles.find(profile => profile.email === normalizeEmail(email));
 
-      // Check if email matches
-      if (credentials.email !== email.toLowerCase().trim()) {
-        console.log('[AuthStorage] Email does not match stored credentials');
+      if (!credentials) {
+        console.log('[AuthStorage] No stored credentials found for this user');
         return null;
       }
 
       // Verify password against stored hash
-      const isValid = await bcrypt.compare(password, credentials.passwordHash);
+      const isValid = await bcrypt.compare(password || '', credentials.passwordHash);
 
       if (isValid) {
+        // Keep the switcher ordered by who signed in last
+        await this.saveProfiles([
+          { ...credentials, lastLoginAt: new Date().toISOString() },
+          ...profiles.filter(profile => profile !== credentials)
+        ]);
         console.log('[AuthStorage] ✅ Credentials valid - offline login successful');
         return credentials.userData;
       } else {
@@ -98,11 +143,8 @@ class AuthStorageService {
    */
   async hasStoredCredentials(email) {
     try {
-      const storedData = await AsyncStorage.getItem(CREDENTIALS_KEY);
-      if (!storedData) return false;
-
-      const credentials = JSON.parse(storedData);
-      return credentials.email === email.toLowerCase().trim();
+      const profiles = await this.loadProfiles();
+      return profiles.some(profile => profile.email === normalizeEmail(email));
     } catch (error) {
       console.error('[AuthStorage] Error checking stored credentials:', error);
       return false;
@@ -110,12 +152,53 @@ class AuthStorageService {
   }
 
   /**
-   * Clear stored credentials (on logout or account deletion)
+   * Users who can sign in offline on this device, for the login screen switcher
+   * Password hashes are never returned
+   * @returns {Array} [{ email, name, role, organizationName, lastLoginAt }]
+   */
+  async getStoredProfiles() {
+    try {
+      const profiles = await this.loadProfiles();
+      return profiles.map(profile => {
+        const user = profile.userData || {};
+        const name = [user.firstName || user.first_name, user.lastName || user.last_name].filter(Boolean).join(' ');
+        return {
+          email: profile.email,
+          name: name || profile.email,
+          role: user.role || null,
+          organizationName: user.organization?.name || user.organizationName || null,
+          lastLoginAt: profile.lastLoginAt || profile.storedAt
+        };
+      });
+    } catch (error) {
+      console.error('[AuthStorage] Error getting stored profiles:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Remove one user's stored credentials from this device
+   * @param {string} email - User's email
+   */
+  async removeProfile(email) {
+    try {
+      const profiles = await this.loadProfiles();
+      await this.saveProfiles(profiles.filter(profile => profile.email !== normalizeEmail(email)));
+      console.log('[AuthStorage] ✅ Offline profile removed');
+      return true;
+    } catch (error) {
+      console.error('[AuthStorage] ❌ Failed to remove offline profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Clear stored credentials of every user (on account deletion or device hand-over)
    */
   async clearCredentials() {
     try {
       console.log('[AuthStorage] Clearing stored credentials...');
-      await AsyncStorage.removeItem(CREDENTIALS_KEY);
+      await AsyncStorage.multiRemove([PROFILES_KEY, LEGACY_CREDENTIALS_KEY]);
       console.log('[AuthStorage] ✅ Credentials cleared');
       return true;
     } catch (error) {
@@ -127,13 +210,16 @@ class AuthStorageService {
   /**
    * Get stored user data without password verification
    * Used for checking if offline login is possible
+   * @param {string} email - User's email, defaults to whoever signed in last
    */
-  async getStoredUserData() {
+  async getStoredUserData(email = null) {
     try {
-      const storedData = await AsyncStorage.getItem(CREDENTIALS_KEY);
-      if (!storedData) return null;
+      const profiles = await this.loadProfiles();
+      const credentials = email
+        ? profiles.find(profile => profile.email === normalizeEmail(email))
+        : profiles[0];
+      if (!credentials) return null;
 
-      const credentials = JSON.parse(storedData);
       return {
         email: credentials.email,
         userData: credentials.userData,
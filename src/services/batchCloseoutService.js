@@ -0,0 +1,74 @@
+/**
+ * Batch Close-out Service
+ *
+ * Ends a batch's cycle: the final numbers (birds sold, culled, final weight) are combined with
+ * the feed, expenses and mortality recorded against the batch into an end-of-cycle summary,
+ * then the batch is archived. Archived batches are hidden from pickers and take no new records,
+ * but their records stay in analytics.
+ */
+
+import fastDatabase from './fastDatabase';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+import { computeCloseoutSummary, validateCloseout, isArchivedBatch } from '../utils/batchCloseout';
+
+class BatchCloseoutService {
+  /**
+   * Summary for the close-out form as it is being filled in
+   * @param {Object} batch - poultry_batches row
+   * @param {Object} closeout - { birdsSold, birdsCulled, finalAvgWeightKg, closeDate, reason }
+   */
+  previewSummary(batch, closeout) {
+    const totals = fastDatabase.getBatchCloseoutTotals(batch.id);
+    return computeCloseoutSummary(batch, closeout, totals);
+  }
+
+  /**
+   * Validate, archive the batch and return its end-of-cycle summary
+   */
+  async closeBatch(batchId, closeout) {
+    permissionService.assert(PERMISSIONS.BATCHES_EDIT);
+
+    const batch = fastDatabase.getBatchById(batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+    if (isArchivedBatch(batch)) {
+      throw new Error(`Batch "${batch.batch_name}" is already archived`);
+    }
+
+    const validationError = validateCloseout(batch, closeout);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const summary = this.previewSummary(batch, closeout);
+    fastDatabase.closeBatch(batch.id, closeout, summary);
+
+    dataEventBus.emit(EventTypes.BATCH_UPDATED, {
+      batchId: batch.id,
+      status: 'archived',
+      source: 'local'
+    }, { debounce: false });
+
+    return summary;
+  }
+
+  /**
+   * Stored summary of an archived batch, or null
+   */
+  getSummary(batch) {
+    const stored = batch?.closeout_summary || batch?.closeoutSummary;
+    if (!stored) return null;
+    try {
+      return typeof stored === 'string' ? JSON.parse(stored) : stored;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const batchCloseoutService = new BatchCloseoutService();
+export default batchCloseoutService;
@@ -0,0 +1,157 @@
+/**
+ * Bird Ledger Service
+ *
+ * The batch's bird count as a ledger of movements: arrivals, deaths, culls, sales, transfers and
+ * count adjustments. Arrivals, deaths and bird sales are posted from their records; culls, sales
+ * without a sales record and adjustments are entered on the batch history. A batch's current_count
+ * is derived from the ledger, and the history flags any difference with the stored count
+ * (e.g. a count downloaded from the server) so it can be reconciled.
+ *
+ * The ledger is kept on the device, like the finance and egg stock ledgers; a count changed by a
+ * movement entered here is uploaded with the batch. Bird transfers between batches are the
+ * exception: they are stored and synced as records of their own.
+ */
+
+import fastDatabase from './fastDatabase';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  MANUAL_MOVEMENT_TYPES,
+  computeRunningBalance,
+  reconcileBatchCount,
+} from '../utils/birdLedger';
+
+class BirdLedgerService {
+  /**
+   * Movements of a batch with the running balance, and how the balance compares with the stored count
+   * @returns {Object|null} { batch, movements, reconciliation } - movements are newest first
+   */
+  getBatchHistory(batchId) {
+    const batch = fastDatabase.getBatchById(batchId);
+    if (!batch) return null;
+
+    const movements = fastDatabase.getBirdMovements(batch.id);
+    return {
+      batch,
+      movements: computeRunningBalance(movements).reverse(),
+      reconciliation: reconcileBatchCount(batch, movements),
+    };
+  }
+
+  /**
+   * Add a cull, sale or count adjustment entered by hand
+   * @param {Object} movement - { movementType, quantity, date, notes }
+   */
+  addMovement(batchId, movement, user = null) {
+    permissionService.assert(PERMISSIONS.BATCHES_EDIT);
+
+    if (!MANUAL_MOVEMENT_TYPES.includes(movement.movementType)) {
+      throw new Error('Choose a cull, sale or count adjustment');
+    }
+    const quantity = parseInt(movement.quantity, 10);
+    if (!quantity || isNaN(quantity)) {
+      throw new Error('Enter a number of birds other than 0');
+    }
+    if (movement.movementType === 'adjustment' && !String(movement.notes || '').trim()) {
+      throw new Error('Please give a reason for the adjustment');
+    }
+
+    const row = fastDatabase.addBirdMovement({
+      batchId,
+      movementType: movement.movementType,
+      quantity,
+      date: movement.date,
+      notes: movement.notes ? String(movement.notes).trim() : null,
+      recordedBy: user?.id || null,
+    });
+    this.notifyBatchChanged(batchId);
+    return row;
+  }
+
+  deleteMovement(movement) {
+    permissionService.assert(PERMISSIONS.BATCHES_EDIT);
+    fastDatabase.deleteBirdMovement(movement.id);
+    this.notifyBatchChanged(movement.batch_id);
+  }
+
+  /**
+   * Settle a mismatch between the ledger and the stored count
+   * @param {string} mode - 'adjust' posts the difference so the ledger matches the stored count;
+   *                        'recount' sets the stored count to the ledger balance
+   */
+  reconcile(batchId, mode, user = null, note = '') {
+    permissionService.assert(PERMISSIONS.BATCHES_EDIT);
+
+    const history = this.getBatchHistory(batchId);
+    if (!history) {
+      throw new Error('Batch not found');
+    }
+    const { difference, inBalance } = history.reconciliation;
+    if (inBalance) return history;
+
+    if (mode === 'adjust') {
+      this.addMovement(batchId, {
+        movementType: 'adjustment',
+        quantity: difference,
+        notes: note || 'Reconciled to the stored bird count',
+      }, user);
+    } else {
+      fastDatabase.recalculateBatchCount(batchId, true);
+      this.notifyBatchChanged(batchId);
+    }
+    return this.getBatchHistory(batchId);
+  }
+
+  /**
+   * Move birds to another batch, or into a new batch on any farm. Both counts change together
+   * and the transfer syncs as one item.
+   * @param {Object} transfer - { toBatchId or newBatch: { batchName, farmId, birdType }, quantity, date, notes }
+   */
+  async transferBirds(fromBatchId, transfer, user = null) {
+    permissionService.assert(PERMISSIONS.BATCHES_EDIT);
+
+    const quantity = parseInt(transfer.quantity, 10);
+    if (!quantity || quantity <= 0) {
+      throw new Error('Enter the number of birds to transfer');
+    }
+
+    let newBatch = null;
+    if (transfer.newBatch) {
+      const batchName = String(transfer.newBatch.batchName || '').trim();
+      if (!batchName) {
+        throw new Error('Enter a name for the new batch');
+      }
+      if (!transfer.newBatch.farmId) {
+        throw new Error('Choose the farm of the new batch');
+      }
+      newBatch = { ...transfer.newBatch, batchName };
+    } else if (!transfer.toBatchId) {
+      throw new Error('Choose the batch to transfer the birds to');
+    }
+
+    const row = await fastDatabase.transferBirds({
+      fromBatchId,
+      toBatchId: newBatch ? null : transfer.toBatchId,
+      newBatch,
+      quantity,
+      date: transfer.date,
+      notes: transfer.notes ? String(transfer.notes).trim() : null,
+      recordedBy: user?.id || null,
+    });
+    this.notifyBatchChanged(fromBatchId);
+    this.notifyBatchChanged(row.to_batch_id);
+    return row;
+  }
+
+  notifyBatchChanged(batchId) {
+    dataEventBus.emit(EventTypes.BATCH_UPDATED, {
+      batchId,
+      source: 'birdLedger'
+    }, { debounce: false });
+  }
+}
+
+// Export singleton instance
+const birdLedgerService = new BirdLedgerService();
+export default birdLedgerService;
@@ -0,0 +1,120 @@
+/**
+ * Breed Standard Service
+ *
+ * Breed standard curves (Ross 308, Cobb 500, ...) stored per organization in SQLite and
+ * editable by managers. A batch's weight, feed and mortality records are benchmarked against
+ * the curve week by week, so the question "is this flock on target?" is answered by the
+ * percentage deviation rather than fixed FCR cut-offs.
+ *
+ * Curves are local only, like vaccination programme templates.
+ */
+
+import fastDatabase from './fastDatabase';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  DEFAULT_BREED_STANDARDS,
+  computeWeeklyBenchmark,
+  matchStandardForBatch,
+} from '../utils/breedStandards';
+
+const CURVE_FIELDS = ['bodyWeightG', 'dailyFeedG', 'cumulativeFcr', 'mortalityPct', 'henDayPct'];
+
+class BreedStandardService {
+  /**
+   * Curves for the current organization, optionally limited to one bird type.
+   * Seeds the bundled curves the first time.
+   */
+  getStandards(birdType = null) {
+    fastDatabase.seedBreedStandards(DEFAULT_BREED_STANDARDS);
+    return fastDatabase.getBreedStandards(birdType);
+  }
+
+  getStandard(standardId) {
+    return fastDatabase.getBreedStandardById(standardId);
+  }
+
+  /**
+   * Validate a curve and return a cleaned copy with points sorted by day.
+   * Throws with a user-facing message if invalid.
+   */
+  normalizeStandard(standard) {
+    if (!standard || !standard.name || !String(standard.name).trim()) {
+      throw new Error('Please enter a breed standard name');
+    }
+
+    const points = Array.isArray(standard.points) ? standard.points : [];
+    if (points.length < 2) {
+      throw new Error('Add at least two days to the curve');
+    }
+
+    const cleanPoints = points.map((point, index) => {
+      const day = Number(point?.day);
+      if (!Number.isInteger(day) || day < 0) {
+        throw new Error(`Row ${index + 1}: day must be a whole number of 0 or more`);
+      }
+
+      const cleanPoint = { day };
+      CURVE_FIELDS.forEach(field => {
+        const raw = point[field];
+        if (raw === null || raw === undefined || String(raw).trim() === '') {
+          cleanPoint[field] = null;
+          return;
+        }
+        const value = Number(raw);
+        if (isNaN(value) || value < 0) {
+          throw new Error(`Day ${day}: values must be numbers of 0 or more`);
+        }
+        cleanPoint[field] = value;
+      });
+      return cleanPoint;
+    });
+
+    const days = cleanPoints.map(point => point.day);
+    if (new Set(days).size !== days.length) {
+      throw new Error('Each day can only appear once in the curve');
+    }
+
+    return {
+      ...standard,
+      name: String(standard.name).trim(),
+      birdType: standard.birdType || standard.bird_type || null,
+      points: cleanPoints.sort((a, b) => a.day - b.day),
+    };
+  }
+
+  saveStandard(standard) {
+    permissionService.assert(PERMISSIONS.SETTINGS_MANAGE);
+    return fastDatabase.saveBreedStandard(this.normalizeStandard(standard));
+  }
+
+  deleteStandard(standardId) {
+    permissionService.assert(PERMISSIONS.SETTINGS_MANAGE);
+    return fastDatabase.deleteBreedStandard(standardId);
+  }
+
+  /**
+   * Curve that fits the batch's breed or bird type, or null
+   */
+  getStandardForBatch(batch) {
+    return matchStandardForBatch(batch, this.getStandards());
+  }
+
+  /**
+   * Weekly benchmark of a batch against a curve (the batch's own curve when none is given)
+   * @returns {Object} { standard, weeks } - weeks is empty when there is no curve or no records
+   */
+  getBatchBenchmark(batch, standard = null) {
+    const curve = standard || this.getStandardForBatch(batch);
+    if (!batch || !curve) {
+      return { standard: curve || null, weeks: [] };
+    }
+
+    const records = fastDatabase.getBatchBenchmarkRecords(batch.id);
+    return { standard: curve, weeks: computeWeeklyBenchmark(batch, curve, records) };
+  }
+}
+
+// Export singleton instance
+const breedStandardService = new BreedStandardService();
+export default breedStandardService;
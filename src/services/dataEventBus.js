@@ -10,6 +10,10 @@
  * - RECORD_CREATED, RECORD_UPDATED, RECORD_DELETED (for all record types)
  * - ANALYTICS_UPDATED
  * - DATA_SYNCED (after successful sync)
+ * - SYNC_CONFLICT_RESOLVED (conflict auto-resolved during sync or resolved by the user)
+ * - ORGANIZATION_SETTINGS_UPDATED (organization setting saved locally or pulled from the server)
+ * - MORTALITY_ALERT_UPDATED (mortality alert logged, acknowledged or resolved)
+ * - FEED_STOCK_UPDATED (feed delivery, stock count or low-stock level changed)
  *
  * Usage:
  * // Subscribe to events
@@ -302,8 +306,9 @@ export const EventTypes = {
   SYNC_STARTED: 'SYNC_STARTED',
   SYNC_COMPLETED: 'SYNC_COMPLETED',
   SYNC_FAILED: 'SYNC_FAILED',
+  SYNC_CONFLICT_RESOLVED: 'SYNC_CONFLICT_RESOLVED',
 
-  // Financial events (for sales, expenses, customers)
+  // Financial events (for sales, expenses, customers, invoices, payments)
   SALE_CREATED: 'SALE_CREATED',
   SALE_UPDATED: 'SALE_UPDATED',
   SALE_DELETED: 'SALE_DELETED',
@@ -314,7 +319,21 @@ export const EventTypes = {
 
   CUSTOMER_CREATED: 'CUSTOMER_CREATED',
   CUSTOMER_UPDATED: 'CUSTOMER_UPDATED',
-  CUSTOMER_DELETED: 'CUSTOMER_DELETED'
+  CUSTOMER_DELETED: 'CUSTOMER_DELETED',
+
+  INVOICE_CREATED: 'INVOICE_CREATED',
+  INVOICE_UPDATED: 'INVOICE_UPDATED',
+
+  PAYMENT_CREATED: 'PAYMENT_CREATED',
+
+  // Settings events
+  ORGANIZATION_SETTINGS_UPDATED: 'ORGANIZATION_SETTINGS_UPDATED',
+
+  // Alert events
+  MORTALITY_ALERT_UPDATED: 'MORTALITY_ALERT_UPDATED',
+
+  // Inventory events
+  FEED_STOCK_UPDATED: 'FEED_STOCK_UPDATED'
 };
 
 export default dataEventBus;
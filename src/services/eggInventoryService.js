@@ -0,0 +1,48 @@
+/**
+ * Egg Inventory Service
+ *
+ * Eggs in store per grade, read from the egg stock ledger in SQLite. Production records add their
+ * sellable eggs (collected - broken - abnormal) and egg sales take theirs off, so stock follows
+ * the records without any extra step.
+ */
+
+import fastDatabase from './fastDatabase';
+import { EGG_STOCK_GRADES, UNGRADED, formatTrays } from '../utils/eggGrading';
+
+class EggInventoryService {
+  /**
+   * Current stock for the organization or one farm
+   * @param {Object} filters - { farmId }
+   * @returns {{ totalEggs: number, totalLabel: string, grades: Array, hasEntries: boolean }}
+   */
+  getStock(filters = {}) {
+    const rows = fastDatabase.getEggStock(filters);
+
+    const grades = EGG_STOCK_GRADES.map(grade => {
+      const row = rows.find(r => r.grade === grade.key);
+      const eggs = row ? Math.round(row.quantity || 0) : 0;
+      return { ...grade, eggs, trays: formatTrays(eggs) };
+    }).filter(grade => grade.eggs !== 0);
+
+    const totalEggs = grades.reduce((sum, grade) => sum + grade.eggs, 0);
+
+    return {
+      totalEggs,
+      totalLabel: formatTrays(totalEggs),
+      grades,
+      hasEntries: rows.some(row => row.entry_count > 0),
+    };
+  }
+
+  /**
+   * Eggs in stock in one grade, e.g. to check a sale against
+   */
+  getAvailableEggs(grade, filters = {}) {
+    const match = this.getStock(filters).grades.find(g => g.key === (grade || UNGRADED));
+    return match ? match.eggs : 0;
+  }
+}
+
+// Export singleton instance
+const eggInventoryService = new EggInventoryService();
+export default eggInventoryService;
@@ -4,6 +4,11 @@ import dataEventBus, { EventTypes } from './dataEventBus';
 import apiService from './api';
 import networkService from './networkService';
 import autoSyncService from './autoSyncService';
+import breedStandardService from './breedStandardService';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+import { interpolateStandard, deviationPct, getDeviationStatus } from '../utils/breedStandards';
+import { daysBetween } from '../utils/batchCloseout';
 
 // FIX: Handle both default and named exports from fastDatabase
 const fastDatabase = fastDatabaseImport.default || fastDatabaseImport;
@@ -454,6 +459,9 @@ class FastApiService {
           arrivalDate: batch?.arrival_date || batch?.arrivalDate || batch?.created_at || new Date().toISOString(),
           startDate: batch?.arrival_date || batch?.arrivalDate || batch?.created_at || new Date().toISOString(),
           status: batch?.status || 'active',
+          closedAt: batch?.closed_at || null,
+          closeReason: batch?.close_reason || null,
+          closeoutSummary: batch?.closeout_summary || null,
           createdAt: batch?.created_at || batch?.createdAt || new Date().toISOString()
         })) : [],
         source
@@ -470,9 +478,16 @@ class FastApiService {
 
   // REAL CRUD OPERATIONS FOR RECORDS - HYBRID (ONLINE → PostgreSQL, OFFLINE → SQLite)
   async createRecord(recordType, recordData) {
+    // ROLE PERMISSIONS: Checked on the device so a role's limits hold offline as well
+    const denied = permissionService.checkRecordType(recordType);
+    if (denied) return denied;
+
     try {
       console.log(`🔄 FastApiService.createRecord(${recordType}) called with data:`, recordData);
 
+      // OFFLINE PROFILES: Credit the record to whoever is signed in on this device
+      recordData = fastDatabase.stampRecorder(recordType, recordData);
+
       // HYBRID APPROACH: Check network status
       const isOnline = networkService.getIsConnected();
       console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
@@ -582,6 +597,10 @@ class FastApiService {
             needs_sync: 0, // Already synced
             is_synced: 1,  // CRITICAL FIX: Mark as synced to prevent AutoSync from re-syncing
             synced_at: new Date().toISOString(),
+            // OFFLINE PROFILES: Keep who entered it when the server does not echo it back
+            fedBy: serverResponse.fedBy || recordData.fedBy,
+            collectedBy: serverResponse.collectedBy || recordData.collectedBy,
+            recordedBy: serverResponse.recordedBy || recordData.recordedBy,
             // CRITICAL FIX: Map backend field names to SQLite schema
             date: serverResponse.date || serverResponse.recordDate || serverResponse.deathDate || serverResponse.treatmentDate || recordData.date,
             // Mortality fields
@@ -591,12 +610,14 @@ class FastApiService {
             } : {}),
             // Production fields
             ...(recordType === 'production' ? {
-              eggs_collected: serverResponse.eggsCollected || serverResponse.eggs_collected || recordData.eggsCollected
+              eggs_collected: serverResponse.eggsCollected || serverResponse.eggs_collected || recordData.eggsCollected,
+              gradeCounts: serverResponse.gradeCounts || recordData.gradeCounts
             } : {}),
             // Health fields
             ...(recordType === 'health' ? {
               healthStatus: serverResponse.healthStatus || recordData.healthStatus,
-              treatment: serverResponse.treatment || recordData.treatment
+              treatment: serverResponse.treatment || recordData.treatment,
+              withdrawalDays: serverResponse.withdrawalDays ?? recordData.withdrawalDays
             } : {}),
             // Feed fields
             ...(recordType === 'feed' ? {
@@ -868,6 +889,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async deleteRecord(recordType, recordId) {
+    const denied = permissionService.check(PERMISSIONS.RECORDS_DELETE);
+    if (denied) return denied;
+
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log(`🗑️  DELETE ${recordType.toUpperCase()} RECORD - LOCAL-FIRST`);
@@ -966,6 +990,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
   // REAL FARM OPERATIONS - HYBRID (ONLINE → PostgreSQL, OFFLINE → SQLite)
   async createFarm(farmData) {
+    const denied = permissionService.check(PERMISSIONS.FARMS_MANAGE);
+    if (denied) return denied;
+
     try {
       console.log('🔄 FastApiService.createFarm() called with data:', farmData);
 
@@ -1084,6 +1111,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async updateFarm(farmId, farmData) {
+    const denied = permissionService.check(PERMISSIONS.FARMS_MANAGE);
+    if (denied) return denied;
+
     try {
       const result = fastDatabase.updateFarm(farmId, farmData);
 
@@ -1108,6 +1138,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async deleteFarm(farmId) {
+    const denied = permissionService.check(PERMISSIONS.FARMS_MANAGE);
+    if (denied) return denied;
+
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('🗑️  DELETE FARM - HYBRID MODE');
@@ -1207,6 +1240,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
   // REAL FLOCK/BATCH OPERATIONS - HYBRID (ONLINE → PostgreSQL, OFFLINE → SQLite)
   async createFlock(flockData) {
+    const denied = permissionService.check(PERMISSIONS.BATCHES_CREATE);
+    if (denied) return denied;
+
     try {
       console.log('🔄 FastApiService.createFlock() called with data:', flockData);
 
@@ -1332,6 +1368,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async updateFlock(flockId, flockData) {
+    const denied = permissionService.check(PERMISSIONS.BATCHES_EDIT);
+    if (denied) return denied;
+
     try {
       const result = fastDatabase.updateBatch(flockId, flockData);
 
@@ -1356,6 +1395,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async deleteFlock(flockId) {
+    const denied = permissionService.check(PERMISSIONS.BATCHES_DELETE);
+    if (denied) return denied;
+
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('🗑️  DELETE FLOCK/BATCH - HYBRID MODE');
@@ -1437,6 +1479,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
   // WATER RECORDS
   async createWaterRecord(recordData) {
+    const denied = permissionService.checkRecordType('water');
+    if (denied) return denied;
+
     try {
       const result = fastDatabase.createWaterRecord(recordData);
 
@@ -1564,6 +1609,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async deleteWaterRecord(recordId) {
+    const denied = permissionService.check(PERMISSIONS.RECORDS_DELETE);
+    if (denied) return denied;
+
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('🗑️  DELETE WATER RECORD - HYBRID MODE');
@@ -1642,6 +1690,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
   // WEIGHT RECORDS
   async createWeightRecord(recordData) {
+    const denied = permissionService.checkRecordType('weight');
+    if (denied) return denied;
+
     try {
       const result = fastDatabase.createWeightRecord(recordData);
 
@@ -1773,6 +1824,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async deleteWeightRecord(recordId) {
+    const denied = permissionService.check(PERMISSIONS.RECORDS_DELETE);
+    if (denied) return denied;
+
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('🗑️  DELETE WEIGHT RECORD - HYBRID MODE');
@@ -1883,6 +1937,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   // ANALYTICS METHODS - Real-time calculations from SQLite
   // UNIFIED FINANCIAL METHODS - For financial summary and records
   async getUnifiedFinancialSummary(options = {}) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
+
     try {
       const params = new URLSearchParams();
       if (options.startDate) params.append('startDate', options.startDate);
@@ -1902,6 +1959,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async getBatchFinancialSummary(batchId) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
+
     try {
       const response = await this.get(`/financial/unified-summary/batch/${batchId}`);
       return response;
@@ -1912,6 +1972,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async getFarmFinancialSummary(farmId) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
+
     try {
       const response = await this.get(`/financial/unified-summary/farm/${farmId}`);
       return response;
@@ -1922,6 +1985,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async createFinancialRecord(recordData) {
+    const denied = permissionService.check(PERMISSIONS.EXPENSES_MANAGE);
+    if (denied) return denied;
+
     try {
       const response = await apiService.createFinancialRecord(recordData);
       return response;
@@ -1932,6 +1998,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   async getFinancialRecords(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
+
     try {
       const response = await apiService.getFinancialRecords(filters);
       return response;
@@ -1971,6 +2040,9 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
   // Get batch profitability summary
   async getBatchProfitability(batchId) {
+    const denied = permissionService.check(PERMISSIONS.COSTS_VIEW);
+    if (denied) return denied;
+
     try {
       console.log(`[FastApiService] getBatchProfitability called for batch ${batchId}`);
 
@@ -1981,10 +2053,8 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
         throw new Error(`Batch ${batchId} not found`);
       }
 
-      // Get all financial records for this batch
-      const financialRecords = fastDatabase.getAllRecords('finance').filter(
-        r => r.batch_id === batchId || r.batchId === batchId
-      );
+      // Get ledger entries for this batch (expenses, feed costs and sales)
+      const financialRecords = fastDatabase.getFinanceLedger({ batchId: batch.id });
 
       // Calculate revenue (sales/income)
       const revenue = financialRecords
@@ -2051,14 +2121,23 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
       );
 
       let avgWeightGain = 0;
+      let latestWeight = null;
       if (weightRecords.length > 0) {
-        const latestWeight = weightRecords[weightRecords.length - 1];
+        latestWeight = weightRecords[weightRecords.length - 1];
         avgWeightGain = (latestWeight.average_weight_kg || latestWeight.averageWeightKg || 0);
       }
 
       const totalBirdWeightGain = avgWeightGain * (batch.current_count || 0);
       const fcr = totalBirdWeightGain > 0 ? totalFeedKg / totalBirdWeightGain : 0;
 
+      // Rate against the breed standard at the age of the last weighing when a curve fits the batch;
+      // fixed cut-offs are only the fallback (they mean different things at day 14 and day 42)
+      const standard = breedStandardService.getStandardForBatch(batch);
+      const weighedOn = latestWeight?.date_recorded || latestWeight?.date || new Date().toISOString();
+      const ageDays = daysBetween(batch.arrival_date, weighedOn);
+      const standardFcr = standard && batch.arrival_date ? interpolateStandard(standard.points, ageDays, 'cumulativeFcr') : null;
+      const fcrDeviationPct = fcr > 0 ? deviationPct(fcr, standardFcr) : null;
+
       const response = {
         batchId: batch.id,
         batchName: batch.batch_name || batch.batchName,
@@ -2067,7 +2146,13 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
         averageWeightPerBird: avgWeightGain,
         currentBirdCount: batch.current_count || 0,
         fcr: fcr.toFixed(2),
-        fcrStatus: fcr < 1.8 ? 'Excellent' : fcr < 2.2 ? 'Good' : fcr < 2.5 ? 'Average' : 'Poor'
+        ageDays,
+        breedStandard: fcrDeviationPct !== null ? standard.name : null,
+        standardFcr: fcrDeviationPct !== null ? standardFcr.toFixed(2) : null,
+        fcrDeviationPct,
+        fcrStatus: fcrDeviationPct !== null
+          ? getDeviationStatus(fcrDeviationPct)
+          : fcr < 1.8 ? 'Excellent' : fcr < 2.2 ? 'Good' : fcr < 2.5 ? 'Average' : 'Poor'
       };
 
       console.log('[FastApiService] Batch FCR calculated:', response);
@@ -2139,9 +2224,7 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
       const ageInWeeks = Math.floor((currentDate - arrivalDate) / (7 * 24 * 60 * 60 * 1000));
 
       // Get current expenses
-      const financialRecords = fastDatabase.getAllRecords('finance').filter(
-        r => r.batch_id === batchId || r.batchId === batchId
-      );
+      const financialRecords = fastDatabase.getFinanceLedger({ batchId: batch.id });
 
       const currentExpenses = financialRecords
         .filter(r => r.transaction_type === 'expense')
@@ -2190,10 +2273,8 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
         throw new Error(`Batch ${batchId} not found`);
       }
 
-      // Get all financial records for this batch
-      const financialRecords = fastDatabase.getAllRecords('finance').filter(
-        r => r.batch_id === batchId || r.batchId === batchId
-      );
+      // Get ledger entries for this batch (expenses, feed costs and sales)
+      const financialRecords = fastDatabase.getFinanceLedger({ batchId: batch.id });
 
       // Group by week
       const arrivalDate = new Date(batch.arrival_date || batch.arrivalDate);
@@ -2257,9 +2338,7 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
 
       // Get financial data for each batch
       const batchComparisons = batches.map(batch => {
-        const financialRecords = fastDatabase.getAllRecords('finance').filter(
-          r => r.batch_id === batch.id || r.batchId === batch.id
-        );
+        const financialRecords = fastDatabase.getFinanceLedger({ batchId: batch.id });
 
         const revenue = financialRecords
           .filter(r => r.transaction_type === 'income')
@@ -2333,60 +2412,144 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   // ===================================================================
 
   /**
-   * Get all sales with optional filters
-   * Uses LOCAL-FIRST approach for instant UI
+   * Map local sales-table rows (snake_case) to the camelCase shape the screens render
    */
-  async getSales(filters = {}) {
+  _mapCustomerRow(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      name: row.name || 'Unnamed Customer',
+      email: row.email || '',
+      phone: row.phone || '',
+      address: row.address || '',
+      taxId: row.tax_id || '',
+      customerType: row.customer_type || 'retail',
+      notes: row.notes || '',
+      totalOrders: row.total_orders || 0,
+      totalSales: row.total_sales || 0,
+      balance: row.balance || 0,
+      lastPurchaseDate: row.last_purchase_date || null,
+      needsSync: !!row.needs_sync,
+      createdAt: row.created_at
+    };
+  }
+
+  _mapSaleRow(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      customerId: row.customer_id,
+      customer: row.customer_id ? { id: row.customer_id, name: row.customer_name || 'Unknown Customer' } : null,
+      batchId: row.batch_id,
+      farmId: row.farm_id,
+      saleDate: row.sale_date,
+      productType: row.product_type,
+      quantity: row.quantity || 0,
+      unit: row.unit || '',
+      eggGrade: row.egg_grade || null,
+      unitPrice: row.unit_price || 0,
+      totalAmount: row.total_amount || 0,
+      amountPaid: row.amount_paid || 0,
+      amountDue: row.amount_due || 0,
+      paymentStatus: row.payment_status || 'paid',
+      paymentMethod: row.payment_method || 'cash',
+      paymentDate: row.payment_date,
+      invoiceNumber: row.invoice_number,
+      invoicedAs: row.invoiced_as || null,
+      deliveryAddress: row.delivery_address,
+      notes: row.notes,
+      needsSync: !!row.needs_sync,
+      createdAt: row.created_at
+    };
+  }
+
+  _mapInvoiceRow(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      customerId: row.customer_id,
+      customer: row.customer_id ? { id: row.customer_id, name: row.customer_name || 'Unknown Customer' } : null,
+      saleId: row.sale_id,
+      invoiceNumber: row.invoice_number || `INV-${row.id}`,
+      invoiceDate: row.invoice_date,
+      dueDate: row.due_date || row.invoice_date,
+      subtotal: row.subtotal || 0,
+      taxAmount: row.tax_amount || 0,
+      discountAmount: row.discount_amount || 0,
+      total: row.total || 0,
+      amountPaid: row.amount_paid || 0,
+      amountDue: row.amount_due || 0,
+      status: row.status || 'draft',
+      notes: row.notes,
+      needsSync: !!row.needs_sync,
+      createdAt: row.created_at
+    };
+  }
+
+  _mapPaymentRow(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      customerId: row.customer_id,
+      customer: row.customer_id ? { id: row.customer_id, name: row.customer_name || 'Unknown Customer' } : null,
+      invoiceId: row.invoice_id,
+      invoice: row.invoice_id ? { id: row.invoice_id, invoiceNumber: row.invoice_number || `INV-${row.invoice_id}` } : null,
+      saleId: row.sale_id,
+      amount: row.amount || 0,
+      paymentDate: row.payment_date,
+      paymentMethod: row.payment_method || 'cash',
+      referenceNumber: row.reference_number,
+      receiptNumber: row.receipt_number,
+      notes: row.notes,
+      needsSync: !!row.needs_sync,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Pull a sales table from the backend into SQLite (online only, never blocks offline use)
+   */
+  async _refreshSalesTableFromBackend(tableName) {
+    if (!networkService.getIsConnected()) {
+      return false;
+    }
+
     try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('💰 GET SALES - HYBRID MODE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Filters:', filters);
+      const fetchers = {
+        customers: () => apiService.getCustomers(),
+        sales: () => apiService.getSales(),
+        invoices: () => apiService.getInvoices(),
+        payments: () => apiService.getPayments()
+      };
 
-      // HYBRID APPROACH: Check network status
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
+      const response = await fetchers[tableName]();
+      const records = Array.isArray(response) ? response : (response?.data || []);
 
-      if (isOnline) {
-        // ONLINE MODE: Fetch from backend
-        try {
-          console.log('🌐 ONLINE: Fetching sales from backend...');
+      records.forEach(record => fastDatabase.cacheServerSalesRecord(tableName, record));
+      console.log(`✅ Cached ${records.length} ${tableName} from backend`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Background ${tableName} refresh failed, using local data:`, error.message);
+      return false;
+    }
+  }
 
-          // Build query parameters
-          const queryParams = new URLSearchParams(filters).toString();
-          const url = `sales${queryParams ? `?${queryParams}` : ''}`;
+  // ===================================================================
+  // CUSTOMERS - LOCAL-FIRST (SQLite + sync_queue)
+  // ===================================================================
 
-          const response = await apiService.get(url);
-          console.log(`✅ Fetched sales from backend:`, response.data);
+  async getCustomers(filters = {}) {
+    try {
+      await this._refreshSalesTableFromBackend('customers');
 
-          // Return both data array and metadata
-          return {
-            success: true,
-            data: response.data?.data || response.data || [],
-            total: response.data?.total || 0,
-            page: response.data?.page || 1,
-            limit: response.data?.limit || 20,
-            source: 'server'
-          };
-        } catch (onlineError) {
-          console.warn('⚠️ Online fetch failed, returning empty:', onlineError.message);
-          return {
-            success: true,
-            data: [],
-            source: 'fallback'
-          };
-        }
-      } else {
-        // OFFLINE MODE: Return empty (sales not cached locally)
-        console.log('📴 OFFLINE: Sales not available offline');
-        return {
-          success: true,
-          data: [],
-          source: 'offline'
-        };
-      }
+      const customers = fastDatabase.getCustomers(filters).map(row => this._mapCustomerRow(row));
+      return {
+        success: true,
+        data: customers,
+        source: networkService.getIsConnected() ? 'server' : 'local'
+      };
     } catch (error) {
-      console.error('❌ getSales error:', error);
+      console.error('❌ getCustomers error:', error);
       return {
         success: false,
         error: error.message,
@@ -2395,46 +2558,26 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
     }
   }
 
-  /**
-   * Get sales summary/analytics
-   */
-  async getSalesSummary(filters = {}) {
-    try {
-      console.log('📊 GET SALES SUMMARY');
-
-      const isOnline = networkService.getIsConnected();
+  async createCustomer(customerData) {
+    const denied = permissionService.check(PERMISSIONS.SALES_MANAGE);
+    if (denied) return denied;
 
-      if (isOnline) {
-        try {
-          // Build query parameters
-          const queryParams = new URLSearchParams(filters).toString();
-          const url = `sales/summary${queryParams ? `?${queryParams}` : ''}`;
+    try {
+      const row = fastDatabase.createCustomer(customerData);
+      const customer = this._mapCustomerRow(row);
 
-          const response = await apiService.get(url);
-          console.log('✅ Fetched sales summary:', response.data);
+      dataEventBus.emit(EventTypes.CUSTOMER_CREATED, {
+        customer,
+        source: 'local'
+      }, { debounce: false });
 
-          return {
-            success: true,
-            data: response.data,
-            source: 'server'
-          };
-        } catch (error) {
-          console.warn('⚠️ Sales summary fetch failed:', error.message);
-          return {
-            success: true,
-            data: null,
-            source: 'fallback'
-          };
-        }
-      } else {
-        return {
-          success: true,
-          data: null,
-          source: 'offline'
-        };
-      }
+      return {
+        success: true,
+        data: customer,
+        source: 'local'
+      };
     } catch (error) {
-      console.error('❌ getSalesSummary error:', error);
+      console.error('❌ createCustomer error:', error);
       return {
         success: false,
         error: error.message
@@ -2442,104 +2585,52 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
     }
   }
 
-  /**
-   * Create a new sale
-   * CRITICAL: Also creates financial record automatically
-   */
-  async createSale(saleData) {
-    try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('💰 CREATE SALE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Sale Data:', saleData);
-
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
-
-      if (!isOnline) {
-        // OFFLINE MODE: Sales require online connection
-        console.warn('📴 OFFLINE: Cannot create sales offline');
-        return {
-          success: false,
-          error: 'Sales creation requires internet connection'
-        };
-      }
-
-      // ONLINE MODE: Create sale via backend
-      try {
-        console.log('🌐 ONLINE: Creating sale via backend...');
-
-        const response = await apiService.post('sales', saleData);
-        console.log('✅ Sale created successfully:', response.data);
+  async updateCustomer(customerId, customerData) {
+    const denied = permissionService.check(PERMISSIONS.SALES_MANAGE);
+    if (denied) return denied;
 
-        // CRITICAL: Backend automatically creates financial record
-        // No need to create duplicate financial record here
+    try {
+      const row = fastDatabase.updateCustomer(customerId, customerData);
+      const customer = this._mapCustomerRow(row);
 
-        // Emit event for real-time updates
-        dataEventBus.emit('SALE_CREATED', {
-          sale: response.data,
-          source: 'server'
-        }, { debounce: false });
+      dataEventBus.emit(EventTypes.CUSTOMER_UPDATED, {
+        customerId,
+        customer,
+        source: 'local'
+      }, { debounce: false });
 
-        return {
-          success: true,
-          data: response.data,
-          source: 'server'
-        };
-      } catch (error) {
-        console.error('❌ Sale creation failed:', error);
-        throw error;
-      }
+      return {
+        success: true,
+        data: customer,
+        source: 'local'
+      };
     } catch (error) {
-      console.error('❌ createSale error:', error);
+      console.error('❌ updateCustomer error:', error);
       return {
         success: false,
-        error: error.response?.data?.message || error.message
+        error: error.message
       };
     }
   }
 
-  /**
-   * Delete a sale
-   */
-  async deleteSale(saleId) {
-    try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('🗑️  DELETE SALE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Sale ID:', saleId);
-
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
+  async deleteCustomer(customerId) {
+    const denied = permissionService.check(PERMISSIONS.SALES_MANAGE);
+    if (denied) return denied;
 
-      if (!isOnline) {
-        return {
-          success: false,
-          error: 'Sale deletion requires internet connection'
-        };
-      }
+    try {
+      fastDatabase.deleteCustomer(customerId);
 
-      try {
-        console.log('🌐 Deleting sale from backend...');
-        await apiService.delete(`sales/${saleId}`);
-        console.log('✅ Sale deleted successfully');
-
-        // Emit event for real-time updates
-        dataEventBus.emit('SALE_DELETED', {
-          saleId,
-          source: 'server'
-        }, { debounce: false });
+      dataEventBus.emit(EventTypes.CUSTOMER_DELETED, {
+        customerId,
+        source: 'local'
+      }, { debounce: false });
 
-        return {
-          success: true,
-          source: 'server'
-        };
-      } catch (error) {
-        console.error('❌ Sale deletion failed:', error);
-        throw error;
-      }
+      return {
+        success: true,
+        source: 'local'
+      };
     } catch (error) {
-      console.error('❌ deleteSale error:', error);
+      console.error('❌ deleteCustomer error:', error);
       return {
         success: false,
         error: error.message
@@ -2547,65 +2638,33 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
     }
   }
 
+  // ===================================================================
+  // SALES - LOCAL-FIRST (SQLite + sync_queue)
+  // ===================================================================
+
   /**
-   * Get all expenses with optional filters
+   * Get all sales with optional filters
    * Uses LOCAL-FIRST approach for instant UI
    */
-  async getExpenses(filters = {}) {
+  async getSales(filters = {}) {
     try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('💸 GET EXPENSES - INSTANT LOAD MODE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Filters:', filters);
-
-      // STEP 1: Load from local database FIRST (instant)
-      console.log('📦 Loading expenses from local database...');
-      const localExpenses = fastDatabase.getExpenses(filters);
-      console.log(`✅ Loaded ${localExpenses.length} expenses from local database (INSTANT)`);
-
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
-
-      if (isOnline) {
-        // STEP 2: Fetch from backend in background (non-blocking)
-        console.log('🔄 Fetching expenses from backend in background...');
+      console.log('💰 GET SALES - LOCAL-FIRST MODE', filters);
 
-        // Start background fetch but don't await it
-        this._updateExpensesFromBackend(filters).catch(err => {
-          console.warn('⚠️ Background expense sync failed:', err.message);
-        });
-      }
+      await this._refreshSalesTableFromBackend('sales');
 
-      // AWAIT the API call to get expenses from financial records
-      if (isOnline) {
-        const expenses = await this._updateExpensesFromBackend(filters);
-        return {
-          success: true,
-          data: expenses,
-          source: 'server',
-          pagination: {
-            page: filters.page || 1,
-            limit: filters.limit || 50,
-            total: expenses.length,
-            totalPages: Math.ceil(expenses.length / (filters.limit || 50))
-          }
-        };
-      }
+      const sales = fastDatabase.getSales(filters).map(row => this._mapSaleRow(row));
+      console.log(`✅ Loaded ${sales.length} sales from local database`);
 
-      // Return local data immediately
       return {
         success: true,
-        data: localExpenses,
-        source: isOnline ? 'local-updating' : 'local',
-        pagination: {
-          page: filters.page || 1,
-          limit: filters.limit || 50,
-          total: localExpenses.length,
-          totalPages: Math.ceil(localExpenses.length / (filters.limit || 50))
-        }
+        data: sales,
+        total: sales.length,
+        page: filters.page || 1,
+        limit: filters.limit || sales.length,
+        source: networkService.getIsConnected() ? 'server' : 'local'
       };
     } catch (error) {
-      console.error('❌ getExpenses error:', error);
+      console.error('❌ getSales error:', error);
       return {
         success: false,
         error: error.message,
@@ -2614,92 +2673,67 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
     }
   }
 
-  // Helper method for background API sync - FETCHES FROM FINANCIAL RECORDS
-  async _updateExpensesFromBackend(filters = {}) {
+  /**
+   * Get sales summary/analytics
+   */
+  async getSalesSummary(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
+
     try {
-      // Build query parameters - filter for expenses only
-      const financialFilters = {
-        ...filters,
-        transactionType: 'expense' // CRITICAL: Only get expense transactions
+      return {
+        success: true,
+        data: fastDatabase.getSalesSummary(filters),
+        source: 'local'
       };
-      const queryParams = new URLSearchParams(financialFilters).toString();
-      const url = `v1/financial-records${queryParams ? `?${queryParams}` : ''}`;
-
-      const response = await apiService.get(url);
-      console.log(`✅ Background fetch: Fetched ${response.data?.length || 0} expenses from financial-records:`, response.data);
-
-      // Handle response format
-      const financialRecords = Array.isArray(response.data) ? response.data : (response.data?.data || []);
-
-      console.log(`📊 Fetched ${financialRecords.length} total expenses from financial records`);
-
-      // Transform financial records to expense format for compatibility
-      const expenses = financialRecords.map(record => ({
-        id: record.id,
-        category: record.category || 'other',
-        subcategory: record.subcategory,
-        description: record.description,
-        amount: Math.abs(record.amount), // Expenses are stored as negative, display as positive
-        expenseDate: record.transactionDate,
-        supplier: record.supplier,
-        paymentMethod: record.paymentMethod || 'cash',
-        notes: record.notes,
-        batchId: record.batchId,
-        farmId: record.farmId,
-        createdAt: record.createdAt,
-        updatedAt: record.updatedAt
-      }));
-
-      console.log(`🔄 Background sync: ${expenses.length} expenses transformed and ready`);
-
-      // TODO: Cache these in local database
-      return expenses;
     } catch (error) {
-      console.error('❌ Background expense sync error:', error);
-      throw error;
+      console.error('❌ getSalesSummary error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
     }
   }
 
   /**
-   * Get expenses summary
+   * Receivables aging and per-customer balances, computed from local sales, invoices and payments
+   * @param {Object} filters - { asOf }
    */
-  async getExpensesSummary(filters = {}) {
-    try {
-      console.log('📊 GET EXPENSES SUMMARY');
-
-      const isOnline = networkService.getIsConnected();
+  async getReceivables(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
 
-      if (isOnline) {
-        try {
-          // Build query parameters
-          const queryParams = new URLSearchParams(filters).toString();
-          const url = `expenses/summary${queryParams ? `?${queryParams}` : ''}`;
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getReceivables(filters),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getReceivables error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-          const response = await apiService.get(url);
-          console.log('✅ Fetched expenses summary:', response.data);
+  /**
+   * Revenue by customer, product, month and batch with price trends, computed from local sales
+   * @param {Object} filters - { months }
+   */
+  async getSalesAnalytics(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.FINANCE_VIEW);
+    if (denied) return denied;
 
-          return {
-            success: true,
-            data: response.data,
-            source: 'server'
-          };
-        } catch (error) {
-          console.warn('⚠️ Expenses summary fetch failed:', error.message);
-          return {
-            success: true,
-            data: [],
-            source: 'fallback'
-          };
-        }
-      } else {
-        return {
-          success: true,
-          data: [],
-          source: 'offline'
-        };
-      }
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getSalesAnalytics(filters),
+        source: 'local'
+      };
     } catch (error) {
-      console.error('❌ getExpensesSummary error:', error);
+      console.error('❌ getSalesAnalytics error:', error);
       return {
         success: false,
         error: error.message
@@ -2708,58 +2742,533 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
   }
 
   /**
-   * Create a new expense
-   * CRITICAL: Also creates financial record automatically
+   * Create a new sale
+   * Saved to SQLite and queued in sync_queue; the backend creates the financial record on upload
    */
-  async createExpense(expenseData) {
+  async createSale(saleData) {
+    const denied = permissionService.check(PERMISSIONS.SALES_MANAGE);
+    if (denied) return denied;
+
     try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('💸 CREATE EXPENSE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Expense Data:', expenseData);
+      console.log('💰 CREATE SALE (local-first):', saleData);
 
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
+      const row = fastDatabase.createSale(saleData);
+      const sale = this._mapSaleRow(row);
 
-      if (!isOnline) {
-        // OFFLINE MODE: Expenses require online connection
-        console.warn('📴 OFFLINE: Cannot create expenses offline');
-        return {
-          success: false,
-          error: 'Expense creation requires internet connection'
-        };
+      dataEventBus.emit(EventTypes.SALE_CREATED, {
+        sale,
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        data: sale,
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ createSale error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Delete a sale
+   */
+  async deleteSale(saleId) {
+    const denied = permissionService.check(PERMISSIONS.SALES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      fastDatabase.deleteSale(saleId);
+
+      dataEventBus.emit(EventTypes.SALE_DELETED, {
+        saleId,
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ deleteSale error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // ===================================================================
+  // INVOICES - LOCAL-FIRST (SQLite + sync_queue)
+  // ===================================================================
+
+  async getInvoices(filters = {}) {
+    try {
+      await this._refreshSalesTableFromBackend('invoices');
+
+      // Sent invoices turn overdue (or paid) without anyone editing them
+      fastDatabase.refreshInvoiceStatuses();
+
+      const invoices = fastDatabase.getInvoices(filters).map(row => this._mapInvoiceRow(row));
+      return {
+        success: true,
+        data: invoices,
+        source: networkService.getIsConnected() ? 'server' : 'local'
+      };
+    } catch (error) {
+      console.error('❌ getInvoices error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: []
+      };
+    }
+  }
+
+  async getInvoiceSummary() {
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getInvoiceSummary(),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getInvoiceSummary error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async createInvoice(invoiceData) {
+    const denied = permissionService.check(PERMISSIONS.INVOICES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      const row = fastDatabase.createInvoice(invoiceData);
+      return {
+        success: true,
+        data: this._mapInvoiceRow(row),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ createInvoice error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async updateInvoice(invoiceId, invoiceData) {
+    const denied = permissionService.check(PERMISSIONS.INVOICES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      const row = fastDatabase.updateInvoice(invoiceId, invoiceData);
+      return {
+        success: true,
+        data: this._mapInvoiceRow(row),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ updateInvoice error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Invoice with its line items, customer contact details and farm, for the details screen
+   */
+  async getInvoiceDetails(invoiceId) {
+    try {
+      const details = fastDatabase.getInvoiceDetails(invoiceId);
+      if (!details) {
+        return { success: false, error: 'Invoice not found' };
       }
 
-      // ONLINE MODE: Create expense via backend
-      try {
-        console.log('🌐 ONLINE: Creating expense via backend...');
+      return {
+        success: true,
+        data: {
+          ...this._mapInvoiceRow(details.invoice),
+          customer: details.invoice.customer_id ? {
+            id: details.invoice.customer_id,
+            name: details.invoice.customer_name || 'Unknown Customer',
+            phone: details.invoice.customer_phone || '',
+            email: details.invoice.customer_email || '',
+            address: details.invoice.customer_address || ''
+          } : null,
+          items: details.items.map(item => ({
+            id: item.id,
+            saleId: item.sale_id,
+            description: item.description,
+            quantity: item.quantity || 0,
+            unit: item.unit || '',
+            unitPrice: item.unit_price || 0,
+            amount: item.amount || 0
+          })),
+          farm: details.farm ? { id: details.farm.id, name: details.farm.farm_name, location: details.farm.location } : null
+        },
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getInvoiceDetails error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Sales chosen to be invoiced, with any invoice that already covers them
+   */
+  async getSalesForInvoice(saleIds = []) {
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getSalesForInvoice(saleIds),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getSalesForInvoice error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Create or edit an invoice with its line items
+   * @param {Object} invoiceData - see fastDatabase.saveInvoice
+   */
+  async saveInvoice(invoiceData) {
+    const denied = permissionService.check(PERMISSIONS.INVOICES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      const row = await fastDatabase.saveInvoice(invoiceData);
+      const invoice = this._mapInvoiceRow(row);
+
+      dataEventBus.emit(invoiceData.id ? EventTypes.INVOICE_UPDATED : EventTypes.INVOICE_CREATED, {
+        invoice,
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        data: invoice,
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ saveInvoice error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Mark an invoice sent or cancelled
+   */
+  async setInvoiceStatus(invoiceId, status) {
+    const denied = permissionService.check(PERMISSIONS.INVOICES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      const invoice = this._mapInvoiceRow(fastDatabase.setInvoiceStatus(invoiceId, status));
+
+      dataEventBus.emit(EventTypes.INVOICE_UPDATED, {
+        invoice,
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        data: invoice,
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ setInvoiceStatus error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // ===================================================================
+  // PAYMENTS - LOCAL-FIRST (SQLite + sync_queue)
+  // ===================================================================
 
-        const response = await apiService.post('expenses', expenseData);
-        console.log('✅ Expense created successfully:', response.data);
+  async getPayments(filters = {}) {
+    try {
+      await this._refreshSalesTableFromBackend('payments');
 
-        // CRITICAL: Backend automatically creates financial record
-        // No need to create duplicate financial record here
+      const payments = fastDatabase.getPayments(filters).map(row => this._mapPaymentRow(row));
+      return {
+        success: true,
+        data: payments,
+        source: networkService.getIsConnected() ? 'server' : 'local'
+      };
+    } catch (error) {
+      console.error('❌ getPayments error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: []
+      };
+    }
+  }
 
-        // Emit event for real-time updates
-        dataEventBus.emit('EXPENSE_CREATED', {
-          expense: response.data,
-          source: 'server'
+  async getPaymentSummary() {
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getPaymentSummary(),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getPaymentSummary error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async createPayment(paymentData) {
+    const denied = permissionService.check(PERMISSIONS.PAYMENTS_RECORD);
+    if (denied) return denied;
+
+    try {
+      const row = fastDatabase.createPayment(paymentData);
+      return {
+        success: true,
+        data: this._mapPaymentRow(row),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ createPayment error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * A customer's open invoices and any credit they hold, for the payment entry form
+   */
+  async getPaymentContext(customerId) {
+    try {
+      const receivables = fastDatabase.getReceivables();
+      const customer = receivables.customers.find(row => String(row.customerId) === String(customerId));
+      return {
+        success: true,
+        data: {
+          invoices: fastDatabase.getOpenInvoices(customerId),
+          credit: customer?.credit || 0
+        },
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getPaymentContext error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: { invoices: [], credit: 0 }
+      };
+    }
+  }
+
+  /**
+   * Record a payment received and allocate it to invoices
+   * @param {Object} paymentData - see fastDatabase.recordPayment
+   */
+  async recordPayment(paymentData) {
+    const denied = permissionService.check(PERMISSIONS.PAYMENTS_RECORD);
+    if (denied) return denied;
+
+    try {
+      const result = await fastDatabase.recordPayment(paymentData);
+      const payments = result.payments.map(row => this._mapPaymentRow(row));
+
+      dataEventBus.emit(EventTypes.PAYMENT_CREATED, {
+        payments,
+        source: 'local'
+      }, { debounce: false });
+      result.invoices.forEach(row => {
+        dataEventBus.emit(EventTypes.INVOICE_UPDATED, {
+          invoice: this._mapInvoiceRow(row),
+          source: 'local'
         }, { debounce: false });
+      });
 
-        return {
-          success: true,
-          data: response.data,
-          source: 'server'
-        };
-      } catch (error) {
-        console.error('❌ Expense creation failed:', error);
-        throw error;
-      }
+      return {
+        success: true,
+        data: { ...result, payments, invoices: result.invoices.map(row => this._mapInvoiceRow(row)) },
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ recordPayment error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Refund credit a customer holds
+   */
+  async recordRefund(customerId, refundData) {
+    const denied = permissionService.check(PERMISSIONS.PAYMENTS_RECORD);
+    if (denied) return denied;
+
+    try {
+      const payment = this._mapPaymentRow(fastDatabase.recordRefund(customerId, refundData));
+
+      dataEventBus.emit(EventTypes.PAYMENT_CREATED, {
+        payments: [payment],
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        data: payment,
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ recordRefund error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  _mapExpenseRow(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      farmId: row.farm_id,
+      batchId: row.batch_id,
+      category: row.category || 'other',
+      subcategory: row.subcategory,
+      description: row.description,
+      amount: row.amount || 0,
+      expenseDate: row.expense_date,
+      supplier: row.supplier,
+      receiptNumber: row.receipt_number,
+      receiptUrl: row.receipt_url,
+      paymentMethod: row.payment_method || 'cash',
+      notes: row.notes,
+      isRecurring: !!row.is_recurring,
+      recurringFrequency: row.recurring_frequency || null,
+      recurringTemplateId: row.recurring_template_id || null,
+      needsSync: !!row.needs_sync,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Get all expenses with optional filters
+   * Expenses are kept in SQLite and queued in sync_queue, like sales
+   */
+  async getExpenses(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.COSTS_VIEW);
+    if (denied) return denied;
+
+    try {
+      console.log('💸 GET EXPENSES - LOCAL-FIRST MODE', filters);
+
+      const expenses = fastDatabase.getExpenses(filters).map(row => this._mapExpenseRow(row));
+      console.log(`✅ Loaded ${expenses.length} expenses from local database`);
+
+      return {
+        success: true,
+        data: expenses,
+        source: 'local',
+        pagination: {
+          page: filters.page || 1,
+          limit: filters.limit || 50,
+          total: expenses.length,
+          totalPages: Math.ceil(expenses.length / (filters.limit || 50))
+        }
+      };
+    } catch (error) {
+      console.error('❌ getExpenses error:', error);
+      return {
+        success: false,
+        error: error.message,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Get expenses summary
+   */
+  async getExpensesSummary(filters = {}) {
+    const denied = permissionService.check(PERMISSIONS.COSTS_VIEW);
+    if (denied) return denied;
+
+    try {
+      return {
+        success: true,
+        data: fastDatabase.getExpenseSummary(filters),
+        source: 'local'
+      };
+    } catch (error) {
+      console.error('❌ getExpensesSummary error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a new expense
+   * Saved to SQLite and queued in sync_queue; the backend creates the financial record on upload
+   */
+  async createExpense(expenseData) {
+    const denied = permissionService.check(PERMISSIONS.EXPENSES_MANAGE);
+    if (denied) return denied;
+
+    try {
+      console.log('💸 CREATE EXPENSE (local-first):', expenseData);
+
+      const expense = this._mapExpenseRow(fastDatabase.createExpense(expenseData));
+
+      dataEventBus.emit(EventTypes.EXPENSE_CREATED, {
+        expense,
+        source: 'local'
+      }, { debounce: false });
+
+      return {
+        success: true,
+        data: expense,
+        source: 'local'
+      };
     } catch (error) {
       console.error('❌ createExpense error:', error);
       return {
         success: false,
-        error: error.response?.data?.message || error.message
+        error: error.message
       };
     }
   }
@@ -2768,44 +3277,27 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
    * Update an expense
    */
   async updateExpense(expenseId, expenseData) {
-    try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('✏️  UPDATE EXPENSE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Expense ID:', expenseId);
-      console.log('Expense Data:', expenseData);
-
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
+    const denied = permissionService.check(PERMISSIONS.EXPENSES_MANAGE);
+    if (denied) return denied;
 
-      if (!isOnline) {
-        return {
-          success: false,
-          error: 'Expense update requires internet connection'
-        };
+    try {
+      const row = fastDatabase.updateExpense(expenseId, expenseData);
+      if (!row) {
+        throw new Error('Expense not found');
       }
+      const expense = this._mapExpenseRow(row);
 
-      try {
-        console.log('🌐 Updating expense via backend...');
-        const response = await apiService.patch(`expenses/${expenseId}`, expenseData);
-        console.log('✅ Expense updated successfully:', response.data);
-
-        // Emit event for real-time updates
-        dataEventBus.emit('EXPENSE_UPDATED', {
-          expenseId,
-          expense: response.data,
-          source: 'server'
-        }, { debounce: false });
+      dataEventBus.emit(EventTypes.EXPENSE_UPDATED, {
+        expenseId,
+        expense,
+        source: 'local'
+      }, { debounce: false });
 
-        return {
-          success: true,
-          data: response.data,
-          source: 'server'
-        };
-      } catch (error) {
-        console.error('❌ Expense update failed:', error);
-        throw error;
-      }
+      return {
+        success: true,
+        data: expense,
+        source: 'local'
+      };
     } catch (error) {
       console.error('❌ updateExpense error:', error);
       return {
@@ -2819,41 +3311,21 @@ case 'finance':          serverRecords = await apiService.getFinancialRecords();
    * Delete an expense
    */
   async deleteExpense(expenseId) {
-    try {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('🗑️  DELETE EXPENSE');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Expense ID:', expenseId);
-
-      const isOnline = networkService.getIsConnected();
-      console.log(`📡 Network status: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
+    const denied = permissionService.check(PERMISSIONS.EXPENSES_MANAGE);
+    if (denied) return denied;
 
-      if (!isOnline) {
-        return {
-          success: false,
-          error: 'Expense deletion requires internet connection'
-        };
-      }
+    try {
+      fastDatabase.deleteExpense(expenseId);
 
-      try {
-        console.log('🌐 Deleting expense from backend...');
-        await apiService.delete(`expenses/${expenseId}`);
-        console.log('✅ Expense deleted successfully');
-
-        // Emit event for real-time updates
-        dataEventBus.emit('EXPENSE_DELETED', {
-          expenseId,
-          source: 'server'
-        }, { debounce: false });
+      dataEventBus.emit(EventTypes.EXPENSE_DELETED, {
+        expenseId,
+        source: 'local'
+      }, { debounce: false });
 
-        return {
-          success: true,
-          source: 'server'
-        };
-      } catch (error) {
-        console.error('❌ Expense deletion failed:', error);
-        throw error;
-      }
+      return {
+        success: true,
+        source: 'local'
+      };
     } catch (error) {
       console.error('❌ deleteExpense error:', error);
       return {
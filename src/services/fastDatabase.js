@@ -1,10 +1,102 @@
 import { openDatabaseSync } from 'expo-sqlite';
+import { buildProductionStockEntries, buildSaleStockEntries, parseGradeCounts } from '../utils/eggGrading';
+import { ARCHIVED_STATUS, isArchivedBatch } from '../utils/batchCloseout';
+import { matchStandardForBatch } from '../utils/breedStandards';
+import { computeLayerProduction } from '../utils/layerProduction';
+import { buildBatchMovements, buildMortalityMovements, buildSaleMovements, buildTransferMovements, signedQuantity } from '../utils/birdLedger';
+import { computeSalesAnalytics, getPeriodMonths } from '../utils/salesAnalytics';
+import { buildCustomerStatement, computeReceivables, toDateKey } from '../utils/receivables';
+import {
+  DEFAULT_PAYMENT_TERMS_DAYS,
+  INVOICE_NUMBER_PREFIX,
+  addDays,
+  calculateInvoiceTotals,
+  canTransition,
+  deriveInvoiceStatus,
+  isInvoiceEditable,
+  nextInvoiceNumber
+} from '../utils/invoices';
+import { EXCESS_OPTIONS, RECEIPT_NUMBER_PREFIX, checkAllocations, getInvoiceBalance, getPaymentMethod, nextReceiptNumber } from '../utils/payments';
+
+// Bump when a table changes in a way that older backups cannot be restored into
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// OFFLINE PROFILES: Column naming the user who entered each kind of record (camelCase field from forms/server)
+const RECORDER_FIELDS = {
+  feed: { column: 'fed_by', field: 'fedBy' },
+  production: { column: 'collected_by', field: 'collectedBy' },
+  default: { column: 'recorded_by', field: 'recordedBy' }
+};
+
+// FINANCE LEDGER: Source tables that post revenue/cost entries into finance_ledger.
+// Each select yields one ledger row per live source row; `alias` is used to target a single row.
+const LEDGER_SOURCES = {
+  expenses: {
+    alias: 'e',
+    select: `
+      SELECT COALESCE(e.organization_id, f.organization_id) AS organization_id, COALESCE(e.farm_id, pb.farm_id) AS farm_id, e.batch_id,
+             'expenses' AS source_table, e.id AS source_id, 'expense' AS transaction_type,
+             e.category, e.description, e.amount, e.expense_date AS transaction_date
+      FROM expenses e
+      LEFT JOIN poultry_batches pb ON e.batch_id = pb.id
+      LEFT JOIN farms f ON f.id = COALESCE(e.farm_id, pb.farm_id)
+      WHERE COALESCE(e.is_deleted, 0) = 0`
+  },
+  feed_records: {
+    alias: 'fr',
+    select: `
+      SELECT f.organization_id, COALESCE(fr.farm_id, pb.farm_id) AS farm_id, fr.batch_id,
+             'feed_records' AS source_table, fr.id AS source_id, 'expense' AS transaction_type,
+             'feed' AS category, fr.feed_type AS description,
+             COALESCE(NULLIF(fr.total_cost, 0), NULLIF(fr.cost, 0), fr.cost_per_kg * fr.quantity_kg, 0) AS amount,
+             COALESCE(fr.date, fr.date_fed, fr.created_at) AS transaction_date
+      FROM feed_records fr
+      LEFT JOIN poultry_batches pb ON fr.batch_id = pb.id
+      LEFT JOIN farms f ON f.id = COALESCE(fr.farm_id, pb.farm_id)
+      WHERE COALESCE(fr.is_deleted, 0) = 0`
+  },
+  sales: {
+    alias: 's',
+    select: `
+      SELECT COALESCE(s.organization_id, f.organization_id) AS organization_id, COALESCE(s.farm_id, pb.farm_id) AS farm_id, s.batch_id,
+             'sales' AS source_table, s.id AS source_id, 'income' AS transaction_type,
+             s.product_type AS category, s.notes AS description, s.total_amount AS amount, s.sale_date AS transaction_date
+      FROM sales s
+      LEFT JOIN poultry_batches pb ON s.batch_id = pb.id
+      LEFT JOIN farms f ON f.id = COALESCE(s.farm_id, pb.farm_id)
+      WHERE COALESCE(s.is_deleted, 0) = 0`
+  }
+};
+
+// ORG ISOLATION: Tables whose rows belong to a single organization. Farms come first so rows
+// backfilled from their farm see the farm's organization.
+const ORGANIZATION_TABLES = [
+  'farms',
+  'poultry_batches',
+  'expenses',
+  'customers',
+  'sales',
+  'invoices',
+  'payments',
+  'vaccination_templates',
+  'breed_standards',
+  'mortality_alerts',
+  'feed_inventory',
+  'finance_ledger',
+  'egg_stock_ledger',
+  'bird_transfers',
+  'bird_movements'
+];
+
+// PRAGMA user_version once rows without an organization have been dealt with (see migrateOrphanOrganizationIds)
+const ORPHAN_ORGANIZATION_MIGRATION_VERSION = 1;
 
 class FastDatabaseService {
   constructor() {
     this.db = null;
     this.isReady = false;
     this.currentOrganizationId = null; // Track current user's organization
+    this.currentUserId = null; // Track who is signed in on a shared device
     this.isTransactionActive = false; // Track if a transaction is in progress
     this.transactionQueue = []; // Queue for pending operations
   }
@@ -53,6 +145,9 @@ class FastDatabaseService {
   setOrganizationId(organizationId) {
     this.currentOrganizationId = organizationId;
     console.log(`🏢 FastDatabase: Organization ID set to ${organizationId}`);
+    if (organizationId && this.isReady) {
+      this.migrateOrphanOrganizationIds(organizationId);
+    }
   }
 
   // Get current organization ID
@@ -60,6 +155,143 @@ class FastDatabaseService {
     return this.currentOrganizationId;
   }
 
+  /**
+   * ORG ISOLATION: Organization a new row is written under - the one the form or server named,
+   * otherwise that of the farm/customer/... it belongs to, otherwise the active one
+   * @param {number|null} named - organizationId from the caller
+   * @param {Array} parents - [[tableName, localId], ...] rows whose organization the new row shares
+   * @returns {number} organization id
+   * @throws when no organization is known, since organization filters never match a NULL
+   */
+  resolveOrganizationId(named, parents = []) {
+    if (named) return named;
+
+    for (const [tableName, localId] of parents) {
+      if (!localId) continue;
+      const parent = this.db.getFirstSync(`SELECT organization_id FROM ${tableName} WHERE id = ?`, [localId]);
+      if (parent?.organization_id) return parent.organization_id;
+    }
+
+    if (this.currentOrganizationId) return this.currentOrganizationId;
+    throw new Error('No organization is selected. Please log in again.');
+  }
+
+  /**
+   * Give rows without an organization that of their farm, since organization filters never
+   * match NULL. Safe to repeat: it only copies what the farm already records.
+   * @returns {number} Rows updated
+   */
+  backfillOrganizationIds() {
+    if (!this.db) return 0;
+
+    let updated = 0;
+    ORGANIZATION_TABLES.forEach(tableName => {
+      try {
+        const columns = this.db.getAllSync(`PRAGMA table_info(${tableName})`).map(col => col.name);
+        if (!columns.includes('organization_id') || !columns.includes('farm_id')) return;
+
+        const result = this.db.runSync(
+          `UPDATE ${tableName}
+           SET organization_id = (SELECT f.organization_id FROM farms f WHERE f.id = ${tableName}.farm_id)
+           WHERE organization_id IS NULL
+             AND EXISTS (SELECT 1 FROM farms f WHERE f.id = ${tableName}.farm_id AND f.organization_id IS NOT NULL)`
+        );
+        updated += result?.changes || 0;
+      } catch (error) {
+        console.warn(`⚠️ FastDatabase: Failed to backfill organization_id on ${tableName}:`, error.message);
+      }
+    });
+
+    if (updated > 0) {
+      console.log(`🏢 FastDatabase: Backfilled organization_id on ${updated} row(s)`);
+    }
+    return updated;
+  }
+
+  /**
+   * One-off migration (tracked in PRAGMA user_version) for rows older app versions wrote without
+   * an organization and without a farm to take one from. They go to the active organization only
+   * when it is the only one this device has records of; with several the owner cannot be told
+   * apart, so the rows stay unassigned and out of every organization's lists.
+   * @param {number} organizationId - Active organization
+   * @returns {number} Rows updated
+   */
+  migrateOrphanOrganizationIds(organizationId) {
+    if (!this.db || !organizationId) return 0;
+
+    try {
+      const version = this.db.getFirstSync('PRAGMA user_version')?.user_version || 0;
+      if (version >= ORPHAN_ORGANIZATION_MIGRATION_VERSION) return 0;
+
+      this.backfillOrganizationIds();
+
+      const knownOrganizations = new Set([String(organizationId)]);
+      ORGANIZATION_TABLES.forEach(tableName => {
+        try {
+          this.db.getAllSync(`SELECT DISTINCT organization_id FROM ${tableName} WHERE organization_id IS NOT NULL`)
+            .forEach(row => knownOrganizations.add(String(row.organization_id)));
+        } catch (error) {
+          // Table or column missing on this install - nothing recorded there
+        }
+      });
+
+      let updated = 0;
+      if (knownOrganizations.size === 1) {
+        ORGANIZATION_TABLES.forEach(tableName => {
+          try {
+            const result = this.db.runSync(
+              `UPDATE ${tableName} SET organization_id = ? WHERE organization_id IS NULL`,
+              [organizationId]
+            );
+            updated += result?.changes || 0;
+          } catch (error) {
+            console.warn(`⚠️ FastDatabase: Failed to assign organization_id on ${tableName}:`, error.message);
+          }
+        });
+        console.log(`🏢 FastDatabase: Assigned ${updated} row(s) without an organization to ${organizationId}`);
+      } else {
+        console.warn(`⚠️ FastDatabase: Records of ${knownOrganizations.size} organizations on this device - rows without one are left unassigned`);
+      }
+
+      this.db.execSync(`PRAGMA user_version = ${ORPHAN_ORGANIZATION_MIGRATION_VERSION}`);
+      return updated;
+    } catch (error) {
+      console.warn('⚠️ FastDatabase: Organization migration failed:', error.message);
+      return 0;
+    }
+  }
+
+  // Set the signed-in user (called after login and user switches, null on logout)
+  setCurrentUserId(userId) {
+    this.currentUserId = userId || null;
+    console.log(`👤 FastDatabase: Current user set to ${this.currentUserId}`);
+  }
+
+  getCurrentUserId() {
+    return this.currentUserId;
+  }
+
+  /**
+   * OFFLINE PROFILES: Who entered a record - the user the form or server already named,
+   * otherwise whoever is signed in when the record is new on this device
+   * @param {string} recordType - feed, production, mortality, health, water, weight, sale, transfer
+   * @param {Object} recordData
+   * @returns {number|string|null} user id for fed_by / collected_by / recorded_by
+   */
+  getRecorder(recordType, recordData = {}) {
+    const { column, field } = RECORDER_FIELDS[recordType] || RECORDER_FIELDS.default;
+    const named = recordData[field] ?? recordData[column];
+    if (named !== undefined && named !== null) return named;
+    return recordData.server_id ? null : this.currentUserId;
+  }
+
+  // Copy of recordData with the recorder filled in under its camelCase field
+  stampRecorder(recordType, recordData = {}) {
+    const { field } = RECORDER_FIELDS[recordType] || RECORDER_FIELDS.default;
+    const recorder = this.getRecorder(recordType, recordData);
+    return recorder === null || recorder === undefined ? recordData : { ...recordData, [field]: recorder };
+  }
+
   // CRASH FIX: INSTANT initialization - WITH PROPER ERROR REPORTING AND NULL PREVENTION
   init() {
     try {
@@ -117,6 +349,10 @@ class FastDatabaseService {
       // CRITICAL FIX: Migrate existing tables to add is_deleted column if missing
       this.migrateAddIsDeletedColumn();
 
+      // ORG ISOLATION: Rows written before they recorded an organization take their farm's
+      this.backfillOrganizationIds();
+      this.migrateOrphanOrganizationIds(this.currentOrganizationId);
+
       this.isReady = true;
       console.log('✅ FastDatabase: Initialization complete - database is READY');
       return true;
@@ -203,7 +439,7 @@ class FastDatabaseService {
       const tablesToMigrate = [
         'users', 'farms', 'poultry_batches', 'feed_records', 'health_records',
         'mortality_records', 'production_records', 'water_records', 'weight_records', 'expenses',
-        'sync_queue'
+        'customers', 'sales', 'invoices', 'payments', 'sync_queue'
       ];
 
       // Define all columns to add for each table type
@@ -259,6 +495,24 @@ class FastDatabaseService {
             console.log(`✅ FastDatabase: Added server_farm_id column to poultry_batches`);
           }
 
+          // BATCH CLOSE-OUT: Final numbers and end-of-cycle summary of archived batches
+          if (tableName === 'poultry_batches') {
+            const closeoutColumns = [
+              { name: 'closed_at', type: 'TEXT' },
+              { name: 'close_reason', type: 'TEXT' },
+              { name: 'birds_sold', type: 'INTEGER' },
+              { name: 'birds_culled', type: 'INTEGER' },
+              { name: 'final_avg_weight_kg', type: 'REAL' },
+              { name: 'closeout_summary', type: 'TEXT' }
+            ];
+            for (const column of closeoutColumns) {
+              if (!existingColumnNames.includes(column.name)) {
+                this.db.execSync(`ALTER TABLE poultry_batches ADD COLUMN ${column.name} ${column.type}`);
+                console.log(`✅ FastDatabase: Added ${column.name} column to poultry_batches`);
+              }
+            }
+          }
+
           // SCHEMA FIX: Add organization_id to farms
           if (tableName === 'farms' && !existingColumnNames.includes('organization_id')) {
             console.log(`🔄 FastDatabase: Adding organization_id column to farms...`);
@@ -396,6 +650,25 @@ class FastDatabaseService {
               this.db.execSync(`ALTER TABLE production_records ADD COLUMN date_recorded TEXT`);
               console.log(`✅ FastDatabase: Added date_recorded column to production_records`);
             }
+            if (!existingColumnNames.includes('grade_counts')) {
+              console.log(`🔄 FastDatabase: Adding grade_counts column to production_records...`);
+              this.db.execSync(`ALTER TABLE production_records ADD COLUMN grade_counts TEXT`);
+              console.log(`✅ FastDatabase: Added grade_counts column to production_records`);
+            }
+          }
+
+          // EGG GRADING: Size grade sold on egg sales
+          if (tableName === 'sales' && !existingColumnNames.includes('egg_grade')) {
+            console.log(`🔄 FastDatabase: Adding egg_grade column to sales...`);
+            this.db.execSync(`ALTER TABLE sales ADD COLUMN egg_grade TEXT`);
+            console.log(`✅ FastDatabase: Added egg_grade column to sales`);
+          }
+
+          // ORG ISOLATION: Queued changes remember the organization they were made in
+          if (tableName === 'sync_queue' && !existingColumnNames.includes('organization_id')) {
+            console.log(`🔄 FastDatabase: Adding organization_id column to sync_queue...`);
+            this.db.execSync(`ALTER TABLE sync_queue ADD COLUMN organization_id INTEGER`);
+            console.log(`✅ FastDatabase: Added organization_id column to sync_queue`);
           }
 
           // SCHEMA FIX: Add missing columns to health_records (15 columns!)
@@ -415,7 +688,8 @@ class FastDatabaseService {
               { name: 'individual_bird_id', type: 'TEXT' },
               { name: 'record_date', type: 'TEXT' },
               { name: 'date', type: 'TEXT' },
-              { name: 'health_status', type: 'TEXT', default: "'healthy'" }
+              { name: 'health_status', type: 'TEXT', default: "'healthy'" },
+              { name: 'withdrawal_days', type: 'INTEGER' }
             ];
 
             for (const col of healthColumnsToAdd) {
@@ -486,6 +760,20 @@ class FastDatabaseService {
             }
           }
 
+          // RECURRING EXPENSES: Occurrences posted from a recurring expense point back at it
+          if (tableName === 'expenses' && !existingColumnNames.includes('recurring_template_id')) {
+            console.log(`🔄 FastDatabase: Adding recurring_template_id column to expenses...`);
+            this.db.execSync(`ALTER TABLE expenses ADD COLUMN recurring_template_id INTEGER`);
+            console.log(`✅ FastDatabase: Added recurring_template_id column to expenses`);
+          }
+
+          // ORG ISOLATION: Expenses without a farm still belong to an organization
+          if (tableName === 'expenses' && !existingColumnNames.includes('organization_id')) {
+            console.log(`🔄 FastDatabase: Adding organization_id column to expenses...`);
+            this.db.execSync(`ALTER TABLE expenses ADD COLUMN organization_id INTEGER`);
+            console.log(`✅ FastDatabase: Added organization_id column to expenses`);
+          }
+
           console.log(`✅ FastDatabase: Table ${tableName} migration complete`);
 
         } catch (tableError) {
@@ -511,7 +799,7 @@ class FastDatabaseService {
       const existingTables = this.db.getAllSync(`SELECT name FROM sqlite_master WHERE type='table' ORDER BY name;`);
       console.log('📋 FastDatabase: Existing tables:', existingTables.map(t => t.name));
 
-      const requiredTables = ['users', 'farms', 'poultry_batches', 'feed_records', 'health_records', 'mortality_records', 'production_records', 'water_records', 'weight_records', 'vaccination_records', 'expenses', 'id_mappings', 'sync_conflicts', 'sync_queue'];
+      const requiredTables = ['users', 'farms', 'poultry_batches', 'feed_records', 'health_records', 'mortality_records', 'production_records', 'water_records', 'weight_records', 'vaccination_records', 'vaccination_templates', 'breed_standards', 'organization_settings', 'mortality_alerts', 'feed_inventory', 'feed_stock_movements', 'expenses', 'recurring_expense_occurrences', 'customers', 'sales', 'invoices', 'invoice_items', 'payments', 'finance_ledger', 'egg_stock_ledger', 'bird_movements', 'bird_transfers', 'id_mappings', 'sync_conflicts', 'sync_queue'];
       const missingTables = requiredTables.filter(table => !existingTables.some(t => t.name === table));
 
       if (missingTables.length === 0) {
@@ -579,6 +867,12 @@ class FastDatabaseService {
             status TEXT DEFAULT 'active',
             organization_id INTEGER,
             notes TEXT,
+            closed_at TEXT,
+            close_reason TEXT,
+            birds_sold INTEGER,
+            birds_culled INTEGER,
+            final_avg_weight_kg REAL,
+            closeout_summary TEXT,
             needs_sync INTEGER DEFAULT 1,
             synced_at TEXT,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
@@ -633,6 +927,7 @@ class FastDatabaseService {
             treatment TEXT,
             medication TEXT,
             treatment_date TEXT,
+            withdrawal_days INTEGER,
             recovery_date TEXT,
             mortality_count INTEGER DEFAULT 0,
             mortality_cause TEXT,
@@ -698,6 +993,7 @@ class FastDatabaseService {
             eggs_broken INTEGER DEFAULT 0,
             abnormal_eggs INTEGER DEFAULT 0,
             egg_weight_avg REAL,
+            grade_counts TEXT,
             collected_by INTEGER,
             notes TEXT,
             needs_sync INTEGER DEFAULT 1,
@@ -798,6 +1094,136 @@ class FastDatabaseService {
         console.log('✅ FastDatabase: Created vaccination_records table with all required columns');
       }
 
+      // Vaccination programme templates per organization; items is a JSON array of { vaccine, dayOffset, medication, notes }
+      if (missingTables.includes('vaccination_templates')) {
+        this.db.execSync(`
+          CREATE TABLE vaccination_templates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            name TEXT NOT NULL,
+            bird_type TEXT,
+            items TEXT NOT NULL DEFAULT '[]',
+            is_default INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0
+          );
+        `);
+        console.log('✅ FastDatabase: Created vaccination_templates table');
+      }
+
+      // Breed standard curves per organization; points is a JSON array of
+      // { day, bodyWeightG, dailyFeedG, cumulativeFcr, mortalityPct } sorted by day of age
+      if (missingTables.includes('breed_standards')) {
+        this.db.execSync(`
+          CREATE TABLE breed_standards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            name TEXT NOT NULL,
+            bird_type TEXT,
+            points TEXT NOT NULL DEFAULT '[]',
+            is_default INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0
+          );
+        `);
+        console.log('✅ FastDatabase: Created breed_standards table');
+      }
+
+      // Organization-wide settings (one JSON value per key), pushed to the server when needs_sync = 1
+      if (missingTables.includes('organization_settings')) {
+        this.db.execSync(`
+          CREATE TABLE organization_settings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            setting_key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            needs_sync INTEGER DEFAULT 1,
+            synced_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (organization_id, setting_key)
+          );
+        `);
+        console.log('✅ FastDatabase: Created organization_settings table');
+      }
+
+      // Mortality alert log: every alert raised by MortalityMonitor and who acknowledged/resolved it
+      if (missingTables.includes('mortality_alerts')) {
+        this.db.execSync(`
+          CREATE TABLE mortality_alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            batch_id INTEGER NOT NULL,
+            farm_id INTEGER,
+            alert_type TEXT DEFAULT 'mortality',
+            level TEXT NOT NULL CHECK(level IN ('warning', 'critical', 'emergency')),
+            daily_rate REAL DEFAULT 0,
+            cumulative_rate REAL DEFAULT 0,
+            trend TEXT,
+            title TEXT,
+            message TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'acknowledged', 'resolved')),
+            notified INTEGER DEFAULT 0,
+            acknowledged_by INTEGER,
+            acknowledged_by_name TEXT,
+            acknowledged_at TEXT,
+            acknowledge_note TEXT,
+            resolved_by INTEGER,
+            resolved_by_name TEXT,
+            resolved_at TEXT,
+            resolution_note TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (batch_id) REFERENCES poultry_batches (id) ON DELETE CASCADE
+          );
+        `);
+        console.log('✅ FastDatabase: Created mortality_alerts table');
+      }
+
+      // FEED INVENTORY: One row per feed type stocked at a farm. Stock is tracked from tracked_from;
+      // feed_records on or after that date are counted as consumption, so nothing has to be decremented by hand
+      if (missingTables.includes('feed_inventory')) {
+        this.db.execSync(`
+          CREATE TABLE feed_inventory (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            farm_id INTEGER NOT NULL,
+            feed_type TEXT NOT NULL,
+            tracked_from TEXT NOT NULL,
+            low_stock_days REAL DEFAULT 7,
+            last_low_stock_alert_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (farm_id, feed_type COLLATE NOCASE),
+            FOREIGN KEY (farm_id) REFERENCES farms (id) ON DELETE CASCADE
+          );
+        `);
+        console.log('✅ FastDatabase: Created feed_inventory table');
+      }
+
+      // Deliveries (positive) and stock-count adjustments (signed) for a feed_inventory item
+      if (missingTables.includes('feed_stock_movements')) {
+        this.db.execSync(`
+          CREATE TABLE feed_stock_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            inventory_id INTEGER NOT NULL,
+            movement_type TEXT NOT NULL CHECK(movement_type IN ('delivery', 'adjustment')),
+            quantity_kg REAL NOT NULL,
+            cost_per_kg REAL,
+            total_cost REAL,
+            supplier TEXT,
+            reference TEXT,
+            movement_date TEXT NOT NULL,
+            notes TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (inventory_id) REFERENCES feed_inventory (id) ON DELETE CASCADE
+          );
+        `);
+        console.log('✅ FastDatabase: Created feed_stock_movements table');
+      }
+
       if (missingTables.includes('expenses')) {
         this.db.execSync(`
           CREATE TABLE expenses (
@@ -816,6 +1242,8 @@ class FastDatabaseService {
             notes TEXT,
             is_recurring INTEGER DEFAULT 0,
             recurring_frequency TEXT,
+            recurring_template_id INTEGER,
+            organization_id INTEGER,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
             is_deleted INTEGER DEFAULT 0,
@@ -826,84 +1254,336 @@ class FastDatabaseService {
         console.log('✅ FastDatabase: Created expenses table');
       }
 
-      // P0-1 FIX: Create centralized ID mapping table
-      if (missingTables.includes('id_mappings')) {
+      // RECURRING EXPENSES: Per-occurrence state of a recurring expense - posted, skipped,
+      // or edited ahead of time. Occurrences without a row are pending with the template's values.
+      if (missingTables.includes('recurring_expense_occurrences')) {
         this.db.execSync(`
-          CREATE TABLE id_mappings (
-            local_table TEXT NOT NULL,
-            local_id INTEGER NOT NULL,
-            server_id TEXT NOT NULL,
-            synced_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            entity_type TEXT,
-            PRIMARY KEY (local_table, local_id)
+          CREATE TABLE recurring_expense_occurrences (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            template_id INTEGER NOT NULL,
+            occurrence_date TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'posted', 'skipped')),
+            expense_id INTEGER,
+            amount REAL,
+            description TEXT,
+            notes TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (template_id, occurrence_date),
+            FOREIGN KEY (template_id) REFERENCES expenses (id) ON DELETE CASCADE
           );
         `);
-        console.log('✅ FastDatabase: Created id_mappings table for local↔server ID tracking');
+        console.log('✅ FastDatabase: Created recurring_expense_occurrences table');
+      }
 
-        // Create index for fast lookups
+      // OFFLINE SALES: Customers, sales, invoices and payments live locally and sync via sync_queue
+      if (missingTables.includes('customers')) {
         this.db.execSync(`
-          CREATE INDEX idx_id_mappings_lookup ON id_mappings(local_table, local_id);
+          CREATE TABLE customers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id TEXT UNIQUE,
+            organization_id INTEGER,
+            name TEXT NOT NULL,
+            email TEXT,
+            phone TEXT,
+            address TEXT,
+            tax_id TEXT,
+            customer_type TEXT DEFAULT 'retail',
+            notes TEXT,
+            needs_sync INTEGER DEFAULT 1,
+            is_synced INTEGER DEFAULT 0,
+            synced_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0,
+            deleted_at TEXT
+          );
         `);
+        console.log('✅ FastDatabase: Created customers table');
+      }
+
+      if (missingTables.includes('sales')) {
         this.db.execSync(`
-          CREATE INDEX idx_id_mappings_reverse ON id_mappings(local_table, server_id);
+          CREATE TABLE sales (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            server_id TEXT UNIQUE,
+            organization_id INTEGER,
+            customer_id INTEGER,
+            farm_id INTEGER,
+            batch_id INTEGER,
+            sale_date TEXT NOT NULL,
+            product_type TEXT NOT NULL,
+            quantity REAL NOT NULL,
+            unit TEXT,
+            egg_grade TEXT,
+            unit_price REAL NOT NULL,
+            total_amount REAL NOT NULL,
+            amount_paid REAL DEFAULT 0,
+            amount_due REAL DEFAULT 0,
+            payment_status TEXT DEFAULT 'paid',
+            payment_method TEXT DEFAULT 'cash',
+            payment_date TEXT,
+            invoice_number TEXT,
+            delivery_address TEXT,
+            notes TEXT,
+            recorded_by INTEGER,
+            needs_sync INTEGER DEFAULT 1,
+            is_synced INTEGER DEFAULT 0,
+            synced_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0,
+            deleted_at TEXT,
+            FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE SET NULL,
+            FOREIGN KEY (farm_id) REFERENCES farms (id) ON DELETE SET NULL,
+            FOREIGN KEY (batch_id) REFERENCES poultry_batches (id) ON DELETE SET NULL
+          );
         `);
+        console.log('✅ FastDatabase: Created sales table');
       }
 
-      // P0-4 FIX: Create sync conflicts table for conflict resolution
-      if (missingTables.includes('sync_conflicts')) {
+      if (missingTables.includes('invoices')) {
         this.db.execSync(`
-          CREATE TABLE sync_conflicts (
+          CREATE TABLE invoices (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
-            table_name TEXT NOT NULL,
-            local_id INTEGER NOT NULL,
-            server_id TEXT,
-            local_data TEXT NOT NULL,
-            server_data TEXT NOT NULL,
-            conflict_type TEXT NOT NULL,
-            detected_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            resolved_at TEXT,
-            resolution_strategy TEXT,
-            resolved_by TEXT,
-            notes TEXT
+            server_id TEXT UNIQUE,
+            organization_id INTEGER,
+            customer_id INTEGER,
+            sale_id INTEGER,
+            invoice_number TEXT,
+            invoice_date TEXT NOT NULL,
+            due_date TEXT,
+            subtotal REAL DEFAULT 0,
+            tax_amount REAL DEFAULT 0,
+            discount_amount REAL DEFAULT 0,
+            total REAL NOT NULL DEFAULT 0,
+            amount_paid REAL DEFAULT 0,
+            amount_due REAL DEFAULT 0,
+            status TEXT DEFAULT 'draft',
+            notes TEXT,
+            needs_sync INTEGER DEFAULT 1,
+            is_synced INTEGER DEFAULT 0,
+            synced_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0,
+            deleted_at TEXT,
+            FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE SET NULL,
+            FOREIGN KEY (sale_id) REFERENCES sales (id) ON DELETE SET NULL
           );
         `);
-        console.log('✅ FastDatabase: Created sync_conflicts table for conflict detection');
+        console.log('✅ FastDatabase: Created invoices table');
+      }
 
-        // Create index for pending conflicts
+      // INVOICE ITEMS: Line items of an invoice, synced inside the invoice they belong to
+      if (missingTables.includes('invoice_items')) {
         this.db.execSync(`
-          CREATE INDEX idx_sync_conflicts_pending ON sync_conflicts(table_name, resolved_at);
+          CREATE TABLE invoice_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            invoice_id INTEGER NOT NULL,
+            sale_id INTEGER,
+            description TEXT NOT NULL,
+            quantity REAL DEFAULT 0,
+            unit TEXT,
+            unit_price REAL DEFAULT 0,
+            amount REAL NOT NULL DEFAULT 0,
+            sort_order INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE CASCADE,
+            FOREIGN KEY (sale_id) REFERENCES sales (id) ON DELETE SET NULL
+          );
         `);
+        console.log('✅ FastDatabase: Created invoice_items table');
       }
 
-      // CRITICAL FIX: Create sync_queue table for offline sync management
-      // This table tracks all pending, syncing, synced, and failed sync operations
-      if (missingTables.includes('sync_queue')) {
+      if (missingTables.includes('payments')) {
         this.db.execSync(`
-          CREATE TABLE sync_queue (
+          CREATE TABLE payments (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
-            table_name TEXT NOT NULL,
-            operation TEXT NOT NULL CHECK(operation IN ('CREATE', 'UPDATE', 'DELETE')),
-            local_id TEXT NOT NULL,
-            server_id TEXT,
-            data TEXT NOT NULL,
-            sync_status TEXT NOT NULL DEFAULT 'pending' CHECK(sync_status IN ('pending', 'syncing', 'synced', 'failed')),
-            retry_count INTEGER DEFAULT 0,
-            error_message TEXT,
-            is_deleted INTEGER DEFAULT 0,
+            server_id TEXT UNIQUE,
+            organization_id INTEGER,
+            customer_id INTEGER,
+            invoice_id INTEGER,
+            sale_id INTEGER,
+            amount REAL NOT NULL,
+            payment_date TEXT NOT NULL,
+            payment_method TEXT DEFAULT 'cash',
+            reference_number TEXT,
+            receipt_number TEXT,
+            notes TEXT,
+            needs_sync INTEGER DEFAULT 1,
+            is_synced INTEGER DEFAULT 0,
+            synced_at TEXT,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
             updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            synced_at TEXT
+            is_deleted INTEGER DEFAULT 0,
+            deleted_at TEXT,
+            FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE SET NULL,
+            FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE SET NULL,
+            FOREIGN KEY (sale_id) REFERENCES sales (id) ON DELETE SET NULL
           );
         `);
-        console.log('✅ FastDatabase: Created sync_queue table for offline sync tracking');
+        console.log('✅ FastDatabase: Created payments table');
+      }
 
-        // Create indexes for efficient sync queue queries
+      // FINANCE LEDGER: Unified revenue/cost entries per batch and farm, posted from expenses, feed and sales
+      if (missingTables.includes('finance_ledger')) {
         this.db.execSync(`
-          CREATE INDEX idx_sync_queue_status ON sync_queue(sync_status, created_at);
+          CREATE TABLE finance_ledger (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            farm_id INTEGER,
+            batch_id INTEGER,
+            source_table TEXT NOT NULL,
+            source_id INTEGER NOT NULL,
+            transaction_type TEXT NOT NULL CHECK(transaction_type IN ('income', 'expense', 'loss')),
+            category TEXT,
+            description TEXT,
+            amount REAL NOT NULL DEFAULT 0,
+            transaction_date TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (source_table, source_id)
+          );
         `);
+        console.log('✅ FastDatabase: Created finance_ledger table');
+      }
+
+      // EGG STOCK: Eggs in store per grade, posted from production records (in) and egg sales (out)
+      if (missingTables.includes('egg_stock_ledger')) {
         this.db.execSync(`
-          CREATE INDEX idx_sync_queue_table ON sync_queue(table_name, sync_status);
-        `);
+          CREATE TABLE egg_stock_ledger (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            farm_id INTEGER,
+            batch_id INTEGER,
+            source_table TEXT NOT NULL CHECK(source_table IN ('production_records', 'sales')),
+            source_id INTEGER,
+            grade TEXT NOT NULL DEFAULT 'ungraded',
+            quantity INTEGER NOT NULL,
+            entry_date TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        console.log('✅ FastDatabase: Created egg_stock_ledger table');
+      }
+
+      // BIRD LEDGER: Every change to a batch's bird count. Rows with a source are posted from
+      // batches, mortality records and bird sales; rows without one are entered by hand.
+      if (missingTables.includes('bird_movements')) {
+        this.createBirdMovementsTable();
+        console.log('✅ FastDatabase: Created bird_movements table');
+      } else if (missingTables.includes('bird_transfers')) {
+        this.upgradeBirdMovementsTable();
+      }
+
+      // BIRD TRANSFERS: Birds moved from one batch to another (or into a batch opened by the transfer).
+      // Each transfer posts a transfer out and a transfer in, and syncs as one sync_queue item.
+      if (missingTables.includes('bird_transfers')) {
+        this.db.execSync(`
+          CREATE TABLE bird_transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            organization_id INTEGER,
+            from_batch_id INTEGER NOT NULL,
+            to_batch_id INTEGER NOT NULL,
+            from_farm_id INTEGER,
+            to_farm_id INTEGER,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            transfer_date TEXT NOT NULL,
+            notes TEXT,
+            created_new_batch INTEGER DEFAULT 0,
+            recorded_by INTEGER,
+            server_id TEXT,
+            needs_sync INTEGER DEFAULT 1,
+            is_synced INTEGER DEFAULT 0,
+            synced_at TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            is_deleted INTEGER DEFAULT 0
+          );
+        `);
+        console.log('✅ FastDatabase: Created bird_transfers table');
+      }
+
+      // P0-1 FIX: Create centralized ID mapping table
+      if (missingTables.includes('id_mappings')) {
+        this.db.execSync(`
+          CREATE TABLE id_mappings (
+            local_table TEXT NOT NULL,
+            local_id INTEGER NOT NULL,
+            server_id TEXT NOT NULL,
+            synced_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            entity_type TEXT,
+            PRIMARY KEY (local_table, local_id)
+          );
+        `);
+        console.log('✅ FastDatabase: Created id_mappings table for local↔server ID tracking');
+
+        // Create index for fast lookups
+        this.db.execSync(`
+          CREATE INDEX idx_id_mappings_lookup ON id_mappings(local_table, local_id);
+        `);
+        this.db.execSync(`
+          CREATE INDEX idx_id_mappings_reverse ON id_mappings(local_table, server_id);
+        `);
+      }
+
+      // P0-4 FIX: Create sync conflicts table for conflict resolution
+      if (missingTables.includes('sync_conflicts')) {
+        this.db.execSync(`
+          CREATE TABLE sync_conflicts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT NOT NULL,
+            local_id INTEGER NOT NULL,
+            server_id TEXT,
+            local_data TEXT NOT NULL,
+            server_data TEXT NOT NULL,
+            conflict_type TEXT NOT NULL,
+            detected_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            resolved_at TEXT,
+            resolution_strategy TEXT,
+            resolved_by TEXT,
+            notes TEXT
+          );
+        `);
+        console.log('✅ FastDatabase: Created sync_conflicts table for conflict detection');
+
+        // Create index for pending conflicts
+        this.db.execSync(`
+          CREATE INDEX idx_sync_conflicts_pending ON sync_conflicts(table_name, resolved_at);
+        `);
+      }
+
+      // CRITICAL FIX: Create sync_queue table for offline sync management
+      // This table tracks all pending, syncing, synced, and failed sync operations
+      if (missingTables.includes('sync_queue')) {
+        this.db.execSync(`
+          CREATE TABLE sync_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT NOT NULL,
+            operation TEXT NOT NULL CHECK(operation IN ('CREATE', 'UPDATE', 'DELETE')),
+            local_id TEXT NOT NULL,
+            server_id TEXT,
+            organization_id INTEGER,
+            data TEXT NOT NULL,
+            sync_status TEXT NOT NULL DEFAULT 'pending' CHECK(sync_status IN ('pending', 'syncing', 'synced', 'failed')),
+            retry_count INTEGER DEFAULT 0,
+            error_message TEXT,
+            is_deleted INTEGER DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            synced_at TEXT
+          );
+        `);
+        console.log('✅ FastDatabase: Created sync_queue table for offline sync tracking');
+
+        // Create indexes for efficient sync queue queries
+        this.db.execSync(`
+          CREATE INDEX idx_sync_queue_status ON sync_queue(sync_status, created_at);
+        `);
+        this.db.execSync(`
+          CREATE INDEX idx_sync_queue_table ON sync_queue(table_name, sync_status);
+        `);
         this.db.execSync(`
           CREATE INDEX idx_sync_queue_local_id ON sync_queue(table_name, local_id);
         `);
@@ -917,9 +1597,24 @@ class FastDatabaseService {
       // SECURITY FIX: Add password_hash column to existing users table if missing
       this.addPasswordHashColumnIfMissing();
 
+      // Egg production drop alerts share the mortality alert log
+      this.addAlertTypeColumnIfMissing();
+
       // CRASH FIX: Create critical indexes for multi-tenancy and performance
       this.createCriticalIndexes();
 
+      // Backfill the ledger from records that existed before it was added
+      if (missingTables.includes('finance_ledger')) {
+        this.rebuildFinanceLedger();
+      }
+      if (missingTables.includes('egg_stock_ledger')) {
+        this.rebuildEggStockLedger();
+      }
+      if (missingTables.includes('bird_movements')) {
+        this.rebuildBirdLedger();
+        this.postBirdBalanceAdjustments();
+      }
+
       // Initialize demo users with hashed passwords
       this.initializeDemoUsers();
 
@@ -954,6 +1649,13 @@ class FastDatabaseService {
         'CREATE INDEX IF NOT EXISTS idx_health_batch ON health_records(batch_id)',
         'CREATE INDEX IF NOT EXISTS idx_water_batch ON water_records(batch_id)',
         'CREATE INDEX IF NOT EXISTS idx_weight_batch ON weight_records(batch_id)',
+        'CREATE INDEX IF NOT EXISTS idx_vaccination_batch ON vaccination_records(batch_id, vaccination_date)',
+        'CREATE INDEX IF NOT EXISTS idx_vaccination_templates_org ON vaccination_templates(organization_id, bird_type)',
+        'CREATE INDEX IF NOT EXISTS idx_breed_standards_org ON breed_standards(organization_id, bird_type)',
+        'CREATE INDEX IF NOT EXISTS idx_mortality_alerts_status ON mortality_alerts(organization_id, status, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_mortality_alerts_batch ON mortality_alerts(batch_id, created_at)',
+        'CREATE INDEX IF NOT EXISTS idx_feed_inventory_org ON feed_inventory(organization_id, farm_id)',
+        'CREATE INDEX IF NOT EXISTS idx_feed_stock_movements_item ON feed_stock_movements(inventory_id, movement_date)',
 
         // Sync status indexes
         'CREATE INDEX IF NOT EXISTS idx_farms_needs_sync ON farms(needs_sync)',
@@ -970,7 +1672,26 @@ class FastDatabaseService {
         'CREATE INDEX IF NOT EXISTS idx_batches_deleted ON poultry_batches(is_deleted)',
 
         // Batch status index
-        'CREATE INDEX IF NOT EXISTS idx_batches_status ON poultry_batches(status)'
+        'CREATE INDEX IF NOT EXISTS idx_batches_status ON poultry_batches(status)',
+
+        // Offline sales indexes
+        'CREATE INDEX IF NOT EXISTS idx_customers_organization ON customers(organization_id)',
+        'CREATE INDEX IF NOT EXISTS idx_sales_organization ON sales(organization_id, sale_date)',
+        'CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id)',
+        'CREATE INDEX IF NOT EXISTS idx_invoices_organization ON invoices(organization_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_payments_organization ON payments(organization_id, payment_date)',
+        'CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id)',
+        'CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice ON invoice_items(invoice_id)',
+        'CREATE INDEX IF NOT EXISTS idx_invoice_items_sale ON invoice_items(sale_id)',
+
+        // Finance ledger indexes
+        'CREATE INDEX IF NOT EXISTS idx_finance_ledger_batch ON finance_ledger(batch_id, transaction_date)',
+        'CREATE INDEX IF NOT EXISTS idx_finance_ledger_farm ON finance_ledger(organization_id, farm_id)',
+        'CREATE INDEX IF NOT EXISTS idx_egg_stock_ledger_source ON egg_stock_ledger(source_table, source_id)',
+        'CREATE INDEX IF NOT EXISTS idx_egg_stock_ledger_farm ON egg_stock_ledger(organization_id, farm_id)',
+        'CREATE INDEX IF NOT EXISTS idx_bird_movements_batch ON bird_movements(batch_id, movement_date)',
+        'CREATE INDEX IF NOT EXISTS idx_bird_movements_source ON bird_movements(source_table, source_id)',
+        'CREATE INDEX IF NOT EXISTS idx_bird_transfers_batches ON bird_transfers(from_batch_id, to_batch_id)'
       ];
 
       let createdCount = 0;
@@ -1027,6 +1748,22 @@ class FastDatabaseService {
     }
   }
 
+  // Alert log entries are 'mortality' or 'production_drop'; older logs have no alert_type column
+  addAlertTypeColumnIfMissing() {
+    try {
+      const columns = this.db.getAllSync(`PRAGMA table_info(mortality_alerts);`);
+      if (!columns || columns.length === 0 || columns.some(col => col.name === 'alert_type')) {
+        return;
+      }
+
+      console.log('🔄 FastDatabase: Adding alert_type column to mortality_alerts...');
+      this.db.execSync(`ALTER TABLE mortality_alerts ADD COLUMN alert_type TEXT DEFAULT 'mortality'`);
+      console.log('✅ FastDatabase: Added alert_type column to mortality_alerts');
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to add alert_type column:', error.message);
+    }
+  }
+
   // SECURITY FIX: Simple password hashing (for demo purposes - use bcrypt in production)
   hashPassword(password) {
     // Simple hash using base64 encoding (NOT SECURE FOR PRODUCTION)
@@ -1191,6 +1928,13 @@ class FastDatabaseService {
         return;
       }
 
+      // Demo rows are shown under the organization that is signed in
+      if (!this.currentOrganizationId) {
+        console.warn('⚠️  FastDatabase: No organization selected, skipping demo data');
+        return;
+      }
+      const organizationId = this.currentOrganizationId;
+
       console.log('🔄 FastDatabase: Initializing demo data...');
 
       // Create demo farms
@@ -1224,9 +1968,9 @@ class FastDatabaseService {
       const farmIds = [];
       for (const farm of demoFarms) {
         const result = this.db.runSync(
-          `INSERT INTO farms (farm_name, location, farm_type, description, server_id, needs_sync, synced_at, created_at, updated_at, is_deleted)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [farm.farm_name, farm.location, farm.farm_type, farm.description, farm.server_id, farm.needs_sync, farm.synced_at, farm.created_at, farm.updated_at, farm.is_deleted]
+          `INSERT INTO farms (farm_name, location, farm_type, description, organization_id, server_id, needs_sync, synced_at, created_at, updated_at, is_deleted)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [farm.farm_name, farm.location, farm.farm_type, farm.description, organizationId, farm.server_id, farm.needs_sync, farm.synced_at, farm.created_at, farm.updated_at, farm.is_deleted]
         );
         farmIds.push(result.lastInsertRowId);
         console.log(`✅ FastDatabase: Created demo farm "${farm.farm_name}" with ID ${result.lastInsertRowId}`);
@@ -1271,9 +2015,9 @@ class FastDatabaseService {
       const batchIds = [];
       for (const batch of demoBatches) {
         const result = this.db.runSync(
-          `INSERT INTO poultry_batches (batch_name, breed, initial_count, current_count, farm_id, server_farm_id, arrival_date, status, server_id, needs_sync, synced_at, created_at, updated_at, is_deleted)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [batch.batch_name, batch.breed, batch.initial_count, batch.current_count, batch.farm_id, batch.server_farm_id, batch.arrival_date, batch.status, batch.server_id, batch.needs_sync, batch.synced_at, batch.created_at, batch.updated_at, batch.is_deleted]
+          `INSERT INTO poultry_batches (batch_name, breed, initial_count, current_count, farm_id, server_farm_id, organization_id, arrival_date, status, server_id, needs_sync, synced_at, created_at, updated_at, is_deleted)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [batch.batch_name, batch.breed, batch.initial_count, batch.current_count, batch.farm_id, batch.server_farm_id, organizationId, batch.arrival_date, batch.status, batch.server_id, batch.needs_sync, batch.synced_at, batch.created_at, batch.updated_at, batch.is_deleted]
         );
         batchIds.push(result.lastInsertRowId);
         console.log(`✅ FastDatabase: Created demo batch "${batch.batch_name}" with ID ${result.lastInsertRowId}`);
@@ -1737,7 +2481,7 @@ class FastDatabaseService {
       const syncedAt = farmData.synced_at || null;
       const now = new Date().toISOString();
       // CRITICAL FIX: Include organization_id for proper multi-tenancy
-      const organizationId = farmData.organization_id || farmData.organizationId || this.currentOrganizationId;
+      const organizationId = this.resolveOrganizationId(farmData.organization_id || farmData.organizationId);
 
       const result = this.db.runSync(
         `INSERT INTO farms (farm_name, location, farm_type, description, organization_id, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
@@ -1850,6 +2594,10 @@ class FastDatabaseService {
         this.db.runSync(`DELETE FROM mortality_records WHERE farm_id = ?`, [farmId]);
         this.db.runSync(`DELETE FROM production_records WHERE farm_id = ?`, [farmId]);
         this.db.runSync(`DELETE FROM water_records WHERE farm_id = ?`, [farmId]);
+        this.db.runSync(`DELETE FROM finance_ledger WHERE farm_id = ? AND source_table != 'sales'`, [farmId]);
+        this.db.runSync(`UPDATE finance_ledger SET farm_id = NULL, batch_id = NULL WHERE farm_id = ?`, [farmId]);
+        this.db.runSync(`DELETE FROM egg_stock_ledger WHERE farm_id = ? AND source_table != 'sales'`, [farmId]);
+        this.db.runSync(`UPDATE egg_stock_ledger SET farm_id = NULL, batch_id = NULL WHERE farm_id = ?`, [farmId]);
 
         // Finally delete the farm
         const farmResult = this.db.runSync(`DELETE FROM farms WHERE id = ?`, [farmId]);
@@ -2079,9 +2827,11 @@ class FastDatabaseService {
       // FIELD MAPPING FIX: Support both camelCase and snake_case field names
       const arrivalDate = batchData.arrivalDate || batchData.arrival_date || batchData.startDate || now;
 
+      const organizationId = this.resolveOrganizationId(batchData.organizationId || batchData.organization_id, [['farms', localFarmId]]);
+
       const result = this.db.runSync(
-        `INSERT INTO poultry_batches (batch_name, bird_type, breed, initial_count, current_count, farm_id, server_farm_id, arrival_date, status, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO poultry_batches (batch_name, bird_type, breed, initial_count, current_count, farm_id, server_farm_id, organization_id, arrival_date, status, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           batchData.batchName,
           batchData.birdType || batchData.breed,
@@ -2090,6 +2840,7 @@ class FastDatabaseService {
           currentCountNum,
           localFarmId,  // CRITICAL FIX: Use LOCAL SQLite ID, not the incoming farmIdNum
           serverFarmId,
+          organizationId,
           arrivalDate,
           batchData.status || 'active',
           serverId,
@@ -2103,6 +2854,10 @@ class FastDatabaseService {
 
       console.log(`✅ FastDatabase: Batch created successfully with ID: ${result.lastInsertRowId}, farm_id: ${localFarmId}, server_farm_id: ${serverFarmId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
 
+      // BIRD LEDGER: Post the arrival; a batch added part-way through its cycle opens at its current count
+      this.refreshBirdMovements('poultry_batches', result.lastInsertRowId);
+      this.postBirdBalanceAdjustments(result.lastInsertRowId, 'Opening balance: count when the batch was added');
+
       return {
         id: result.lastInsertRowId,
         ...batchData,
@@ -2153,6 +2908,14 @@ class FastDatabaseService {
       // FIELD MAPPING FIX: Support both camelCase and snake_case field names
       const arrivalDate = batchData.arrivalDate || batchData.arrival_date || batchData.startDate;
 
+      // BIRD LEDGER: A count edited by hand is posted as an adjustment, unless the ledger is already
+      // out of balance - then the mismatch stays visible on the batch history
+      const ledgerBalance = this.db.getFirstSync(
+        `SELECT COALESCE(pb.current_count, 0) - (SELECT COALESCE(SUM(quantity), 0) FROM bird_movements WHERE batch_id = pb.id) AS difference
+         FROM poultry_batches pb WHERE pb.id = ?`,
+        [batchId]
+      );
+
       this.db.runSync(
         `UPDATE poultry_batches SET batch_name = ?, breed = ?, initial_count = ?, current_count = ?, farm_id = ?, arrival_date = ?, status = ? WHERE id = ?`,
         [
@@ -2166,6 +2929,11 @@ class FastDatabaseService {
           batchId
         ]
       );
+
+      this.refreshBirdMovements('poultry_batches', batchId);
+      if (ledgerBalance && !ledgerBalance.difference) {
+        this.postBirdBalanceAdjustments(batchId, 'Count edited on the batch');
+      }
       return { id: batchId, ...batchData };
     } catch (error) {
       console.error('❌ FastDatabase: Failed to update batch:', error.message);
@@ -2199,6 +2967,11 @@ class FastDatabaseService {
       this.db.runSync(`DELETE FROM mortality_records WHERE batch_id = ?`, [batchId]);
       this.db.runSync(`DELETE FROM production_records WHERE batch_id = ?`, [batchId]);
       this.db.runSync(`DELETE FROM water_records WHERE batch_id = ?`, [batchId]);
+      this.db.runSync(`DELETE FROM finance_ledger WHERE source_table = 'feed_records' AND batch_id = ?`, [batchId]);
+      this.db.runSync(`UPDATE finance_ledger SET batch_id = NULL WHERE batch_id = ?`, [batchId]);
+      this.db.runSync(`DELETE FROM egg_stock_ledger WHERE source_table = 'production_records' AND batch_id = ?`, [batchId]);
+      this.db.runSync(`UPDATE egg_stock_ledger SET batch_id = NULL WHERE batch_id = ?`, [batchId]);
+      this.db.runSync(`DELETE FROM bird_movements WHERE batch_id = ?`, [batchId]);
       // Finally delete the batch
       this.db.runSync(`DELETE FROM poultry_batches WHERE id = ?`, [batchId]);
       return true;
@@ -2217,6 +2990,92 @@ class FastDatabaseService {
     }
   }
 
+  /**
+   * Refuse new local records for an archived batch. Records downloaded from the server
+   * (server_id set) are always stored so the batch history stays complete.
+   */
+  assertBatchOpen(recordData) {
+    const batchId = recordData.batchId || recordData.batch_id;
+    if (!batchId || recordData.server_id) return;
+
+    const batch = this.db.getFirstSync(`SELECT batch_name, status FROM poultry_batches WHERE id = ?`, [batchId]);
+    if (batch && isArchivedBatch(batch)) {
+      throw new Error(`Batch "${batch.batch_name}" is closed and archived - no new records can be added`);
+    }
+  }
+
+  /**
+   * Feed, expenses (feed and batch expenses from finance_ledger) and mortality recorded
+   * against a batch, for its close-out summary
+   */
+  getBatchCloseoutTotals(batchId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const feed = this.db.getFirstSync(
+        `SELECT COALESCE(SUM(quantity_kg), 0) AS feed_kg FROM feed_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0`,
+        [batchId]
+      );
+      const cost = this.db.getFirstSync(
+        `SELECT COALESCE(SUM(amount), 0) AS total_cost FROM finance_ledger WHERE batch_id = ? AND transaction_type = 'expense'`,
+        [batchId]
+      );
+      const mortality = this.db.getFirstSync(
+        `SELECT COALESCE(SUM(COALESCE(count, death_count, 0)), 0) AS deaths FROM mortality_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0`,
+        [batchId]
+      );
+
+      return {
+        feedKg: feed?.feed_kg || 0,
+        totalCost: cost?.total_cost || 0,
+        deaths: mortality?.deaths || 0,
+      };
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to get batch close-out totals:', error.message);
+      return { feedKg: 0, totalCost: 0, deaths: 0 };
+    }
+  }
+
+  /**
+   * Depopulate and archive a batch: store the final numbers and summary, empty the house
+   * and mark it for sync. Its records stay in place for analytics.
+   */
+  closeBatch(batchId, closeout, summary) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const now = new Date().toISOString();
+    const result = this.db.runSync(
+      `UPDATE poultry_batches
+       SET status = ?, current_count = 0, closed_at = ?, close_reason = ?, birds_sold = ?, birds_culled = ?,
+           final_avg_weight_kg = ?, closeout_summary = ?, needs_sync = 1, updated_at = ?
+       WHERE id = ? AND COALESCE(status, 'active') != ?`,
+      [
+        ARCHIVED_STATUS,
+        closeout.closeDate,
+        closeout.reason || null,
+        summary.birdsSold,
+        summary.birdsCulled,
+        summary.avgWeightKg || null,
+        JSON.stringify(summary),
+        now,
+        batchId,
+        ARCHIVED_STATUS
+      ]
+    );
+
+    if (!result || result.changes === 0) {
+      throw new Error('Batch not found or already archived');
+    }
+
+    // BIRD LEDGER: Post the close-out sale and cull; birds not accounted for are written off so the ledger ends at 0
+    this.refreshBirdMovements('poultry_batches', batchId);
+    this.postBirdBalanceAdjustments(batchId, 'Not accounted for at close-out', closeout.closeDate);
+    console.log(`🏁 FastDatabase: Batch ${batchId} closed out and archived`);
+    return true;
+  }
+
   getRecordById(recordType, recordId) {
     try {
       if (!this.isReady) this.init();
@@ -2257,6 +3116,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
@@ -2265,10 +3127,11 @@ class FastDatabaseService {
 
       // SCHEMA FIX: Use quantity_kg instead of quantity (matches schema column name)
       const result = this.db.runSync(
-        `INSERT INTO feed_records (farm_id, batch_id, date, quantity_kg, feed_type, cost, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [recordData.farmId, recordData.batchId, recordData.date, recordData.quantityKg || recordData.quantity, recordData.feedType, recordData.cost, recordData.notes, serverId, needsSync, isSynced, syncedAt]
+        `INSERT INTO feed_records (farm_id, batch_id, date, quantity_kg, feed_type, cost, notes, fed_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [recordData.farmId, recordData.batchId, recordData.date, recordData.quantityKg || recordData.quantity, recordData.feedType, recordData.cost, recordData.notes, this.getRecorder('feed', recordData), serverId, needsSync, isSynced, syncedAt]
       );
       console.log(`✅ FastDatabase: Feed record created with ID: ${result.lastInsertRowId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
+      this.refreshLedgerEntry('feed_records', result.lastInsertRowId);
       return { id: result.lastInsertRowId, ...recordData, server_id: serverId, needs_sync: needsSync, is_synced: isSynced, synced_at: syncedAt };
     } catch (error) {
       console.error('❌ FastDatabase: Failed to create feed record:', error.message);
@@ -2318,6 +3181,7 @@ class FastDatabaseService {
       }
 
       this.db.runSync(`DELETE FROM feed_records WHERE id = ?`, [recordId]);
+      this.refreshLedgerEntry('feed_records', recordId);
       return true;
     } catch (error) {
       console.error('❌ FastDatabase: Failed to delete feed record:', error.message);
@@ -2338,6 +3202,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
@@ -2346,10 +3213,11 @@ class FastDatabaseService {
 
       // FIELD MAPPING FIX: Support both camelCase and snake_case field names
       const date = recordData.date || recordData.recordDate || recordData.record_date;
+      const withdrawalDays = parseInt(recordData.withdrawalDays ?? recordData.withdrawal_days, 10) || null;
 
       const result = this.db.runSync(
-        `INSERT INTO health_records (farm_id, batch_id, date, health_status, treatment, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [recordData.farmId, recordData.batchId, date, recordData.healthStatus, recordData.treatment, recordData.notes, serverId, needsSync, isSynced, syncedAt]
+        `INSERT INTO health_records (farm_id, batch_id, date, health_status, treatment, withdrawal_days, notes, recorded_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [recordData.farmId, recordData.batchId, date, recordData.healthStatus, recordData.treatment, withdrawalDays, recordData.notes, this.getRecorder('health', recordData), serverId, needsSync, isSynced, syncedAt]
       );
       console.log(`✅ FastDatabase: Health record created with ID: ${result.lastInsertRowId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
       return { id: result.lastInsertRowId, ...recordData, server_id: serverId, needs_sync: needsSync, is_synced: isSynced, synced_at: syncedAt };
@@ -2421,6 +3289,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
@@ -2435,22 +3306,19 @@ class FastDatabaseService {
         const date = recordData.date || recordData.recordDate || recordData.record_date || recordData.deathDate || recordData.death_date;
 
         const result = this.db.runSync(
-          `INSERT INTO mortality_records (farm_id, batch_id, date, count, cause, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [recordData.farmId, recordData.batchId, date, recordData.count, recordData.cause, recordData.notes, serverId, needsSync, isSynced, syncedAt]
+          `INSERT INTO mortality_records (farm_id, batch_id, date, count, cause, notes, recorded_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [recordData.farmId, recordData.batchId, date, recordData.count, recordData.cause, recordData.notes, this.getRecorder('mortality', recordData), serverId, needsSync, isSynced, syncedAt]
         );
 
-        // CRITICAL FIX: Only update batch count if this is a NEW offline record
-        // If needs_sync = 0, the server already updated the count and fastApiService.js
-        // already set the correct count at line 416-417, so we should NOT subtract again
+        // BIRD LEDGER: Post the deaths. Only a NEW offline record derives the batch count from the ledger -
+        // if needs_sync = 0 the server already updated the count and fastApiService.js stored it,
+        // so a difference shows on the batch history instead of being overwritten
+        this.refreshBirdMovements('mortality_records', result.lastInsertRowId);
         const isAlreadySynced = recordData.needs_sync === 0 || recordData.server_id;
 
         if (!isAlreadySynced) {
-          // This is a new offline record - update batch current count
           console.log(`🔄 FastDatabase: Reducing batch ${recordData.batchId} count by ${recordData.count} (offline record)`);
-          this.db.runSync(
-            `UPDATE poultry_batches SET current_count = current_count - ? WHERE id = ?`,
-            [recordData.count, recordData.batchId]
-          );
+          this.recalculateBatchCount(recordData.batchId);
         } else {
           console.log(`⏭️  FastDatabase: Skipping batch count update (already handled by server)`);
         }
@@ -2518,16 +3386,15 @@ class FastDatabaseService {
       try {
         // Get the record first to restore the count
         const record = this.db.getFirstSync(`SELECT * FROM mortality_records WHERE id = ?`, [recordId]);
-        if (record) {
-          // Restore the batch count
-          this.db.runSync(
-            `UPDATE poultry_batches SET current_count = current_count + ? WHERE id = ?`,
-            [record.count, record.batch_id]
-          );
-        }
 
         this.db.runSync(`DELETE FROM mortality_records WHERE id = ?`, [recordId]);
 
+        // BIRD LEDGER: Drop the deaths and restore the batch count from the ledger
+        this.refreshBirdMovements('mortality_records', recordId);
+        if (record) {
+          this.recalculateBatchCount(record.batch_id);
+        }
+
         // BUGFIX: Use commitTransaction() method instead of direct SQL
         this.commitTransaction();
         return true;
@@ -2556,16 +3423,23 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
       const isSynced = recordData.is_synced !== undefined ? recordData.is_synced : (serverId ? 1 : 0);
       const syncedAt = recordData.synced_at || null;
 
+      // EGG GRADING: Size breakdown stored as JSON, e.g. {"large": 120, "medium": 80}
+      const parsedGrades = parseGradeCounts(recordData.gradeCounts);
+      const gradeCounts = Object.keys(parsedGrades).length > 0 ? JSON.stringify(parsedGrades) : null;
+
       // SCHEMA FIX: Include broken_eggs and abnormal_eggs fields
       // Schema has: eggs_collected, broken_eggs, eggs_broken, abnormal_eggs, egg_weight_avg
       const result = this.db.runSync(
-        `INSERT INTO production_records (farm_id, batch_id, date, eggs_collected, broken_eggs, abnormal_eggs, egg_weight_avg, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO production_records (farm_id, batch_id, date, eggs_collected, broken_eggs, abnormal_eggs, egg_weight_avg, grade_counts, notes, collected_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           recordData.farmId,
           recordData.batchId,
@@ -2574,13 +3448,16 @@ class FastDatabaseService {
           recordData.brokenEggs || 0,
           recordData.abnormalEggs || 0,
           recordData.eggWeightAvg || recordData.weight || null,
+          gradeCounts,
           recordData.notes || '',
+          this.getRecorder('production', recordData),
           serverId,
           needsSync,
           isSynced,
           syncedAt
         ]
       );
+      this.refreshEggStockEntry('production_records', result.lastInsertRowId);
       console.log(`✅ FastDatabase: Production record created with ID: ${result.lastInsertRowId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
       return { id: result.lastInsertRowId, ...recordData, server_id: serverId, needs_sync: needsSync, is_synced: isSynced, synced_at: syncedAt };
     } catch (error) {
@@ -2631,6 +3508,7 @@ class FastDatabaseService {
       }
 
       this.db.runSync(`DELETE FROM production_records WHERE id = ?`, [recordId]);
+      this.refreshEggStockEntry('production_records', recordId);
       return true;
     } catch (error) {
       console.error('❌ FastDatabase: Failed to delete production record:', error.message);
@@ -2651,6 +3529,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
@@ -2661,8 +3542,8 @@ class FastDatabaseService {
       const waterSource = recordData.waterSource || recordData.water_source;
 
       const result = this.db.runSync(
-        `INSERT INTO water_records (batch_id, farm_id, date_recorded, quantity_liters, water_source, quality, temperature_celsius, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [recordData.batchId, recordData.farmId, recordData.dateRecorded, recordData.quantityLiters, waterSource, recordData.quality, recordData.temperature, recordData.notes, serverId, needsSync, isSynced, syncedAt]
+        `INSERT INTO water_records (batch_id, farm_id, date_recorded, quantity_liters, water_source, quality, temperature_celsius, notes, recorded_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [recordData.batchId, recordData.farmId, recordData.dateRecorded, recordData.quantityLiters, waterSource, recordData.quality, recordData.temperature, recordData.notes, this.getRecorder('water', recordData), serverId, needsSync, isSynced, syncedAt]
       );
       console.log(`✅ FastDatabase: Water record created with ID: ${result.lastInsertRowId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
       return { id: result.lastInsertRowId, ...recordData, server_id: serverId, needs_sync: needsSync, is_synced: isSynced, synced_at: syncedAt };
@@ -2753,6 +3634,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       // SYNC FIX: Set sync flags
       const serverId = recordData.server_id || null;
       const needsSync = recordData.needs_sync !== undefined ? recordData.needs_sync : 1;
@@ -2773,8 +3657,8 @@ class FastDatabaseService {
       }
 
       const result = this.db.runSync(
-        `INSERT INTO weight_records (batch_id, farm_id, date_recorded, average_weight_kg, average_weight_grams, sample_size, notes, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [recordData.batchId, recordData.farmId, recordData.dateRecorded || recordData.date, weightInKg, weightInGrams, recordData.sampleSize, recordData.notes || '', serverId, needsSync, isSynced, syncedAt]
+        `INSERT INTO weight_records (batch_id, farm_id, date_recorded, average_weight_kg, average_weight_grams, sample_size, notes, recorded_by, server_id, needs_sync, is_synced, synced_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [recordData.batchId, recordData.farmId, recordData.dateRecorded || recordData.date, weightInKg, weightInGrams, recordData.sampleSize, recordData.notes || '', this.getRecorder('weight', recordData), serverId, needsSync, isSynced, syncedAt]
       );
       console.log(`✅ FastDatabase: Weight record created with ID: ${result.lastInsertRowId}, server_id: ${serverId || 'null'}, needs_sync: ${needsSync}, is_synced: ${isSynced}`);
       return { id: result.lastInsertRowId, ...recordData, server_id: serverId, needs_sync: needsSync, is_synced: isSynced, synced_at: syncedAt };
@@ -2855,6 +3739,9 @@ class FastDatabaseService {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      // BATCH CLOSE-OUT: Archived batches take no new records
+      this.assertBatchOpen(recordData);
+
       const result = this.db.runSync(
         `INSERT INTO vaccination_records (batch_id, farm_id, vaccination_type, vaccination_date, vaccination_time, medication, notes, date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [
@@ -2930,194 +3817,3513 @@ class FastDatabaseService {
     }
   }
 
-  // EXPENSE RECORDS
-  createExpense(expenseData) {
+  // VACCINATION TEMPLATES
+  _parseVaccinationTemplate(row) {
+    if (!row) return null;
+    let items = [];
     try {
-      // CRASH FIX: Validate input
-      if (!expenseData || typeof expenseData !== 'object') {
-        throw new Error('Invalid expense data provided');
+      items = JSON.parse(row.items || '[]');
+    } catch (parseError) {
+      console.warn(`⚠️  Vaccination template ${row.id} has invalid items:`, parseError.message);
+    }
+    return { ...row, items: Array.isArray(items) ? items : [] };
+  }
+
+  getVaccinationTemplates(birdType = null) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter();
+      let query = `SELECT * FROM vaccination_templates WHERE is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (birdType) {
+        query += ` AND (bird_type = ? COLLATE NOCASE OR bird_type IS NULL OR bird_type = '')`;
+        params.push(birdType);
+      }
+
+      query += ` ORDER BY is_default DESC, name COLLATE NOCASE ASC`;
+
+      return this.db.getAllSync(query, params).map(row => this._parseVaccinationTemplate(row));
+    } catch (error) {
+      console.error('Failed to get vaccination templates:', error);
+      return [];
+    }
+  }
+
+  getVaccinationTemplateById(templateId) {
+    try {
+      if (!this.isReady) this.init();
+      const row = this.db.getFirstSync(`SELECT * FROM vaccination_templates WHERE id = ? AND is_deleted = 0`, [templateId]);
+      return this._parseVaccinationTemplate(row);
+    } catch (error) {
+      console.error('Failed to get vaccination template:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Insert the given templates for the current organization if it has never had any.
+   * Deleted templates count, so defaults are not brought back after the user removes them.
+   */
+  seedVaccinationTemplates(templates) {
+    try {
+      // Seeded rows belong to an organization - wait until one is signed in
+      if (!this.ensureDatabaseReady() || !this.currentOrganizationId) return 0;
+
+      const orgFilter = this._salesOrgFilter();
+      const existing = this.db.getFirstSync(
+        `SELECT COUNT(*) as count FROM vaccination_templates WHERE 1 = 1${orgFilter.clause}`,
+        orgFilter.params
+      );
+      if (existing && existing.count > 0) return 0;
+
+      templates.forEach(template => this.saveVaccinationTemplate({ ...template, isDefault: true }));
+      console.log(`✅ FastDatabase: Seeded ${templates.length} vaccination templates`);
+      return templates.length;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to seed vaccination templates:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Create or update a template. Pass an id to update.
+   */
+  saveVaccinationTemplate(template) {
+    try {
+      if (!template || !template.name || !template.name.trim()) {
+        throw new Error('Template name is required');
       }
 
-      // CRITICAL FIX: Ensure database is ready
       if (!this.ensureDatabaseReady()) {
         throw new Error('Database is not available. Please check your internet connection or restart the app.');
       }
 
+      const now = new Date().toISOString();
+      const items = JSON.stringify(Array.isArray(template.items) ? template.items : []);
+      const birdType = template.birdType || template.bird_type || null;
+
+      if (template.id) {
+        this.db.runSync(
+          `UPDATE vaccination_templates SET name = ?, bird_type = ?, items = ?, updated_at = ? WHERE id = ?`,
+          [template.name.trim(), birdType, items, now, template.id]
+        );
+        return this.getVaccinationTemplateById(template.id);
+      }
+
       const result = this.db.runSync(
-        `INSERT INTO expenses (farm_id, batch_id, category, subcategory, description, amount, expense_date, supplier, receipt_number, receipt_url, payment_method, notes, is_recurring, recurring_frequency) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO vaccination_templates (organization_id, name, bird_type, items, is_default, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [
-          expenseData.farmId || null,
-          expenseData.batchId || null,
-          expenseData.category,
-          expenseData.subcategory || null,
-          expenseData.description,
-          expenseData.amount,
-          expenseData.expenseDate,
-          expenseData.supplier || null,
-          expenseData.receiptNumber || null,
-          expenseData.receiptUrl || null,
-          expenseData.paymentMethod || 'cash',
-          expenseData.notes || null,
-          expenseData.isRecurring ? 1 : 0,
-          expenseData.recurringFrequency || null
+          this.resolveOrganizationId(template.organizationId),
+          template.name.trim(),
+          birdType,
+          items,
+          template.isDefault ? 1 : 0,
+          now,
+          now
         ]
       );
-      return { id: result.lastInsertRowId, ...expenseData };
+      return this.getVaccinationTemplateById(result.lastInsertRowId);
     } catch (error) {
-      console.error('❌ FastDatabase: Failed to create expense:', error.message);
-      throw new Error(`Failed to create expense: ${error.message}`);
+      console.error('❌ FastDatabase: Failed to save vaccination template:', error.message);
+      throw new Error(`Failed to save vaccination template: ${error.message}`);
     }
   }
 
-  getExpenses(filters = {}) {
+  deleteVaccinationTemplate(templateId) {
+    try {
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database not available for vaccination template deletion');
+      }
+      this.db.runSync(
+        `UPDATE vaccination_templates SET is_deleted = 1, updated_at = ? WHERE id = ?`,
+        [new Date().toISOString(), templateId]
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete vaccination template:', error.message);
+      throw new Error(`Failed to delete vaccination template: ${error.message}`);
+    }
+  }
+
+  // BREED STANDARDS
+  _parseBreedStandard(row) {
+    if (!row) return null;
+    let points = [];
+    try {
+      points = JSON.parse(row.points || '[]');
+    } catch (parseError) {
+      console.warn(`⚠️  Breed standard ${row.id} has invalid points:`, parseError.message);
+    }
+    return { ...row, points: Array.isArray(points) ? points : [] };
+  }
+
+  getBreedStandards(birdType = null) {
     try {
       if (!this.isReady) this.init();
 
-      let query = `SELECT * FROM expenses WHERE 1=1`;
-      const params = [];
+      const orgFilter = this._salesOrgFilter();
+      let query = `SELECT * FROM breed_standards WHERE is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
 
-      if (filters.farmId) {
-        query += ` AND farm_id = ?`;
+      if (birdType) {
+        query += ` AND (bird_type = ? COLLATE NOCASE OR bird_type IS NULL OR bird_type = '')`;
+        params.push(birdType);
+      }
+
+      query += ` ORDER BY is_default DESC, name COLLATE NOCASE ASC`;
+
+      return this.db.getAllSync(query, params).map(row => this._parseBreedStandard(row));
+    } catch (error) {
+      console.error('Failed to get breed standards:', error);
+      return [];
+    }
+  }
+
+  getBreedStandardById(standardId) {
+    try {
+      if (!this.isReady) this.init();
+      const row = this.db.getFirstSync(`SELECT * FROM breed_standards WHERE id = ? AND is_deleted = 0`, [standardId]);
+      return this._parseBreedStandard(row);
+    } catch (error) {
+      console.error('Failed to get breed standard:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Insert the bundled curves the current organization does not have yet (matched by name),
+   * so curves added in later versions reach existing organizations too.
+   * Deleted curves count, so defaults are not brought back after the user removes them.
+   */
+  seedBreedStandards(standards) {
+    try {
+      // Seeded rows belong to an organization - wait until one is signed in
+      if (!this.ensureDatabaseReady() || !this.currentOrganizationId) return 0;
+
+      const orgFilter = this._salesOrgFilter();
+      const existingNames = this.db.getAllSync(
+        `SELECT name FROM breed_standards WHERE 1 = 1${orgFilter.clause}`,
+        orgFilter.params
+      ).map(row => String(row.name).toLowerCase());
+
+      const missing = standards.filter(standard => !existingNames.includes(standard.name.toLowerCase()));
+      if (missing.length === 0) return 0;
+
+      missing.forEach(standard => this.saveBreedStandard({ ...standard, isDefault: true }));
+      console.log(`✅ FastDatabase: Seeded ${missing.length} breed standards`);
+      return missing.length;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to seed breed standards:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Create or update a breed standard. Pass an id to update.
+   */
+  saveBreedStandard(standard) {
+    try {
+      if (!standard || !standard.name || !standard.name.trim()) {
+        throw new Error('Breed standard name is required');
+      }
+
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const now = new Date().toISOString();
+      const points = JSON.stringify(Array.isArray(standard.points) ? standard.points : []);
+      const birdType = standard.birdType || standard.bird_type || null;
+
+      if (standard.id) {
+        this.db.runSync(
+          `UPDATE breed_standards SET name = ?, bird_type = ?, points = ?, updated_at = ? WHERE id = ?`,
+          [standard.name.trim(), birdType, points, now, standard.id]
+        );
+        return this.getBreedStandardById(standard.id);
+      }
+
+      const result = this.db.runSync(
+        `INSERT INTO breed_standards (organization_id, name, bird_type, points, is_default, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(standard.organizationId),
+          standard.name.trim(),
+          birdType,
+          points,
+          standard.isDefault ? 1 : 0,
+          now,
+          now
+        ]
+      );
+      return this.getBreedStandardById(result.lastInsertRowId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to save breed standard:', error.message);
+      throw new Error(`Failed to save breed standard: ${error.message}`);
+    }
+  }
+
+  deleteBreedStandard(standardId) {
+    try {
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database not available for breed standard deletion');
+      }
+      this.db.runSync(
+        `UPDATE breed_standards SET is_deleted = 1, updated_at = ? WHERE id = ?`,
+        [new Date().toISOString(), standardId]
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete breed standard:', error.message);
+      throw new Error(`Failed to delete breed standard: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eggs and deaths per day for one batch, oldest first, for hen-day production
+   */
+  getBatchProductionRecords(batchId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const production = this.db.getAllSync(
+        `SELECT DATE(COALESCE(date, date_recorded)) AS date, SUM(COALESCE(eggs_collected, 0)) AS eggs
+         FROM production_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0
+         GROUP BY DATE(COALESCE(date, date_recorded)) ORDER BY date ASC`,
+        [batchId]
+      );
+      const deaths = this.db.getAllSync(
+        `SELECT DATE(COALESCE(date, death_date, date_recorded)) AS date, SUM(COALESCE(count, death_count, 0)) AS count
+         FROM mortality_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0
+         GROUP BY DATE(COALESCE(date, death_date, date_recorded)) ORDER BY date ASC`,
+        [batchId]
+      );
+
+      return { production, deaths };
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to get batch production records:', error.message);
+      return { production: [], deaths: [] };
+    }
+  }
+
+  /**
+   * Weight, feed and mortality records of one batch, oldest first, for benchmarking
+   * against a breed standard
+   */
+  getBatchBenchmarkRecords(batchId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const weights = this.db.getAllSync(
+        `SELECT COALESCE(date_recorded, date) AS date, average_weight_grams, average_weight_kg
+         FROM weight_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0
+         ORDER BY COALESCE(date_recorded, date) ASC`,
+        [batchId]
+      );
+      const feeds = this.db.getAllSync(
+        `SELECT date, quantity_kg FROM feed_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0 ORDER BY date ASC`,
+        [batchId]
+      );
+      const deaths = this.db.getAllSync(
+        `SELECT COALESCE(date, death_date, date_recorded) AS date, COALESCE(count, death_count, 0) AS count
+         FROM mortality_records WHERE batch_id = ? AND COALESCE(is_deleted, 0) = 0
+         ORDER BY COALESCE(date, death_date, date_recorded) ASC`,
+        [batchId]
+      );
+
+      return { weights, feeds, deaths };
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to get batch benchmark records:', error.message);
+      return { weights: [], feeds: [], deaths: [] };
+    }
+  }
+
+  /**
+   * Insert a batch's planned vaccinations in one transaction.
+   * Entries that already exist for the batch (same vaccine and date) are skipped.
+   * @returns {Array} Created records
+   */
+  createPlannedVaccinations(batchId, plannedRecords = []) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const batch = this.getBatchById(batchId);
+    if (!batch) {
+      throw new Error(`Batch with ID ${batchId} not found in local database`);
+    }
+
+    const created = [];
+    try {
+      this.beginTransaction();
+      plannedRecords.forEach(record => {
+        const duplicate = this.db.getFirstSync(
+          `SELECT id FROM vaccination_records
+           WHERE batch_id = ? AND vaccination_type = ? AND DATE(vaccination_date) = DATE(?) AND is_deleted = 0`,
+          [batch.id, record.vaccinationType, record.vaccinationDate]
+        );
+        if (duplicate) return;
+
+        created.push(this.createVaccinationRecord({
+          ...record,
+          batchId: batch.id,
+          farmId: batch.farm_id,
+        }));
+      });
+      this.commitTransaction();
+    } catch (error) {
+      this.rollbackTransaction();
+      console.error('❌ FastDatabase: Failed to create planned vaccinations:', error.message);
+      throw error;
+    }
+
+    console.log(`✅ FastDatabase: Created ${created.length} planned vaccinations for batch ${batch.id}`);
+    return created;
+  }
+
+  // ORGANIZATION SETTINGS
+  _organizationSettingScope() {
+    return this.currentOrganizationId
+      ? { clause: 'organization_id = ?', params: [this.currentOrganizationId] }
+      : { clause: 'organization_id IS NULL', params: [] };
+  }
+
+  _parseOrganizationSetting(row) {
+    if (!row) return null;
+    try {
+      return { ...row, value: JSON.parse(row.value) };
+    } catch (parseError) {
+      console.warn(`⚠️  Organization setting ${row.setting_key} has invalid JSON:`, parseError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stored value for the current organization, or null when the setting was never saved
+   */
+  getOrganizationSetting(settingKey) {
+    try {
+      if (!this.isReady) this.init();
+      const scope = this._organizationSettingScope();
+      const row = this.db.getFirstSync(
+        `SELECT * FROM organization_settings WHERE setting_key = ? AND ${scope.clause}`,
+        [settingKey, ...scope.params]
+      );
+      return this._parseOrganizationSetting(row)?.value ?? null;
+    } catch (error) {
+      console.error(`Failed to get organization setting ${settingKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a setting for the current organization.
+   * Local edits are queued for upload; values pulled from the server pass needsSync: 0.
+   */
+  saveOrganizationSetting(settingKey, value, { needsSync = 1, updatedAt = null } = {}) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const scope = this._organizationSettingScope();
+    const now = updatedAt || new Date().toISOString();
+    const json = JSON.stringify(value);
+    const existing = this.db.getFirstSync(
+      `SELECT id FROM organization_settings WHERE setting_key = ? AND ${scope.clause}`,
+      [settingKey, ...scope.params]
+    );
+
+    if (existing) {
+      this.db.runSync(
+        `UPDATE organization_settings SET value = ?, needs_sync = ?, synced_at = ?, updated_at = ? WHERE id = ?`,
+        [json, needsSync, needsSync ? null : new Date().toISOString(), now, existing.id]
+      );
+    } else {
+      this.db.runSync(
+        `INSERT INTO organization_settings (organization_id, setting_key, value, needs_sync, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [this.currentOrganizationId || null, settingKey, json, needsSync, needsSync ? null : new Date().toISOString(), now, now]
+      );
+    }
+
+    console.log(`✅ FastDatabase: Saved organization setting ${settingKey}${needsSync ? ' (pending sync)' : ''}`);
+    return value;
+  }
+
+  getPendingOrganizationSettings() {
+    try {
+      if (!this.isReady) this.init();
+      const scope = this._organizationSettingScope();
+      return this.db
+        .getAllSync(`SELECT * FROM organization_settings WHERE needs_sync = 1 AND ${scope.clause}`, scope.params)
+        .map(row => this._parseOrganizationSetting(row))
+        .filter(Boolean);
+    } catch (error) {
+      console.error('Failed to get pending organization settings:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Clear the pending flag, unless the setting was edited again after the uploaded version
+   */
+  markOrganizationSettingSynced(settingKey, updatedAt) {
+    const scope = this._organizationSettingScope();
+    this.db.runSync(
+      `UPDATE organization_settings SET needs_sync = 0, synced_at = ?
+       WHERE setting_key = ? AND updated_at = ? AND ${scope.clause}`,
+      [new Date().toISOString(), settingKey, updatedAt, ...scope.params]
+    );
+  }
+
+  // MORTALITY ALERTS
+  createMortalityAlert(alertData) {
+    try {
+      if (!alertData || !alertData.batchId || !alertData.level) {
+        throw new Error('Batch and level are required for a mortality alert');
+      }
+
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const batch = this.getBatchById(alertData.batchId);
+      const now = new Date().toISOString();
+      const result = this.db.runSync(
+        `INSERT INTO mortality_alerts (organization_id, batch_id, farm_id, alert_type, level, daily_rate, cumulative_rate, trend, title, message, notified, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(batch?.organization_id, [['farms', batch?.farm_id]]),
+          alertData.batchId,
+          batch?.farm_id || null,
+          alertData.alertType || 'mortality',
+          alertData.level,
+          alertData.dailyRate || 0,
+          alertData.cumulativeRate || 0,
+          alertData.trend || null,
+          alertData.title || null,
+          alertData.message || null,
+          alertData.notified ? 1 : 0,
+          now,
+          now
+        ]
+      );
+
+      console.log(`✅ FastDatabase: Logged ${alertData.level} mortality alert ${result.lastInsertRowId} for batch ${alertData.batchId}`);
+      return this.getMortalityAlertById(result.lastInsertRowId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to log mortality alert:', error.message);
+      throw new Error(`Failed to log mortality alert: ${error.message}`);
+    }
+  }
+
+  getMortalityAlertById(alertId) {
+    try {
+      if (!this.isReady) this.init();
+      return this.db.getFirstSync(`SELECT * FROM mortality_alerts WHERE id = ?`, [alertId]) || null;
+    } catch (error) {
+      console.error('Failed to get mortality alert:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Alert log with batch and farm names, newest first
+   * @param {Object} filters - { status: 'open' | 'acknowledged' | 'resolved' | 'unresolved', batchId, alertType, limit }
+   */
+  getMortalityAlerts(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('ma');
+      let query = `
+        SELECT ma.*, pb.batch_name, f.farm_name
+        FROM mortality_alerts ma
+        LEFT JOIN poultry_batches pb ON ma.batch_id = pb.id
+        LEFT JOIN farms f ON ma.farm_id = f.id
+        WHERE 1 = 1${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.status === 'unresolved') {
+        query += ` AND ma.status != 'resolved'`;
+      } else if (filters.status) {
+        query += ` AND ma.status = ?`;
+        params.push(filters.status);
+      }
+
+      if (filters.batchId) {
+        query += ` AND ma.batch_id = ?`;
+        params.push(filters.batchId);
+      }
+
+      if (filters.alertType) {
+        query += ` AND COALESCE(ma.alert_type, 'mortality') = ?`;
+        params.push(filters.alertType);
+      }
+
+      query += ` ORDER BY ma.created_at DESC, ma.id DESC LIMIT ?`;
+      params.push(filters.limit || 200);
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get mortality alerts:', error);
+      return [];
+    }
+  }
+
+  getUnresolvedMortalityAlertCount() {
+    try {
+      if (!this.isReady) this.init();
+      const orgFilter = this._salesOrgFilter();
+      const result = this.db.getFirstSync(
+        `SELECT COUNT(*) as count FROM mortality_alerts WHERE status != 'resolved'${orgFilter.clause}`,
+        orgFilter.params
+      );
+      return result?.count || 0;
+    } catch (error) {
+      console.error('Failed to count mortality alerts:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Time of the latest logged alert of a type for a batch (ms), so the cooldown survives restarts.
+   * Alerts whose notification failed count too - they are already in the inbox.
+   */
+  getLastMortalityAlertTime(batchId, alertType = 'mortality') {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(
+        `SELECT MAX(created_at) as last_alert FROM mortality_alerts
+         WHERE batch_id = ? AND COALESCE(alert_type, 'mortality') = ?`,
+        [batchId, alertType]
+      );
+      return result?.last_alert ? new Date(result.last_alert).getTime() : null;
+    } catch (error) {
+      console.error('Failed to get last mortality alert time:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Move an alert to acknowledged or resolved, recording who did it and their note
+   * @param {string} action - 'acknowledge' | 'resolve'
+   * @param {Object} actor - { userId, userName }
+   */
+  updateMortalityAlertStatus(alertId, action, actor = {}, note = '') {
+    if (!['acknowledge', 'resolve'].includes(action)) {
+      throw new Error(`Unknown mortality alert action: ${action}`);
+    }
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const alert = this.getMortalityAlertById(alertId);
+    if (!alert) {
+      throw new Error('Mortality alert not found');
+    }
+    if (alert.status === 'resolved') {
+      throw new Error('This alert is already resolved');
+    }
+    if (action === 'acknowledge' && alert.status !== 'open') {
+      throw new Error('This alert is already acknowledged');
+    }
+
+    const now = new Date().toISOString();
+    const userId = actor.userId || null;
+    const userName = actor.userName || null;
+    const trimmedNote = note ? String(note).trim() : null;
+
+    if (action === 'acknowledge') {
+      this.db.runSync(
+        `UPDATE mortality_alerts
+         SET status = 'acknowledged', acknowledged_by = ?, acknowledged_by_name = ?, acknowledged_at = ?, acknowledge_note = ?, updated_at = ?
+         WHERE id = ?`,
+        [userId, userName, now, trimmedNote, now, alertId]
+      );
+    } else {
+      // Resolving an open alert also counts as acknowledging it
+      this.db.runSync(
+        `UPDATE mortality_alerts
+         SET status = 'resolved', resolved_by = ?, resolved_by_name = ?, resolved_at = ?, resolution_note = ?,
+             acknowledged_by = COALESCE(acknowledged_by, ?), acknowledged_by_name = COALESCE(acknowledged_by_name, ?),
+             acknowledged_at = COALESCE(acknowledged_at, ?), updated_at = ?
+         WHERE id = ?`,
+        [userId, userName, now, trimmedNote, userId, userName, now, now, alertId]
+      );
+    }
+
+    return this.getMortalityAlertById(alertId);
+  }
+
+  // FEED INVENTORY
+  /**
+   * Consumption of an inventory item `fi`: live feed_records `fr` (joined to batches as `pb`) for the
+   * same farm and feed type dated on or after the item's tracked_from date.
+   * @private
+   */
+  _feedConsumptionClause() {
+    return `COALESCE(fr.farm_id, pb.farm_id) = fi.farm_id
+        AND LOWER(TRIM(fr.feed_type)) = LOWER(fi.feed_type)
+        AND COALESCE(fr.is_deleted, 0) = 0
+        AND substr(COALESCE(fr.date, fr.date_fed, fr.created_at), 1, 10) >= substr(fi.tracked_from, 1, 10)`;
+  }
+
+  getFeedInventoryItem(farmId, feedType) {
+    try {
+      if (!this.isReady) this.init();
+      return this.db.getFirstSync(
+        `SELECT * FROM feed_inventory WHERE farm_id = ? AND feed_type = ? COLLATE NOCASE`,
+        [farmId, String(feedType || '').trim()]
+      ) || null;
+    } catch (error) {
+      console.error('Failed to get feed inventory item:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stock per feed type per farm, newest consumption included
+   * @param {Object} filters - { farmId, inventoryId, recentSince: 'YYYY-MM-DD' start of the consumption window }
+   * @returns {Array} Inventory rows with received_kg, consumed_kg, recent_consumed_kg and stock_kg
+   */
+  getFeedStockLevels(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('fi');
+      const recentSince = filters.recentSince || '0000-00-00';
+      const consumed = `FROM feed_records fr LEFT JOIN poultry_batches pb ON fr.batch_id = pb.id WHERE ${this._feedConsumptionClause()}`;
+      let query = `
+        SELECT fi.*, f.farm_name,
+               COALESCE((SELECT SUM(m.quantity_kg) FROM feed_stock_movements m WHERE m.inventory_id = fi.id), 0) AS received_kg,
+               COALESCE((SELECT SUM(fr.quantity_kg) ${consumed}), 0) AS consumed_kg,
+               COALESCE((SELECT SUM(fr.quantity_kg) ${consumed}
+                 AND substr(COALESCE(fr.date, fr.date_fed, fr.created_at), 1, 10) >= ?), 0) AS recent_consumed_kg
+        FROM feed_inventory fi
+        LEFT JOIN farms f ON fi.farm_id = f.id
+        WHERE 1 = 1${orgFilter.clause}`;
+      const params = [recentSince, ...orgFilter.params];
+
+      if (filters.farmId) {
+        query += ` AND fi.farm_id = ?`;
         params.push(filters.farmId);
       }
 
+      if (filters.inventoryId) {
+        query += ` AND fi.id = ?`;
+        params.push(filters.inventoryId);
+      }
+
+      query += ` ORDER BY f.farm_name, fi.feed_type COLLATE NOCASE`;
+
+      return this.db.getAllSync(query, params).map(row => ({
+        ...row,
+        stock_kg: (row.received_kg || 0) - (row.consumed_kg || 0),
+      }));
+    } catch (error) {
+      console.error('Failed to get feed stock levels:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a delivery or a stock-count adjustment, creating the inventory item on first use
+   * @param {Object} movementData - { farmId, feedType, movementType: 'delivery' | 'adjustment', quantityKg, costPerKg, supplier, reference, date, notes }
+   * @returns {Object} The inventory item the movement was posted to
+   */
+  recordFeedStockMovement(movementData) {
+    if (!movementData || !movementData.farmId) {
+      throw new Error('Farm is required for a feed stock entry');
+    }
+
+    const feedType = String(movementData.feedType || '').trim();
+    const movementType = movementData.movementType || 'delivery';
+    const quantityKg = Number(movementData.quantityKg);
+
+    if (!feedType) {
+      throw new Error('Feed type is required');
+    }
+    if (!['delivery', 'adjustment'].includes(movementType)) {
+      throw new Error(`Unknown feed stock movement: ${movementType}`);
+    }
+    if (!Number.isFinite(quantityKg) || quantityKg === 0 || (movementType === 'delivery' && quantityKg < 0)) {
+      throw new Error('Quantity must be a positive number of kg');
+    }
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const now = new Date().toISOString();
+    const movementDate = (movementData.date || now).split('T')[0];
+    const costPerKg = movementData.costPerKg ? Number(movementData.costPerKg) : null;
+
+    try {
+      this.beginTransaction();
+
+      let item = this.getFeedInventoryItem(movementData.farmId, feedType);
+      if (!item) {
+        const farm = this.getFarmById(movementData.farmId);
+        const result = this.db.runSync(
+          `INSERT INTO feed_inventory (organization_id, farm_id, feed_type, tracked_from, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [this.resolveOrganizationId(farm?.organization_id), movementData.farmId, feedType, movementDate, now, now]
+        );
+        item = { id: result.lastInsertRowId };
+      } else if (movementDate < item.tracked_from) {
+        // A backdated delivery moves the start of tracking back so the feed used since then is counted
+        this.db.runSync(`UPDATE feed_inventory SET tracked_from = ?, updated_at = ? WHERE id = ?`, [movementDate, now, item.id]);
+      }
+
+      this.db.runSync(
+        `INSERT INTO feed_stock_movements (inventory_id, movement_type, quantity_kg, cost_per_kg, total_cost, supplier, reference, movement_date, notes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          item.id,
+          movementType,
+          quantityKg,
+          costPerKg,
+          costPerKg ? costPerKg * quantityKg : null,
+          movementData.supplier || null,
+          movementData.reference || null,
+          movementDate,
+          movementData.notes || null,
+          now
+        ]
+      );
+
+      // Restocking re-arms the low-stock notification
+      if (movementType === 'delivery') {
+        this.db.runSync(`UPDATE feed_inventory SET last_low_stock_alert_at = NULL, updated_at = ? WHERE id = ?`, [now, item.id]);
+      }
+
+      this.commitTransaction();
+      console.log(`✅ FastDatabase: Recorded feed ${movementType} of ${quantityKg}kg ${feedType} for farm ${movementData.farmId}`);
+      return this.db.getFirstSync(`SELECT * FROM feed_inventory WHERE id = ?`, [item.id]);
+    } catch (error) {
+      this.rollbackTransaction();
+      console.error('❌ FastDatabase: Failed to record feed stock movement:', error.message);
+      throw new Error(`Failed to record feed stock movement: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deliveries, adjustments and consumption for one inventory item, newest first.
+   * Consumption rows come from feed_records and carry a negative quantity_kg.
+   */
+  getFeedStockMovements(inventoryId, limit = 100) {
+    try {
+      if (!this.isReady) this.init();
+
+      return this.db.getAllSync(
+        `SELECT * FROM (
+           SELECT m.id, m.movement_type, m.quantity_kg, m.cost_per_kg, m.total_cost, m.supplier, m.reference,
+                  m.movement_date, m.notes, NULL AS batch_name, m.created_at
+           FROM feed_stock_movements m
+           WHERE m.inventory_id = ?
+           UNION ALL
+           SELECT fr.id, 'consumption' AS movement_type, -fr.quantity_kg AS quantity_kg, fr.cost_per_kg, fr.cost AS total_cost,
+                  fr.supplier, NULL AS reference, substr(COALESCE(fr.date, fr.date_fed, fr.created_at), 1, 10) AS movement_date,
+                  fr.notes, pb.batch_name, fr.created_at
+           FROM feed_inventory fi, feed_records fr
+           LEFT JOIN poultry_batches pb ON fr.batch_id = pb.id
+           WHERE fi.id = ? AND ${this._feedConsumptionClause()}
+         )
+         ORDER BY movement_date DESC, created_at DESC
+         LIMIT ?`,
+        [inventoryId, inventoryId, limit]
+      );
+    } catch (error) {
+      console.error('Failed to get feed stock movements:', error);
+      return [];
+    }
+  }
+
+  deleteFeedStockMovement(movementId) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+    const result = this.db.runSync(`DELETE FROM feed_stock_movements WHERE id = ?`, [movementId]);
+    return (result.changes || 0) > 0;
+  }
+
+  /**
+   * @param {Object} fields - { lowStockDays, lastLowStockAlertAt }
+   */
+  updateFeedInventoryItem(inventoryId, fields = {}) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const updates = [];
+    const params = [];
+    if (fields.lowStockDays !== undefined) {
+      updates.push('low_stock_days = ?');
+      params.push(fields.lowStockDays);
+    }
+    if (fields.lastLowStockAlertAt !== undefined) {
+      updates.push('last_low_stock_alert_at = ?');
+      params.push(fields.lastLowStockAlertAt);
+    }
+    if (updates.length === 0) return false;
+
+    this.db.runSync(
+      `UPDATE feed_inventory SET ${updates.join(', ')}, updated_at = ? WHERE id = ?`,
+      [...params, new Date().toISOString(), inventoryId]
+    );
+    return true;
+  }
+
+  // EXPENSE RECORDS
+  createExpense(expenseData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!expenseData || typeof expenseData !== 'object') {
+        throw new Error('Invalid expense data provided');
+      }
+
+      // CRITICAL FIX: Ensure database is ready
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const serverId = expenseData.server_id || null;
+      const needsSync = expenseData.needs_sync !== undefined ? expenseData.needs_sync : 1;
+      const now = new Date().toISOString();
+
+      const result = this.db.runSync(
+        `INSERT INTO expenses (farm_id, batch_id, category, subcategory, description, amount, expense_date, supplier, receipt_number, receipt_url, payment_method, notes, is_recurring, recurring_frequency, recurring_template_id, organization_id, server_id, needs_sync, is_synced, synced_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          expenseData.farmId || null,
+          expenseData.batchId || null,
+          expenseData.category,
+          expenseData.subcategory || null,
+          expenseData.description,
+          expenseData.amount,
+          expenseData.expenseDate,
+          expenseData.supplier || null,
+          expenseData.receiptNumber || null,
+          expenseData.receiptUrl || null,
+          expenseData.paymentMethod || 'cash',
+          expenseData.notes || null,
+          expenseData.isRecurring ? 1 : 0,
+          expenseData.isRecurring ? expenseData.recurringFrequency || null : null,
+          expenseData.recurringTemplateId || null,
+          this.resolveOrganizationId(expenseData.organizationId, [['farms', expenseData.farmId], ['poultry_batches', expenseData.batchId]]),
+          serverId,
+          needsSync,
+          serverId ? 1 : 0,
+          serverId ? now : null,
+          now,
+          now
+        ]
+      );
+      this.refreshLedgerEntry('expenses', result.lastInsertRowId);
+
+      const row = this.getExpenseById(result.lastInsertRowId);
+      if (needsSync) {
+        this.enqueueSync('expenses', 'CREATE', result.lastInsertRowId, null, row);
+      }
+      return row || { id: result.lastInsertRowId, ...expenseData };
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to create expense:', error.message);
+      throw new Error(`Failed to create expense: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the organization filter for expenses: their own organization, or their farm's for
+   * rows cached before expenses recorded one
+   * @private
+   */
+  _expenseOrgFilter() {
+    if (!this.currentOrganizationId) {
+      return { clause: '', params: [] };
+    }
+    return { clause: ` AND COALESCE(e.organization_id, f.organization_id) = ?`, params: [this.currentOrganizationId] };
+  }
+
+  getExpenses(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._expenseOrgFilter();
+      let query = `SELECT e.* FROM expenses e
+                   LEFT JOIN farms f ON f.id = e.farm_id
+                   WHERE COALESCE(e.is_deleted, 0) = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.farmId) {
+        query += ` AND e.farm_id = ?`;
+        params.push(filters.farmId);
+      }
+
+      if (filters.batchId) {
+        query += ` AND e.batch_id = ?`;
+        params.push(filters.batchId);
+      }
+
+      if (filters.category) {
+        query += ` AND e.category = ?`;
+        params.push(filters.category);
+      }
+
+      if (filters.supplier) {
+        query += ` AND e.supplier LIKE ?`;
+        params.push(`%${filters.supplier}%`);
+      }
+
+      if (filters.startDate) {
+        query += ` AND e.expense_date >= ?`;
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query += ` AND e.expense_date <= ?`;
+        params.push(filters.endDate);
+      }
+
+      query += ` ORDER BY e.expense_date DESC, e.id DESC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get expenses:', error);
+      return [];
+    }
+  }
+
+  getExpenseById(expenseId) {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(`SELECT * FROM expenses WHERE id = ?`, [expenseId]);
+      return result || null;
+    } catch (error) {
+      console.error('Failed to get expense:', error);
+      return null;
+    }
+  }
+
+  updateExpense(expenseId, expenseData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!expenseId || !expenseData || typeof expenseData !== 'object') {
+        throw new Error('Invalid expense ID or data provided');
+      }
+
+      // CRASH FIX: Ensure database is ready
+      if (!this.isReady || !this.db) {
+        const initResult = this.init();
+        if (!initResult || !this.db) {
+          throw new Error('Database not available for expense update');
+        }
+      }
+
+      // CRASH FIX: Validate database has required methods
+      if (typeof this.db.runSync !== 'function') {
+        throw new Error('Database runSync method not available');
+      }
+
+      this.db.runSync(
+        `UPDATE expenses SET farm_id = ?, batch_id = ?, category = ?, subcategory = ?, description = ?, amount = ?, expense_date = ?, supplier = ?, receipt_number = ?, receipt_url = ?, payment_method = ?, notes = ?, is_recurring = ?, recurring_frequency = ?, needs_sync = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [
+          expenseData.farmId || null,
+          expenseData.batchId || null,
+          expenseData.category,
+          expenseData.subcategory || null,
+          expenseData.description,
+          expenseData.amount,
+          expenseData.expenseDate,
+          expenseData.supplier || null,
+          expenseData.receiptNumber || null,
+          expenseData.receiptUrl || null,
+          expenseData.paymentMethod || 'cash',
+          expenseData.notes || null,
+          expenseData.isRecurring ? 1 : 0,
+          expenseData.isRecurring ? expenseData.recurringFrequency || null : null,
+          expenseId
+        ]
+      );
+      this.refreshLedgerEntry('expenses', expenseId);
+
+      const row = this.getExpenseById(expenseId);
+      if (row) {
+        this.enqueueSync('expenses', 'UPDATE', row.id, row.server_id, row);
+      }
+      return row;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to update expense:', error.message);
+      throw new Error(`Failed to update expense: ${error.message}`);
+    }
+  }
+
+  deleteExpense(expenseId) {
+    try {
+      // CRASH FIX: Validate input
+      if (!expenseId) {
+        throw new Error('Invalid expense ID provided');
+      }
+
+      // CRASH FIX: Ensure database is ready
+      if (!this.isReady || !this.db) {
+        const initResult = this.init();
+        if (!initResult || !this.db) {
+          throw new Error('Database not available for expense deletion');
+        }
+      }
+
+      // CRASH FIX: Validate database has required methods
+      if (typeof this.db.runSync !== 'function') {
+        throw new Error('Database runSync method not available');
+      }
+
+      // Soft delete so the DELETE can reach the server; it is removed for good once synced
+      const row = this.getExpenseById(expenseId);
+      this.db.runSync(
+        `UPDATE expenses SET is_deleted = 1, needs_sync = 1, updated_at = ? WHERE id = ?`,
+        [new Date().toISOString(), expenseId]
+      );
+      if (row) {
+        this.enqueueSync('expenses', 'DELETE', row.id, row.server_id, row);
+      }
+      this.refreshLedgerEntry('expenses', expenseId);
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete expense:', error.message);
+      throw new Error(`Failed to delete expense: ${error.message}`);
+    }
+  }
+
+  getExpenseSummary(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._expenseOrgFilter();
+      let query = `SELECT e.category, SUM(e.amount) as totalAmount, COUNT(*) as count FROM expenses e
+                   LEFT JOIN farms f ON f.id = e.farm_id
+                   WHERE COALESCE(e.is_deleted, 0) = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.startDate) {
+        query += ` AND e.expense_date >= ?`;
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query += ` AND e.expense_date <= ?`;
+        params.push(filters.endDate);
+      }
+
+      query += ` GROUP BY e.category ORDER BY totalAmount DESC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get expense summary:', error);
+      return [];
+    }
+  }
+
+  // RECURRING EXPENSES
+  /**
+   * Recurring expenses (templates) of the current organization
+   */
+  getRecurringExpenseTemplates() {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._expenseOrgFilter();
+      return this.db.getAllSync(
+        `SELECT e.* FROM expenses e
+         LEFT JOIN farms f ON f.id = e.farm_id
+         WHERE e.is_recurring = 1
+           AND e.recurring_frequency IS NOT NULL
+           AND e.recurring_template_id IS NULL
+           AND COALESCE(e.is_deleted, 0) = 0${orgFilter.clause}
+         ORDER BY e.expense_date ASC`,
+        orgFilter.params
+      );
+    } catch (error) {
+      console.error('Failed to get recurring expenses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Saved occurrence states of the given templates
+   * @param {Array<number>} templateIds
+   */
+  getRecurringOccurrences(templateIds) {
+    try {
+      if (!this.isReady) this.init();
+      if (!templateIds || templateIds.length === 0) return [];
+
+      return this.db.getAllSync(
+        `SELECT * FROM recurring_expense_occurrences WHERE template_id IN (${templateIds.map(() => '?').join(', ')})`,
+        templateIds
+      );
+    } catch (error) {
+      console.error('Failed to get recurring expense occurrences:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update the saved state of one occurrence
+   * @param {Object} changes - Any of { status, expenseId, amount, description, notes }
+   */
+  saveRecurringOccurrence(templateId, occurrenceDate, changes = {}) {
+    try {
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const columns = {
+        status: changes.status,
+        expense_id: changes.expenseId,
+        amount: changes.amount,
+        description: changes.description,
+        notes: changes.notes
+      };
+      const names = Object.keys(columns).filter(name => columns[name] !== undefined);
+      const now = new Date().toISOString();
+
+      const existing = this.db.getFirstSync(
+        `SELECT id FROM recurring_expense_occurrences WHERE template_id = ? AND occurrence_date = ?`,
+        [templateId, occurrenceDate]
+      );
+
+      if (existing) {
+        this.db.runSync(
+          `UPDATE recurring_expense_occurrences SET ${names.map(name => `${name} = ?`).join(', ')}${names.length ? ', ' : ''}updated_at = ? WHERE id = ?`,
+          [...names.map(name => columns[name]), now, existing.id]
+        );
+        return existing.id;
+      }
+
+      const result = this.db.runSync(
+        `INSERT INTO recurring_expense_occurrences (template_id, occurrence_date${names.map(name => `, ${name}`).join('')}, created_at, updated_at)
+         VALUES (?, ?${names.map(() => ', ?').join('')}, ?, ?)`,
+        [templateId, occurrenceDate, ...names.map(name => columns[name]), now, now]
+      );
+      return result.lastInsertRowId;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to save recurring expense occurrence:', error.message);
+      throw new Error(`Failed to save recurring expense occurrence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop an occurrence's saved state, so it goes back to the template's values
+   */
+  clearRecurringOccurrence(templateId, occurrenceDate) {
+    try {
+      if (!this.ensureDatabaseReady()) return false;
+      this.db.runSync(
+        `DELETE FROM recurring_expense_occurrences WHERE template_id = ? AND occurrence_date = ? AND status != 'posted'`,
+        [templateId, occurrenceDate]
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to clear recurring expense occurrence:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * An expense of the active organization already recorded for an occurrence: one posted from the
+   * template (here or on another device), or one entered by hand with the same details on that day
+   */
+  findExpenseForOccurrence(template, occurrenceDate, amount, description) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._expenseOrgFilter();
+      return this.db.getFirstSync(
+        `SELECT e.id FROM expenses e
+         LEFT JOIN farms f ON f.id = e.farm_id
+         WHERE COALESCE(e.is_deleted, 0) = 0
+           AND substr(e.expense_date, 1, 10) = ?
+           AND (e.recurring_template_id = ?
+             OR (COALESCE(e.is_recurring, 0) = 0 AND e.category = ? AND e.description = ? AND e.amount = ?
+                 AND e.farm_id IS ?))${orgFilter.clause}`,
+        [occurrenceDate, template.id, template.category, description, amount, template.farm_id || null, ...orgFilter.params]
+      ) || null;
+    } catch (error) {
+      console.error('Failed to look up recurring expense occurrence:', error);
+      return null;
+    }
+  }
+
+  // ============================================================================
+  // OFFLINE SALES: CUSTOMERS, SALES, INVOICES AND PAYMENTS
+  // Writes land in SQLite first and are queued in sync_queue for syncService
+  // ============================================================================
+
+  /**
+   * Queue a local change in sync_queue so syncService.uploadLocalChanges pushes it.
+   * An edit or delete of a record that never reached the server folds into its
+   * pending CREATE instead, because UPDATE/DELETE need a server_id.
+   */
+  enqueueSync(tableName, operation, localId, serverId = null, data = null) {
+    try {
+      if (!this.ensureDatabaseReady()) {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+
+      if (operation !== 'CREATE' && !serverId) {
+        const pendingCreate = this.db.getFirstSync(
+          `SELECT id FROM sync_queue
+           WHERE table_name = ? AND local_id = ? AND operation = 'CREATE' AND sync_status IN ('pending', 'failed')`,
+          [tableName, String(localId)]
+        );
+
+        if (pendingCreate) {
+          if (operation === 'UPDATE') {
+            this.db.runSync(
+              `UPDATE sync_queue SET data = ?, sync_status = 'pending', retry_count = 0, error_message = NULL, updated_at = ? WHERE id = ?`,
+              [JSON.stringify(data || {}), now, pendingCreate.id]
+            );
+          } else {
+            this.db.runSync(`DELETE FROM sync_queue WHERE id = ?`, [pendingCreate.id]);
+          }
+          return true;
+        }
+
+        // Never synced and nothing pending - nothing for the server to do
+        return false;
+      }
+
+      this.db.runSync(
+        `INSERT INTO sync_queue (table_name, operation, local_id, server_id, organization_id, data, sync_status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        [tableName, operation, String(localId), serverId, this.currentOrganizationId || null, JSON.stringify(data || {}), now, now]
+      );
+      console.log(`📤 FastDatabase: Queued ${operation} for ${tableName} ${localId}`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to queue ${operation} for ${tableName} ${localId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build the organization filter for the sales tables
+   * @private
+   */
+  _salesOrgFilter(alias = '') {
+    if (!this.currentOrganizationId) {
+      return { clause: '', params: [] };
+    }
+    const column = alias ? `${alias}.organization_id` : 'organization_id';
+    return { clause: ` AND ${column} = ?`, params: [this.currentOrganizationId] };
+  }
+
+  /**
+   * Apply a partial update to a sales table row and queue it for sync
+   * @private
+   */
+  _updateSalesRecord(tableName, recordId, fields) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const columns = Object.keys(fields).filter(column => fields[column] !== undefined);
+    const now = new Date().toISOString();
+
+    if (columns.length > 0) {
+      this.db.runSync(
+        `UPDATE ${tableName} SET ${columns.map(column => `${column} = ?`).join(', ')}, needs_sync = 1, updated_at = ? WHERE id = ?`,
+        [...columns.map(column => fields[column]), now, recordId]
+      );
+    }
+
+    const row = this.db.getFirstSync(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId]);
+    if (!row) {
+      throw new Error(`${tableName} record ${recordId} not found`);
+    }
+
+    this.enqueueSync(tableName, 'UPDATE', row.id, row.server_id, this._salesSyncPayload(tableName, row));
+    this.refreshLedgerEntry(tableName, row.id);
+    this.refreshEggStockEntry(tableName, row.id);
+    if (tableName === 'sales') {
+      this.refreshBirdMovements('sales', row.id);
+      this.refreshBatchBirdCount(row.batch_id);
+    }
+    return row;
+  }
+
+  /**
+   * Queued sync data for a sales table row; invoices carry their line items with them
+   * @private
+   */
+  _salesSyncPayload(tableName, row) {
+    return tableName === 'invoices' ? { ...row, items: this.getInvoiceItems(row.id) } : row;
+  }
+
+  /**
+   * Soft delete a sales table row and queue the DELETE for sync
+   * @private
+   */
+  _softDeleteSalesRecord(tableName, recordId) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const row = this.db.getFirstSync(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId]);
+    if (!row) {
+      throw new Error(`${tableName} record ${recordId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    this.db.runSync(
+      `UPDATE ${tableName} SET is_deleted = 1, deleted_at = ?, needs_sync = 1, updated_at = ? WHERE id = ?`,
+      [now, now, recordId]
+    );
+
+    this.enqueueSync(tableName, 'DELETE', row.id, row.server_id, row);
+    this.refreshLedgerEntry(tableName, row.id);
+    this.refreshEggStockEntry(tableName, row.id);
+    if (tableName === 'sales') {
+      this.refreshBirdMovements('sales', row.id);
+      this.refreshBatchBirdCount(row.batch_id);
+    }
+    return true;
+  }
+
+  // CUSTOMERS
+  createCustomer(customerData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!customerData || typeof customerData !== 'object' || !customerData.name) {
+        throw new Error('Customer name is required');
+      }
+
+      // CRITICAL FIX: Ensure database is ready
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const serverId = customerData.server_id || null;
+      const needsSync = customerData.needs_sync !== undefined ? customerData.needs_sync : 1;
+      const now = new Date().toISOString();
+
+      const result = this.db.runSync(
+        `INSERT INTO customers (organization_id, name, email, phone, address, tax_id, customer_type, notes, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(customerData.organizationId),
+          customerData.name,
+          customerData.email || null,
+          customerData.phone || null,
+          customerData.address || null,
+          customerData.taxId || null,
+          customerData.customerType || 'retail',
+          customerData.notes || null,
+          serverId,
+          needsSync,
+          serverId ? 1 : 0,
+          serverId ? now : null,
+          now,
+          now
+        ]
+      );
+
+      const row = this.getCustomerById(result.lastInsertRowId);
+      if (needsSync) {
+        this.enqueueSync('customers', 'CREATE', result.lastInsertRowId, null, row);
+      }
+
+      console.log(`✅ FastDatabase: Customer created with ID: ${result.lastInsertRowId}`);
+      return row;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to create customer:', error.message);
+      throw new Error(`Failed to create customer: ${error.message}`);
+    }
+  }
+
+  getCustomers(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('c');
+      let query = `
+        SELECT c.*,
+          (SELECT COUNT(*) FROM sales s WHERE s.customer_id = c.id AND s.is_deleted = 0) AS total_orders,
+          (SELECT COALESCE(SUM(s.total_amount), 0) FROM sales s WHERE s.customer_id = c.id AND s.is_deleted = 0) AS total_sales,
+          (SELECT COALESCE(SUM(s.amount_due), 0) FROM sales s WHERE s.customer_id = c.id AND s.is_deleted = 0) AS balance,
+          (SELECT MAX(s.sale_date) FROM sales s WHERE s.customer_id = c.id AND s.is_deleted = 0) AS last_purchase_date
+        FROM customers c
+        WHERE c.is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.search) {
+        query += ` AND (c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ?)`;
+        const term = `%${filters.search}%`;
+        params.push(term, term, term);
+      }
+
+      if (filters.customerType) {
+        query += ` AND c.customer_type = ?`;
+        params.push(filters.customerType);
+      }
+
+      query += ` ORDER BY c.name COLLATE NOCASE ASC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get customers:', error);
+      return [];
+    }
+  }
+
+  getCustomerById(customerId) {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(`SELECT * FROM customers WHERE id = ?`, [customerId]);
+      return result || null;
+    } catch (error) {
+      console.error('Failed to get customer:', error);
+      return null;
+    }
+  }
+
+  updateCustomer(customerId, customerData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!customerId || !customerData || typeof customerData !== 'object') {
+        throw new Error('Invalid customer ID or data provided');
+      }
+
+      return this._updateSalesRecord('customers', customerId, {
+        name: customerData.name,
+        email: customerData.email,
+        phone: customerData.phone,
+        address: customerData.address,
+        tax_id: customerData.taxId,
+        customer_type: customerData.customerType,
+        notes: customerData.notes
+      });
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to update customer:', error.message);
+      throw new Error(`Failed to update customer: ${error.message}`);
+    }
+  }
+
+  deleteCustomer(customerId) {
+    try {
+      // CRASH FIX: Validate input
+      if (!customerId) {
+        throw new Error('Invalid customer ID provided');
+      }
+
+      return this._softDeleteSalesRecord('customers', customerId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete customer:', error.message);
+      throw new Error(`Failed to delete customer: ${error.message}`);
+    }
+  }
+
+  // SALES
+  createSale(saleData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!saleData || typeof saleData !== 'object') {
+        throw new Error('Invalid sale data provided');
+      }
+
+      const quantity = parseFloat(saleData.quantity);
+      const unitPrice = parseFloat(saleData.unitPrice);
+      if (!(quantity > 0) || !(unitPrice >= 0)) {
+        throw new Error('Sale quantity and unit price are required');
+      }
+
+      // CRITICAL FIX: Ensure database is ready
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const totalAmount = saleData.totalAmount !== undefined ? parseFloat(saleData.totalAmount) : quantity * unitPrice;
+      const paymentStatus = saleData.paymentStatus || 'paid';
+      const amountPaid = paymentStatus === 'paid' && saleData.amountPaid === undefined
+        ? totalAmount
+        : parseFloat(saleData.amountPaid) || 0;
+      const amountDue = saleData.amountDue !== undefined
+        ? parseFloat(saleData.amountDue) || 0
+        : Math.max(0, totalAmount - amountPaid);
+
+      // Batch and farm are stored as LOCAL ids so the FOREIGN KEYs hold
+      const batch = saleData.batchId ? this.getBatchById(saleData.batchId) : null;
+
+      const serverId = saleData.server_id || null;
+      const needsSync = saleData.needs_sync !== undefined ? saleData.needs_sync : 1;
+      const now = new Date().toISOString();
+
+      const result = this.db.runSync(
+        `INSERT INTO sales (organization_id, customer_id, farm_id, batch_id, sale_date, product_type, quantity, unit, egg_grade, unit_price, total_amount, amount_paid, amount_due, payment_status, payment_method, payment_date, invoice_number, delivery_address, notes, recorded_by, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(saleData.organizationId, [['customers', saleData.customerId], ['farms', saleData.farmId]]),
+          saleData.customerId || null,
+          saleData.farmId || (batch ? batch.farm_id : null),
+          batch ? batch.id : null,
+          saleData.saleDate || now,
+          saleData.productType || 'birds',
+          quantity,
+          saleData.unit || null,
+          saleData.productType === 'eggs' ? saleData.eggGrade || null : null,
+          unitPrice,
+          totalAmount,
+          amountPaid,
+          amountDue,
+          paymentStatus,
+          saleData.paymentMethod || 'cash',
+          saleData.paymentDate || null,
+          saleData.invoiceNumber || null,
+          saleData.deliveryAddress || null,
+          saleData.notes || null,
+          this.getRecorder('sale', saleData),
+          serverId,
+          needsSync,
+          serverId ? 1 : 0,
+          serverId ? now : null,
+          now,
+          now
+        ]
+      );
+
+      const row = this.getSaleById(result.lastInsertRowId);
+      this.refreshLedgerEntry('sales', result.lastInsertRowId);
+      this.refreshEggStockEntry('sales', result.lastInsertRowId);
+      this.refreshBirdMovements('sales', result.lastInsertRowId);
+      this.refreshBatchBirdCount(row?.batch_id);
+      if (needsSync) {
+        this.enqueueSync('sales', 'CREATE', result.lastInsertRowId, null, row);
+      }
+
+      console.log(`✅ FastDatabase: Sale created with ID: ${result.lastInsertRowId}`);
+      return row;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to create sale:', error.message);
+      throw new Error(`Failed to create sale: ${error.message}`);
+    }
+  }
+
+  getSales(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('s');
+      let query = `
+        SELECT s.*, c.name AS customer_name,
+          (SELECT i.invoice_number FROM invoices i
+           WHERE COALESCE(i.is_deleted, 0) = 0 AND i.status != 'cancelled'
+             AND (i.sale_id = s.id OR i.id IN (SELECT ii.invoice_id FROM invoice_items ii WHERE ii.sale_id = s.id))
+           LIMIT 1) AS invoiced_as
+        FROM sales s
+        LEFT JOIN customers c ON s.customer_id = c.id
+        WHERE s.is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.customerId) {
+        query += ` AND s.customer_id = ?`;
+        params.push(filters.customerId);
+      }
+
+      if (filters.batchId) {
+        query += ` AND s.batch_id = ?`;
+        params.push(filters.batchId);
+      }
+
+      if (filters.paymentStatus) {
+        query += ` AND s.payment_status = ?`;
+        params.push(filters.paymentStatus);
+      }
+
+      if (filters.startDate) {
+        query += ` AND s.sale_date >= ?`;
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query += ` AND s.sale_date <= ?`;
+        params.push(filters.endDate);
+      }
+
+      query += ` ORDER BY s.sale_date DESC, s.id DESC`;
+
+      if (filters.limit) {
+        query += ` LIMIT ${parseInt(filters.limit, 10)}`;
+      }
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get sales:', error);
+      return [];
+    }
+  }
+
+  getSaleById(saleId) {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(`SELECT * FROM sales WHERE id = ?`, [saleId]);
+      return result || null;
+    } catch (error) {
+      console.error('Failed to get sale:', error);
+      return null;
+    }
+  }
+
+  getSalesSummary(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter();
+      let query = `
+        SELECT COUNT(*) AS total_sales,
+          COALESCE(SUM(total_amount), 0) AS total_revenue,
+          COALESCE(SUM(amount_paid), 0) AS total_paid,
+          COALESCE(SUM(amount_due), 0) AS total_due
+        FROM sales
+        WHERE is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.startDate) {
+        query += ` AND sale_date >= ?`;
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query += ` AND sale_date <= ?`;
+        params.push(filters.endDate);
+      }
+
+      const row = this.db.getFirstSync(query, params) || {};
+      return {
+        totalSales: row.total_sales || 0,
+        totalRevenue: row.total_revenue || 0,
+        totalPaid: row.total_paid || 0,
+        totalDue: row.total_due || 0
+      };
+    } catch (error) {
+      console.error('Failed to get sales summary:', error);
+      return { totalSales: 0, totalRevenue: 0, totalPaid: 0, totalDue: 0 };
+    }
+  }
+
+  /**
+   * On-device sales analytics for the last few months (see utils/salesAnalytics)
+   * @param {Object} filters - { months, endDate }
+   */
+  getSalesAnalytics(filters = {}) {
+    const months = parseInt(filters.months, 10) || 6;
+    const endDate = filters.endDate || new Date();
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('s');
+      const sales = this.db.getAllSync(
+        `SELECT s.id, s.sale_date, s.product_type, s.quantity, s.unit, s.total_amount, s.amount_paid, s.amount_due,
+                s.customer_id, c.name AS customer_name, s.batch_id, pb.batch_name
+         FROM sales s
+         LEFT JOIN customers c ON c.id = s.customer_id
+         LEFT JOIN poultry_batches pb ON pb.id = s.batch_id
+         WHERE COALESCE(s.is_deleted, 0) = 0 AND s.sale_date >= ?${orgFilter.clause}
+         ORDER BY s.sale_date ASC`,
+        [`${getPeriodMonths(months, endDate)[0]}-01`, ...orgFilter.params]
+      ) || [];
+
+      return computeSalesAnalytics(sales, { months, endDate });
+    } catch (error) {
+      console.error('Failed to get sales analytics:', error);
+      return computeSalesAnalytics([], { months, endDate });
+    }
+  }
+
+  /**
+   * Sales, invoices and payments that make up the receivables, optionally for one customer
+   * @param {Object} filters - { customerId }
+   * @returns {Object} { invoices, sales, payments }
+   */
+  getReceivablesData(filters = {}) {
+    if (!this.isReady) this.init();
+
+    const customerClause = (alias) => (filters.customerId ? ` AND ${alias}.customer_id = ?` : '');
+    const customerParams = filters.customerId ? [filters.customerId] : [];
+
+    const invoiceOrg = this._salesOrgFilter('i');
+    const invoices = this.db.getAllSync(
+      `SELECT i.id, i.customer_id, c.name AS customer_name, i.sale_id, i.invoice_number, i.invoice_date, i.due_date,
+              i.total, i.amount_paid, i.status, i.created_at,
+              (SELECT GROUP_CONCAT(ii.sale_id) FROM invoice_items ii WHERE ii.invoice_id = i.id) AS item_sale_ids
+       FROM invoices i
+       LEFT JOIN customers c ON c.id = i.customer_id
+       WHERE COALESCE(i.is_deleted, 0) = 0${invoiceOrg.clause}${customerClause('i')}`,
+      [...invoiceOrg.params, ...customerParams]
+    ) || [];
+
+    const saleOrg = this._salesOrgFilter('s');
+    const sales = this.db.getAllSync(
+      `SELECT s.id, s.customer_id, c.name AS customer_name, s.sale_date, s.product_type, s.invoice_number,
+              s.total_amount, s.amount_paid, s.created_at
+       FROM sales s
+       LEFT JOIN customers c ON c.id = s.customer_id
+       WHERE COALESCE(s.is_deleted, 0) = 0${saleOrg.clause}${customerClause('s')}`,
+      [...saleOrg.params, ...customerParams]
+    ) || [];
+
+    // Payments for one customer may be linked only through the invoice or sale they paid
+    const paymentOrg = this._salesOrgFilter('p');
+    const paymentCustomerClause = filters.customerId
+      ? ` AND (p.customer_id = ? OR p.invoice_id IN (SELECT id FROM invoices WHERE customer_id = ?) OR p.sale_id IN (SELECT id FROM sales WHERE customer_id = ?))`
+      : '';
+    const payments = this.db.getAllSync(
+      `SELECT p.id, p.customer_id, c.name AS customer_name, p.invoice_id, p.sale_id, p.amount, p.payment_date,
+              p.payment_method, p.reference_number, p.receipt_number, p.created_at
+       FROM payments p
+       LEFT JOIN customers c ON c.id = p.customer_id
+       WHERE COALESCE(p.is_deleted, 0) = 0${paymentOrg.clause}${paymentCustomerClause}`,
+      [...paymentOrg.params, ...(filters.customerId ? [filters.customerId, filters.customerId, filters.customerId] : [])]
+    ) || [];
+
+    return { invoices, sales, payments };
+  }
+
+  /**
+   * Receivables aging and per-customer balances as of a date (see utils/receivables)
+   * @param {Object} filters - { asOf }
+   */
+  getReceivables(filters = {}) {
+    try {
+      return computeReceivables(this.getReceivablesData(), { asOf: filters.asOf });
+    } catch (error) {
+      console.error('Failed to get receivables:', error);
+      return computeReceivables({}, { asOf: filters.asOf });
+    }
+  }
+
+  /**
+   * Statement of account for a customer over a period (see utils/receivables)
+   * @param {Object} options - { from, to }
+   */
+  getCustomerStatement(customerId, options = {}) {
+    if (!customerId) {
+      throw new Error('Invalid customer ID provided');
+    }
+
+    const customer = this.getCustomerById(customerId);
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    return buildCustomerStatement(customer, this.getReceivablesData({ customerId }), options);
+  }
+
+  updateSale(saleId, saleData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!saleId || !saleData || typeof saleData !== 'object') {
+        throw new Error('Invalid sale ID or data provided');
+      }
+
+      return this._updateSalesRecord('sales', saleId, {
+        customer_id: saleData.customerId,
+        sale_date: saleData.saleDate,
+        product_type: saleData.productType,
+        quantity: saleData.quantity,
+        unit: saleData.unit,
+        egg_grade: saleData.eggGrade,
+        unit_price: saleData.unitPrice,
+        total_amount: saleData.totalAmount,
+        amount_paid: saleData.amountPaid,
+        amount_due: saleData.amountDue,
+        payment_status: saleData.paymentStatus,
+        payment_method: saleData.paymentMethod,
+        payment_date: saleData.paymentDate,
+        invoice_number: saleData.invoiceNumber,
+        delivery_address: saleData.deliveryAddress,
+        notes: saleData.notes
+      });
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to update sale:', error.message);
+      throw new Error(`Failed to update sale: ${error.message}`);
+    }
+  }
+
+  deleteSale(saleId) {
+    try {
+      // CRASH FIX: Validate input
+      if (!saleId) {
+        throw new Error('Invalid sale ID provided');
+      }
+
+      return this._softDeleteSalesRecord('sales', saleId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete sale:', error.message);
+      throw new Error(`Failed to delete sale: ${error.message}`);
+    }
+  }
+
+  // INVOICES
+  createInvoice(invoiceData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!invoiceData || typeof invoiceData !== 'object') {
+        throw new Error('Invalid invoice data provided');
+      }
+
+      // CRITICAL FIX: Ensure database is ready
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const subtotal = parseFloat(invoiceData.subtotal) || 0;
+      const taxAmount = parseFloat(invoiceData.taxAmount) || 0;
+      const discountAmount = parseFloat(invoiceData.discountAmount) || 0;
+      const total = invoiceData.total !== undefined
+        ? parseFloat(invoiceData.total) || 0
+        : subtotal + taxAmount - discountAmount;
+      const amountPaid = parseFloat(invoiceData.amountPaid) || 0;
+
+      const serverId = invoiceData.server_id || null;
+      const needsSync = invoiceData.needs_sync !== undefined ? invoiceData.needs_sync : 1;
+      const now = new Date().toISOString();
+
+      const result = this.db.runSync(
+        `INSERT INTO invoices (organization_id, customer_id, sale_id, invoice_number, invoice_date, due_date, subtotal, tax_amount, discount_amount, total, amount_paid, amount_due, status, notes, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(invoiceData.organizationId, [['customers', invoiceData.customerId]]),
+          invoiceData.customerId || null,
+          invoiceData.saleId || null,
+          invoiceData.invoiceNumber || null,
+          invoiceData.invoiceDate || now,
+          invoiceData.dueDate || null,
+          subtotal,
+          taxAmount,
+          discountAmount,
+          total,
+          amountPaid,
+          Math.max(0, total - amountPaid),
+          invoiceData.status || 'draft',
+          invoiceData.notes || null,
+          serverId,
+          needsSync,
+          serverId ? 1 : 0,
+          serverId ? now : null,
+          now,
+          now
+        ]
+      );
+
+      const row = this.getInvoiceById(result.lastInsertRowId);
+      if (needsSync) {
+        this.enqueueSync('invoices', 'CREATE', result.lastInsertRowId, null, this._salesSyncPayload('invoices', row));
+      }
+
+      console.log(`✅ FastDatabase: Invoice created with ID: ${result.lastInsertRowId}`);
+      return row;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to create invoice:', error.message);
+      throw new Error(`Failed to create invoice: ${error.message}`);
+    }
+  }
+
+  getInvoices(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('i');
+      let query = `
+        SELECT i.*, c.name AS customer_name
+        FROM invoices i
+        LEFT JOIN customers c ON i.customer_id = c.id
+        WHERE i.is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.status) {
+        query += ` AND i.status = ?`;
+        params.push(filters.status);
+      }
+
+      if (filters.customerId) {
+        query += ` AND i.customer_id = ?`;
+        params.push(filters.customerId);
+      }
+
+      query += ` ORDER BY i.invoice_date DESC, i.id DESC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get invoices:', error);
+      return [];
+    }
+  }
+
+  getInvoiceById(invoiceId) {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(`SELECT * FROM invoices WHERE id = ?`, [invoiceId]);
+      return result || null;
+    } catch (error) {
+      console.error('Failed to get invoice:', error);
+      return null;
+    }
+  }
+
+  getInvoiceSummary() {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter();
+      const row = this.db.getFirstSync(
+        `SELECT COUNT(*) AS total_invoices,
+           COALESCE(SUM(total), 0) AS total_amount,
+           COALESCE(SUM(amount_paid), 0) AS total_paid,
+           COALESCE(SUM(amount_due), 0) AS total_due
+         FROM invoices
+         WHERE is_deleted = 0 AND status != 'cancelled'${orgFilter.clause}`,
+        orgFilter.params
+      ) || {};
+
+      return {
+        totalInvoices: row.total_invoices || 0,
+        totalAmount: row.total_amount || 0,
+        totalPaid: row.total_paid || 0,
+        totalDue: row.total_due || 0
+      };
+    } catch (error) {
+      console.error('Failed to get invoice summary:', error);
+      return { totalInvoices: 0, totalAmount: 0, totalPaid: 0, totalDue: 0 };
+    }
+  }
+
+  updateInvoice(invoiceId, invoiceData) {
+    try {
+      // CRASH FIX: Validate input
+      if (!invoiceId || !invoiceData || typeof invoiceData !== 'object') {
+        throw new Error('Invalid invoice ID or data provided');
+      }
+
+      const fields = {
+        customer_id: invoiceData.customerId,
+        sale_id: invoiceData.saleId,
+        invoice_number: invoiceData.invoiceNumber,
+        invoice_date: invoiceData.invoiceDate,
+        due_date: invoiceData.dueDate,
+        subtotal: invoiceData.subtotal,
+        tax_amount: invoiceData.taxAmount,
+        discount_amount: invoiceData.discountAmount,
+        total: invoiceData.total,
+        amount_paid: invoiceData.amountPaid,
+        status: invoiceData.status,
+        notes: invoiceData.notes
+      };
+
+      // Keep amount_due consistent whenever the totals move
+      if (invoiceData.total !== undefined || invoiceData.amountPaid !== undefined) {
+        const current = this.getInvoiceById(invoiceId) || {};
+        const total = invoiceData.total !== undefined ? parseFloat(invoiceData.total) || 0 : current.total || 0;
+        const paid = invoiceData.amountPaid !== undefined ? parseFloat(invoiceData.amountPaid) || 0 : current.amount_paid || 0;
+        fields.amount_due = Math.max(0, total - paid);
+      }
+
+      return this._updateSalesRecord('invoices', invoiceId, fields);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to update invoice:', error.message);
+      throw new Error(`Failed to update invoice: ${error.message}`);
+    }
+  }
+
+  deleteInvoice(invoiceId) {
+    try {
+      // CRASH FIX: Validate input
+      if (!invoiceId) {
+        throw new Error('Invalid invoice ID provided');
+      }
+
+      return this._softDeleteSalesRecord('invoices', invoiceId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete invoice:', error.message);
+      throw new Error(`Failed to delete invoice: ${error.message}`);
+    }
+  }
+
+  getInvoiceItems(invoiceId) {
+    try {
+      if (!this.isReady) this.init();
+      return this.db.getAllSync(
+        `SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY sort_order ASC, id ASC`,
+        [invoiceId]
+      ) || [];
+    } catch (error) {
+      console.error('Failed to get invoice items:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Next number in the active organization's invoice sequence (INV-0001, INV-0002, ...).
+   * Deleted invoices keep their number so it is never issued twice.
+   */
+  getNextInvoiceNumber() {
+    if (!this.isReady) this.init();
+
+    const orgFilter = this._salesOrgFilter();
+    const rows = this.db.getAllSync(
+      `SELECT invoice_number FROM invoices WHERE invoice_number LIKE ?${orgFilter.clause}`,
+      [`${INVOICE_NUMBER_PREFIX}-%`, ...orgFilter.params]
+    ) || [];
+    return nextInvoiceNumber(rows.map(row => row.invoice_number));
+  }
+
+  /**
+   * Sales to put on an invoice, with the number of any open invoice that already covers them
+   * @param {Array} saleIds - local sale ids
+   */
+  getSalesForInvoice(saleIds = []) {
+    if (!this.isReady) this.init();
+    if (saleIds.length === 0) return [];
+
+    const orgFilter = this._salesOrgFilter('s');
+    return this.db.getAllSync(
+      `SELECT s.*, c.name AS customer_name, inv.id AS invoiced_as_id, inv.invoice_number AS invoiced_as
+       FROM sales s
+       LEFT JOIN customers c ON c.id = s.customer_id
+       LEFT JOIN invoices inv ON inv.id = (
+         SELECT i.id FROM invoices i
+         WHERE COALESCE(i.is_deleted, 0) = 0 AND i.status != 'cancelled'
+           AND (i.sale_id = s.id OR i.id IN (SELECT ii.invoice_id FROM invoice_items ii WHERE ii.sale_id = s.id))
+         LIMIT 1
+       )
+       WHERE s.id IN (${saleIds.map(() => '?').join(', ')}) AND COALESCE(s.is_deleted, 0) = 0${orgFilter.clause}
+       ORDER BY s.sale_date ASC, s.id ASC`,
+      [...saleIds, ...orgFilter.params]
+    ) || [];
+  }
+
+  /**
+   * Invoice with its customer, line items and the farm its sales came from (for the letterhead)
+   */
+  getInvoiceDetails(invoiceId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const invoice = this.db.getFirstSync(
+        `SELECT i.*, c.name AS customer_name, c.phone AS customer_phone, c.email AS customer_email, c.address AS customer_address
+         FROM invoices i
+         LEFT JOIN customers c ON c.id = i.customer_id
+         WHERE i.id = ?`,
+        [invoiceId]
+      );
+      if (!invoice) return null;
+
+      const items = this.getInvoiceItems(invoiceId);
+      const saleIds = [invoice.sale_id, ...items.map(item => item.sale_id)].filter(Boolean);
+      const farm = saleIds.length > 0
+        ? this.db.getFirstSync(
+          `SELECT f.id, f.farm_name, f.location
+           FROM sales s
+           JOIN farms f ON f.id = COALESCE(s.farm_id, (SELECT pb.farm_id FROM poultry_batches pb WHERE pb.id = s.batch_id))
+           WHERE s.id IN (${saleIds.map(() => '?').join(', ')})
+           LIMIT 1`,
+          saleIds
+        )
+        : null;
+
+      return { invoice, items, farm: farm || null };
+    } catch (error) {
+      console.error('Failed to get invoice details:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create or edit an invoice and its line items in one transaction and queue it for sync
+   * @param {Object} invoiceData - { id, customerId, invoiceDate, dueDate, taxRate, discountAmount, notes, status,
+   *   items: [{ saleId, description, quantity, unit, unitPrice }] }
+   * @returns {Promise<Object>} the saved invoices row
+   */
+  async saveInvoice(invoiceData) {
+    if (!invoiceData || typeof invoiceData !== 'object') {
+      throw new Error('Invalid invoice data provided');
+    }
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const existing = invoiceData.id ? this.getInvoiceById(invoiceData.id) : null;
+    if (invoiceData.id && !existing) {
+      throw new Error('Invoice not found');
+    }
+    if (existing && !isInvoiceEditable(existing)) {
+      throw new Error('Only invoices with no payments can be edited');
+    }
+    if (!invoiceData.customerId) {
+      throw new Error('Choose the customer to invoice');
+    }
+
+    const items = (invoiceData.items || []).filter(item => item && String(item.description || '').trim());
+    if (items.length === 0) {
+      throw new Error('Add at least one line item');
+    }
+    if (items.some(item => !(parseFloat(item.quantity) > 0) || !(parseFloat(item.unitPrice) >= 0))) {
+      throw new Error('Every line item needs a quantity and a price');
+    }
+
+    // A sale is invoiced once, and only to the customer it was sold to
+    const saleIds = [...new Set(items.map(item => item.saleId).filter(Boolean))];
+    this.getSalesForInvoice(saleIds).forEach(sale => {
+      if (String(sale.customer_id || '') !== String(invoiceData.customerId)) {
+        throw new Error(`Sale #${sale.id} was not made to this customer`);
+      }
+      if (sale.invoiced_as_id && String(sale.invoiced_as_id) !== String(invoiceData.id || '')) {
+        throw new Error(`Sale #${sale.id} is already on invoice ${sale.invoiced_as || sale.invoiced_as_id}`);
+      }
+    });
+
+    const invoiceDate = toDateKey(invoiceData.invoiceDate) || toDateKey(new Date());
+    const dueDate = toDateKey(invoiceData.dueDate) || toDateKey(addDays(`${invoiceDate}T00:00:00`, DEFAULT_PAYMENT_TERMS_DAYS));
+    if (dueDate < invoiceDate) {
+      throw new Error('The due date cannot be before the invoice date');
+    }
+
+    const totals = calculateInvoiceTotals(items, {
+      taxRate: invoiceData.taxRate,
+      discountAmount: invoiceData.discountAmount
+    });
+    const requestedStatus = invoiceData.status || existing?.status || 'draft';
+    if (existing && !canTransition(existing.status, requestedStatus)) {
+      throw new Error(`A ${existing.status} invoice cannot be marked ${requestedStatus}`);
+    }
+    if (!['draft', 'sent', 'overdue'].includes(requestedStatus)) {
+      throw new Error('A new invoice is saved as a draft or sent');
+    }
+    const amountPaid = parseFloat(existing?.amount_paid) || 0;
+    const status = deriveInvoiceStatus({ status: requestedStatus, total: totals.total, amount_paid: amountPaid, due_date: dueDate });
+    const notes = invoiceData.notes ? String(invoiceData.notes).trim() || null : null;
+    const now = new Date().toISOString();
+
+    return this.withTransaction(async () => {
+      let invoiceId = existing?.id;
+      const fields = [
+        invoiceData.customerId,
+        saleIds.length === 1 ? saleIds[0] : null,
+        invoiceDate,
+        dueDate,
+        totals.subtotal,
+        totals.taxAmount,
+        totals.discountAmount,
+        totals.total,
+        Math.max(0, totals.total - amountPaid),
+        status,
+        notes
+      ];
+
+      if (existing) {
+        this.db.runSync(
+          `UPDATE invoices SET customer_id = ?, sale_id = ?, invoice_date = ?, due_date = ?, subtotal = ?, tax_amount = ?,
+             discount_amount = ?, total = ?, amount_due = ?, status = ?, notes = ?, needs_sync = 1, updated_at = ?
+           WHERE id = ?`,
+          [...fields, now, invoiceId]
+        );
+        this.db.runSync(`DELETE FROM invoice_items WHERE invoice_id = ?`, [invoiceId]);
+      } else {
+        const result = this.db.runSync(
+          `INSERT INTO invoices (customer_id, sale_id, invoice_date, due_date, subtotal, tax_amount, discount_amount, total, amount_due, status, notes,
+             organization_id, invoice_number, amount_paid, needs_sync, is_synced, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 1, 0, ?, ?)`,
+          [...fields, this.resolveOrganizationId(null, [['customers', invoiceData.customerId]]), invoiceData.invoiceNumber || this.getNextInvoiceNumber(), now, now]
+        );
+        invoiceId = result.lastInsertRowId;
+      }
+
+      totals.items.forEach((item, index) => {
+        this.db.runSync(
+          `INSERT INTO invoice_items (invoice_id, sale_id, description, quantity, unit, unit_price, amount, sort_order, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [invoiceId, item.saleId || null, String(item.description).trim(), item.quantity, item.unit || null, item.unitPrice, item.amount, index, now]
+        );
+      });
+
+      const row = this.getInvoiceById(invoiceId);
+      this.enqueueSync('invoices', existing ? 'UPDATE' : 'CREATE', invoiceId, row.server_id, this._salesSyncPayload('invoices', row));
+
+      console.log(`✅ FastDatabase: Invoice ${row.invoice_number} saved with ${totals.items.length} items`);
+      return row;
+    });
+  }
+
+  /**
+   * Send or cancel an invoice. Partial, paid and overdue follow from payments and the due date.
+   */
+  setInvoiceStatus(invoiceId, status) {
+    const invoice = this.getInvoiceById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    if (!['sent', 'cancelled'].includes(status)) {
+      throw new Error('Invoices can only be sent or cancelled by hand');
+    }
+    if (status === 'cancelled' && (parseFloat(invoice.amount_paid) || 0) > 0) {
+      throw new Error('An invoice with payments cannot be cancelled');
+    }
+    if (!canTransition(invoice.status, status)) {
+      throw new Error(`A ${invoice.status} invoice cannot be marked ${status}`);
+    }
+
+    const nextStatus = status === 'sent' ? deriveInvoiceStatus({ ...invoice, status }) : status;
+    return this._updateSalesRecord('invoices', invoiceId, { status: nextStatus });
+  }
+
+  /**
+   * Move issued invoices to the status their payments and due date call for
+   * @returns {number} how many invoices changed status
+   */
+  refreshInvoiceStatuses(asOf = new Date()) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter();
+      const invoices = this.db.getAllSync(
+        `SELECT * FROM invoices WHERE COALESCE(is_deleted, 0) = 0 AND status NOT IN ('draft', 'cancelled')${orgFilter.clause}`,
+        orgFilter.params
+      ) || [];
+
+      let changed = 0;
+      invoices.forEach(invoice => {
+        const status = deriveInvoiceStatus(invoice, asOf);
+        if (status !== invoice.status) {
+          this._updateSalesRecord('invoices', invoice.id, { status });
+          changed += 1;
+        }
+      });
+
+      if (changed > 0) {
+        console.log(`🧾 FastDatabase: ${changed} invoice statuses updated`);
+      }
+      return changed;
+    } catch (error) {
+      console.warn('⚠️ FastDatabase: Failed to refresh invoice statuses:', error.message);
+      return 0;
+    }
+  }
+
+  // PAYMENTS
+  createPayment(paymentData) {
+    try {
+      // CRASH FIX: Validate input (refunds are the only negative payments)
+      const amount = parseFloat(paymentData?.amount);
+      if (!paymentData || typeof paymentData !== 'object' || !(paymentData.isRefund ? amount < 0 : amount > 0)) {
+        throw new Error('Payment amount is required');
+      }
+
+      // CRITICAL FIX: Ensure database is ready
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available. Please check your internet connection or restart the app.');
+      }
+
+      const serverId = paymentData.server_id || null;
+      const needsSync = paymentData.needs_sync !== undefined ? paymentData.needs_sync : 1;
+      const now = new Date().toISOString();
+
+      const result = this.db.runSync(
+        `INSERT INTO payments (organization_id, customer_id, invoice_id, sale_id, amount, payment_date, payment_method, reference_number, receipt_number, notes, server_id, needs_sync, is_synced, synced_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          this.resolveOrganizationId(paymentData.organizationId, [['customers', paymentData.customerId], ['invoices', paymentData.invoiceId], ['sales', paymentData.saleId]]),
+          paymentData.customerId || null,
+          paymentData.invoiceId || null,
+          paymentData.saleId || null,
+          parseFloat(paymentData.amount),
+          paymentData.paymentDate || now,
+          paymentData.paymentMethod || 'cash',
+          paymentData.referenceNumber || null,
+          paymentData.receiptNumber || null,
+          paymentData.notes || null,
+          serverId,
+          needsSync,
+          serverId ? 1 : 0,
+          serverId ? now : null,
+          now,
+          now
+        ]
+      );
+
+      const row = this.getPaymentById(result.lastInsertRowId);
+      if (needsSync) {
+        this.enqueueSync('payments', 'CREATE', result.lastInsertRowId, null, row);
+      }
+
+      console.log(`✅ FastDatabase: Payment created with ID: ${result.lastInsertRowId}`);
+      return row;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to create payment:', error.message);
+      throw new Error(`Failed to create payment: ${error.message}`);
+    }
+  }
+
+  getPayments(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('p');
+      let query = `
+        SELECT p.*, c.name AS customer_name, i.invoice_number AS invoice_number
+        FROM payments p
+        LEFT JOIN customers c ON p.customer_id = c.id
+        LEFT JOIN invoices i ON p.invoice_id = i.id
+        WHERE p.is_deleted = 0${orgFilter.clause}`;
+      const params = [...orgFilter.params];
+
+      if (filters.paymentMethod) {
+        query += ` AND p.payment_method = ?`;
+        params.push(filters.paymentMethod);
+      }
+
+      if (filters.customerId) {
+        query += ` AND p.customer_id = ?`;
+        params.push(filters.customerId);
+      }
+
+      if (filters.invoiceId) {
+        query += ` AND p.invoice_id = ?`;
+        params.push(filters.invoiceId);
+      }
+
+      query += ` ORDER BY p.payment_date DESC, p.id DESC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get payments:', error);
+      return [];
+    }
+  }
+
+  getPaymentById(paymentId) {
+    try {
+      if (!this.isReady) this.init();
+      const result = this.db.getFirstSync(`SELECT * FROM payments WHERE id = ?`, [paymentId]);
+      return result || null;
+    } catch (error) {
+      console.error('Failed to get payment:', error);
+      return null;
+    }
+  }
+
+  getPaymentSummary() {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter();
+      const monthStart = new Date();
+      monthStart.setDate(1);
+      monthStart.setHours(0, 0, 0, 0);
+
+      const row = this.db.getFirstSync(
+        `SELECT COUNT(*) AS total_payments,
+           COALESCE(SUM(amount), 0) AS total_amount,
+           COALESCE(SUM(CASE WHEN payment_date >= ? THEN amount ELSE 0 END), 0) AS this_month_amount
+         FROM payments
+         WHERE is_deleted = 0${orgFilter.clause}`,
+        [monthStart.toISOString(), ...orgFilter.params]
+      ) || {};
+
+      return {
+        totalPayments: row.total_payments || 0,
+        totalAmount: row.total_amount || 0,
+        thisMonthAmount: row.this_month_amount || 0
+      };
+    } catch (error) {
+      console.error('Failed to get payment summary:', error);
+      return { totalPayments: 0, totalAmount: 0, thisMonthAmount: 0 };
+    }
+  }
+
+  /**
+   * Issued invoices a customer still owes money on, the one due first first
+   */
+  getOpenInvoices(customerId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const orgFilter = this._salesOrgFilter('i');
+      return this.db.getAllSync(
+        `SELECT i.*, c.name AS customer_name
+         FROM invoices i
+         LEFT JOIN customers c ON c.id = i.customer_id
+         WHERE COALESCE(i.is_deleted, 0) = 0 AND i.status NOT IN ('draft', 'cancelled')
+           AND i.total - COALESCE(i.amount_paid, 0) > 0.005 AND i.customer_id = ?${orgFilter.clause}
+         ORDER BY COALESCE(i.due_date, i.invoice_date) ASC, i.id ASC`,
+        [customerId, ...orgFilter.params]
+      ) || [];
+    } catch (error) {
+      console.error('Failed to get open invoices:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Next number in the active organization's receipt sequence (RCT-0001, RCT-0002, ...)
+   */
+  getNextReceiptNumber() {
+    if (!this.isReady) this.init();
+
+    const orgFilter = this._salesOrgFilter();
+    const rows = this.db.getAllSync(
+      `SELECT DISTINCT receipt_number FROM payments WHERE receipt_number LIKE ?${orgFilter.clause}`,
+      [`${RECEIPT_NUMBER_PREFIX}-%`, ...orgFilter.params]
+    ) || [];
+    return nextReceiptNumber(rows.map(row => row.receipt_number));
+  }
+
+  _checkPaymentMethod(paymentMethod, referenceNumber) {
+    const method = getPaymentMethod(paymentMethod);
+    if (!method) {
+      throw new Error('Choose how the money was paid');
+    }
+    if (method.requiresReference && !String(referenceNumber || '').trim()) {
+      throw new Error(`Enter the ${method.label.toLowerCase()} reference number`);
+    }
+    return method;
+  }
+
+  /**
+   * Record a payment received from a customer, split across their open invoices, in one
+   * transaction. Each invoice share becomes its own payments row under one receipt number and
+   * moves the invoice's amount paid and status; an excess is kept as credit or refunded.
+   * @param {Object} paymentData - { customerId, amount, paymentDate, paymentMethod, referenceNumber, notes,
+   *   allocations: [{ invoiceId, amount }], excess: 'credit' | 'refund' }
+   * @returns {Promise<Object>} { receiptNumber, payments, invoices, credit, refunded }
+   */
+  async recordPayment(paymentData) {
+    if (!paymentData || typeof paymentData !== 'object') {
+      throw new Error('Invalid payment data provided');
+    }
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+    if (!paymentData.customerId) {
+      throw new Error('Choose the customer who paid');
+    }
+    if (!(parseFloat(paymentData.amount) > 0)) {
+      throw new Error('Enter the amount received');
+    }
+    this._checkPaymentMethod(paymentData.paymentMethod, paymentData.referenceNumber);
+
+    const excessOption = paymentData.excess || 'credit';
+    if (!EXCESS_OPTIONS.includes(excessOption)) {
+      throw new Error('Choose whether to keep the overpayment as credit or refund it');
+    }
+
+    const openInvoices = this.getOpenInvoices(paymentData.customerId);
+    const { allocations, excess } = checkAllocations(paymentData.amount, paymentData.allocations, openInvoices);
+    const paymentDate = toDateKey(paymentData.paymentDate) || toDateKey(new Date());
+    const referenceNumber = String(paymentData.referenceNumber || '').trim() || null;
+    const notes = String(paymentData.notes || '').trim();
+
+    return this.withTransaction(async () => {
+      const receiptNumber = this.getNextReceiptNumber();
+      const base = {
+        customerId: paymentData.customerId,
+        paymentDate,
+        paymentMethod: paymentData.paymentMethod,
+        referenceNumber,
+        receiptNumber
+      };
+
+      const payments = [];
+      const invoices = [];
+      allocations.forEach(allocation => {
+        payments.push(this.createPayment({ ...base, invoiceId: allocation.invoiceId, amount: allocation.amount, notes: notes || null }));
+
+        const invoice = openInvoices.find(row => String(row.id) === String(allocation.invoiceId));
+        const amountPaid = Math.round(((parseFloat(invoice.amount_paid) || 0) + allocation.amount) * 100) / 100;
+        const updated = { ...invoice, amount_paid: amountPaid };
+        invoices.push(this._updateSalesRecord('invoices', invoice.id, {
+          amount_paid: amountPaid,
+          amount_due: getInvoiceBalance(updated),
+          status: deriveInvoiceStatus(updated)
+        }));
+      });
+
+      if (excess > 0 && excessOption === 'credit') {
+        payments.push(this.createPayment({ ...base, amount: excess, notes: notes || 'Overpayment kept as credit' }));
+      }
+
+      const refunded = excess > 0 && excessOption === 'refund' ? excess : 0;
+      console.log(`✅ FastDatabase: Receipt ${receiptNumber} recorded across ${allocations.length} invoices`);
+      return { receiptNumber, payments, invoices, credit: excessOption === 'credit' ? excess : 0, refunded };
+    });
+  }
+
+  /**
+   * Pay back credit a customer holds from earlier overpayments. Stored as a negative payment
+   * on account so the customer's credit and the cash received both go down.
+   * @param {Object} refundData - { amount, paymentDate, paymentMethod, referenceNumber, notes }
+   */
+  recordRefund(customerId, refundData = {}) {
+    if (!customerId) {
+      throw new Error('Choose the customer to refund');
+    }
+    const amount = Math.round((parseFloat(refundData.amount) || 0) * 100) / 100;
+    if (!(amount > 0)) {
+      throw new Error('Enter the amount to refund');
+    }
+    this._checkPaymentMethod(refundData.paymentMethod, refundData.referenceNumber);
+
+    const receivables = computeReceivables(this.getReceivablesData({ customerId }));
+    const credit = receivables.customers.find(row => String(row.customerId) === String(customerId))?.credit || 0;
+    if (amount > credit) {
+      throw new Error(`The customer only has ${credit.toLocaleString()} in credit`);
+    }
+
+    return this.createPayment({
+      customerId,
+      amount: -amount,
+      isRefund: true,
+      paymentDate: toDateKey(refundData.paymentDate) || toDateKey(new Date()),
+      paymentMethod: refundData.paymentMethod,
+      referenceNumber: String(refundData.referenceNumber || '').trim() || null,
+      receiptNumber: this.getNextReceiptNumber(),
+      notes: String(refundData.notes || '').trim() || 'Refund of credit'
+    });
+  }
+
+  deletePayment(paymentId) {
+    try {
+      // CRASH FIX: Validate input
+      if (!paymentId) {
+        throw new Error('Invalid payment ID provided');
+      }
+
+      return this._softDeleteSalesRecord('payments', paymentId);
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to delete payment:', error.message);
+      throw new Error(`Failed to delete payment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cache a record fetched from the server into a sales table.
+   * Rows with unsynced local edits are left alone so offline work is never overwritten.
+   */
+  cacheServerSalesRecord(tableName, serverRecord) {
+    try {
+      if (!serverRecord || !serverRecord.id || !this.ensureDatabaseReady()) {
+        return null;
+      }
+
+      const fieldMaps = {
+        customers: { name: 'name', email: 'email', phone: 'phone', address: 'address', taxId: 'tax_id', customerType: 'customer_type', notes: 'notes' },
+        sales: { saleDate: 'sale_date', productType: 'product_type', quantity: 'quantity', unit: 'unit', eggGrade: 'egg_grade', unitPrice: 'unit_price', totalAmount: 'total_amount', amountPaid: 'amount_paid', amountDue: 'amount_due', paymentStatus: 'payment_status', paymentMethod: 'payment_method', paymentDate: 'payment_date', invoiceNumber: 'invoice_number', deliveryAddress: 'delivery_address', notes: 'notes' },
+        invoices: { invoiceNumber: 'invoice_number', invoiceDate: 'invoice_date', dueDate: 'due_date', subtotal: 'subtotal', taxAmount: 'tax_amount', discountAmount: 'discount_amount', total: 'total', amountPaid: 'amount_paid', amountDue: 'amount_due', status: 'status', notes: 'notes' },
+        payments: { amount: 'amount', paymentDate: 'payment_date', paymentMethod: 'payment_method', referenceNumber: 'reference_number', receiptNumber: 'receipt_number', notes: 'notes' }
+      };
+      const referenceMaps = {
+        customerId: ['customer_id', 'customers'],
+        batchId: ['batch_id', 'poultry_batches'],
+        farmId: ['farm_id', 'farms'],
+        saleId: ['sale_id', 'sales'],
+        invoiceId: ['invoice_id', 'invoices']
+      };
+
+      const fieldMap = fieldMaps[tableName];
+      if (!fieldMap) {
+        throw new Error(`Unsupported sales table: ${tableName}`);
+      }
+
+      const columns = {};
+      Object.keys(fieldMap).forEach(field => {
+        if (serverRecord[field] !== undefined) {
+          columns[fieldMap[field]] = serverRecord[field];
+        }
+      });
+
+      const tableColumns = this.db.getAllSync(`PRAGMA table_info(${tableName})`).map(col => col.name);
+      Object.keys(referenceMaps).forEach(field => {
+        const [column, referencedTable] = referenceMaps[field];
+        const nestedKey = field.replace('Id', '');
+        const serverRefId = serverRecord[field] || serverRecord[nestedKey]?.id;
+        if (serverRefId && tableColumns.includes(column)) {
+          columns[column] = this.getLocalIdForServerId(referencedTable, String(serverRefId));
+        }
+      });
+
+      const serverId = String(serverRecord.id);
+      const existing = this.db.getFirstSync(`SELECT id, needs_sync FROM ${tableName} WHERE server_id = ?`, [serverId]);
+      const now = new Date().toISOString();
+
+      if (existing) {
+        if (existing.needs_sync) {
+          return existing.id;
+        }
+        const names = Object.keys(columns);
+        if (names.length > 0) {
+          this.db.runSync(
+            `UPDATE ${tableName} SET ${names.map(name => `${name} = ?`).join(', ')}, synced_at = ?, updated_at = ? WHERE id = ?`,
+            [...names.map(name => columns[name]), now, now, existing.id]
+          );
+          this.refreshLedgerEntry(tableName, existing.id);
+          this.refreshEggStockEntry(tableName, existing.id);
+          this.refreshBirdMovements(tableName, existing.id);
+        }
+        if (tableName === 'invoices') this._cacheServerInvoiceItems(existing.id, serverRecord.items);
+        return existing.id;
+      }
+
+      const insertColumns = {
+        ...columns,
+        organization_id: serverRecord.organizationId || this.currentOrganizationId || null,
+        server_id: serverId,
+        needs_sync: 0,
+        is_synced: 1,
+        synced_at: now,
+        created_at: serverRecord.createdAt || now,
+        updated_at: now
+      };
+      const names = Object.keys(insertColumns);
+      const result = this.db.runSync(
+        `INSERT INTO ${tableName} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+        names.map(name => insertColumns[name])
+      );
+
+      this.storeIdMapping(tableName, result.lastInsertRowId, serverId);
+      this.refreshLedgerEntry(tableName, result.lastInsertRowId);
+      this.refreshEggStockEntry(tableName, result.lastInsertRowId);
+      this.refreshBirdMovements(tableName, result.lastInsertRowId);
+      if (tableName === 'invoices') this._cacheServerInvoiceItems(result.lastInsertRowId, serverRecord.items);
+      return result.lastInsertRowId;
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to cache server ${tableName} record:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace a cached invoice's line items with the server's, when the server sent them
+   * @private
+   */
+  _cacheServerInvoiceItems(invoiceId, serverItems) {
+    if (!Array.isArray(serverItems)) return;
+
+    this.db.runSync(`DELETE FROM invoice_items WHERE invoice_id = ?`, [invoiceId]);
+    serverItems.forEach((item, index) => {
+      const saleServerId = item.saleId || item.sale?.id;
+      this.db.runSync(
+        `INSERT INTO invoice_items (invoice_id, sale_id, description, quantity, unit, unit_price, amount, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          invoiceId,
+          saleServerId ? this.getLocalIdForServerId('sales', String(saleServerId)) : null,
+          item.description || 'Item',
+          parseFloat(item.quantity) || 0,
+          item.unit || null,
+          parseFloat(item.unitPrice) || 0,
+          parseFloat(item.amount) || 0,
+          index
+        ]
+      );
+    });
+  }
+
+  // FINANCE LEDGER
+  /**
+   * Re-post the ledger entry for one source row (or every row of a source table).
+   * Ledger rows are derived data, so a failure here is logged and never breaks the source write.
+   * @param {string} sourceTable - 'expenses', 'feed_records' or 'sales'
+   * @param {number|null} sourceId - Local row id, or null for the whole table
+   */
+  refreshLedgerEntry(sourceTable, sourceId = null) {
+    const source = LEDGER_SOURCES[sourceTable];
+    if (!source) return;
+
+    try {
+      if (!this.db) return;
+
+      const targetsRow = sourceId !== null && sourceId !== undefined;
+      this.db.runSync(
+        `DELETE FROM finance_ledger WHERE source_table = ?${targetsRow ? ' AND source_id = ?' : ''}`,
+        targetsRow ? [sourceTable, sourceId] : [sourceTable]
+      );
+      this.db.runSync(
+        `INSERT INTO finance_ledger (organization_id, farm_id, batch_id, source_table, source_id, transaction_type, category, description, amount, transaction_date)
+         SELECT organization_id, farm_id, batch_id, source_table, source_id, transaction_type, category, description, amount, transaction_date
+         FROM (${source.select}${targetsRow ? ` AND ${source.alias}.id = ?` : ''})
+         WHERE amount > 0`,
+        targetsRow ? [sourceId] : []
+      );
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to refresh finance ledger for ${sourceTable}:`, error.message);
+    }
+  }
+
+  /**
+   * Rebuild the whole finance ledger from its source tables, for every organization.
+   * Used when the ledger tables are created and after a restore - a sync only refreshes
+   * the rows it wrote (see refreshLedgersForRows).
+   */
+  rebuildFinanceLedger() {
+    try {
+      // Also runs during table creation, before isReady is set, so only require an open handle
+      if (!this.db) return false;
+
+      Object.keys(LEDGER_SOURCES).forEach(sourceTable => this.refreshLedgerEntry(sourceTable));
+
+      console.log('✅ FastDatabase: Finance ledger rebuilt');
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to rebuild finance ledger:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get ledger entries for the current organization
+   * @param {Object} filters - { batchId, farmId, transactionType, startDate, endDate }
+   * @returns {Array} Rows with transaction_type ('income' | 'expense' | 'loss'), amount and transaction_date
+   */
+  getFinanceLedger(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      let query = `SELECT * FROM finance_ledger WHERE 1=1`;
+      const params = [];
+
+      if (this.currentOrganizationId) {
+        query += ` AND organization_id = ?`;
+        params.push(this.currentOrganizationId);
+      }
+
       if (filters.batchId) {
         query += ` AND batch_id = ?`;
         params.push(filters.batchId);
       }
 
-      if (filters.category) {
-        query += ` AND category = ?`;
-        params.push(filters.category);
+      if (filters.farmId) {
+        query += ` AND farm_id = ?`;
+        params.push(filters.farmId);
+      }
+
+      if (filters.transactionType) {
+        query += ` AND transaction_type = ?`;
+        params.push(filters.transactionType);
+      }
+
+      if (filters.startDate) {
+        query += ` AND transaction_date >= ?`;
+        params.push(filters.startDate);
+      }
+
+      if (filters.endDate) {
+        query += ` AND transaction_date <= ?`;
+        params.push(filters.endDate);
+      }
+
+      query += ` ORDER BY transaction_date ASC, id ASC`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get finance ledger:', error);
+      return [];
+    }
+  }
+
+  // EGG STOCK LEDGER
+  /**
+   * Re-post the egg stock entries for one source row (or every row of a source table).
+   * Production records add their sellable eggs per grade; egg sales take their quantity (in eggs) off.
+   * Like the finance ledger this is derived data, so failures are logged and never break the source write.
+   * @param {string} sourceTable - 'production_records' or 'sales'
+   * @param {number|null} sourceId - Local row id, or null for the whole table
+   */
+  refreshEggStockEntry(sourceTable, sourceId = null) {
+    if (sourceTable !== 'production_records' && sourceTable !== 'sales') return;
+
+    try {
+      if (!this.db) return;
+
+      const targetsRow = sourceId !== null && sourceId !== undefined;
+      const rows = sourceTable === 'production_records'
+        ? this.db.getAllSync(
+          `SELECT pr.*, f.organization_id AS ledger_organization_id, COALESCE(pr.farm_id, pb.farm_id) AS ledger_farm_id,
+                  COALESCE(pr.date, pr.date_recorded, pr.created_at) AS ledger_date
+           FROM production_records pr
+           LEFT JOIN poultry_batches pb ON pr.batch_id = pb.id
+           LEFT JOIN farms f ON f.id = COALESCE(pr.farm_id, pb.farm_id)
+           WHERE COALESCE(pr.is_deleted, 0) = 0${targetsRow ? ' AND pr.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        )
+        : this.db.getAllSync(
+          `SELECT s.*, COALESCE(s.organization_id, f.organization_id) AS ledger_organization_id, COALESCE(s.farm_id, pb.farm_id) AS ledger_farm_id,
+                  s.sale_date AS ledger_date
+           FROM sales s
+           LEFT JOIN poultry_batches pb ON s.batch_id = pb.id
+           LEFT JOIN farms f ON f.id = COALESCE(s.farm_id, pb.farm_id)
+           WHERE COALESCE(s.is_deleted, 0) = 0 AND s.product_type = 'eggs'${targetsRow ? ' AND s.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        );
+
+      this.db.runSync(
+        `DELETE FROM egg_stock_ledger WHERE source_table = ?${targetsRow ? ' AND source_id = ?' : ''}`,
+        targetsRow ? [sourceTable, sourceId] : [sourceTable]
+      );
+
+      rows.forEach(row => {
+        const entries = sourceTable === 'production_records' ? buildProductionStockEntries(row) : buildSaleStockEntries(row);
+        entries.forEach(entry => {
+          this.db.runSync(
+            `INSERT INTO egg_stock_ledger (organization_id, farm_id, batch_id, source_table, source_id, grade, quantity, entry_date)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [row.ledger_organization_id || null, row.ledger_farm_id || null, row.batch_id || null, sourceTable, row.id, entry.grade, entry.quantity, row.ledger_date]
+          );
+        });
+      });
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to refresh egg stock for ${sourceTable}:`, error.message);
+    }
+  }
+
+  /**
+   * Rebuild the whole egg stock ledger from production records and sales.
+   * Used by migrations and restores, like rebuildFinanceLedger.
+   */
+  rebuildEggStockLedger() {
+    try {
+      // Also runs during table creation, before isReady is set, so only require an open handle
+      if (!this.db) return false;
+
+      this.refreshEggStockEntry('production_records');
+      this.refreshEggStockEntry('sales');
+
+      console.log('✅ FastDatabase: Egg stock ledger rebuilt');
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to rebuild egg stock ledger:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Eggs in stock per grade for the current organization
+   * @param {Object} filters - { farmId }
+   * @returns {Array} Rows of { grade, quantity, entry_count }
+   */
+  getEggStock(filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      let query = `SELECT grade, SUM(quantity) AS quantity, COUNT(*) AS entry_count FROM egg_stock_ledger WHERE 1=1`;
+      const params = [];
+
+      if (this.currentOrganizationId) {
+        query += ` AND organization_id = ?`;
+        params.push(this.currentOrganizationId);
+      }
+
+      if (filters.farmId) {
+        query += ` AND farm_id = ?`;
+        params.push(filters.farmId);
+      }
+
+      query += ` GROUP BY grade`;
+
+      return this.db.getAllSync(query, params);
+    } catch (error) {
+      console.error('Failed to get egg stock:', error);
+      return [];
+    }
+  }
+
+  // BIRD LEDGER
+  /**
+   * Re-post the bird movements of one source row (or every row of a source table).
+   * Batches post their arrival and close-out, mortality records their deaths, bird sales their sale
+   * and transfers a movement on each batch.
+   * Like the other ledgers this is derived data, so failures are logged and never break the source write.
+   * Batch counts are left alone here - see recalculateBatchCount.
+   * @param {string} sourceTable - 'poultry_batches', 'mortality_records', 'sales' or 'bird_transfers'
+   * @param {number|null} sourceId - Local row id, or null for the whole table
+   */
+  refreshBirdMovements(sourceTable, sourceId = null) {
+    const builders = {
+      poultry_batches: row => buildBatchMovements(row, row.recorded_sales),
+      mortality_records: buildMortalityMovements,
+      sales: buildSaleMovements,
+      bird_transfers: buildTransferMovements
+    };
+    if (!builders[sourceTable]) return;
+
+    try {
+      if (!this.db) return;
+
+      const targetsRow = sourceId !== null && sourceId !== undefined;
+      let rows;
+      if (sourceTable === 'poultry_batches') {
+        rows = this.db.getAllSync(
+          `SELECT pb.*, pb.id AS batch_id, f.organization_id AS ledger_organization_id, pb.farm_id AS ledger_farm_id,
+                  (SELECT COALESCE(SUM(s.quantity), 0) FROM sales s
+                   WHERE s.batch_id = pb.id AND s.product_type = 'birds' AND COALESCE(s.is_deleted, 0) = 0) AS recorded_sales,
+                  (SELECT COUNT(*) FROM bird_transfers bt
+                   WHERE bt.to_batch_id = pb.id AND bt.created_new_batch = 1 AND COALESCE(bt.is_deleted, 0) = 0) AS opened_by_transfer
+           FROM poultry_batches pb
+           LEFT JOIN farms f ON f.id = pb.farm_id
+           WHERE COALESCE(pb.is_deleted, 0) = 0${targetsRow ? ' AND pb.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        );
+      } else if (sourceTable === 'mortality_records') {
+        rows = this.db.getAllSync(
+          `SELECT mr.*, f.organization_id AS ledger_organization_id, COALESCE(mr.farm_id, pb.farm_id) AS ledger_farm_id
+           FROM mortality_records mr
+           LEFT JOIN poultry_batches pb ON mr.batch_id = pb.id
+           LEFT JOIN farms f ON f.id = COALESCE(mr.farm_id, pb.farm_id)
+           WHERE COALESCE(mr.is_deleted, 0) = 0 AND mr.batch_id IS NOT NULL${targetsRow ? ' AND mr.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        );
+      } else if (sourceTable === 'bird_transfers') {
+        rows = this.db.getAllSync(
+          `SELECT bt.*, bt.organization_id AS ledger_organization_id, fb.batch_name AS from_batch_name, tb.batch_name AS to_batch_name
+           FROM bird_transfers bt
+           LEFT JOIN poultry_batches fb ON fb.id = bt.from_batch_id
+           LEFT JOIN poultry_batches tb ON tb.id = bt.to_batch_id
+           WHERE COALESCE(bt.is_deleted, 0) = 0${targetsRow ? ' AND bt.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        );
+      } else {
+        rows = this.db.getAllSync(
+          `SELECT s.*, COALESCE(s.organization_id, f.organization_id) AS ledger_organization_id, COALESCE(s.farm_id, pb.farm_id) AS ledger_farm_id
+           FROM sales s
+           LEFT JOIN poultry_batches pb ON s.batch_id = pb.id
+           LEFT JOIN farms f ON f.id = COALESCE(s.farm_id, pb.farm_id)
+           WHERE COALESCE(s.is_deleted, 0) = 0 AND s.batch_id IS NOT NULL AND s.product_type = 'birds'${targetsRow ? ' AND s.id = ?' : ''}`,
+          targetsRow ? [sourceId] : []
+        );
+      }
+
+      this.db.runSync(
+        `DELETE FROM bird_movements WHERE source_table = ?${targetsRow ? ' AND source_id = ?' : ''}`,
+        targetsRow ? [sourceTable, sourceId] : [sourceTable]
+      );
+
+      rows.forEach(row => {
+        builders[sourceTable](row).forEach(movement => {
+          this.db.runSync(
+            `INSERT INTO bird_movements (organization_id, farm_id, batch_id, movement_type, quantity, movement_date, source_table, source_id, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [row.ledger_organization_id || null, movement.farmId || row.ledger_farm_id || null, movement.batchId || row.batch_id, movement.movementType, movement.quantity, movement.date || null, sourceTable, row.id, movement.notes || null]
+          );
+        });
+      });
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to refresh bird movements for ${sourceTable}:`, error.message);
+    }
+  }
+
+  /**
+   * Re-post the finance, egg stock and bird ledger entries of the rows a sync wrote. Only those
+   * rows (all downloaded for the active organization) are touched, unlike the rebuild* methods.
+   * A batch's own movements depend on its bird sales and on the transfer that opened it, so
+   * those batches are re-posted too. Call it inside the sync's transaction.
+   * @param {Object} touchedRows - { tableName: [localId, ...] }
+   * @returns {number} Source rows refreshed
+   */
+  refreshLedgersForRows(touchedRows = {}) {
+    if (!this.db) return 0;
+
+    let refreshed = 0;
+    const batchIds = new Set(touchedRows.poultry_batches || []);
+    Object.entries(touchedRows).forEach(([tableName, localIds]) => {
+      if (tableName === 'poultry_batches') return;
+
+      new Set(localIds).forEach(localId => {
+        if (!localId) return;
+        this.refreshLedgerEntry(tableName, localId);
+        this.refreshEggStockEntry(tableName, localId);
+        this.refreshBirdMovements(tableName, localId);
+        refreshed += 1;
+
+        if (tableName === 'sales') {
+          const sale = this.db.getFirstSync(`SELECT batch_id FROM sales WHERE id = ? AND product_type = 'birds'`, [localId]);
+          if (sale?.batch_id) batchIds.add(sale.batch_id);
+        } else if (tableName === 'bird_transfers') {
+          const transfer = this.db.getFirstSync(`SELECT to_batch_id FROM bird_transfers WHERE id = ? AND created_new_batch = 1`, [localId]);
+          if (transfer?.to_batch_id) batchIds.add(transfer.to_batch_id);
+        }
+      });
+    });
+
+    batchIds.forEach(batchId => {
+      if (!batchId) return;
+      this.refreshBirdMovements('poultry_batches', batchId);
+      refreshed += 1;
+    });
+    return refreshed;
+  }
+
+  /**
+   * Set a batch's current_count to its ledger balance. Archived batches keep their count of 0,
+   * so a later change to their records shows as a mismatch instead.
+   * @param {boolean} markForSync - Flag the batch for upload. Movements entered by hand stay on the
+   *                                device, so the count they produce only reaches the server with the batch.
+   */
+  recalculateBatchCount(batchId, markForSync = false) {
+    try {
+      if (!this.db || !batchId) return;
+
+      this.db.runSync(
+        `UPDATE poultry_batches
+         SET current_count = (SELECT COALESCE(SUM(quantity), 0) FROM bird_movements WHERE batch_id = ?),${markForSync ? ' needs_sync = 1,' : ''} updated_at = ?
+         WHERE id = ? AND COALESCE(status, 'active') != ?`,
+        [batchId, new Date().toISOString(), batchId, ARCHIVED_STATUS]
+      );
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to recalculate bird count for batch ${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Keep a batch marked for upload after the server's copy was applied over a count that has not
+   * been uploaded yet
+   */
+  markBatchForSync(batchId) {
+    try {
+      if (!this.db || !batchId) return;
+      this.db.runSync(`UPDATE poultry_batches SET needs_sync = 1 WHERE id = ?`, [batchId]);
+    } catch (error) {
+      console.warn(`⚠️ FastDatabase: Failed to mark batch ${batchId} for sync:`, error.message);
+    }
+  }
+
+  /**
+   * Re-post a batch's own movements (its close-out sale depends on the bird sales recorded)
+   * and derive its count from the ledger. Used after every local change to the birds.
+   */
+  refreshBatchBirdCount(batchId) {
+    if (!batchId) return;
+    this.refreshBirdMovements('poultry_batches', batchId);
+    this.recalculateBatchCount(batchId);
+  }
+
+  /**
+   * Rebuild the posted bird movements from batches, mortality records, sales and transfers.
+   * Used by migrations and restores like rebuildFinanceLedger; counts downloaded from the server
+   * are kept, so any difference shows on the batch history.
+   */
+  rebuildBirdLedger() {
+    try {
+      // Also runs during table creation, before isReady is set, so only require an open handle
+      if (!this.db) return false;
+
+      this.refreshBirdMovements('mortality_records');
+      this.refreshBirdMovements('sales');
+      this.refreshBirdMovements('bird_transfers');
+      this.refreshBirdMovements('poultry_batches');
+
+      console.log('✅ FastDatabase: Bird ledger rebuilt');
+      return true;
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to rebuild bird ledger:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Post a count adjustment for each batch (or one batch) whose stored count differs from its
+   * ledger balance, so the stored count carries over unchanged. Used when the ledger is first
+   * created, for batches downloaded part-way through their cycle and for counts edited on the batch.
+   */
+  postBirdBalanceAdjustments(batchId = null, note = 'Opening balance: count before the bird ledger was started', date = null) {
+    try {
+      if (!this.db) return;
+
+      const batches = this.db.getAllSync(
+        `SELECT pb.id, pb.farm_id, f.organization_id,
+                COALESCE(pb.current_count, 0) - (SELECT COALESCE(SUM(bm.quantity), 0) FROM bird_movements bm WHERE bm.batch_id = pb.id) AS difference
+         FROM poultry_batches pb
+         LEFT JOIN farms f ON f.id = pb.farm_id
+         WHERE COALESCE(pb.is_deleted, 0) = 0${batchId ? ' AND pb.id = ?' : ''}`,
+        batchId ? [batchId] : []
+      ) || [];
+      const now = new Date().toISOString();
+
+      batches.filter(batch => batch.difference).forEach(batch => {
+        this.db.runSync(
+          `INSERT INTO bird_movements (organization_id, farm_id, batch_id, movement_type, quantity, movement_date, notes)
+           VALUES (?, ?, ?, 'adjustment', ?, ?, ?)`,
+          [batch.organization_id || null, batch.farm_id || null, batch.id, batch.difference, date || now, note]
+        );
+      });
+    } catch (error) {
+      console.warn('⚠️ FastDatabase: Failed to post bird count adjustments:', error.message);
+    }
+  }
+
+  createBirdMovementsTable() {
+    this.db.execSync(`
+      CREATE TABLE bird_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER,
+        farm_id INTEGER,
+        batch_id INTEGER NOT NULL,
+        movement_type TEXT NOT NULL CHECK(movement_type IN ('arrival', 'death', 'cull', 'sale', 'transfer_in', 'transfer_out', 'adjustment')),
+        quantity INTEGER NOT NULL,
+        movement_date TEXT,
+        source_table TEXT CHECK(source_table IS NULL OR source_table IN ('poultry_batches', 'mortality_records', 'sales', 'bird_transfers')),
+        source_id INTEGER,
+        notes TEXT,
+        recorded_by INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  /**
+   * Ledgers created before bird transfers only accept movements from batches, mortality records
+   * and sales. SQLite can't change a CHECK constraint, so the movements are copied into a new table.
+   */
+  upgradeBirdMovementsTable() {
+    try {
+      this.db.execSync(`ALTER TABLE bird_movements RENAME TO bird_movements_old`);
+      this.createBirdMovementsTable();
+      this.db.execSync(`INSERT INTO bird_movements SELECT * FROM bird_movements_old`);
+      this.db.execSync(`DROP TABLE bird_movements_old`);
+      console.log('✅ FastDatabase: bird_movements upgraded to accept transfers');
+    } catch (error) {
+      console.error('❌ FastDatabase: Failed to upgrade bird_movements:', error.message);
+    }
+  }
+
+  /**
+   * Movements of one batch, oldest first
+   */
+  getBirdMovements(batchId) {
+    try {
+      if (!this.isReady) this.init();
+      return this.db.getAllSync(
+        `SELECT * FROM bird_movements WHERE batch_id = ? ORDER BY movement_date ASC, id ASC`,
+        [batchId]
+      ) || [];
+    } catch (error) {
+      console.error('Failed to get bird movements:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a movement that has no source record (cull, sale, transfer or count adjustment)
+   * and derive the batch count from the ledger
+   * @param {Object} movementData - { batchId, movementType, quantity, date, notes, recordedBy }
+   */
+  addBirdMovement(movementData) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const batch = this.getBatchById(movementData.batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+    this.assertBatchOpen({ batchId: batch.id });
+
+    const quantity = signedQuantity(movementData.movementType, movementData.quantity);
+    if (quantity === 0) {
+      throw new Error('Enter a number of birds other than 0');
+    }
+
+    const farm = batch.farm_id ? this.db.getFirstSync(`SELECT organization_id FROM farms WHERE id = ?`, [batch.farm_id]) : null;
+    const now = new Date().toISOString();
+    const result = this.db.runSync(
+      `INSERT INTO bird_movements (organization_id, farm_id, batch_id, movement_type, quantity, movement_date, notes, recorded_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [this.resolveOrganizationId(farm?.organization_id || batch.organization_id), batch.farm_id || null, batch.id, movementData.movementType, quantity, movementData.date || now, movementData.notes || null, this.getRecorder('movement', movementData), now]
+    );
+
+    this.recalculateBatchCount(batch.id, true);
+    console.log(`✅ FastDatabase: Bird movement ${movementData.movementType} (${quantity}) added to batch ${batch.id}`);
+    return this.db.getFirstSync(`SELECT * FROM bird_movements WHERE id = ?`, [result.lastInsertRowId]);
+  }
+
+  /**
+   * Delete a movement entered by hand. Posted movements change only with their source record.
+   */
+  deleteBirdMovement(movementId) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const movement = this.db.getFirstSync(`SELECT * FROM bird_movements WHERE id = ?`, [movementId]);
+    if (!movement) {
+      throw new Error('Movement not found');
+    }
+    if (movement.source_table) {
+      throw new Error('This movement comes from a record - edit or delete the record instead');
+    }
+
+    this.db.runSync(`DELETE FROM bird_movements WHERE id = ?`, [movementId]);
+    this.recalculateBatchCount(movement.batch_id, true);
+    return true;
+  }
+
+  /**
+   * Move birds from one batch to another, or into a new batch (e.g. a house on another farm).
+   * The transfer, its two movements, both batch counts and the sync_queue item are written in one
+   * transaction. A new batch is created on the server with the transfer, so it is not queued on its own.
+   * @param {Object} transferData - { fromBatchId, toBatchId or newBatch: { batchName, farmId, birdType, breed },
+   *                                  quantity, date, notes, recordedBy }
+   * @returns {Promise<Object>} The bird_transfers row
+   */
+  async transferBirds(transferData) {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available. Please check your internet connection or restart the app.');
+    }
+
+    const quantity = parseInt(transferData.quantity, 10);
+    if (!quantity || quantity <= 0) {
+      throw new Error('Enter the number of birds to transfer');
+    }
+
+    const fromBatch = this.getBatchById(transferData.fromBatchId);
+    if (!fromBatch) {
+      throw new Error('Batch to transfer from not found');
+    }
+    this.assertBatchOpen({ batchId: fromBatch.id });
+    const available = parseInt(fromBatch.current_count, 10) || 0;
+    if (quantity > available) {
+      throw new Error(`"${fromBatch.batch_name}" only has ${available} birds`);
+    }
+
+    let toBatch = null;
+    if (!transferData.newBatch) {
+      toBatch = this.getBatchById(transferData.toBatchId);
+      if (!toBatch) {
+        throw new Error('Batch to transfer to not found');
+      }
+      if (String(toBatch.id) === String(fromBatch.id)) {
+        throw new Error('Choose a different batch to transfer the birds to');
+      }
+      this.assertBatchOpen({ batchId: toBatch.id });
+    }
+
+    const transferDate = transferData.date || new Date().toISOString().split('T')[0];
+
+    return this.withTransaction(async () => {
+      if (transferData.newBatch) {
+        const created = this.createBatch({
+          ...transferData.newBatch,
+          birdType: transferData.newBatch.birdType || fromBatch.bird_type || fromBatch.breed,
+          breed: transferData.newBatch.breed || fromBatch.breed,
+          initialCount: quantity,
+          arrivalDate: transferDate,
+          needs_sync: 0
+        });
+        toBatch = this.getBatchById(created.id);
+      }
+
+      const farm = fromBatch.farm_id ? this.db.getFirstSync(`SELECT organization_id FROM farms WHERE id = ?`, [fromBatch.farm_id]) : null;
+      const now = new Date().toISOString();
+      const result = this.db.runSync(
+        `INSERT INTO bird_transfers (organization_id, from_batch_id, to_batch_id, from_farm_id, to_farm_id, quantity, transfer_date, notes, created_new_batch, recorded_by, needs_sync, is_synced, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 0, ?, ?)`,
+        [
+          this.resolveOrganizationId(farm?.organization_id),
+          fromBatch.id,
+          toBatch.id,
+          fromBatch.farm_id || null,
+          toBatch.farm_id || null,
+          quantity,
+          transferDate,
+          transferData.notes || null,
+          transferData.newBatch ? 1 : 0,
+          this.getRecorder('transfer', transferData),
+          now,
+          now
+        ]
+      );
+      const transferId = result.lastInsertRowId;
+
+      // BIRD LEDGER: Post both sides, then derive both counts (a new batch drops its own arrival)
+      this.refreshBirdMovements('bird_transfers', transferId);
+      this.refreshBatchBirdCount(fromBatch.id);
+      this.refreshBatchBirdCount(toBatch.id);
+
+      const row = this.db.getFirstSync(`SELECT * FROM bird_transfers WHERE id = ?`, [transferId]);
+      this.enqueueSync('bird_transfers', 'CREATE', transferId, null, {
+        ...row,
+        new_batch: transferData.newBatch
+          ? {
+              batch_name: toBatch.batch_name,
+              bird_type: toBatch.bird_type,
+              breed: toBatch.breed,
+              farm_id: toBatch.farm_id,
+              arrival_date: toBatch.arrival_date
+            }
+          : null
+      });
+
+      console.log(`✅ FastDatabase: Transferred ${quantity} birds from batch ${fromBatch.id} to batch ${toBatch.id}`);
+      return row;
+    });
+  }
+
+  /**
+   * Record rows for CSV export, joined with farm and batch names
+   * @param {string} tableName - Record table, e.g. 'feed_records'
+   * @param {string} dateExpression - SQL expression (alias r) giving the record date
+   * @param {Object} filters - { farmId, batchId, startDate, endDate } (dates as YYYY-MM-DD)
+   * @returns {Array} Rows with export_date, farm_name and batch_name added
+   */
+  getRecordsForExport(tableName, dateExpression, filters = {}) {
+    try {
+      if (!this.isReady) this.init();
+
+      let query = `
+        SELECT r.*, ${dateExpression} AS export_date, f.farm_name, pb.batch_name
+        FROM ${tableName} r
+        LEFT JOIN poultry_batches pb ON r.batch_id = pb.id
+        LEFT JOIN farms f ON f.id = COALESCE(r.farm_id, pb.farm_id)
+        WHERE COALESCE(r.is_deleted, 0) = 0`;
+      const params = [];
+
+      if (this.currentOrganizationId) {
+        query += ` AND f.organization_id = ?`;
+        params.push(this.currentOrganizationId);
+      }
+
+      if (filters.farmId) {
+        query += ` AND COALESCE(r.farm_id, pb.farm_id) = ?`;
+        params.push(filters.farmId);
+      }
+
+      if (filters.batchId) {
+        query += ` AND r.batch_id = ?`;
+        params.push(filters.batchId);
       }
 
       if (filters.startDate) {
-        query += ` AND expense_date >= ?`;
+        query += ` AND DATE(${dateExpression}) >= DATE(?)`;
         params.push(filters.startDate);
       }
 
       if (filters.endDate) {
-        query += ` AND expense_date <= ?`;
+        query += ` AND DATE(${dateExpression}) <= DATE(?)`;
         params.push(filters.endDate);
       }
 
-      query += ` ORDER BY expense_date DESC`;
+      query += ` ORDER BY export_date ASC, r.id ASC`;
 
       return this.db.getAllSync(query, params);
     } catch (error) {
-      console.error('Failed to get expenses:', error);
+      console.error(`Failed to get ${tableName} for export:`, error);
       return [];
     }
   }
 
-  getExpenseById(expenseId) {
-    try {
-      if (!this.isReady) this.init();
-      const result = this.db.getFirstSync(`SELECT * FROM expenses WHERE id = ?`, [expenseId]);
-      return result || null;
-    } catch (error) {
-      console.error('Failed to get expense:', error);
-      return null;
+  // REMINDERS
+  // Sources for the on-device reminder scheduler (reminderService)
+
+  /**
+   * Organization filter through the batch's farm, for record tables without their own column
+   * @private
+   */
+  _reminderOrgFilter() {
+    if (!this.currentOrganizationId) {
+      return { clause: '', params: [] };
     }
+    return { clause: ` AND f.organization_id = ?`, params: [this.currentOrganizationId] };
   }
 
-  updateExpense(expenseId, expenseData) {
+  /**
+   * Vaccinations of open batches due between two dates (YYYY-MM-DD, inclusive)
+   */
+  getUpcomingVaccinations(fromDate, toDate) {
     try {
-      // CRASH FIX: Validate input
-      if (!expenseId || !expenseData || typeof expenseData !== 'object') {
-        throw new Error('Invalid expense ID or data provided');
-      }
-
-      // CRASH FIX: Ensure database is ready
-      if (!this.isReady || !this.db) {
-        const initResult = this.init();
-        if (!initResult || !this.db) {
-          throw new Error('Database not available for expense update');
-        }
-      }
-
-      // CRASH FIX: Validate database has required methods
-      if (typeof this.db.runSync !== 'function') {
-        throw new Error('Database runSync method not available');
-      }
+      if (!this.isReady) this.init();
 
-      this.db.runSync(
-        `UPDATE expenses SET farm_id = ?, batch_id = ?, category = ?, subcategory = ?, description = ?, amount = ?, expense_date = ?, supplier = ?, receipt_number = ?, receipt_url = ?, payment_method = ?, notes = ?, is_recurring = ?, recurring_frequency = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [
-          expenseData.farmId || null,
-          expenseData.batchId || null,
-          expenseData.category,
-          expenseData.subcategory || null,
-          expenseData.description,
-          expenseData.amount,
-          expenseData.expenseDate,
-          expenseData.supplier || null,
-          expenseData.receiptNumber || null,
-          expenseData.receiptUrl || null,
-          expenseData.paymentMethod || 'cash',
-          expenseData.notes || null,
-          expenseData.isRecurring ? 1 : 0,
-          expenseData.recurringFrequency || null,
-          expenseId
-        ]
+      const orgFilter = this._reminderOrgFilter();
+      return this.db.getAllSync(
+        `SELECT vr.id, vr.batch_id, vr.vaccination_type, vr.vaccination_date, vr.vaccination_time, vr.medication,
+                pb.batch_name, f.farm_name
+         FROM vaccination_records vr
+         INNER JOIN poultry_batches pb ON vr.batch_id = pb.id
+         LEFT JOIN farms f ON pb.farm_id = f.id
+         WHERE COALESCE(vr.is_deleted, 0) = 0
+           AND LOWER(COALESCE(pb.status, '')) != ?
+           AND substr(vr.vaccination_date, 1, 10) BETWEEN ? AND ?${orgFilter.clause}
+         ORDER BY vr.vaccination_date, vr.vaccination_time`,
+        [ARCHIVED_STATUS, fromDate, toDate, ...orgFilter.params]
       );
-      return this.getExpenseById(expenseId);
     } catch (error) {
-      console.error('❌ FastDatabase: Failed to update expense:', error.message);
-      throw new Error(`Failed to update expense: ${error.message}`);
+      console.error('Failed to get upcoming vaccinations:', error);
+      return [];
     }
   }
 
-  deleteExpense(expenseId) {
+  /**
+   * Number of daily records (feed, production, mortality, health, water, weight) dated on a day
+   */
+  countRecordsOn(date) {
     try {
-      // CRASH FIX: Validate input
-      if (!expenseId) {
-        throw new Error('Invalid expense ID provided');
-      }
-
-      // CRASH FIX: Ensure database is ready
-      if (!this.isReady || !this.db) {
-        const initResult = this.init();
-        if (!initResult || !this.db) {
-          throw new Error('Database not available for expense deletion');
-        }
-      }
-
-      // CRASH FIX: Validate database has required methods
-      if (typeof this.db.runSync !== 'function') {
-        throw new Error('Database runSync method not available');
-      }
+      if (!this.isReady) this.init();
 
-      this.db.runSync(`DELETE FROM expenses WHERE id = ?`, [expenseId]);
-      return true;
+      const dateColumns = {
+        feed_records: 'r.date, r.date_fed, r.created_at',
+        production_records: 'r.date, r.date_recorded, r.created_at',
+        mortality_records: 'r.date, r.date_recorded, r.created_at',
+        health_records: 'r.date, r.record_date, r.created_at',
+        water_records: 'r.date, r.date_recorded, r.created_at',
+        weight_records: 'r.date, r.date_recorded, r.created_at',
+      };
+      const orgFilter = this._reminderOrgFilter();
+
+      return Object.entries(dateColumns).reduce((total, [tableName, columns]) => {
+        const row = this.db.getFirstSync(
+          `SELECT COUNT(*) AS count
+           FROM ${tableName} r
+           LEFT JOIN poultry_batches pb ON r.batch_id = pb.id
+           LEFT JOIN farms f ON pb.farm_id = f.id
+           WHERE COALESCE(r.is_deleted, 0) = 0
+             AND substr(COALESCE(${columns}), 1, 10) = ?${orgFilter.clause}`,
+          [date, ...orgFilter.params]
+        );
+        return total + (row?.count || 0);
+      }, 0);
     } catch (error) {
-      console.error('❌ FastDatabase: Failed to delete expense:', error.message);
-      throw new Error(`Failed to delete expense: ${error.message}`);
+      console.error('Failed to count records for the day:', error);
+      return 0;
     }
   }
 
-  getExpenseSummary(filters = {}) {
+  /**
+   * Treatments whose withdrawal period has not ended before a date (YYYY-MM-DD)
+   */
+  getActiveWithdrawals(fromDate) {
     try {
       if (!this.isReady) this.init();
 
-      let query = `SELECT category, SUM(amount) as totalAmount, COUNT(*) as count FROM expenses WHERE 1=1`;
-      const params = [];
-
-      if (filters.startDate) {
-        query += ` AND expense_date >= ?`;
-        params.push(filters.startDate);
-      }
-
-      if (filters.endDate) {
-        query += ` AND expense_date <= ?`;
-        params.push(filters.endDate);
-      }
-
-      query += ` GROUP BY category`;
-
-      return this.db.getAllSync(query, params);
+      const orgFilter = this._reminderOrgFilter();
+      return this.db.getAllSync(
+        `SELECT * FROM (
+           SELECT hr.id, hr.batch_id, hr.treatment, hr.medication, hr.withdrawal_days,
+                  substr(COALESCE(hr.treatment_date, hr.date, hr.record_date, hr.created_at), 1, 10) AS treated_on,
+                  date(substr(COALESCE(hr.treatment_date, hr.date, hr.record_date, hr.created_at), 1, 10),
+                       '+' || hr.withdrawal_days || ' days') AS withdrawal_ends_on,
+                  pb.batch_name, f.farm_name
+           FROM health_records hr
+           INNER JOIN poultry_batches pb ON hr.batch_id = pb.id
+           LEFT JOIN farms f ON pb.farm_id = f.id
+           WHERE COALESCE(hr.is_deleted, 0) = 0
+             AND hr.withdrawal_days > 0
+             AND LOWER(COALESCE(pb.status, '')) != ?${orgFilter.clause}
+         )
+         WHERE withdrawal_ends_on >= ?
+         ORDER BY withdrawal_ends_on`,
+        [ARCHIVED_STATUS, ...orgFilter.params, fromDate]
+      );
     } catch (error) {
-      console.error('Failed to get expense summary:', error);
+      console.error('Failed to get withdrawal periods:', error);
       return [];
     }
   }
@@ -3141,6 +7347,8 @@ class FastDatabaseService {
         return this.getVaccinationRecords();
       case 'expense':
         return this.getExpenses();
+      case 'finance':
+        return this.getFinanceLedger();
       default:
         return [];
     }
@@ -3637,6 +7845,63 @@ class FastDatabaseService {
     }
   }
 
+  /**
+   * Hen-day / hen-housed production per week of lay for the organization's layer batches,
+   * each against its breed standard laying curve when one matches
+   */
+  getLayerPerformance() {
+    try {
+      const layerFilter = `LOWER(COALESCE(bird_type, '')) LIKE '%layer%'`;
+      const batchScope = this._orgScope('farm_id');
+      const recordScope = this._orgScope('batch_id', 'batches');
+
+      const layerBatches = this.db.getAllSync(
+        `SELECT * FROM poultry_batches WHERE ${layerFilter} AND COALESCE(is_deleted, 0) = 0${batchScope.clause}`,
+        batchScope.params
+      ) || [];
+      if (layerBatches.length === 0) return [];
+
+      const production = this.db.getAllSync(`
+        SELECT batch_id, DATE(COALESCE(date, date_recorded)) AS date, SUM(COALESCE(eggs_collected, 0)) AS eggs
+        FROM production_records
+        WHERE COALESCE(is_deleted, 0) = 0 AND batch_id IN (SELECT id FROM poultry_batches WHERE ${layerFilter})${recordScope.clause}
+        GROUP BY batch_id, DATE(COALESCE(date, date_recorded))
+      `, recordScope.params) || [];
+      const deaths = this.db.getAllSync(`
+        SELECT batch_id, DATE(COALESCE(date, death_date, date_recorded)) AS date, SUM(COALESCE(count, death_count, 0)) AS count
+        FROM mortality_records
+        WHERE COALESCE(is_deleted, 0) = 0 AND batch_id IN (SELECT id FROM poultry_batches WHERE ${layerFilter})${recordScope.clause}
+        GROUP BY batch_id, DATE(COALESCE(date, death_date, date_recorded))
+      `, recordScope.params) || [];
+      const standards = this.getBreedStandards('Layer');
+
+      return layerBatches.map(batch => {
+        const standard = matchStandardForBatch(batch, standards);
+        const result = computeLayerProduction(batch, {
+          production: production.filter(row => row.batch_id === batch.id),
+          deaths: deaths.filter(row => row.batch_id === batch.id),
+        }, standard);
+        const latest = result.weeks.filter(week => week.henDayPct !== null).pop() || null;
+
+        return {
+          batchId: batch.id,
+          batchName: batch.batch_name,
+          standardName: standard?.name || null,
+          weekOfLay: latest?.week || 0,
+          henDayPct: latest?.henDayPct ?? null,
+          henHousedPct: latest?.henHousedPct ?? null,
+          standardPct: latest?.standardPct ?? null,
+          peak: result.peak,
+          persistencyPct: result.persistencyPct,
+          weeks: result.weeks,
+        };
+      }).filter(row => row.weeks.length > 0);
+    } catch (error) {
+      console.error('[FastDatabase] Failed to compute layer performance:', error.message);
+      return [];
+    }
+  }
+
   // COMPREHENSIVE ANALYTICS METHOD - Real-time calculations from SQLite
   getAnalyticsData(params = {}) {
     try {
@@ -3668,17 +7933,22 @@ class FastDatabaseService {
 
       console.log('[FastDatabase] Analytics date range:', { startDateStr, endDateStr, today });
 
+      // 🔐 Scope every query to the active organization (records belong to it through their batch)
+      const farmScope = this._orgScope('id');
+      const batchScope = this._orgScope('farm_id');
+      const recordScope = this._orgScope('batch_id', 'batches');
+
       // ========== OVERVIEW SECTION ==========
-      const farmsResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM farms`);
+      const farmsResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM farms WHERE 1=1${farmScope.clause}`, farmScope.params);
       const totalFarms = farmsResult?.count || 0;
 
-      const batchesResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM poultry_batches`);
+      const batchesResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM poultry_batches WHERE 1=1${batchScope.clause}`, batchScope.params);
       const totalBatches = batchesResult?.count || 0;
 
-      const activeBatchesResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM poultry_batches WHERE status = 'active'`);
+      const activeBatchesResult = this.db.getFirstSync(`SELECT COUNT(*) as count FROM poultry_batches WHERE status = 'active'${batchScope.clause}`, batchScope.params);
       const activeBatches = activeBatchesResult?.count || 0;
 
-      const totalBirdsResult = this.db.getFirstSync(`SELECT SUM(current_count) as total FROM poultry_batches WHERE status = 'active'`);
+      const totalBirdsResult = this.db.getFirstSync(`SELECT SUM(current_count) as total FROM poultry_batches WHERE status = 'active'${batchScope.clause}`, batchScope.params);
       const totalBirds = totalBirdsResult?.total || 0;
 
       // ========== PRODUCTION ANALYTICS ==========
@@ -3686,23 +7956,23 @@ class FastDatabaseService {
       const totalEggsResult = this.db.getFirstSync(`
         SELECT SUM(eggs_collected - COALESCE(broken_eggs, 0) - COALESCE(abnormal_eggs, 0)) as total
         FROM production_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalEggsCollected = totalEggsResult?.total || 0;
 
       const productionDaysResult = this.db.getFirstSync(`
         SELECT COUNT(DISTINCT DATE(date)) as days
         FROM production_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const productionDays = productionDaysResult?.days || 1;
       const avgDailyProduction = Math.round(totalEggsCollected / productionDays);
 
       const todayEggsResult = this.db.getFirstSync(`
         SELECT SUM(eggs_collected - COALESCE(broken_eggs, 0) - COALESCE(abnormal_eggs, 0)) as total
         FROM production_records
-        WHERE DATE(date) = DATE('${today}')
-      `);
+        WHERE DATE(date) = DATE('${today}')${recordScope.clause}
+      `, recordScope.params);
       const todayEggs = todayEggsResult?.total || 0;
 
       // Production Rate (eggs per bird per day)
@@ -3713,14 +7983,15 @@ class FastDatabaseService {
       const dailyProductionResult = this.db.getAllSync(`
         SELECT DATE(date) as date, SUM(eggs_collected - COALESCE(broken_eggs, 0) - COALESCE(abnormal_eggs, 0)) as totalEggs
         FROM production_records
-        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')
+        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')${recordScope.clause}
         GROUP BY DATE(date)
         ORDER BY DATE(date) ASC
-      `);
+      `, recordScope.params);
       const dailyProduction = dailyProductionResult || [];
 
       // Production rate by batch
       // CRITICAL: Calculate good eggs = total - broken - abnormal
+      const batchRateScope = this._orgScope('pb.farm_id');
       const productionRateByBatchResult = this.db.getAllSync(`
         SELECT
           pb.id,
@@ -3734,9 +8005,9 @@ class FastDatabaseService {
         FROM poultry_batches pb
         LEFT JOIN production_records pr ON pb.id = pr.batch_id
           AND DATE(pr.date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-        WHERE pb.status = 'active'
+        WHERE pb.status = 'active'${batchRateScope.clause}
         GROUP BY pb.id, pb.batch_name, pb.current_count
-      `);
+      `, batchRateScope.params);
       const productionRateByBatch = productionRateByBatchResult || [];
 
       // Weekly comparison
@@ -3748,38 +8019,41 @@ class FastDatabaseService {
       const currentWeekResult = this.db.getFirstSync(`
         SELECT SUM(eggs_collected - COALESCE(broken_eggs, 0) - COALESCE(abnormal_eggs, 0)) as totalEggs
         FROM production_records
-        WHERE DATE(date) BETWEEN DATE('${currentWeekStart}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${currentWeekStart}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const currentWeekEggs = currentWeekResult?.totalEggs || 0;
 
       const previousWeekResult = this.db.getFirstSync(`
         SELECT SUM(eggs_collected - COALESCE(broken_eggs, 0) - COALESCE(abnormal_eggs, 0)) as totalEggs
         FROM production_records
-        WHERE DATE(date) BETWEEN DATE('${previousWeekStart}') AND DATE('${previousWeekEnd}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${previousWeekStart}') AND DATE('${previousWeekEnd}')${recordScope.clause}
+      `, recordScope.params);
       const previousWeekEggs = previousWeekResult?.totalEggs || 0;
 
       const percentageChange = previousWeekEggs > 0
         ? (((currentWeekEggs - previousWeekEggs) / previousWeekEggs) * 100).toFixed(1)
         : 0;
 
+      // Hen-day production by week of lay for each layer batch (whole laying period, not the date range)
+      const layerPerformance = this.getLayerPerformance();
+
       // ========== MORTALITY ANALYTICS ==========
       const totalDeathsResult = this.db.getFirstSync(`
         SELECT SUM(count) as total
         FROM mortality_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalDeaths = totalDeathsResult?.total || 0;
 
       const todayDeathsResult = this.db.getFirstSync(`
         SELECT SUM(count) as total
         FROM mortality_records
-        WHERE DATE(date) = DATE('${today}')
-      `);
+        WHERE DATE(date) = DATE('${today}')${recordScope.clause}
+      `, recordScope.params);
       const deathsToday = todayDeathsResult?.total || 0;
 
       // Mortality Rate (deaths / initial birds * 100)
-      const totalInitialBirdsResult = this.db.getFirstSync(`SELECT SUM(initial_count) as total FROM poultry_batches`);
+      const totalInitialBirdsResult = this.db.getFirstSync(`SELECT SUM(initial_count) as total FROM poultry_batches WHERE 1=1${batchScope.clause}`, batchScope.params);
       const totalInitialBirds = totalInitialBirdsResult?.total || 1; // Avoid division by zero
       const mortalityRate = ((totalDeaths / totalInitialBirds) * 100).toFixed(2);
 
@@ -3787,26 +8061,26 @@ class FastDatabaseService {
       const dailyMortalityResult = this.db.getAllSync(`
         SELECT DATE(date) as date, SUM(count) as totalDeaths
         FROM mortality_records
-        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')
+        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')${recordScope.clause}
         GROUP BY DATE(date)
         ORDER BY DATE(date) ASC
-      `);
+      `, recordScope.params);
       const dailyMortality = dailyMortalityResult || [];
 
       // ========== FEED ANALYTICS ==========
       const totalFeedCostResult = this.db.getFirstSync(`
         SELECT SUM(cost) as total
         FROM feed_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalFeedCost = totalFeedCostResult?.total || 0;
 
       // SCHEMA FIX: Use quantity_kg instead of quantity (matches schema column name)
       const totalFeedQuantityResult = this.db.getFirstSync(`
         SELECT SUM(quantity_kg) as total
         FROM feed_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalFeedQuantity = totalFeedQuantityResult?.total || 0;
 
       const avgCostPerBird = totalBirds > 0 ? (totalFeedCost / totalBirds).toFixed(2) : '0.00';
@@ -3817,26 +8091,26 @@ class FastDatabaseService {
       const dailyFeedResult = this.db.getAllSync(`
         SELECT DATE(date) as date, SUM(quantity_kg) as totalFeed, SUM(cost) as totalCost
         FROM feed_records
-        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')
+        WHERE DATE(date) >= DATE('${endDateStr}', '-7 days')${recordScope.clause}
         GROUP BY DATE(date)
         ORDER BY DATE(date) ASC
-      `);
+      `, recordScope.params);
       const dailyFeedConsumption = dailyFeedResult || [];
 
       // ========== HEALTH ANALYTICS ==========
       const totalHealthIssuesResult = this.db.getFirstSync(`
         SELECT COUNT(*) as total
         FROM health_records
-        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalHealthIssues = totalHealthIssuesResult?.total || 0;
 
       const resolvedIssuesResult = this.db.getFirstSync(`
         SELECT COUNT(*) as total
         FROM health_records
         WHERE DATE(date) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-          AND health_status = 'healthy'
-      `);
+          AND health_status = 'healthy'${recordScope.clause}
+      `, recordScope.params);
       const resolvedIssues = resolvedIssuesResult?.total || 0;
 
       const activeIssues = totalHealthIssues - resolvedIssues;
@@ -3845,8 +8119,8 @@ class FastDatabaseService {
       const totalWaterResult = this.db.getFirstSync(`
         SELECT SUM(quantity_liters) as total
         FROM water_records
-        WHERE DATE(date_recorded) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date_recorded) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const totalWaterConsumption = totalWaterResult?.total || 0;
 
       const avgWaterPerBird = totalBirds > 0 ? (totalWaterConsumption / totalBirds).toFixed(2) : '0.00';
@@ -3856,8 +8130,8 @@ class FastDatabaseService {
       const avgWeightResult = this.db.getFirstSync(`
         SELECT AVG(average_weight_kg) as avgWeight
         FROM weight_records
-        WHERE DATE(date_recorded) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')
-      `);
+        WHERE DATE(date_recorded) BETWEEN DATE('${startDateStr}') AND DATE('${endDateStr}')${recordScope.clause}
+      `, recordScope.params);
       const averageWeight = avgWeightResult?.avgWeight ? avgWeightResult.avgWeight.toFixed(2) : '0.00';
 
       // ========== FINANCIAL SUMMARY ==========
@@ -3890,6 +8164,7 @@ class FastDatabaseService {
           productionRate,
           dailyProduction,
           productionRateByBatch,
+          layerPerformance,
           weeklyComparison: {
             currentWeek: { totalEggs: currentWeekEggs },
             previousWeek: { totalEggs: previousWeekEggs },
@@ -3936,6 +8211,23 @@ class FastDatabaseService {
     }
   }
 
+  /**
+   * Organization filter for analytics queries: `column` must reference a farm (or a batch)
+   * of the active organization. No filter before an organization is set.
+   * @private
+   * @param {string} column - e.g. 'id' on farms, 'farm_id', 'pb.farm_id' or 'batch_id'
+   * @param {string} owner - 'farms' or 'batches', the table the column points at
+   */
+  _orgScope(column, owner = 'farms') {
+    if (!this.currentOrganizationId) {
+      return { clause: '', params: [] };
+    }
+    const subquery = owner === 'batches'
+      ? 'SELECT sb.id FROM poultry_batches sb INNER JOIN farms sf ON sb.farm_id = sf.id WHERE sf.organization_id = ?'
+      : 'SELECT sf.id FROM farms sf WHERE sf.organization_id = ?';
+    return { clause: ` AND ${column} IN (${subquery})`, params: [this.currentOrganizationId] };
+  }
+
   // Helper method to return empty analytics data
   getEmptyAnalyticsData() {
     return {
@@ -3952,6 +8244,7 @@ class FastDatabaseService {
         productionRate: '0.0',
         dailyProduction: [],
         productionRateByBatch: [],
+        layerPerformance: [],
         weeklyComparison: {
           currentWeek: { totalEggs: 0 },
           previousWeek: { totalEggs: 0 },
@@ -4155,7 +8448,75 @@ class FastDatabaseService {
               remapped.batchId = parseInt(serverBatchId, 10);
             }
           }
+          // An occurrence of a recurring expense names its template
+          if (data.recurring_template_id) {
+            const serverTemplateId = this.getServerIdForLocalId('expenses', data.recurring_template_id);
+            if (serverTemplateId) {
+              remapped.recurringTemplateId = parseInt(serverTemplateId, 10);
+            }
+          }
+          break;
+
+        case 'bird_transfers': {
+          // Remap both batches and farms; a batch opened by the transfer has no server id yet
+          const references = {
+            from_batch_id: ['poultry_batches', 'fromBatchId'],
+            to_batch_id: ['poultry_batches', 'toBatchId'],
+            from_farm_id: ['farms', 'fromFarmId'],
+            to_farm_id: ['farms', 'toFarmId']
+          };
+
+          Object.keys(references).forEach(column => {
+            if (!data[column] || (column === 'to_batch_id' && data.created_new_batch)) return;
+            const [referencedTable, serverField] = references[column];
+            const serverRefId = this.getServerIdForLocalId(referencedTable, data[column]);
+            if (serverRefId) {
+              remapped[serverField] = parseInt(serverRefId, 10);
+            } else {
+              console.warn(`⚠️  No server ID found for ${referencedTable} local_id=${data[column]}`);
+            }
+          });
+
+          if (data.new_batch?.farm_id) {
+            const serverFarmId = this.getServerIdForLocalId('farms', data.new_batch.farm_id);
+            remapped.new_batch = { ...data.new_batch, farmId: serverFarmId ? parseInt(serverFarmId, 10) : null };
+          }
+          break;
+        }
+
+        case 'sales':
+        case 'invoices':
+        case 'payments': {
+          // Remap local references (customer, batch, farm, sale, invoice) to server ids
+          const references = {
+            customer_id: ['customers', 'customerId'],
+            batch_id: ['poultry_batches', 'batchId'],
+            farm_id: ['farms', 'farmId'],
+            sale_id: ['sales', 'saleId'],
+            invoice_id: ['invoices', 'invoiceId']
+          };
+
+          Object.keys(references).forEach(column => {
+            if (!data[column]) return;
+            const [referencedTable, serverField] = references[column];
+            const serverRefId = this.getServerIdForLocalId(referencedTable, data[column]);
+            if (serverRefId) {
+              remapped[serverField] = serverRefId;
+              console.log(`🔄 Remapped ${tableName}.${column}: local=${data[column]} → server=${serverRefId}`);
+            } else {
+              console.warn(`⚠️  No server ID found for ${referencedTable} local_id=${data[column]}`);
+            }
+          });
+
+          // Invoice line items point at the sales they bill
+          if (tableName === 'invoices' && Array.isArray(data.items)) {
+            remapped.items = data.items.map(item => {
+              const serverSaleId = item.sale_id ? this.getServerIdForLocalId('sales', item.sale_id) : null;
+              return { ...item, saleId: serverSaleId || null };
+            });
+          }
           break;
+        }
 
         default:
           // No foreign keys to remap
@@ -4343,6 +8704,101 @@ class FastDatabaseService {
     }
   }
 
+  /**
+   * Count unresolved conflicts (used by SyncStatusBar)
+   * @returns {number}
+   */
+  getPendingConflictCount() {
+    try {
+      if (!this.isReady) this.init();
+
+      const row = this.db.getFirstSync(
+        `SELECT COUNT(*) as count FROM sync_conflicts WHERE resolved_at IS NULL`
+      );
+      return row?.count || 0;
+    } catch (error) {
+      console.error('❌ Failed to count pending conflicts:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Apply a user's conflict resolution to the local record and close the conflict
+   * @param {number} conflictId - The conflict ID
+   * @param {string} resolutionStrategy - 'local_wins', 'server_wins' or 'merged'
+   * @param {Object} resolvedValues - Column → value map to write to the local record
+   * @param {boolean} requeue - True when local values were kept and must be pushed again
+   * @param {string} resolvedBy - User ID
+   */
+  applyConflictResolution(conflictId, resolutionStrategy, resolvedValues = {}, requeue = false, resolvedBy = 'user') {
+    try {
+      if (!this.ensureDatabaseReady()) {
+        throw new Error('Database is not available');
+      }
+
+      const conflict = this.db.getFirstSync(`SELECT * FROM sync_conflicts WHERE id = ?`, [conflictId]);
+      if (!conflict) {
+        throw new Error(`Conflict ${conflictId} not found`);
+      }
+
+      const { table_name: tableName, local_id: localId, server_id: serverId } = conflict;
+
+      // Only write columns the table actually has (server payloads can carry extra keys)
+      const tableColumns = this.db.getAllSync(`PRAGMA table_info(${tableName})`).map(col => col.name);
+      const columns = Object.keys(resolvedValues).filter(column => tableColumns.includes(column));
+      const now = new Date().toISOString();
+
+      this.beginTransaction();
+      try {
+        const assignments = columns.map(column => `${column} = ?`);
+        assignments.push('needs_sync = ?', 'updated_at = ?');
+
+        this.db.runSync(
+          `UPDATE ${tableName} SET ${assignments.join(', ')} WHERE id = ?`,
+          [...columns.map(column => resolvedValues[column]), requeue ? 1 : 0, now, localId]
+        );
+
+        if (requeue) {
+          const row = this.db.getFirstSync(`SELECT * FROM ${tableName} WHERE id = ?`, [localId]);
+          this.enqueueSync(tableName, 'UPDATE', localId, row?.server_id || serverId, row);
+        }
+
+        this.resolveConflict(conflictId, resolutionStrategy, resolvedBy);
+        this.commitTransaction();
+      } catch (writeError) {
+        this.rollbackTransaction();
+        throw writeError;
+      }
+
+      console.log(`✅ Conflict ${conflictId} applied to ${tableName} ${localId} (${resolutionStrategy}, requeued: ${requeue})`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to apply conflict resolution:', error);
+      throw new Error(`Failed to apply conflict resolution: ${error.message}`);
+    }
+  }
+
+  /**
+   * Settle pending sync_queue entries for a record that reached the server another way
+   * (the batch /v1/sync upload), so they are not reported as pending forever
+   */
+  markQueueEntriesSynced(tableName, localId) {
+    try {
+      if (!this.isReady) this.init();
+
+      const now = new Date().toISOString();
+      this.db.runSync(
+        `UPDATE sync_queue SET sync_status = 'synced', synced_at = ?, updated_at = ?
+         WHERE table_name = ? AND local_id = ? AND sync_status IN ('pending', 'failed')`,
+        [now, now, tableName, String(localId)]
+      );
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Failed to settle sync_queue entries for ${tableName} ${localId}:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Clear all unsynced records from database (useful for clearing corrupted data)
    * WARNING: This will delete all records that haven't been synced to the server
@@ -4364,11 +8820,32 @@ class FastDatabaseService {
         'weight_records',
         'vaccination_records',
         'expenses',
-        'sales'
+        'customers',
+        'sales',
+        'invoices',
+        'payments',
+        'bird_transfers'
       ];
 
       let totalDeleted = 0;
 
+      // Line items go with the unsynced invoices they belong to
+      try {
+        this.db.runSync(`DELETE FROM invoice_items WHERE invoice_id IN (SELECT id FROM invoices WHERE needs_sync = 1)`);
+      } catch (itemsError) {
+        console.warn('   ⚠️ Could not clear items of unsynced invoices:', itemsError.message);
+      }
+
+      // Batches opened by a transfer are only created on the server with it
+      try {
+        this.db.runSync(
+          `DELETE FROM poultry_batches WHERE server_id IS NULL
+           AND id IN (SELECT to_batch_id FROM bird_transfers WHERE needs_sync = 1 AND created_new_batch = 1)`
+        );
+      } catch (transferError) {
+        console.warn('   ⚠️ Could not clear batches opened by unsynced transfers:', transferError.message);
+      }
+
       for (const table of tables) {
         try {
           // Count unsynced records
@@ -4392,6 +8869,11 @@ class FastDatabaseService {
         }
       }
 
+      // Drop ledger entries whose source rows were just removed
+      this.rebuildFinanceLedger();
+      this.rebuildEggStockLedger();
+      this.rebuildBirdLedger();
+
       console.log(`✅ FastDatabase: Cleared ${totalDeleted} total unsynced records`);
       return totalDeleted;
     } catch (error) {
@@ -4425,7 +8907,23 @@ class FastDatabaseService {
         'water_records',
         'weight_records',
         'vaccination_records',
+        'vaccination_templates',
+        'breed_standards',
+        'organization_settings',
+        'mortality_alerts',
+        'feed_stock_movements',
+        'feed_inventory',
+        'recurring_expense_occurrences',
         'expenses',
+        'payments',
+        'invoice_items',
+        'invoices',
+        'sales',
+        'customers',
+        'finance_ledger',
+        'egg_stock_ledger',
+        'bird_transfers',
+        'bird_movements',
         'sync_queue',
         'sync_conflicts',
         'id_mappings',
@@ -4457,6 +8955,138 @@ class FastDatabaseService {
     }
   }
 
+  // ============================================================================
+  // BACKUP & RESTORE
+  // ============================================================================
+
+  /**
+   * Serialize every table into a versioned snapshot.
+   * sync_queue is limited to entries that still have to reach the server.
+   * @returns {object} { schemaVersion, exportedAt, organizationId, tables: { [table]: rows[] } }
+   */
+  exportDatabaseSnapshot() {
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available for backup');
+    }
+
+    const tables = {};
+    this.getBackupTableNames().forEach(tableName => {
+      tables[tableName] = tableName === 'sync_queue'
+        ? this.db.getAllSync(`SELECT * FROM sync_queue WHERE sync_status IN ('pending', 'failed') ORDER BY id`)
+        : this.db.getAllSync(`SELECT * FROM ${tableName}`);
+    });
+
+    console.log(`💾 FastDatabase: Exported ${Object.keys(tables).length} tables for backup`);
+    return {
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      organizationId: this.currentOrganizationId,
+      tables
+    };
+  }
+
+  /**
+   * User tables in the database, excluding SQLite internals
+   */
+  getBackupTableNames() {
+    return this.db
+      .getAllSync(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+      .map(table => table.name);
+  }
+
+  /**
+   * Check a snapshot can be restored into this schema. Throws with a user-facing message if not.
+   */
+  validateDatabaseSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object' || !snapshot.tables || typeof snapshot.tables !== 'object') {
+      throw new Error('This file does not contain a database backup');
+    }
+
+    const version = Number(snapshot.schemaVersion);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('Backup schema version is missing or invalid');
+    }
+    if (version > BACKUP_SCHEMA_VERSION) {
+      throw new Error(`Backup was created by a newer app version (schema ${version}). Please update the app before restoring.`);
+    }
+
+    Object.entries(snapshot.tables).forEach(([tableName, rows]) => {
+      if (!Array.isArray(rows)) {
+        throw new Error(`Backup table ${tableName} is corrupted`);
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Row counts for a restore preview
+   * @returns {Array<{table, backupRows, currentRows, supported}>}
+   */
+  getRestorePreview(snapshot) {
+    this.validateDatabaseSnapshot(snapshot);
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available for restore');
+    }
+
+    const localTables = this.getBackupTableNames();
+    return Object.keys(snapshot.tables).sort().map(tableName => {
+      const supported = localTables.includes(tableName);
+      const current = supported ? this.db.getFirstSync(`SELECT COUNT(*) as count FROM ${tableName}`) : null;
+      return {
+        table: tableName,
+        backupRows: snapshot.tables[tableName].length,
+        currentRows: current?.count || 0,
+        supported
+      };
+    });
+  }
+
+  /**
+   * Replace local data with a snapshot in a single transaction.
+   * Tables missing from this schema are skipped; columns are matched by name so
+   * backups taken before a column was added still restore.
+   * @returns {Promise<object>} { [table]: restoredRowCount }
+   */
+  async restoreDatabaseSnapshot(snapshot) {
+    this.validateDatabaseSnapshot(snapshot);
+    if (!this.ensureDatabaseReady()) {
+      throw new Error('Database is not available for restore');
+    }
+
+    const localTables = this.getBackupTableNames();
+    const tableNames = Object.keys(snapshot.tables).filter(tableName => localTables.includes(tableName));
+
+    const restored = await this.withTransaction(async () => {
+      // Parents and children are cleared and re-inserted in any order; check references at COMMIT
+      this.db.execSync('PRAGMA defer_foreign_keys = ON;');
+
+      // Clear everything first so ON DELETE CASCADE cannot remove rows that were already restored
+      tableNames.forEach(tableName => this.db.runSync(`DELETE FROM ${tableName}`));
+
+      const counts = {};
+      tableNames.forEach(tableName => {
+        const columns = this.db.getAllSync(`PRAGMA table_info(${tableName})`).map(col => col.name);
+        let count = 0;
+        snapshot.tables[tableName].forEach(row => {
+          const names = columns.filter(column => row[column] !== undefined);
+          if (names.length === 0) return;
+          this.db.runSync(
+            `INSERT INTO ${tableName} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            names.map(column => row[column])
+          );
+          count++;
+        });
+        counts[tableName] = count;
+      });
+
+      return counts;
+    });
+
+    console.log('✅ FastDatabase: Restored backup snapshot:', restored);
+    return restored;
+  }
+
   /**
    * Clean up invalid mortality records (0 or null death counts)
    * These can be created by data corruption or failed operations
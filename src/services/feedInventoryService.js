@@ -0,0 +1,189 @@
+/**
+ * Feed Inventory Service
+ *
+ * Stock per feed type per farm, kept in SQLite. Deliveries and stock counts are entered here;
+ * feed records logged on or after the item's first stock entry count as consumption, so
+ * creating (or deleting) a feed record moves the stock without any extra step.
+ *
+ * Days of stock remaining = stock / average daily use over the last CONSUMPTION_WINDOW_DAYS.
+ * A local notification is sent once when an item runs low, and again only after it has been restocked.
+ */
+
+import fastDatabase from './fastDatabase';
+import notificationService from './notificationService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CONSUMPTION_WINDOW_DAYS = 14;
+export const DEFAULT_LOW_STOCK_DAYS = 7;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Days the current stock lasts at the recent rate of use
+ * @returns {number|null} null when nothing has been used recently
+ */
+export const estimateDaysRemaining = (stockKg, recentConsumedKg, windowDays) => {
+  if (stockKg <= 0) return 0;
+  if (!recentConsumedKg || recentConsumedKg <= 0 || !windowDays) return null;
+  return stockKg / (recentConsumedKg / windowDays);
+};
+
+class FeedInventoryService {
+  /**
+   * Stock levels with usage estimates
+   * @param {Object} filters - { farmId, inventoryId }
+   */
+  getStockLevels(filters = {}) {
+    const today = new Date();
+    const windowStart = toDateString(new Date(today.getTime() - (CONSUMPTION_WINDOW_DAYS - 1) * DAY_MS));
+
+    return fastDatabase.getFeedStockLevels({ ...filters, recentSince: windowStart }).map(row => {
+      // Items tracked for less than the full window average over the days actually tracked
+      const trackedFrom = row.tracked_from > windowStart ? row.tracked_from : windowStart;
+      const windowDays = Math.max(1, Math.round((Date.parse(toDateString(today)) - Date.parse(trackedFrom)) / DAY_MS) + 1);
+      const averageDailyKg = row.recent_consumed_kg / windowDays;
+      const daysRemaining = estimateDaysRemaining(row.stock_kg, row.recent_consumed_kg, windowDays);
+      const lowStockDays = row.low_stock_days ?? DEFAULT_LOW_STOCK_DAYS;
+
+      return {
+        id: row.id,
+        farmId: row.farm_id,
+        farmName: row.farm_name,
+        feedType: row.feed_type,
+        trackedFrom: row.tracked_from,
+        receivedKg: row.received_kg,
+        consumedKg: row.consumed_kg,
+        stockKg: row.stock_kg,
+        averageDailyKg,
+        daysRemaining,
+        lowStockDays,
+        lowStock: row.stock_kg <= 0 || (daysRemaining !== null && daysRemaining <= lowStockDays),
+        lastLowStockAlertAt: row.last_low_stock_alert_at,
+      };
+    });
+  }
+
+  getStockLevel(farmId, feedType) {
+    const item = fastDatabase.getFeedInventoryItem(farmId, feedType);
+    return item ? this.getStockLevels({ inventoryId: item.id })[0] || null : null;
+  }
+
+  /**
+   * Feed types with stock at a farm, for the feed record form
+   */
+  getFeedTypes(farmId) {
+    return this.getStockLevels({ farmId }).map(level => level.feedType);
+  }
+
+  /**
+   * @param {Object} delivery - { farmId, feedType, quantityKg, costPerKg, supplier, reference, date, notes }
+   */
+  recordDelivery(delivery) {
+    permissionService.assert(PERMISSIONS.INVENTORY_MANAGE);
+
+    const item = fastDatabase.recordFeedStockMovement({ ...delivery, movementType: 'delivery' });
+    dataEventBus.emit(EventTypes.FEED_STOCK_UPDATED, { inventoryId: item.id, action: 'delivery' }, { debounce: false });
+    return this.getStockLevels({ inventoryId: item.id })[0];
+  }
+
+  /**
+   * Bring the book stock in line with a physical count
+   */
+  recordStockCount(farmId, feedType, countedKg, notes = '') {
+    permissionService.assert(PERMISSIONS.INVENTORY_MANAGE);
+
+    const counted = Number(countedKg);
+    if (!Number.isFinite(counted) || counted < 0) {
+      throw new Error('Counted stock must be zero or more kg');
+    }
+
+    const current = this.getStockLevel(farmId, feedType);
+    const difference = counted - (current?.stockKg || 0);
+    if (current && Math.abs(difference) < 0.001) {
+      return current;
+    }
+
+    // A first count on an untracked feed type is its opening stock
+    const item = fastDatabase.recordFeedStockMovement({
+      farmId,
+      feedType,
+      movementType: 'adjustment',
+      quantityKg: current ? difference : counted,
+      notes: notes || (current ? 'Stock count' : 'Opening stock'),
+    });
+    dataEventBus.emit(EventTypes.FEED_STOCK_UPDATED, { inventoryId: item.id, action: 'adjustment' }, { debounce: false });
+    return this.getStockLevels({ inventoryId: item.id })[0];
+  }
+
+  getMovements(inventoryId) {
+    return fastDatabase.getFeedStockMovements(inventoryId);
+  }
+
+  deleteMovement(movementId) {
+    permissionService.assert(PERMISSIONS.INVENTORY_MANAGE);
+    const deleted = fastDatabase.deleteFeedStockMovement(movementId);
+    if (deleted) {
+      dataEventBus.emit(EventTypes.FEED_STOCK_UPDATED, { movementId, action: 'deleted' }, { debounce: false });
+    }
+    return deleted;
+  }
+
+  setLowStockDays(inventoryId, days) {
+    permissionService.assert(PERMISSIONS.INVENTORY_MANAGE);
+
+    const value = Number(days);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error('Low-stock warning must be zero or more days');
+    }
+    fastDatabase.updateFeedInventoryItem(inventoryId, { lowStockDays: value });
+    dataEventBus.emit(EventTypes.FEED_STOCK_UPDATED, { inventoryId, action: 'settings' }, { debounce: false });
+  }
+
+  /**
+   * Notify when a feed type is running low. Called after a feed record is saved.
+   * @returns {Promise<{ alerted: boolean, level: Object|null }>}
+   */
+  async checkLowStock(farmId, feedType) {
+    try {
+      const level = this.getStockLevel(farmId, feedType);
+      if (!level) {
+        return { alerted: false, level };
+      }
+
+      if (!level.lowStock || level.lastLowStockAlertAt) {
+        // Stock is healthy again (e.g. after a count), so the next shortage alerts again
+        if (!level.lowStock && level.lastLowStockAlertAt) {
+          fastDatabase.updateFeedInventoryItem(level.id, { lastLowStockAlertAt: null });
+        }
+        return { alerted: false, level };
+      }
+
+      const remaining = level.stockKg <= 0
+        ? 'is out of stock'
+        : `has ${level.stockKg.toFixed(0)} kg left${level.daysRemaining !== null ? ` (about ${Math.floor(level.daysRemaining)} days)` : ''}`;
+
+      await notificationService.scheduleLocalNotification(
+        `🌾 Low feed stock: ${level.feedType}`,
+        `${level.farmName || 'Your farm'} ${remaining}. Order more feed soon.`,
+        { type: 'feed_low_stock', inventoryId: level.id, farmId: level.farmId },
+        1
+      );
+
+      fastDatabase.updateFeedInventoryItem(level.id, { lastLowStockAlertAt: new Date().toISOString() });
+      dataEventBus.emit(EventTypes.FEED_STOCK_UPDATED, { inventoryId: level.id, action: 'low_stock' }, { debounce: false });
+      console.log(`📢 Low feed stock alert sent for ${level.feedType} at farm ${level.farmId}`);
+      return { alerted: true, level };
+    } catch (error) {
+      console.error('❌ Error checking feed stock:', error);
+      return { alerted: false, level: null };
+    }
+  }
+}
+
+// Export singleton instance
+const feedInventoryService = new FeedInventoryService();
+export default feedInventoryService;
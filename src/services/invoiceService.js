@@ -0,0 +1,75 @@
+/**
+ * Invoice Service
+ *
+ * Printable invoices generated on the device from the local invoice and its line items, so an
+ * invoice can be sent to a customer while offline.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from './fastDatabase';
+import { renderInvoiceHtml } from '../utils/invoices';
+
+class InvoiceService {
+  getDetails(invoiceId) {
+    if (!invoiceId) {
+      throw new Error('Invalid invoice ID');
+    }
+    const details = fastDatabase.getInvoiceDetails(invoiceId);
+    if (!details) {
+      throw new Error('Invoice not found');
+    }
+    return details;
+  }
+
+  buildFileName(invoice) {
+    return `invoice_${invoice.invoice_number || invoice.id}.pdf`.replace(/[^a-zA-Z0-9_.-]/g, '-');
+  }
+
+  /**
+   * Letterhead details: the organization's name with the farm the invoiced sales came from
+   */
+  buildBranding(details, { businessName, phone, email } = {}) {
+    return {
+      businessName: businessName || details.farm?.farm_name || 'Poultry360',
+      farmName: businessName ? details.farm?.farm_name : null,
+      farmLocation: details.farm?.location,
+      phone,
+      email,
+    };
+  }
+
+  /**
+   * Print the invoice to a PDF in the cache directory and open the share sheet
+   * @param {Object} branding - { businessName, phone, email }
+   * @returns {Promise<{ fileUri: string, invoice: Object }>}
+   */
+  async shareInvoicePdf(invoiceId, branding = {}) {
+    const details = this.getDetails(invoiceId);
+    const { invoice, items } = details;
+    const letterhead = this.buildBranding(details, branding);
+
+    // expo-print names its files at random; the customer should receive invoice_INV-0001.pdf
+    const { uri } = await Print.printToFileAsync({ html: renderInvoiceHtml(invoice, items, letterhead) });
+    const fileUri = `${FileSystem.cacheDirectory}${this.buildFileName(invoice)}`;
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    await FileSystem.moveAsync({ from: uri, to: fileUri });
+    console.log(`📄 Invoices: Wrote ${invoice.invoice_number} to ${fileUri}`);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'application/pdf',
+      UTI: 'com.adobe.pdf',
+      dialogTitle: `Invoice ${invoice.invoice_number || invoice.id}`,
+    });
+
+    return { fileUri, invoice };
+  }
+}
+
+// Export singleton instance
+const invoiceService = new InvoiceService();
+export default invoiceService;
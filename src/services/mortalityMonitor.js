@@ -13,6 +13,8 @@
  * Smart Features:
  * - Age-adjusted thresholds (higher tolerance for young chicks)
  * - Batch type-specific thresholds (broiler vs layer)
+ * - Thresholds and alert cooldown configurable per organization (defaults below are the fallback)
+ * - Alert log in SQLite (mortality_alerts) with acknowledge/resolve by user, so alerts survive restarts
  * - Cumulative mortality tracking
  * - Trend analysis (increasing/stable/decreasing)
  * - Automatic notifications with actionable recommendations
@@ -20,10 +22,22 @@
 
 import notificationService from './notificationService';
 import fastDatabase from './fastDatabase';
+import organizationSettingsService from './organizationSettingsService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+
+// organization_settings key holding the organization's thresholds
+export const MORTALITY_THRESHOLDS_SETTING = 'mortality_alert_thresholds';
+
+export const THRESHOLD_BIRD_TYPES = ['broiler', 'layer', 'default'];
+export const THRESHOLD_AGE_BANDS = ['week1', 'week2', 'week3Plus'];
+export const THRESHOLD_LEVELS = ['warning', 'critical', 'emergency'];
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
 
 class MortalityMonitor {
   constructor() {
     // Default thresholds (percentage of current flock size)
+    // Used wherever the organization has not configured its own values
     this.thresholds = {
       broiler: {
         // Age in weeks -> daily mortality % thresholds
@@ -54,9 +68,9 @@ class MortalityMonitor {
       }
     };
 
-    // Alert cooldown to prevent spam (in milliseconds)
+    // Default alert cooldown to prevent spam (in milliseconds)
     this.alertCooldown = 4 * 60 * 60 * 1000; // 4 hours
-    this.lastAlerts = {}; // { batchId: timestamp }
+    this.lastAlerts = {}; // { batchId: timestamp } - cache of the alert log
   }
 
   /**
@@ -71,19 +85,91 @@ class MortalityMonitor {
     return Math.floor(ageInDays / 7);
   }
 
+  /**
+   * Organization thresholds merged over the defaults.
+   * Any missing or invalid value falls back to the default for that bird type, age band and level.
+   */
+  getThresholdConfig() {
+    const stored = organizationSettingsService.get(MORTALITY_THRESHOLDS_SETTING, {}) || {};
+    const pickLevels = (storedLevels, defaultLevels) => THRESHOLD_LEVELS.reduce((levels, level) => {
+      levels[level] = isPositiveNumber(storedLevels?.[level]) ? storedLevels[level] : defaultLevels[level];
+      return levels;
+    }, {});
+
+    const config = {};
+    THRESHOLD_BIRD_TYPES.forEach(type => {
+      const defaults = this.thresholds[type];
+      const storedType = stored[type] || {};
+      config[type] = {
+        ageBasedDaily: THRESHOLD_AGE_BANDS.reduce((bands, band) => {
+          bands[band] = pickLevels(storedType.ageBasedDaily?.[band], defaults.ageBasedDaily[band]);
+          return bands;
+        }, {}),
+        totalCycle: pickLevels(storedType.totalCycle, defaults.totalCycle)
+      };
+    });
+
+    config.alertCooldownHours = typeof stored.alertCooldownHours === 'number' && stored.alertCooldownHours >= 0
+      ? stored.alertCooldownHours
+      : this.alertCooldown / (60 * 60 * 1000);
+
+    return config;
+  }
+
+  /**
+   * Validate and save the organization's thresholds. Throws with a user-facing message if invalid.
+   */
+  saveThresholdConfig(config) {
+    THRESHOLD_BIRD_TYPES.forEach(type => {
+      const bands = [
+        ...THRESHOLD_AGE_BANDS.map(band => config?.[type]?.ageBasedDaily?.[band]),
+        config?.[type]?.totalCycle
+      ];
+      bands.forEach(levels => {
+        if (!levels || !THRESHOLD_LEVELS.every(level => isPositiveNumber(levels[level]))) {
+          throw new Error('Every threshold must be a number greater than 0');
+        }
+        if (!(levels.warning < levels.critical && levels.critical < levels.emergency)) {
+          throw new Error('Thresholds must increase from warning to critical to emergency');
+        }
+      });
+    });
+
+    const cooldownHours = config?.alertCooldownHours;
+    if (typeof cooldownHours !== 'number' || !Number.isFinite(cooldownHours) || cooldownHours < 0) {
+      throw new Error('Alert cooldown must be 0 hours or more');
+    }
+
+    const stored = THRESHOLD_BIRD_TYPES.reduce((result, type) => {
+      result[type] = { ageBasedDaily: config[type].ageBasedDaily, totalCycle: config[type].totalCycle };
+      return result;
+    }, { alertCooldownHours: cooldownHours });
+
+    organizationSettingsService.save(MORTALITY_THRESHOLDS_SETTING, stored);
+    return stored;
+  }
+
+  /**
+   * Alert cooldown in milliseconds for the current organization
+   */
+  getAlertCooldown() {
+    return this.getThresholdConfig().alertCooldownHours * 60 * 60 * 1000;
+  }
+
   /**
    * Get age-appropriate thresholds for a batch
    */
   getThresholdsForBatch(batch) {
     const ageInWeeks = this.getBatchAgeInWeeks(batch.arrivalDate || batch.arrival_date);
     const birdType = (batch.birdType || batch.bird_type || 'default').toLowerCase();
+    const thresholds = this.getThresholdConfig();
 
     // Select bird type thresholds
-    let typeThresholds = this.thresholds.default;
+    let typeThresholds = thresholds.default;
     if (birdType.includes('broiler')) {
-      typeThresholds = this.thresholds.broiler;
+      typeThresholds = thresholds.broiler;
     } else if (birdType.includes('layer')) {
-      typeThresholds = this.thresholds.layer;
+      typeThresholds = thresholds.layer;
     }
 
     // Select age-based thresholds
@@ -293,11 +379,11 @@ class MortalityMonitor {
    * Check if alert cooldown period has passed
    */
   canSendAlert(batchId) {
-    const lastAlert = this.lastAlerts[batchId];
+    const lastAlert = this.lastAlerts[batchId] || fastDatabase.getLastMortalityAlertTime(batchId);
     if (!lastAlert) return true;
 
     const timeSinceLastAlert = Date.now() - lastAlert;
-    return timeSinceLastAlert >= this.alertCooldown;
+    return timeSinceLastAlert >= this.getAlertCooldown();
   }
 
   /**
@@ -423,10 +509,22 @@ class MortalityMonitor {
         // Send notification
         const sent = await this.sendAlert(alertMessage);
 
-        if (sent) {
-          // Update last alert timestamp
-          this.lastAlerts[batchId] = Date.now();
+        // Log the alert so it can be acknowledged and resolved later
+        const loggedAlert = this.logAlert({
+          batchId,
+          level: alertLevel,
+          dailyRate: todayRate,
+          cumulativeRate,
+          trend,
+          title: alertMessage.title,
+          message: alertMessage.body,
+          notified: sent
+        });
+
+        // The alert is in the inbox even if the notification failed, so the cooldown starts now
+        this.lastAlerts[batchId] = Date.now();
 
+        if (sent) {
           console.log(`✅ Mortality alert sent for batch ${batchId}`);
 
           return {
@@ -435,6 +533,7 @@ class MortalityMonitor {
             cumulativeRate,
             trend,
             alerted: true,
+            alertId: loggedAlert?.id || null,
             message: alertMessage
           };
         }
@@ -455,6 +554,54 @@ class MortalityMonitor {
     }
   }
 
+  /**
+   * Write an alert to the log. A logging failure never blocks the notification.
+   */
+  logAlert(alertData) {
+    try {
+      const alert = fastDatabase.createMortalityAlert(alertData);
+      dataEventBus.emit(EventTypes.MORTALITY_ALERT_UPDATED, { alert, action: 'created' }, { debounce: false });
+      return alert;
+    } catch (error) {
+      console.error('❌ Error logging mortality alert:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Alert log for the inbox
+   * @param {Object} filters - { status: 'open' | 'acknowledged' | 'resolved' | 'unresolved', batchId }
+   */
+  getAlertLog(filters = {}) {
+    return fastDatabase.getMortalityAlerts(filters);
+  }
+
+  getUnresolvedAlertCount() {
+    return fastDatabase.getUnresolvedMortalityAlertCount();
+  }
+
+  /**
+   * Mark an alert as seen by a user
+   * @param {Object} user - Signed-in user ({ id, firstName, lastName, email })
+   */
+  acknowledgeAlert(alertId, user, note = '') {
+    return this.updateAlertStatus(alertId, 'acknowledge', user, note);
+  }
+
+  /**
+   * Close an alert with what was done about it
+   */
+  resolveAlert(alertId, user, note = '') {
+    return this.updateAlertStatus(alertId, 'resolve', user, note);
+  }
+
+  updateAlertStatus(alertId, action, user, note) {
+    const userName = [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || null;
+    const alert = fastDatabase.updateMortalityAlertStatus(alertId, action, { userId: user?.id || null, userName }, note);
+    dataEventBus.emit(EventTypes.MORTALITY_ALERT_UPDATED, { alert, action }, { debounce: false });
+    return alert;
+  }
+
   /**
    * Get higher severity level between two alert levels
    */
@@ -508,12 +655,23 @@ class MortalityMonitor {
       const batches = fastDatabase.getBatches();
       const alerts = [];
 
+      // Latest unresolved logged alert per batch (log is newest first)
+      const loggedAlerts = {};
+      fastDatabase.getMortalityAlerts({ status: 'unresolved', alertType: 'mortality' }).forEach(alert => {
+        if (!loggedAlerts[alert.batch_id]) loggedAlerts[alert.batch_id] = alert;
+      });
+
       for (const batch of batches) {
         if (batch.status === 'completed' || batch.is_deleted) continue;
 
         const status = await this.getBatchMortalityStatus(batch.id);
         if (status && status.alertLevel !== 'normal') {
-          alerts.push(status);
+          const logged = loggedAlerts[batch.id];
+          alerts.push({
+            ...status,
+            alertId: logged?.id || null,
+            alertStatus: logged?.status || null
+          });
         }
       }
 
@@ -414,6 +414,7 @@ class OfflineDataService {
       const queueData = {
         local_id: localId,
         server_id: serverId,
+        organization_id: await this.getCurrentOrganizationId(),
         table_name: tableName,
         operation,
         data: JSON.stringify(data),
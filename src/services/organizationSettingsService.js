@@ -0,0 +1,78 @@
+/**
+ * Organization Settings Service
+ *
+ * Organization-wide configuration (mortality alert thresholds, ...) kept in the local
+ * organization_settings table so it works offline, and exchanged with the server during sync.
+ *
+ * Sync rules:
+ * - Local edits are pushed first; the server stores the latest value per key
+ * - Server values replace local ones unless the local copy has an edit still waiting to upload
+ */
+
+import fastDatabase from './fastDatabase';
+import apiService from './api';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+
+class OrganizationSettingsService {
+  /**
+   * Current organization's value for a setting, or the fallback when never saved
+   */
+  get(settingKey, fallback = null) {
+    const value = fastDatabase.getOrganizationSetting(settingKey);
+    return value === null || value === undefined ? fallback : value;
+  }
+
+  save(settingKey, value) {
+    permissionService.assert(PERMISSIONS.SETTINGS_MANAGE);
+    fastDatabase.saveOrganizationSetting(settingKey, value);
+    dataEventBus.emit(EventTypes.ORGANIZATION_SETTINGS_UPDATED, { settingKey, source: 'local' }, { debounce: false });
+    return value;
+  }
+
+  /**
+   * Push pending local edits, then pull the organization's settings from the server
+   * @returns {Promise<{ pushed: number, pulled: number }>}
+   */
+  async syncWithServer() {
+    let pushed = 0;
+    let pulled = 0;
+
+    for (const setting of fastDatabase.getPendingOrganizationSettings()) {
+      try {
+        await apiService.updateOrganizationSetting(setting.setting_key, setting.value, setting.updated_at);
+        fastDatabase.markOrganizationSettingSynced(setting.setting_key, setting.updated_at);
+        pushed++;
+      } catch (error) {
+        console.warn(`⚠️ OrganizationSettings: Upload of ${setting.setting_key} failed, will retry next sync:`, error.message);
+      }
+    }
+
+    const response = await apiService.getOrganizationSettings();
+    const remoteSettings = Array.isArray(response) ? response : (response?.settings || response?.data || []);
+    const pendingKeys = fastDatabase.getPendingOrganizationSettings().map(setting => setting.setting_key);
+
+    remoteSettings.forEach(remote => {
+      const settingKey = remote?.key || remote?.settingKey;
+      if (!settingKey || remote.value === undefined || pendingKeys.includes(settingKey)) return;
+
+      fastDatabase.saveOrganizationSetting(settingKey, remote.value, {
+        needsSync: 0,
+        updatedAt: remote.updatedAt || remote.updated_at || null,
+      });
+      pulled++;
+    });
+
+    if (pulled > 0) {
+      dataEventBus.emit(EventTypes.ORGANIZATION_SETTINGS_UPDATED, { source: 'server' }, { debounce: false });
+    }
+
+    console.log(`✅ OrganizationSettings: Synced (${pushed} pushed, ${pulled} pulled)`);
+    return { pushed, pulled };
+  }
+}
+
+// Export singleton instance
+const organizationSettingsService = new OrganizationSettingsService();
+export default organizationSettingsService;
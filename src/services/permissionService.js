@@ -0,0 +1,78 @@
+/**
+ * Permission Service
+ *
+ * Holds the signed-in user's role for code outside React (fastApiService, exports) so the
+ * role matrix in utils/permissions is enforced on every data call, online or offline.
+ *
+ * AuthContext sets the user on sign-in, on a restored session and on logout. With nobody
+ * signed in there is no role to check against (start-up, background sync), so calls pass.
+ */
+
+import {
+  PERMISSIONS,
+  normalizeRole,
+  hasPermission,
+  canCreateRecordType,
+  getPermissionDeniedMessage,
+} from '../utils/permissions';
+
+class PermissionService {
+  constructor() {
+    this.role = null;
+  }
+
+  setUser(user) {
+    this.role = user ? normalizeRole(user.role) : null;
+  }
+
+  getRole() {
+    return this.role;
+  }
+
+  can(permission) {
+    return !this.role || hasPermission(this.role, permission);
+  }
+
+  canCreateRecord(recordType) {
+    return !this.role || canCreateRecordType(this.role, recordType);
+  }
+
+  /**
+   * fastApiService-style failure when the current role lacks the permission, otherwise null
+   * @returns {{ success: false, error: string, code: string } | null}
+   */
+  check(permission) {
+    if (this.can(permission)) return null;
+    console.warn(`🚫 Permission denied: ${permission} (role: ${this.role})`);
+    return {
+      success: false,
+      error: getPermissionDeniedMessage(permission),
+      code: 'PERMISSION_DENIED',
+    };
+  }
+
+  /**
+   * Like check(), for adding a record of one type (a vet may only add health records, ...)
+   */
+  checkRecordType(recordType) {
+    const denied = this.check(PERMISSIONS.RECORDS_CREATE);
+    if (denied || this.canCreateRecord(recordType)) return denied;
+    console.warn(`🚫 Permission denied: ${recordType} records (role: ${this.role})`);
+    return {
+      success: false,
+      error: `You do not have permission to add ${recordType} records. Ask your farm manager for access.`,
+      code: 'PERMISSION_DENIED',
+    };
+  }
+
+  /**
+   * Throwing variant for services that report failures as errors
+   */
+  assert(permission) {
+    const denied = this.check(permission);
+    if (denied) throw new Error(denied.error);
+  }
+}
+
+// Export singleton instance
+export default new PermissionService();
@@ -0,0 +1,170 @@
+/**
+ * Production Monitor Service
+ *
+ * Egg production tracking for layer batches: hen-day and hen-housed production per week of lay,
+ * compared with the batch's breed standard laying curve, and alerts on abnormal drops.
+ *
+ * Alert Levels (fall in hen-day production between the last two complete weeks of lay):
+ * - Warning: 5+ percentage points
+ * - Critical: 10+ percentage points
+ * - Emergency: 20+ percentage points
+ *
+ * Drop alerts go to the same alert log as mortality alerts (alert_type 'production_drop'),
+ * so they show in the alerts inbox and are acknowledged and resolved the same way.
+ * At most one alert is sent per batch and week of lay.
+ */
+
+import notificationService from './notificationService';
+import fastDatabase from './fastDatabase';
+import breedStandardService from './breedStandardService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import { computeLayerProduction, detectProductionDrop, isLayerBatch } from '../utils/layerProduction';
+
+export const PRODUCTION_DROP_ALERT = 'production_drop';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProductionMonitor {
+  constructor() {
+    this.lastAlerts = {}; // Track last alert time per batch
+  }
+
+  /**
+   * Weekly hen-day production of a layer batch against its laying curve
+   * @param {Object} standard - Laying curve to compare with (defaults to the one matching the batch)
+   */
+  getLayerProduction(batch, standard = null) {
+    const curve = standard || breedStandardService.getStandardForBatch(batch);
+    const records = fastDatabase.getBatchProductionRecords(batch.id);
+    return { standard: curve, ...computeLayerProduction(batch, records, curve) };
+  }
+
+  /**
+   * Get alert message and recommendations for a production drop
+   */
+  getAlertMessage(drop, batch, standard) {
+    const batchName = batch.batch_name || batch.batchName || 'Unknown Batch';
+    const titles = {
+      emergency: `🚨 EMERGENCY: Egg Production Crash in ${batchName}`,
+      critical: `⚠️ CRITICAL: Egg Production Drop in ${batchName}`,
+      warning: `⚡ WARNING: Egg Production Dip in ${batchName}`
+    };
+    const standardText = drop.standardPct !== null && standard
+      ? ` ${standard.name} standard for this week is ${drop.standardPct}%.`
+      : '';
+
+    return {
+      title: titles[drop.level],
+      body: `Hen-day production fell from ${drop.previousPct}% to ${drop.henDayPct}% in week ${drop.week} of lay (-${drop.dropPoints} points).${standardText}`,
+      recommendations: [
+        '💧 Check water supply and drinkers',
+        '🍽️ Check feed intake, feed quality and calcium',
+        '💡 Verify lighting programme and day length',
+        '🌡️ Check house temperature and ventilation',
+        '🩺 Look for signs of disease (IB, EDS, ND) and call the vet if the drop continues'
+      ],
+      batchName
+    };
+  }
+
+  /**
+   * Main monitoring function - called after a production record is created.
+   * Compares the last two complete weeks of lay and alerts on an abnormal drop.
+   */
+  async checkProductionDrop(batchId) {
+    try {
+      const batch = fastDatabase.getBatchById(batchId);
+      if (!batch || !isLayerBatch(batch)) {
+        return null;
+      }
+
+      const production = this.getLayerProduction(batch);
+      const drop = detectProductionDrop(production.weeks);
+      if (!drop) {
+        return { alerted: false, reason: 'within_normal_range', weeks: production.weeks };
+      }
+
+      // One alert per week of lay: skip if already alerted since that week ended, whether or
+      // not its notification went out
+      const weekEnd = new Date(production.firstEggDate).getTime() + drop.week * 7 * DAY_MS;
+      const lastAlert = this.lastAlerts[batchId] || fastDatabase.getLastMortalityAlertTime(batchId, PRODUCTION_DROP_ALERT);
+      if (lastAlert && lastAlert >= weekEnd) {
+        console.log(`⏰ Production drop for week ${drop.week} already alerted, skipping notification`);
+        return { ...drop, alerted: false, reason: 'already_alerted' };
+      }
+
+      // Claimed before sending, so records saved while the notification is pending do not alert again
+      this.lastAlerts[batchId] = Date.now();
+
+      const alertMessage = this.getAlertMessage(drop, batch, production.standard);
+      const sent = await this.sendAlert(alertMessage, drop);
+
+      const loggedAlert = this.logAlert({
+        alertType: PRODUCTION_DROP_ALERT,
+        batchId,
+        level: drop.level,
+        dailyRate: drop.henDayPct,
+        cumulativeRate: drop.previousPct,
+        trend: 'decreasing',
+        title: alertMessage.title,
+        message: alertMessage.body,
+        notified: sent
+      });
+
+      console.log(`📢 Production drop alert (${drop.level}) for batch ${batchId}: -${drop.dropPoints} points`);
+      return { ...drop, alerted: sent, alertId: loggedAlert?.id || null, message: alertMessage };
+    } catch (error) {
+      console.error('❌ Error checking production drop:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send notification for a production drop alert
+   */
+  async sendAlert(alertMessage, drop) {
+    try {
+      const body = [
+        alertMessage.body,
+        '',
+        'Recommendations:',
+        ...alertMessage.recommendations.map((r, i) => `${i + 1}. ${r}`)
+      ].join('\n');
+
+      await notificationService.scheduleLocalNotification(
+        alertMessage.title,
+        body,
+        {
+          type: 'production_drop_alert',
+          level: drop.level,
+          batchName: alertMessage.batchName,
+          henDayPct: drop.henDayPct,
+          dropPoints: drop.dropPoints
+        },
+        1 // Send after 1 second
+      );
+      return true;
+    } catch (error) {
+      console.error('❌ Error sending production drop alert:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Write an alert to the log. A logging failure never blocks the notification.
+   */
+  logAlert(alertData) {
+    try {
+      const alert = fastDatabase.createMortalityAlert(alertData);
+      dataEventBus.emit(EventTypes.MORTALITY_ALERT_UPDATED, { alert, action: 'created' }, { debounce: false });
+      return alert;
+    } catch (error) {
+      console.error('❌ Error logging production drop alert:', error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const productionMonitor = new ProductionMonitor();
+export default productionMonitor;
@@ -0,0 +1,56 @@
+/**
+ * Receivables Service
+ *
+ * Customer statements of account built from the local sales, invoices and payments, so they
+ * can be produced offline. The statement is written as a self-contained HTML document that
+ * opens in any browser and prints to PDF from there.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from './fastDatabase';
+import { renderStatementHtml, toDateKey } from '../utils/receivables';
+
+class ReceivablesService {
+  /**
+   * Statement for a customer; without a start date it covers the customer's whole history
+   * @param {Object} options - { from, to }
+   */
+  getStatement(customerId, options = {}) {
+    return fastDatabase.getCustomerStatement(customerId, options);
+  }
+
+  buildFileName(statement) {
+    const parts = ['statement', statement.customer.name, statement.to];
+    return `${parts.join('_').replace(/[^a-zA-Z0-9_.-]/g, '-')}.html`;
+  }
+
+  /**
+   * Write the customer's statement to the cache directory and open the share sheet
+   * @param {Object} options - { from, to, businessName }
+   * @returns {Promise<{ fileUri: string, statement: Object }>}
+   */
+  async shareStatement(customerId, { businessName, ...options } = {}) {
+    const statement = this.getStatement(customerId, { ...options, to: options.to || toDateKey(new Date()) });
+    const html = renderStatementHtml(statement, { businessName });
+
+    const fileUri = `${FileSystem.cacheDirectory}${this.buildFileName(statement)}`;
+    await FileSystem.writeAsStringAsync(fileUri, html);
+    console.log(`📄 Receivables: Wrote statement for ${statement.customer.name} to ${fileUri}`);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'text/html',
+      UTI: 'public.html',
+      dialogTitle: `Statement - ${statement.customer.name}`,
+    });
+
+    return { fileUri, statement };
+  }
+}
+
+// Export singleton instance
+const receivablesService = new ReceivablesService();
+export default receivablesService;
@@ -0,0 +1,204 @@
+/**
+ * Record Export Service
+ *
+ * Offline CSV export of farm records for vets and auditors. Reads straight from the
+ * local SQLite record tables, so it works without a connection.
+ *
+ * Output:
+ * - One CSV per record type, or
+ * - A combined workbook-style CSV with one titled section per record type
+ *
+ * Files are UTF-8 with a byte order mark so Excel opens them with the right encoding.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import fastDatabase from './fastDatabase';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+
+const text = (value) => (value === null || value === undefined ? '' : value);
+const firstOf = (...values) => values.find(value => value !== null && value !== undefined && value !== '');
+
+// Columns per record type: CSV header label and how to read the value from a joined row.
+// Cost columns are left out for roles that may not view costs.
+const EXPORT_DEFINITIONS = {
+  feed: {
+    label: 'Feed',
+    table: 'feed_records',
+    dateExpression: 'COALESCE(r.date, r.date_fed, r.created_at)',
+    columns: [
+      { label: 'Feed Type', value: row => text(row.feed_type) },
+      { label: 'Quantity (kg)', value: row => text(row.quantity_kg) },
+      { label: 'Cost per kg', value: row => text(row.cost_per_kg), cost: true },
+      { label: 'Total Cost', value: row => text(firstOf(row.total_cost, row.cost)), cost: true },
+      { label: 'Supplier', value: row => text(row.supplier) },
+    ],
+  },
+  mortality: {
+    label: 'Mortality',
+    table: 'mortality_records',
+    dateExpression: 'COALESCE(r.date, r.death_date, r.date_recorded)',
+    columns: [
+      { label: 'Deaths', value: row => text(firstOf(row.count, row.death_count)) },
+      { label: 'Cause', value: row => text(row.cause) },
+    ],
+  },
+  production: {
+    label: 'Production',
+    table: 'production_records',
+    dateExpression: 'COALESCE(r.date, r.date_recorded)',
+    columns: [
+      { label: 'Eggs Collected', value: row => text(row.eggs_collected) },
+      { label: 'Broken Eggs', value: row => text(firstOf(row.broken_eggs || null, row.eggs_broken, 0)) },
+      { label: 'Abnormal Eggs', value: row => text(row.abnormal_eggs) },
+      { label: 'Avg Egg Weight (g)', value: row => text(row.egg_weight_avg) },
+    ],
+  },
+  water: {
+    label: 'Water',
+    table: 'water_records',
+    dateExpression: 'COALESCE(r.date, r.date_recorded)',
+    columns: [
+      { label: 'Quantity (L)', value: row => text(row.quantity_liters) },
+      { label: 'Source', value: row => text(row.water_source) },
+      { label: 'Quality', value: row => text(row.quality) },
+      { label: 'Temperature (°C)', value: row => text(row.temperature_celsius) },
+    ],
+  },
+  weight: {
+    label: 'Weight',
+    table: 'weight_records',
+    dateExpression: 'COALESCE(r.date, r.date_recorded)',
+    columns: [
+      { label: 'Avg Weight (g)', value: row => text(row.average_weight_grams) },
+      { label: 'Avg Weight (kg)', value: row => text(row.average_weight_kg) },
+      { label: 'Sample Size', value: row => text(row.sample_size) },
+      { label: 'Min Weight (g)', value: row => text(row.min_weight_grams) },
+      { label: 'Max Weight (g)', value: row => text(row.max_weight_grams) },
+      { label: 'Age (weeks)', value: row => text(row.age_weeks) },
+    ],
+  },
+};
+
+// Shared leading/trailing columns for every record type
+const LEADING_COLUMNS = [
+  { label: 'Date', value: row => text(row.export_date ? String(row.export_date).split('T')[0] : '') },
+  { label: 'Farm', value: row => text(row.farm_name) },
+  { label: 'Batch', value: row => text(row.batch_name) },
+];
+const TRAILING_COLUMNS = [
+  { label: 'Notes', value: row => text(row.notes) },
+];
+
+export const EXPORT_RECORD_TYPES = Object.keys(EXPORT_DEFINITIONS);
+
+class RecordExportService {
+  /**
+   * Escape one CSV cell. Text that a spreadsheet would run as a formula is prefixed with an apostrophe.
+   */
+  escapeCell(value) {
+    let cell = String(text(value));
+    if (/^[=+@]/.test(cell) || /^-[^\d.]/.test(cell)) {
+      cell = `'${cell}`;
+    }
+    if (/[",\r\n]/.test(cell)) {
+      cell = `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+  }
+
+  toCsvLines(columns, rows) {
+    return [
+      columns.map(column => this.escapeCell(column.label)).join(','),
+      ...rows.map(row => columns.map(column => this.escapeCell(column.value(row))).join(',')),
+    ];
+  }
+
+  /**
+   * Build the CSV body for one record type
+   * @param {string} recordType - One of EXPORT_RECORD_TYPES
+   * @param {Object} filters - { farmId, batchId, startDate, endDate }
+   * @returns {{ csv: string, rowCount: number }}
+   */
+  buildRecordCsv(recordType, filters = {}) {
+    const definition = EXPORT_DEFINITIONS[recordType];
+    if (!definition) {
+      throw new Error(`Unknown record type for export: ${recordType}`);
+    }
+
+    const rows = fastDatabase.getRecordsForExport(definition.table, definition.dateExpression, filters);
+    const showCosts = permissionService.can(PERMISSIONS.COSTS_VIEW);
+    const recordColumns = definition.columns.filter(column => showCosts || !column.cost);
+    const columns = [...LEADING_COLUMNS, ...recordColumns, ...TRAILING_COLUMNS];
+    return { csv: this.toCsvLines(columns, rows).join('\r\n'), rowCount: rows.length };
+  }
+
+  /**
+   * Build a single CSV with a titled section per record type
+   * @returns {{ csv: string, rowCounts: Object }}
+   */
+  buildCombinedCsv(recordTypes = EXPORT_RECORD_TYPES, filters = {}) {
+    const sections = [];
+    const rowCounts = {};
+
+    recordTypes.forEach(recordType => {
+      const { csv, rowCount } = this.buildRecordCsv(recordType, filters);
+      rowCounts[recordType] = rowCount;
+      sections.push(`${this.escapeCell(`${EXPORT_DEFINITIONS[recordType].label} Records`)}\r\n${csv}`);
+    });
+
+    return { csv: sections.join('\r\n\r\n'), rowCounts };
+  }
+
+  buildSingleCsv(recordType, filters = {}) {
+    const { csv, rowCount } = this.buildRecordCsv(recordType, filters);
+    return { csv, rowCounts: { [recordType]: rowCount } };
+  }
+
+  buildFileName(recordType, filters = {}) {
+    const parts = ['poultry360', recordType];
+    if (filters.startDate) parts.push(`from-${filters.startDate}`);
+    if (filters.endDate) parts.push(`to-${filters.endDate}`);
+    return `${parts.join('_').replace(/[^a-zA-Z0-9_.-]/g, '-')}.csv`;
+  }
+
+  /**
+   * Write the export to the cache directory and open the share sheet
+   * @param {Object} options - { recordType: 'all' | record type, farmId, batchId, startDate, endDate }
+   * @returns {Promise<{ fileUri: string, rowCounts: Object, totalRows: number }>}
+   */
+  async exportRecords({ recordType = 'all', ...filters } = {}) {
+    permissionService.assert(PERMISSIONS.RECORDS_EXPORT);
+
+    const recordTypes = recordType === 'all' ? EXPORT_RECORD_TYPES : [recordType];
+    const { csv, rowCounts } = recordTypes.length > 1
+      ? this.buildCombinedCsv(recordTypes, filters)
+      : this.buildSingleCsv(recordType, filters);
+
+    const totalRows = Object.values(rowCounts).reduce((sum, count) => sum + count, 0);
+    if (totalRows === 0) {
+      throw new Error('No records match the selected farm, batch and dates');
+    }
+
+    const fileUri = `${FileSystem.cacheDirectory}${this.buildFileName(recordType, filters)}`;
+    // BOM so Excel detects UTF-8
+    await FileSystem.writeAsStringAsync(fileUri, `\uFEFF${csv}`);
+    console.log(`📄 RecordExport: Wrote ${totalRows} rows to ${fileUri}`);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    await Sharing.shareAsync(fileUri, {
+      mimeType: 'text/csv',
+      UTI: 'public.comma-separated-values-text',
+      dialogTitle: 'Poultry360 Records Export',
+    });
+
+    return { fileUri, rowCounts, totalRows };
+  }
+}
+
+// Export singleton instance
+const recordExportService = new RecordExportService();
+export default recordExportService;
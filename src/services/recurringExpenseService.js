@@ -0,0 +1,234 @@
+/**
+ * Recurring Expense Service
+ *
+ * Posts the occurrences of recurring expenses (rent, salaries, utilities...) as ordinary expense
+ * rows once they fall due, on the device, so the finance ledger is complete offline. Posted
+ * expenses are queued in sync_queue like any other expense.
+ *
+ * Runs when the user signs in (or the app starts with a session) and after every sync. A single
+ * occurrence can be edited or skipped before it is due; its state lives in
+ * recurring_expense_occurrences, which is also what stops an occurrence being posted twice.
+ * Across devices the server keeps one expense per template and date (see syncService), and the
+ * copies other devices posted come down linked to the template.
+ */
+
+import fastDatabase from './fastDatabase';
+import permissionService from './permissionService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import { PERMISSIONS } from '../utils/permissions';
+import {
+  OCCURRENCE_STATUS,
+  UPCOMING_DAYS,
+  getDueOccurrences,
+  getUpcomingOccurrences,
+} from '../utils/recurringExpenses';
+
+// Marks expense events raised by this service, so it does not react to its own posts
+const RECURRING_SOURCE = 'recurring';
+
+const RUN_EVENTS = [
+  EventTypes.DATA_SYNCED,
+  EventTypes.EXPENSE_CREATED,
+  EventTypes.EXPENSE_UPDATED,
+];
+
+class RecurringExpenseService {
+  constructor() {
+    this.unsubscribe = null;
+    this.running = null;
+  }
+
+  /**
+   * Recurring expenses and the saved state of their occurrences
+   */
+  collectTemplates() {
+    const templates = fastDatabase.getRecurringExpenseTemplates();
+    const occurrences = fastDatabase.getRecurringOccurrences(templates.map(template => template.id));
+    return { templates, occurrences };
+  }
+
+  /**
+   * The recurring expense an occurrence belongs to, refusing occurrences already posted -
+   * those are edited or deleted as ordinary expenses
+   */
+  findTemplate(templateId, occurrenceDate) {
+    const template = fastDatabase.getRecurringExpenseTemplates().find(row => row.id === templateId);
+    if (!template) {
+      throw new Error('This recurring expense no longer exists');
+    }
+    const posted = fastDatabase.getRecurringOccurrences([templateId]).some(occurrence =>
+      occurrence.occurrence_date === occurrenceDate && occurrence.status === OCCURRENCE_STATUS.POSTED
+    );
+    if (posted) {
+      throw new Error('This expense has already been recorded. Edit or delete it in the expense list.');
+    }
+    return template;
+  }
+
+  /**
+   * Post every occurrence due by now that has not been posted or skipped yet
+   * @returns {Promise<Array>} The expenses posted
+   */
+  async materializeDue(now = new Date()) {
+    // Only one run at a time - app start and a sync finishing can overlap
+    if (this.running) return this.running;
+
+    this.running = Promise.resolve().then(() => this._materializeDue(now));
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  _materializeDue(now) {
+    try {
+      // Roles that cannot manage expenses leave posting to a manager's device
+      if (!permissionService.can(PERMISSIONS.EXPENSES_MANAGE)) {
+        return [];
+      }
+
+      const { templates, occurrences } = this.collectTemplates();
+      const due = getDueOccurrences(templates, occurrences, now);
+      const posted = [];
+
+      due.forEach(occurrence => {
+        const { template, templateId, occurrenceDate, amount, description, notes } = occurrence;
+
+        // Already entered by hand, or posted on another device and downloaded
+        const existing = fastDatabase.findExpenseForOccurrence(template, occurrenceDate, amount, description);
+        if (existing) {
+          fastDatabase.saveRecurringOccurrence(templateId, occurrenceDate, {
+            status: OCCURRENCE_STATUS.POSTED,
+            expenseId: existing.id,
+          });
+          return;
+        }
+
+        const expense = fastDatabase.createExpense({
+          farmId: template.farm_id,
+          batchId: template.batch_id,
+          category: template.category,
+          subcategory: template.subcategory,
+          description,
+          amount,
+          expenseDate: occurrenceDate,
+          supplier: template.supplier,
+          paymentMethod: template.payment_method,
+          notes,
+          recurringTemplateId: templateId,
+        });
+        fastDatabase.saveRecurringOccurrence(templateId, occurrenceDate, {
+          status: OCCURRENCE_STATUS.POSTED,
+          expenseId: expense.id,
+        });
+        posted.push(expense);
+      });
+
+      if (posted.length > 0) {
+        console.log(`🔁 RecurringExpenses: posted ${posted.length} recurring expense(s)`);
+        dataEventBus.emit(EventTypes.EXPENSE_CREATED, {
+          expenses: posted,
+          source: RECURRING_SOURCE,
+        });
+      }
+      return posted;
+    } catch (error) {
+      console.error('❌ RecurringExpenses: failed to post recurring expenses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Occurrences coming up after today, soonest first
+   * @param {Object} options - { days, now }
+   */
+  getUpcoming({ days = UPCOMING_DAYS, now = new Date() } = {}) {
+    try {
+      const { templates, occurrences } = this.collectTemplates();
+      return getUpcomingOccurrences(templates, occurrences, now, days).map(({ template, ...occurrence }) => ({
+        ...occurrence,
+        category: template.category,
+        subcategory: template.subcategory,
+        frequency: template.recurring_frequency,
+        farmId: template.farm_id,
+        supplier: template.supplier,
+      }));
+    } catch (error) {
+      console.error('❌ RecurringExpenses: failed to load upcoming expenses:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Change the amount, description or notes of one occurrence before it is posted
+   */
+  updateOccurrence(templateId, occurrenceDate, changes) {
+    permissionService.assert(PERMISSIONS.EXPENSES_MANAGE);
+
+    const template = this.findTemplate(templateId, occurrenceDate);
+    const amount = changes.amount !== undefined ? parseFloat(changes.amount) : template.amount;
+    if (!(amount > 0)) {
+      throw new Error('Enter an amount greater than zero');
+    }
+    const description = changes.description !== undefined ? String(changes.description).trim() : template.description;
+    if (!description) {
+      throw new Error('Description is required');
+    }
+
+    fastDatabase.saveRecurringOccurrence(templateId, occurrenceDate, {
+      status: OCCURRENCE_STATUS.PENDING,
+      amount,
+      description,
+      notes: changes.notes,
+    });
+    dataEventBus.emit(EventTypes.EXPENSE_UPDATED, { templateId, occurrenceDate, source: RECURRING_SOURCE });
+    return true;
+  }
+
+  /**
+   * Leave one occurrence out, e.g. no salary in a month the worker was away
+   */
+  skipOccurrence(templateId, occurrenceDate) {
+    permissionService.assert(PERMISSIONS.EXPENSES_MANAGE);
+
+    this.findTemplate(templateId, occurrenceDate);
+    fastDatabase.saveRecurringOccurrence(templateId, occurrenceDate, { status: OCCURRENCE_STATUS.SKIPPED });
+    dataEventBus.emit(EventTypes.EXPENSE_UPDATED, { templateId, occurrenceDate, source: RECURRING_SOURCE });
+    return true;
+  }
+
+  /**
+   * Undo a skip or edit: the occurrence goes back to the recurring expense's values
+   */
+  restoreOccurrence(templateId, occurrenceDate) {
+    permissionService.assert(PERMISSIONS.EXPENSES_MANAGE);
+
+    fastDatabase.clearRecurringOccurrence(templateId, occurrenceDate);
+    dataEventBus.emit(EventTypes.EXPENSE_UPDATED, { templateId, occurrenceDate, source: RECURRING_SOURCE });
+    return true;
+  }
+
+  /**
+   * Post what is due now and again after every sync while the user is signed in
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = dataEventBus.subscribeMultiple(RUN_EVENTS, (payload) => {
+      if (payload?.source === RECURRING_SOURCE) return;
+      this.materializeDue();
+    });
+    this.materializeDue();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new RecurringExpenseService();
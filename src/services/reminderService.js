@@ -0,0 +1,291 @@
+/**
+ * Reminder Service
+ *
+ * Schedules reminders as local notifications on the device, so a farm that stays offline
+ * for days still hears about vaccinations due, missing daily records, low feed stock and
+ * withdrawal periods ending. The plan (utils/reminders) covers the next week and is
+ * rescheduled whenever the records behind it change.
+ *
+ * The backend pushes the same reminders while the device is online. A push and a local
+ * reminder for the same thing share a key: once the push has arrived the local one is
+ * cancelled, and a push for a reminder already shown locally is not shown again.
+ */
+
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import fastDatabase from './fastDatabase';
+import feedInventoryService from './feedInventoryService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  LOCAL_REMINDER_SOURCE,
+  REMINDER_HORIZON_DAYS,
+  buildReminderPlan,
+  getPushReminderKey,
+  isValidReminderTime,
+  toLocalDateString,
+} from '../utils/reminders';
+
+const SETTINGS_KEY = 'reminder_settings';
+const SCHEDULED_KEY = 'reminder_scheduled';
+const PUSHED_KEYS_KEY = 'reminder_push_keys';
+
+// Pushes and shown reminders are remembered until anything they could duplicate has passed
+const REMEMBER_MS = (REMINDER_HORIZON_DAYS + 1) * 24 * 60 * 60 * 1000;
+
+// Saving a batch of records reschedules once
+const RESCHEDULE_DELAY_MS = 2000;
+
+const RESCHEDULE_EVENTS = [
+  EventTypes.FEED_RECORD_CREATED,
+  EventTypes.FEED_RECORD_DELETED,
+  EventTypes.PRODUCTION_RECORD_CREATED,
+  EventTypes.PRODUCTION_RECORD_DELETED,
+  EventTypes.MORTALITY_RECORD_CREATED,
+  EventTypes.MORTALITY_RECORD_DELETED,
+  EventTypes.HEALTH_RECORD_CREATED,
+  EventTypes.HEALTH_RECORD_UPDATED,
+  EventTypes.HEALTH_RECORD_DELETED,
+  EventTypes.WATER_RECORD_CREATED,
+  EventTypes.WEIGHT_RECORD_CREATED,
+  EventTypes.VACCINATION_RECORD_CREATED,
+  EventTypes.VACCINATION_RECORD_DELETED,
+  EventTypes.FEED_STOCK_UPDATED,
+  EventTypes.BATCH_UPDATED,
+  EventTypes.BATCH_DELETED,
+];
+
+const readJson = async (key, fallback) => {
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`⚠️ Reminders: could not read ${key}:`, error.message);
+    return fallback;
+  }
+};
+
+class ReminderService {
+  constructor() {
+    this.settings = null;
+    this.unsubscribe = null;
+    this.rescheduleTimer = null;
+    this.running = null;
+  }
+
+  async getSettings() {
+    if (!this.settings) {
+      this.settings = { ...DEFAULT_REMINDER_SETTINGS, ...(await readJson(SETTINGS_KEY, {})) };
+    }
+    return this.settings;
+  }
+
+  /**
+   * Change which reminders are scheduled and reschedule
+   * @param {Object} changes - Any of DEFAULT_REMINDER_SETTINGS
+   */
+  async updateSettings(changes) {
+    if (changes.dailyReminderTime !== undefined && !isValidReminderTime(changes.dailyReminderTime)) {
+      throw new Error('Enter the daily reminder time as HH:MM, e.g. 18:00');
+    }
+
+    const known = Object.keys(DEFAULT_REMINDER_SETTINGS);
+    const settings = { ...(await this.getSettings()) };
+    Object.entries(changes).forEach(([key, value]) => {
+      if (known.includes(key)) settings[key] = value;
+    });
+
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.settings = settings;
+    await this.reschedule();
+    return settings;
+  }
+
+  /**
+   * Records the plan is built from
+   */
+  collectSources(now) {
+    const today = toLocalDateString(now);
+    const horizon = new Date(now);
+    horizon.setDate(horizon.getDate() + REMINDER_HORIZON_DAYS + 1);
+
+    return {
+      vaccinations: fastDatabase.getUpcomingVaccinations(today, toLocalDateString(horizon)),
+      recordedToday: fastDatabase.countRecordsOn(today),
+      feedLevels: feedInventoryService.getStockLevels(),
+      withdrawals: fastDatabase.getActiveWithdrawals(today),
+    };
+  }
+
+  /**
+   * Keys of reminders the backend has already pushed, dropping ones too old to matter
+   */
+  async getPushedKeys(now = new Date()) {
+    const pushed = await readJson(PUSHED_KEYS_KEY, {});
+    return Object.fromEntries(
+      Object.entries(pushed).filter(([, receivedAt]) => now.getTime() - Date.parse(receivedAt) < REMEMBER_MS)
+    );
+  }
+
+  /**
+   * Bring the scheduled local notifications in line with the current records. Reminders
+   * that are unchanged stay scheduled; the rest are cancelled or added.
+   * @returns {Promise<Array>} The reminders now scheduled
+   */
+  async reschedule(now) {
+    // One run at a time - two runs reading the same scheduled list would both schedule a reminder,
+    // and only one copy could be cancelled later. A call made during a run waits for it and then
+    // runs again, so it sees the records and settings that changed in the meantime.
+    const run = (this.running || Promise.resolve()).then(() => this._reschedule(now));
+    this.running = run;
+    try {
+      return await run;
+    } finally {
+      if (this.running === run) this.running = null;
+    }
+  }
+
+  async _reschedule(now = new Date()) {
+    try {
+      const settings = await this.getSettings();
+      const pushed = await this.getPushedKeys(now);
+      const plan = buildReminderPlan({ now, settings, ...this.collectSources(now) })
+        .filter(reminder => !pushed[reminder.key]);
+
+      const scheduled = await readJson(SCHEDULED_KEY, {});
+      const next = {};
+
+      for (const [key, entry] of Object.entries(scheduled)) {
+        const planned = plan.find(reminder => reminder.key === key);
+        const fireAt = Date.parse(entry.fireAt);
+        if (fireAt <= now.getTime()) {
+          // Already shown - kept so a late push for it is not shown again
+          if (now.getTime() - fireAt < REMEMBER_MS) next[key] = entry;
+        } else if (planned && planned.fireAt.getTime() === fireAt && planned.body === entry.body) {
+          next[key] = entry;
+        } else {
+          await Notifications.cancelScheduledNotificationAsync(entry.id);
+        }
+      }
+
+      for (const reminder of plan) {
+        if (next[reminder.key]) continue;
+        const id = await Notifications.scheduleNotificationAsync({
+          content: {
+            title: reminder.title,
+            body: reminder.body,
+            data: reminder.data,
+            sound: true,
+          },
+          trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: reminder.fireAt },
+        });
+        next[reminder.key] = { id, fireAt: reminder.fireAt.toISOString(), body: reminder.body };
+      }
+
+      await AsyncStorage.setItem(SCHEDULED_KEY, JSON.stringify(next));
+      await AsyncStorage.setItem(PUSHED_KEYS_KEY, JSON.stringify(pushed));
+      console.log(`🔔 Reminders: ${plan.length} local reminder(s) scheduled for the next ${REMINDER_HORIZON_DAYS} days`);
+      return plan;
+    } catch (error) {
+      console.error('❌ Reminders: failed to schedule local reminders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Reschedule shortly after data changes, once for a burst of saves
+   */
+  scheduleReschedule() {
+    if (this.rescheduleTimer) clearTimeout(this.rescheduleTimer);
+    this.rescheduleTimer = setTimeout(() => {
+      this.rescheduleTimer = null;
+      this.reschedule();
+    }, RESCHEDULE_DELAY_MS);
+  }
+
+  /**
+   * Remember a backend push and cancel the local reminder it stands in for
+   * @returns {Promise<boolean>} Whether the push should be shown
+   */
+  async handlePushNotification(notification, receivedAt = new Date()) {
+    const key = getPushReminderKey(notification?.request?.content?.data, receivedAt);
+    if (!key) return true;
+
+    const scheduled = await readJson(SCHEDULED_KEY, {});
+    const entry = scheduled[key];
+    // The local reminder has already been shown, so the late push would repeat it
+    const alreadyShown = !!entry && Date.parse(entry.fireAt) <= receivedAt.getTime();
+
+    if (entry) {
+      if (!alreadyShown) {
+        await Notifications.cancelScheduledNotificationAsync(entry.id);
+      }
+      delete scheduled[key];
+      await AsyncStorage.setItem(SCHEDULED_KEY, JSON.stringify(scheduled));
+    }
+
+    const pushed = await this.getPushedKeys(receivedAt);
+    pushed[key] = receivedAt.toISOString();
+    await AsyncStorage.setItem(PUSHED_KEYS_KEY, JSON.stringify(pushed));
+
+    console.log(`🔔 Reminders: backend push for ${key}${alreadyShown ? ' already shown locally' : ''}`);
+    return !alreadyShown;
+  }
+
+  /**
+   * Used by the notification handler: whether a notification arriving now should be shown
+   */
+  async shouldPresent(notification, now = new Date()) {
+    try {
+      const data = notification?.request?.content?.data;
+      if (data?.source === LOCAL_REMINDER_SOURCE) {
+        const pushed = await this.getPushedKeys(now);
+        return !pushed[data.reminderKey];
+      }
+      return await this.handlePushNotification(notification, now);
+    } catch (error) {
+      console.error('❌ Reminders: failed to check notification:', error);
+      return true;
+    }
+  }
+
+  /**
+   * Cancel every local reminder, e.g. on logout
+   */
+  async cancelAll() {
+    try {
+      const scheduled = await readJson(SCHEDULED_KEY, {});
+      for (const entry of Object.values(scheduled)) {
+        await Notifications.cancelScheduledNotificationAsync(entry.id);
+      }
+      await AsyncStorage.removeItem(SCHEDULED_KEY);
+      console.log('🔕 Reminders: local reminders cancelled');
+    } catch (error) {
+      console.error('❌ Reminders: failed to cancel local reminders:', error);
+    }
+  }
+
+  /**
+   * Schedule now and keep the plan current while the user is signed in
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = dataEventBus.subscribeMultiple(RESCHEDULE_EVENTS, () => this.scheduleReschedule());
+    this.reschedule();
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.rescheduleTimer) {
+      clearTimeout(this.rescheduleTimer);
+      this.rescheduleTimer = null;
+    }
+  }
+}
+
+// Export singleton instance
+export default new ReminderService();
@@ -3,8 +3,10 @@ import { AppState } from 'react-native';
 import apiService from './api';
 import offlineDataService from './offlineDataService';
 import { syncCircuitBreaker } from '../utils/circuitBreaker';
+import { parseGradeCounts } from '../utils/eggGrading';
 import dataEventBus, { EventTypes } from './dataEventBus';
 import fastDatabaseImport from './fastDatabase'; // P0-1 FIX: For ID mapping support
+import organizationSettingsService from './organizationSettingsService';
 
 // FIX: Handle both default and named exports from fastDatabase
 const fastDatabase = fastDatabaseImport.default || fastDatabaseImport;
@@ -37,9 +39,18 @@ class SyncService {
       'vaccination_records',  // CRITICAL FIX: Added vaccination records to sync
       'financial_records',    // CRITICAL FIX: Added financial records to sync
       'expenses',
-      'sales'
+      'sales',
+      'invoices',
+      'payments'
     ];
 
+    // OFFLINE SALES: These tables are pushed through sync_queue rather than the batch endpoint.
+    // Expenses (including ones posted from recurring expenses) are queued the same way.
+    this.queuedSyncTables = ['customers', 'sales', 'invoices', 'payments', 'expenses'];
+
+    // BIRD TRANSFERS: Pushed after the batch sync, once the batches they move birds between have server ids
+    this.transferSyncTables = ['bird_transfers'];
+
     // API endpoint mapping
     this.endpointMapping = {
       organizations: {
@@ -357,9 +368,25 @@ class SyncService {
       const deviceId = await this.getDeviceId();
 
       // Step 2: Get last sync timestamp
-      const lastSyncTimestamp = await AsyncStorage.getItem('lastSyncTimestamp');
+      // Watermark is kept per organization, so switching organizations never skips the other one's changes
+      const syncTimestampKey = await this.getSyncTimestampKey();
+      const lastSyncTimestamp = await AsyncStorage.getItem(syncTimestampKey);
       console.log(`📅 Last sync: ${lastSyncTimestamp ? new Date(lastSyncTimestamp).toLocaleString() : 'Never'}`);
 
+      // Step 2b: Push queued sales-side changes (customers before the sales/invoices/payments that reference them)
+      try {
+        await this.uploadLocalChanges(this.queuedSyncTables);
+      } catch (queueError) {
+        console.warn('⚠️ Queued sales changes upload failed, will retry next sync:', queueError.message);
+      }
+
+      // Step 2c: Exchange organization settings (alert thresholds, ...)
+      try {
+        await organizationSettingsService.syncWithServer();
+      } catch (settingsError) {
+        console.warn('⚠️ Organization settings sync failed, will retry next sync:', settingsError.message);
+      }
+
       // Step 3: Collect all pending records (BATCH)
       console.log('📦 Collecting pending records for batch upload...');
       const pendingRecords = await this.getPendingRecords();
@@ -422,8 +449,11 @@ class SyncService {
 
           // Step 6: Process server data (downloads) - happens AFTER push is complete
           console.log('📥 Step 6: Processing server data (PULL)...');
-          await this.processServerData(serverData);
+          const touchedRows = await this.processServerData(serverData);
           console.log('✅ Server data processed successfully');
+
+          // Re-post finance, egg stock and bird ledger entries for the rows that came down
+          fastDatabase.refreshLedgersForRows(touchedRows);
         });
 
         console.log('✅ Transaction committed - all local database updates successful');
@@ -436,11 +466,18 @@ class SyncService {
         throw transactionError; // Re-throw to trigger outer catch
       }
 
+      // Step 6b: Push bird transfers; each one (with any batch it opened) is a single queue item
+      try {
+        await this.uploadLocalChanges(this.transferSyncTables);
+      } catch (transferError) {
+        console.warn('⚠️ Bird transfer upload failed, will retry next sync:', transferError.message);
+      }
+
       // Step 7: Update sync timestamp
       // CRASH-003 FIX: Add error handling for timestamp updates
       const timestampToSave = newSyncTimestamp || new Date().toISOString();
       try {
-        await AsyncStorage.setItem('lastSyncTimestamp', timestampToSave);
+        await AsyncStorage.setItem(syncTimestampKey, timestampToSave);
         await AsyncStorage.setItem('lastSyncTime', timestampToSave);
         await AsyncStorage.setItem('initialSyncCompleted', 'true');
       } catch (storageError) {
@@ -555,15 +592,18 @@ class SyncService {
 
   // Process server data and merge with local database (CONFLICT RESOLUTION)
   async processServerData(serverData) {
+    // Local ids written per table, so only their ledger entries are re-posted
+    const touchedRows = {};
     if (!serverData || typeof serverData !== 'object') {
       console.log('No server data to process');
-      return;
+      return touchedRows;
     }
 
     for (const [tableName, records] of Object.entries(serverData)) {
       if (!Array.isArray(records) || records.length === 0) continue;
 
       console.log(`  📥 Processing ${records.length} ${tableName} from server`);
+      const touched = touchedRows[tableName] = [];
 
       for (const serverRecord of records) {
         try {
@@ -593,10 +633,13 @@ class SyncService {
               // AUTO-RESOLVE: Server wins (can be changed to local_wins or user_resolve)
               console.log(`  🔄 Auto-resolving conflict: SERVER WINS (updating local with server data)`);
               const mappedRecord = this.mapServerToLocalRecord(tableName, serverRecord);
+              const keepsLocalCount = this._keepUnsyncedBatchCount(tableName, localRecord, mappedRecord);
 
             // CRITICAL FIX: Resolve foreign key server IDs to local IDs BEFORE update
             await this._resolveForeignKeys(tableName, mappedRecord, serverRecord);
               await offlineDataService.update(tableName, localRecord.id, mappedRecord, true); // skipSync = true
+              if (keepsLocalCount) fastDatabase.markBatchForSync(localRecord.id);
+              touched.push(localRecord.id);
 
               // Emit conflict event for UI notification
               dataEventBus.emit(EventTypes.SYNC_CONFLICT_RESOLVED, {
@@ -614,6 +657,7 @@ class SyncService {
           // CRITICAL FIX: Resolve foreign key server IDs to local IDs BEFORE update
           await this._resolveForeignKeys(tableName, mappedRecord, serverRecord);
               await offlineDataService.update(tableName, localRecord.id, mappedRecord, true); // skipSync = true
+              touched.push(localRecord.id);
             } else {
               // Local is newer - keep local
               console.log(`  ⏭️  Skipping ${tableName} (local newer)`);
@@ -626,7 +670,8 @@ class SyncService {
 
             // CRITICAL FIX: Resolve foreign key server IDs to local IDs BEFORE insert
             await this._resolveForeignKeys(tableName, mappedRecord, serverRecord);
-            await offlineDataService.create(tableName, mappedRecord, true); // skipSync = true
+            const created = await offlineDataService.create(tableName, mappedRecord, true); // skipSync = true
+            if (created?.id) touched.push(created.id);
           }
         } catch (error) {
           console.error(`Error processing server record for ${tableName}:`, error);
@@ -637,6 +682,7 @@ class SyncService {
       // Emit table-specific events after processing all records for this table
       this._emitTableUpdateEvent(tableName, records.length);
     }
+    return touchedRows;
   }
 
   // Emit appropriate event based on table name
@@ -679,6 +725,8 @@ class SyncService {
               result.localId,
               result.serverId?.toString()
             );
+            // Settle any sync_queue entries for this record (e.g. a re-queued conflict resolution)
+            fastDatabase.markQueueEntriesSynced(tableName, result.localId);
             console.log(`  ✅ Marked ${tableName} ${result.localId} as synced`);
           } else if (!result.success && result.localId) {
             console.warn(`  ⚠️  Failed to sync ${tableName} ${result.localId}: ${result.error}`);
@@ -1065,10 +1113,15 @@ class SyncService {
             const localTime = new Date(localRecord.updated_at || 0);
 
             if (serverTime > localTime) {
+              const keepsLocalCount = this._keepUnsyncedBatchCount(tableName, localRecord, mappedRecord);
             // CRITICAL FIX: Resolve foreign key server IDs to local IDs BEFORE update
             await this._resolveForeignKeys(tableName, mappedRecord, serverRecord);
               await offlineDataService.update(tableName, localRecord.id, mappedRecord, true);
-              await offlineDataService.markAsSynced(tableName, localRecord.id, serverRecord.id?.toString());
+              if (keepsLocalCount) {
+                fastDatabase.markBatchForSync(localRecord.id);
+              } else {
+                await offlineDataService.markAsSynced(tableName, localRecord.id, serverRecord.id?.toString());
+              }
             }
           } else {
             // Create new record
@@ -1094,6 +1147,20 @@ class SyncService {
     }
   }
 
+  /**
+   * BIRD LEDGER: A batch whose count changed on the device (culls, sales and adjustments entered
+   * on the batch history) keeps that count until it has been uploaded, so a download never undoes
+   * movements the server has not seen
+   * @returns {boolean} Whether the local count was kept
+   */
+  _keepUnsyncedBatchCount(tableName, localRecord, mappedRecord) {
+    if (tableName !== 'poultry_batches' || localRecord.needs_sync !== 1) return false;
+
+    delete mappedRecord.current_count;
+    delete mappedRecord.currentCount;
+    return true;
+  }
+
   // Map server record format to local record format
   mapServerToLocalRecord(tableName, serverRecord) {
     // CRASH FIX: Validate input
@@ -1166,6 +1233,17 @@ class SyncService {
         if (serverRecord.purchaseDate) mapped.purchase_date = serverRecord.purchaseDate;
         if (serverRecord.supplierContact) mapped.supplier_contact = serverRecord.supplierContact;
         if (serverRecord.numberOfBirds) mapped.number_of_birds = serverRecord.numberOfBirds;
+        // BATCH CLOSE-OUT: Final numbers of archived batches
+        if (serverRecord.closedAt) mapped.closed_at = serverRecord.closedAt;
+        if (serverRecord.closeReason) mapped.close_reason = serverRecord.closeReason;
+        if (serverRecord.birdsSold !== undefined) mapped.birds_sold = serverRecord.birdsSold;
+        if (serverRecord.birdsCulled !== undefined) mapped.birds_culled = serverRecord.birdsCulled;
+        if (serverRecord.finalAvgWeightKg) mapped.final_avg_weight_kg = serverRecord.finalAvgWeightKg;
+        if (serverRecord.closeoutSummary) {
+          mapped.closeout_summary = typeof serverRecord.closeoutSummary === 'string'
+            ? serverRecord.closeoutSummary
+            : JSON.stringify(serverRecord.closeoutSummary);
+        }
 
         // Clean up ALL unmapped camelCase fields for poultry_batches
         delete mapped.batchName;
@@ -1180,6 +1258,12 @@ class SyncService {
         delete mapped.birdType; // CRITICAL FIX: Delete after mapping to breed
         delete mapped.arrivalDate; // CRITICAL FIX: Delete after mapping to arrival_date
         delete mapped.ageWeeks; // CRITICAL FIX: Delete after mapping to age_weeks
+        delete mapped.closedAt;
+        delete mapped.closeReason;
+        delete mapped.birdsSold;
+        delete mapped.birdsCulled;
+        delete mapped.finalAvgWeightKg;
+        delete mapped.closeoutSummary;
         // NOTE: Keep mapped.notes - mobile schema HAS this column
                 delete mapped.farm; // CRITICAL FIX: Backend sends farm object but mobile only has farm_id
         delete mapped.organization; // Backend sends organization object
@@ -1237,6 +1321,12 @@ class SyncService {
         if (serverRecord.eggWeightKg) mapped.egg_weight_kg = serverRecord.eggWeightKg;
         // Map egg_weight_avg if backend sends eggWeightAvg
         if (serverRecord.eggWeightAvg) mapped.egg_weight_avg = serverRecord.eggWeightAvg;
+        // Egg grade breakdown is stored locally as a JSON string
+        if (serverRecord.gradeCounts) {
+          mapped.grade_counts = typeof serverRecord.gradeCounts === 'string'
+            ? serverRecord.gradeCounts
+            : JSON.stringify(serverRecord.gradeCounts);
+        }
         if (serverRecord.pricePerDozen) mapped.price_per_dozen = serverRecord.pricePerDozen;
         if (serverRecord.totalRevenue) mapped.total_revenue = serverRecord.totalRevenue;
         if (serverRecord.batchId) mapped.batch_id = serverRecord.batchId;
@@ -1249,6 +1339,7 @@ class SyncService {
         delete mapped.eggsSold;
         delete mapped.eggWeightKg;
         delete mapped.eggWeightAvg;
+        delete mapped.gradeCounts;
         delete mapped.pricePerDozen;
         delete mapped.totalRevenue;
         delete mapped.batchId;
@@ -1291,9 +1382,11 @@ class SyncService {
         }
         if (serverRecord.healthIssue) mapped.health_issue = serverRecord.healthIssue;
         if (serverRecord.batchId) mapped.batch_id = serverRecord.batchId;
+        if (serverRecord.withdrawalDays != null) mapped.withdrawal_days = serverRecord.withdrawalDays;
 
         // Clean up ALL unmapped camelCase fields for health_records
         delete mapped.healthIssue;
+        delete mapped.withdrawalDays;
         delete mapped.batchId;
         delete mapped.farmId; // Will be cleaned by universal cleanup
         delete mapped.vetId; // CRITICAL FIX: Backend sends vetId but mobile doesn't have this column
@@ -1354,6 +1447,30 @@ class SyncService {
         delete mapped.ageWeeks; // CRITICAL FIX: Backend sends ageWeeks but mobile doesn't have this column
         delete mapped.batch; // CRITICAL FIX: Backend sends batch object but mobile only has batch_id
         break;
+
+      case 'expenses':
+        if (serverRecord.expenseDate) mapped.expense_date = String(serverRecord.expenseDate).slice(0, 10);
+        if (serverRecord.paymentMethod) mapped.payment_method = serverRecord.paymentMethod;
+        if (serverRecord.receiptNumber) mapped.receipt_number = serverRecord.receiptNumber;
+        if (serverRecord.receiptUrl) mapped.receipt_url = serverRecord.receiptUrl;
+        if (serverRecord.isRecurring !== undefined) mapped.is_recurring = serverRecord.isRecurring ? 1 : 0;
+        if (serverRecord.recurringFrequency !== undefined) mapped.recurring_frequency = serverRecord.recurringFrequency;
+        if (serverRecord.farmId) mapped.farm_id = serverRecord.farmId;
+        if (serverRecord.batchId) mapped.batch_id = serverRecord.batchId;
+        if (serverRecord.recurringTemplateId) mapped.recurring_template_id = serverRecord.recurringTemplateId;
+
+        delete mapped.expenseDate;
+        delete mapped.paymentMethod;
+        delete mapped.receiptNumber;
+        delete mapped.receiptUrl;
+        delete mapped.isRecurring;
+        delete mapped.recurringFrequency;
+        delete mapped.recurringTemplateId;
+        delete mapped.occurrenceDate;
+        delete mapped.farm;
+        delete mapped.batch;
+        delete mapped.user;
+        break;
     }
 
     // UNIVERSAL CLEANUP: Map timestamp fields from camelCase to snake_case
@@ -1437,18 +1554,50 @@ class SyncService {
             }
           }
           break;
+
+        case 'expenses':
+          if (mappedRecord.farm_id && serverRecord.farmId) {
+            const localFarm = await offlineDataService.getByServerId('farms', serverRecord.farmId.toString());
+            mappedRecord.farm_id = localFarm?.id || null;
+          }
+          if (mappedRecord.batch_id && serverRecord.batchId) {
+            const localBatch = await offlineDataService.getByServerId('poultry_batches', serverRecord.batchId.toString());
+            mappedRecord.batch_id = localBatch?.id || null;
+          }
+          // An occurrence posted on another device is matched to its template here, so it is not posted again
+          if (mappedRecord.recurring_template_id && serverRecord.recurringTemplateId) {
+            const localTemplate = await offlineDataService.getByServerId('expenses', serverRecord.recurringTemplateId.toString());
+            mappedRecord.recurring_template_id = localTemplate?.id || null;
+          }
+          break;
       }
     } catch (error) {
       console.error(`Error resolving foreign keys for ${tableName}:`, error);
     }
   }
 
+  /**
+   * AsyncStorage key of the incremental sync watermark for the active organization.
+   * An organization without one gets a full sync; downloads merge by server_id.
+   */
+  async getSyncTimestampKey() {
+    const organizationId = await offlineDataService.getCurrentOrganizationId();
+    return organizationId ? `lastSyncTimestamp:${organizationId}` : 'lastSyncTimestamp';
+  }
+
   // Enhanced upload with better error handling and progress tracking
-  async uploadLocalChanges() {
+  async uploadLocalChanges(tableNames = null) {
     try {
       this.notifySyncCallbacks({ type: 'uploading' });
 
-      const syncQueue = await offlineDataService.getSyncQueue('pending');
+      // 🔐 ORG ISOLATION: Changes queued in another organization wait until it is active again
+      const organizationId = await offlineDataService.getCurrentOrganizationId();
+      const pendingQueue = (await offlineDataService.getSyncQueue('pending')).filter(item =>
+        item.organization_id == null || !organizationId || String(item.organization_id) === String(organizationId)
+      );
+      const syncQueue = tableNames
+        ? pendingQueue.filter(item => tableNames.includes(item.table_name))
+        : pendingQueue;
 
       if (syncQueue.length === 0) {
         console.log('ℹ️  No pending changes to upload');
@@ -1457,15 +1606,18 @@ class SyncService {
 
       console.log(`📤 Starting upload of ${syncQueue.length} changes...`);
 
+      // Queued sales tables reference each other, so push them one at a time in queue order
+      const batchSize = tableNames ? 1 : this.batchSize;
+
       let successCount = 0;
       let errorCount = 0;
       const uploadResults = {};
 
       // Process in batches with progress tracking
-      for (let i = 0; i < syncQueue.length; i += this.batchSize) {
-        const batch = syncQueue.slice(i, i + this.batchSize);
-        const batchNumber = Math.floor(i / this.batchSize) + 1;
-        const totalBatches = Math.ceil(syncQueue.length / this.batchSize);
+      for (let i = 0; i < syncQueue.length; i += batchSize) {
+        const batch = syncQueue.slice(i, i + batchSize);
+        const batchNumber = Math.floor(i / batchSize) + 1;
+        const totalBatches = Math.ceil(syncQueue.length / batchSize);
 
         console.log(`📤 Processing batch ${batchNumber}/${totalBatches} (${batch.length} items)...`);
 
@@ -1501,7 +1653,7 @@ class SyncService {
 
         // CRASH FIX: Delay between batches to avoid overwhelming the server and prevent CPU spike
         // Changed from 100ms to 500ms to prevent overheating
-        if (i + this.batchSize < syncQueue.length) {
+        if (batchSize > 1 && i + batchSize < syncQueue.length) {
           await new Promise(resolve => setTimeout(resolve, 500));
         }
       }
@@ -1684,13 +1836,41 @@ class SyncService {
         return await apiService.createWaterRecord(mappedData);
       case 'weight_records':
         return await apiService.createWeightRecord(mappedData);
+      case 'customers':
+        return await apiService.createCustomer(mappedData);
+      case 'sales':
+        return await apiService.createSale(mappedData);
+      case 'invoices':
+        return await apiService.createInvoice(mappedData);
+      case 'payments':
+        return await apiService.createPayment(mappedData);
+      case 'expenses':
+        // The server keys occurrences on (template, date) - wait for the template to be uploaded
+        if (data.recurring_template_id && !mappedData.recurringTemplateId) {
+          throw new Error('The recurring expense of this occurrence has not been uploaded yet');
+        }
+        return await apiService.createExpense(mappedData);
+      case 'bird_transfers': {
+        const result = await apiService.createBirdTransfer(mappedData);
+        // A batch opened by the transfer was created on the server with it
+        const serverBatchId = result?.toBatchId || result?.toBatch?.id;
+        if (data.created_new_batch && data.to_batch_id && serverBatchId) {
+          fastDatabase.storeIdMapping('poultry_batches', data.to_batch_id, serverBatchId.toString());
+          await offlineDataService.markAsSynced('poultry_batches', data.to_batch_id, serverBatchId.toString());
+        }
+        return result;
+      }
       default:
         throw new Error(`No create endpoint for table: ${tableName}`);
     }
   }
 
   async updateOnServer(tableName, serverId, data) {
-    const mappedData = this.mapLocalToServerRecord(tableName, data);
+    // Sales tables reference customers/invoices that only the id_mappings table can translate
+    const sourceData = ['sales', 'invoices', 'payments', 'expenses'].includes(tableName)
+      ? fastDatabase.remapForeignKeysToServer(tableName, data)
+      : data;
+    const mappedData = this.mapLocalToServerRecord(tableName, sourceData);
 
     switch (tableName) {
       case 'farms':
@@ -1714,6 +1894,16 @@ class SyncService {
       case 'weight_records':
         // Weight records typically don't have update endpoints
         throw new Error('Weight records cannot be updated');
+      case 'customers':
+        return await apiService.updateCustomer(serverId, mappedData);
+      case 'sales':
+        return await apiService.updateSale(serverId, mappedData);
+      case 'invoices':
+        return await apiService.updateInvoice(serverId, mappedData);
+      case 'payments':
+        return await apiService.updatePayment(serverId, mappedData);
+      case 'expenses':
+        return await apiService.updateExpense(serverId, mappedData);
       default:
         throw new Error(`No update endpoint for table: ${tableName}`);
     }
@@ -1737,6 +1927,16 @@ class SyncService {
         return await apiService.deleteWaterRecord(serverId);
       case 'weight_records':
         return await apiService.deleteWeightRecord(serverId);
+      case 'customers':
+        return await apiService.deleteCustomer(serverId);
+      case 'sales':
+        return await apiService.deleteSale(serverId);
+      case 'invoices':
+        return await apiService.deleteInvoice(serverId);
+      case 'payments':
+        return await apiService.deletePayment(serverId);
+      case 'expenses':
+        return await apiService.deleteExpense(serverId);
       default:
         throw new Error(`No delete endpoint for table: ${tableName}`);
     }
@@ -1783,6 +1983,12 @@ class SyncService {
         if (localRecord.purchase_date) mapped.purchaseDate = localRecord.purchase_date;
         if (localRecord.supplier_contact) mapped.supplierContact = localRecord.supplier_contact;
         if (localRecord.number_of_birds) mapped.numberOfBirds = localRecord.number_of_birds;
+        if (localRecord.closed_at) mapped.closedAt = localRecord.closed_at;
+        if (localRecord.close_reason) mapped.closeReason = localRecord.close_reason;
+        if (localRecord.birds_sold !== null && localRecord.birds_sold !== undefined) mapped.birdsSold = localRecord.birds_sold;
+        if (localRecord.birds_culled !== null && localRecord.birds_culled !== undefined) mapped.birdsCulled = localRecord.birds_culled;
+        if (localRecord.final_avg_weight_kg) mapped.finalAvgWeightKg = localRecord.final_avg_weight_kg;
+        if (localRecord.closeout_summary) mapped.closeoutSummary = localRecord.closeout_summary;
 
         // Clean up local field names
         delete mapped.batch_name;
@@ -1799,6 +2005,12 @@ class SyncService {
         delete mapped.purchase_date;
         delete mapped.supplier_contact;
         delete mapped.number_of_birds;
+        delete mapped.closed_at;
+        delete mapped.close_reason;
+        delete mapped.birds_sold;
+        delete mapped.birds_culled;
+        delete mapped.final_avg_weight_kg;
+        delete mapped.closeout_summary;
         break;
 
       case 'feed_records':
@@ -1823,6 +2035,7 @@ class SyncService {
         if (localRecord.price_per_dozen) mapped.pricePerDozen = localRecord.price_per_dozen;
         if (localRecord.total_revenue) mapped.totalRevenue = localRecord.total_revenue;
         if (localRecord.batch_id) mapped.batchId = localRecord.batch_id;
+        if (localRecord.grade_counts) mapped.gradeCounts = parseGradeCounts(localRecord.grade_counts);
 
         delete mapped.eggs_collected;
         delete mapped.eggs_broken;
@@ -1831,6 +2044,7 @@ class SyncService {
         delete mapped.price_per_dozen;
         delete mapped.total_revenue;
         delete mapped.batch_id;
+        delete mapped.grade_counts;
         break;
 
       case 'mortality_records':
@@ -1870,8 +2084,157 @@ class SyncService {
         delete mapped.weight_unit;
         delete mapped.batch_id;
         break;
+
+      case 'customers':
+        if (localRecord.tax_id) mapped.taxId = localRecord.tax_id;
+        if (localRecord.customer_type) mapped.customerType = localRecord.customer_type;
+
+        delete mapped.tax_id;
+        delete mapped.customer_type;
+        break;
+
+      case 'sales':
+        if (localRecord.sale_date) mapped.saleDate = localRecord.sale_date;
+        if (localRecord.product_type) mapped.productType = localRecord.product_type;
+        if (localRecord.unit_price !== undefined) mapped.unitPrice = localRecord.unit_price;
+        if (localRecord.total_amount !== undefined) mapped.totalAmount = localRecord.total_amount;
+        if (localRecord.amount_paid !== undefined) mapped.amountPaid = localRecord.amount_paid;
+        if (localRecord.amount_due !== undefined) mapped.amountDue = localRecord.amount_due;
+        if (localRecord.payment_status) mapped.paymentStatus = localRecord.payment_status;
+        if (localRecord.payment_method) mapped.paymentMethod = localRecord.payment_method;
+        if (localRecord.payment_date) mapped.paymentDate = localRecord.payment_date;
+        if (localRecord.invoice_number) mapped.invoiceNumber = localRecord.invoice_number;
+        if (localRecord.delivery_address) mapped.deliveryAddress = localRecord.delivery_address;
+        if (localRecord.egg_grade) mapped.eggGrade = localRecord.egg_grade;
+
+        delete mapped.sale_date;
+        delete mapped.product_type;
+        delete mapped.unit_price;
+        delete mapped.total_amount;
+        delete mapped.amount_paid;
+        delete mapped.amount_due;
+        delete mapped.payment_status;
+        delete mapped.payment_method;
+        delete mapped.payment_date;
+        delete mapped.invoice_number;
+        delete mapped.delivery_address;
+        delete mapped.egg_grade;
+        delete mapped.recorded_by;
+        break;
+
+      case 'invoices':
+        if (localRecord.invoice_number) mapped.invoiceNumber = localRecord.invoice_number;
+        if (localRecord.invoice_date) mapped.invoiceDate = localRecord.invoice_date;
+        if (localRecord.due_date) mapped.dueDate = localRecord.due_date;
+        if (localRecord.tax_amount !== undefined) mapped.taxAmount = localRecord.tax_amount;
+        if (localRecord.discount_amount !== undefined) mapped.discountAmount = localRecord.discount_amount;
+        if (localRecord.amount_paid !== undefined) mapped.amountPaid = localRecord.amount_paid;
+        if (localRecord.amount_due !== undefined) mapped.amountDue = localRecord.amount_due;
+        if (Array.isArray(localRecord.items)) {
+          mapped.items = localRecord.items.map(item => ({
+            saleId: item.saleId || undefined,
+            description: item.description,
+            quantity: item.quantity,
+            unit: item.unit || undefined,
+            unitPrice: item.unit_price,
+            amount: item.amount
+          }));
+        }
+
+        delete mapped.invoice_number;
+        delete mapped.invoice_date;
+        delete mapped.due_date;
+        delete mapped.tax_amount;
+        delete mapped.discount_amount;
+        delete mapped.amount_paid;
+        delete mapped.amount_due;
+        break;
+
+      case 'payments':
+        if (localRecord.payment_date) mapped.paymentDate = localRecord.payment_date;
+        if (localRecord.payment_method) mapped.paymentMethod = localRecord.payment_method;
+        if (localRecord.reference_number) mapped.referenceNumber = localRecord.reference_number;
+        if (localRecord.receipt_number) mapped.receiptNumber = localRecord.receipt_number;
+
+        delete mapped.payment_date;
+        delete mapped.payment_method;
+        delete mapped.reference_number;
+        delete mapped.receipt_number;
+        break;
+
+      case 'expenses':
+        if (localRecord.expense_date) mapped.expenseDate = localRecord.expense_date;
+        if (localRecord.payment_method) mapped.paymentMethod = localRecord.payment_method;
+        if (localRecord.receipt_number) mapped.receiptNumber = localRecord.receipt_number;
+        if (localRecord.receipt_url) mapped.receiptUrl = localRecord.receipt_url;
+        mapped.isRecurring = !!localRecord.is_recurring;
+        if (localRecord.recurring_frequency) mapped.recurringFrequency = localRecord.recurring_frequency;
+        // Occurrences are posted on every device that has the template; the server accepts one
+        // expense per (recurringTemplateId, occurrenceDate) and answers a second post with the first
+        if (localRecord.recurring_template_id && localRecord.expense_date) {
+          mapped.occurrenceDate = String(localRecord.expense_date).slice(0, 10);
+        }
+
+        delete mapped.expense_date;
+        delete mapped.payment_method;
+        delete mapped.receipt_number;
+        delete mapped.receipt_url;
+        delete mapped.is_recurring;
+        delete mapped.recurring_frequency;
+        delete mapped.recurring_template_id; // Sent as the remapped recurringTemplateId
+        break;
+
+      case 'bird_transfers':
+        if (localRecord.transfer_date) mapped.transferDate = localRecord.transfer_date;
+        if (localRecord.new_batch) {
+          mapped.newBatch = {
+            batchName: localRecord.new_batch.batch_name,
+            birdType: localRecord.new_batch.bird_type,
+            breed: localRecord.new_batch.breed,
+            farmId: localRecord.new_batch.farmId,
+            arrivalDate: localRecord.new_batch.arrival_date
+          };
+        }
+
+        // Local batch and farm ids are replaced by the remapped camelCase server ids
+        delete mapped.transfer_date;
+        delete mapped.new_batch;
+        delete mapped.created_new_batch;
+        delete mapped.organization_id;
+        delete mapped.from_batch_id;
+        delete mapped.to_batch_id;
+        delete mapped.from_farm_id;
+        delete mapped.to_farm_id;
+        delete mapped.is_synced;
+        delete mapped.synced_at;
+        delete mapped.created_at;
+        delete mapped.updated_at;
+        break;
     }
 
+    // Sales tables and expenses: local foreign keys are replaced by the remapped camelCase server ids
+    if (['customers', 'sales', 'invoices', 'payments', 'expenses'].includes(tableName)) {
+      delete mapped.organization_id;
+      delete mapped.customer_id;
+      delete mapped.batch_id;
+      delete mapped.farm_id;
+      delete mapped.sale_id;
+      delete mapped.invoice_id;
+      delete mapped.is_synced;
+      delete mapped.synced_at;
+      delete mapped.created_at;
+      delete mapped.updated_at;
+      delete mapped.deleted_at;
+      delete mapped.customer_name;
+    }
+
+    // OFFLINE PROFILES: Send who entered the record on a shared device
+    [['fed_by', 'fedBy'], ['collected_by', 'collectedBy'], ['recorded_by', 'recordedBy']].forEach(([column, field]) => {
+      if (!Object.prototype.hasOwnProperty.call(mapped, column)) return;
+      if (mapped[column] !== null && mapped[column] !== undefined) mapped[field] = mapped[column];
+      delete mapped[column];
+    });
+
     return mapped;
   }
 
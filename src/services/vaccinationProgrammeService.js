@@ -0,0 +1,198 @@
+/**
+ * Vaccination Programme Service
+ *
+ * Programme templates (Marek's day 1, Gumboro day 14, ...) stored per organization in SQLite.
+ * Applying a template to a batch creates every planned vaccination_record at
+ * arrival_date + day offset; the reminder service then schedules reminders for the ones
+ * coming up within its horizon.
+ *
+ * Templates are local only; the generated vaccination records sync like any other record.
+ */
+
+import fastDatabase from './fastDatabase';
+import reminderService from './reminderService';
+import autoSyncService from './autoSyncService';
+import dataEventBus, { EventTypes } from './dataEventBus';
+import permissionService from './permissionService';
+import { PERMISSIONS } from '../utils/permissions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Seeded the first time an organization opens its templates. Users can edit or delete them.
+export const DEFAULT_VACCINATION_TEMPLATES = [
+  {
+    name: 'Broiler Standard Programme',
+    birdType: 'Broiler',
+    items: [
+      { vaccine: 'Marek\'s Disease', dayOffset: 1, medication: 'HVT (hatchery injection)', notes: '' },
+      { vaccine: 'Newcastle Disease (ND)', dayOffset: 7, medication: 'Hitchner B1 + IB H120', notes: 'Eye drop or drinking water' },
+      { vaccine: 'Gumboro (IBD)', dayOffset: 14, medication: 'Intermediate IBD strain', notes: 'Drinking water' },
+      { vaccine: 'Newcastle Disease (ND)', dayOffset: 21, medication: 'Lasota', notes: 'Booster, drinking water' },
+      { vaccine: 'Gumboro (IBD)', dayOffset: 24, medication: 'Intermediate IBD strain', notes: 'Booster, drinking water' },
+    ],
+  },
+  {
+    name: 'Layer Standard Programme',
+    birdType: 'Layer',
+    items: [
+      { vaccine: 'Marek\'s Disease', dayOffset: 1, medication: 'HVT (hatchery injection)', notes: '' },
+      { vaccine: 'Newcastle Disease (ND)', dayOffset: 7, medication: 'Hitchner B1 + IB H120', notes: 'Eye drop or drinking water' },
+      { vaccine: 'Gumboro (IBD)', dayOffset: 14, medication: 'Intermediate IBD strain', notes: 'Drinking water' },
+      { vaccine: 'Newcastle Disease (ND)', dayOffset: 21, medication: 'Lasota', notes: 'Booster, drinking water' },
+      { vaccine: 'Gumboro (IBD)', dayOffset: 28, medication: 'Intermediate IBD strain', notes: 'Booster, drinking water' },
+      { vaccine: 'Fowl Pox', dayOffset: 42, medication: 'Fowl pox live vaccine', notes: 'Wing web' },
+      { vaccine: 'Infectious Bronchitis (IB)', dayOffset: 56, medication: 'ND + IB live', notes: 'Booster, drinking water' },
+      { vaccine: 'Infectious Coryza', dayOffset: 84, medication: 'Coryza inactivated', notes: 'Injection' },
+      { vaccine: 'Newcastle Disease (ND)', dayOffset: 112, medication: 'ND + IB + EDS inactivated', notes: 'Before point of lay, injection' },
+    ],
+  },
+];
+
+class VaccinationProgrammeService {
+  /**
+   * Templates for the current organization, optionally limited to one bird type.
+   * Seeds the default programmes the first time.
+   */
+  getTemplates(birdType = null) {
+    fastDatabase.seedVaccinationTemplates(DEFAULT_VACCINATION_TEMPLATES);
+    return fastDatabase.getVaccinationTemplates(birdType);
+  }
+
+  getTemplate(templateId) {
+    return fastDatabase.getVaccinationTemplateById(templateId);
+  }
+
+  /**
+   * Validate a template and return a cleaned copy with items sorted by day.
+   * Throws with a user-facing message if invalid.
+   */
+  normalizeTemplate(template) {
+    if (!template || !template.name || !String(template.name).trim()) {
+      throw new Error('Please enter a programme name');
+    }
+
+    const items = Array.isArray(template.items) ? template.items : [];
+    if (items.length === 0) {
+      throw new Error('Add at least one vaccination to the programme');
+    }
+
+    const cleanItems = items.map((item, index) => {
+      const vaccine = String(item?.vaccine || '').trim();
+      const dayOffset = Number(item?.dayOffset);
+      if (!vaccine) {
+        throw new Error(`Vaccination ${index + 1} needs a vaccine`);
+      }
+      if (!Number.isInteger(dayOffset) || dayOffset < 0) {
+        throw new Error(`${vaccine}: day must be a whole number of 0 or more`);
+      }
+      return {
+        vaccine,
+        dayOffset,
+        medication: String(item.medication || '').trim(),
+        notes: String(item.notes || '').trim(),
+      };
+    });
+
+    return {
+      ...template,
+      name: String(template.name).trim(),
+      birdType: template.birdType || template.bird_type || null,
+      items: cleanItems.sort((a, b) => a.dayOffset - b.dayOffset),
+    };
+  }
+
+  saveTemplate(template) {
+    permissionService.assert(PERMISSIONS.HEALTH_MANAGE);
+    return fastDatabase.saveVaccinationTemplate(this.normalizeTemplate(template));
+  }
+
+  deleteTemplate(templateId) {
+    permissionService.assert(PERMISSIONS.HEALTH_MANAGE);
+    return fastDatabase.deleteVaccinationTemplate(templateId);
+  }
+
+  /**
+   * Add whole days to a date without letting the device time zone shift it.
+   * @param {string} arrivalDate - YYYY-MM-DD or ISO string
+   * @returns {string} YYYY-MM-DD
+   */
+  addDays(arrivalDate, days) {
+    const match = DATE_PATTERN.exec(String(arrivalDate || ''));
+    if (!match) {
+      throw new Error('The batch has no valid arrival date');
+    }
+    const [year, month, day] = match[0].split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Planned vaccination records for a template, offset from the arrival date
+   */
+  buildSchedule(template, arrivalDate, vaccinationTime = '08:00') {
+    const programmeName = template.name || 'Vaccination programme';
+    return (template.items || []).map(item => ({
+      vaccinationType: item.vaccine,
+      vaccinationDate: this.addDays(arrivalDate, item.dayOffset),
+      vaccinationTime,
+      medication: item.medication || null,
+      notes: [`${programmeName} - day ${item.dayOffset}`, item.notes].filter(Boolean).join('. '),
+    }));
+  }
+
+  /**
+   * Generate a batch's vaccination programme from a template
+   * @param {number} batchId - Local batch id
+   * @param {number} templateId - Template to apply
+   * @param {Object} options - { vaccinationTime: 'HH:MM' }
+   * @returns {Promise<{ created: Array, skipped: number, remindersScheduled: number }>}
+   */
+  async applyTemplateToBatch(batchId, templateId, { vaccinationTime = '08:00' } = {}) {
+    permissionService.assert(PERMISSIONS.HEALTH_MANAGE);
+
+    if (!TIME_PATTERN.test(vaccinationTime)) {
+      throw new Error('Please enter the vaccination time as HH:MM');
+    }
+
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      throw new Error('Vaccination programme not found');
+    }
+
+    const batch = fastDatabase.getBatchById(batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    const schedule = this.buildSchedule(template, batch.arrival_date, vaccinationTime);
+    const created = fastDatabase.createPlannedVaccinations(batch.id, schedule);
+    console.log(`💉 VaccinationProgramme: Applied "${template.name}" to batch ${batch.id} (${created.length}/${schedule.length} new)`);
+
+    // One reschedule for the whole programme; only reminders it actually scheduled for the new
+    // records are counted (vaccinations past the reminder horizon get theirs later)
+    let remindersScheduled = 0;
+    if (created.length > 0) {
+      const createdIds = new Set(created.map(record => record.id));
+      const reminders = await reminderService.reschedule();
+      remindersScheduled = reminders.filter(reminder =>
+        (reminder.data?.vaccinationIds || []).some(id => createdIds.has(id))
+      ).length;
+    }
+
+    if (created.length > 0) {
+      dataEventBus.emit(EventTypes.VACCINATION_RECORD_CREATED, {
+        recordType: 'vaccination',
+        records: created,
+        source: 'local'
+      }, { debounce: false });
+      autoSyncService.syncAfterActivity();
+    }
+
+    return { created, skipped: schedule.length - created.length, remindersScheduled };
+  }
+}
+
+// Export singleton instance
+const vaccinationProgrammeService = new VaccinationProgrammeService();
+export default vaccinationProgrammeService;
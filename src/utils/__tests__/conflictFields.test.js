@@ -0,0 +1,116 @@
+/**
+ * Tests for sync conflict field helpers
+ * Covers local/server comparison and building values for each resolution strategy
+ */
+
+import {
+  getConflictFields,
+  getConflictTableLabel,
+  buildResolvedValues,
+  keepsLocalValues,
+} from '../conflictFields';
+
+const conflict = {
+  table_name: 'feed_records',
+  local_data: {
+    id: 5,
+    server_id: 'f-1',
+    needs_sync: 1,
+    quantity_kg: 50,
+    feed_type: 'Starter',
+    notes: 'Morning feed',
+    updated_at: '2026-10-01 08:00:00',
+  },
+  server_data: {
+    id: 'f-1',
+    quantityKg: 45,
+    feedType: 'Starter',
+    notes: 'Morning feed - corrected',
+    updatedAt: '2026-10-01T09:00:00Z',
+  },
+};
+
+describe('getConflictFields', () => {
+  test('compares snake_case local columns with camelCase server fields', () => {
+    const fields = getConflictFields(conflict);
+
+    expect(fields.map(f => f.field)).toEqual(['quantity_kg', 'feed_type', 'notes']);
+    expect(fields[0]).toEqual({ field: 'quantity_kg', localValue: 50, serverValue: 45, differs: true });
+    expect(fields[1].differs).toBe(false);
+    expect(fields[2].differs).toBe(true);
+  });
+
+  test('treats numbers and numeric strings as equal', () => {
+    const fields = getConflictFields({
+      local_data: { quantity_kg: 45 },
+      server_data: { quantity_kg: '45' },
+    });
+
+    expect(fields[0].differs).toBe(false);
+  });
+
+  test('translates server foreign keys to local ids before comparing', () => {
+    const localIds = { 'poultry_batches|b-9': 3, 'poultry_batches|b-7': 4, 'farms|12': 1 };
+    const resolveLocalId = (tableName, serverId) => localIds[`${tableName}|${serverId}`] ?? null;
+    const feedConflict = {
+      local_data: { batch_id: 3, farm_id: 1, customer_id: 8, quantity_kg: 50 },
+      server_data: { batchId: 'b-9', farm: { id: 12 }, customerId: 'c-unknown', quantityKg: 50 },
+    };
+
+    const fields = getConflictFields(feedConflict, resolveLocalId);
+    // A reference this device cannot map is left out rather than written as a server id
+    expect(fields.map(f => f.field)).toEqual(['batch_id', 'farm_id', 'quantity_kg']);
+    expect(fields.every(f => !f.differs)).toBe(true);
+
+    const moved = getConflictFields({
+      ...feedConflict,
+      server_data: { ...feedConflict.server_data, batchId: 'b-7' },
+    }, resolveLocalId);
+    expect(buildResolvedValues(moved, 'server_wins')).toEqual({ batch_id: 4 });
+
+    // Without a resolver foreign keys are not compared at all
+    expect(getConflictFields(feedConflict).map(f => f.field)).toEqual(['quantity_kg']);
+  });
+
+  test('handles a conflict without data', () => {
+    expect(getConflictFields(null)).toEqual([]);
+  });
+});
+
+describe('buildResolvedValues', () => {
+  const fields = getConflictFields(conflict);
+
+  test('local_wins keeps every differing local value', () => {
+    expect(buildResolvedValues(fields, 'local_wins')).toEqual({
+      quantity_kg: 50,
+      notes: 'Morning feed',
+    });
+    expect(keepsLocalValues(fields, 'local_wins')).toBe(true);
+  });
+
+  test('server_wins takes every differing server value and is not re-queued', () => {
+    expect(buildResolvedValues(fields, 'server_wins')).toEqual({
+      quantity_kg: 45,
+      notes: 'Morning feed - corrected',
+    });
+    expect(keepsLocalValues(fields, 'server_wins')).toBe(false);
+  });
+
+  test('merged picks per field and defaults to the server value', () => {
+    const choices = { quantity_kg: 'local' };
+
+    expect(buildResolvedValues(fields, 'merged', choices)).toEqual({
+      quantity_kg: 50,
+      notes: 'Morning feed - corrected',
+    });
+    expect(keepsLocalValues(fields, 'merged', choices)).toBe(true);
+    expect(keepsLocalValues(fields, 'merged', {})).toBe(false);
+  });
+});
+
+describe('getConflictTableLabel', () => {
+  test('labels known and unknown tables', () => {
+    expect(getConflictTableLabel('feed_records')).toBe('Feed record');
+    expect(getConflictTableLabel('egg_trays')).toBe('egg trays');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * BATCH CLOSE-OUT HELPERS
+ *
+ * End-of-cycle figures for a batch that is being depopulated: livability, FCR,
+ * EPEF (European Production Efficiency Factor) and cost per kg of live weight.
+ */
+
+// Closed batches keep their records for analytics but take no new ones
+export const ARCHIVED_STATUS = 'archived';
+
+export const CLOSE_REASONS = [
+  { key: 'sold', label: 'Flock sold' },
+  { key: 'culled', label: 'Culled' },
+  { key: 'end_of_lay', label: 'End of lay' },
+  { key: 'other', label: 'Other' },
+];
+
+export const isArchivedBatch = (batch) => (batch?.status || '').toLowerCase() === ARCHIVED_STATUS;
+
+export const getCloseReasonLabel = (reason) =>
+  (CLOSE_REASONS.find(option => option.key === reason) || { label: reason || 'Other' }).label;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+export const daysBetween = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return 0;
+  return Math.max(0, Math.round((end - start) / (24 * 60 * 60 * 1000)));
+};
+
+/**
+ * Check the close-out form before a batch is archived
+ * @param {Object} options - { checkWeight } false while the weight step is not reached yet
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCloseout = (batch, closeout, { checkWeight = true } = {}) => {
+  const birdsSold = parseInt(closeout.birdsSold, 10) || 0;
+  const birdsCulled = parseInt(closeout.birdsCulled, 10) || 0;
+  const placed = parseInt(batch.initial_count ?? batch.initialCount, 10) || 0;
+
+  if (birdsSold < 0 || birdsCulled < 0) return 'Bird counts cannot be negative';
+  if (birdsSold + birdsCulled > placed) {
+    return `Birds sold and culled (${birdsSold + birdsCulled}) are more than the birds placed (${placed})`;
+  }
+  if (checkWeight && birdsSold > 0 && !(parseFloat(closeout.finalAvgWeightKg) > 0)) {
+    return 'Enter the final average weight of the birds sold';
+  }
+  if (!closeout.closeDate || isNaN(new Date(closeout.closeDate).getTime())) {
+    return 'Enter the close-out date (YYYY-MM-DD)';
+  }
+  return null;
+};
+
+/**
+ * End-of-cycle summary from the final numbers and the batch's recorded totals
+ * @param {Object} batch - poultry_batches row (initial_count, arrival_date)
+ * @param {Object} closeout - { birdsSold, birdsCulled, finalAvgWeightKg, closeDate }
+ * @param {Object} totals - { feedKg, totalCost, deaths } recorded against the batch
+ */
+export const computeCloseoutSummary = (batch, closeout, totals = {}) => {
+  const birdsPlaced = parseInt(batch.initial_count ?? batch.initialCount, 10) || 0;
+  const birdsSold = parseInt(closeout.birdsSold, 10) || 0;
+  const birdsCulled = parseInt(closeout.birdsCulled, 10) || 0;
+  const avgWeightKg = parseFloat(closeout.finalAvgWeightKg) || 0;
+  const feedKg = totals.feedKg || 0;
+  const totalCost = totals.totalCost || 0;
+  const ageDays = daysBetween(batch.arrival_date ?? batch.arrivalDate, closeout.closeDate);
+
+  const liveWeightKg = birdsSold * avgWeightKg;
+  const livability = birdsPlaced > 0 ? ((birdsSold + birdsCulled) / birdsPlaced) * 100 : 0;
+  const fcr = liveWeightKg > 0 ? feedKg / liveWeightKg : 0;
+  const epef = ageDays > 0 && fcr > 0 ? (livability * avgWeightKg * 100) / (ageDays * fcr) : 0;
+
+  return {
+    birdsPlaced,
+    birdsSold,
+    birdsCulled,
+    deaths: totals.deaths || 0,
+    ageDays,
+    avgWeightKg: round(avgWeightKg, 3),
+    liveWeightKg: round(liveWeightKg),
+    feedKg: round(feedKg),
+    totalCost: round(totalCost),
+    livability: round(livability, 1),
+    fcr: round(fcr),
+    epef: Math.round(epef),
+    costPerKg: liveWeightKg > 0 ? round(totalCost / liveWeightKg) : 0,
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * BIRD LEDGER HELPERS
+ *
+ * Movement types of the bird count ledger (see fastDatabase bird_movements), the movements a
+ * batch, mortality record or bird sale posts, and the running balance shown on the batch history.
+ * Quantities are signed: arrivals and transfers in add birds, everything else takes them off,
+ * and adjustments can go either way. A bird transfer posts on two batches at once.
+ */
+
+import { isArchivedBatch } from './batchCloseout';
+
+export const MOVEMENT_TYPES = [
+  { key: 'arrival', label: 'Arrival', icon: '🐣', direction: 1 },
+  { key: 'death', label: 'Death', icon: '💀', direction: -1 },
+  { key: 'cull', label: 'Cull', icon: '✂️', direction: -1 },
+  { key: 'sale', label: 'Sale', icon: '💰', direction: -1 },
+  { key: 'transfer_in', label: 'Transfer In', icon: '📥', direction: 1 },
+  { key: 'transfer_out', label: 'Transfer Out', icon: '📤', direction: -1 },
+  { key: 'adjustment', label: 'Count Adjustment', icon: '⚖️', direction: 0 },
+];
+
+// Movements entered by hand on the batch history; the others are posted from their records
+export const MANUAL_MOVEMENT_TYPES = ['cull', 'sale', 'adjustment'];
+
+export const getMovementType = (key) =>
+  MOVEMENT_TYPES.find(type => type.key === key) || { key, label: key || 'Unknown', icon: '•', direction: 0 };
+
+/**
+ * Signed quantity of a movement. Adjustments keep the sign they were entered with.
+ */
+export const signedQuantity = (movementType, quantity) => {
+  const count = Math.round(Number(quantity) || 0);
+  const { direction } = getMovementType(movementType);
+  return direction === 0 ? count : direction * Math.abs(count);
+};
+
+/**
+ * Movements posted by a batch: its arrival and, once archived, the close-out sale and cull.
+ * Birds sold through sales records are already in the ledger, so only the rest of the
+ * close-out figure is posted as a sale. A batch opened by a transfer gets its birds from
+ * the transfer in, so it posts no arrival.
+ * @param {Object} batch - poultry_batches row
+ * @param {number} recordedSales - Birds sold from this batch through sales records
+ */
+export const buildBatchMovements = (batch, recordedSales = 0) => {
+  const movements = [];
+  if (!(parseInt(batch.opened_by_transfer, 10) > 0)) {
+    movements.push({
+      movementType: 'arrival',
+      quantity: Math.max(0, parseInt(batch.initial_count, 10) || 0),
+      date: batch.arrival_date || batch.created_at,
+      notes: 'Birds placed',
+    });
+  }
+
+  if (isArchivedBatch(batch)) {
+    const closeDate = batch.closed_at || batch.updated_at;
+    movements.push(
+      {
+        movementType: 'sale',
+        quantity: -Math.max(0, (parseInt(batch.birds_sold, 10) || 0) - (parseInt(recordedSales, 10) || 0)),
+        date: closeDate,
+        notes: 'Batch close-out',
+      },
+      {
+        movementType: 'cull',
+        quantity: -Math.max(0, parseInt(batch.birds_culled, 10) || 0),
+        date: closeDate,
+        notes: 'Batch close-out',
+      }
+    );
+  }
+
+  return movements.filter(movement => movement.quantity !== 0);
+};
+
+export const buildMortalityMovements = (record) => {
+  const count = Math.abs(parseInt(record.count ?? record.death_count, 10) || 0);
+  return count > 0
+    ? [{ movementType: 'death', quantity: -count, date: record.date || record.death_date || record.date_recorded || record.created_at, notes: record.cause || null }]
+    : [];
+};
+
+export const buildSaleMovements = (sale) => {
+  const birds = Math.round(parseFloat(sale.quantity) || 0);
+  return sale.product_type === 'birds' && birds > 0
+    ? [{ movementType: 'sale', quantity: -birds, date: sale.sale_date, notes: sale.invoice_number || null }]
+    : [];
+};
+
+/**
+ * A transfer posts on both batches: a transfer out of the source and a transfer in to the
+ * destination. Unlike the other builders each movement names its own batch and farm.
+ * @param {Object} transfer - bird_transfers row, with from_batch_name and to_batch_name
+ */
+export const buildTransferMovements = (transfer) => {
+  const birds = Math.abs(parseInt(transfer.quantity, 10) || 0);
+  if (birds === 0) return [];
+
+  const withNotes = (label) => [label, transfer.notes].filter(Boolean).join(' - ');
+  return [
+    {
+      movementType: 'transfer_out',
+      quantity: -birds,
+      date: transfer.transfer_date,
+      batchId: transfer.from_batch_id,
+      farmId: transfer.from_farm_id,
+      notes: withNotes(`To ${transfer.to_batch_name || 'another batch'}`),
+    },
+    {
+      movementType: 'transfer_in',
+      quantity: birds,
+      date: transfer.transfer_date,
+      batchId: transfer.to_batch_id,
+      farmId: transfer.to_farm_id,
+      notes: withNotes(`From ${transfer.from_batch_name || 'another batch'}`),
+    },
+  ];
+};
+
+/**
+ * Movements oldest first with the bird count after each one
+ * @param {Array} movements - bird_movements rows
+ */
+export const computeRunningBalance = (movements = []) => {
+  let balance = 0;
+  return [...movements]
+    .sort((a, b) => String(a.movement_date || '').localeCompare(String(b.movement_date || '')) || (a.id || 0) - (b.id || 0))
+    .map(movement => {
+      balance += Number(movement.quantity) || 0;
+      return { ...movement, balance };
+    });
+};
+
+/**
+ * Compare the ledger balance with the count stored on the batch
+ * @returns {Object} { ledgerCount, storedCount, difference, inBalance } - difference is stored minus ledger
+ */
+export const reconcileBatchCount = (batch, movements = []) => {
+  const ledgerCount = movements.reduce((sum, movement) => sum + (Number(movement.quantity) || 0), 0);
+  const storedCount = parseInt(batch?.current_count ?? batch?.currentCount, 10) || 0;
+  return {
+    ledgerCount,
+    storedCount,
+    difference: storedCount - ledgerCount,
+    inBalance: storedCount === ledgerCount,
+  };
+};
@@ -0,0 +1,246 @@
+/**
+ * BREED STANDARD HELPERS
+ *
+ * Breed standard curves give the target body weight, daily feed intake, cumulative FCR and
+ * cumulative mortality by day of age. A batch's weight, feed and mortality records are
+ * grouped by week of age and compared with the curve as a percentage deviation.
+ *
+ * Laying curves use the same points with a hen-day production %, counted by day of lay
+ * (day 0 is the first egg) rather than day of age.
+ */
+
+import { daysBetween } from './batchCloseout';
+
+export const STANDARD_FIELDS = [
+  { key: 'bodyWeightG', label: 'Body weight (g)' },
+  { key: 'dailyFeedG', label: 'Daily feed (g/bird)' },
+  { key: 'cumulativeFcr', label: 'Cumulative FCR' },
+  { key: 'mortalityPct', label: 'Cumulative mortality (%)' },
+  { key: 'henDayPct', label: 'Hen-day production (%)' },
+];
+
+// Approximate as-hatched performance objectives from the published breeder handbooks.
+// Seeded once per organization (laying curves by day of lay); check them against the current
+// handbook and edit as needed.
+export const DEFAULT_BREED_STANDARDS = [
+  {
+    name: 'Ross 308',
+    birdType: 'Broiler',
+    points: [
+      { day: 0, bodyWeightG: 42, dailyFeedG: 12, cumulativeFcr: null, mortalityPct: 0 },
+      { day: 7, bodyWeightG: 210, dailyFeedG: 38, cumulativeFcr: 0.87, mortalityPct: 0.8 },
+      { day: 14, bodyWeightG: 520, dailyFeedG: 87, cumulativeFcr: 1.08, mortalityPct: 1.2 },
+      { day: 21, bodyWeightG: 990, dailyFeedG: 139, cumulativeFcr: 1.25, mortalityPct: 1.6 },
+      { day: 28, bodyWeightG: 1600, dailyFeedG: 181, cumulativeFcr: 1.4, mortalityPct: 2.0 },
+      { day: 35, bodyWeightG: 2270, dailyFeedG: 212, cumulativeFcr: 1.53, mortalityPct: 2.5 },
+      { day: 42, bodyWeightG: 2940, dailyFeedG: 231, cumulativeFcr: 1.65, mortalityPct: 3.0 },
+      { day: 49, bodyWeightG: 3560, dailyFeedG: 241, cumulativeFcr: 1.77, mortalityPct: 3.5 },
+      { day: 56, bodyWeightG: 4110, dailyFeedG: 244, cumulativeFcr: 1.88, mortalityPct: 4.0 },
+    ],
+  },
+  {
+    name: 'Cobb 500',
+    birdType: 'Broiler',
+    points: [
+      { day: 0, bodyWeightG: 42, dailyFeedG: 12, cumulativeFcr: null, mortalityPct: 0 },
+      { day: 7, bodyWeightG: 185, dailyFeedG: 35, cumulativeFcr: 0.87, mortalityPct: 0.8 },
+      { day: 14, bodyWeightG: 465, dailyFeedG: 84, cumulativeFcr: 1.08, mortalityPct: 1.2 },
+      { day: 21, bodyWeightG: 943, dailyFeedG: 135, cumulativeFcr: 1.26, mortalityPct: 1.6 },
+      { day: 28, bodyWeightG: 1524, dailyFeedG: 178, cumulativeFcr: 1.41, mortalityPct: 2.0 },
+      { day: 35, bodyWeightG: 2191, dailyFeedG: 210, cumulativeFcr: 1.55, mortalityPct: 2.5 },
+      { day: 42, bodyWeightG: 2857, dailyFeedG: 229, cumulativeFcr: 1.68, mortalityPct: 3.0 },
+      { day: 49, bodyWeightG: 3464, dailyFeedG: 242, cumulativeFcr: 1.81, mortalityPct: 3.5 },
+      { day: 56, bodyWeightG: 4007, dailyFeedG: 248, cumulativeFcr: 1.93, mortalityPct: 4.0 },
+    ],
+  },
+  {
+    name: 'Hy-Line Brown',
+    birdType: 'Layer',
+    points: [
+      { day: 0, henDayPct: 20 },
+      { day: 7, henDayPct: 50 },
+      { day: 14, henDayPct: 75 },
+      { day: 21, henDayPct: 88 },
+      { day: 28, henDayPct: 93 },
+      { day: 35, henDayPct: 95 },
+      { day: 70, henDayPct: 95 },
+      { day: 140, henDayPct: 93 },
+      { day: 210, henDayPct: 90 },
+      { day: 280, henDayPct: 86 },
+      { day: 350, henDayPct: 82 },
+      { day: 420, henDayPct: 77 },
+    ],
+  },
+  {
+    name: 'ISA Brown',
+    birdType: 'Layer',
+    points: [
+      { day: 0, henDayPct: 15 },
+      { day: 7, henDayPct: 45 },
+      { day: 14, henDayPct: 72 },
+      { day: 21, henDayPct: 87 },
+      { day: 28, henDayPct: 93 },
+      { day: 35, henDayPct: 95 },
+      { day: 70, henDayPct: 95 },
+      { day: 140, henDayPct: 93 },
+      { day: 210, henDayPct: 90 },
+      { day: 280, henDayPct: 86 },
+      { day: 350, henDayPct: 81 },
+      { day: 420, henDayPct: 76 },
+    ],
+  },
+];
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const isNumber = (value) => value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+
+/**
+ * Standard value of one field at a day of age, linearly interpolated between the curve's points.
+ * Before the first point the first value is used; past the last point there is no standard (null).
+ */
+export const interpolateStandard = (points, day, field) => {
+  const known = (points || [])
+    .filter(point => isNumber(point[field]))
+    .sort((a, b) => a.day - b.day);
+  if (known.length === 0 || day > known[known.length - 1].day) return null;
+  if (day <= known[0].day) return Number(known[0][field]);
+
+  const upperIndex = known.findIndex(point => point.day >= day);
+  const lower = known[upperIndex - 1];
+  const upper = known[upperIndex];
+  const ratio = (day - lower.day) / (upper.day - lower.day);
+  return Number(lower[field]) + (Number(upper[field]) - Number(lower[field])) * ratio;
+};
+
+/**
+ * Percentage by which the actual value is above (+) or below (-) the standard
+ */
+export const deviationPct = (actual, standard) => {
+  if (!isNumber(actual) || !(standard > 0)) return null;
+  return round(((actual - standard) / standard) * 100, 1);
+};
+
+/**
+ * Rate a deviation. For body weight and feed intake being above the curve is good,
+ * for FCR and mortality being below it is.
+ */
+export const getDeviationStatus = (deviation, higherIsBetter = false) => {
+  if (deviation === null || deviation === undefined) return null;
+  const shortfall = higherIsBetter ? -deviation : deviation;
+  if (shortfall <= 0) return 'Excellent';
+  if (shortfall <= 5) return 'Good';
+  if (shortfall <= 10) return 'Average';
+  return 'Poor';
+};
+
+/**
+ * Pick the curve for a batch: the standard whose name (e.g. "Ross") appears in the batch's breed,
+ * otherwise the first standard for its bird type. Null when nothing fits.
+ */
+export const matchStandardForBatch = (batch, standards) => {
+  if (!batch || !Array.isArray(standards) || standards.length === 0) return null;
+
+  const breed = String(batch.breed || '').toLowerCase();
+  if (breed) {
+    const byBreed = standards.find(standard => {
+      const brand = String(standard.name || '').split(' ')[0].toLowerCase();
+      return brand && breed.includes(brand);
+    });
+    if (byBreed) return byBreed;
+  }
+
+  const birdType = String(batch.bird_type || batch.birdType || '').toLowerCase();
+  return standards.find(standard => birdType && String(standard.bird_type || standard.birdType || '').toLowerCase() === birdType) || null;
+};
+
+/**
+ * Week-by-week comparison of a batch with a breed standard
+ * @param {Object} batch - poultry_batches row (arrival_date, initial_count)
+ * @param {Object} standard - { points }
+ * @param {Object} records - { weights, feeds, deaths } from fastDatabase.getBatchBenchmarkRecords
+ * @returns {Array} One row per week of age up to the latest record
+ */
+export const computeWeeklyBenchmark = (batch, standard, records = {}) => {
+  const arrivalDate = batch?.arrival_date ?? batch?.arrivalDate;
+  const points = standard?.points || [];
+  if (!arrivalDate || isNaN(new Date(arrivalDate).getTime())) return [];
+
+  const birdsPlaced = parseInt(batch.initial_count ?? batch.initialCount, 10) || 0;
+  const withDay = (rows) => (rows || [])
+    .filter(row => row.date && !isNaN(new Date(row.date).getTime()))
+    .map(row => ({ ...row, day: daysBetween(arrivalDate, row.date) }));
+
+  const weights = withDay(records.weights)
+    .map(row => ({ ...row, grams: Number(row.average_weight_grams) || (Number(row.average_weight_kg) || 0) * 1000 }))
+    .filter(row => row.grams > 0);
+  const feeds = withDay(records.feeds).map(row => ({ ...row, kg: Number(row.quantity_kg) || 0 }));
+  const deaths = withDay(records.deaths).map(row => ({ ...row, count: Number(row.count) || 0 }));
+
+  const lastDay = Math.max(0, ...[...weights, ...feeds, ...deaths].map(row => row.day));
+  const weekCount = weights.length + feeds.length + deaths.length > 0 ? Math.max(1, Math.ceil(lastDay / 7)) : 0;
+
+  const deathsUpTo = (day) => deaths.filter(row => row.day <= day).reduce((sum, row) => sum + row.count, 0);
+  const feedUpTo = (day) => feeds.filter(row => row.day <= day).reduce((sum, row) => sum + row.kg, 0);
+
+  const weeks = [];
+  for (let week = 1; week <= weekCount; week++) {
+    const endDay = week * 7;
+    const startDay = endDay - 6;
+    // Day 0 (placement) belongs to the first week
+    const inWeek = (row) => row.day <= endDay && row.day >= (week === 1 ? 0 : startDay);
+
+    // Latest weighing of the week, compared at the day it was taken
+    const weighing = weights.filter(inWeek).pop() || null;
+    const standardWeightG = weighing ? interpolateStandard(points, weighing.day, 'bodyWeightG') : null;
+
+    // Average intake per bird per day over the week
+    const weekFeedKg = feeds.filter(inWeek).reduce((sum, row) => sum + row.kg, 0);
+    const birdsAlive = birdsPlaced - (deathsUpTo(startDay - 1) + deathsUpTo(endDay)) / 2;
+    const actualDailyFeedG = weekFeedKg > 0 && birdsAlive > 0 ? (weekFeedKg * 1000) / birdsAlive / 7 : null;
+    const weekStandards = [];
+    for (let day = startDay; day <= endDay; day++) {
+      const value = interpolateStandard(points, day, 'dailyFeedG');
+      if (value !== null) weekStandards.push(value);
+    }
+    const standardDailyFeedG = weekStandards.length > 0
+      ? weekStandards.reduce((sum, value) => sum + value, 0) / weekStandards.length
+      : null;
+
+    // Cumulative FCR needs a weighing: feed to date over the live weight of the birds still alive
+    let actualFcr = null;
+    let standardFcr = null;
+    if (weighing) {
+      const liveWeightKg = (birdsPlaced - deathsUpTo(weighing.day)) * (weighing.grams / 1000);
+      const feedKg = feedUpTo(weighing.day);
+      actualFcr = liveWeightKg > 0 && feedKg > 0 ? feedKg / liveWeightKg : null;
+      standardFcr = interpolateStandard(points, weighing.day, 'cumulativeFcr');
+    }
+
+    const mortalityPct = birdsPlaced > 0 ? (deathsUpTo(endDay) / birdsPlaced) * 100 : null;
+    const standardMortalityPct = interpolateStandard(points, endDay, 'mortalityPct');
+
+    weeks.push({
+      week,
+      day: endDay,
+      weighingDay: weighing ? weighing.day : null,
+      actualWeightG: weighing ? Math.round(weighing.grams) : null,
+      standardWeightG: standardWeightG !== null ? Math.round(standardWeightG) : null,
+      weightDeviationPct: weighing ? deviationPct(weighing.grams, standardWeightG) : null,
+      actualDailyFeedG: actualDailyFeedG !== null ? round(actualDailyFeedG, 1) : null,
+      standardDailyFeedG: standardDailyFeedG !== null ? round(standardDailyFeedG, 1) : null,
+      feedDeviationPct: deviationPct(actualDailyFeedG, standardDailyFeedG),
+      actualFcr: actualFcr !== null ? round(actualFcr) : null,
+      standardFcr: standardFcr !== null ? round(standardFcr) : null,
+      fcrDeviationPct: deviationPct(actualFcr, standardFcr),
+      mortalityPct: mortalityPct !== null ? round(mortalityPct) : null,
+      standardMortalityPct: standardMortalityPct !== null ? round(standardMortalityPct) : null,
+      mortalityDeviationPct: deviationPct(mortalityPct, standardMortalityPct),
+    });
+  }
+
+  return weeks;
+};
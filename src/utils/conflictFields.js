@@ -0,0 +1,166 @@
+/**
+ * SYNC CONFLICT FIELD HELPERS
+ *
+ * Turns a stored sync_conflicts row into a field-by-field comparison of the local
+ * (snake_case SQLite) and server (camelCase API) versions, and builds the column
+ * values to write back for a local-wins or per-field merge resolution.
+ *
+ * Foreign-key columns hold local ids on the device but server ids in the server payload, so
+ * the server side is translated to local ids before it is compared or written back.
+ */
+
+// Bookkeeping columns that are never shown or merged
+const IGNORED_FIELDS = [
+  'id',
+  'server_id',
+  'organization_id',
+  'needs_sync',
+  'is_synced',
+  'synced_at',
+  'last_sync',
+  'created_at',
+  'updated_at',
+  'is_deleted',
+  'deleted_at'
+];
+
+// Foreign-key columns and the table their id points at
+const FOREIGN_KEY_TABLES = {
+  farm_id: 'farms',
+  batch_id: 'poultry_batches',
+  customer_id: 'customers',
+  sale_id: 'sales',
+  invoice_id: 'invoices',
+  from_batch_id: 'poultry_batches',
+  to_batch_id: 'poultry_batches',
+  from_farm_id: 'farms',
+  to_farm_id: 'farms'
+};
+
+const TABLE_LABELS = {
+  farms: 'Farm',
+  poultry_batches: 'Batch',
+  feed_records: 'Feed record',
+  production_records: 'Production record',
+  mortality_records: 'Mortality record',
+  health_records: 'Health record',
+  water_records: 'Water record',
+  weight_records: 'Weight record',
+  vaccination_records: 'Vaccination record',
+  expenses: 'Expense',
+  customers: 'Customer',
+  sales: 'Sale',
+  invoices: 'Invoice',
+  payments: 'Payment'
+};
+
+const toCamelCase = (column) => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return String(value);
+};
+
+/**
+ * Human label for a table name
+ * @param {string} tableName - SQLite table name
+ * @returns {string} Label such as "Feed record"
+ */
+export const getConflictTableLabel = (tableName) =>
+  TABLE_LABELS[tableName] || String(tableName || 'Record').replace(/_/g, ' ');
+
+/**
+ * Readable label for a column name
+ * @param {string} column - snake_case column
+ * @returns {string} Label such as "Quantity kg"
+ */
+export const getFieldLabel = (column) => {
+  const words = String(column).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Server value of a foreign-key column as a local id
+ * @returns {{ resolved: boolean, value: number|null }} resolved is false when the server points
+ * at a record this device does not have
+ */
+const resolveForeignKey = (serverData, field, resolveLocalId) => {
+  const nested = serverData[field.replace(/_id$/, '')];
+  const serverRefId = serverData[field] ?? serverData[toCamelCase(field)] ?? nested?.id;
+  if (serverRefId === undefined || serverRefId === null || serverRefId === '') {
+    return { resolved: true, value: null };
+  }
+  const localId = resolveLocalId ? resolveLocalId(FOREIGN_KEY_TABLES[field], String(serverRefId)) : null;
+  return { resolved: localId !== null && localId !== undefined, value: localId ?? null };
+};
+
+/**
+ * Compare local and server data column by column
+ * @param {Object} conflict - Row from fastDatabase.getPendingConflicts()
+ * @param {Function} resolveLocalId - (tableName, serverId) => local id, e.g.
+ * fastDatabase.getLocalIdForServerId. Foreign-key columns are left out without it, and when the
+ * server points at a record this device does not have.
+ * @returns {Array<{field, localValue, serverValue, differs}>} One entry per local column
+ */
+export const getConflictFields = (conflict, resolveLocalId = null) => {
+  const localData = conflict?.local_data || {};
+  const serverData = conflict?.server_data || {};
+
+  return Object.keys(localData)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => {
+      const localValue = localData[field];
+      let serverValue = serverData[field] !== undefined ? serverData[field] : serverData[toCamelCase(field)];
+
+      if (FOREIGN_KEY_TABLES[field]) {
+        const foreignKey = resolveForeignKey(serverData, field, resolveLocalId);
+        if (!foreignKey.resolved) return null;
+        serverValue = foreignKey.value;
+      }
+
+      return {
+        field,
+        localValue: localValue === undefined ? null : localValue,
+        serverValue: serverValue === undefined ? null : serverValue,
+        differs: normalize(localValue) !== normalize(serverValue)
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Build the column values to write back for a resolution
+ * @param {Array} fields - Output of getConflictFields
+ * @param {string} strategy - 'local_wins', 'server_wins' or 'merged'
+ * @param {Object} choices - For 'merged': { [field]: 'local' | 'server' }, defaults to server
+ * @returns {Object} Column → value map of every differing field
+ */
+export const buildResolvedValues = (fields, strategy, choices = {}) => {
+  const values = {};
+
+  (Array.isArray(fields) ? fields : [])
+    .filter(item => item.differs)
+    .forEach(item => {
+      let side = 'server';
+      if (strategy === 'local_wins') side = 'local';
+      if (strategy === 'merged') side = choices[item.field] === 'local' ? 'local' : 'server';
+      values[item.field] = side === 'local' ? item.localValue : item.serverValue;
+    });
+
+  return values;
+};
+
+/**
+ * Whether a resolution keeps at least one local value (and so must be pushed again)
+ * @param {Array} fields - Output of getConflictFields
+ * @param {string} strategy - 'local_wins', 'server_wins' or 'merged'
+ * @param {Object} choices - Per-field choices for 'merged'
+ * @returns {boolean}
+ */
+export const keepsLocalValues = (fields, strategy, choices = {}) => {
+  if (strategy === 'server_wins') return false;
+  const differing = (Array.isArray(fields) ? fields : []).filter(item => item.differs);
+  if (strategy === 'local_wins') return differing.length > 0;
+  return differing.some(item => choices[item.field] === 'local');
+};
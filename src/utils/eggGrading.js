@@ -0,0 +1,116 @@
+/**
+ * EGG GRADING HELPERS
+ *
+ * Size grades recorded on production records, tray/crate conversion for egg sales,
+ * and the egg stock entries a production record or sale posts (see fastDatabase egg_stock_ledger).
+ */
+
+export const EGGS_PER_TRAY = 30;
+export const TRAYS_PER_CRATE = 12;
+
+// Sellable eggs not broken down by size are stocked as ungraded
+export const UNGRADED = 'ungraded';
+
+export const EGG_GRADES = [
+  { key: 'small', label: 'Small', short: 'S' },
+  { key: 'medium', label: 'Medium', short: 'M' },
+  { key: 'large', label: 'Large', short: 'L' },
+  { key: 'extra_large', label: 'Extra Large', short: 'XL' },
+];
+
+export const EGG_STOCK_GRADES = [...EGG_GRADES, { key: UNGRADED, label: 'Ungraded', short: 'U' }];
+
+export const EGG_UNITS = [
+  { key: 'eggs', label: 'Eggs', eggs: 1 },
+  { key: 'trays', label: `Trays (${EGGS_PER_TRAY})`, eggs: EGGS_PER_TRAY },
+  { key: 'crates', label: `Crates (${TRAYS_PER_CRATE} trays)`, eggs: EGGS_PER_TRAY * TRAYS_PER_CRATE },
+];
+
+export const getGradeLabel = (grade) =>
+  (EGG_STOCK_GRADES.find(option => option.key === grade) || { label: grade || 'Ungraded' }).label;
+
+/**
+ * Number of eggs in a sale quantity. Units are free text on older sales, so 'tray', 'Trays' etc. all match.
+ */
+export const toEggCount = (quantity, unit) => {
+  const normalized = String(unit || '').trim().toLowerCase();
+  const match = EGG_UNITS.find(option => normalized === option.key || normalized === option.key.slice(0, -1));
+  return Math.round((parseFloat(quantity) || 0) * (match ? match.eggs : 1));
+};
+
+/**
+ * "12 trays + 5 eggs" style display of an egg count
+ */
+export const formatTrays = (eggCount) => {
+  const rounded = Math.round(eggCount || 0);
+  // Stock goes negative when more is sold than was recorded as collected
+  const sign = rounded < 0 ? '-' : '';
+  const count = Math.abs(rounded);
+  const trays = Math.floor(count / EGGS_PER_TRAY);
+  const loose = count % EGGS_PER_TRAY;
+
+  if (trays === 0) return `${sign}${loose} eggs`;
+  return loose > 0 ? `${sign}${trays} trays + ${loose} eggs` : `${sign}${trays} trays`;
+};
+
+/**
+ * Keep known grades with whole, positive counts. Accepts an object or its JSON string.
+ */
+export const parseGradeCounts = (value) => {
+  let counts = value;
+  if (typeof value === 'string') {
+    try {
+      counts = JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+  if (!counts || typeof counts !== 'object') return {};
+
+  return EGG_GRADES.reduce((result, grade) => {
+    const count = parseInt(counts[grade.key], 10);
+    if (count > 0) result[grade.key] = count;
+    return result;
+  }, {});
+};
+
+export const getSellableEggs = (record) => Math.max(0,
+  (parseInt(record.eggs_collected ?? record.eggsCollected, 10) || 0) -
+  (parseInt(record.broken_eggs ?? record.brokenEggs, 10) || parseInt(record.eggs_broken, 10) || 0) -
+  (parseInt(record.abnormal_eggs ?? record.abnormalEggs, 10) || 0)
+);
+
+/**
+ * Check a production form's grade breakdown against the sellable eggs
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateGradeCounts = (record, gradeCounts) => {
+  const graded = Object.values(parseGradeCounts(gradeCounts)).reduce((sum, count) => sum + count, 0);
+  const sellable = getSellableEggs(record);
+  return graded > sellable
+    ? `Graded eggs (${graded}) are more than the sellable eggs collected (${sellable})`
+    : null;
+};
+
+/**
+ * Stock entries (positive egg counts per grade) posted by a production record
+ */
+export const buildProductionStockEntries = (record) => {
+  const sellable = getSellableEggs(record);
+  const gradeCounts = parseGradeCounts(record.grade_counts ?? record.gradeCounts);
+  const entries = Object.keys(gradeCounts).map(grade => ({ grade, quantity: gradeCounts[grade] }));
+  const graded = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+
+  if (sellable > graded) {
+    entries.push({ grade: UNGRADED, quantity: sellable - graded });
+  }
+  return entries;
+};
+
+/**
+ * Stock entry (negative egg count) posted by an egg sale
+ */
+export const buildSaleStockEntries = (sale) => {
+  const eggs = toEggCount(sale.quantity, sale.unit);
+  return eggs > 0 ? [{ grade: sale.egg_grade || sale.eggGrade || UNGRADED, quantity: -eggs }] : [];
+};
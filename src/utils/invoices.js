@@ -0,0 +1,249 @@
+/**
+ * INVOICE HELPERS
+ *
+ * Invoice numbering, line item totals, status transitions and the printable invoice, rendered as
+ * HTML for expo-print to turn into a PDF.
+ *
+ * Status lifecycle: draft -> sent -> partial -> paid, with overdue once a sent or part-paid
+ * invoice passes its due date. Only draft and sent are set by hand (and cancelled, while
+ * nothing has been paid); partial, paid and overdue follow from the amount paid and the date.
+ */
+
+import { getProductType } from './salesAnalytics';
+import { escapeHtml, toDateKey } from './receivables';
+
+export const INVOICE_STATUSES = [
+  { key: 'draft', label: 'Draft', color: '#808080' },
+  { key: 'sent', label: 'Sent', color: '#4A90E2' },
+  { key: 'partial', label: 'Partly Paid', color: '#FF8C00' },
+  { key: 'paid', label: 'Paid', color: '#2E8B57' },
+  { key: 'overdue', label: 'Overdue', color: '#DC143C' },
+  { key: 'cancelled', label: 'Cancelled', color: '#6B7280' },
+];
+
+export const INVOICE_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partial', 'paid', 'overdue', 'cancelled'],
+  partial: ['paid', 'overdue', 'sent'],
+  overdue: ['partial', 'paid', 'sent'],
+  paid: ['partial', 'sent', 'overdue'],
+  cancelled: [],
+};
+
+export const INVOICE_NUMBER_PREFIX = 'INV';
+
+export const DEFAULT_PAYMENT_TERMS_DAYS = 14;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const amountOf = (value) => parseFloat(value) || 0;
+
+export const getInvoiceStatus = (status) =>
+  INVOICE_STATUSES.find(option => option.key === status) || INVOICE_STATUSES[1];
+
+export const canTransition = (from, to) => from === to || (INVOICE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Invoices are only edited before any money has been received against them
+ */
+export const isInvoiceEditable = (invoice) =>
+  ['draft', 'sent', 'overdue'].includes(invoice?.status) && amountOf(invoice?.amount_paid ?? invoice?.amountPaid) <= 0;
+
+/**
+ * Status an issued invoice should have from what has been paid and its due date
+ * @param {Object} invoice - invoices row
+ * @param {Date|string} asOf
+ */
+export const deriveInvoiceStatus = (invoice, asOf = new Date()) => {
+  const status = invoice?.status || 'draft';
+  if (status === 'draft' || status === 'cancelled') return status;
+
+  const total = amountOf(invoice.total);
+  const paid = amountOf(invoice.amount_paid);
+  if (total > 0 && paid >= total - 0.005) return 'paid';
+
+  const dueDate = toDateKey(invoice.due_date);
+  if (dueDate && dueDate < toDateKey(asOf)) return 'overdue';
+  return paid > 0 ? 'partial' : 'sent';
+};
+
+/**
+ * Next invoice number in the organization's INV-0001 sequence
+ * @param {Array<string>} existingNumbers - invoice numbers already used by the organization
+ */
+export const nextInvoiceNumber = (existingNumbers = [], prefix = INVOICE_NUMBER_PREFIX) => {
+  const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+  const highest = existingNumbers.reduce((max, number) => {
+    const match = pattern.exec(String(number || '').trim());
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return `${prefix}-${String(highest + 1).padStart(4, '0')}`;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * One line item per sale, priced as sold
+ */
+export const buildItemsFromSales = (sales = []) => sales.map(sale => {
+  const product = getProductType(sale.product_type);
+  const grade = sale.egg_grade ? ` (${sale.egg_grade})` : '';
+  const date = toDateKey(sale.sale_date);
+  const quantity = amountOf(sale.quantity);
+  const amount = amountOf(sale.total_amount);
+  return {
+    saleId: sale.id,
+    description: `${product.label}${grade}${date ? ` - ${date}` : ''}`,
+    quantity,
+    unit: sale.unit || '',
+    unitPrice: amountOf(sale.unit_price) || (quantity > 0 ? round2(amount / quantity) : amount),
+    amount,
+  };
+});
+
+/**
+ * Totals for a set of line items; the discount comes off before tax
+ * @param {Array} items - [{ quantity, unitPrice, amount? }]
+ * @param {Object} options - { taxRate (percent), discountAmount }
+ * @returns {Object} { items, subtotal, discountAmount, taxAmount, total }
+ */
+export const calculateInvoiceTotals = (items = [], { taxRate = 0, discountAmount = 0 } = {}) => {
+  const pricedItems = items.map(item => ({
+    ...item,
+    quantity: amountOf(item.quantity),
+    unitPrice: amountOf(item.unitPrice),
+    amount: round2(amountOf(item.quantity) * amountOf(item.unitPrice)),
+  }));
+  const subtotal = round2(pricedItems.reduce((sum, item) => sum + item.amount, 0));
+  const discount = Math.min(subtotal, Math.max(0, round2(amountOf(discountAmount))));
+  const taxAmount = round2(((subtotal - discount) * Math.max(0, amountOf(taxRate))) / 100);
+
+  return {
+    items: pricedItems,
+    subtotal,
+    discountAmount: discount,
+    taxAmount,
+    total: round2(subtotal - discount + taxAmount),
+  };
+};
+
+/**
+ * Tax rate (percent) an invoice was saved with, so it can be edited as a rate again
+ */
+export const getInvoiceTaxRate = (invoice) => {
+  const taxable = amountOf(invoice?.subtotal) - amountOf(invoice?.discount_amount);
+  return taxable > 0 ? round2((amountOf(invoice?.tax_amount) / taxable) * 100) : 0;
+};
+
+const money = (amount) => `UGX ${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Printable invoice with the farm's branding
+ * @param {Object} invoice - invoices row with customer_name, customer_phone, customer_address
+ * @param {Array} items - invoice_items rows
+ * @param {Object} branding - { businessName, farmName, farmLocation, phone, email }
+ * @returns {string} HTML document
+ */
+export const renderInvoiceHtml = (invoice, items = [], branding = {}) => {
+  const title = `Invoice ${invoice.invoice_number || invoice.id}`;
+  const farmLine = [branding.farmName, branding.farmLocation].filter(Boolean).join(', ');
+  const contactLine = [branding.phone, branding.email].filter(Boolean).join(' | ');
+  const customerLines = [invoice.customer_phone, invoice.customer_address].filter(Boolean);
+
+  const details = [
+    ['Invoice No.', invoice.invoice_number || `#${invoice.id}`],
+    ['Invoice Date', toDateKey(invoice.invoice_date) || '-'],
+    ['Due Date', toDateKey(invoice.due_date) || '-'],
+    ['Status', getInvoiceStatus(invoice.status).label],
+  ];
+
+  const rows = items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${Number(item.quantity || 0).toLocaleString()}${item.unit ? ` ${escapeHtml(item.unit)}` : ''}</td>
+          <td class="num">${money(item.unit_price)}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`).join('');
+
+  const balance = Math.max(0, amountOf(invoice.total) - amountOf(invoice.amount_paid));
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    ...(amountOf(invoice.discount_amount) > 0 ? [['Discount', -amountOf(invoice.discount_amount)]] : []),
+    ...(amountOf(invoice.tax_amount) > 0 ? [[`Tax (${getInvoiceTaxRate(invoice)}%)`, invoice.tax_amount]] : []),
+    ['Total', invoice.total, true],
+    ...(amountOf(invoice.amount_paid) > 0 ? [['Paid', -amountOf(invoice.amount_paid)]] : []),
+    ['Balance Due', balance, true],
+  ].map(([label, value, bold]) => `
+      <tr${bold ? ' class="total"' : ''}><td>${escapeHtml(label)}</td><td class="num">${value < 0 ? `-${money(-value)}` : money(value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { margin: 40px; }
+    body { font-family: -apple-system, Roboto, Arial, sans-serif; color: #222; margin: 0; font-size: 13px; }
+    .letterhead { background: #2E8B57; color: #fff; padding: 20px 24px; display: flex; justify-content: space-between; align-items: center; }
+    .letterhead h1 { margin: 0 0 4px; font-size: 22px; }
+    .letterhead .doc { font-size: 26px; font-weight: bold; }
+    .parties { display: flex; justify-content: space-between; margin: 24px 0; }
+    .label { color: #666; font-size: 11px; font-weight: bold; }
+    .muted { color: #444; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #E8F3ED; }
+    tr { page-break-inside: avoid; }
+    .num { text-align: right; white-space: nowrap; }
+    .details { width: auto; }
+    .details td { border: none; padding: 2px 0 2px 16px; }
+    .totals { width: 45%; margin: 16px 0 0 auto; }
+    .total td { font-weight: bold; font-size: 14px; border-top: 2px solid #2E8B57; }
+    .footer { margin-top: 32px; padding-top: 8px; border-top: 1px solid #2E8B57; color: #666; font-size: 11px; }
+  </style>
+</head>
+<body>
+  <div class="letterhead">
+    <div>
+      <h1>${escapeHtml(branding.businessName || 'Poultry360')}</h1>
+      ${farmLine ? `<div>${escapeHtml(farmLine)}</div>` : ''}
+      ${contactLine ? `<div>${escapeHtml(contactLine)}</div>` : ''}
+    </div>
+    <div class="doc">INVOICE</div>
+  </div>
+
+  <div class="parties">
+    <div>
+      <div class="label">BILL TO</div>
+      <strong>${escapeHtml(invoice.customer_name || 'Customer')}</strong>
+      ${customerLines.map(line => `<div class="muted">${escapeHtml(line)}</div>`).join('')}
+    </div>
+    <table class="details">
+      ${details.map(([label, value]) => `<tr><td class="muted">${label}</td><td class="num"><strong>${escapeHtml(value)}</strong></td></tr>`).join('')}
+    </table>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit Price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+
+  <table class="totals">${totals}
+  </table>
+
+  ${invoice.notes ? `<p><strong>Notes</strong><br />${escapeHtml(invoice.notes)}</p>` : ''}
+
+  <div class="footer">Thank you for your business.</div>
+</body>
+</html>
+`;
+};
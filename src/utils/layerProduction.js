@@ -0,0 +1,152 @@
+/**
+ * LAYER PRODUCTION HELPERS
+ *
+ * Hen-day and hen-housed egg production per week of lay, compared with a breed standard
+ * laying curve, plus peak, persistency and week-over-week drop detection.
+ *
+ * - Hen-day %: eggs / (hens alive on each recorded day) x 100
+ * - Hen-housed %: eggs / (hens housed at the first egg x recorded days) x 100
+ * - Week 1 of lay starts on the first day with eggs recorded
+ */
+
+import { ARCHIVED_STATUS, daysBetween } from './batchCloseout';
+import { interpolateStandard } from './breedStandards';
+
+// A fall of this many percentage points in hen-day production from one week to the next is abnormal
+export const DROP_LEVELS = { warning: 5, critical: 10, emergency: 20 };
+
+// Weeks at or above this hen-day % count towards persistency
+export const PERSISTENCY_THRESHOLD = 90;
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const toDateKey = (value) => String(value || '').split('T')[0];
+
+export const isLayerBatch = (batch) =>
+  String(batch?.bird_type || batch?.birdType || '').toLowerCase().includes('layer');
+
+/**
+ * Birds alive on a date, rebuilt from the batch's current count and its mortality records.
+ * Deaths after the date are added back to the current count; closed batches (no current count)
+ * start from the placed count instead.
+ */
+export const buildHenCountLookup = (batch, deaths = []) => {
+  const placed = parseInt(batch.initial_count ?? batch.initialCount, 10) || 0;
+  const current = parseInt(batch.current_count ?? batch.currentCount, 10) || 0;
+  const fromPlaced = (batch.status || '').toLowerCase() === ARCHIVED_STATUS || current <= 0;
+  const dated = (deaths || [])
+    .filter(row => row.date)
+    .map(row => ({ date: toDateKey(row.date), count: Number(row.count) || 0 }));
+
+  return (date) => {
+    const key = toDateKey(date);
+    if (fromPlaced) {
+      const died = dated.filter(row => row.date <= key).reduce((sum, row) => sum + row.count, 0);
+      return Math.max(0, placed - died);
+    }
+    const diedSince = dated.filter(row => row.date > key).reduce((sum, row) => sum + row.count, 0);
+    const alive = current + diedSince;
+    return placed > 0 ? Math.min(placed, alive) : alive;
+  };
+};
+
+/**
+ * Hen-day and hen-housed production per week of lay
+ * @param {Object} batch - poultry_batches row (initial_count, current_count, status)
+ * @param {Object} records - { production: [{ date, eggs }], deaths: [{ date, count }] }
+ * @param {Object} standard - Laying curve ({ points } with henDayPct by day of lay), optional
+ * @param {string} asOfDate - Weeks ending after this date are marked incomplete (default today)
+ */
+export const computeLayerProduction = (batch, records = {}, standard = null, asOfDate = new Date().toISOString()) => {
+  const eggsByDate = {};
+  (records.production || []).forEach(row => {
+    const key = toDateKey(row.date);
+    if (!key || isNaN(new Date(key).getTime())) return;
+    eggsByDate[key] = (eggsByDate[key] || 0) + (Number(row.eggs) || 0);
+  });
+
+  const layingDates = Object.keys(eggsByDate).filter(date => eggsByDate[date] > 0).sort();
+  if (layingDates.length === 0) {
+    return { weeks: [], peak: null, persistencyPct: null, weeksAbovePersistency: 0 };
+  }
+
+  const firstEggDate = layingDates[0];
+  const henCount = buildHenCountLookup(batch, records.deaths);
+  const hensHoused = henCount(firstEggDate);
+  const daysLaying = daysBetween(firstEggDate, asOfDate);
+
+  const byWeek = {};
+  Object.keys(eggsByDate).filter(date => date >= firstEggDate).forEach(date => {
+    const week = Math.floor(daysBetween(firstEggDate, date) / 7) + 1;
+    if (!byWeek[week]) byWeek[week] = { eggs: 0, henDays: 0, days: 0 };
+    byWeek[week].eggs += eggsByDate[date];
+    byWeek[week].henDays += henCount(date);
+    byWeek[week].days += 1;
+  });
+
+  const lastWeek = Math.max(...Object.keys(byWeek).map(Number));
+  const weeks = [];
+  for (let week = 1; week <= lastWeek; week++) {
+    const totals = byWeek[week];
+    const henDayPct = totals && totals.henDays > 0 ? round((totals.eggs / totals.henDays) * 100) : null;
+    const henHousedPct = totals && hensHoused > 0 ? round((totals.eggs / (hensHoused * totals.days)) * 100) : null;
+    const standardPct = standard ? interpolateStandard(standard.points, (week - 1) * 7, 'henDayPct') : null;
+    const previous = weeks[weeks.length - 1];
+
+    weeks.push({
+      week,
+      eggs: totals?.eggs || 0,
+      daysRecorded: totals?.days || 0,
+      henDayPct,
+      henHousedPct,
+      standardPct: standardPct !== null ? round(standardPct) : null,
+      deviationPoints: henDayPct !== null && standardPct !== null ? round(henDayPct - standardPct) : null,
+      changePoints: henDayPct !== null && previous && previous.henDayPct !== null ? round(henDayPct - previous.henDayPct) : null,
+      complete: daysLaying >= week * 7,
+    });
+  }
+
+  const measured = weeks.filter(week => week.henDayPct !== null);
+  const peak = measured.reduce((best, week) => (!best || week.henDayPct > best.henDayPct ? week : best), null);
+  const latestComplete = measured.filter(week => week.complete).pop() || null;
+
+  return {
+    firstEggDate,
+    hensHoused,
+    weeks,
+    peak: peak ? { week: peak.week, henDayPct: peak.henDayPct } : null,
+    // Latest complete week as a share of the peak
+    persistencyPct: peak && latestComplete ? round((latestComplete.henDayPct / peak.henDayPct) * 100) : null,
+    weeksAbovePersistency: measured.filter(week => week.henDayPct >= PERSISTENCY_THRESHOLD).length,
+  };
+};
+
+/**
+ * Abnormal fall in hen-day production between the last two complete weeks of lay
+ * @returns {Object|null} { week, henDayPct, previousPct, dropPoints, level }
+ */
+export const detectProductionDrop = (weeks, levels = DROP_LEVELS) => {
+  const complete = (weeks || []).filter(week => week.complete && week.henDayPct !== null);
+  if (complete.length < 2) return null;
+
+  const latest = complete[complete.length - 1];
+  const previous = complete[complete.length - 2];
+  const dropPoints = round(previous.henDayPct - latest.henDayPct);
+  if (dropPoints < levels.warning) return null;
+
+  let level = 'warning';
+  if (dropPoints >= levels.emergency) level = 'emergency';
+  else if (dropPoints >= levels.critical) level = 'critical';
+
+  return {
+    week: latest.week,
+    henDayPct: latest.henDayPct,
+    previousPct: previous.henDayPct,
+    standardPct: latest.standardPct,
+    dropPoints,
+    level,
+  };
+};
@@ -0,0 +1,90 @@
+/**
+ * PAYMENT HELPERS
+ *
+ * Payment methods, receipt numbering and how one payment received is split across a customer's
+ * open invoices. Each share is stored as its own payments row under a shared receipt number, so
+ * every row still points at a single invoice; whatever is left over is kept as credit on the
+ * customer's account or handed back.
+ */
+
+import { nextInvoiceNumber } from './invoices';
+import { toDateKey } from './receivables';
+
+export const PAYMENT_METHODS = [
+  { key: 'cash', label: 'Cash', icon: 'cash-outline', color: '#2E8B57', requiresReference: false },
+  { key: 'mobile_money', label: 'Mobile Money', icon: 'phone-portrait-outline', color: '#FF8C00', requiresReference: true },
+  { key: 'bank_transfer', label: 'Bank', icon: 'business-outline', color: '#4A90E2', requiresReference: true },
+];
+
+export const RECEIPT_NUMBER_PREFIX = 'RCT';
+
+export const EXCESS_OPTIONS = ['credit', 'refund'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const amountOf = (value) => parseFloat(value) || 0;
+
+export const getPaymentMethod = (method) =>
+  PAYMENT_METHODS.find(option => option.key === method) || null;
+
+export const nextReceiptNumber = (existingNumbers = []) => nextInvoiceNumber(existingNumbers, RECEIPT_NUMBER_PREFIX);
+
+export const getInvoiceBalance = (invoice) =>
+  round2(Math.max(0, amountOf(invoice.total) - amountOf(invoice.amount_paid ?? invoice.amountPaid)));
+
+/**
+ * Spread an amount over open invoices, the one due first paid first
+ * @param {number} amount
+ * @param {Array} invoices - open invoices rows
+ * @returns {Array} [{ invoiceId, amount }] for the invoices that receive something
+ */
+export const autoAllocate = (amount, invoices = []) => {
+  let remaining = round2(Math.max(0, amountOf(amount)));
+  return [...invoices]
+    .sort((a, b) => String(toDateKey(a.due_date || a.invoice_date)).localeCompare(String(toDateKey(b.due_date || b.invoice_date))) || a.id - b.id)
+    .reduce((allocations, invoice) => {
+      const share = Math.min(remaining, getInvoiceBalance(invoice));
+      if (share > 0) {
+        allocations.push({ invoiceId: invoice.id, amount: share });
+        remaining = round2(remaining - share);
+      }
+      return allocations;
+    }, []);
+};
+
+/**
+ * Check a split of a payment and work out what is left over
+ * @param {number} amount - amount received
+ * @param {Array} allocations - [{ invoiceId, amount }]
+ * @param {Array} invoices - the customer's open invoices rows
+ * @returns {Object} { allocations (non-zero only), allocated, excess }
+ * @throws when a share is negative, more than an invoice's balance, or the shares exceed the amount
+ */
+export const checkAllocations = (amount, allocations = [], invoices = []) => {
+  const received = round2(amountOf(amount));
+  const byId = new Map(invoices.map(invoice => [String(invoice.id), invoice]));
+
+  const shares = allocations
+    .map(allocation => ({ invoiceId: allocation.invoiceId, amount: round2(amountOf(allocation.amount)) }))
+    .filter(allocation => allocation.amount !== 0);
+
+  shares.forEach(share => {
+    const invoice = byId.get(String(share.invoiceId));
+    if (!invoice) {
+      throw new Error('Payments can only be allocated to the customer\'s open invoices');
+    }
+    if (share.amount < 0) {
+      throw new Error('Allocated amounts cannot be negative');
+    }
+    if (share.amount > getInvoiceBalance(invoice)) {
+      throw new Error(`${invoice.invoice_number || `Invoice #${invoice.id}`} only has ${getInvoiceBalance(invoice).toLocaleString()} left to pay`);
+    }
+  });
+
+  const allocated = round2(shares.reduce((sum, share) => sum + share.amount, 0));
+  if (allocated > received) {
+    throw new Error('The amounts allocated are more than the payment');
+  }
+
+  return { allocations: shares, allocated, excess: round2(received - allocated) };
+};
@@ -0,0 +1,139 @@
+/**
+ * ROLE PERMISSIONS
+ *
+ * What each organization role may see and do in the app. Screens use it to hide tabs, buttons
+ * and cost figures, and fastApiService checks it again before reading or changing data, so the
+ * same rules apply offline where the server cannot enforce them.
+ *
+ * Roles the server sends under older names (worker, super_admin) are mapped onto the matrix;
+ * an unknown role gets the farm worker's permissions.
+ */
+
+export const ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  SUPERVISOR: 'supervisor',
+  FARM_WORKER: 'farm_worker',
+  VET: 'vet',
+  ACCOUNTANT: 'accountant',
+};
+
+const ROLE_ALIASES = {
+  worker: ROLES.FARM_WORKER,
+  super_admin: ROLES.OWNER,
+  veterinarian: ROLES.VET,
+};
+
+export const PERMISSIONS = {
+  FARMS_VIEW: 'farms.view',
+  FARMS_MANAGE: 'farms.manage',
+  BATCHES_CREATE: 'batches.create',
+  BATCHES_EDIT: 'batches.edit',
+  BATCHES_DELETE: 'batches.delete',
+  RECORDS_CREATE: 'records.create',
+  RECORDS_DELETE: 'records.delete',
+  RECORDS_EXPORT: 'records.export',
+  HEALTH_MANAGE: 'health.manage',
+  INVENTORY_MANAGE: 'inventory.manage',
+  COSTS_VIEW: 'costs.view',
+  FINANCE_VIEW: 'finance.view',
+  SALES_MANAGE: 'sales.manage',
+  INVOICES_MANAGE: 'invoices.manage',
+  PAYMENTS_RECORD: 'payments.record',
+  EXPENSES_MANAGE: 'expenses.manage',
+  SETTINGS_MANAGE: 'settings.manage',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const FINANCE_PERMISSIONS = [
+  PERMISSIONS.COSTS_VIEW,
+  PERMISSIONS.FINANCE_VIEW,
+  PERMISSIONS.SALES_MANAGE,
+  PERMISSIONS.INVOICES_MANAGE,
+  PERMISSIONS.PAYMENTS_RECORD,
+  PERMISSIONS.EXPENSES_MANAGE,
+];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: ALL_PERMISSIONS,
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.MANAGER]: ALL_PERMISSIONS,
+  [ROLES.SUPERVISOR]: [
+    PERMISSIONS.FARMS_VIEW,
+    PERMISSIONS.BATCHES_CREATE,
+    PERMISSIONS.BATCHES_EDIT,
+    PERMISSIONS.RECORDS_CREATE,
+    PERMISSIONS.RECORDS_EXPORT,
+    PERMISSIONS.HEALTH_MANAGE,
+    PERMISSIONS.INVENTORY_MANAGE,
+  ],
+  [ROLES.FARM_WORKER]: [
+    PERMISSIONS.RECORDS_CREATE,
+  ],
+  [ROLES.VET]: [
+    PERMISSIONS.FARMS_VIEW,
+    PERMISSIONS.RECORDS_CREATE,
+    PERMISSIONS.RECORDS_EXPORT,
+    PERMISSIONS.HEALTH_MANAGE,
+  ],
+  [ROLES.ACCOUNTANT]: [
+    PERMISSIONS.FARMS_VIEW,
+    PERMISSIONS.RECORDS_EXPORT,
+    ...FINANCE_PERMISSIONS,
+  ],
+};
+
+// Roles that may only add some kinds of records; every other role covers all record types
+const RECORD_TYPE_SCOPES = {
+  [ROLES.VET]: ['health', 'mortality', 'weight', 'vaccination'],
+};
+
+// Wording for "You do not have permission to ..." messages
+const PERMISSION_ACTIONS = {
+  [PERMISSIONS.FARMS_VIEW]: 'view farms',
+  [PERMISSIONS.FARMS_MANAGE]: 'add, edit or delete farms',
+  [PERMISSIONS.BATCHES_CREATE]: 'create batches',
+  [PERMISSIONS.BATCHES_EDIT]: 'edit, transfer or close out batches',
+  [PERMISSIONS.BATCHES_DELETE]: 'delete batches',
+  [PERMISSIONS.RECORDS_CREATE]: 'add records',
+  [PERMISSIONS.RECORDS_DELETE]: 'delete records',
+  [PERMISSIONS.RECORDS_EXPORT]: 'export records',
+  [PERMISSIONS.HEALTH_MANAGE]: 'manage vaccinations and health settings',
+  [PERMISSIONS.INVENTORY_MANAGE]: 'manage feed stock',
+  [PERMISSIONS.COSTS_VIEW]: 'view costs',
+  [PERMISSIONS.FINANCE_VIEW]: 'view financial reports',
+  [PERMISSIONS.SALES_MANAGE]: 'manage customers and sales',
+  [PERMISSIONS.INVOICES_MANAGE]: 'manage invoices',
+  [PERMISSIONS.PAYMENTS_RECORD]: 'record payments',
+  [PERMISSIONS.EXPENSES_MANAGE]: 'manage expenses',
+  [PERMISSIONS.SETTINGS_MANAGE]: 'change organization settings',
+};
+
+/**
+ * Matrix role for a user's role as stored on the user record
+ * @param {string} role
+ * @returns {string} One of ROLES
+ */
+export const normalizeRole = (role) => {
+  const key = typeof role === 'string' ? role.trim().toLowerCase() : '';
+  if (ROLE_PERMISSIONS[key]) return key;
+  return ROLE_ALIASES[key] || ROLES.FARM_WORKER;
+};
+
+export const getPermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)];
+
+export const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Whether the role may add a record of this type (feed, production, mortality, health, ...)
+ */
+export const canCreateRecordType = (role, recordType) => {
+  if (!hasPermission(role, PERMISSIONS.RECORDS_CREATE)) return false;
+  const scope = RECORD_TYPE_SCOPES[normalizeRole(role)];
+  return !scope || scope.includes(recordType);
+};
+
+export const getPermissionDeniedMessage = (permission) =>
+  `You do not have permission to ${PERMISSION_ACTIONS[permission] || 'do this'}. Ask your farm manager for access.`;
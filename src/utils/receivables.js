@@ -0,0 +1,440 @@
+/**
+ * RECEIVABLES HELPERS
+ *
+ * Accounts receivable built from the local sales, invoices and payments tables: what each
+ * customer owes, how overdue it is (current / 31-60 / 61-90 / 90+ days) and a dated customer
+ * statement with a running balance. Everything works from local rows so it is available offline.
+ *
+ * A sale that has been invoiced is owed through its invoice, so it is only counted once.
+ */
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current (0-30)', maxDays: 30, color: '#2E8B57' },
+  { key: 'days30', label: '31-60 Days', maxDays: 60, color: '#FF8C00' },
+  { key: 'days60', label: '61-90 Days', maxDays: 90, color: '#DC143C' },
+  { key: 'days90Plus', label: '90+ Days', maxDays: Infinity, color: '#8B0000' },
+];
+
+// Invoices that are not owed yet (draft) or not owed at all
+const NON_RECEIVABLE_INVOICE_STATUSES = ['draft', 'cancelled', 'void'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const amountOf = (value) => parseFloat(value) || 0;
+
+const isDeleted = (row) => Number(row.is_deleted) === 1;
+
+export const toDateKey = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Aging bucket for a balance that is `daysOverdue` days past its due date
+ */
+export const getAgingBucket = (daysOverdue) =>
+  AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays) || AGING_BUCKETS[AGING_BUCKETS.length - 1];
+
+export const emptyAging = () => AGING_BUCKETS.reduce((aging, bucket) => ({ ...aging, [bucket.key]: 0 }), { total: 0 });
+
+const documentKey = (type, id) => `${type}:${id}`;
+
+// An invoice covers its own sale_id plus the sales on its line items (item_sale_ids, comma separated)
+const getInvoiceSaleIds = (invoice) => [
+  invoice.sale_id,
+  ...String(invoice.item_sale_ids || '').split(','),
+].filter(Boolean).map(String);
+
+/**
+ * Documents a customer owes money on: invoices that have been issued, and sales that were
+ * never invoiced. Sales are due on the day of the sale, invoices on their due date.
+ */
+export const buildReceivableDocuments = ({ invoices = [], sales = [] } = {}) => {
+  const issuedInvoices = invoices.filter(invoice =>
+    !isDeleted(invoice) && !NON_RECEIVABLE_INVOICE_STATUSES.includes(String(invoice.status || '').toLowerCase())
+  );
+  const invoicedSaleIds = new Set(issuedInvoices.flatMap(getInvoiceSaleIds));
+
+  const invoiceDocuments = issuedInvoices.map(invoice => {
+    const date = toDateKey(invoice.invoice_date || invoice.created_at);
+    return {
+      key: documentKey('invoice', invoice.id),
+      type: 'invoice',
+      id: invoice.id,
+      saleIds: getInvoiceSaleIds(invoice),
+      customerId: invoice.customer_id || null,
+      customerName: invoice.customer_name || null,
+      reference: invoice.invoice_number || `Invoice #${invoice.id}`,
+      description: 'Invoice',
+      date,
+      dueDate: toDateKey(invoice.due_date) || date,
+      total: amountOf(invoice.total),
+      recordedPaid: amountOf(invoice.amount_paid),
+    };
+  });
+
+  const saleDocuments = sales
+    .filter(sale => !isDeleted(sale) && !invoicedSaleIds.has(String(sale.id)))
+    .map(sale => {
+      const date = toDateKey(sale.sale_date || sale.created_at);
+      return {
+        key: documentKey('sale', sale.id),
+        type: 'sale',
+        id: sale.id,
+        saleIds: [String(sale.id)],
+        customerId: sale.customer_id || null,
+        customerName: sale.customer_name || null,
+        reference: sale.invoice_number || `Sale #${sale.id}`,
+        description: sale.product_type ? `Sale - ${sale.product_type}` : 'Sale',
+        date,
+        dueDate: date,
+        total: amountOf(sale.total_amount),
+        recordedPaid: amountOf(sale.amount_paid),
+      };
+    });
+
+  return [...invoiceDocuments, ...saleDocuments]
+    .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)) || String(a.date).localeCompare(String(b.date)));
+};
+
+/**
+ * Settle the documents with the payments received
+ *
+ * A payment recorded against an invoice or sale pays that document; the document's own
+ * amount_paid may already include it, so the larger of the two is taken as paid. Payments
+ * on account (no invoice or sale) pay the customer's oldest documents first, and anything
+ * left over is the customer's credit.
+ * @returns {Object} { documents, payments, credits } - payments carry the document they paid
+ */
+export const applyPayments = (documents, payments = []) => {
+  const byKey = new Map(documents.map(doc => [doc.key, { ...doc, linkedPaid: 0, appliedOnAccount: 0 }]));
+  const bySaleId = new Map();
+  byKey.forEach(doc => {
+    doc.saleIds.forEach(saleId => bySaleId.set(saleId, doc));
+  });
+
+  // Refunds are stored as negative payments on account and come off the customer's credit
+  const onAccount = [];
+  const settledPayments = payments
+    .filter(payment => !isDeleted(payment) && amountOf(payment.amount) !== 0)
+    .map(payment => {
+      const isRefund = amountOf(payment.amount) < 0;
+      const doc = isRefund ? null : (
+        (payment.invoice_id && byKey.get(documentKey('invoice', payment.invoice_id)))
+        || (payment.sale_id && bySaleId.get(String(payment.sale_id)))
+        || null
+      );
+      const settled = {
+        id: payment.id,
+        customerId: payment.customer_id || doc?.customerId || null,
+        customerName: payment.customer_name || doc?.customerName || null,
+        date: toDateKey(payment.payment_date || payment.created_at),
+        amount: amountOf(payment.amount),
+        method: payment.payment_method || null,
+        reference: payment.reference_number || payment.receipt_number || null,
+        documentKey: doc ? doc.key : null,
+        documentReference: doc ? doc.reference : null,
+      };
+      if (doc) {
+        doc.linkedPaid += settled.amount;
+      } else {
+        onAccount.push(settled);
+      }
+      return settled;
+    });
+
+  const docs = [...byKey.values()].map(doc => {
+    const paid = Math.max(doc.recordedPaid, doc.linkedPaid);
+    return { ...doc, paid, outstanding: Math.max(0, doc.total - paid) };
+  });
+
+  const credits = new Map();
+  onAccount
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .forEach(payment => {
+      let remaining = payment.amount;
+      docs
+        .filter(doc => doc.customerId && String(doc.customerId) === String(payment.customerId) && doc.outstanding > 0)
+        .forEach(doc => {
+          if (remaining <= 0) return;
+          const applied = Math.min(remaining, doc.outstanding);
+          doc.outstanding -= applied;
+          doc.appliedOnAccount += applied;
+          remaining -= applied;
+        });
+      if (remaining !== 0) {
+        const key = String(payment.customerId || '');
+        credits.set(key, (credits.get(key) || 0) + remaining);
+      }
+    });
+
+  return { documents: docs, payments: settledPayments, credits };
+};
+
+/**
+ * Receivables as of a date: open documents with their age, per-customer balances and the
+ * aging totals across all customers
+ * @param {Object} data - { invoices, sales, payments } rows with customer_name joined
+ * @param {Object} options - { asOf }
+ * @returns {Object} { asOf, documents, customers, aging, totals }
+ */
+export const computeReceivables = (data = {}, options = {}) => {
+  const asOf = toDateKey(options.asOf || new Date());
+  // Nothing dated after the as-of date counts yet
+  const documentsToDate = buildReceivableDocuments(data).filter(doc => !doc.date || doc.date <= asOf);
+  const paymentsToDate = (data.payments || []).filter(payment => {
+    const date = toDateKey(payment.payment_date || payment.created_at);
+    return !date || date <= asOf;
+  });
+  const { documents, payments, credits } = applyPayments(documentsToDate, paymentsToDate);
+
+  const openDocuments = documents
+    .filter(doc => doc.outstanding > 0.005)
+    .map(doc => {
+      const daysOverdue = Math.max(0, daysBetween(doc.dueDate || asOf, asOf));
+      return { ...doc, outstanding: round2(doc.outstanding), daysOverdue, bucket: getAgingBucket(daysOverdue).key };
+    });
+
+  const aging = emptyAging();
+  const customers = new Map();
+  const customerFor = (customerId, name) => {
+    const key = customerId ? String(customerId) : 'walk_in';
+    if (!customers.has(key)) {
+      customers.set(key, {
+        customerId: customerId || null,
+        name: customerId ? (name || 'Unknown Customer') : 'Walk-in Customers',
+        outstanding: 0,
+        overdue: 0,
+        credit: 0,
+        balance: 0,
+        openDocuments: 0,
+        oldestDueDate: null,
+        aging: emptyAging(),
+      });
+    }
+    return customers.get(key);
+  };
+
+  openDocuments.forEach(doc => {
+    aging[doc.bucket] += doc.outstanding;
+    aging.total += doc.outstanding;
+
+    const customer = customerFor(doc.customerId, doc.customerName);
+    customer.outstanding += doc.outstanding;
+    customer.aging[doc.bucket] += doc.outstanding;
+    customer.aging.total += doc.outstanding;
+    customer.openDocuments += 1;
+    if (doc.daysOverdue > 0) customer.overdue += doc.outstanding;
+    if (!customer.oldestDueDate || doc.dueDate < customer.oldestDueDate) {
+      customer.oldestDueDate = doc.dueDate;
+    }
+  });
+
+  // A customer in credit may have no open documents, so take the name from any of theirs
+  const customerNames = new Map([...documents, ...payments]
+    .filter(row => row.customerId && row.customerName)
+    .map(row => [String(row.customerId), row.customerName]));
+  credits.forEach((credit, customerId) => {
+    if (customerId) customerFor(customerId, customerNames.get(customerId)).credit += credit;
+  });
+
+  const customerBalances = [...customers.values()]
+    .map(customer => ({
+      ...customer,
+      outstanding: round2(customer.outstanding),
+      overdue: round2(customer.overdue),
+      credit: round2(customer.credit),
+      balance: round2(customer.outstanding - customer.credit),
+      aging: Object.fromEntries(Object.entries(customer.aging).map(([key, value]) => [key, round2(value)])),
+    }))
+    .sort((a, b) => b.balance - a.balance);
+
+  const roundedAging = Object.fromEntries(Object.entries(aging).map(([key, value]) => [key, round2(value)]));
+
+  return {
+    asOf,
+    documents: openDocuments,
+    customers: customerBalances,
+    aging: roundedAging,
+    totals: {
+      outstanding: roundedAging.total,
+      overdue: round2(openDocuments.filter(doc => doc.daysOverdue > 0).reduce((sum, doc) => sum + doc.outstanding, 0)),
+      customersOwing: customerBalances.filter(customer => customer.outstanding > 0).length,
+    },
+  };
+};
+
+/**
+ * Statement of account for one customer over a period
+ *
+ * Every charge and payment before `from` is carried in the opening balance; the lines in the
+ * period run the balance forward to the closing balance. The aging is as of `to`.
+ * @param {Object} customer - customers row
+ * @param {Object} data - { invoices, sales, payments } for the customer
+ * @param {Object} options - { from, to }
+ * @returns {Object} { customer, from, to, openingBalance, lines, totals, closingBalance, aging, openDocuments }
+ */
+export const buildCustomerStatement = (customer, data = {}, options = {}) => {
+  const to = toDateKey(options.to || new Date());
+  const from = toDateKey(options.from) || null;
+  const customerId = customer?.id;
+  const belongsToCustomer = (row) => String(row.customerId) === String(customerId);
+
+  const { documents, payments } = applyPayments(buildReceivableDocuments(data), data.payments);
+  const customerDocuments = documents.filter(belongsToCustomer);
+
+  const entries = [];
+  customerDocuments.forEach(doc => {
+    entries.push({ date: doc.date, type: 'charge', reference: doc.reference, description: doc.description, debit: doc.total, credit: 0 });
+    // Paid on the sale or invoice itself rather than through a recorded payment
+    const paidOnDocument = doc.paid - doc.linkedPaid;
+    if (paidOnDocument > 0) {
+      entries.push({ date: doc.date, type: 'payment', reference: doc.reference, description: 'Paid on receipt', debit: 0, credit: paidOnDocument });
+    }
+  });
+  payments.filter(belongsToCustomer).forEach(payment => {
+    const method = payment.method ? String(payment.method).replace(/_/g, ' ') : 'payment';
+    if (payment.amount < 0) {
+      entries.push({
+        date: payment.date,
+        type: 'payment',
+        reference: payment.reference || `Refund #${payment.id}`,
+        description: `Refund of credit (${method})`,
+        debit: -payment.amount,
+        credit: 0,
+      });
+      return;
+    }
+    entries.push({
+      date: payment.date,
+      type: 'payment',
+      reference: payment.reference || `Payment #${payment.id}`,
+      description: payment.documentReference ? `Payment (${method}) for ${payment.documentReference}` : `Payment on account (${method})`,
+      debit: 0,
+      credit: payment.amount,
+    });
+  });
+
+  // Charges before payments on the same day, so a sale paid on the spot never shows a credit
+  entries.sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.type === b.type ? 0 : a.type === 'charge' ? -1 : 1));
+
+  let openingBalance = 0;
+  let balance = 0;
+  const totals = { charges: 0, payments: 0 };
+  const lines = [];
+  entries
+    .filter(entry => !entry.date || entry.date <= to)
+    .forEach(entry => {
+      if (from && entry.date && entry.date < from) {
+        openingBalance += entry.debit - entry.credit;
+        balance = openingBalance;
+        return;
+      }
+      balance += entry.debit - entry.credit;
+      totals.charges += entry.debit;
+      totals.payments += entry.credit;
+      lines.push({ ...entry, debit: round2(entry.debit), credit: round2(entry.credit), balance: round2(balance) });
+    });
+
+  const receivables = computeReceivables(data, { asOf: to });
+  const customerReceivables = receivables.customers.find(row => String(row.customerId) === String(customerId));
+
+  return {
+    customer: {
+      id: customerId,
+      name: customer?.name || 'Unknown Customer',
+      phone: customer?.phone || null,
+      email: customer?.email || null,
+      address: customer?.address || null,
+    },
+    from,
+    to,
+    openingBalance: round2(openingBalance),
+    lines,
+    totals: { charges: round2(totals.charges), payments: round2(totals.payments) },
+    closingBalance: round2(balance),
+    aging: customerReceivables ? customerReceivables.aging : emptyAging(),
+    openDocuments: receivables.documents.filter(belongsToCustomer),
+  };
+};
+
+export const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (amount) => `UGX ${Number(amount || 0).toLocaleString()}`;
+
+/**
+ * Printable HTML for a customer statement
+ * @param {Object} statement - from buildCustomerStatement
+ * @param {Object} options - { businessName }
+ */
+export const renderStatementHtml = (statement, options = {}) => {
+  const { customer } = statement;
+  const businessName = options.businessName || 'Poultry360';
+  const period = statement.from ? `${statement.from} to ${statement.to}` : `Up to ${statement.to}`;
+
+  const rows = statement.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.date)}</td>
+        <td>${escapeHtml(line.reference)}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="num">${line.debit ? money(line.debit) : ''}</td>
+        <td class="num">${line.credit ? money(line.credit) : ''}</td>
+        <td class="num">${money(line.balance)}</td>
+      </tr>`).join('');
+
+  const agingCells = AGING_BUCKETS.map(bucket => `<td class="num">${money(statement.aging[bucket.key])}</td>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Statement - ${escapeHtml(customer.name)}</title>
+  <style>
+    body { font-family: -apple-system, Roboto, Arial, sans-serif; color: #222; margin: 24px; }
+    h1 { color: #2E8B57; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 24px 0 8px; }
+    .muted { color: #666; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f3f7f5; }
+    .num { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; border-top: 2px solid #2E8B57; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(businessName)}</h1>
+  <div class="muted">Statement of Account - ${escapeHtml(period)}</div>
+
+  <h2>${escapeHtml(customer.name)}</h2>
+  <div class="muted">${[customer.phone, customer.email, customer.address].filter(Boolean).map(escapeHtml).join(' | ')}</div>
+
+  <h2>Transactions</h2>
+  <table>
+    <tr><th>Date</th><th>Reference</th><th>Description</th><th class="num">Charges</th><th class="num">Payments</th><th class="num">Balance</th></tr>
+    <tr><td colspan="5">Opening balance</td><td class="num">${money(statement.openingBalance)}</td></tr>${rows}
+    <tr class="total"><td colspan="3">Closing balance</td><td class="num">${money(statement.totals.charges)}</td><td class="num">${money(statement.totals.payments)}</td><td class="num">${money(statement.closingBalance)}</td></tr>
+  </table>
+
+  <h2>Amount Due by Age</h2>
+  <table>
+    <tr>${AGING_BUCKETS.map(bucket => `<th class="num">${escapeHtml(bucket.label)}</th>`).join('')}<th class="num">Total Due</th></tr>
+    <tr>${agingCells}<td class="num">${money(statement.aging.total)}</td></tr>
+  </table>
+</body>
+</html>
+`;
+};
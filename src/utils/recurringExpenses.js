@@ -0,0 +1,167 @@
+/**
+ * RECURRING EXPENSES
+ *
+ * An expense saved with is_recurring and a recurring_frequency is a template: it is the first
+ * occurrence itself, and every later occurrence falls on the same day of the week, month or
+ * quarter after it. This module works out which occurrences are due and which are coming up;
+ * recurringExpenseService turns the due ones into expense rows.
+ */
+
+import { toLocalDateString } from './reminders';
+
+export const RECURRING_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+};
+
+export const RECURRING_FREQUENCY_OPTIONS = [
+  { label: 'Does not repeat', value: '' },
+  { label: 'Weekly', value: RECURRING_FREQUENCIES.WEEKLY },
+  { label: 'Monthly', value: RECURRING_FREQUENCIES.MONTHLY },
+  { label: 'Quarterly', value: RECURRING_FREQUENCIES.QUARTERLY },
+];
+
+// "every week", "every month"...
+export const RECURRING_PERIOD_NAMES = {
+  [RECURRING_FREQUENCIES.WEEKLY]: 'week',
+  [RECURRING_FREQUENCIES.MONTHLY]: 'month',
+  [RECURRING_FREQUENCIES.QUARTERLY]: 'quarter',
+};
+
+export const OCCURRENCE_STATUS = {
+  PENDING: 'pending', // Not posted yet; a saved row holds edits made ahead of time
+  POSTED: 'posted',
+  SKIPPED: 'skipped',
+};
+
+// Occurrences older than this are not back-filled - they were most likely entered by hand
+export const MAX_CATCH_UP_DAYS = 92;
+
+export const UPCOMING_DAYS = 30;
+
+const MONTHS_PER_STEP = {
+  [RECURRING_FREQUENCIES.MONTHLY]: 1,
+  [RECURRING_FREQUENCIES.QUARTERLY]: 3,
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const parseDate = (dateString) => {
+  const [year, month, day] = String(dateString || '').slice(0, 10).split('-').map(Number);
+  return year && month && day ? { year, month, day } : null;
+};
+
+const formatDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export const addDaysToDate = (dateString, days) => {
+  const parsed = parseDate(dateString);
+  if (!parsed) return null;
+  const date = new Date(Date.UTC(parsed.year, parsed.month - 1, parsed.day + days));
+  return formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+/**
+ * Date of the nth occurrence after the anchor (n = 0 is the anchor). Monthly and quarterly
+ * occurrences keep the anchor's day of the month, moved back to the last day of shorter months,
+ * so a template on 31 January falls on 28/29 February and 31 March.
+ */
+export const getOccurrenceDate = (anchorDate, frequency, n) => {
+  const anchor = parseDate(anchorDate);
+  if (!anchor) return null;
+
+  if (frequency === RECURRING_FREQUENCIES.WEEKLY) {
+    return addDaysToDate(anchorDate, n * 7);
+  }
+
+  const monthsPerStep = MONTHS_PER_STEP[frequency];
+  if (!monthsPerStep) return null;
+
+  const monthIndex = anchor.month - 1 + n * monthsPerStep;
+  const year = anchor.year + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return formatDate(year, month, Math.min(anchor.day, lastDay));
+};
+
+export const isRecurringTemplate = (expense) =>
+  !!expense
+  && !!Number(expense.is_recurring)
+  && Object.values(RECURRING_FREQUENCIES).includes(expense.recurring_frequency)
+  && !expense.recurring_template_id
+  && !Number(expense.is_deleted);
+
+/**
+ * Occurrence dates of a template from `from` to `to` (inclusive), not counting the template's own date
+ * @param {Object} template - expenses row
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+export const getOccurrenceDates = (template, from, to) => {
+  const anchorDate = String(template.expense_date || '').slice(0, 10);
+  if (!parseDate(anchorDate) || !isRecurringTemplate(template)) return [];
+
+  const dates = [];
+  for (let n = 1; ; n++) {
+    const date = getOccurrenceDate(anchorDate, template.recurring_frequency, n);
+    if (!date || date > to) break;
+    if (date >= from) dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Occurrences of every template from `from` to `to`, with any edit or skip saved for them applied
+ * @param {Array} templates - expenses rows (isRecurringTemplate)
+ * @param {Array} occurrences - recurring_expense_occurrences rows
+ * @returns {Array<{ templateId, occurrenceDate, amount, description, notes, status, expenseId, edited, template }>}
+ */
+export const expandOccurrences = (templates, occurrences, from, to) => {
+  const saved = new Map(occurrences.map(occurrence => [
+    `${occurrence.template_id}|${occurrence.occurrence_date}`,
+    occurrence,
+  ]));
+
+  const expanded = [];
+  templates.forEach(template => {
+    getOccurrenceDates(template, from, to).forEach(occurrenceDate => {
+      const occurrence = saved.get(`${template.id}|${occurrenceDate}`);
+      const amount = occurrence?.amount ?? template.amount;
+      const description = occurrence?.description || template.description;
+      expanded.push({
+        templateId: template.id,
+        occurrenceDate,
+        amount,
+        description,
+        notes: occurrence?.notes ?? template.notes ?? null,
+        status: occurrence?.status || OCCURRENCE_STATUS.PENDING,
+        expenseId: occurrence?.expense_id || null,
+        edited: amount !== template.amount || description !== template.description,
+        template,
+      });
+    });
+  });
+
+  return expanded.sort((a, b) => a.occurrenceDate.localeCompare(b.occurrenceDate) || a.templateId - b.templateId);
+};
+
+/**
+ * Occurrences that should be posted as expenses by `today`
+ * @param {Date} now
+ */
+export const getDueOccurrences = (templates, occurrences, now = new Date()) => {
+  const today = toLocalDateString(now);
+  return expandOccurrences(templates, occurrences, addDaysToDate(today, -MAX_CATCH_UP_DAYS), today)
+    .filter(occurrence => occurrence.status === OCCURRENCE_STATUS.PENDING);
+};
+
+/**
+ * Occurrences after today, skipped ones included so they can be restored
+ */
+export const getUpcomingOccurrences = (templates, occurrences, now = new Date(), days = UPCOMING_DAYS) => {
+  const today = toLocalDateString(now);
+  return expandOccurrences(templates, occurrences, addDaysToDate(today, 1), addDaysToDate(today, days));
+};
@@ -0,0 +1,277 @@
+/**
+ * ON-DEVICE REMINDERS
+ *
+ * Builds the list of local notifications the app schedules for the coming days: vaccinations
+ * due, missing daily records, feed running low and withdrawal periods ending. The backend sends
+ * the same reminders as push notifications while the device is online, so every reminder has a
+ * key that a matching push maps to as well (getPushReminderKey) and only one of them is shown.
+ */
+
+export const REMINDER_TYPES = {
+  VACCINATION: 'vaccination',
+  DAILY_RECORDS: 'daily_records',
+  FEED_STOCK: 'feed_stock',
+  WITHDRAWAL: 'withdrawal',
+};
+
+// Marks notifications scheduled on the device, as opposed to backend pushes
+export const LOCAL_REMINDER_SOURCE = 'local_reminder';
+
+// Keys match the backend's notification settings so one switch covers both
+export const DEFAULT_REMINDER_SETTINGS = {
+  dailyEntryReminder: true,
+  vaccinationReminder: true,
+  feedStockReminder: true,
+  withdrawalReminder: true,
+  dailyReminderTime: '18:00',
+};
+
+export const REMINDER_HORIZON_DAYS = 7;
+
+// Closer than this a reminder would fire straight away, so it is left out
+export const MIN_LEAD_SECONDS = 300;
+
+// iOS keeps at most 64 pending local notifications per app
+export const MAX_SCHEDULED_REMINDERS = 60;
+
+const MORNING_TIME = '08:00';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Local calendar date (YYYY-MM-DD) - reminders follow the farm's clock, not UTC
+ */
+export const toLocalDateString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const isValidReminderTime = (time) => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+
+/**
+ * Local Date for a YYYY-MM-DD day at HH:MM, or null when either is malformed
+ */
+export const atLocalTime = (dateString, time = MORNING_TIME) => {
+  const [year, month, day] = String(dateString || '').slice(0, 10).split('-').map(Number);
+  const [hours, minutes] = (isValidReminderTime(time) ? time : MORNING_TIME).split(':').map(Number);
+  if (!year || !month || !day) return null;
+  const date = new Date(year, month - 1, day, hours, minutes, 0, 0);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const listNames = (names) => [...new Set(names.filter(Boolean))].join(', ');
+
+export const reminderKey = (type, ...parts) => [type, ...parts.map(normalize)].join(':');
+
+/**
+ * Key of the local reminder a backend push stands in for, or null for other notifications
+ * @param {Object} data - Notification data sent with the push
+ * @param {Date} receivedAt - When the push arrived
+ */
+export const getPushReminderKey = (data, receivedAt = new Date()) => {
+  if (!data || data.source === LOCAL_REMINDER_SOURCE) return null;
+  const today = toLocalDateString(receivedAt);
+
+  switch (data.type) {
+    case 'vaccination_reminder_day_before':
+    case 'vaccination_reminder':
+    case 'vaccination_now':
+    case 'vaccination_due': {
+      const vaccination = data.vaccination || data;
+      const vaccinationDate = vaccination.vaccinationDate || vaccination.vaccination_date;
+      const vaccinationType = vaccination.vaccinationType || vaccination.vaccination_type;
+      if (!vaccinationDate || !vaccinationType) return null;
+      const stage = data.type === 'vaccination_reminder_day_before' ? 'day_before' : 'due';
+      return reminderKey(REMINDER_TYPES.VACCINATION, String(vaccinationDate).slice(0, 10), vaccinationType, stage);
+    }
+    case 'daily_reminder':
+    case 'daily_records_reminder':
+      return reminderKey(REMINDER_TYPES.DAILY_RECORDS, today);
+    case 'feed_low_stock':
+    case 'low_feed_stock':
+      return data.feedType ? reminderKey(REMINDER_TYPES.FEED_STOCK, today, data.feedType) : null;
+    case 'withdrawal_reminder':
+    case 'withdrawal_end': {
+      const endsOn = String(data.withdrawalEndsOn || data.withdrawalEndDate || today).slice(0, 10);
+      const medication = data.medication || data.treatment;
+      return medication ? reminderKey(REMINDER_TYPES.WITHDRAWAL, endsOn, medication) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Vaccinations on the same day with the same vaccine share one reminder per stage
+ */
+const planVaccinations = (vaccinations) => {
+  const groups = new Map();
+  vaccinations.forEach(vaccination => {
+    const date = String(vaccination.vaccination_date || '').slice(0, 10);
+    const groupKey = `${date}|${normalize(vaccination.vaccination_type)}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(vaccination);
+  });
+
+  const reminders = [];
+  groups.forEach(group => {
+    const [first] = group;
+    const date = String(first.vaccination_date).slice(0, 10);
+    const time = group.map(v => v.vaccination_time).find(isValidReminderTime) || MORNING_TIME;
+    const dueAt = atLocalTime(date, time);
+    if (!dueAt) return;
+
+    const batches = listNames(group.map(v => v.batch_name));
+    const data = {
+      type: 'vaccination_reminder',
+      vaccinationIds: group.map(v => v.id),
+      vaccinationType: first.vaccination_type,
+      vaccinationDate: date,
+    };
+
+    reminders.push({
+      key: reminderKey(REMINDER_TYPES.VACCINATION, date, first.vaccination_type, 'day_before'),
+      type: REMINDER_TYPES.VACCINATION,
+      title: '💉 Vaccination Reminder - Tomorrow',
+      body: `Prepare for ${first.vaccination_type} vaccination tomorrow at ${time}${batches ? ` (${batches})` : ''}`,
+      fireAt: addDays(dueAt, -1),
+      data: { ...data, type: 'vaccination_reminder_day_before' },
+    });
+    reminders.push({
+      key: reminderKey(REMINDER_TYPES.VACCINATION, date, first.vaccination_type, 'due'),
+      type: REMINDER_TYPES.VACCINATION,
+      title: '💉 Vaccination Time',
+      body: `It's time to give ${first.vaccination_type}${batches ? ` to ${batches}` : ''}`,
+      fireAt: dueAt,
+      data,
+    });
+  });
+  return reminders;
+};
+
+const planDailyRecords = (now, recordedToday, time) => {
+  const reminders = [];
+  const today = toLocalDateString(now);
+
+  for (let day = 0; day <= REMINDER_HORIZON_DAYS; day++) {
+    const date = toLocalDateString(addDays(now, day));
+    // Records already entered today need no reminder
+    if (date === today && recordedToday > 0) continue;
+
+    reminders.push({
+      key: reminderKey(REMINDER_TYPES.DAILY_RECORDS, date),
+      type: REMINDER_TYPES.DAILY_RECORDS,
+      title: '📝 Daily Farm Records Reminder',
+      body: 'Time to record today\'s farm activities (feeding, production, health checks)',
+      fireAt: atLocalTime(date, time),
+      data: { type: 'daily_reminder', date },
+    });
+  }
+  return reminders;
+};
+
+/**
+ * One reminder per feed type on the morning its stock reaches the low-stock warning,
+ * or tomorrow morning when it already has
+ */
+const planFeedStock = (now, feedLevels) => {
+  const groups = new Map();
+
+  feedLevels.forEach(level => {
+    let daysUntilLow;
+    if (level.lowStock) {
+      daysUntilLow = 1;
+    } else if (level.daysRemaining !== null && level.daysRemaining !== undefined) {
+      daysUntilLow = Math.max(1, Math.ceil(level.daysRemaining - level.lowStockDays));
+    } else {
+      return; // No usage yet, so no estimate of when it runs low
+    }
+    if (daysUntilLow > REMINDER_HORIZON_DAYS) return;
+
+    const date = toLocalDateString(addDays(now, daysUntilLow));
+    const groupKey = `${date}|${normalize(level.feedType)}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { date, daysUntilLow, levels: [] });
+    groups.get(groupKey).levels.push(level);
+  });
+
+  return [...groups.values()].map(({ date, daysUntilLow, levels }) => {
+    const [first] = levels;
+    const farms = listNames(levels.map(level => level.farmName));
+    const daysLeft = first.daysRemaining !== null && first.daysRemaining !== undefined
+      ? Math.max(0, Math.floor(first.daysRemaining - daysUntilLow))
+      : null;
+
+    return {
+      key: reminderKey(REMINDER_TYPES.FEED_STOCK, date, first.feedType),
+      type: REMINDER_TYPES.FEED_STOCK,
+      title: `🌾 Low feed stock: ${first.feedType}`,
+      body: `${farms || 'Your farm'} ${daysLeft !== null ? `has about ${daysLeft} days of ${first.feedType} left` : `is running low on ${first.feedType}`}. Order more feed soon.`,
+      fireAt: atLocalTime(date, MORNING_TIME),
+      data: { type: 'feed_low_stock', feedType: first.feedType, inventoryIds: levels.map(level => level.id) },
+    };
+  });
+};
+
+/**
+ * Reminder on the morning a withdrawal period ends, per medication
+ */
+const planWithdrawals = (withdrawals) => {
+  const groups = new Map();
+  withdrawals.forEach(withdrawal => {
+    const medication = withdrawal.medication || withdrawal.treatment || 'treatment';
+    const groupKey = `${withdrawal.withdrawal_ends_on}|${normalize(medication)}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { medication, endsOn: withdrawal.withdrawal_ends_on, withdrawals: [] });
+    groups.get(groupKey).withdrawals.push(withdrawal);
+  });
+
+  return [...groups.values()].map(({ medication, endsOn, withdrawals: group }) => {
+    const batches = listNames(group.map(withdrawal => withdrawal.batch_name));
+    return {
+      key: reminderKey(REMINDER_TYPES.WITHDRAWAL, endsOn, medication),
+      type: REMINDER_TYPES.WITHDRAWAL,
+      title: '⏳ Withdrawal Period Ends Today',
+      body: `The ${medication} withdrawal period${batches ? ` for ${batches}` : ''} ends today. Eggs and birds can go to market from tomorrow.`,
+      fireAt: atLocalTime(endsOn, MORNING_TIME),
+      data: { type: 'withdrawal_reminder', medication, withdrawalEndsOn: endsOn, healthRecordIds: group.map(withdrawal => withdrawal.id) },
+    };
+  });
+};
+
+/**
+ * Reminders to schedule for the next REMINDER_HORIZON_DAYS days, soonest first
+ * @param {Object} sources - { now, vaccinations, recordedToday, feedLevels, withdrawals, settings }
+ *   vaccinations and withdrawals are fastDatabase rows, feedLevels come from feedInventoryService
+ * @returns {Array<{ key, type, title, body, fireAt: Date, data }>}
+ */
+export const buildReminderPlan = ({
+  now = new Date(),
+  vaccinations = [],
+  recordedToday = 0,
+  feedLevels = [],
+  withdrawals = [],
+  settings = DEFAULT_REMINDER_SETTINGS,
+}) => {
+  const options = { ...DEFAULT_REMINDER_SETTINGS, ...settings };
+  const latest = addDays(now, REMINDER_HORIZON_DAYS + 1).getTime();
+
+  const reminders = [
+    ...(options.vaccinationReminder ? planVaccinations(vaccinations) : []),
+    ...(options.dailyEntryReminder ? planDailyRecords(now, recordedToday, options.dailyReminderTime) : []),
+    ...(options.feedStockReminder ? planFeedStock(now, feedLevels) : []),
+    ...(options.withdrawalReminder ? planWithdrawals(withdrawals) : []),
+  ];
+
+  return reminders
+    .filter(reminder => reminder.fireAt
+      && reminder.fireAt.getTime() - now.getTime() >= MIN_LEAD_SECONDS * 1000
+      && reminder.fireAt.getTime() <= latest)
+    .sort((a, b) => a.fireAt - b.fireAt)
+    .slice(0, MAX_SCHEDULED_REMINDERS)
+    .map(reminder => ({ ...reminder, data: { ...reminder.data, source: LOCAL_REMINDER_SOURCE, reminderKey: reminder.key } }));
+};
@@ -0,0 +1,194 @@
+/**
+ * SALES ANALYTICS HELPERS
+ *
+ * Product types a sale can be recorded under and the on-device sales analytics built from the
+ * sales table: revenue by customer, product, month and batch, average price per unit by month
+ * and the top customers. Everything works from local rows so it is available offline.
+ */
+
+import { EGGS_PER_TRAY, toEggCount } from './eggGrading';
+
+export const SALE_PRODUCT_TYPES = [
+  { key: 'birds', label: 'Live Birds', priceUnit: 'bird', color: '#2E8B57' },
+  { key: 'eggs', label: 'Eggs', priceUnit: 'tray', color: '#FFCE56' },
+  { key: 'dressed_birds', label: 'Dressed Birds', priceUnit: 'unit', color: '#FF6384' },
+  { key: 'manure', label: 'Manure', priceUnit: 'unit', color: '#8B5A2B' },
+  { key: 'other', label: 'Other', priceUnit: 'unit', color: '#C9CBCF' },
+];
+
+// Sales recorded before dressed birds had their own type were saved as meat
+const PRODUCT_ALIASES = { meat: 'dressed_birds' };
+
+export const normalizeProductType = (productType) => {
+  const key = String(productType || '').trim().toLowerCase();
+  const normalized = PRODUCT_ALIASES[key] || key;
+  return SALE_PRODUCT_TYPES.some(type => type.key === normalized) ? normalized : 'other';
+};
+
+export const getProductType = (productType) =>
+  SALE_PRODUCT_TYPES.find(type => type.key === normalizeProductType(productType));
+
+export const SALES_PERIODS = [
+  { key: 3, label: '3 Months' },
+  { key: 6, label: '6 Months' },
+  { key: 12, label: '12 Months' },
+];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const share = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Month keys (YYYY-MM) of the period, oldest first, ending with the month of endDate
+ */
+export const getPeriodMonths = (months, endDate = new Date()) => {
+  const end = new Date(endDate);
+  return Array.from({ length: months }, (_, index) => {
+    const date = new Date(end.getFullYear(), end.getMonth() - (months - 1 - index), 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  });
+};
+
+export const getMonthLabel = (monthKey) => {
+  const [year, month] = String(monthKey).split('-');
+  return `${MONTH_LABELS[parseInt(month, 10) - 1] || month} ${String(year).slice(2)}`;
+};
+
+/**
+ * Quantity a sale's unit price is compared in: egg sales in trays, everything else as recorded
+ */
+export const getPricedQuantity = (sale) => {
+  const quantity = parseFloat(sale.quantity) || 0;
+  return normalizeProductType(sale.product_type) === 'eggs'
+    ? toEggCount(quantity, sale.unit) / EGGS_PER_TRAY
+    : quantity;
+};
+
+const groupInto = (map, key, create) => {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+};
+
+/**
+ * Build the sales analytics for a period
+ * @param {Array} sales - sales rows with customer_name and batch_name joined
+ * @param {Object} options - { months, endDate, topCustomers }
+ * @returns {Object} { totals, byProduct, byMonth, byCustomer, topCustomers, byBatch, priceTrends }
+ */
+export const computeSalesAnalytics = (sales = [], options = {}) => {
+  const { months = 6, endDate = new Date(), topCustomers = 5 } = options;
+  const periodMonths = getPeriodMonths(months, endDate);
+
+  const totals = { revenue: 0, paid: 0, due: 0, salesCount: 0 };
+  const products = new Map();
+  const customers = new Map();
+  const batches = new Map();
+  const monthRevenue = new Map(periodMonths.map(month => [month, 0]));
+  const monthPrices = new Map();
+
+  sales.forEach(sale => {
+    const month = String(sale.sale_date || '').slice(0, 7);
+    if (!monthRevenue.has(month)) return;
+
+    const amount = parseFloat(sale.total_amount) || 0;
+    const productKey = normalizeProductType(sale.product_type);
+    const pricedQuantity = getPricedQuantity(sale);
+
+    totals.revenue += amount;
+    totals.paid += parseFloat(sale.amount_paid) || 0;
+    totals.due += parseFloat(sale.amount_due) || 0;
+    totals.salesCount += 1;
+    monthRevenue.set(month, monthRevenue.get(month) + amount);
+
+    const product = groupInto(products, productKey, () => ({ revenue: 0, quantity: 0, salesCount: 0 }));
+    product.revenue += amount;
+    product.quantity += pricedQuantity;
+    product.salesCount += 1;
+
+    const customerKey = sale.customer_id ? String(sale.customer_id) : 'walk_in';
+    const customer = groupInto(customers, customerKey, () => ({
+      customerId: sale.customer_id || null,
+      name: sale.customer_id ? (sale.customer_name || 'Unknown Customer') : 'Walk-in Customers',
+      revenue: 0,
+      salesCount: 0,
+      lastSaleDate: null,
+    }));
+    customer.revenue += amount;
+    customer.salesCount += 1;
+    if (!customer.lastSaleDate || sale.sale_date > customer.lastSaleDate) {
+      customer.lastSaleDate = sale.sale_date;
+    }
+
+    if (sale.batch_id) {
+      const batch = groupInto(batches, String(sale.batch_id), () => ({
+        batchId: sale.batch_id,
+        name: sale.batch_name || 'Unknown Batch',
+        revenue: 0,
+        birdsSold: 0,
+      }));
+      batch.revenue += amount;
+      if (productKey === 'birds') batch.birdsSold += Math.round(pricedQuantity);
+    }
+
+    if (pricedQuantity > 0) {
+      const prices = groupInto(monthPrices, `${productKey}|${month}`, () => ({ amount: 0, quantity: 0 }));
+      prices.amount += amount;
+      prices.quantity += pricedQuantity;
+    }
+  });
+
+  const byProduct = SALE_PRODUCT_TYPES
+    .filter(type => products.has(type.key))
+    .map(type => {
+      const product = products.get(type.key);
+      return {
+        key: type.key,
+        label: type.label,
+        color: type.color,
+        priceUnit: type.priceUnit,
+        revenue: round2(product.revenue),
+        quantity: round2(product.quantity),
+        salesCount: product.salesCount,
+        avgPrice: product.quantity > 0 ? round2(product.revenue / product.quantity) : 0,
+        share: share(product.revenue, totals.revenue),
+      };
+    })
+    .sort((a, b) => b.revenue - a.revenue);
+
+  const byCustomer = [...customers.values()]
+    .map(customer => ({ ...customer, revenue: round2(customer.revenue), share: share(customer.revenue, totals.revenue) }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  // Months without a sale of the product have no price, so the trend skips them
+  const priceTrends = byProduct.map(product => ({
+    key: product.key,
+    label: product.label,
+    priceUnit: product.priceUnit,
+    points: periodMonths
+      .filter(month => monthPrices.has(`${product.key}|${month}`))
+      .map(month => {
+        const prices = monthPrices.get(`${product.key}|${month}`);
+        return { month, label: getMonthLabel(month), avgPrice: round2(prices.amount / prices.quantity) };
+      }),
+  }));
+
+  return {
+    totals: {
+      revenue: round2(totals.revenue),
+      paid: round2(totals.paid),
+      due: round2(totals.due),
+      salesCount: totals.salesCount,
+      avgSale: totals.salesCount > 0 ? round2(totals.revenue / totals.salesCount) : 0,
+    },
+    byProduct,
+    byMonth: periodMonths.map(month => ({ month, label: getMonthLabel(month), revenue: round2(monthRevenue.get(month)) })),
+    byCustomer,
+    topCustomers: byCustomer.filter(customer => customer.customerId).slice(0, topCustomers),
+    byBatch: [...batches.values()]
+      .map(batch => ({ ...batch, revenue: round2(batch.revenue), share: share(batch.revenue, totals.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue),
+    priceTrends,
+  };
+};